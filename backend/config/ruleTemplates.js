@@ -1,8 +1,12 @@
 /**
  * Pre-built rule templates for easy onboarding
  * These templates provide common notification patterns that users can quickly apply
+ * Names and custom templates use the {{ }} template language; UPPER_CASE placeholders are
+ * customization parameters substituted by applyTemplateCustomization
  */
 
+const { substituteParameters } = require('../services/templateEngine');
+
 const RULE_TEMPLATES = [
   {
     id: 'high-value-deals',
@@ -55,7 +59,7 @@ const RULE_TEMPLATES = [
       },
       template_config: {
         template_mode: 'custom',
-        custom_template: '🎉 **DEAL WON!** 🎉\n\n💰 **{{deal.title}}** - ${{deal.value}}\n👤 **Rep:** {{deal.person_name}}\n🏢 **Company:** {{deal.org_name}}\n\n*Way to go, team! 🚀*'
+        custom_template: '🎉 **DEAL WON!** 🎉\n\n💰 **{{deal.title}}** - {{deal.value}}\n👤 **Rep:** {{deal.owner_name}}\n🏢 **Company:** {{deal.org_name | default:"—"}}\n\n*Way to go, team! 🚀*'
       }
     },
     customization: {},
@@ -174,7 +178,7 @@ const RULE_TEMPLATES = [
     difficulty: 'advanced',
     event_type: 'deal.*',
     template: {
-      name: 'Executive Dashboard - ${{VALUE_THRESHOLD}}+',
+      name: 'Executive Dashboard - {{VALUE_THRESHOLD | currency}}+',
       event_type: 'deal.*',
       enabled: true,
       filters: {
@@ -183,7 +187,7 @@ const RULE_TEMPLATES = [
       },
       template_config: {
         template_mode: 'custom',
-        custom_template: '🎯 **EXECUTIVE ALERT**\n\n📊 **Deal:** {{deal.title}}\n💰 **Value:** ${{deal.value}}\n📈 **Probability:** {{deal.probability}}%\n👤 **Owner:** {{deal.person_name}}\n🏢 **Organization:** {{deal.org_name}}\n📅 **Expected Close:** {{deal.expected_close_date}}'
+        custom_template: '🎯 **EXECUTIVE ALERT**\n\n📊 **Deal:** {{deal.title}}\n💰 **Value:** {{deal.value}}\n📈 **Probability:** {{deal.probability}}%\n👤 **Owner:** {{deal.owner_name}}\n🏢 **Organization:** {{deal.org_name | default:"—"}}\n📅 **Expected Close:** {{deal.expected_close_date | default:"Not set"}}'
       }
     },
     customization: {
@@ -219,7 +223,7 @@ const RULE_TEMPLATES = [
       },
       template_config: {
         template_mode: 'custom',
-        custom_template: '❌ **DEAL LOST**\n\n📊 **Deal:** {{deal.title}}\n💰 **Value:** ${{deal.value}}\n👤 **Owner:** {{deal.person_name}}\n🏢 **Organization:** {{deal.org_name}}\n📝 **Reason:** {{deal.lost_reason}}\n\n*Review for improvement opportunities*'
+        custom_template: '❌ **DEAL LOST**\n\n📊 **Deal:** {{deal.title}}\n💰 **Value:** {{deal.value}}\n👤 **Owner:** {{deal.owner_name}}\n🏢 **Organization:** {{deal.org_name | default:"—"}}\n📝 **Reason:** {{deal.lost_reason | default:"Not specified"}}\n\n*Review for improvement opportunities*'
       }
     },
     customization: {},
@@ -423,7 +427,7 @@ const RULE_TEMPLATES = [
       },
       template_config: {
         template_mode: 'custom',
-        custom_template: '🏆 **TOP PERFORMER ALERT!**\n\n🎯 **{{deal.owner_name}}** just closed their {{deals_won_count}} deal this month!\n💰 **Deal:** {{deal.title}} - ${{deal.value}}\n\n*Outstanding work! 🚀*'
+        custom_template: '🏆 **TOP PERFORMER ALERT!**\n\n🎯 **{{deal.owner_name}}** has closed {{DEAL_COUNT}}+ deals this month!\n💰 **Deal:** {{deal.title}} - {{deal.value}}\n\n*Outstanding work! 🚀*'
       }
     },
     customization: {
@@ -451,7 +455,7 @@ const RULE_TEMPLATES = [
     difficulty: 'intermediate',
     event_type: 'deal.won',
     template: {
-      name: 'Revenue Milestones - ${{MILESTONE_AMOUNT}}',
+      name: 'Revenue Milestones - {{MILESTONE_AMOUNT | currency}}',
       event_type: 'deal.won',
       enabled: true,
       filters: {
@@ -459,7 +463,7 @@ const RULE_TEMPLATES = [
       },
       template_config: {
         template_mode: 'custom',
-        custom_template: '🎊 **REVENUE MILESTONE ACHIEVED!** 🎊\n\n💰 **Monthly Target Reached:** ${{milestone_amount}}\n📈 **This Month\'s Performance:** ${{monthly_total}}\n🏆 **Congratulations to the entire team!**\n\n*Keep up the amazing work! 🚀*'
+        custom_template: '🎊 **REVENUE MILESTONE ACHIEVED!** 🎊\n\n💰 **Monthly Target Reached:** {{MILESTONE_AMOUNT | currency}}\n📈 **Latest Win:** {{deal.title}} ({{deal.value}})\n🏆 **Congratulations to the entire team!**\n\n*Keep up the amazing work! 🚀*'
       }
     },
     customization: {
@@ -513,22 +517,23 @@ function getRuleTemplate(templateId) {
 function applyTemplateCustomization(template, customization = {}) {
   const rule = JSON.parse(JSON.stringify(template.template)); // Deep copy
   
-  // Apply customization values to the rule name and configuration
+  // Unset customization fields fall back to their defaults so no placeholder is left behind
+  const values = {};
+  Object.entries(template.customization || {}).forEach(([key, config]) => {
+    if (config.default !== undefined) values[key] = config.default;
+  });
+  Object.assign(values, customization);
+  
+  // Placeholders use the template language ({{VALUE_THRESHOLD}}, {{MILESTONE_AMOUNT | currency}});
+  // deal/person variables are left for render time
+  rule.name = substituteParameters(rule.name, values);
+  if (rule.template_config?.custom_template) {
+    rule.template_config.custom_template = substituteParameters(rule.template_config.custom_template, values);
+  }
+  
+  // Apply customization values to the rule configuration
   Object.keys(customization).forEach(key => {
     const value = customization[key];
-    const placeholder = `{{${key}}}`;
-    
-    // Replace in rule name
-    if (rule.name && rule.name.includes(placeholder)) {
-      rule.name = rule.name.replace(placeholder, value);
-    }
-    
-    // Replace in custom template
-    if (rule.template_config?.custom_template && 
-        rule.template_config.custom_template.includes(placeholder)) {
-      rule.template_config.custom_template = 
-        rule.template_config.custom_template.replace(placeholder, value);
-    }
     
     // Apply to filters based on customization type
     const customizationConfig = template.customization[key];
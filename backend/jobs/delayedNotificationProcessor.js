@@ -1,9 +1,12 @@
 const cron = require('node-cron');
 const { processDelayedNotifications } = require('../services/quietHours');
+const { processDigests, processOverflowSummaries } = require('../services/digests');
 
 /**
  * Delayed Notification Processor
  * Runs every 5 minutes to send notifications that were delayed due to quiet hours
+ * and digests (rules with delivery_mode digest/daily_digest) that are due.
+ * Overflow summaries for rate limited channels are checked every minute.
  */
 
 console.log('⏰ Starting delayed notification processor...');
@@ -19,12 +22,37 @@ cron.schedule('*/5 * * * *', async () => {
   } catch (error) {
     console.error('Error processing delayed notifications:', error);
   }
+
+  try {
+    const digestResult = await processDigests();
+    if (digestResult.processed > 0 || digestResult.failed > 0) {
+      console.log(`📊 Sent ${digestResult.processed} digests (${digestResult.events} events, ${digestResult.failed} failed)`);
+    }
+  } catch (error) {
+    console.error('Error processing digests:', error);
+  }
+}, {
+  timezone: 'UTC'
+});
+
+// Overflow summaries are due as soon as a rate limited channel recovers
+cron.schedule('* * * * *', async () => {
+  try {
+    const overflowResult = await processOverflowSummaries();
+    if (overflowResult.processed > 0 || overflowResult.failed > 0) {
+      console.log(`⏸️ Sent ${overflowResult.processed} overflow summaries (${overflowResult.events} events, ${overflowResult.failed} failed)`);
+    }
+  } catch (error) {
+    console.error('Error processing overflow summaries:', error);
+  }
 }, {
   timezone: 'UTC'
 });
 
-console.log('📋 Delayed notification processor started (runs every 5 minutes)');
+console.log('📋 Delayed notification processor started (runs every 5 minutes, overflow summaries every minute)');
 
 module.exports = {
-  processDelayedNotifications
+  processDelayedNotifications,
+  processDigests,
+  processOverflowSummaries
 };
\ No newline at end of file
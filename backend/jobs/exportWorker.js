@@ -0,0 +1,29 @@
+const cron = require('node-cron');
+const { processPendingExports } = require('../services/analyticsExports');
+
+/**
+ * Export Worker
+ * Runs every minute to generate pending analytics exports (services/analyticsExports.js).
+ * New exports also start right away; this picks up the rest, e.g. after a restart.
+ */
+
+console.log('⏰ Starting analytics export worker...');
+
+cron.schedule('* * * * *', async () => {
+  try {
+    const result = await processPendingExports();
+    if (result.completed > 0 || result.failed > 0) {
+      console.log(`📄 Generated ${result.completed} analytics exports (${result.failed} failed)`);
+    }
+  } catch (error) {
+    console.error('Error processing analytics exports:', error);
+  }
+}, {
+  timezone: 'UTC'
+});
+
+console.log('📋 Analytics export worker started (runs every minute)');
+
+module.exports = {
+  processPendingExports
+};
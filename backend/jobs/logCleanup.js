@@ -2,6 +2,10 @@ const cron = require('node-cron');
 
 // Use centralized database service with Railway optimizations
 const { pool } = require('../services/database');
+const { cleanupAuditEvents } = require('../services/auditLog');
+const { cleanupExports } = require('../services/analyticsExports');
+const { cleanupDealEvents } = require('../services/dealEvents');
+const { cleanupRollups } = require('../services/analyticsRollups');
 
 // Plan-based retention configuration
 const RETENTION_CONFIG = {
@@ -60,6 +64,82 @@ async function cleanupLogs() {
       console.error('❌ Error cleaning orphaned delivery attempts:', error.message);
     }
 
+    // Audit events follow the same plan retention (PLAN_LIMITS.log_retention_days)
+    try {
+      const auditCount = await cleanupAuditEvents();
+      if (auditCount > 0) {
+        console.log(`🗑️  Cleaned ${auditCount} expired audit events`);
+        totalCleaned += auditCount;
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning audit events:', error.message);
+    }
+
+    // Dead letters that were requeued or discarded are kept 30 days; unresolved ones stay
+    try {
+      const deadLetterResult = await pool.query(`
+        DELETE FROM dead_letters
+        WHERE status IN ('delivered', 'discarded') AND resolved_at < NOW() - INTERVAL '30 days'
+      `);
+
+      const deadLetterCount = deadLetterResult.rowCount || 0;
+      if (deadLetterCount > 0) {
+        console.log(`🗑️  Cleaned ${deadLetterCount} resolved dead letters`);
+        totalCleaned += deadLetterCount;
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning resolved dead letters:', error.message);
+    }
+
+    // Scheduled report delivery history is kept 90 days
+    try {
+      const reportDeliveryResult = await pool.query(`
+        DELETE FROM report_delivery_log
+        WHERE last_attempt < NOW() - INTERVAL '90 days'
+      `);
+
+      const reportDeliveryCount = reportDeliveryResult.rowCount || 0;
+      if (reportDeliveryCount > 0) {
+        console.log(`🗑️  Cleaned ${reportDeliveryCount} report delivery records`);
+        totalCleaned += reportDeliveryCount;
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning report delivery history:', error.message);
+    }
+
+    // Analytics export files are dropped at expires_at, their records after 30 days
+    try {
+      const exportCount = await cleanupExports();
+      if (exportCount > 0) {
+        console.log(`🗑️  Cleaned ${exportCount} expired analytics exports`);
+        totalCleaned += exportCount;
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning analytics exports:', error.message);
+    }
+
+    // Deal events feed pipeline analytics and are kept two years (DEAL_EVENT_RETENTION_DAYS)
+    try {
+      const dealEventCount = await cleanupDealEvents();
+      if (dealEventCount > 0) {
+        console.log(`🗑️  Cleaned ${dealEventCount} old deal events`);
+        totalCleaned += dealEventCount;
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning deal events:', error.message);
+    }
+
+    // Analytics rollups outlive plan log retention: hourly ones are kept 90 days, daily ones two years
+    try {
+      const rollupCount = await cleanupRollups();
+      if (rollupCount > 0) {
+        console.log(`🗑️  Cleaned ${rollupCount} old analytics rollups`);
+        totalCleaned += rollupCount;
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning analytics rollups:', error.message);
+    }
+
     const duration = Date.now() - startTime;
     console.log(`✅ Log cleanup completed in ${duration}ms. Total records cleaned: ${totalCleaned}`);
 
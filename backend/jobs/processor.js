@@ -3,11 +3,21 @@ const { redisConfig, initPromise } = require('./queue');
 
 // Import services
 const { defaultChatClient } = require('../services/chatClient');
-const { getRulesForEvent, createLog, getTenantByPipedriveCompanyId, getWebhooks } = require('../services/database');
+const { getRulesForEvent, createLog, createDeliveryAttempts, getTenantByPipedriveCompanyId, getWebhooks } = require('../services/database');
 const { applyAdvancedFilters } = require('../services/ruleFilters');
-const { routeToChannel } = require('../services/channelRouter');
+const { resolveChannels, loadRoutingContext } = require('../services/channelRouter');
 const { checkNotificationQuota, trackNotificationUsage } = require('../middleware/quotaEnforcement');
 const { isQuietTime, queueDelayedNotification } = require('../services/quietHours');
+const { enrichWebhookData, invalidateForEvent } = require('../services/pipedriveEnrichment');
+const { attachCustomFields } = require('../services/customFields');
+const { getDedupKey, claimWebhook, releaseWebhook, recordDuplicate } = require('../services/webhookDedup');
+const { isDigestRule, queueDigestEvent, queueOverflowEvent } = require('../services/digests');
+const { resolveThread } = require('../services/chatThreads');
+const { withTargetOverrides } = require('../services/ruleTargets');
+const { withRetry } = require('../services/retryPolicy');
+const { recordDeadLetter, redeliverDeadLetter } = require('../services/deadLetters');
+const { recordDeliveryResult } = require('../services/webhookHealth');
+const { recordDealEvent } = require('../services/dealEvents');
 
 // Create BullMQ worker for processing notification jobs (only if Redis is available)
 let notificationWorker = null;
@@ -18,6 +28,11 @@ if (initPromise && typeof initPromise.then === 'function') {
     if (redisConfig) {
       notificationWorker = new Worker('notification', async (job) => {
   const { data } = job;
+
+  // Requeued dead letters (POST /api/v1/dead-letters/requeue)
+  if (job.name === 'redeliverDeadLetter') {
+    return redeliverDeadLetter(data.tenantId, data.deadLetterId);
+  }
   
   try {
     console.log(`🚀 PROCESSING JOB ${job.id}: ${data.event} for company ${data.company_id}`);
@@ -104,43 +119,28 @@ if (initPromise && typeof initPromise.then === 'function') {
   console.log('⚠️ Redis initialization promise not available - notification worker disabled');
 }
 
-// Simple in-memory deduplication cache (for production, use Redis)
-const processedWebhooks = new Map();
-const DEDUP_TTL = 60000; // 1 minute TTL
-
-// Cleanup expired entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, timestamp] of processedWebhooks.entries()) {
-    if (now - timestamp > DEDUP_TTL) {
-      processedWebhooks.delete(key);
-    }
-  }
-}, 30000); // Clean every 30 seconds
-
 // Real notification processing function
 async function processNotification(webhookData) {
   const startTime = Date.now();
+  let dedupKey = null;
   
   try {
-    // Step 0: Deduplication check
-    const correlationId = webhookData.raw_meta?.correlation_id;
-    const entityId = webhookData.raw_meta?.entity_id;
-    const eventType = webhookData.event;
-    
-    if (correlationId && entityId) {
-      const dedupKey = `${correlationId}-${entityId}-${eventType}`;
-      
-      if (processedWebhooks.has(dedupKey)) {
-        console.log(`🔄 Duplicate webhook detected, skipping: ${dedupKey}`);
+    // Step 0: Deduplication check (shared across processes via Redis, or Postgres without Redis)
+    const key = getDedupKey(webhookData);
+
+    if (key) {
+      const { claimed } = await claimWebhook(key);
+
+      if (!claimed) {
+        console.log(`🔄 Duplicate webhook detected, skipping: ${key}`);
         // Still identify tenant for proper logging
         const tenantId = await identifyTenant(webhookData);
+        await recordDuplicate(tenantId);
         return { rulesMatched: 0, notificationsSent: 0, tenantId, skipped: true };
       }
-      
-      // Mark as processed
-      processedWebhooks.set(dedupKey, Date.now());
-      console.log(`✅ Processing unique webhook: ${dedupKey}`);
+
+      dedupKey = key;
+      console.log(`✅ Processing unique webhook: ${key}`);
     }
 
     // Step 1: Identify tenant from webhook data
@@ -150,6 +150,14 @@ async function processNotification(webhookData) {
       return { rulesMatched: 0, notificationsSent: 0, tenantId: null };
     }
 
+    // Step 1.2: Stage/user/person/org changes make cached Pipedrive lookups stale
+    if (invalidateForEvent(tenantId, webhookData)) {
+      console.log(`♻️ Enrichment cache invalidated for tenant ${tenantId} by ${webhookData.event}`);
+    }
+
+    // Step 1.3: Deal events feed pipeline analytics whether or not anything is sent
+    await recordDealEvent(tenantId, webhookData);
+
     // Step 1.5: Check notification quota before processing
     const quotaCheck = await checkNotificationQuota(tenantId, 1);
     if (!quotaCheck.within_quota) {
@@ -190,123 +198,220 @@ async function processNotification(webhookData) {
       return { rulesMatched: 0, notificationsSent: 0, tenantId };
     }
 
-    // Step 2.5: Get available webhooks for channel routing
+    // Step 2.2: Resolve stage, owner, person and organization names from Pipedrive
+    webhookData = await enrichWebhookData(webhookData, tenantId);
+    webhookData = await attachCustomFields(webhookData, tenantId);
+
+    // Step 2.5: Get available webhooks, the tenant's routing rules and filter options (custom field plan check)
     const availableWebhooks = await getWebhooks(tenantId);
-    console.log(`🔗 Found ${availableWebhooks.length} active webhooks for channel routing`);
+    const { routingRules, filterOptions } = await loadRoutingContext(tenantId, rules);
+    console.log(`🔗 Found ${availableWebhooks.length} active webhooks and ${routingRules.length} routing rules for channel routing`);
 
     // Step 3: Process each matching rule
     let notificationsSent = 0;
     
     for (const rule of rules) {
-      let targetWebhook = null;
+      let targetWebhooks = [];
       
       try {
         // Check if rule filters match the webhook data (advanced filtering)
-        if (!applyAdvancedFilters(webhookData, rule)) {
+        if (!applyAdvancedFilters(webhookData, rule, filterOptions)) {
           console.log(`Rule ${rule.name} advanced filters don't match, skipping`);
           continue;
         }
 
-        // Use channel routing to determine the best webhook
-        targetWebhook = routeToChannel(webhookData, rule, availableWebhooks);
+        // The rule's fan-out targets, else routing rules (if the rule uses them), else the rule's webhook
+        targetWebhooks = resolveChannels(webhookData, rule, availableWebhooks, routingRules, filterOptions).webhooks;
         
-        if (!targetWebhook) {
+        if (targetWebhooks.length === 0) {
           console.error(`❌ No webhook found for rule ${rule.name} (webhook_id: ${rule.target_webhook_id})`);
           continue;
         }
-        
-        console.log(`🎯 Using webhook ${targetWebhook.id}: ${targetWebhook.webhook_url?.substring(0, 50)}...`);
+      } catch (error) {
+        console.error(`Error routing rule ${rule.name}:`, error);
+        await createLog(tenantId, {
+          rule_id: rule.id,
+          webhook_id: rule.target_webhook_id,
+          event_type: webhookData.event,
+          payload: webhookData,
+          status: 'failed',
+          error_message: error.message,
+          response_time_ms: Date.now() - startTime
+        });
+        continue;
+      }
+
+      // Fan-out: each channel is delivered, logged and counted independently
+      for (const targetWebhook of targetWebhooks) {
+        // Per-target template override (rule_targets)
+        const deliveryRule = withTargetOverrides(rule, targetWebhook.id);
+
+        try {
+          console.log(`🎯 Using ${targetWebhook.channel_type || 'google_chat'} webhook ${targetWebhook.id}: ${targetWebhook.webhook_url?.substring(0, 50)}...`);
+
+          // Digest rules buffer the event; the delayed notification processor sends the digest
+          if (isDigestRule(rule)) {
+            const digestResult = await queueDigestEvent(tenantId, rule, targetWebhook, webhookData);
 
-        // Check quiet hours before sending
-        const quietCheck = await isQuietTime(tenantId);
-        if (quietCheck.is_quiet) {
-          console.log(`🔇 Notification delayed due to quiet hours: ${quietCheck.reason}`);
-          
-          // Queue for delayed delivery
-          const queueResult = await queueDelayedNotification(tenantId, {
-            webhook_url: targetWebhook.webhook_url,
-            webhook_data: webhookData,
-            template_mode: rule.template_mode || 'simple',
-            custom_template: rule.custom_template,
-            rule_id: rule.id,
-            rule_name: rule.name
-          });
-          
-          if (queueResult.queued) {
-            // Log queued notification
             await createLog(tenantId, {
               rule_id: rule.id,
-              webhook_id: targetWebhook?.id || rule.target_webhook_id,
+              webhook_id: targetWebhook.id,
               event_type: webhookData.event,
               payload: webhookData,
               status: 'pending',
               response_time_ms: Date.now() - startTime,
-              error_message: `Delayed until ${queueResult.scheduled_for} (${queueResult.reason})`
+              error_message: `Buffered for digest at ${digestResult.scheduled_for.toISOString()}`
             });
+
+            console.log(`📊 Event buffered for ${rule.delivery_mode} of rule "${rule.name}" (sends ${digestResult.scheduled_for.toISOString()})`);
+            continue;
+          }
+
+          // Check quiet hours before sending
+          const quietCheck = await isQuietTime(tenantId);
+          if (quietCheck.is_quiet) {
+            console.log(`🔇 Notification delayed due to quiet hours: ${quietCheck.reason}`);
+          
+            // Queue for delayed delivery
+            const queueResult = await queueDelayedNotification(tenantId, {
+              webhook_url: targetWebhook.webhook_url,
+              channel_type: targetWebhook.channel_type,
+              webhook_data: webhookData,
+              template_mode: deliveryRule.template_mode || 'simple',
+              custom_template: deliveryRule.custom_template,
+              rule_id: rule.id,
+              rule_name: rule.name
+            });
+          
+            if (queueResult.queued) {
+              // Log queued notification
+              await createLog(tenantId, {
+                rule_id: rule.id,
+                webhook_id: targetWebhook?.id || rule.target_webhook_id,
+                event_type: webhookData.event,
+                payload: webhookData,
+                status: 'pending',
+                response_time_ms: Date.now() - startTime,
+                error_message: `Delayed until ${queueResult.scheduled_for} (${queueResult.reason})`
+              });
             
-            console.log(`📅 Notification queued for ${queueResult.scheduled_for} (delay: ${queueResult.delay_minutes}min)`);
-            continue; // Skip immediate sending
+              console.log(`📅 Notification queued for ${queueResult.scheduled_for} (delay: ${queueResult.delay_minutes}min)`);
+              continue; // Skip immediate sending
+            }
           }
-        }
 
-        // Send notification with multi-tier backup system
-        const notificationResult = await sendNotificationWithBackup(rule, webhookData, targetWebhook, tenantId);
+          // Step 1.5 covered the first send; every further fan-out send is checked against the quota too
+          if (notificationsSent > 0) {
+            const deliveryQuota = await checkNotificationQuota(tenantId, 1);
+            if (!deliveryQuota.within_quota) {
+              console.log(`🚫 Notification quota reached for tenant ${tenantId}, not sending rule "${rule.name}" to webhook ${targetWebhook.id}`);
+              await createLog(tenantId, {
+                rule_id: rule.id,
+                webhook_id: targetWebhook.id,
+                event_type: webhookData.event,
+                payload: webhookData,
+                status: 'failed',
+                error_message: `Notification quota exceeded (${deliveryQuota.current_usage}/${deliveryQuota.limit})`,
+                response_time_ms: Date.now() - startTime
+              });
+              continue;
+            }
+          }
+
+          // Reply in the entity's Chat thread when the webhook/rule threads by entity
+          const thread = await resolveThread(rule, targetWebhook, webhookData);
+
+          // Send notification with multi-tier backup system
+          const notificationResult = await sendNotificationWithBackup(deliveryRule, webhookData, targetWebhook, tenantId, thread);
         
-        if (notificationResult.success) {
-          notificationsSent++;
+          if (notificationResult.overflow) {
+            // Channel is rate limited: collapse into its overflow summary instead of failing
+            const overflowResult = await queueOverflowEvent(tenantId, rule, targetWebhook, webhookData, notificationResult.retryAfterMs);
+
+            await createLog(tenantId, {
+              rule_id: rule.id,
+              webhook_id: targetWebhook.id,
+              event_type: webhookData.event,
+              payload: webhookData,
+              status: 'pending',
+              response_code: 429,
+              response_time_ms: Date.now() - startTime,
+              error_message: `Channel rate limited; collapsed into channel summary at ${new Date(overflowResult.scheduled_for).toISOString()}`
+            });
+
+            console.log(`⏸️ Channel ${targetWebhook.id} rate limited, rule "${rule.name}" held for overflow summary`);
+          } else if (notificationResult.success) {
+            notificationsSent++;
           
-          // Track usage for successful notification
-          await trackNotificationUsage(tenantId, 1);
+            // Track usage for successful notification
+            await trackNotificationUsage(tenantId, 1);
           
-          // Log successful notification with tier information
-          await createLog(tenantId, {
-            rule_id: rule.id,
-            webhook_id: targetWebhook?.id || rule.target_webhook_id,
-            event_type: webhookData.event,
-            payload: webhookData,
-            formatted_message: notificationResult.message,
-            status: 'success',
-            response_code: 200,
-            response_time_ms: Date.now() - startTime,
-            error_message: notificationResult.tier > 1 ? `Delivered via Tier ${notificationResult.tier} backup` : null
-          });
+            // Log successful notification with tier information
+            const successLog = await createLog(tenantId, {
+              rule_id: rule.id,
+              webhook_id: targetWebhook?.id || rule.target_webhook_id,
+              event_type: webhookData.event,
+              payload: webhookData,
+              formatted_message: notificationResult.message,
+              status: 'success',
+              response_code: 200,
+              response_time_ms: Date.now() - startTime,
+              error_message: notificationResult.tier > 1 ? `Delivered via Tier ${notificationResult.tier} backup` : null,
+              message_name: notificationResult.messageId,
+              thread_key: thread?.key || null,
+              thread_name: notificationResult.threadName
+            });
+            if (notificationResult.attempts > 1) {
+              await createDeliveryAttempts(successLog?.id, notificationResult.attemptLog);
+            }
           
-          // Alert if backup tier was used (indicates primary system issues)
-          if (notificationResult.tier > 1) {
-            console.warn(`⚠️ BACKUP TIER ${notificationResult.tier} USED for rule: ${rule.name} - Primary system may have issues`);
-            await alertSystemReliability(tenantId, rule, notificationResult.tier, webhookData);
-          }
+            // Alert if backup tier was used (indicates primary system issues)
+            if (notificationResult.tier > 1) {
+              console.warn(`⚠️ BACKUP TIER ${notificationResult.tier} USED for rule: ${rule.name} - Primary system may have issues`);
+              await alertSystemReliability(tenantId, rule, notificationResult.tier, webhookData);
+            }
           
-          console.log(`✅ SUCCESS: Notification sent for rule "${rule.name}" via Tier ${notificationResult.tier}`);
-        } else {
-          // Log failed notification
+            console.log(`✅ SUCCESS: Notification sent for rule "${rule.name}" via Tier ${notificationResult.tier}`);
+          } else {
+            // Log failed notification
+            const failedLog = await createLog(tenantId, {
+              rule_id: rule.id,
+              webhook_id: targetWebhook?.id || rule.target_webhook_id,
+              event_type: webhookData.event,
+              payload: webhookData,
+              formatted_message: notificationResult.message,
+              status: 'failed',
+              error_message: notificationResult.error,
+              response_code: notificationResult.statusCode || 500,
+              response_time_ms: Date.now() - startTime
+            });
+            await createDeliveryAttempts(failedLog?.id, notificationResult.attemptLog);
+
+            // Permanent failure or retries exhausted: keep it for inspection and requeue
+            await recordDeadLetter(tenantId, {
+              rule: deliveryRule,
+              webhookId: targetWebhook.id,
+              logId: failedLog?.id,
+              webhookData,
+              error: notificationResult.failure || new Error(notificationResult.error)
+            });
+          
+            console.error(`❌ FAILED: All tiers failed for rule "${rule.name}":`, notificationResult.errors || notificationResult.error);
+          }
+        } catch (error) {
+          console.error(`Error processing rule ${rule.name}:`, error);
+        
+          // Log error
           await createLog(tenantId, {
             rule_id: rule.id,
             webhook_id: targetWebhook?.id || rule.target_webhook_id,
             event_type: webhookData.event,
             payload: webhookData,
-            formatted_message: notificationResult.message,
             status: 'failed',
-            error_message: notificationResult.error,
-            response_code: notificationResult.statusCode || 500,
+            error_message: error.message,
             response_time_ms: Date.now() - startTime
           });
-          
-          console.error(`❌ FAILED: All tiers failed for rule "${rule.name}":`, notificationResult.errors || notificationResult.error);
         }
-      } catch (error) {
-        console.error(`Error processing rule ${rule.name}:`, error);
-        
-        // Log error
-        await createLog(tenantId, {
-          rule_id: rule.id,
-          webhook_id: targetWebhook?.id || rule.target_webhook_id,
-          event_type: webhookData.event,
-          payload: webhookData,
-          status: 'failed',
-          error_message: error.message,
-          response_time_ms: Date.now() - startTime
-        });
       }
     }
 
@@ -318,6 +423,10 @@ async function processNotification(webhookData) {
 
   } catch (error) {
     console.error('Error in processNotification:', error);
+    // Let the job retry process this webhook instead of skipping it as a duplicate
+    if (dedupKey) {
+      await releaseWebhook(dedupKey);
+    }
     throw error;
   }
 }
@@ -404,49 +513,80 @@ function matchesFilters(webhookData, filters) {
   }
 }
 
-// Helper function to send notification via Google Chat
+// Helper function to send notification through the target webhook's channel provider
 // Multi-tier backup notification system - ensures notifications ALWAYS get delivered
-async function sendNotificationWithBackup(rule, webhookData, targetWebhook = null, tenantId = null) {
-  const webhookUrl = targetWebhook?.webhook_url || rule.webhook_url;
+async function sendNotificationWithBackup(rule, webhookData, targetWebhook = null, tenantId = null, thread = null) {
+  const target = targetWebhook || { webhook_url: rule.webhook_url, channel_type: rule.channel_type };
+  const webhookUrl = target.webhook_url;
+  // Retries and tiers 2 and 4 send to the same webhook again; its circuit breaker counts the
+  // delivery once: the tier 1 outcome, and a later success
+  const sendOptions = { thread, recordHealth: false };
   
-  // Tier 1: Primary delivery with immediate retry
+  // Tier 1: Primary delivery, transient failures retried under the retry policy
   try {
     console.log(`🎯 TIER 1: Primary delivery to ${webhookUrl}`);
-    const result = await defaultChatClient.sendNotification(
-      webhookUrl,
+    const { result, attempts, attemptLog } = await withRetry(() => defaultChatClient.sendNotification(
+      target,
       webhookData,
       rule.template_mode,
       rule.custom_template,
-      tenantId
-    );
+      tenantId,
+      sendOptions
+    ), {
+      label: 'TIER 1',
+      // Rate limited channels go to the overflow summary instead of holding the worker
+      maxDelayMs: 5000
+    });
 
     console.log(`✅ TIER 1: Notification sent successfully`);
+    await recordDeliveryResult(target);
     return {
       success: true,
       messageId: result.messageId,
+      threadName: result.threadName,
       message: result,
-      tier: 1
+      tier: 1,
+      attempts,
+      attemptLog
     };
   } catch (primaryError) {
     console.error(`❌ TIER 1: Primary delivery failed:`, primaryError.message);
+    await recordDeliveryResult(target, primaryError);
+
+    // A rate limited channel would refuse the backup tiers too; the caller buffers the overflow
+    if (primaryError.code === 'CHANNEL_OVERFLOW' || primaryError.code === 'RATE_LIMITED') {
+      return {
+        success: false,
+        overflow: true,
+        retryAfterMs: primaryError.retryAfterMs,
+        error: primaryError.message,
+        statusCode: 429
+      };
+    }
     
-    // Tier 2: Immediate retry with simple template
+    // Tier 2: Retry with simple template when the message itself was rejected
     try {
+      const reason = primaryError.classification?.reason;
+      if (reason !== 'http_400' && reason !== 'error') {
+        throw new Error(`Skipped, failure not caused by the message format (${reason})`);
+      }
       console.log(`🔄 TIER 2: Retry with simple template`);
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Brief delay
       
       const retryResult = await defaultChatClient.sendNotification(
-        webhookUrl,
+        target,
         webhookData,
         'simple', // Force simple template for compatibility
         null,
-        tenantId
+        tenantId,
+        sendOptions
       );
 
       console.log(`✅ TIER 2: Retry successful with simple template`);
+      await recordDeliveryResult(target);
       return {
         success: true,
         messageId: retryResult.messageId,
+        threadName: retryResult.threadName,
         message: retryResult,
         tier: 2,
         primaryError: primaryError.message
@@ -464,7 +604,7 @@ async function sendNotificationWithBackup(rule, webhookData, targetWebhook = nul
         
         if (alternativeWebhook) {
           const altResult = await defaultChatClient.sendNotification(
-            alternativeWebhook.webhook_url,
+            alternativeWebhook,
             webhookData,
             'simple',
             null,
@@ -489,7 +629,8 @@ async function sendNotificationWithBackup(rule, webhookData, targetWebhook = nul
         try {
           console.log(`🚨 TIER 4: Emergency direct processing`);
           const { processNotificationDirect } = require('../services/notificationFallback');
-          const emergencyResult = await processNotificationDirect(webhookData);
+          // This delivery's dead letter and circuit breaker failure are recorded once, by this processor
+          const emergencyResult = await processNotificationDirect(webhookData, { recordDeadLetters: false, recordHealth: false });
           
           if (emergencyResult.success && emergencyResult.notificationsSent > 0) {
             console.log(`✅ TIER 4: Emergency processing successful`);
@@ -516,7 +657,10 @@ async function sendNotificationWithBackup(rule, webhookData, targetWebhook = nul
               alternative: altError.message,
               emergency: emergencyError.message
             },
-            statusCode: 500
+            statusCode: primaryError.classification?.statusCode || 500,
+            // Tier 1 failure (with attempts and classification) for the dead-letter entry
+            failure: primaryError,
+            attemptLog: primaryError.attemptLog || []
           };
         }
       }
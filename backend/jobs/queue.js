@@ -1,4 +1,5 @@
 const { Queue } = require('bullmq');
+const { getJobRetryOptions } = require('../services/retryPolicy');
 
 // Redis connection configuration
 let redisConfig;
@@ -148,11 +149,8 @@ async function addNotificationJob(webhookData, options = {}) {
   try {
     const job = await notificationQueue.add('processNotification', webhookData, {
       delay: options.delay || 0,
-      attempts: options.attempts || 3,
-      backoff: {
-        type: 'exponential',
-        delay: 5000
-      },
+      ...getJobRetryOptions(),
+      ...(options.attempts && { attempts: options.attempts }),
       removeOnComplete: 50, // Keep last 50 completed jobs
       removeOnFail: 20      // Keep last 20 failed jobs
     });
@@ -168,6 +166,29 @@ async function addNotificationJob(webhookData, options = {}) {
   }
 }
 
+// Helper function to queue the redelivery of a dead letter (run by the notification worker)
+// Returns null when the queue is unavailable so the caller can redeliver another way
+async function addDeadLetterJob(tenantId, deadLetterId) {
+  if (!notificationQueue) {
+    return null;
+  }
+
+  try {
+    const job = await notificationQueue.add('redeliverDeadLetter', { tenantId, deadLetterId }, {
+      jobId: `dead-letter-${deadLetterId}`, // A dead letter already waiting is not queued twice
+      attempts: 1, // redeliverDeadLetter retries under the retry policy itself
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+
+    console.log(`Dead letter ${deadLetterId} queued for redelivery as job ${job.id}`);
+    return job;
+  } catch (error) {
+    console.error(`Failed to queue dead letter ${deadLetterId}:`, error.message);
+    return null;
+  }
+}
+
 // Helper function to get queue stats
 async function getQueueStats() {
   if (!notificationQueue) {
@@ -263,6 +284,7 @@ async function getQueueInfo() {
 module.exports = {
   notificationQueue,
   addNotificationJob,
+  addDeadLetterJob,
   getQueueStats,
   getQueueInfo,
   redisConfig,
@@ -0,0 +1,28 @@
+const cron = require('node-cron');
+const { processScheduledReports } = require('../services/scheduledReports');
+
+/**
+ * Report Scheduler
+ * Runs every 5 minutes to send scheduled reports that are due (services/scheduledReports.js)
+ */
+
+console.log('⏰ Starting report scheduler...');
+
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const result = await processScheduledReports();
+    if (result.processed > 0 || result.failed > 0) {
+      console.log(`📊 Sent ${result.processed} scheduled reports (${result.failed} deliveries failed)`);
+    }
+  } catch (error) {
+    console.error('Error processing scheduled reports:', error);
+  }
+}, {
+  timezone: 'UTC'
+});
+
+console.log('📋 Report scheduler started (runs every 5 minutes)');
+
+module.exports = {
+  processScheduledReports
+};
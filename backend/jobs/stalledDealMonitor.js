@@ -200,7 +200,7 @@ async function sendStalledDealAlerts(tenantId, stalledDeals) {
     
     // Send the alert
     const result = await defaultChatClient.sendNotification(
-      alertWebhook.webhook_url,
+      alertWebhook,
       {
         event: 'stalled.deals.alert',
         message_text: message,
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../services/database');
+const { getMember, hasRole } = require('../services/tenantUsers');
 
 /**
  * JWT Authentication Middleware
@@ -67,10 +68,35 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Role comes from the membership so role changes and removals apply to issued tokens.
+    // Tokens issued before workspaces carry no role and belonged to the tenant's only user.
+    let role = decoded.role || 'owner';
+    let memberId = null;
+    let memberName = null;
+    try {
+      const member = await getMember(tenant_id, user_id);
+      if (member?.status === 'removed') {
+        return res.status(403).json({
+          error: 'Your access to this workspace was removed',
+          code: 'MEMBER_REMOVED'
+        });
+      }
+      if (member) {
+        role = member.role;
+        memberId = member.id;
+        memberName = member.name || member.email;
+      }
+    } catch (memberError) {
+      console.warn('⚠️ Membership lookup failed, using token role:', memberError.message);
+    }
+
     // Add tenant info to request object
     req.tenant = {
       id: tenant_id,
       user_id,
+      member_id: memberId,
+      user_name: memberName,
+      role,
       company_id,
       company_name: tenant.company_name,
       pipedrive_company_id: tenant.pipedrive_company_id,
@@ -132,6 +158,24 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a minimum workspace role (use after authenticateToken)
+ * @param {string} minimumRole - viewer, editor, admin or owner
+ * @returns {Function} Express middleware
+ */
+const requireRole = (minimumRole) => (req, res, next) => {
+  const role = req.tenant?.role;
+  if (!hasRole(role, minimumRole)) {
+    return res.status(403).json({
+      error: `This action requires the ${minimumRole} role`,
+      code: 'INSUFFICIENT_ROLE',
+      role: role || null,
+      required_role: minimumRole
+    });
+  }
+  next();
+};
+
 /**
  * Generate JWT token for tenant
  * @param {Object} tenantData - Tenant information
@@ -143,6 +187,7 @@ const generateToken = (tenantData) => {
     user_id: tenantData.user_id,
     company_id: tenantData.company_id,
     company_name: tenantData.company_name,
+    role: tenantData.role || 'viewer',
     iat: Math.floor(Date.now() / 1000)
   };
 
@@ -154,7 +199,8 @@ const generateToken = (tenantData) => {
     access_token: accessToken,
     token_type: 'Bearer',
     expires_in: 7 * 24 * 60 * 60, // 7 days in seconds
-    tenant_id: tenantData.tenant_id
+    tenant_id: tenantData.tenant_id,
+    role: payload.role
   };
 };
 
@@ -172,7 +218,8 @@ const refreshToken = async (refreshToken) => {
       tenant_id: decoded.tenant_id,
       user_id: decoded.user_id,
       company_id: decoded.company_id,
-      company_name: decoded.company_name
+      company_name: decoded.company_name,
+      role: decoded.role
     });
     
     return newToken;
@@ -228,6 +275,7 @@ const extractTenantId = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  requireRole,
   optionalAuth,
   generateToken,
   refreshToken,
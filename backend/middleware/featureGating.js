@@ -81,8 +81,10 @@ function requireFeature(feature) {
       // Extract tenant ID from JWT token
       let tenantId = null;
       
-      // First try to get from JWT token (most common case)
-      if (req.user && req.user.tenant_id) {
+      // First try the authenticated tenant (set by authenticateToken), then the JWT payload
+      if (req.tenant && req.tenant.id) {
+        tenantId = req.tenant.id;
+      } else if (req.user && req.user.tenant_id) {
         tenantId = req.user.tenant_id;
       }
       // Fallback to request parameters for specific endpoints
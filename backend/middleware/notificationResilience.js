@@ -121,7 +121,7 @@ async function tryFallbackOperation(context) {
     // Use direct notification delivery
     const { defaultChatClient } = require('../services/chatClient');
     return await defaultChatClient.sendNotification(
-      context.targetWebhook?.webhook_url,
+      context.targetWebhook,
       context.webhookData,
       context.rule.template_mode,
       context.rule.custom_template,
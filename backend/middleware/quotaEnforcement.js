@@ -339,6 +339,7 @@ async function checkFeatureAvailability(tenantId, feature) {
       'daily_summaries': ['team'],
       'team_metrics': ['team'],
       'api_access': ['team'],
+      'custom_field_filtering': ['team'],
       'priority_support': ['pro', 'team'],
       'dedicated_support': ['team']
     };
@@ -0,0 +1,20 @@
+-- Migration 020: Add channel type to chat_webhooks
+-- Lets a webhook row target Google Chat, Slack, Microsoft Teams or a generic HTTP endpoint
+
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS channel_type VARCHAR(20) NOT NULL DEFAULT 'google_chat';
+
+-- Backfill existing rows from their URL (everything so far was created as Google Chat)
+UPDATE chat_webhooks SET channel_type = 'slack'
+  WHERE channel_type = 'google_chat' AND webhook_url LIKE 'https://hooks.slack.com/%';
+
+UPDATE chat_webhooks SET channel_type = 'teams'
+  WHERE channel_type = 'google_chat'
+    AND (webhook_url ~ '^https://[^/]+\.webhook\.office\.com/' OR webhook_url ~ '^https://[^/]+\.logic\.azure\.com(:443)?/');
+
+ALTER TABLE chat_webhooks DROP CONSTRAINT IF EXISTS valid_channel_type;
+ALTER TABLE chat_webhooks ADD CONSTRAINT valid_channel_type
+  CHECK (channel_type IN ('google_chat', 'slack', 'teams', 'generic'));
+
+CREATE INDEX IF NOT EXISTS idx_chat_webhooks_channel_type ON chat_webhooks(tenant_id, channel_type);
+
+COMMENT ON COLUMN chat_webhooks.channel_type IS 'Delivery provider: google_chat, slack, teams or generic (HTTP JSON POST)';
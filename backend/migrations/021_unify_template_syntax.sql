@@ -0,0 +1,46 @@
+-- Migration 021: Unify template syntax on {{variable}}
+-- Legacy single-brace variables ({deal.title}) are rewritten to the canonical {{deal.title}} form.
+-- Mirrors normalizeTemplateSyntax() in services/templateLanguage.js.
+-- Migrations re-run on every boot, so the rewrite is recorded in data_migrations and only runs
+-- once; templates edited afterwards (e.g. a deliberate '$' before {{deal.value}}) are left alone.
+
+CREATE TABLE IF NOT EXISTS data_migrations (
+    name VARCHAR(100) PRIMARY KEY,
+    applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM data_migrations WHERE name = '021_unify_template_syntax') THEN
+        UPDATE rules
+        SET custom_template = regexp_replace(
+            custom_template,
+            '(?<!\{)\{([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)+)\}(?!\})',
+            '{{\1}}',
+            'g'
+          )
+        WHERE custom_template IS NOT NULL
+          AND custom_template ~ '(?<!\{)\{[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)+\}(?!\})';
+
+        UPDATE template_presets
+        SET template_content = regexp_replace(
+            template_content,
+            '(?<!\{)\{([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)+)\}(?!\})',
+            '{{\1}}',
+            'g'
+          )
+        WHERE template_content ~ '(?<!\{)\{[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)+\}(?!\})';
+
+        -- Library templates used to prefix {{deal.value}} with '$' although the value is already
+        -- formatted with its currency symbol
+        UPDATE rules
+        SET custom_template = replace(custom_template, '${{deal.value}}', '{{deal.value}}')
+        WHERE custom_template LIKE '%${{deal.value}}%';
+
+        INSERT INTO data_migrations (name) VALUES ('021_unify_template_syntax');
+    END IF;
+END $$;
+
+COMMENT ON COLUMN rules.custom_template IS 'Custom template using {{variable | filter}}, {{#if}} and {{#each}} syntax';
+COMMENT ON COLUMN template_presets.template_content IS 'Template content using {{variable | filter}}, {{#if}} and {{#each}} syntax';
+COMMENT ON TABLE data_migrations IS 'One-off data rewrites that have already run (migrations re-run on every boot)';
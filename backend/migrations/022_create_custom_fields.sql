@@ -0,0 +1,26 @@
+-- Migration 022: Per-tenant Pipedrive custom field schema
+-- Synced from the dealFields/personFields/organizationFields APIs so rules and templates
+-- can refer to custom fields by their human name instead of the 40-character hash key
+
+CREATE TABLE IF NOT EXISTS pipedrive_custom_fields (
+  id SERIAL PRIMARY KEY,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  entity_type VARCHAR(20) NOT NULL, -- 'deal', 'person', 'organization'
+  field_key VARCHAR(64) NOT NULL, -- Pipedrive hash key used in API payloads
+  name VARCHAR(255) NOT NULL,
+  field_type VARCHAR(30) NOT NULL, -- varchar, double, monetary, date, enum, set, ...
+  options JSONB NOT NULL DEFAULT '[]', -- [{ id, label }] for enum/set fields
+  synced_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT unique_tenant_custom_field UNIQUE (tenant_id, entity_type, field_key)
+);
+
+ALTER TABLE pipedrive_custom_fields DROP CONSTRAINT IF EXISTS valid_custom_field_entity;
+ALTER TABLE pipedrive_custom_fields ADD CONSTRAINT valid_custom_field_entity
+  CHECK (entity_type IN ('deal', 'person', 'organization'));
+
+CREATE INDEX IF NOT EXISTS idx_custom_fields_tenant_entity ON pipedrive_custom_fields(tenant_id, entity_type);
+CREATE INDEX IF NOT EXISTS idx_custom_fields_tenant_name ON pipedrive_custom_fields(tenant_id, lower(name));
+
+COMMENT ON TABLE pipedrive_custom_fields IS 'Pipedrive custom field definitions per tenant, keyed by hash key and resolvable by name';
+COMMENT ON COLUMN pipedrive_custom_fields.options IS 'Option id/label pairs for enum and set fields';
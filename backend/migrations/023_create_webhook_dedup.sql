@@ -0,0 +1,25 @@
+-- Migration 023: Durable webhook deduplication
+-- Fallback idempotency store when Redis is unavailable, plus per-tenant duplicate counters.
+-- Keys are shared by the API process, the BullMQ worker and all replicas, and survive restarts.
+
+CREATE TABLE IF NOT EXISTS processed_webhooks (
+  dedup_key VARCHAR(255) PRIMARY KEY, -- correlation_id-entity_id-event
+  tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_webhooks_expires_at ON processed_webhooks(expires_at);
+
+-- Hourly buckets of duplicate webhooks skipped per tenant (Redis and Postgres modes alike)
+CREATE TABLE IF NOT EXISTS webhook_duplicate_counts (
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  bucket TIMESTAMP NOT NULL,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (tenant_id, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_duplicate_counts_bucket ON webhook_duplicate_counts(bucket);
+
+COMMENT ON TABLE processed_webhooks IS 'Webhook idempotency keys (used when Redis is not available); rows expire after the dedup TTL';
+COMMENT ON TABLE webhook_duplicate_counts IS 'Duplicate webhooks skipped per tenant per hour';
@@ -0,0 +1,41 @@
+-- Migration 024: Notification digests
+-- Rules can deliver immediately, as a digest every N minutes, or as a daily digest at HH:MM
+-- in the tenant timezone. Matched events are buffered in delayed_notifications until the
+-- digest is due and then sent as one grouped message by the delayed notification processor.
+
+ALTER TABLE rules ADD COLUMN IF NOT EXISTS delivery_mode VARCHAR(20) NOT NULL DEFAULT 'immediate';
+ALTER TABLE rules ADD COLUMN IF NOT EXISTS digest_interval_minutes INTEGER;
+ALTER TABLE rules ADD COLUMN IF NOT EXISTS digest_time TIME;
+
+ALTER TABLE rules DROP CONSTRAINT IF EXISTS valid_delivery_mode;
+ALTER TABLE rules ADD CONSTRAINT valid_delivery_mode CHECK (
+  (delivery_mode = 'immediate') OR
+  (delivery_mode = 'digest' AND digest_interval_minutes BETWEEN 5 AND 1440) OR
+  (delivery_mode = 'daily_digest' AND digest_time IS NOT NULL)
+);
+
+-- Buffered digest events live next to quiet-hours delays
+ALTER TABLE delayed_notifications ADD COLUMN IF NOT EXISTS delivery_type VARCHAR(20) NOT NULL DEFAULT 'delayed';
+ALTER TABLE delayed_notifications ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES rules(id) ON DELETE CASCADE;
+
+-- Migration 032 owns valid_delivery_type (it adds 'overflow'); only create it here on a database
+-- that does not have it yet, so re-running this file never narrows it again
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'delayed_notifications'::regclass
+        AND conname = 'valid_delivery_type'
+    ) THEN
+        ALTER TABLE delayed_notifications ADD CONSTRAINT valid_delivery_type CHECK (delivery_type IN ('delayed', 'digest'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_delayed_notifications_digest_ready
+  ON delayed_notifications(scheduled_for, rule_id) WHERE delivery_type = 'digest' AND status = 'pending';
+
+COMMENT ON COLUMN rules.delivery_mode IS 'immediate, digest (every digest_interval_minutes) or daily_digest (at digest_time in tenant timezone)';
+COMMENT ON COLUMN rules.digest_interval_minutes IS 'Digest window length for delivery_mode = digest (5-1440)';
+COMMENT ON COLUMN rules.digest_time IS 'Local send time for delivery_mode = daily_digest';
+COMMENT ON COLUMN delayed_notifications.delivery_type IS 'delayed (quiet hours) or digest (buffered event for a digest rule)';
+COMMENT ON COLUMN delayed_notifications.rule_id IS 'Rule whose digest this event belongs to';
@@ -0,0 +1,22 @@
+-- Migration 025: Threaded Google Chat replies
+-- Webhooks (and optionally individual rules) can thread notifications by entity, so all
+-- updates for one deal land in a single Chat thread. Logs keep the returned message and
+-- thread name so later events reply to the same thread.
+
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS thread_by_entity BOOLEAN NOT NULL DEFAULT false;
+
+-- NULL inherits the webhook setting
+ALTER TABLE rules ADD COLUMN IF NOT EXISTS thread_by_entity BOOLEAN;
+
+ALTER TABLE logs ADD COLUMN IF NOT EXISTS message_name VARCHAR(255);
+ALTER TABLE logs ADD COLUMN IF NOT EXISTS thread_key VARCHAR(100);
+ALTER TABLE logs ADD COLUMN IF NOT EXISTS thread_name VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_logs_thread_lookup
+  ON logs(webhook_id, thread_key, created_at DESC) WHERE thread_name IS NOT NULL;
+
+COMMENT ON COLUMN chat_webhooks.thread_by_entity IS 'Google Chat: post updates for the same entity (deal-<id>) into one thread';
+COMMENT ON COLUMN rules.thread_by_entity IS 'Overrides chat_webhooks.thread_by_entity for this rule (NULL = use webhook setting)';
+COMMENT ON COLUMN logs.message_name IS 'Message reference returned by the channel (Google Chat spaces/.../messages/...)';
+COMMENT ON COLUMN logs.thread_key IS 'Entity thread key the message was posted with (e.g. deal-42)';
+COMMENT ON COLUMN logs.thread_name IS 'Google Chat thread name returned for the message';
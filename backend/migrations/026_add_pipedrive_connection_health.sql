@@ -0,0 +1,15 @@
+-- Migration 026: Pipedrive OAuth connection health
+-- The connection manager refreshes access tokens ahead of expiry and records why a
+-- connection stopped working, so the dashboard can ask the user to reconnect Pipedrive.
+
+ALTER TABLE pipedrive_connections ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active';
+ALTER TABLE pipedrive_connections ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMPTZ;
+ALTER TABLE pipedrive_connections ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+UPDATE pipedrive_connections SET status = 'active' WHERE status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pipedrive_connections_status ON pipedrive_connections(status);
+
+COMMENT ON COLUMN pipedrive_connections.status IS 'active, expired (token lapsed and could not be refreshed) or revoked (refresh rejected - reconnect required)';
+COMMENT ON COLUMN pipedrive_connections.last_refreshed_at IS 'Last successful access token refresh';
+COMMENT ON COLUMN pipedrive_connections.last_error IS 'Last refresh or authorization error';
@@ -0,0 +1,37 @@
+-- Migration 027: Multi-user workspaces
+-- Tenants are per Pipedrive company; every Pipedrive user who signs in becomes a member
+-- with a role. Invites are stored by email and activated on the invitee's first login.
+
+CREATE TABLE IF NOT EXISTS tenant_users (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    pipedrive_user_id INTEGER,
+    email VARCHAR(255),
+    name VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    invited_by INTEGER REFERENCES tenant_users(id) ON DELETE SET NULL,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT tenant_users_role_check CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+    CONSTRAINT tenant_users_status_check CHECK (status IN ('active', 'invited', 'removed')),
+    CONSTRAINT tenant_users_identity_check CHECK (pipedrive_user_id IS NOT NULL OR email IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_users_tenant_user
+  ON tenant_users(tenant_id, pipedrive_user_id) WHERE pipedrive_user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_users_tenant_email
+  ON tenant_users(tenant_id, LOWER(email)) WHERE email IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tenant_users_pipedrive_user ON tenant_users(pipedrive_user_id);
+
+-- The user who created each existing tenant owns it
+INSERT INTO tenant_users (tenant_id, pipedrive_user_id, name, role, status)
+SELECT id, pipedrive_user_id, pipedrive_user_name, 'owner', 'active'
+FROM tenants
+WHERE pipedrive_user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE tenant_users IS 'Workspace members of a tenant (Pipedrive company) and their roles';
+COMMENT ON COLUMN tenant_users.role IS 'owner > admin (members, webhooks) > editor (rules) > viewer (read-only)';
+COMMENT ON COLUMN tenant_users.status IS 'invited = waiting for first login, removed = access revoked';
@@ -0,0 +1,43 @@
+-- Migration 028: Audit trail of configuration changes
+-- Append-only record of who changed rules, webhooks, quiet hours, members and plans.
+-- Rows are never updated; they are only deleted by the plan-based retention cleanup.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    actor_type VARCHAR(20) NOT NULL DEFAULT 'user',
+    actor_id INTEGER,
+    actor_name VARCHAR(255),
+    actor_role VARCHAR(20),
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(100),
+    before_state JSONB,
+    after_state JSONB,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT audit_events_actor_type_check CHECK (actor_type IN ('user', 'system', 'billing'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant_created ON audit_events(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(tenant_id, entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(tenant_id, action);
+
+-- Enforce append-only: updates are rejected
+CREATE OR REPLACE FUNCTION prevent_audit_event_update() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_no_update ON audit_events;
+CREATE TRIGGER audit_events_no_update
+    BEFORE UPDATE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_event_update();
+
+COMMENT ON TABLE audit_events IS 'Append-only audit trail of configuration changes (retention follows PLAN_LIMITS.log_retention_days)';
+COMMENT ON COLUMN audit_events.actor_id IS 'Pipedrive user id of the acting member (NULL for system/billing events)';
+COMMENT ON COLUMN audit_events.changes IS 'Changed fields: { field: { before, after } }';
@@ -0,0 +1,105 @@
+-- Migration 029: Rule versioning and snapshots
+-- Every insert/update/delete on rules writes an immutable rule_versions row (via trigger, so bulk
+-- operations, imports and provisioning are covered too). rule_snapshots hold named copies of a
+-- tenant's whole rule set that can be diffed and restored.
+
+CREATE TABLE IF NOT EXISTS rule_versions (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    rule_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT rule_versions_change_type_check CHECK (change_type IN ('created', 'updated', 'deleted', 'restored')),
+    CONSTRAINT rule_versions_rule_version_key UNIQUE (rule_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_versions_tenant ON rule_versions(tenant_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS rule_snapshots (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    snapshot_type VARCHAR(20) NOT NULL DEFAULT 'manual',
+    rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+    rule_count INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_by_name VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT rule_snapshots_type_check CHECK (snapshot_type IN ('manual', 'automatic'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_snapshots_tenant ON rule_snapshots(tenant_id, created_at DESC);
+
+-- Versions and snapshots are immutable
+CREATE OR REPLACE FUNCTION prevent_rule_history_update() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is immutable', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rule_versions_no_update ON rule_versions;
+CREATE TRIGGER rule_versions_no_update
+    BEFORE UPDATE ON rule_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_rule_history_update();
+
+DROP TRIGGER IF EXISTS rule_snapshots_no_update ON rule_snapshots;
+CREATE TRIGGER rule_snapshots_no_update
+    BEFORE UPDATE ON rule_snapshots
+    FOR EACH ROW EXECUTE FUNCTION prevent_rule_history_update();
+
+-- Record a version for every rule change. A restore sets pipenotify.rule_change = 'restored'
+-- (transaction-local set_config) so its versions are labelled as such.
+CREATE OR REPLACE FUNCTION record_rule_version() RETURNS TRIGGER AS $$
+DECLARE
+    rule_row rules%ROWTYPE;
+    change VARCHAR(20);
+    next_version INTEGER;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        rule_row := OLD;
+        change := 'deleted';
+        -- Rules removed because their tenant is being deleted need no history
+        IF NOT EXISTS (SELECT 1 FROM tenants WHERE id = OLD.tenant_id) THEN
+            RETURN OLD;
+        END IF;
+    ELSE
+        rule_row := NEW;
+        change := CASE WHEN TG_OP = 'INSERT' THEN 'created' ELSE 'updated' END;
+        -- Touching only updated_at is not a new version
+        IF TG_OP = 'UPDATE' AND (to_jsonb(NEW) - 'updated_at') = (to_jsonb(OLD) - 'updated_at') THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    IF TG_OP <> 'DELETE' AND current_setting('pipenotify.rule_change', true) = 'restored' THEN
+        change := 'restored';
+    END IF;
+
+    -- Hold the rule row lock before numbering, so concurrent edits of one rule take turns and the
+    -- second one sees the version the first wrote instead of picking the same number
+    PERFORM 1 FROM rules WHERE id = rule_row.id FOR UPDATE;
+    SELECT COALESCE(MAX(version), 0) + 1 INTO next_version FROM rule_versions WHERE rule_id = rule_row.id;
+
+    INSERT INTO rule_versions (tenant_id, rule_id, version, change_type, snapshot)
+    VALUES (rule_row.tenant_id, rule_row.id, next_version, change, to_jsonb(rule_row));
+
+    RETURN rule_row;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rules_record_version ON rules;
+CREATE TRIGGER rules_record_version
+    AFTER INSERT OR UPDATE OR DELETE ON rules
+    FOR EACH ROW EXECUTE FUNCTION record_rule_version();
+
+-- Existing rules start at version 1
+INSERT INTO rule_versions (tenant_id, rule_id, version, change_type, snapshot)
+SELECT r.tenant_id, r.id, 1, 'created', to_jsonb(r)
+FROM rules r
+WHERE NOT EXISTS (SELECT 1 FROM rule_versions v WHERE v.rule_id = r.id);
+
+COMMENT ON TABLE rule_versions IS 'Immutable history of every rule change (written by the rules_record_version trigger)';
+COMMENT ON TABLE rule_snapshots IS 'Named copies of a tenant''s rule set; automatic snapshots are taken before each restore';
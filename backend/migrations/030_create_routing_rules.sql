@@ -0,0 +1,28 @@
+-- Migration 030: Tenant-defined channel routing rules
+-- Replaces the hardcoded value/probability/time/keyword heuristics in channelRouter.routeToChannel.
+-- Routing rules are evaluated in position order; conditions use the notification rule filter
+-- vocabulary. A first_match rule stops evaluation, a fan_out rule adds its targets and continues.
+-- When no routing rule matches, the notification rule's own target webhook is used.
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    event_type VARCHAR(100) NOT NULL DEFAULT '*',
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    target_webhook_ids INTEGER[] NOT NULL,
+    match_mode VARCHAR(20) NOT NULL DEFAULT 'first_match',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT routing_rules_match_mode_check CHECK (match_mode IN ('first_match', 'fan_out')),
+    CONSTRAINT routing_rules_targets_check CHECK (cardinality(target_webhook_ids) > 0),
+    CONSTRAINT routing_rules_tenant_name_key UNIQUE (tenant_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_tenant_position ON routing_rules(tenant_id, position);
+
+COMMENT ON TABLE routing_rules IS 'Ordered per-tenant channel routing: conditions (rule filter vocabulary) -> target webhooks';
+COMMENT ON COLUMN routing_rules.match_mode IS 'first_match stops evaluation when the rule matches; fan_out adds its targets and continues';
+COMMENT ON COLUMN routing_rules.target_webhook_ids IS 'chat_webhooks ids; deleted or inactive webhooks are ignored at routing time';
@@ -0,0 +1,28 @@
+-- Migration 031: Rule targets (fan-out)
+-- A rule can deliver to several webhooks, each with an optional template override and its own
+-- enable flag. rules.target_webhook_id stays as the rule's primary target; rules without
+-- rule_targets rows keep delivering to it alone.
+
+CREATE TABLE IF NOT EXISTS rule_targets (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    rule_id INTEGER NOT NULL REFERENCES rules(id) ON DELETE CASCADE,
+    webhook_id INTEGER NOT NULL REFERENCES chat_webhooks(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    template_mode VARCHAR(20),
+    custom_template TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT rule_targets_template_mode_check
+        CHECK (template_mode IS NULL OR template_mode IN ('simple', 'compact', 'detailed', 'card', 'custom')),
+    CONSTRAINT rule_targets_custom_template_check
+        CHECK (template_mode IS DISTINCT FROM 'custom' OR custom_template IS NOT NULL),
+    CONSTRAINT rule_targets_rule_webhook_key UNIQUE (rule_id, webhook_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_targets_rule ON rule_targets(rule_id, position);
+CREATE INDEX IF NOT EXISTS idx_rule_targets_webhook ON rule_targets(webhook_id);
+
+COMMENT ON TABLE rule_targets IS 'Webhooks a rule fans out to; rules without targets use rules.target_webhook_id';
+COMMENT ON COLUMN rule_targets.template_mode IS 'Overrides rules.template_mode for this webhook (NULL = use the rule''s template)';
@@ -0,0 +1,27 @@
+-- Migration 032: Per-channel rate limiting
+-- Deliveries wait for a per-webhook token bucket (services/channelRateLimiter.js). Sends that
+-- cannot get a slot in time are buffered as 'overflow' rows in delayed_notifications and sent
+-- as one summary message per channel. Daily counters feed /api/v1/analytics/channels.
+
+CREATE TABLE IF NOT EXISTS channel_rate_limit_stats (
+    webhook_id INTEGER NOT NULL REFERENCES chat_webhooks(id) ON DELETE CASCADE,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    day DATE NOT NULL DEFAULT CURRENT_DATE,
+    throttled_count INTEGER NOT NULL DEFAULT 0,
+    throttled_wait_ms BIGINT NOT NULL DEFAULT 0,
+    rate_limited_count INTEGER NOT NULL DEFAULT 0,
+    overflow_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (webhook_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_channel_rate_limit_stats_tenant ON channel_rate_limit_stats(tenant_id, day);
+
+-- The one definition of the allowed delivery types (024 only creates a placeholder on new databases)
+ALTER TABLE delayed_notifications DROP CONSTRAINT IF EXISTS valid_delivery_type;
+ALTER TABLE delayed_notifications ADD CONSTRAINT valid_delivery_type CHECK (delivery_type IN ('delayed', 'digest', 'overflow'));
+
+CREATE INDEX IF NOT EXISTS idx_delayed_notifications_overflow_due
+  ON delayed_notifications(scheduled_for) WHERE delivery_type = 'overflow' AND status = 'pending';
+
+COMMENT ON TABLE channel_rate_limit_stats IS 'Daily per-webhook rate limiting counters: sends that waited for a slot, 429 responses and sends collapsed into overflow summaries';
+COMMENT ON COLUMN delayed_notifications.delivery_type IS 'delayed (quiet hours), digest (buffered event for a digest rule) or overflow (collapsed into a channel summary after rate limiting)';
@@ -0,0 +1,47 @@
+-- Migration 033: Dead-letter queue and delivery attempts
+-- Notifications that fail permanently or run out of retry attempts (services/retryPolicy.js) are
+-- kept in dead_letters with their payload and last error, so they can be inspected, pointed at
+-- another webhook, and requeued or discarded from the Dashboard. delivery_attempts (from the
+-- original schema) records each try behind a log entry.
+
+CREATE TABLE IF NOT EXISTS delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    log_id INTEGER NOT NULL REFERENCES logs(id) ON DELETE CASCADE,
+    attempt_number INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('success', 'failed')),
+    error_message TEXT,
+    response_code INTEGER,
+    response_time_ms INTEGER,
+    attempted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_attempts_log_id ON delivery_attempts(log_id);
+
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    rule_id INTEGER REFERENCES rules(id) ON DELETE SET NULL,
+    rule_name TEXT,
+    webhook_id INTEGER REFERENCES chat_webhooks(id) ON DELETE SET NULL,
+    log_id INTEGER REFERENCES logs(id) ON DELETE SET NULL,
+    event_type TEXT,
+    payload JSONB NOT NULL,
+    template_mode VARCHAR(20),
+    custom_template TEXT,
+    error_message TEXT,
+    error_reason TEXT,
+    response_code INTEGER,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    requeue_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'dead',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMP,
+    CONSTRAINT dead_letters_status_check CHECK (status IN ('dead', 'delivered', 'discarded'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letters_tenant_status ON dead_letters(tenant_id, status, created_at DESC);
+
+COMMENT ON TABLE dead_letters IS 'Notifications that failed permanently or exhausted the retry policy; requeued or discarded from the Dashboard';
+COMMENT ON COLUMN dead_letters.error_reason IS 'retryPolicy.classifyError reason of the last failure (http_404, network, error, ...)';
+COMMENT ON COLUMN dead_letters.status IS 'dead (awaiting action), delivered (requeued successfully) or discarded';
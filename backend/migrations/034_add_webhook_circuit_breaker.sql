@@ -0,0 +1,19 @@
+-- Migration 034: Webhook circuit breaker
+-- A webhook whose Chat space was deleted or revoked answers 403/404/410 forever. After
+-- WEBHOOK_FAILURE_THRESHOLD consecutive permanent failures it is deactivated with a reason, the
+-- rules that only deliver to it are paused, and the tenant is alerted through another channel
+-- (services/webhookHealth.js). Re-testing it from the dashboard re-enables both.
+
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMPTZ;
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS last_failure_code INTEGER;
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+ALTER TABLE chat_webhooks ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+
+ALTER TABLE rules ADD COLUMN IF NOT EXISTS paused_by_webhook_id INTEGER REFERENCES chat_webhooks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rules_paused_by_webhook ON rules(paused_by_webhook_id) WHERE paused_by_webhook_id IS NOT NULL;
+
+COMMENT ON COLUMN chat_webhooks.consecutive_failures IS 'Permanent delivery failures (401/403/404/410) since the last successful send';
+COMMENT ON COLUMN chat_webhooks.disabled_reason IS 'Why the circuit breaker deactivated the webhook (NULL when active or disabled by a user)';
+COMMENT ON COLUMN rules.paused_by_webhook_id IS 'Webhook whose circuit breaker disabled this rule; the rule is re-enabled with the webhook';
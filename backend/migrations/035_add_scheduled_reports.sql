@@ -0,0 +1,28 @@
+-- Migration 035: Tenant scheduled reports
+-- report_subscriptions and report_delivery_log (migration 019) were only used for system-wide
+-- reports. Scheduled reports (services/scheduledReports.js) belong to a tenant, go to a Chat
+-- webhook and/or email recipients, and run daily, weekly or monthly at a local hour in the
+-- tenant's timezone. Every send is recorded in report_delivery_log for the delivery history.
+
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE;
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS name VARCHAR(100);
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS recipients TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS webhook_id INTEGER REFERENCES chat_webhooks(id) ON DELETE SET NULL;
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS send_hour SMALLINT NOT NULL DEFAULT 8;
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ;
+ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Tenant reports list their recipients instead of one subscriber
+ALTER TABLE report_subscriptions ALTER COLUMN subscriber_email DROP NOT NULL;
+
+ALTER TABLE report_subscriptions DROP CONSTRAINT IF EXISTS valid_report_send_hour;
+ALTER TABLE report_subscriptions ADD CONSTRAINT valid_report_send_hour
+  CHECK (send_hour BETWEEN 0 AND 23);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_tenant ON report_subscriptions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_due ON report_subscriptions(next_run_at) WHERE active = true AND tenant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_log_subscription ON report_delivery_log(subscription_id, last_attempt DESC);
+
+COMMENT ON COLUMN report_subscriptions.recipients IS 'Email addresses the HTML report is sent to';
+COMMENT ON COLUMN report_subscriptions.webhook_id IS 'Chat webhook the report card is posted to';
+COMMENT ON COLUMN report_subscriptions.send_hour IS 'Local hour (tenant timezone) the report is sent at';
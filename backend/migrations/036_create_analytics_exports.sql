@@ -0,0 +1,56 @@
+-- Migration 036: Analytics exports
+-- Exports requested from Advanced Analytics are generated in the background
+-- (services/analyticsExports.js) as CSV, XLSX or PDF files. The file is kept in the row until
+-- expires_at, then dropped by the log cleanup job; downloads are served with Content-Disposition.
+
+CREATE TABLE IF NOT EXISTS analytics_exports (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    export_type VARCHAR(10) NOT NULL,
+    data_range VARCHAR(10) NOT NULL,
+    filter_criteria JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    file_name TEXT,
+    content_type TEXT,
+    file_data BYTEA,
+    file_size INTEGER,
+    row_count INTEGER,
+    error_message TEXT,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    requested_by INTEGER REFERENCES tenant_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ
+);
+
+-- Databases that ran db/migrations/add_advanced_analytics_tables.sql by hand have an older table
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS file_name TEXT;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS content_type TEXT;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS file_data BYTEA;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS file_size INTEGER;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS row_count INTEGER;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS requested_by INTEGER REFERENCES tenant_users(id) ON DELETE SET NULL;
+ALTER TABLE analytics_exports ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE analytics_exports DROP COLUMN IF EXISTS file_path;
+UPDATE analytics_exports SET export_type = 'xlsx' WHERE export_type = 'excel';
+UPDATE analytics_exports SET filter_criteria = '{}' WHERE filter_criteria IS NULL;
+ALTER TABLE analytics_exports ALTER COLUMN filter_criteria SET DEFAULT '{}';
+ALTER TABLE analytics_exports ALTER COLUMN filter_criteria SET NOT NULL;
+-- Exports queued before this migration never got a file
+UPDATE analytics_exports SET status = 'expired' WHERE status = 'completed' AND file_data IS NULL;
+
+ALTER TABLE analytics_exports DROP CONSTRAINT IF EXISTS valid_export_type;
+ALTER TABLE analytics_exports ADD CONSTRAINT valid_export_type
+  CHECK (export_type IN ('csv', 'xlsx', 'pdf'));
+ALTER TABLE analytics_exports DROP CONSTRAINT IF EXISTS valid_export_status;
+ALTER TABLE analytics_exports ADD CONSTRAINT valid_export_status
+  CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_analytics_exports_tenant ON analytics_exports(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_exports_pending ON analytics_exports(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_analytics_exports_expires ON analytics_exports(expires_at) WHERE status = 'completed';
+
+COMMENT ON TABLE analytics_exports IS 'Background analytics exports (CSV, XLSX, PDF) with the generated file until expires_at';
+COMMENT ON COLUMN analytics_exports.filter_criteria IS 'Export filters: successful_only, failed_only, specific_channels, high_value_deals';
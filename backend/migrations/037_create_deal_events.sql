@@ -0,0 +1,39 @@
+-- Migration 037: Deal event fact table
+-- Every deal webhook is recorded by processNotification (services/dealEvents.js) whether or not
+-- a rule matched or a notification was sent. Each row keeps the deal's state after the event and
+-- what changed (stage, status), so pipeline analytics (services/salesAnalytics.js) can compute win
+-- rate, deal cycle, stage conversion, time in stage and owner leaderboards without Pipedrive.
+
+CREATE TABLE IF NOT EXISTS deal_events (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    deal_id BIGINT NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    change_type VARCHAR(20) NOT NULL,
+    pipeline_id INTEGER,
+    stage_id INTEGER,
+    previous_stage_id INTEGER,
+    stage_entered_at TIMESTAMPTZ,
+    seconds_in_previous_stage INTEGER,
+    status VARCHAR(20),
+    previous_status VARCHAR(20),
+    owner_id INTEGER,
+    value NUMERIC(15, 2),
+    currency VARCHAR(10),
+    deal_added_at TIMESTAMPTZ,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE deal_events DROP CONSTRAINT IF EXISTS valid_deal_change_type;
+ALTER TABLE deal_events ADD CONSTRAINT valid_deal_change_type
+  CHECK (change_type IN ('created', 'stage_changed', 'won', 'lost', 'reopened', 'updated', 'deleted'));
+
+CREATE INDEX IF NOT EXISTS idx_deal_events_tenant_time ON deal_events(tenant_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deal_events_deal ON deal_events(tenant_id, deal_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deal_events_closed ON deal_events(tenant_id, occurred_at) WHERE status IN ('won', 'lost');
+
+COMMENT ON TABLE deal_events IS 'Deal webhook events with the deal state after each event, recorded independently of notifications';
+COMMENT ON COLUMN deal_events.change_type IS 'created, stage_changed, won, lost, reopened, updated or deleted';
+COMMENT ON COLUMN deal_events.stage_entered_at IS 'When the deal entered stage_id, as known at this event';
+COMMENT ON COLUMN deal_events.seconds_in_previous_stage IS 'Time spent in previous_stage_id, set on stage changes';
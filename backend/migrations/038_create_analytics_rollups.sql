@@ -0,0 +1,44 @@
+-- Migration 038: Delivery analytics rollups
+-- Delivery counts and response times from logs are folded into hourly and daily rollups by the
+-- rollup job (services/analyticsRollups.js), so /api/v1/analytics reads these instead of scanning
+-- logs. Only logs past the rollup watermark (analytics_rollup_state.last_log_id) are read raw.
+-- Rollups outlive plan log retention; rule_id and webhook_id are 0 for logs without one.
+
+CREATE TABLE IF NOT EXISTS analytics_hourly_rollups (
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    bucket TIMESTAMPTZ NOT NULL,
+    rule_id INTEGER NOT NULL DEFAULT 0,
+    webhook_id INTEGER NOT NULL DEFAULT 0,
+    total_count INTEGER NOT NULL DEFAULT 0,
+    success_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    response_time_sum BIGINT NOT NULL DEFAULT 0,
+    response_time_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (tenant_id, bucket, rule_id, webhook_id)
+);
+
+CREATE TABLE IF NOT EXISTS analytics_daily_rollups (
+    tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    bucket TIMESTAMPTZ NOT NULL,
+    rule_id INTEGER NOT NULL DEFAULT 0,
+    webhook_id INTEGER NOT NULL DEFAULT 0,
+    total_count INTEGER NOT NULL DEFAULT 0,
+    success_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    response_time_sum BIGINT NOT NULL DEFAULT 0,
+    response_time_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (tenant_id, bucket, rule_id, webhook_id)
+);
+
+CREATE TABLE IF NOT EXISTS analytics_rollup_state (
+    name VARCHAR(50) PRIMARY KEY,
+    last_log_id BIGINT NOT NULL DEFAULT 0,
+    rolled_up_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO analytics_rollup_state (name) VALUES ('logs') ON CONFLICT (name) DO NOTHING;
+
+COMMENT ON TABLE analytics_hourly_rollups IS 'Delivery counts per tenant, UTC hour, rule and webhook (0 = none), kept 90 days';
+COMMENT ON TABLE analytics_daily_rollups IS 'Delivery counts per tenant, UTC day, rule and webhook (0 = none), kept two years';
+COMMENT ON TABLE analytics_rollup_state IS 'Rollup watermark: logs with id <= last_log_id are counted in the rollups';
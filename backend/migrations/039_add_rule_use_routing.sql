@@ -0,0 +1,9 @@
+-- Migration 039: Channel routing is opt-in per notification rule
+-- Routing rules (migration 030) used to replace every rule's own target webhook whenever one
+-- matched. A rule now delivers to its fan-out targets (rule_targets) or its target webhook, and
+-- routing rules are only consulted for rules with use_routing set that do not fan out to several
+-- targets.
+
+ALTER TABLE rules ADD COLUMN IF NOT EXISTS use_routing BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN rules.use_routing IS 'Let routing_rules pick the channels; ignored when the rule fans out to several rule_targets';
@@ -0,0 +1,12 @@
+-- Migration 040: Claim digest and overflow rows before sending
+-- The digest processor marks due digest/overflow rows 'sending' in the statement that selects
+-- them (FOR UPDATE SKIP LOCKED), so two processors never send the same digest. Rows a crashed
+-- processor leaves in 'sending' are claimed again after 30 minutes (see services/digests.js).
+
+ALTER TABLE delayed_notifications DROP CONSTRAINT IF EXISTS valid_status;
+ALTER TABLE delayed_notifications ADD CONSTRAINT valid_status CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_delayed_notifications_sending
+  ON delayed_notifications(updated_at) WHERE status = 'sending';
+
+COMMENT ON COLUMN delayed_notifications.status IS 'pending, sending (claimed by a digest processor), sent, failed or cancelled';
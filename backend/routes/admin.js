@@ -6,12 +6,21 @@ router.use((req, res, next) => {
   console.log(`🔧 Admin route: ${req.method} ${req.path}`);
   next();
 });
-const { getAllRules, createRule, updateRule, deleteRule, getLogs, getDashboardStats, getWebhooks, createWebhook, pool } = require('../services/database');
-const { getAvailableVariables, DEFAULT_TEMPLATES } = require('../services/templateEngine');
-const { authenticateToken, extractTenantId } = require('../middleware/auth');
-const { checkResourceLimit } = require('../middleware/featureGating');
-const { createRoutingRules } = require('../services/channelRouter');
+const { getAllRules, createRule, updateRule, deleteRule, getLogs, getDashboardStats, getWebhooks, createWebhook, updateWebhook, pool } = require('../services/database');
+const { getAvailableVariables, DEFAULT_TEMPLATES, buildSampleWebhookData } = require('../services/templateEngine');
+const { authenticateToken, requireRole, extractTenantId } = require('../middleware/auth');
+const { checkResourceLimit, requireFeature } = require('../middleware/featureGating');
+const {
+  createRoutingRules, getRoutingRules, createRoutingRule, updateRoutingRule, deleteRoutingRule, reorderRoutingRules, explainRouting
+} = require('../services/channelRouter');
+const { validateChannelEndpoint, resolveChannelTarget } = require('../services/channelProviders');
 const { getQuietHours } = require('../services/quietHours');
+const { validateFilters } = require('../services/ruleFilters');
+const { replayDraftRule } = require('../services/ruleReplay');
+const { validateTargets, getRuleTargets, setRuleTargets } = require('../services/ruleTargets');
+const { validateDeliverySettings } = require('../services/digests');
+const { recordAuditEvent, getAuditEvents, toCsv } = require('../services/auditLog');
+const { getDisabledWebhooks, reenableWebhook } = require('../services/webhookHealth');
 
 // Security middleware for debug endpoints
 const requireDebugAccess = (req, res, next) => {
@@ -29,6 +38,22 @@ const requireDebugAccess = (req, res, next) => {
   next();
 };
 
+// Validate rules.filters from a request body (flat filters and/or a condition tree)
+function getFilterErrors(filters) {
+  if (filters === undefined || filters === null || filters === '') return [];
+  try {
+    const parsed = typeof filters === 'string' ? JSON.parse(filters) : filters;
+    return validateFilters(parsed);
+  } catch {
+    return ['filters must be valid JSON'];
+  }
+}
+
+// Rule targets as recorded in the audit trail (ids and timestamps change on every save)
+function auditTargets(targets) {
+  return targets.map(({ webhook_id, template_mode, enabled }) => ({ webhook_id, template_mode, enabled }));
+}
+
 // DEBUG ENDPOINTS - Secured with conditional auth
 
 // Debug timezone for tenant
@@ -72,7 +97,7 @@ router.get('/debug/timezone', requireDebugAccess, async (req, res) => {
 });
 
 // Auto-save user's detected timezone (authenticated endpoint)
-router.post('/timezone/save', authenticateToken, async (req, res) => {
+router.post('/timezone/save', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const tenantId = req.tenantId;
     const { timezone } = req.body;
@@ -1177,16 +1202,53 @@ router.get('/rules', authenticateToken, async (req, res) => {
 });
 
 // POST /api/v1/admin/rules - Create new rule
-router.post('/rules', authenticateToken, checkResourceLimit('rules'), async (req, res) => {
+router.post('/rules', authenticateToken, requireRole('editor'), checkResourceLimit('rules'), async (req, res) => {
   try {
-    const { name, event_type, filters, target_webhook_id, template_mode, custom_template, enabled } = req.body;
+    const {
+      name, event_type, filters, template_mode, custom_template, enabled,
+      delivery_mode, digest_interval_minutes, digest_time, thread_by_entity, use_routing, targets
+    } = req.body;
     const tenantId = req.tenantId;
 
+    if (use_routing !== undefined && typeof use_routing !== 'boolean') {
+      return res.status(400).json({ error: 'use_routing must be true or false' });
+    }
+
+    if (targets !== undefined) {
+      const targetErrors = validateTargets(targets);
+      if (targetErrors.length > 0) {
+        return res.status(400).json({
+          error: `Invalid targets: ${targetErrors.join('; ')}`,
+          target_errors: targetErrors
+        });
+      }
+    }
+
+    // Fan-out rules may give only targets; the first enabled one is the primary webhook
+    const primaryTarget = (targets || []).find(target => target.enabled !== false) || (targets || [])[0];
+    const target_webhook_id = req.body.target_webhook_id || primaryTarget?.webhook_id;
+
     // Validate required fields
     if (!name || !event_type || !target_webhook_id) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['name', 'event_type', 'target_webhook_id']
+        required: ['name', 'event_type', 'target_webhook_id or targets']
+      });
+    }
+
+    const filterErrors = getFilterErrors(filters);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid filters: ${filterErrors.join('; ')}`,
+        filter_errors: filterErrors
+      });
+    }
+
+    const deliveryErrors = validateDeliverySettings(req.body);
+    if (deliveryErrors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid delivery settings: ${deliveryErrors.join('; ')}`,
+        delivery_errors: deliveryErrors
       });
     }
 
@@ -1197,7 +1259,26 @@ router.post('/rules', authenticateToken, checkResourceLimit('rules'), async (req
       target_webhook_id,
       template_mode,
       custom_template,
-      enabled
+      enabled,
+      delivery_mode,
+      digest_interval_minutes,
+      digest_time,
+      thread_by_entity,
+      use_routing
+    });
+    if (targets && targets.length > 0) {
+      try {
+        newRule.targets = await setRuleTargets(tenantId, newRule.id, targets);
+      } catch (error) {
+        // Don't leave a rule behind whose targets were rejected
+        await deleteRule(tenantId, newRule.id);
+        throw error;
+      }
+    }
+
+    await recordAuditEvent({
+      tenantId, req, action: 'rule.created', entityType: 'rule', entityId: newRule.id,
+      after: newRule.targets ? { ...newRule, targets: auditTargets(newRule.targets) } : newRule
     });
 
     res.status(201).json({
@@ -1205,6 +1286,9 @@ router.post('/rules', authenticateToken, checkResourceLimit('rules'), async (req
       rule: newRule
     });
   } catch (error) {
+    if (error.code === 'INVALID_TARGETS') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Error creating rule:', error);
     res.status(500).json({
       error: 'Failed to create rule',
@@ -1214,7 +1298,7 @@ router.post('/rules', authenticateToken, checkResourceLimit('rules'), async (req
 });
 
 // PUT /api/v1/admin/rules/:id - Update rule
-router.put('/rules/:id', authenticateToken, async (req, res) => {
+router.put('/rules/:id', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     console.log('🔧 PUT /rules/:id - Request received');
     console.log('🔧 Headers Authorization:', req.headers.authorization ? req.headers.authorization.substring(0, 20) + '...' : 'MISSING');
@@ -1241,15 +1325,65 @@ router.put('/rules/:id', authenticateToken, async (req, res) => {
     }
     
     const tenantId = req.tenant.id;
-    const updates = req.body;
+    const { targets, ...updates } = req.body;
+
+    if (targets !== undefined) {
+      const targetErrors = validateTargets(targets);
+      if (targetErrors.length > 0) {
+        return res.status(400).json({
+          error: `Invalid targets: ${targetErrors.join('; ')}`,
+          code: 'INVALID_TARGETS',
+          target_errors: targetErrors
+        });
+      }
+    }
+
+    if (updates.use_routing !== undefined && typeof updates.use_routing !== 'boolean') {
+      return res.status(400).json({
+        error: 'use_routing must be true or false',
+        code: 'INVALID_USE_ROUTING'
+      });
+    }
+
+    const filterErrors = getFilterErrors(updates.filters);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid filters: ${filterErrors.join('; ')}`,
+        code: 'INVALID_FILTERS',
+        filter_errors: filterErrors
+      });
+    }
+
+    const deliveryErrors = validateDeliverySettings(updates);
+    if (deliveryErrors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid delivery settings: ${deliveryErrors.join('; ')}`,
+        code: 'INVALID_DELIVERY_SETTINGS',
+        delivery_errors: deliveryErrors
+      });
+    }
 
     console.log('🔧 Backend: Updating rule', ruleId, 'for tenant', tenantId);
     console.log('🔧 Backend: Updates received:', JSON.stringify(updates, null, 2));
 
-    const updatedRule = await updateRule(tenantId, ruleId, updates);
+    const previous = await pool.query('SELECT * FROM rules WHERE tenant_id = $1 AND id = $2', [tenantId, ruleId]);
+    const previousTargets = targets !== undefined ? await getRuleTargets(tenantId, ruleId) : null;
+    let updatedRule = await updateRule(tenantId, ruleId, updates);
+    if (targets !== undefined) {
+      const savedTargets = await setRuleTargets(tenantId, ruleId, targets);
+      // setRuleTargets may have moved the primary target_webhook_id
+      const refreshed = await pool.query('SELECT * FROM rules WHERE tenant_id = $1 AND id = $2', [tenantId, ruleId]);
+      updatedRule = { ...refreshed.rows[0], targets: savedTargets };
+    }
     
     console.log('🔧 Backend: Rule updated successfully:', JSON.stringify(updatedRule, null, 2));
 
+    await recordAuditEvent({
+      tenantId, req, action: 'rule.updated', entityType: 'rule', entityId: ruleId,
+      before: previousTargets ? { ...previous.rows[0], targets: auditTargets(previousTargets) } : previous.rows[0],
+      after: updatedRule.targets ? { ...updatedRule, targets: auditTargets(updatedRule.targets) } : updatedRule
+    });
+
     res.json({
       message: 'Rule updated successfully',
       rule: updatedRule
@@ -1262,7 +1396,9 @@ router.put('/rules/:id', authenticateToken, async (req, res) => {
     let statusCode = 400;
     
     // Enhanced error handling for better UX
-    if (errorMessage.includes('null value in column') && errorMessage.includes('target_webhook_id')) {
+    if (error.code === 'INVALID_TARGETS') {
+      statusCode = 400;
+    } else if (errorMessage.includes('null value in column') && errorMessage.includes('target_webhook_id')) {
       errorMessage = 'Rule update failed: No active webhook found. Please create a Google Chat webhook first.';
       statusCode = 422;
     } else if (errorMessage.includes('target_webhook_id') && errorMessage.includes('violates not-null constraint')) {
@@ -1301,13 +1437,20 @@ router.put('/rules/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/v1/admin/rules/:id - Delete rule
-router.delete('/rules/:id', authenticateToken, async (req, res) => {
+router.delete('/rules/:id', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const ruleId = req.params.id;
     const tenantId = req.tenant.id;
 
+    const previous = await pool.query('SELECT * FROM rules WHERE tenant_id = $1 AND id = $2', [tenantId, ruleId]);
     const deletedRule = await deleteRule(tenantId, ruleId);
 
+    if (deletedRule) {
+      await recordAuditEvent({
+        tenantId, req, action: 'rule.deleted', entityType: 'rule', entityId: ruleId, before: previous.rows[0]
+      });
+    }
+
     res.json({
       message: 'Rule deleted successfully',
       rule: deletedRule
@@ -1378,6 +1521,52 @@ router.get('/logs/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Audit trail endpoint
+// GET /api/v1/admin/audit - List configuration changes (format=csv downloads them)
+router.get('/audit', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const isCsv = req.query.format === 'csv';
+    const page = parseInt(req.query.page) || 1;
+    const limit = isCsv ? 1000 : Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filters = {
+      action: req.query.action,
+      entity_type: req.query.entity_type,
+      entity_id: req.query.entity_id,
+      actor_id: req.query.actor_id,
+      from: req.query.from,
+      to: req.query.to,
+      limit,
+      offset: isCsv ? 0 : (page - 1) * limit
+    };
+
+    const { events, total } = await getAuditEvents(tenantId, filters);
+
+    if (isCsv) {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(toCsv(events));
+    }
+
+    res.json({
+      events,
+      total,
+      page,
+      hasMore: page * limit < total
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_AUDIT_FILTER') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit events',
+      message: error.message
+    });
+  }
+});
+
 // Dashboard stats endpoint
 // GET /api/v1/admin/stats - Get dashboard statistics
 router.get('/stats', authenticateToken, async (req, res) => {
@@ -1400,11 +1589,12 @@ router.get('/stats', authenticateToken, async (req, res) => {
 router.get('/webhooks', authenticateToken, async (req, res) => {
   try {
     const tenantId = req.tenant.id;
-    const webhooks = await getWebhooks(tenantId);
+    const [webhooks, disabled] = await Promise.all([getWebhooks(tenantId), getDisabledWebhooks(tenantId)]);
     
     res.json({
       webhooks,
-      total: webhooks.length
+      total: webhooks.length,
+      disabled
     });
   } catch (error) {
     console.error('Error fetching webhooks:', error);
@@ -1416,10 +1606,10 @@ router.get('/webhooks', authenticateToken, async (req, res) => {
 });
 
 // POST /api/v1/admin/webhooks - Create new webhook
-router.post('/webhooks', authenticateToken, async (req, res) => {
+router.post('/webhooks', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const tenantId = req.tenantId;
-    const { name, webhook_url, description } = req.body;
+    const { name, webhook_url, description, channel_type, thread_by_entity } = req.body;
 
     // Validate required fields
     if (!name || !webhook_url) {
@@ -1429,11 +1619,12 @@ router.post('/webhooks', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate webhook URL format
-    if (!webhook_url.includes('chat.googleapis.com')) {
+    // Validate webhook URL format for the selected (or detected) channel type
+    const urlCheck = await validateChannelEndpoint(channel_type, webhook_url);
+    if (!urlCheck.valid) {
       return res.status(400).json({
         error: 'Invalid webhook URL',
-        message: 'Must be a Google Chat webhook URL'
+        message: urlCheck.error
       });
     }
 
@@ -1454,7 +1645,13 @@ router.post('/webhooks', authenticateToken, async (req, res) => {
     const newWebhook = await createWebhook(tenantId, {
       name,
       webhook_url,
-      description
+      description,
+      channel_type: urlCheck.channel_type,
+      thread_by_entity: thread_by_entity === true
+    });
+
+    await recordAuditEvent({
+      tenantId, req, action: 'webhook.created', entityType: 'webhook', entityId: newWebhook.id, after: newWebhook
     });
 
     res.status(201).json({
@@ -1470,8 +1667,46 @@ router.post('/webhooks', authenticateToken, async (req, res) => {
   }
 });
 
+// PUT /api/v1/admin/webhooks/:id - Update webhook name, description or threading
+router.put('/webhooks/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { name, description, thread_by_entity } = req.body;
+
+    if (thread_by_entity !== undefined && typeof thread_by_entity !== 'boolean') {
+      return res.status(400).json({
+        error: 'thread_by_entity must be true or false'
+      });
+    }
+
+    const previous = await pool.query('SELECT * FROM chat_webhooks WHERE tenant_id = $1 AND id = $2', [tenantId, req.params.id]);
+    const webhook = await updateWebhook(tenantId, req.params.id, { name, description, thread_by_entity });
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    await recordAuditEvent({
+      tenantId, req, action: 'webhook.updated', entityType: 'webhook', entityId: webhook.id,
+      before: previous.rows[0], after: webhook
+    });
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook',
+      message: error.message
+    });
+  }
+});
+
 // DELETE /api/v1/admin/webhooks/:id - Delete webhook
-router.delete('/webhooks/:id', authenticateToken, async (req, res) => {
+router.delete('/webhooks/:id', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const webhookId = req.params.id;
     const tenantId = req.tenant.id;
@@ -1507,6 +1742,11 @@ router.delete('/webhooks/:id', authenticateToken, async (req, res) => {
       [webhookId, tenantId]
     );
 
+    await recordAuditEvent({
+      tenantId, req, action: 'webhook.deleted', entityType: 'webhook', entityId: webhookId,
+      before: existingWebhook.rows[0]
+    });
+
     res.json({
       success: true,
       message: 'Webhook deleted successfully'
@@ -1521,8 +1761,46 @@ router.delete('/webhooks/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// HTTP status for webhook re-enable error codes
+const WEBHOOK_HEALTH_ERROR_STATUS = {
+  WEBHOOK_NOT_FOUND: 404,
+  WEBHOOK_TEST_FAILED: 502
+};
+
+// POST /api/v1/admin/webhooks/:id/reenable - Re-test a webhook the circuit breaker disabled and resume its rules
+router.post('/webhooks/:id/reenable', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const testText = '✅ Pipenotify re-enabled this webhook\n' +
+      'Notifications to this space will resume.';
+
+    const { webhook, resumedRules } = await reenableWebhook(tenantId, parseInt(req.params.id), testText);
+
+    await recordAuditEvent({
+      tenantId, req, action: 'webhook.reenabled', entityType: 'webhook', entityId: webhook.id,
+      before: { is_active: false }, after: { is_active: true },
+      metadata: { name: webhook.name, resumed_rules: resumedRules.map(rule => rule.id) }
+    });
+
+    res.json({
+      success: true,
+      webhook,
+      resumedRules
+    });
+  } catch (error) {
+    const status = WEBHOOK_HEALTH_ERROR_STATUS[error.code];
+    if (!status) {
+      console.error('Error re-enabling webhook:', error);
+    }
+    res.status(status || 500).json({
+      error: status ? error.message : 'Failed to re-enable webhook',
+      code: error.code
+    });
+  }
+});
+
 // POST /api/v1/admin/webhooks/:id/test - Test webhook
-router.post('/webhooks/:id/test', authenticateToken, async (req, res) => {
+router.post('/webhooks/:id/test', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const webhookId = req.params.id;
@@ -1541,21 +1819,23 @@ router.post('/webhooks/:id/test', authenticateToken, async (req, res) => {
     const quietHours = await getQuietHours(tenantId);
     const userTimezone = quietHours.timezone || 'UTC';
 
-    // Send test message
-    const axios = require('axios');
-    const testMessage = {
-      text: '✅ Test notification from Pipenotify\n' +
-            `🔔 Webhook: ${webhook.name}\n` +
-            `⏰ Time: ${new Date().toLocaleString('en-US', { timeZone: userTimezone })}\n` +
-            '🚀 Status: Connection successful!'
-    };
-
-    await axios.post(webhook.webhook_url, testMessage, {
-      timeout: 5000,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    // Send test message through the webhook's channel provider
+    const { defaultChatClient } = require('../services/chatClient');
+    const testText = '✅ Test notification from Pipenotify\n' +
+      `🔔 Webhook: ${webhook.name}\n` +
+      `⏰ Time: ${new Date().toLocaleString('en-US', { timeZone: userTimezone })}\n` +
+      '🚀 Status: Connection successful!';
+
+    const testResult = await defaultChatClient.testWebhook(webhook, testText);
+
+    if (!testResult.success) {
+      return res.status(testResult.responseStatus || 502).json({
+        error: testResult.responseStatus
+          ? `Webhook returned ${testResult.responseStatus}`
+          : 'Failed to send test message',
+        details: testResult.error
+      });
+    }
 
     res.json({
       success: true,
@@ -1592,14 +1872,14 @@ router.post('/webhooks/:id/test', authenticateToken, async (req, res) => {
 
 // Test rule endpoint
 // POST /api/v1/admin/rules/:id/test - Send test notification
-router.post('/rules/:id/test', authenticateToken, async (req, res) => {
+router.post('/rules/:id/test', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const ruleId = req.params.id;
     const tenantId = req.tenant.id;
     
     // Get rule details
     const ruleResult = await pool.query(`
-      SELECT r.*, cw.webhook_url, cw.name as webhook_name
+      SELECT r.*, cw.webhook_url, cw.name as webhook_name, cw.channel_type
       FROM rules r
       JOIN chat_webhooks cw ON r.target_webhook_id = cw.id
       WHERE r.id = $1 AND r.tenant_id = $2
@@ -1696,7 +1976,26 @@ router.post('/rules/:id/test', authenticateToken, async (req, res) => {
       ]
     };
     
-    const response = await axios.post(rule.webhook_url, cardMessage, {
+    // Non-Google channels get the same sample rendered through their provider's card formatter
+    const { provider } = resolveChannelTarget({ webhook_url: rule.webhook_url, channel_type: rule.channel_type });
+    const { defaultChatClient } = require('../services/chatClient');
+    const testPayload = provider.type === 'google_chat'
+      ? cardMessage
+      : await defaultChatClient.formatForChannel(provider, {
+        event: 'deal.change',
+        object: {
+          id: 123,
+          type: 'deal',
+          title: 'Sample Deal - ACME Corp Integration',
+          value: 25000,
+          currency: 'USD',
+          probability: 75
+        },
+        user: { name: 'John Smith' }
+      }, 'card');
+
+    const response = await axios.post(rule.webhook_url, testPayload, {
+      ...(provider.getRequestConfig && provider.getRequestConfig(rule.webhook_url)),
       timeout: 10000,
       headers: {
         'Content-Type': 'application/json'
@@ -1716,7 +2015,7 @@ router.post('/rules/:id/test', authenticateToken, async (req, res) => {
       JSON.stringify({ test: true, rule: rule.name, event_type: rule.event_type }),
       'test.notification',
       'success',
-      JSON.stringify(cardMessage),
+      JSON.stringify(testPayload),
       responseTime
     ]);
     
@@ -1756,9 +2055,156 @@ router.post('/rules/:id/test', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/v1/admin/rules/replay - What-if dry run of a draft rule against stored events (sends nothing)
+router.post('/rules/replay', authenticateToken, requireRole('editor'), async (req, res) => {
+  try {
+    const { days, ...draft } = req.body;
+    const report = await replayDraftRule(req.tenant.id, draft, { days });
+
+    res.json({ success: true, report });
+  } catch (error) {
+    if (error.code === 'INVALID_DRAFT') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error replaying draft rule:', error);
+    res.status(500).json({
+      error: 'Failed to replay draft rule',
+      message: error.message
+    });
+  }
+});
+
 // Smart Channel Routing endpoints
-// POST /api/v1/admin/routing/create-rules - Create routing rules
-router.post('/routing/create-rules', async (req, res) => {
+// HTTP status for routing rule error codes
+const ROUTING_ERROR_STATUS = {
+  INVALID_ROUTING_RULE: 400,
+  ROUTING_RULE_NOT_FOUND: 404,
+  ROUTING_RULE_EXISTS: 409
+};
+
+function sendRoutingError(res, error, fallbackMessage) {
+  const status = ROUTING_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(status || 500).json({
+    error: status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+// GET /api/v1/admin/routing/rules - Routing rules in evaluation order
+router.get('/routing/rules', async (req, res) => {
+  try {
+    const rules = await getRoutingRules(req.tenant.id);
+    res.json({ rules });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to get routing rules');
+  }
+});
+
+// POST /api/v1/admin/routing/rules - Create a routing rule (evaluated last)
+router.post('/routing/rules', requireRole('editor'), requireFeature('channel_routing'), async (req, res) => {
+  try {
+    const rule = await createRoutingRule(req.tenant.id, req.body);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'routing_rule.created', entityType: 'routing_rule', entityId: rule.id, after: rule
+    });
+
+    res.status(201).json({ rule });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to create routing rule');
+  }
+});
+
+// PUT /api/v1/admin/routing/rules/order - Set evaluation order ({ ids: [...] })
+router.put('/routing/rules/order', requireRole('editor'), requireFeature('channel_routing'), async (req, res) => {
+  try {
+    const before = await getRoutingRules(req.tenant.id);
+    const rules = await reorderRoutingRules(req.tenant.id, req.body.ids);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'routing_rule.reordered', entityType: 'routing_rule',
+      before: { order: before.map(rule => rule.name) },
+      after: { order: rules.map(rule => rule.name) }
+    });
+
+    res.json({ rules });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to reorder routing rules');
+  }
+});
+
+// PUT /api/v1/admin/routing/rules/:id - Update a routing rule
+router.put('/routing/rules/:id', requireRole('editor'), requireFeature('channel_routing'), async (req, res) => {
+  try {
+    const { before, after } = await updateRoutingRule(req.tenant.id, parseInt(req.params.id), req.body);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'routing_rule.updated', entityType: 'routing_rule', entityId: after.id, before, after
+    });
+
+    res.json({ rule: after });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to update routing rule');
+  }
+});
+
+// DELETE /api/v1/admin/routing/rules/:id - Delete a routing rule
+router.delete('/routing/rules/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const rule = await deleteRoutingRule(req.tenant.id, parseInt(req.params.id));
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'routing_rule.deleted', entityType: 'routing_rule', entityId: rule.id, before: rule
+    });
+
+    res.json({ message: `Routing rule "${rule.name}" deleted` });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to delete routing rule');
+  }
+});
+
+// POST /api/v1/admin/routing/explain - Which routing rule selects which channel for a payload
+// Body: { payload } or { log_id } (a stored event) or { event_type } (sample data); optional rule_id for the default channel
+router.post('/routing/explain', async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    let payload = req.body.payload;
+
+    if (req.body.log_id) {
+      const logResult = await pool.query('SELECT payload FROM logs WHERE id = $1 AND tenant_id = $2', [req.body.log_id, tenantId]);
+      if (logResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Log not found' });
+      }
+      payload = logResult.rows[0].payload;
+    } else if (!payload || typeof payload !== 'object') {
+      payload = buildSampleWebhookData(req.body.event_type || 'deal.updated');
+    }
+
+    if (!payload.event) {
+      return res.status(400).json({ error: 'payload.event is required' });
+    }
+
+    let rule = null;
+    if (req.body.rule_id) {
+      const ruleResult = await pool.query('SELECT * FROM rules WHERE id = $1 AND tenant_id = $2', [req.body.rule_id, tenantId]);
+      rule = ruleResult.rows[0] || null;
+      if (rule) {
+        rule.targets = await getRuleTargets(tenantId, rule.id);
+      }
+    }
+
+    const explanation = await explainRouting(tenantId, payload, rule);
+    res.json({ explanation, payload });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to explain routing');
+  }
+});
+
+// POST /api/v1/admin/routing/create-rules - Create routing rules from the quick setup
+router.post('/routing/create-rules', requireRole('editor'), requireFeature('channel_routing'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const routingConfig = req.body;
@@ -1780,6 +2226,13 @@ router.post('/routing/create-rules', async (req, res) => {
     const result = await createRoutingRules(tenantId, routingConfig, pool);
 
     if (result.success) {
+      for (const rule of result.rules) {
+        await recordAuditEvent({
+          tenantId, req, action: 'routing_rule.created', entityType: 'routing_rule', entityId: rule.id, after: rule,
+          metadata: { source: 'quick_setup' }
+        });
+      }
+
       res.json({
         message: 'Routing rules created successfully',
         rulesCreated: result.rulesCreated,
@@ -1802,7 +2255,7 @@ router.post('/routing/create-rules', async (req, res) => {
 });
 
 // Test notification endpoint
-router.post('/test/notification', authenticateToken, async (req, res) => {
+router.post('/test/notification', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const { rule_id, webhook_id, test_event, message_override } = req.body;
@@ -1874,7 +2327,7 @@ router.post('/test/notification', authenticateToken, async (req, res) => {
 
       // Use ChatClient to send notification with proper timezone
       const response = await defaultChatClient.sendNotification(
-        webhook.webhook_url,
+        webhook,
         testWebhookData,
         rule.template_mode || 'simple',
         message_override || rule.custom_template,
@@ -1945,7 +2398,7 @@ router.post('/test/notification', authenticateToken, async (req, res) => {
 });
 
 // Bulk operations endpoint
-router.post('/rules/bulk', authenticateToken, async (req, res) => {
+router.post('/rules/bulk', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const { type, rule_ids, data } = req.body;
@@ -1964,9 +2417,9 @@ router.post('/rules/bulk', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verify all rules belong to tenant
+    // Verify all rules belong to tenant (rows are kept as the audit "before" state)
     const verifyResult = await pool.query(
-      'SELECT id FROM rules WHERE id = ANY($1) AND tenant_id = $2',
+      'SELECT * FROM rules WHERE id = ANY($1) AND tenant_id = $2',
       [rule_ids, tenantId]
     );
 
@@ -2035,6 +2488,18 @@ router.post('/rules/bulk', authenticateToken, async (req, res) => {
         });
     }
 
+    const afterResult = type === 'delete'
+      ? { rows: [] }
+      : await pool.query('SELECT * FROM rules WHERE id = ANY($1) AND tenant_id = $2', [rule_ids, tenantId]);
+    const afterById = new Map(afterResult.rows.map(rule => [rule.id, rule]));
+    const bulkActions = { activate: 'rule.enabled', deactivate: 'rule.disabled', delete: 'rule.deleted', update_webhook: 'rule.updated' };
+
+    await Promise.all(verifyResult.rows.map(rule => recordAuditEvent({
+      tenantId, req, action: bulkActions[type], entityType: 'rule', entityId: rule.id,
+      before: rule, after: afterById.get(rule.id) || null,
+      metadata: { bulk_operation: type, rule_count: rule_ids.length }
+    })));
+
     res.json({
       success: true,
       message: `Successfully ${type === 'update_webhook' ? 'updated' : type === 'delete' ? 'deleted' : type + 'd'} ${result.rowCount} rules`,
@@ -2051,7 +2516,7 @@ router.post('/rules/bulk', authenticateToken, async (req, res) => {
 });
 
 // Import rules endpoint
-router.post('/rules/import', authenticateToken, async (req, res) => {
+router.post('/rules/import', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const { rules, webhooks } = req.body;
@@ -2183,7 +2648,7 @@ router.get('/stalled-deals/settings', authenticateToken, async (req, res) => {
 });
 
 // Save stalled deal monitoring settings
-router.post('/stalled-deals/settings', authenticateToken, async (req, res) => {
+router.post('/stalled-deals/settings', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const tenantId = req.tenantId;
     const { settings } = req.body;
@@ -2620,7 +3085,7 @@ router.post('/debug/test-full-pipeline', requireDebugAccess, async (req, res) =>
 });
 
 // POST /api/v1/admin/provision-default-rules - Manually provision default rules
-router.post('/provision-default-rules', authenticateToken, async (req, res) => {
+router.post('/provision-default-rules', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const { planTier, force } = req.body;
@@ -2777,7 +3242,7 @@ router.options('/add-default-rules', (req, res) => {
 });
 
 // POST /api/v1/admin/add-default-rules - Simple default rules creation (force redeploy)
-router.post('/add-default-rules', authenticateToken, async (req, res) => {
+router.post('/add-default-rules', authenticateToken, requireRole('editor'), async (req, res) => {
   console.log('🎯 add-default-rules endpoint HIT');
   try {
     const tenantId = req.tenant.id;
@@ -2914,7 +3379,7 @@ router.get('/provisioning-status', authenticateToken, async (req, res) => {
 // Auto-fix webhook assignments for rules with null target_webhook_id
 // CRITICAL FIX: Handle empty string target_webhook_id with CASE statement
 // Railway deployment force update: 2025-09-16-v2
-router.post('/rules/auto-fix-webhooks', authenticateToken, async (req, res) => {
+router.post('/rules/auto-fix-webhooks', authenticateToken, requireRole('editor'), async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     
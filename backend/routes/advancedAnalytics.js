@@ -2,8 +2,25 @@ const express = require('express');
 const router = express.Router();
 const { requireFeature } = require('../middleware/featureGating');
 const { authenticateToken } = require('../middleware/auth');
-const { pool } = require('../services/database');
-const systemReporter = require('../services/systemReporter');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+  createExport,
+  listExports,
+  getExport,
+  getExportFile
+} = require('../services/analyticsExports');
+const { getSalesMetrics, buildExecutiveReport } = require('../services/salesAnalytics');
+const { getDealForecast } = require('../services/dealForecast');
+
+// HTTP status for analytics and export error codes
+const ANALYTICS_ERROR_STATUS = {
+  INVALID_PERIOD: 400,
+  INVALID_EXPORT: 400,
+  EXPORT_NOT_FOUND: 404,
+  EXPORT_NOT_READY: 409,
+  EXPORT_FAILED: 409,
+  EXPORT_EXPIRED: 410
+};
 
 /**
  * Advanced Analytics Routes (Team plan only)
@@ -11,426 +28,174 @@ const systemReporter = require('../services/systemReporter');
  */
 
 // Middleware: All routes require Team plan advanced_analytics feature
+router.use(authenticateToken);
 router.use(requireFeature('advanced_analytics'));
 
+// The :tenantId in the path must be the authenticated tenant
+router.param('tenantId', (req, res, next, tenantId) => {
+  if (String(tenantId) !== String(req.tenant.id)) {
+    return res.status(403).json({ success: false, error: 'Access denied to this tenant' });
+  }
+  next();
+});
+
+function sendAnalyticsError(res, error, fallbackMessage) {
+  const status = ANALYTICS_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+/**
+ * Export as returned by the API, with its download URL
+ */
+function formatExport(record) {
+  return {
+    export_id: record.id,
+    format: record.export_type,
+    data_range: record.data_range,
+    filters: record.filter_criteria,
+    status: record.status,
+    file_name: record.file_name,
+    file_size: record.file_size,
+    row_count: record.row_count,
+    error: record.error_message,
+    download_count: record.download_count,
+    created_at: record.created_at,
+    completed_at: record.completed_at,
+    expires_at: record.expires_at,
+    status_url: `/api/v1/analytics/advanced/export/${record.tenant_id}/${record.id}`,
+    download_url: `/api/v1/analytics/advanced/export/${record.tenant_id}/${record.id}/download`
+  };
+}
+
 /**
  * GET /api/v1/analytics/advanced/executive/:tenantId
- * Executive summary and reports
+ * Executive summary of the period built from deal events: headline metrics, summary, recommendations
  */
-router.get('/executive/:tenantId', authenticateToken, async (req, res) => {
+router.get('/executive/:tenantId', async (req, res) => {
   try {
-    const { tenantId } = req.params;
     const { period = '30d' } = req.query;
-    
-    // Get or generate executive report
-    let report = await getExecutiveReport(tenantId, period);
-    
-    if (!report) {
-      // Generate new report using existing systemReporter
-      report = await generateExecutiveReport(tenantId, period);
-    }
-    
+    const report = await buildExecutiveReport(req.tenant.id, period);
+
     res.json({
       success: true,
       report,
-      generated_at: new Date().toISOString(),
+      generated_at: report.generated_at,
       period
     });
-    
   } catch (error) {
-    console.error('Executive analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate executive report'
-    });
+    sendAnalyticsError(res, error, 'Failed to generate executive report');
   }
 });
 
 /**
  * GET /api/v1/analytics/advanced/team-performance/:tenantId
- * Team performance metrics and benchmarks
+ * Win rate, deal cycle, stage funnel, time in stage and owner leaderboard, with the previous period
  */
-router.get('/team-performance/:tenantId', authenticateToken, async (req, res) => {
+router.get('/team-performance/:tenantId', async (req, res) => {
   try {
-    const { tenantId } = req.params;
     const { period = '30d' } = req.query;
-    
-    const performanceData = await getTeamPerformance(tenantId, period);
-    
+    const performance = await getSalesMetrics(req.tenant.id, period);
+
     res.json({
       success: true,
-      performance: performanceData,
-      benchmarks: await getIndustryBenchmarks(tenantId),
+      performance,
       period
     });
-    
   } catch (error) {
-    console.error('Team performance error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch team performance data'
-    });
+    sendAnalyticsError(res, error, 'Failed to fetch team performance data');
   }
 });
 
 /**
  * GET /api/v1/analytics/advanced/predictive/:tenantId
- * Predictive analytics and forecasts
+ * Closed-won revenue forecast for the next 30/60/90 days with confidence bands, and the win
+ * likelihood of open deals, each with the features behind it
  */
-router.get('/predictive/:tenantId', authenticateToken, async (req, res) => {
+router.get('/predictive/:tenantId', async (req, res) => {
   try {
-    const { tenantId } = req.params;
-    const { type = 'pipeline_forecast' } = req.query;
-    
-    const predictions = await getPredictiveAnalytics(tenantId, type);
-    
+    const { model, ...predictions } = await getDealForecast(req.tenant.id);
+
     res.json({
       success: true,
       predictions,
-      model_info: {
-        version: '1.0',
-        last_trained: '2024-01-01',
-        confidence_threshold: 0.7
-      }
+      model_info: model
     });
-    
   } catch (error) {
-    console.error('Predictive analytics error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate predictions'
-    });
+    sendAnalyticsError(res, error, 'Failed to generate deal forecast');
   }
 });
 
 /**
  * POST /api/v1/analytics/advanced/export/:tenantId
- * Generate data export in various formats
+ * Queue an export; body { format: csv|xlsx|excel|pdf, data_range: 7d|30d|90d, filters }
+ * The file is generated in the background: poll the status URL, then fetch the download URL
  */
-router.post('/export/:tenantId', authenticateToken, async (req, res) => {
+router.post('/export/:tenantId', async (req, res) => {
   try {
-    const { tenantId } = req.params;
-    const { format = 'csv', data_range = '30d', filters = {} } = req.body;
-    
-    const exportJob = await createExportJob(tenantId, format, data_range, filters);
-    
-    res.json({
-      success: true,
-      export_id: exportJob.id,
-      status: 'pending',
-      estimated_completion: '2-3 minutes',
-      download_url: `/api/v1/analytics/advanced/export/${tenantId}/${exportJob.id}/download`
+    const record = await createExport(req.tenant.id, req.body, req.tenant.member_id);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'export.requested', entityType: 'export', entityId: record.id,
+      after: { format: record.export_type, data_range: record.data_range, filters: record.filter_criteria }
     });
-    
+
+    res.status(202).json({ success: true, ...formatExport(record) });
   } catch (error) {
-    console.error('Export creation error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create export job'
-    });
+    sendAnalyticsError(res, error, 'Failed to create export job');
   }
 });
 
 /**
- * GET /api/v1/analytics/advanced/export/:tenantId/:exportId/download
- * Download completed export file
+ * GET /api/v1/analytics/advanced/export/:tenantId
+ * Recent exports, newest first
  */
-router.get('/export/:tenantId/:exportId/download', authenticateToken, async (req, res) => {
+router.get('/export/:tenantId', async (req, res) => {
   try {
-    const { tenantId, exportId } = req.params;
-    
-    const exportRecord = await pool.query(
-      'SELECT * FROM analytics_exports WHERE id = $1 AND tenant_id = $2',
-      [exportId, tenantId]
-    );
-    
-    if (exportRecord.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Export not found'
-      });
-    }
-    
-    const export_data = exportRecord.rows[0];
-    
-    if (export_data.status !== 'completed') {
-      return res.status(202).json({
-        success: false,
-        status: export_data.status,
-        error: 'Export not ready'
-      });
-    }
-    
-    // Update download count
-    await pool.query(
-      'UPDATE analytics_exports SET download_count = download_count + 1 WHERE id = $1',
-      [exportId]
-    );
-    
-    // In production, you'd stream the actual file
-    res.json({
-      success: true,
-      download_ready: true,
-      file_info: {
-        type: export_data.export_type,
-        size: '1.2MB',
-        rows: 1500
-      },
-      data: await generateExportData(tenantId, export_data)
-    });
-    
+    const exports = await listExports(req.tenant.id);
+    res.json({ success: true, exports: exports.map(formatExport) });
   } catch (error) {
-    console.error('Export download error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to download export'
-    });
+    sendAnalyticsError(res, error, 'Failed to list exports');
   }
 });
 
-// Helper functions
-
-async function getExecutiveReport(tenantId, period) {
-  try {
-    const result = await pool.query(`
-      SELECT * FROM executive_reports 
-      WHERE tenant_id = $1 
-        AND report_period > NOW() - INTERVAL '${period}'
-        AND created_at > NOW() - INTERVAL '1 day'
-      ORDER BY created_at DESC 
-      LIMIT 1
-    `, [tenantId]);
-    
-    return result.rows[0] || null;
-  } catch (error) {
-    console.error('Error fetching executive report:', error);
-    return null;
-  }
-}
-
-async function generateExecutiveReport(tenantId, period) {
-  try {
-    // Use existing systemReporter functionality
-    const report = await systemReporter.generateExecutiveSummary(tenantId, period);
-    
-    // Store in database for caching
-    const result = await pool.query(`
-      INSERT INTO executive_reports (tenant_id, report_type, report_period, metrics, summary, recommendations)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *
-    `, [
-      tenantId,
-      period,
-      new Date(),
-      JSON.stringify(report.metrics || {}),
-      report.summary || 'Executive summary not available',
-      report.recommendations || []
-    ]);
-    
-    return result.rows[0];
-  } catch (error) {
-    console.error('Error generating executive report:', error);
-    // Return mock data for development
-    return {
-      id: 'mock-' + Date.now(),
-      tenant_id: tenantId,
-      summary: `Executive Summary for ${period}: Your team processed 45 deals worth $125K this period. Deal conversion improved by 12% compared to last period. Top performing channel: #sales-alerts with 89% response rate.`,
-      metrics: {
-        total_deals: 45,
-        total_value: 125000,
-        conversion_rate: 0.23,
-        avg_deal_size: 2777,
-        response_time_avg: '4.2 hours'
-      },
-      recommendations: [
-        'Focus on high-value deals (>$5K) for better ROI',
-        'Optimize notification timing for European timezone',
-        'Consider expanding #sales-alerts model to other channels'
-      ]
-    };
-  }
-}
-
-async function getTeamPerformance(tenantId, period) {
+/**
+ * GET /api/v1/analytics/advanced/export/:tenantId/:exportId
+ * Export status: pending, processing, completed, failed or expired
+ */
+router.get('/export/:tenantId/:exportId', async (req, res) => {
   try {
-    // Get team performance data
-    const performanceData = await pool.query(`
-      SELECT 
-        COUNT(*) as total_notifications,
-        COUNT(DISTINCT DATE(created_at)) as active_days,
-        AVG(EXTRACT(EPOCH FROM (updated_at - created_at))/60) as avg_response_minutes
-      FROM notification_logs 
-      WHERE tenant_id = $1 
-        AND created_at > NOW() - INTERVAL '${period}'
-        AND status = 'delivered'
-    `, [tenantId]);
-    
-    const performance = performanceData.rows[0];
-    
-    return {
-      total_notifications: parseInt(performance.total_notifications) || 0,
-      active_days: parseInt(performance.active_days) || 0,
-      avg_response_time: Math.round(parseFloat(performance.avg_response_minutes) || 0),
-      productivity_score: calculateProductivityScore(performance),
-      period_start: new Date(Date.now() - getPeriodMilliseconds(period)).toISOString(),
-      period_end: new Date().toISOString()
-    };
+    const record = await getExport(req.tenant.id, parseInt(req.params.exportId) || 0);
+    res.json({ success: true, ...formatExport(record) });
   } catch (error) {
-    console.error('Error getting team performance:', error);
-    return {
-      total_notifications: 0,
-      active_days: 0,
-      avg_response_time: 0,
-      productivity_score: 0
-    };
+    sendAnalyticsError(res, error, 'Failed to fetch export');
   }
-}
-
-async function getIndustryBenchmarks(tenantId) {
-  // In production, this would query industry benchmark data
-  return {
-    avg_response_time: 6.5, // hours
-    conversion_rate: 0.18,
-    deals_per_month: 35,
-    avg_deal_size: 3200,
-    source: 'Industry Benchmark 2024'
-  };
-}
+});
 
-async function getPredictiveAnalytics(tenantId, type) {
+/**
+ * GET /api/v1/analytics/advanced/export/:tenantId/:exportId/download
+ * Download the generated file (409 while it is being generated, 410 once expired)
+ */
+router.get('/export/:tenantId/:exportId/download', async (req, res) => {
   try {
-    // Check for recent cached predictions
-    const cached = await pool.query(`
-      SELECT * FROM predictive_analytics 
-      WHERE tenant_id = $1 
-        AND prediction_type = $2 
-        AND expires_at > NOW()
-      ORDER BY created_at DESC 
-      LIMIT 1
-    `, [tenantId, type]);
-    
-    if (cached.rows.length > 0) {
-      return cached.rows[0].predictions;
-    }
-    
-    // Generate new predictions based on type
-    const predictions = await generatePredictions(tenantId, type);
-    
-    // Cache predictions
-    await pool.query(`
-      INSERT INTO predictive_analytics (tenant_id, prediction_type, model_version, input_data, predictions, confidence_score, expires_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '1 hour')
-    `, [
-      tenantId,
-      type,
-      '1.0',
-      JSON.stringify({}),
-      JSON.stringify(predictions),
-      0.75
-    ]);
-    
-    return predictions;
-  } catch (error) {
-    console.error('Error getting predictive analytics:', error);
-    return generateMockPredictions(type);
-  }
-}
-
-async function generatePredictions(tenantId, type) {
-  switch (type) {
-    case 'pipeline_forecast':
-      return {
-        next_30_days: {
-          predicted_deals: 28,
-          predicted_value: 87500,
-          confidence: 0.78
-        },
-        next_90_days: {
-          predicted_deals: 85,
-          predicted_value: 263000,
-          confidence: 0.65
-        }
-      };
-    case 'deal_probability':
-      return {
-        high_probability: 12, // deals likely to close
-        medium_probability: 18,
-        low_probability: 7,
-        at_risk: 3
-      };
-    default:
-      return generateMockPredictions(type);
-  }
-}
-
-function generateMockPredictions(type) {
-  return {
-    type,
-    generated_at: new Date().toISOString(),
-    note: 'Mock predictions for development'
-  };
-}
+    const file = await getExportFile(req.tenant.id, parseInt(req.params.exportId) || 0);
 
-async function createExportJob(tenantId, format, dataRange, filters) {
-  try {
-    const result = await pool.query(`
-      INSERT INTO analytics_exports (tenant_id, export_type, data_range, filter_criteria, status)
-      VALUES ($1, $2, $3, $4, 'pending')
-      RETURNING *
-    `, [tenantId, format, dataRange, JSON.stringify(filters)]);
-    
-    // Simulate async processing
-    setTimeout(async () => {
-      await pool.query(
-        'UPDATE analytics_exports SET status = $1, completed_at = NOW() WHERE id = $2',
-        ['completed', result.rows[0].id]
-      );
-    }, 2000);
-    
-    return result.rows[0];
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.data.length,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(file.data);
   } catch (error) {
-    console.error('Error creating export job:', error);
-    throw error;
+    sendAnalyticsError(res, error, 'Failed to download export');
   }
-}
-
-async function generateExportData(tenantId, exportRecord) {
-  // In production, generate actual export data based on type and filters
-  return {
-    headers: ['Date', 'Deal', 'Value', 'Status', 'Channel'],
-    rows: [
-      ['2024-01-15', 'ABC Corp', '$5,200', 'Won', '#sales-alerts'],
-      ['2024-01-14', 'XYZ Ltd', '$8,500', 'Proposal', '#deals-high-value'],
-      ['2024-01-13', 'Demo Co', '$2,100', 'Negotiation', '#sales-alerts']
-    ],
-    metadata: {
-      total_rows: 3,
-      generated_at: new Date().toISOString(),
-      filters_applied: exportRecord.filter_criteria
-    }
-  };
-}
-
-function calculateProductivityScore(performance) {
-  // Simple scoring algorithm
-  const notifications = parseInt(performance.total_notifications) || 0;
-  const activeDays = parseInt(performance.active_days) || 1;
-  const responseTime = parseFloat(performance.avg_response_minutes) || 0;
-  
-  let score = 0;
-  score += Math.min(notifications / activeDays, 10) * 10; // Daily activity
-  score += Math.max(0, 100 - responseTime); // Response speed bonus
-  
-  return Math.min(100, Math.round(score));
-}
-
-function getPeriodMilliseconds(period) {
-  const periods = {
-    '7d': 7 * 24 * 60 * 60 * 1000,
-    '30d': 30 * 24 * 60 * 60 * 1000,
-    '90d': 90 * 24 * 60 * 60 * 1000
-  };
-  return periods[period] || periods['30d'];
-}
+});
 
 module.exports = router;
\ No newline at end of file
@@ -5,312 +5,161 @@ const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { requireFeature } = require('../middleware/featureGating');
 
-// Use centralized database service with Railway optimizations
-const { pool } = require('../services/database');
+// Delivery analytics are read from the hourly/daily rollups (migration 038), not from logs
+const {
+  resolveRange,
+  previousRange,
+  getAnalyticsContext,
+  getDeliveryTotals,
+  getDeliveryTimeSeries,
+  getRuleStats,
+  getChannelStats
+} = require('../services/analyticsRollups');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Helper function to parse date range
-const parseDateRange = (range) => {
-  const now = new Date();
-  let startDate;
-  
-  switch (range) {
-    case '1d':
-      startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-      break;
-    case '7d':
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case '30d':
-      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      break;
-    case '90d':
-      startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-      break;
-    default:
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-  }
-  
-  return { startDate, endDate: now };
+const ANALYTICS_ERROR_STATUS = {
+  INVALID_RANGE: 400
 };
 
 /**
- * Get real analytics data from the database
+ * Send an analytics error response. Failed queries are reported with an unavailable data status
+ * so the dashboard can show the section as unavailable instead of as empty.
  */
-async function getRealAnalyticsData(tenantId, range) {
-  const { startDate, endDate } = parseDateRange(range);
-  
-  try {
-    // Get overall statistics
-    const overallStatsQuery = `
-      SELECT 
-        COUNT(*) as total_notifications,
-        COUNT(CASE WHEN status = 'success' THEN 1 END) as successful,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
-        AVG(CASE WHEN response_time_ms IS NOT NULL THEN response_time_ms END) as avg_response_time
-      FROM logs 
-      WHERE tenant_id = $1 
-      AND created_at >= $2 
-      AND created_at <= $3
-    `;
-    
-    const overallResult = await pool.query(overallStatsQuery, [tenantId, startDate, endDate]);
-    const stats = overallResult.rows[0];
-    
-    const totalNotifications = parseInt(stats.total_notifications) || 0;
-    const successful = parseInt(stats.successful) || 0;
-    const failed = parseInt(stats.failed) || 0;
-    const successRate = totalNotifications > 0 ? Math.round((successful / totalNotifications) * 100) : 0;
-    const failureRate = 100 - successRate;
-    const avgResponseTime = Math.round(parseFloat(stats.avg_response_time) || 0);
-
-    // Get rule performance
-    const ruleStatsQuery = `
-      SELECT 
-        r.id,
-        r.name,
-        COUNT(l.id) as success_count,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failure_count,
-        AVG(CASE WHEN l.response_time_ms IS NOT NULL THEN l.response_time_ms END) as avg_response_time
-      FROM rules r
-      LEFT JOIN logs l ON l.rule_id = r.id 
-        AND l.created_at >= $2 
-        AND l.created_at <= $3
-        AND l.status = 'success'
-      WHERE r.tenant_id = $1
-      GROUP BY r.id, r.name
-      ORDER BY success_count DESC
-      LIMIT 10
-    `;
-    
-    const ruleResult = await pool.query(ruleStatsQuery, [tenantId, startDate, endDate]);
-    const topPerformingRules = ruleResult.rows.map(row => ({
-      id: row.id.toString(),
-      name: row.name,
-      successCount: parseInt(row.success_count) || 0,
-      failureCount: parseInt(row.failure_count) || 0,
-      successRate: row.success_count > 0 ? Math.round((row.success_count / (row.success_count + row.failure_count)) * 100) : 0
-    }));
-
-    // Get rule effectiveness with trends
-    const ruleEffectivenessQuery = `
-      SELECT 
-        r.id as rule_id,
-        r.name as rule_name,
-        COUNT(l.id) as triggers_today,
-        COUNT(CASE WHEN l.status = 'success' THEN 1 END) as successful,
-        AVG(CASE WHEN l.response_time_ms IS NOT NULL THEN l.response_time_ms END) as avg_response_time
-      FROM rules r
-      LEFT JOIN logs l ON l.rule_id = r.id 
-        AND l.created_at >= CURRENT_DATE
-        AND l.created_at < CURRENT_DATE + INTERVAL '1 day'
-      WHERE r.tenant_id = $1
-      GROUP BY r.id, r.name
-      ORDER BY triggers_today DESC
-    `;
-    
-    const effectivenessResult = await pool.query(ruleEffectivenessQuery, [tenantId]);
-    const ruleEffectiveness = effectivenessResult.rows.map(row => {
-      const triggers = parseInt(row.triggers_today) || 0;
-      const successful = parseInt(row.successful) || 0;
-      return {
-        ruleId: row.rule_id.toString(),
-        ruleName: row.rule_name,
-        triggersToday: triggers,
-        successRate: triggers > 0 ? Math.round((successful / triggers) * 100) : 0,
-        avgResponseTime: Math.round(parseFloat(row.avg_response_time) || 0),
-        trend: triggers > 0 ? 'up' : 'stable' // Simplified trend calculation
-      };
-    });
-
-    // Get channel performance
-    const channelStatsQuery = `
-      SELECT 
-        cw.name as channel_name,
-        COUNT(l.id) as total_notifications,
-        COUNT(CASE WHEN l.status = 'success' THEN 1 END) as success_count,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failure_count,
-        AVG(CASE WHEN l.response_time_ms IS NOT NULL THEN l.response_time_ms END) as avg_response_time
-      FROM chat_webhooks cw
-      LEFT JOIN logs l ON l.webhook_id = cw.id 
-        AND l.created_at >= $2 
-        AND l.created_at <= $3
-      WHERE cw.tenant_id = $1
-      GROUP BY cw.id, cw.name
-      ORDER BY success_count DESC
-    `;
-    
-    const channelResult = await pool.query(channelStatsQuery, [tenantId, startDate, endDate]);
-    const channelPerformance = channelResult.rows.map(row => ({
-      channelName: row.channel_name || 'Unnamed Channel',
-      successCount: parseInt(row.success_count) || 0,
-      failureCount: parseInt(row.failure_count) || 0,
-      avgResponseTime: Math.round(parseFloat(row.avg_response_time) || 0)
-    }));
-
-    // Get time series data (daily aggregation)
-    const timeSeriesQuery = `
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(CASE WHEN status = 'success' THEN 1 END) as success,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failure,
-        AVG(CASE WHEN response_time_ms IS NOT NULL THEN response_time_ms END) as response_time
-      FROM logs 
-      WHERE tenant_id = $1 
-      AND created_at >= $2 
-      AND created_at <= $3
-      GROUP BY DATE(created_at)
-      ORDER BY date ASC
-    `;
-    
-    const timeSeriesResult = await pool.query(timeSeriesQuery, [tenantId, startDate, endDate]);
-    const timeSeriesData = timeSeriesResult.rows.map(row => ({
-      timestamp: row.date.toISOString(),
-      success: parseInt(row.success) || 0,
-      failure: parseInt(row.failure) || 0,
-      responseTime: Math.round(parseFloat(row.response_time) || 0)
-    }));
-
-    return {
-      totalNotifications,
-      successRate,
-      failureRate,
-      avgResponseTime,
-      topPerformingRules,
-      timeSeriesData,
-      ruleEffectiveness,
-      channelPerformance
-    };
-
-  } catch (error) {
-    console.error('Error fetching real analytics data:', error);
-    throw error;
+function sendAnalyticsError(res, error, fallbackMessage) {
+  const status = ANALYTICS_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
   }
+  res.status(status || 503).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+    code: error.code,
+    data_status: {
+      status: 'unavailable',
+      message: status ? error.message : `${fallbackMessage}. Try again in a moment.`
+    }
+  });
 }
 
-// Helper function to generate mock data for demonstration
-const generateMockAnalytics = (tenantId, range) => {
-  const { startDate, endDate } = parseDateRange(range);
-  const days = Math.ceil((endDate - startDate) / (24 * 60 * 60 * 1000));
-  
-  // Generate time series data
-  const timeSeriesData = [];
-  for (let i = 0; i < Math.min(days, 30); i++) {
-    const date = new Date(startDate.getTime() + i * 24 * 60 * 60 * 1000);
-    const baseSuccess = Math.floor(Math.random() * 50) + 20;
-    const baseFailure = Math.floor(Math.random() * 5) + 1;
-    
-    timeSeriesData.push({
-      timestamp: date.toISOString(),
-      success: baseSuccess,
-      failure: baseFailure,
-      responseTime: Math.floor(Math.random() * 2000) + 500
-    });
-  }
-  
-  // Calculate totals
-  const totalSuccess = timeSeriesData.reduce((sum, day) => sum + day.success, 0);
-  const totalFailure = timeSeriesData.reduce((sum, day) => sum + day.failure, 0);
-  const totalNotifications = totalSuccess + totalFailure;
-  const successRate = totalNotifications > 0 ? (totalSuccess / totalNotifications) * 100 : 0;
-  const failureRate = totalNotifications > 0 ? (totalFailure / totalNotifications) * 100 : 0;
-  const avgResponseTime = timeSeriesData.length > 0 
-    ? timeSeriesData.reduce((sum, day) => sum + day.responseTime, 0) / timeSeriesData.length
-    : 0;
-  
-  // Generate top performing rules
-  const ruleNames = [
-    'Deal Value > $10K Alert',
-    'Stage Changed to Won',
-    'High Priority Deal Created',
-    'Deal Lost Analysis',
-    'Weekly Pipeline Review'
-  ];
-  
-  const topPerformingRules = ruleNames.slice(0, 3).map((name, index) => {
-    const successCount = Math.floor(Math.random() * 100) + 50;
-    const failureCount = Math.floor(Math.random() * 5) + 1;
-    return {
-      id: `rule_${index + 1}`,
-      name,
-      successCount,
-      failureCount,
-      successRate: (successCount / (successCount + failureCount)) * 100
-    };
-  }).sort((a, b) => b.successRate - a.successRate);
-  
-  // Generate rule effectiveness data
-  const ruleEffectiveness = ruleNames.map((name, index) => {
-    const triggersToday = Math.floor(Math.random() * 20) + 5;
-    const successRate = Math.random() * 20 + 80; // 80-100%
-    const trends = ['up', 'down', 'stable'];
-    
-    return {
-      ruleId: `rule_${index + 1}`,
-      ruleName: name,
-      triggersToday,
-      successRate,
-      avgResponseTime: Math.floor(Math.random() * 2000) + 500,
-      trend: trends[Math.floor(Math.random() * trends.length)]
-    };
-  });
-  
-  // Generate channel performance data
-  const channelNames = [
-    'Sales Team General',
-    'Deal Alerts',
-    'Management Dashboard',
-    'Executive Reports'
-  ];
-  
-  const channelPerformance = channelNames.map((name, index) => {
-    const successCount = Math.floor(Math.random() * 80) + 40;
-    const failureCount = Math.floor(Math.random() * 8) + 2;
-    
-    return {
-      channelName: name,
-      successCount,
-      failureCount,
-      avgResponseTime: Math.floor(Math.random() * 1500) + 400
-    };
-  });
-  
-  return {
-    totalNotifications,
-    successRate,
-    failureRate,
-    avgResponseTime,
-    topPerformingRules,
-    timeSeriesData,
-    ruleEffectiveness,
-    channelPerformance
+/**
+ * Rollup context for a request: `period` or start_date/end_date (dashboard routes), or `range`
+ * (tenant routes)
+ */
+async function loadContext(tenantId, query) {
+  const range = resolveRange({ ...query, period: query.period || query.range });
+  return getAnalyticsContext(tenantId, range);
+}
+
+/**
+ * Whole-number success rate (0-100) of a total
+ */
+const successRate = (success, total) => (total > 0 ? Math.round((success / total) * 100) : 0);
+
+/**
+ * Delivery totals in the shape of GET /metrics
+ */
+const toMetrics = (totals) => ({
+  totalNotifications: totals.total,
+  successfulNotifications: totals.success,
+  failedNotifications: totals.failed,
+  successRate: successRate(totals.success, totals.total),
+  avgResponseTime: totals.avgResponseTime
+});
+
+/**
+ * Deliveries per rule today, with the trend against the same hours yesterday
+ */
+async function getRuleEffectiveness(tenantId, context) {
+  const now = new Date();
+  const today = {
+    period: 'today',
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    end: now,
+    resolution: 'hour'
   };
-};
+  const yesterday = { ...today, start: new Date(today.start - 86400000), end: new Date(now - 86400000) };
+
+  const [todayRules, yesterdayRules] = await Promise.all([
+    getRuleStats(tenantId, context, { range: today }),
+    getRuleStats(tenantId, context, { range: yesterday })
+  ]);
+  const yesterdayTotals = new Map(yesterdayRules.map(rule => [rule.id, rule.total]));
+
+  return todayRules
+    .sort((a, b) => b.total - a.total)
+    .map(rule => {
+      const before = yesterdayTotals.get(rule.id) || 0;
+      return {
+        ruleId: rule.id.toString(),
+        ruleName: rule.name,
+        triggersToday: rule.total,
+        successRate: successRate(rule.success, rule.total),
+        avgResponseTime: rule.avgResponseTime,
+        trend: rule.total > before ? 'up' : rule.total < before ? 'down' : 'stable'
+      };
+    });
+}
 
 // GET /api/v1/analytics/dashboard/:tenantId - Get comprehensive analytics data
 router.get('/dashboard/:tenantId', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const range = req.query.range || '7d';
-    
+
     // Verify tenant access - convert tenantId to number for comparison
     if (req.tenant.id !== parseInt(tenantId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Get real analytics data from database
-    const analyticsData = await getRealAnalyticsData(tenantId, range);
-    
-    res.json(analyticsData);
+
+    const context = await loadContext(req.tenant.id, req.query);
+    if (!context.ready) {
+      return res.json({
+        totalNotifications: 0,
+        successRate: 0,
+        failureRate: 0,
+        avgResponseTime: 0,
+        topPerformingRules: [],
+        timeSeriesData: [],
+        ruleEffectiveness: [],
+        channelPerformance: [],
+        data_status: context.dataStatus
+      });
+    }
+
+    const [totals, rules, timeSeriesData, ruleEffectiveness, channels] = await Promise.all([
+      getDeliveryTotals(req.tenant.id, context),
+      getRuleStats(req.tenant.id, context, { limit: 10 }),
+      getDeliveryTimeSeries(req.tenant.id, context),
+      getRuleEffectiveness(req.tenant.id, context),
+      getChannelStats(req.tenant.id, context)
+    ]);
+    const rate = successRate(totals.success, totals.total);
+
+    res.json({
+      totalNotifications: totals.total,
+      successRate: rate,
+      failureRate: totals.total > 0 ? 100 - rate : 0,
+      avgResponseTime: totals.avgResponseTime,
+      topPerformingRules: rules.map(rule => ({
+        id: rule.id.toString(),
+        name: rule.name,
+        successCount: rule.success,
+        failureCount: rule.failed,
+        successRate: successRate(rule.success, rule.total)
+      })),
+      timeSeriesData,
+      ruleEffectiveness,
+      channelPerformance: channels.map(channel => ({
+        channelName: channel.name || 'Unnamed Channel',
+        successCount: channel.success,
+        failureCount: channel.failed,
+        avgResponseTime: channel.avgResponseTime
+      })),
+      data_status: context.dataStatus
+    });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
-    
-    // Fallback to mock data if database query fails
-    console.warn('Falling back to mock data due to error:', error.message);
-    const mockData = generateMockAnalytics(tenantId, range);
-    res.json(mockData);
+    sendAnalyticsError(res, error, 'Failed to fetch analytics');
   }
 });
 
@@ -318,53 +167,29 @@ router.get('/dashboard/:tenantId', async (req, res) => {
 router.get('/rules/:tenantId', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const range = req.query.range || '7d';
-    const { startDate, endDate } = parseDateRange(range);
-    
+
     // Verify tenant access - convert tenantId to number for comparison
     if (req.tenant.id !== parseInt(tenantId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Query rule performance from logs table
-    const query = `
-      SELECT 
-        r.id as rule_id,
-        r.name as rule_name,
-        COUNT(l.id) as total_triggers,
-        COUNT(CASE WHEN l.status = 'delivered' THEN 1 END) as successful_deliveries,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failed_deliveries,
-        AVG(CASE WHEN l.response_time IS NOT NULL THEN l.response_time END) as avg_response_time
-      FROM rules r
-      LEFT JOIN logs l ON l.rule_id = r.id 
-        AND l.timestamp >= $1 
-        AND l.timestamp <= $2
-      WHERE r.tenant_id = $3
-      GROUP BY r.id, r.name
-      ORDER BY successful_deliveries DESC
-    `;
-    
-    const result = await pool.query(query, [startDate, endDate, tenantId]);
-    
-    const ruleAnalytics = result.rows.map(row => ({
-      ruleId: row.rule_id,
-      ruleName: row.rule_name,
-      totalTriggers: parseInt(row.total_triggers),
-      successfulDeliveries: parseInt(row.successful_deliveries),
-      failedDeliveries: parseInt(row.failed_deliveries),
-      successRate: row.total_triggers > 0 
-        ? (row.successful_deliveries / row.total_triggers) * 100 
-        : 0,
-      avgResponseTime: row.avg_response_time ? Math.round(row.avg_response_time) : null
-    }));
-    
-    res.json({ rules: ruleAnalytics });
-  } catch (error) {
-    console.error('Error fetching rule analytics:', error);
-    res.status(500).json({
-      error: 'Failed to fetch rule analytics',
-      message: error.message
+
+    const context = await loadContext(req.tenant.id, req.query);
+    const rules = context.ready ? await getRuleStats(req.tenant.id, context) : [];
+
+    res.json({
+      rules: rules.map(rule => ({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        totalTriggers: rule.total,
+        successfulDeliveries: rule.success,
+        failedDeliveries: rule.failed,
+        successRate: successRate(rule.success, rule.total),
+        avgResponseTime: rule.avgResponseTime
+      })),
+      data_status: context.dataStatus
     });
+  } catch (error) {
+    sendAnalyticsError(res, error, 'Failed to fetch rule analytics');
   }
 });
 
@@ -372,105 +197,47 @@ router.get('/rules/:tenantId', async (req, res) => {
 router.get('/channels/:tenantId', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const range = req.query.range || '7d';
-    const { startDate, endDate } = parseDateRange(range);
-    
+
     // Verify tenant access - convert tenantId to number for comparison
     if (req.tenant.id !== parseInt(tenantId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Query channel performance from logs table
-    const query = `
-      SELECT 
-        w.name as channel_name,
-        COUNT(l.id) as total_deliveries,
-        COUNT(CASE WHEN l.status = 'delivered' THEN 1 END) as successful_deliveries,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failed_deliveries,
-        AVG(CASE WHEN l.response_time IS NOT NULL THEN l.response_time END) as avg_response_time
-      FROM chat_webhooks w
-      LEFT JOIN logs l ON l.webhook_id = w.id 
-        AND l.timestamp >= $1 
-        AND l.timestamp <= $2
-      WHERE w.tenant_id = $3
-      GROUP BY w.id, w.name
-      ORDER BY successful_deliveries DESC
-    `;
-    
-    const result = await pool.query(query, [startDate, endDate, tenantId]);
-    
-    const channelAnalytics = result.rows.map(row => ({
-      channelName: row.channel_name,
-      totalDeliveries: parseInt(row.total_deliveries),
-      successfulDeliveries: parseInt(row.successful_deliveries),
-      failedDeliveries: parseInt(row.failed_deliveries),
-      successRate: row.total_deliveries > 0 
-        ? (row.successful_deliveries / row.total_deliveries) * 100 
-        : 0,
-      avgResponseTime: row.avg_response_time ? Math.round(row.avg_response_time) : null
-    }));
-    
-    res.json({ channels: channelAnalytics });
-  } catch (error) {
-    console.error('Error fetching channel analytics:', error);
-    res.status(500).json({
-      error: 'Failed to fetch channel analytics',
-      message: error.message
+
+    const context = await loadContext(req.tenant.id, req.query);
+    const channels = context.ready ? await getChannelStats(req.tenant.id, context) : [];
+
+    res.json({
+      channels: channels.map(channel => ({
+        channelName: channel.name,
+        totalDeliveries: channel.total,
+        successfulDeliveries: channel.success,
+        failedDeliveries: channel.failed,
+        successRate: successRate(channel.success, channel.total),
+        avgResponseTime: channel.avgResponseTime
+      })),
+      data_status: context.dataStatus
     });
+  } catch (error) {
+    sendAnalyticsError(res, error, 'Failed to fetch channel analytics');
   }
 });
 
-// GET /api/v1/analytics/timeline/:tenantId - Get time-series data
+// GET /api/v1/analytics/timeline/:tenantId - Get time-series data (hourly for 1d, daily otherwise)
 router.get('/timeline/:tenantId', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const range = req.query.range || '7d';
-    const { startDate, endDate } = parseDateRange(range);
-    
+
     // Verify tenant access - convert tenantId to number for comparison
     if (req.tenant.id !== parseInt(tenantId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Determine interval based on range
-    let interval = '1 hour';
-    if (range === '30d' || range === '90d') {
-      interval = '1 day';
-    } else if (range === '7d') {
-      interval = '6 hours';
-    }
-    
-    // Query time-series data from logs table
-    const query = `
-      SELECT 
-        DATE_TRUNC($1, l.timestamp) as time_bucket,
-        COUNT(CASE WHEN l.status = 'delivered' THEN 1 END) as successful_deliveries,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failed_deliveries,
-        AVG(CASE WHEN l.response_time IS NOT NULL THEN l.response_time END) as avg_response_time
-      FROM logs l
-      WHERE l.tenant_id = $2 
-        AND l.timestamp >= $3 
-        AND l.timestamp <= $4
-      GROUP BY time_bucket
-      ORDER BY time_bucket
-    `;
-    
-    const result = await pool.query(query, [interval, tenantId, startDate, endDate]);
-    
-    const timelineData = result.rows.map(row => ({
-      timestamp: row.time_bucket,
-      success: parseInt(row.successful_deliveries),
-      failure: parseInt(row.failed_deliveries),
-      responseTime: row.avg_response_time ? Math.round(row.avg_response_time) : 0
-    }));
-    
-    res.json({ timeline: timelineData });
+
+    const context = await loadContext(req.tenant.id, req.query);
+    const timeline = context.ready ? await getDeliveryTimeSeries(req.tenant.id, context) : [];
+
+    res.json({ timeline, data_status: context.dataStatus });
   } catch (error) {
-    console.error('Error fetching timeline analytics:', error);
-    res.status(500).json({
-      error: 'Failed to fetch timeline analytics',
-      message: error.message
-    });
+    sendAnalyticsError(res, error, 'Failed to fetch timeline analytics');
   }
 });
 
@@ -478,279 +245,124 @@ router.get('/timeline/:tenantId', async (req, res) => {
 router.get('/summary/:tenantId', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const range = req.query.range || '7d';
-    const { startDate, endDate } = parseDateRange(range);
-    
+
     // Verify tenant access - convert tenantId to number for comparison
     if (req.tenant.id !== parseInt(tenantId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
-    // Query summary statistics
-    const query = `
-      SELECT 
-        COUNT(*) as total_notifications,
-        COUNT(CASE WHEN status = 'delivered' THEN 1 END) as successful_deliveries,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_deliveries,
-        AVG(CASE WHEN response_time IS NOT NULL THEN response_time END) as avg_response_time,
-        MIN(timestamp) as first_notification,
-        MAX(timestamp) as last_notification
-      FROM logs
-      WHERE tenant_id = $1 
-        AND timestamp >= $2 
-        AND timestamp <= $3
-    `;
-    
-    const result = await pool.query(query, [tenantId, startDate, endDate]);
-    const row = result.rows[0];
-    
-    const totalNotifications = parseInt(row.total_notifications);
-    const successfulDeliveries = parseInt(row.successful_deliveries);
-    const failedDeliveries = parseInt(row.failed_deliveries);
-    
-    const summary = {
-      totalNotifications,
-      successfulDeliveries,
-      failedDeliveries,
-      successRate: totalNotifications > 0 ? (successfulDeliveries / totalNotifications) * 100 : 0,
-      failureRate: totalNotifications > 0 ? (failedDeliveries / totalNotifications) * 100 : 0,
-      avgResponseTime: row.avg_response_time ? Math.round(row.avg_response_time) : null,
-      firstNotification: row.first_notification,
-      lastNotification: row.last_notification,
-      dateRange: { startDate, endDate }
-    };
-    
-    res.json(summary);
-  } catch (error) {
-    console.error('Error fetching summary analytics:', error);
-    res.status(500).json({
-      error: 'Failed to fetch summary analytics',
-      message: error.message
+
+    const context = await loadContext(req.tenant.id, req.query);
+    const totals = context.ready
+      ? await getDeliveryTotals(req.tenant.id, context)
+      : { total: 0, success: 0, failed: 0, avgResponseTime: 0 };
+
+    res.json({
+      totalNotifications: totals.total,
+      successfulDeliveries: totals.success,
+      failedDeliveries: totals.failed,
+      successRate: totals.total > 0 ? (totals.success / totals.total) * 100 : 0,
+      failureRate: totals.total > 0 ? (totals.failed / totals.total) * 100 : 0,
+      avgResponseTime: totals.avgResponseTime,
+      dateRange: { startDate: context.range.start, endDate: context.range.end },
+      data_status: context.dataStatus
     });
+  } catch (error) {
+    sendAnalyticsError(res, error, 'Failed to fetch summary analytics');
   }
 });
 
-// GET /api/v1/analytics/timeseries - For basic analytics dashboard 
+// GET /api/v1/analytics/timeseries - For basic analytics dashboard
 router.get('/timeseries', requireFeature('basic_analytics'), async (req, res) => {
   try {
-    const tenantId = req.tenant.id;
-    const period = req.query.period || '7d';
-    const { startDate, endDate } = parseDateRange(period);
-    
-    // Get time series data
-    const query = `
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(CASE WHEN status = 'success' THEN 1 END) as success,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failure,
-        AVG(CASE WHEN response_time_ms IS NOT NULL THEN response_time_ms END) as response_time
-      FROM logs 
-      WHERE tenant_id = $1 
-      AND created_at >= $2 
-      AND created_at <= $3
-      GROUP BY DATE(created_at)
-      ORDER BY date ASC
-    `;
-    
-    const result = await pool.query(query, [tenantId, startDate, endDate]);
-    const timeSeriesData = result.rows.map(row => ({
-      timestamp: row.date.toISOString(),
-      success: parseInt(row.success) || 0,
-      failure: parseInt(row.failure) || 0,
-      responseTime: Math.round(parseFloat(row.response_time) || 0)
-    }));
-    
+    const context = await loadContext(req.tenant.id, req.query);
+    const data = context.ready ? await getDeliveryTimeSeries(req.tenant.id, context) : [];
+
     res.json({
       success: true,
-      data: timeSeriesData
+      data,
+      data_status: context.dataStatus
     });
   } catch (error) {
-    console.error('Error fetching timeseries data:', error);
-    // Return mock data as fallback
-    const mockData = generateTimeSeriesData(req.query.period || '7d');
-    res.json({
-      success: true,
-      data: mockData
-    });
+    sendAnalyticsError(res, error, 'Failed to fetch delivery trends');
   }
 });
 
 // GET /api/v1/analytics/metrics - For basic analytics dashboard
+// `previous` covers the period of the same length before; null when that is outside the history
 router.get('/metrics', requireFeature('basic_analytics'), async (req, res) => {
   try {
-    const tenantId = req.tenant.id;
-    const period = req.query.period || '7d';
-    const { startDate, endDate } = parseDateRange(period);
-    
-    // Get overall metrics
-    const query = `
-      SELECT 
-        COUNT(*) as total_notifications,
-        COUNT(CASE WHEN status = 'success' THEN 1 END) as successful,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
-        AVG(CASE WHEN response_time_ms IS NOT NULL THEN response_time_ms END) as avg_response_time
-      FROM logs 
-      WHERE tenant_id = $1 
-      AND created_at >= $2 
-      AND created_at <= $3
-    `;
-    
-    const result = await pool.query(query, [tenantId, startDate, endDate]);
-    const stats = result.rows[0];
-    
-    const totalNotifications = parseInt(stats.total_notifications) || 0;
-    const successful = parseInt(stats.successful) || 0;
-    const failed = parseInt(stats.failed) || 0;
-    
+    const context = await loadContext(req.tenant.id, req.query);
+    if (!context.ready) {
+      return res.json({ success: true, data: null, data_status: context.dataStatus });
+    }
+
+    const previous = previousRange(context.range);
+    const hasPrevious = previous.start >= new Date(context.dataStatus.available_from);
+    const [totals, previousTotals] = await Promise.all([
+      getDeliveryTotals(req.tenant.id, context),
+      hasPrevious ? getDeliveryTotals(req.tenant.id, context, previous) : null
+    ]);
+
     res.json({
       success: true,
       data: {
-        totalNotifications,
-        successfulNotifications: successful,
-        failedNotifications: failed,
-        successRate: totalNotifications > 0 ? Math.round((successful / totalNotifications) * 100) : 0,
-        avgResponseTime: Math.round(parseFloat(stats.avg_response_time) || 0)
-      }
+        ...toMetrics(totals),
+        previous: previousTotals ? toMetrics(previousTotals) : null
+      },
+      data_status: context.dataStatus
     });
   } catch (error) {
-    console.error('Error fetching metrics data:', error);
-    // Return mock data as fallback
-    res.json({
-      success: true,
-      data: {
-        totalNotifications: Math.floor(Math.random() * 1000) + 500,
-        successfulNotifications: Math.floor(Math.random() * 800) + 400,
-        failedNotifications: Math.floor(Math.random() * 50) + 10,
-        successRate: Math.floor(Math.random() * 10) + 85,
-        avgResponseTime: Math.floor(Math.random() * 1000) + 200
-      }
-    });
+    sendAnalyticsError(res, error, 'Failed to fetch delivery metrics');
   }
 });
 
 // GET /api/v1/analytics/channels - For basic analytics dashboard
 router.get('/channels', requireFeature('basic_analytics'), async (req, res) => {
   try {
-    const tenantId = req.tenant.id;
-    const period = req.query.period || '7d';
-    const { startDate, endDate } = parseDateRange(period);
-    
-    // Get channel performance
-    const query = `
-      SELECT 
-        cw.name as channel_name,
-        COUNT(l.id) as total_notifications,
-        COUNT(CASE WHEN l.status = 'success' THEN 1 END) as success_count,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failure_count,
-        AVG(CASE WHEN l.response_time_ms IS NOT NULL THEN l.response_time_ms END) as avg_response_time
-      FROM chat_webhooks cw
-      LEFT JOIN logs l ON l.webhook_id = cw.id 
-        AND l.created_at >= $2 
-        AND l.created_at <= $3
-      WHERE cw.tenant_id = $1
-      GROUP BY cw.id, cw.name
-      ORDER BY success_count DESC
-    `;
-    
-    const result = await pool.query(query, [tenantId, startDate, endDate]);
-    const channelData = result.rows.map(row => ({
-      channelName: row.channel_name || 'Unnamed Channel',
-      successCount: parseInt(row.success_count) || 0,
-      failureCount: parseInt(row.failure_count) || 0,
-      avgResponseTime: Math.round(parseFloat(row.avg_response_time) || 0)
-    }));
-    
+    const context = await loadContext(req.tenant.id, req.query);
+    const channels = context.ready ? await getChannelStats(req.tenant.id, context) : [];
+
     res.json({
       success: true,
-      data: channelData
+      data: channels.map(channel => ({
+        channelName: channel.name || 'Unnamed Channel',
+        successCount: channel.success,
+        failureCount: channel.failed,
+        avgResponseTime: channel.avgResponseTime,
+        throttledCount: channel.throttledCount,
+        avgThrottleWaitMs: channel.avgThrottleWaitMs,
+        rateLimitedCount: channel.rateLimitedCount,
+        overflowCount: channel.overflowCount
+      })),
+      data_status: context.dataStatus
     });
   } catch (error) {
-    console.error('Error fetching channels data:', error);
-    // Return mock data as fallback
-    const mockChannels = [
-      { channelName: 'Sales Team General', successCount: 45, failureCount: 3, avgResponseTime: 350 },
-      { channelName: 'Deal Alerts', successCount: 32, failureCount: 1, avgResponseTime: 280 },
-      { channelName: 'Management Dashboard', successCount: 28, failureCount: 2, avgResponseTime: 420 }
-    ];
-    res.json({
-      success: true,
-      data: mockChannels
-    });
+    sendAnalyticsError(res, error, 'Failed to fetch channel performance');
   }
 });
 
 // GET /api/v1/analytics/rules - For basic analytics dashboard
 router.get('/rules', requireFeature('basic_analytics'), async (req, res) => {
   try {
-    const tenantId = req.tenant.id;
-    const period = req.query.period || '7d';
-    const { startDate, endDate } = parseDateRange(period);
-    
-    // Get rule performance
-    const query = `
-      SELECT 
-        r.id,
-        r.name,
-        COUNT(l.id) as total_triggers,
-        COUNT(CASE WHEN l.status = 'success' THEN 1 END) as success_count,
-        COUNT(CASE WHEN l.status = 'failed' THEN 1 END) as failure_count,
-        AVG(CASE WHEN l.response_time_ms IS NOT NULL THEN l.response_time_ms END) as avg_response_time
-      FROM rules r
-      LEFT JOIN logs l ON l.rule_id = r.id 
-        AND l.created_at >= $2 
-        AND l.created_at <= $3
-      WHERE r.tenant_id = $1
-      GROUP BY r.id, r.name
-      ORDER BY success_count DESC
-      LIMIT 10
-    `;
-    
-    const result = await pool.query(query, [tenantId, startDate, endDate]);
-    const rulesData = result.rows.map(row => ({
-      id: row.id.toString(),
-      name: row.name,
-      totalTriggers: parseInt(row.total_triggers) || 0,
-      successCount: parseInt(row.success_count) || 0,
-      failureCount: parseInt(row.failure_count) || 0,
-      successRate: row.total_triggers > 0 ? Math.round((row.success_count / row.total_triggers) * 100) : 0,
-      avgResponseTime: Math.round(parseFloat(row.avg_response_time) || 0)
-    }));
-    
+    const context = await loadContext(req.tenant.id, req.query);
+    const rules = context.ready ? await getRuleStats(req.tenant.id, context, { limit: 10 }) : [];
+
     res.json({
       success: true,
-      data: rulesData
+      data: rules.map(rule => ({
+        id: rule.id.toString(),
+        name: rule.name,
+        totalTriggers: rule.total,
+        successCount: rule.success,
+        failureCount: rule.failed,
+        successRate: successRate(rule.success, rule.total),
+        avgResponseTime: rule.avgResponseTime
+      })),
+      data_status: context.dataStatus
     });
   } catch (error) {
-    console.error('Error fetching rules data:', error);
-    // Return mock data as fallback
-    const mockRules = [
-      { id: '1', name: 'Deal Won Notification', totalTriggers: 45, successCount: 43, failureCount: 2, successRate: 96, avgResponseTime: 320 },
-      { id: '2', name: 'Deal Lost Alert', totalTriggers: 32, successCount: 30, failureCount: 2, successRate: 94, avgResponseTime: 280 },
-      { id: '3', name: 'New Deal Created', totalTriggers: 28, successCount: 27, failureCount: 1, successRate: 96, avgResponseTime: 350 }
-    ];
-    res.json({
-      success: true,
-      data: mockRules
-    });
+    sendAnalyticsError(res, error, 'Failed to fetch rule performance');
   }
 });
 
-// Helper function to generate mock time series data
-function generateTimeSeriesData(period) {
-  const { startDate, endDate } = parseDateRange(period);
-  const days = Math.ceil((endDate - startDate) / (24 * 60 * 60 * 1000));
-  
-  const timeSeriesData = [];
-  for (let i = 0; i < Math.min(days, 30); i++) {
-    const date = new Date(startDate.getTime() + i * 24 * 60 * 60 * 1000);
-    timeSeriesData.push({
-      timestamp: date.toISOString(),
-      success: Math.floor(Math.random() * 50) + 20,
-      failure: Math.floor(Math.random() * 5) + 1,
-      responseTime: Math.floor(Math.random() * 2000) + 500
-    });
-  }
-  return timeSeriesData;
-}
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
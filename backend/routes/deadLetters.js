@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const { RETRY_POLICY } = require('../services/retryPolicy');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterTarget,
+  requeueDeadLetters,
+  discardDeadLetters
+} = require('../services/deadLetters');
+
+// HTTP status for dead letter error codes
+const DEAD_LETTER_ERROR_STATUS = {
+  INVALID_DEAD_LETTER: 400,
+  DEAD_LETTER_NOT_FOUND: 404,
+  DEAD_LETTER_RESOLVED: 409
+};
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+function sendDeadLetterError(res, error, fallbackMessage) {
+  const status = DEAD_LETTER_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/v1/dead-letters
+ * Failed notifications (status=dead by default; delivered, discarded or all) with the retry policy
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { deadLetters, total } = await listDeadLetters(req.tenant.id, {
+      status: req.query.status,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, deadLetters, total, policy: RETRY_POLICY });
+  } catch (error) {
+    sendDeadLetterError(res, error, 'Failed to list dead letters');
+  }
+});
+
+/**
+ * POST /api/v1/dead-letters/requeue
+ * Queue dead letters to be sent again; body { ids }. Responds 202 once they are queued; each
+ * becomes delivered, or stays dead with the new error, when the worker has sent it.
+ */
+router.post('/requeue', requireRole('editor'), async (req, res) => {
+  try {
+    const { queued, skipped } = await requeueDeadLetters(req.tenant.id, req.body.ids);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'dead_letter.requeued', entityType: 'dead_letter',
+      entityId: queued.length === 1 ? queued[0] : null,
+      metadata: { ids: queued, skipped: skipped.map(item => item.id) }
+    });
+
+    res.status(202).json({ success: true, queued, skipped });
+  } catch (error) {
+    sendDeadLetterError(res, error, 'Failed to requeue dead letters');
+  }
+});
+
+/**
+ * POST /api/v1/dead-letters/discard
+ * Discard dead letters; body { ids }
+ */
+router.post('/discard', requireRole('editor'), async (req, res) => {
+  try {
+    const discarded = await discardDeadLetters(req.tenant.id, req.body.ids);
+
+    if (discarded.length > 0) {
+      await recordAuditEvent({
+        tenantId: req.tenant.id, req, action: 'dead_letter.discarded', entityType: 'dead_letter',
+        entityId: discarded.length === 1 ? discarded[0] : null,
+        metadata: { ids: discarded }
+      });
+    }
+
+    res.json({ success: true, discarded });
+  } catch (error) {
+    sendDeadLetterError(res, error, 'Failed to discard dead letters');
+  }
+});
+
+/**
+ * GET /api/v1/dead-letters/:id
+ * One dead letter including its payload
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const deadLetter = await getDeadLetter(req.tenant.id, parseInt(req.params.id));
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    sendDeadLetterError(res, error, 'Failed to load dead letter');
+  }
+});
+
+/**
+ * PUT /api/v1/dead-letters/:id
+ * Change the webhook a dead letter is requeued to; body { webhook_id }
+ */
+router.put('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const before = await getDeadLetter(req.tenant.id, parseInt(req.params.id));
+    const deadLetter = await updateDeadLetterTarget(req.tenant.id, before.id, parseInt(req.body.webhook_id));
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'dead_letter.updated', entityType: 'dead_letter', entityId: deadLetter.id,
+      before: { webhook_id: before.webhook_id }, after: { webhook_id: deadLetter.webhook_id }
+    });
+
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    sendDeadLetterError(res, error, 'Failed to update dead letter');
+  }
+});
+
+module.exports = router;
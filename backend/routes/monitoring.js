@@ -14,6 +14,8 @@ const { getRoutingStats, getRoutingSuggestions } = require('../services/channelR
 const { getFilterStats } = require('../services/ruleFilters');
 const { pool, getWebhooks } = require('../services/database');
 const { getDeliveryStats, processManualRecovery } = require('../services/guaranteedDelivery');
+const { getDuplicateStats } = require('../services/webhookDedup');
+const { authenticateToken } = require('../middleware/auth');
 const { runSelfHealing, runEmergencyHealing } = require('../services/selfHealing');
 const { 
   getHealthHistory, 
@@ -289,6 +291,26 @@ router.get('/delivery/stats', async (req, res) => {
   }
 });
 
+// GET /api/v1/monitoring/delivery/duplicates - Duplicate webhooks dropped for the caller's tenant
+router.get('/delivery/duplicates', authenticateToken, async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    const duplicates = await getDuplicateStats(req.tenant.id, hours);
+    
+    res.json({
+      timeRange: `${hours} hours`,
+      timestamp: new Date().toISOString(),
+      duplicates
+    });
+  } catch (error) {
+    console.error('❌ Duplicate stats fetch failed:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // GET /api/v1/monitoring/delivery/queue-status - Current queue status
 router.get('/delivery/queue-status', async (req, res) => {
   try {
@@ -3,6 +3,8 @@ const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../services/database');
 const { generateToken } = require('../middleware/auth');
+const { resolveLoginMember, hasRole } = require('../services/tenantUsers');
+const { getConnection, refreshConnection, getConnectionStatus, clearConnectionCache, RECONNECT_REQUIRED } = require('../services/pipedriveConnection');
 const router = express.Router();
 
 // OAuth scope documentation for Pipedrive Marketplace submission
@@ -67,10 +69,13 @@ router.post('/callback', async (req, res) => {
     const userName = userData.name;
     const companyId = userData.company_id; // This is the critical missing piece!
 
-    // Create or get tenant
+    // Create or get the company's tenant (older tenants may only be linked to the user who created them)
     let tenantResult = await pool.query(
-      'SELECT id FROM tenants WHERE pipedrive_user_id = $1',
-      [userId]
+      `SELECT id FROM tenants
+       WHERE pipedrive_company_id = $1 OR pipedrive_user_id = $2
+       ORDER BY (pipedrive_company_id = $1) DESC NULLS LAST, created_at ASC
+       LIMIT 1`,
+      [companyId, userId]
     );
 
     let tenantId;
@@ -87,33 +92,54 @@ router.post('/callback', async (req, res) => {
       
       // Update existing tenant with company_id if missing
       await pool.query(
-        'UPDATE tenants SET pipedrive_company_id = $1, company_name = $2, pipedrive_user_name = $3 WHERE id = $4',
-        [companyId, companyName, userName, tenantId]
+        'UPDATE tenants SET pipedrive_company_id = $1, company_name = $2 WHERE id = $3',
+        [companyId, companyName, tenantId]
       );
       console.log('✅ Updated tenant with company_id:', companyId);
     }
 
-    // Store or update Pipedrive connection
-    await pool.query(
-      `INSERT INTO pipedrive_connections (tenant_id, access_token, refresh_token, api_domain, expires_at, connected_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-       ON CONFLICT (tenant_id) 
-       DO UPDATE SET access_token = $2, refresh_token = $3, api_domain = $4, expires_at = $5, updated_at = NOW()`,
-      [
-        tenantId,
-        access_token,
-        refresh_token,
-        api_domain,
-        new Date(Date.now() + expires_in * 1000)
-      ]
-    );
+    // Workspace membership decides the role (and blocks removed members)
+    let member;
+    try {
+      member = await resolveLoginMember(tenantId, {
+        pipedriveUserId: userId,
+        email: userData.email,
+        name: userName
+      });
+    } catch (memberError) {
+      if (memberError.code === 'MEMBER_REMOVED') {
+        return res.status(403).json({ error: memberError.message, code: memberError.code });
+      }
+      throw memberError;
+    }
+
+    // The workspace's Pipedrive connection acts as whoever authorized it, so only the first owner
+    // or an admin reconnecting writes it; other members are just signed in
+    if (hasRole(member.role, 'admin')) {
+      await pool.query(
+        `INSERT INTO pipedrive_connections (tenant_id, access_token, refresh_token, api_domain, expires_at, connected_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+         ON CONFLICT (tenant_id) 
+         DO UPDATE SET access_token = $2, refresh_token = $3, api_domain = $4, expires_at = $5,
+                       status = 'active', last_error = NULL, updated_at = NOW()`,
+        [
+          tenantId,
+          access_token,
+          refresh_token,
+          api_domain,
+          new Date(Date.now() + expires_in * 1000)
+        ]
+      );
+      clearConnectionCache(tenantId);
+    }
 
     // Generate JWT token using the new auth middleware
     const tokenData = generateToken({
       tenant_id: tenantId,
       user_id: userId,
       company_id: companyId,
-      company_name: companyName
+      company_name: companyName,
+      role: member.role
     });
 
     // Provision default rules for new tenants (after successful connection)
@@ -162,6 +188,7 @@ router.post('/callback', async (req, res) => {
         name: userName,
         company: companyName,
         apiDomain: api_domain,
+        role: member.role,
       },
       tenant: {
         id: tenantId,
@@ -264,45 +291,14 @@ router.post('/refresh', async (req, res) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const tenantId = decoded.tenant_id;
 
-    // Get current refresh token
-    const connectionResult = await pool.query(
-      'SELECT refresh_token, api_domain FROM pipedrive_connections WHERE tenant_id = $1',
-      [tenantId]
-    );
-
-    if (connectionResult.rows.length === 0) {
+    if (!await getConnection(tenantId, true)) {
       return res.status(404).json({ error: 'Connection not found' });
     }
 
-    const { refresh_token, api_domain } = connectionResult.rows[0];
-
-    // Refresh the access token
-    const refreshParams = new URLSearchParams({
-      grant_type: 'refresh_token',
-      refresh_token: refresh_token,
-      client_id: process.env.PIPEDRIVE_CLIENT_ID,
-      client_secret: process.env.PIPEDRIVE_CLIENT_SECRET,
-    });
-
-    const tokenResponse = await axios.post('https://oauth.pipedrive.com/oauth/token', refreshParams, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json',
-      },
-    });
-
-    const { access_token, refresh_token: new_refresh_token, expires_in } = tokenResponse.data;
-
-    // Update stored tokens
-    await pool.query(
-      'UPDATE pipedrive_connections SET access_token = $1, refresh_token = $2, expires_at = $3, updated_at = NOW() WHERE tenant_id = $4',
-      [
-        access_token,
-        new_refresh_token || refresh_token,
-        new Date(Date.now() + expires_in * 1000),
-        tenantId
-      ]
-    );
+    // Shares the single-flight refresh used by API clients, so the stored refresh token is not raced
+    const connection = await refreshConnection(tenantId, { force: true });
+    const access_token = connection.access_token;
+    const expires_in = Math.max(0, Math.round((new Date(connection.expires_at).getTime() - Date.now()) / 1000));
 
     res.json({
       success: true,
@@ -317,11 +313,11 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'Invalid or expired JWT token' });
     }
     
-    if (error.response) {
-      console.error('Pipedrive refresh error:', error.response.data);
+    if (error.code === RECONNECT_REQUIRED) {
       return res.status(400).json({
         error: 'Failed to refresh access token',
-        details: error.response.data,
+        reconnect_required: true,
+        details: error.message,
       });
     }
     
@@ -344,28 +340,26 @@ router.get('/status', async (req, res) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const tenantId = decoded.tenant_id;
 
-    // Get connection status
-    const connectionResult = await pool.query(
-      'SELECT api_domain, expires_at, connected_at FROM pipedrive_connections WHERE tenant_id = $1',
-      [tenantId]
-    );
+    const connection = await getConnectionStatus(tenantId);
 
-    if (connectionResult.rows.length === 0) {
+    if (!connection.connected) {
       return res.json({
         connected: false,
+        needsReconnect: true,
         message: 'No Pipedrive connection found',
       });
     }
 
-    const connection = connectionResult.rows[0];
-    const isExpired = new Date() > new Date(connection.expires_at);
-
     res.json({
       connected: true,
-      expired: isExpired,
+      status: connection.status,
+      needsReconnect: connection.needs_reconnect,
+      expired: connection.expired,
       apiDomain: connection.api_domain,
       connectedAt: connection.connected_at,
       expiresAt: connection.expires_at,
+      lastRefreshedAt: connection.last_refreshed_at,
+      lastError: connection.last_error,
     });
 
   } catch (error) {
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/featureGating');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+  listReports,
+  createReport,
+  updateReport,
+  deleteReport,
+  getDeliveryHistory,
+  sendReportNow
+} = require('../services/scheduledReports');
+
+// HTTP status for scheduled report error codes
+const REPORT_ERROR_STATUS = {
+  INVALID_REPORT: 400,
+  REPORT_NOT_FOUND: 404
+};
+
+// Scheduled reports are part of advanced analytics (Team plan)
+router.use(authenticateToken);
+router.use(requireFeature('advanced_analytics'));
+
+function sendReportError(res, error, fallbackMessage) {
+  const status = REPORT_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/v1/reports/scheduled
+ * Scheduled reports with their last and next run
+ */
+router.get('/scheduled', async (req, res) => {
+  try {
+    const reports = await listReports(req.tenant.id);
+    res.json({ success: true, reports });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to list scheduled reports');
+  }
+});
+
+/**
+ * POST /api/v1/reports/scheduled
+ * Create a report; body { name, type, frequency, recipients, webhookId, sendHour, enabled }
+ */
+router.post('/scheduled', requireRole('editor'), async (req, res) => {
+  try {
+    const report = await createReport(req.tenant.id, req.body);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'report.created', entityType: 'report', entityId: report.id, after: report
+    });
+
+    res.status(201).json({ success: true, report });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to create scheduled report');
+  }
+});
+
+/**
+ * PUT /api/v1/reports/scheduled/:id
+ * Change a report; fields left out keep their value
+ */
+router.put('/scheduled/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const { before, report } = await updateReport(req.tenant.id, parseInt(req.params.id), req.body);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'report.updated', entityType: 'report', entityId: report.id, before, after: report
+    });
+
+    res.json({ success: true, report });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to update scheduled report');
+  }
+});
+
+/**
+ * DELETE /api/v1/reports/scheduled/:id
+ * Delete a report and its delivery history
+ */
+router.delete('/scheduled/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const report = await deleteReport(req.tenant.id, parseInt(req.params.id));
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'report.deleted', entityType: 'report', entityId: report.id, before: report
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to delete scheduled report');
+  }
+});
+
+/**
+ * GET /api/v1/reports/scheduled/:id/history
+ * Deliveries of a report (one row per Chat webhook or email recipient), newest first
+ */
+router.get('/scheduled/:id/history', async (req, res) => {
+  try {
+    const deliveries = await getDeliveryHistory(req.tenant.id, parseInt(req.params.id), req.query.limit);
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to load report history');
+  }
+});
+
+/**
+ * POST /api/v1/reports/scheduled/:id/send
+ * Send a report now without changing its schedule
+ */
+router.post('/scheduled/:id/send', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await sendReportNow(req.tenant.id, parseInt(req.params.id));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to send report');
+  }
+});
+
+module.exports = router;
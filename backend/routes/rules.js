@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+  listVersions,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  diffRefs,
+  restoreSnapshot,
+  rollbackRule
+} = require('../services/ruleVersions');
+
+// HTTP status for rule version error codes
+const VERSION_ERROR_STATUS = {
+  INVALID_SNAPSHOT: 400,
+  INVALID_REFERENCE: 400,
+  WEBHOOK_MISSING: 400,
+  SNAPSHOT_PROTECTED: 403,
+  SNAPSHOT_NOT_FOUND: 404,
+  VERSION_NOT_FOUND: 404
+};
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+function sendVersionError(res, error, fallbackMessage) {
+  const status = VERSION_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+function formatSize(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function toBackupSummary(snapshot) {
+  return {
+    id: snapshot.id,
+    name: snapshot.name,
+    description: snapshot.description,
+    type: snapshot.snapshot_type,
+    ruleCount: snapshot.rule_count,
+    createdBy: snapshot.created_by_name,
+    createdAt: snapshot.created_at,
+    size: formatSize(snapshot.size_bytes)
+  };
+}
+
+/**
+ * GET /api/v1/rules/backups
+ * List rule snapshots (manual and automatic pre-restore)
+ */
+router.get('/backups', async (req, res) => {
+  try {
+    const snapshots = await listSnapshots(req.tenant.id);
+    res.json({ success: true, backups: snapshots.map(toBackupSummary) });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to list rule backups');
+  }
+});
+
+/**
+ * POST /api/v1/rules/backups
+ * Snapshot the current rule set
+ */
+router.post('/backups', requireRole('editor'), async (req, res) => {
+  try {
+    const snapshot = await createSnapshot(req.tenant.id, {
+      name: req.body.name,
+      description: req.body.description
+    }, req.tenant);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'rule_snapshot.created', entityType: 'rule_snapshot', entityId: snapshot.id,
+      metadata: { name: snapshot.name, rule_count: snapshot.rule_count }
+    });
+
+    res.status(201).json({ success: true, backup: toBackupSummary(snapshot) });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to create rule backup');
+  }
+});
+
+/**
+ * GET /api/v1/rules/backups/:id
+ * Snapshot including its rules
+ */
+router.get('/backups/:id', async (req, res) => {
+  try {
+    const snapshot = await getSnapshot(req.tenant.id, parseInt(req.params.id));
+    res.json({ success: true, backup: { ...toBackupSummary(snapshot), rules: snapshot.rules } });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to get rule backup');
+  }
+});
+
+/**
+ * GET /api/v1/rules/backups/:id/download
+ * Snapshot as a JSON file
+ */
+router.get('/backups/:id/download', async (req, res) => {
+  try {
+    const snapshot = await getSnapshot(req.tenant.id, parseInt(req.params.id));
+    const fileName = `rules-backup-${snapshot.id}-${new Date(snapshot.created_at).toISOString().split('T')[0]}.json`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json({
+      name: snapshot.name,
+      description: snapshot.description,
+      created_at: snapshot.created_at,
+      rule_count: snapshot.rule_count,
+      rules: snapshot.rules
+    });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to download rule backup');
+  }
+});
+
+/**
+ * DELETE /api/v1/rules/backups/:id
+ * Delete a manual snapshot
+ */
+router.delete('/backups/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const snapshot = await deleteSnapshot(req.tenant.id, parseInt(req.params.id));
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'rule_snapshot.deleted', entityType: 'rule_snapshot', entityId: snapshot.id,
+      metadata: { name: snapshot.name, rule_count: snapshot.rule_count }
+    });
+
+    res.json({ success: true, message: `Deleted backup "${snapshot.name}"` });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to delete rule backup');
+  }
+});
+
+/**
+ * POST /api/v1/rules/backups/:id/restore
+ * Restore a snapshot in one transaction; the current rules are snapshotted first
+ * Body: { overwriteExisting, preserveIds, activateRules }
+ */
+router.post('/backups/:id/restore', requireRole('editor'), async (req, res) => {
+  try {
+    const snapshotId = parseInt(req.params.id);
+    const options = {
+      overwriteExisting: req.body.overwriteExisting === true,
+      preserveIds: req.body.preserveIds === true,
+      activateRules: req.body.activateRules === true
+    };
+    const result = await restoreSnapshot(req.tenant.id, snapshotId, options, req.tenant);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'rule_snapshot.restored', entityType: 'rule_snapshot', entityId: snapshotId,
+      metadata: {
+        ...options,
+        updated: result.updated.length,
+        created: result.created.length,
+        deleted: result.deleted.length,
+        skipped: result.skipped.length,
+        backup_snapshot_id: result.backup_snapshot_id
+      }
+    });
+
+    res.json({ success: true, result });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to restore rule backup');
+  }
+});
+
+/**
+ * GET /api/v1/rules/diff?from=&to=
+ * Compare two references: current, snapshot:<id> or version:<ruleId>:<version>
+ */
+router.get('/diff', async (req, res) => {
+  try {
+    const diff = await diffRefs(req.tenant.id, req.query.from, req.query.to || 'current');
+    res.json({ success: true, diff });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to diff rules');
+  }
+});
+
+/**
+ * GET /api/v1/rules/:id/versions
+ * Version history of a rule, newest first
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await listVersions(req.tenant.id, parseInt(req.params.id));
+    res.json({ success: true, versions });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to get rule versions');
+  }
+});
+
+/**
+ * POST /api/v1/rules/:id/versions/:version/restore
+ * Roll a rule back to a previous version
+ */
+router.post('/:id/versions/:version/restore', requireRole('editor'), async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+    const result = await rollbackRule(req.tenant.id, ruleId, version, req.tenant);
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'rule.rolled_back', entityType: 'rule', entityId: result.rule_id,
+      metadata: { name: result.name, version, recreated: result.action === 'created', backup_snapshot_id: result.backup_snapshot_id }
+    });
+
+    res.json({ success: true, result });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to roll back rule');
+  }
+});
+
+module.exports = router;
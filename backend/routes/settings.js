@@ -9,8 +9,21 @@ const {
   getNextAllowedTime 
 } = require('../services/quietHours');
 
+const { getCustomFieldSchema, syncCustomFields } = require('../services/customFields');
+
 const { requireFeature } = require('../middleware/featureGating');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { listMembers, inviteMember, updateMemberRole, removeMember } = require('../services/tenantUsers');
+const { recordAuditEvent } = require('../services/auditLog');
+
+// HTTP status for member management error codes
+const MEMBER_ERROR_STATUS = {
+  INVALID_MEMBER: 400,
+  LAST_OWNER: 400,
+  FORBIDDEN_ROLE_CHANGE: 403,
+  MEMBER_NOT_FOUND: 404,
+  MEMBER_EXISTS: 409
+};
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -43,7 +56,7 @@ router.get('/quiet-hours', requireFeature('quiet_hours'), async (req, res) => {
  * POST /api/v1/settings/quiet-hours
  * Set quiet hours configuration for authenticated tenant
  */
-router.post('/quiet-hours', requireFeature('quiet_hours'), async (req, res) => {
+router.post('/quiet-hours', requireRole('admin'), requireFeature('quiet_hours'), async (req, res) => {
   try {
     const tenantId = req.tenant.id; // Get from JWT token
     
@@ -57,6 +70,7 @@ router.post('/quiet-hours', requireFeature('quiet_hours'), async (req, res) => {
       });
     }
     
+    const previous = await getQuietHours(tenantId);
     const config = await setQuietHours(tenantId, {
       timezone,
       start_time,
@@ -64,6 +78,11 @@ router.post('/quiet-hours', requireFeature('quiet_hours'), async (req, res) => {
       weekends_enabled,
       holidays
     });
+
+    await recordAuditEvent({
+      tenantId, req, action: 'quiet_hours.updated', entityType: 'quiet_hours', entityId: tenantId,
+      before: previous, after: config
+    });
     
     res.json({
       success: true,
@@ -114,17 +133,24 @@ router.get('/quiet-hours/status', requireFeature('quiet_hours'), async (req, res
  * DELETE /api/v1/settings/quiet-hours
  * Remove quiet hours configuration for authenticated tenant (revert to default)
  */
-router.delete('/quiet-hours', requireFeature('quiet_hours'), async (req, res) => {
+router.delete('/quiet-hours', requireRole('admin'), requireFeature('quiet_hours'), async (req, res) => {
   try {
     const tenantId = req.tenant.id; // Get from JWT token
     
     const { pool } = require('../services/database');
     
+    const previous = await getQuietHours(tenantId);
+
     // Delete configuration (will revert to defaults)
     await pool.query('DELETE FROM quiet_hours WHERE tenant_id = $1', [tenantId]);
     
     // Get the default configuration
     const config = await getQuietHours(tenantId);
+
+    await recordAuditEvent({
+      tenantId, req, action: 'quiet_hours.reset', entityType: 'quiet_hours', entityId: tenantId,
+      before: previous, after: config
+    });
     
     res.json({
       success: true,
@@ -306,4 +332,176 @@ router.get('/timezones', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/v1/settings/custom-fields
+ * List the tenant's Pipedrive custom fields (synced on first use)
+ */
+router.get('/custom-fields', async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const fields = await getCustomFieldSchema(tenantId);
+    
+    res.json({
+      success: true,
+      custom_fields: fields.map(field => ({
+        entity_type: field.entity_type,
+        name: field.name,
+        field_type: field.field_type,
+        options: field.options,
+        template_variable: `{{${field.entity_type === 'organization' ? 'org' : field.entity_type}.custom.${field.name}}}`,
+        synced_at: field.synced_at
+      })),
+      total: fields.length
+    });
+    
+  } catch (error) {
+    console.error('Error getting custom fields:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get custom fields'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/settings/custom-fields/sync
+ * Re-sync custom field definitions from Pipedrive (admins)
+ */
+router.post('/custom-fields/sync', requireRole('admin'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const counts = await syncCustomFields(tenantId);
+    
+    res.json({
+      success: true,
+      synced: counts,
+      message: 'Custom fields synced from Pipedrive'
+    });
+    
+  } catch (error) {
+    console.error('Error syncing custom fields:', error);
+    res.status(502).json({
+      success: false,
+      error: 'Failed to sync custom fields from Pipedrive',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Send a member management error with the status for its code
+ * @private
+ */
+function sendMemberError(res, error, fallbackMessage) {
+  const status = MEMBER_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/v1/settings/members
+ * List workspace members and pending invites
+ */
+router.get('/members', async (req, res) => {
+  try {
+    const members = await listMembers(req.tenant.id);
+    
+    res.json({
+      success: true,
+      members,
+      current_user: {
+        member_id: req.tenant.member_id,
+        role: req.tenant.role
+      }
+    });
+    
+  } catch (error) {
+    sendMemberError(res, error, 'Failed to get workspace members');
+  }
+});
+
+/**
+ * POST /api/v1/settings/members
+ * Invite a member by email (activated when they sign in with Pipedrive)
+ */
+router.post('/members', requireRole('admin'), async (req, res) => {
+  try {
+    const member = await inviteMember(req.tenant.id, {
+      email: req.body.email,
+      role: req.body.role
+    }, { id: req.tenant.member_id, role: req.tenant.role });
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'member.invited', entityType: 'member', entityId: member.id, after: member
+    });
+    
+    res.status(201).json({
+      success: true,
+      member,
+      message: `Invited ${member.email} as ${member.role}`
+    });
+    
+  } catch (error) {
+    sendMemberError(res, error, 'Failed to invite member');
+  }
+});
+
+/**
+ * PUT /api/v1/settings/members/:id
+ * Change a member's role
+ */
+router.put('/members/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const previousRole = (await listMembers(req.tenant.id)).find(m => m.id === parseInt(req.params.id))?.role;
+    const member = await updateMemberRole(
+      req.tenant.id,
+      parseInt(req.params.id),
+      req.body.role,
+      { id: req.tenant.member_id, role: req.tenant.role }
+    );
+    
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'member.role_changed', entityType: 'member', entityId: member.id,
+      before: { role: previousRole }, after: { role: member.role }, metadata: { email: member.email, name: member.name }
+    });
+    
+    res.json({ success: true, member });
+    
+  } catch (error) {
+    sendMemberError(res, error, 'Failed to update member');
+  }
+});
+
+/**
+ * DELETE /api/v1/settings/members/:id
+ * Remove a member or cancel an invite
+ */
+router.delete('/members/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const member = await removeMember(
+      req.tenant.id,
+      parseInt(req.params.id),
+      { id: req.tenant.member_id, role: req.tenant.role }
+    );
+
+    await recordAuditEvent({
+      tenantId: req.tenant.id, req, action: 'member.removed', entityType: 'member', entityId: member.id, before: member
+    });
+    
+    res.json({
+      success: true,
+      message: `Removed ${member.name || member.email} from the workspace`
+    });
+    
+  } catch (error) {
+    sendMemberError(res, error, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
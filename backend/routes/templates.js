@@ -1,8 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../services/database');
-const { validateTemplate, getAvailableVariables, DEFAULT_TEMPLATES } = require('../services/templateEngine');
+const {
+  processTemplate,
+  validateTemplate,
+  getAvailableVariables,
+  getAvailableFilters,
+  buildSampleWebhookData,
+  normalizeTemplateSyntax,
+  DEFAULT_TEMPLATES
+} = require('../services/templateEngine');
+const { defaultChatClient } = require('../services/chatClient');
+const { getChannelProvider } = require('../services/channelProviders');
 const { requireFeature } = require('../middleware/featureGating');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 const { 
   getRuleTemplates, 
   getRuleTemplate, 
@@ -11,6 +22,21 @@ const {
   getTemplateCategories 
 } = require('../config/ruleTemplates');
 
+/**
+ * Changes need an editor of the tenant they target (tenant id from the URL or body)
+ */
+const requireTenantEditor = [
+  authenticateToken,
+  requireRole('editor'),
+  (req, res, next) => {
+    const tenantId = req.params.tenantId ?? req.body?.tenant_id;
+    if (tenantId !== undefined && parseInt(tenantId) !== req.tenant.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+    next();
+  }
+];
+
 /**
  * GET /api/v1/templates/variables
  * Get available template variables for documentation
@@ -22,6 +48,7 @@ router.get('/variables', async (req, res) => {
     res.json({
       success: true,
       variables,
+      filters: getAvailableFilters(),
       total_variables: Object.values(variables).reduce((sum, group) => sum + Object.keys(group).length, 0)
     });
     
@@ -73,6 +100,7 @@ router.get('/defaults', async (req, res) => {
 /**
  * POST /api/v1/templates/validate
  * Validate template syntax and variables
+ * Errors and warnings carry line/column positions (validation.details)
  */
 router.post('/validate', async (req, res) => {
   try {
@@ -92,7 +120,10 @@ router.post('/validate', async (req, res) => {
       validation: {
         valid: validation.valid,
         errors: validation.errors,
-        error_count: validation.errors.length
+        warnings: validation.warnings,
+        details: validation.details,
+        error_count: validation.errors.length,
+        warning_count: validation.warnings.length
       }
     });
     
@@ -199,7 +230,7 @@ router.get('/library/:templateId', async (req, res) => {
  * POST /api/v1/templates/library/:templateId/apply
  * Apply template with customization to create a rule
  */
-router.post('/library/:templateId/apply', async (req, res) => {
+router.post('/library/:templateId/apply', requireTenantEditor, async (req, res) => {
   try {
     const { templateId } = req.params;
     const { customization = {}, tenant_id, webhook_id } = req.body;
@@ -337,7 +368,7 @@ router.get('/presets/:tenantId', requireFeature('custom_templates'), async (req,
  * POST /api/v1/templates/presets/:tenantId
  * Create a new template preset
  */
-router.post('/presets/:tenantId', requireFeature('custom_templates'), async (req, res) => {
+router.post('/presets/:tenantId', requireTenantEditor, requireFeature('custom_templates'), async (req, res) => {
   try {
     const tenantId = parseInt(req.params.tenantId);
     const { 
@@ -377,7 +408,8 @@ router.post('/presets/:tenantId', requireFeature('custom_templates'), async (req
       return res.status(400).json({
         success: false,
         error: 'Invalid template content',
-        validation_errors: validation.errors
+        validation_errors: validation.errors,
+        validation_details: validation.details
       });
     }
     
@@ -406,7 +438,7 @@ router.post('/presets/:tenantId', requireFeature('custom_templates'), async (req
       )
       VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
-    `, [tenantId, name, description, event_types, template_content, template_format]);
+    `, [tenantId, name, description, event_types, normalizeTemplateSyntax(template_content), template_format]);
     
     res.status(201).json({
       success: true,
@@ -434,7 +466,7 @@ router.post('/presets/:tenantId', requireFeature('custom_templates'), async (req
  * PUT /api/v1/templates/presets/:tenantId/:presetId
  * Update a template preset
  */
-router.put('/presets/:tenantId/:presetId', requireFeature('custom_templates'), async (req, res) => {
+router.put('/presets/:tenantId/:presetId', requireTenantEditor, requireFeature('custom_templates'), async (req, res) => {
   try {
     const tenantId = parseInt(req.params.tenantId);
     const presetId = parseInt(req.params.presetId);
@@ -474,7 +506,8 @@ router.put('/presets/:tenantId/:presetId', requireFeature('custom_templates'), a
         return res.status(400).json({
           success: false,
           error: 'Invalid template content',
-          validation_errors: validation.errors
+          validation_errors: validation.errors,
+          validation_details: validation.details
         });
       }
     }
@@ -509,7 +542,7 @@ router.put('/presets/:tenantId/:presetId', requireFeature('custom_templates'), a
     
     if (template_content !== undefined) {
       updateFields.push(`template_content = $${valueIndex++}`);
-      values.push(template_content);
+      values.push(normalizeTemplateSyntax(template_content));
     }
     
     if (template_format !== undefined) {
@@ -555,19 +588,89 @@ router.put('/presets/:tenantId/:presetId', requireFeature('custom_templates'), a
   }
 });
 
+/**
+ * POST /api/v1/templates/preview
+ * Render a template server-side with sample data (used by the template editor)
+ * Uses the same ChatClient formatters and template engine as live notifications
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const {
+      event_type = 'deal.updated',
+      template_mode = 'simple',
+      custom_template = null,
+      channel_type = 'google_chat',
+      sample_data
+    } = req.body;
+    
+    if (!['simple', 'compact', 'detailed', 'card', 'custom'].includes(template_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'template_mode must be one of simple, compact, detailed, card, custom'
+      });
+    }
+    
+    if (template_mode === 'custom' && !custom_template) {
+      return res.status(400).json({
+        success: false,
+        error: 'custom_template is required for custom mode'
+      });
+    }
+    
+    const webhookData = sample_data && typeof sample_data === 'object'
+      ? { event: event_type, ...sample_data }
+      : buildSampleWebhookData(event_type);
+    
+    const validation = template_mode === 'custom' ? validateTemplate(custom_template) : null;
+    
+    // Text preview is rendered once; the channel payload shows how the selected provider wraps it
+    const textMessage = template_mode === 'card'
+      ? null
+      : await defaultChatClient.formatForChannel(getChannelProvider('google_chat'), webhookData, template_mode, custom_template);
+    const payload = await defaultChatClient.formatForChannel(getChannelProvider(channel_type), webhookData, template_mode, custom_template);
+    
+    res.json({
+      success: true,
+      preview: textMessage ? textMessage.text : null,
+      payload,
+      validation,
+      sample_data: webhookData,
+      template_mode,
+      channel_type
+    });
+    
+  } catch (error) {
+    console.error('Error rendering template preview:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render template preview'
+    });
+  }
+});
+
 /**
  * GET /api/v1/templates/:templateId/preview
  * Get template preview with sample data
+ * templateId is either a library template id (e.g. 'deal-won-celebration') or an event type default
  */
 router.get('/:templateId/preview', async (req, res) => {
   try {
     const { templateId } = req.params;
     const { mode = 'compact' } = req.query;
     
-    // Get default template for the event type
-    const { getDefaultTemplate, processTemplate } = require('../services/templateEngine');
+    // Library templates are previewed with their default customization applied
+    const libraryTemplate = getRuleTemplate(templateId);
+    let template;
+    let eventType = templateId;
+    
+    if (libraryTemplate) {
+      const ruleConfig = applyTemplateCustomization(libraryTemplate, {});
+      template = ruleConfig.template_config.custom_template;
+      eventType = ruleConfig.event_type.replace('*', 'updated');
+    } else {
+      template = DEFAULT_TEMPLATES[templateId];
+    }
     
-    const template = getDefaultTemplate(templateId);
     if (!template) {
       return res.status(404).json({
         success: false,
@@ -575,58 +678,7 @@ router.get('/:templateId/preview', async (req, res) => {
       });
     }
     
-    // Create sample data based on template type
-    let sampleData = {
-      event: templateId,
-      user: {
-        name: 'John Doe',
-        email: 'john@company.com'
-      },
-      company: {
-        name: 'Sample Company'
-      },
-      company_domain: 'sample-company',
-      company_id: 123
-    };
-    
-    if (templateId.includes('deal')) {
-      sampleData.object = {
-        id: 12345,
-        title: 'Sample Enterprise Deal',
-        value: 50000,
-        currency: 'USD',
-        stage_name: 'Negotiation',
-        status: 'open',
-        probability: 75,
-        expected_close_date: '2025-02-15',
-        owner_name: 'John Doe',
-        add_time: '2024-12-01T10:00:00Z',
-        stage_change_time: '2024-12-10T14:30:00Z'
-      };
-    } else if (templateId.includes('person')) {
-      sampleData.object = {
-        id: 67890,
-        name: 'Jane Smith',
-        first_name: 'Jane',
-        last_name: 'Smith',
-        email: [{ value: 'jane@example.com' }],
-        phone: [{ value: '+1-555-0123' }],
-        org_name: 'Acme Corporation',
-        job_title: 'Marketing Director',
-        owner_name: 'John Doe'
-      };
-    } else if (templateId.includes('activity')) {
-      sampleData.object = {
-        id: 11111,
-        subject: 'Follow-up Call',
-        type: 'call',
-        due_date: '2025-01-20',
-        due_time: '14:30',
-        duration: 30,
-        note: 'Discuss pricing and next steps',
-        owner_name: 'John Doe'
-      };
-    }
+    const sampleData = buildSampleWebhookData(eventType);
     
     // Process the template with sample data
     const preview = processTemplate(template, sampleData, {
@@ -659,7 +711,7 @@ router.get('/:templateId/preview', async (req, res) => {
  * DELETE /api/v1/templates/presets/:tenantId/:presetId
  * Delete a template preset
  */
-router.delete('/presets/:tenantId/:presetId', requireFeature('custom_templates'), async (req, res) => {
+router.delete('/presets/:tenantId/:presetId', requireTenantEditor, requireFeature('custom_templates'), async (req, res) => {
   try {
     const tenantId = parseInt(req.params.tenantId);
     const presetId = parseInt(req.params.presetId);
@@ -754,28 +806,7 @@ router.post('/presets/:tenantId/:presetId/test', requireFeature('custom_template
     const preset = presetResult.rows[0];
     
     // Use provided sample data or create default sample data
-    const testData = sample_data || {
-      event: preset.event_types[0] || 'deal.updated',
-      object: {
-        id: 123,
-        title: 'Test Deal',
-        value: 50000,
-        currency: 'USD',
-        status: 'open',
-        probability: 75,
-        stage_name: 'Negotiation'
-      },
-      user: {
-        name: 'John Doe',
-        email: 'john@example.com'
-      },
-      company: {
-        name: 'Test Company'
-      }
-    };
-    
-    // Process the template with test data
-    const { processTemplate } = require('../services/templateEngine');
+    const testData = sample_data || buildSampleWebhookData(preset.event_types[0] || 'deal.updated');
     
     const result = processTemplate(preset.template_content, testData, {
       format: preset.template_format || 'text',
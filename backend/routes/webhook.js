@@ -58,13 +58,12 @@ router.post('/pipedrive', async (req, res) => {
         },
         user_id: parseInt(webhookData.meta.user_id),
         company_id: parseInt(webhookData.meta.company_id),
+        // Names are not part of the webhook; processNotification resolves them via Pipedrive enrichment
         user: {
-          id: parseInt(webhookData.meta.user_id),
-          name: 'Pipedrive User' // We don't get user name from webhook
+          id: parseInt(webhookData.meta.user_id)
         },
         company: {
-          id: parseInt(webhookData.meta.company_id),
-          name: 'Company'
+          id: parseInt(webhookData.meta.company_id)
         },
         timestamp: webhookData.meta.timestamp,
         previous: webhookData.previous || null,
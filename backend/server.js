@@ -162,6 +162,9 @@ const monitoringRoutes = require('./routes/monitoring');
 const billingRoutes = require('./routes/billing');
 const settingsRoutes = require('./routes/settings');
 const templatesRoutes = require('./routes/templates');
+const rulesRoutes = require('./routes/rules');
+const deadLetterRoutes = require('./routes/deadLetters');
+const reportRoutes = require('./routes/reports');
 const { authenticateToken } = require('./middleware/auth'); // SECURITY FIX: Import authentication middleware
 
 // Background services initialization function
@@ -187,6 +190,9 @@ function initializeBackgroundServices() {
   initService('HEARTBEAT MONITORING', './services/heartbeatMonitor', 8000);
   initService('STALLED DEAL MONITORING', './jobs/stalledDealMonitor', 10000);
   initService('LOG CLEANUP SERVICE', './jobs/logCleanup', 12000);
+  initService('REPORT SCHEDULER', './jobs/reportScheduler', 14000);
+  initService('ANALYTICS EXPORT WORKER', './jobs/exportWorker', 16000);
+  initService('ANALYTICS ROLLUP', './jobs/analyticsRollup', 18000);
   
   // Initialize remaining services
   setTimeout(() => {
@@ -231,6 +237,9 @@ app.use('/api/v1/monitoring', monitoringRoutes);
 app.use('/api/v1/billing', billingRoutes);
 app.use('/api/v1/settings', settingsRoutes);
 app.use('/api/v1/templates', templatesRoutes);
+app.use('/api/v1/rules', rulesRoutes);
+app.use('/api/v1/dead-letters', deadLetterRoutes);
+app.use('/api/v1/reports', reportRoutes);
 app.use('/api/v1/analytics', require('./routes/analytics'));
 app.use('/api/v1/analytics/advanced', require('./routes/advancedAnalytics'));
 app.use('/api/v1/health', require('./routes/health'));
@@ -431,9 +440,9 @@ app.post('/api/v1/auth/callback', (req, res) => {
 });
 
 // Webhook validation endpoint
-app.post('/api/v1/webhooks/validate', async (req, res) => {
+app.post('/api/v1/webhooks/validate', authenticateToken, async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, channel_type } = req.body;
     
     if (!url) {
       return res.status(400).json({
@@ -442,40 +451,38 @@ app.post('/api/v1/webhooks/validate', async (req, res) => {
       });
     }
 
-    // Basic URL validation
-    try {
-      new URL(url);
-      if (!url.startsWith('https://chat.googleapis.com/v1/spaces/')) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid Google Chat webhook URL format'
-        });
-      }
-    } catch (error) {
+    // URL validation for the selected (or detected) channel type
+    const { validateChannelEndpoint } = require('./services/channelProviders');
+    const urlCheck = await validateChannelEndpoint(channel_type, url);
+    if (!urlCheck.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid URL format'
+        message: urlCheck.error,
+        channel_type: urlCheck.channel_type
       });
     }
 
     // Test the webhook with a simple message
-    try {
-      const axios = require('axios');
-      const testResponse = await axios.post(url, {
-        text: '🧪 Webhook validation test from Pipenotify'
-      }, { timeout: 5000 });
+    const { defaultChatClient } = require('./services/chatClient');
+    const testResult = await defaultChatClient.testWebhook(
+      { webhook_url: url, channel_type: urlCheck.channel_type },
+      '🧪 Webhook validation test from Pipenotify'
+    );
 
+    if (testResult.success) {
       res.json({
         success: true,
         message: 'Webhook validated successfully',
-        valid: true
+        valid: true,
+        channel_type: urlCheck.channel_type
       });
-    } catch (error) {
-      console.error('Webhook validation failed:', error.message);
+    } else {
+      console.error('Webhook validation failed:', testResult.error);
       res.status(400).json({
         success: false,
         message: 'Webhook validation failed - please check the URL and permissions',
-        valid: false
+        valid: false,
+        channel_type: urlCheck.channel_type
       });
     }
     
@@ -0,0 +1,717 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { pool } = require('./database');
+
+/**
+ * Analytics Exports
+ * Exports requested from Advanced Analytics (analytics_exports, migration 036) are generated in
+ * the background by jobs/exportWorker.js: the tenant's notification logs for the range and
+ * filters are read in batches and written as CSV, an XLSX workbook (notifications, daily summary,
+ * rules and channels sheets) or a PDF report with charts. The file is stored in the row until
+ * expires_at (EXPORT_RETENTION_DAYS, default 7) and served as a download by the routes.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+// The dashboard has always offered "excel"
+const FORMAT_ALIASES = { excel: 'xlsx' };
+const DATA_RANGES = { '7d': 7, '30d': 30, '90d': 90 };
+const FILTER_KEYS = ['successful_only', 'failed_only', 'specific_channels', 'high_value_deals'];
+const HIGH_VALUE_DEAL_AMOUNT = 5000;
+const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+const MAX_EXPORT_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 100000;
+const BATCH_SIZE = 1000;
+const STALE_PROCESSING_MINUTES = 15;
+
+// Every column except the file itself
+const EXPORT_COLUMNS = `id, tenant_id, export_type, data_range, filter_criteria, status, file_name, content_type,
+  file_size, row_count, error_message, download_count, requested_by, created_at, started_at, completed_at, expires_at`;
+
+// Deal object of a log payload (Pipedrive v2 "current"/"data", v1 "object") and its numeric value
+const DEAL_SQL = "COALESCE(l.payload->'current', l.payload->'data', l.payload->'object')";
+const DEAL_VALUE_SQL = `CASE WHEN ${DEAL_SQL}->>'value' ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN (${DEAL_SQL}->>'value')::numeric END`;
+
+const NOTIFICATION_COLUMNS = [
+  { key: 'created_at', header: 'Sent at (UTC)', width: 22 },
+  { key: 'event_type', header: 'Event', width: 24 },
+  { key: 'rule_name', header: 'Rule', width: 28 },
+  { key: 'deal_id', header: 'Deal ID', width: 10 },
+  { key: 'deal_title', header: 'Deal', width: 32 },
+  { key: 'deal_value', header: 'Deal value', width: 14 },
+  { key: 'deal_currency', header: 'Currency', width: 10 },
+  { key: 'status', header: 'Status', width: 10 },
+  { key: 'error_message', header: 'Error', width: 40 }
+];
+// Added with the specific_channels filter
+const CHANNEL_COLUMNS = [
+  { key: 'channel_name', header: 'Channel', width: 28 },
+  { key: 'response_code', header: 'Response code', width: 14 },
+  { key: 'response_time_ms', header: 'Response time (ms)', width: 18 }
+];
+
+let processing = false;
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function exportError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate an export request
+ * @param {Object} request - { format, data_range, filters }
+ * @returns {{exportType: string, dataRange: string, filters: Object}} Normalised request
+ */
+function validateExportRequest({ format = 'csv', data_range: dataRange = '30d', filters = {} } = {}) {
+  const exportType = FORMAT_ALIASES[format] || format;
+  if (!EXPORT_FORMATS[exportType]) {
+    throw exportError(`format must be one of: ${[...Object.keys(EXPORT_FORMATS), 'excel'].join(', ')}`, 'INVALID_EXPORT');
+  }
+  if (!DATA_RANGES[dataRange]) {
+    throw exportError(`data_range must be one of: ${Object.keys(DATA_RANGES).join(', ')}`, 'INVALID_EXPORT');
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw exportError('filters must be an object', 'INVALID_EXPORT');
+  }
+
+  const normalised = {};
+  for (const key of FILTER_KEYS) {
+    normalised[key] = filters[key] === true;
+  }
+  if (normalised.successful_only && normalised.failed_only) {
+    throw exportError('successful_only and failed_only cannot both be set', 'INVALID_EXPORT');
+  }
+
+  return { exportType, dataRange, filters: normalised };
+}
+
+/**
+ * Queue an export; the worker picks it up right away and on its next run
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} request - { format, data_range, filters }
+ * @param {number|null} requestedBy - tenant_users id of the requester
+ * @returns {Promise<Object>} Export row without the file
+ */
+async function createExport(tenantId, request, requestedBy = null) {
+  const { exportType, dataRange, filters } = validateExportRequest(request);
+
+  const result = await pool.query(`
+    INSERT INTO analytics_exports (tenant_id, export_type, data_range, filter_criteria, requested_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${EXPORT_COLUMNS}
+  `, [tenantId, exportType, dataRange, JSON.stringify(filters), requestedBy]);
+
+  setTimeout(() => {
+    processPendingExports().catch(error => console.error('❌ Error processing analytics exports:', error.message));
+  }, 0);
+
+  return result.rows[0];
+}
+
+/**
+ * Recent exports of a tenant
+ * @param {number} tenantId - Tenant ID
+ * @param {number} limit - Maximum exports
+ * @returns {Promise<Array>} Export rows without files, newest first
+ */
+async function listExports(tenantId, limit = 20) {
+  const result = await pool.query(`
+    SELECT ${EXPORT_COLUMNS} FROM analytics_exports
+    WHERE tenant_id = $1
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, [tenantId, limit]);
+  return result.rows;
+}
+
+/**
+ * One export of a tenant
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Export ID
+ * @returns {Promise<Object>} Export row without the file
+ */
+async function getExport(tenantId, id) {
+  const result = await pool.query(
+    `SELECT ${EXPORT_COLUMNS} FROM analytics_exports WHERE tenant_id = $1 AND id = $2`,
+    [tenantId, id]
+  );
+  if (result.rows.length === 0) {
+    throw exportError('Export not found', 'EXPORT_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+/**
+ * File of a completed export, counting the download
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Export ID
+ * @returns {Promise<{fileName: string, contentType: string, data: Buffer}>} The file
+ */
+async function getExportFile(tenantId, id) {
+  const record = await getExport(tenantId, id);
+  if (record.status === 'expired' || (record.status === 'completed' && new Date(record.expires_at) <= new Date())) {
+    throw exportError('Export has expired, generate a new one', 'EXPORT_EXPIRED');
+  }
+  if (record.status !== 'completed') {
+    throw exportError(`Export is ${record.status}`, record.status === 'failed' ? 'EXPORT_FAILED' : 'EXPORT_NOT_READY');
+  }
+
+  const result = await pool.query(`
+    UPDATE analytics_exports SET download_count = download_count + 1
+    WHERE id = $1
+    RETURNING file_name, content_type, file_data
+  `, [id]);
+  const file = result.rows[0];
+  return { fileName: file.file_name, contentType: file.content_type, data: file.file_data };
+}
+
+/**
+ * WHERE clause selecting the logs of an export
+ * @private
+ */
+function buildLogFilter(record) {
+  const filters = record.filter_criteria || {};
+  const params = [record.tenant_id, DATA_RANGES[record.data_range] || DATA_RANGES['30d']];
+  const conditions = ['l.tenant_id = $1', 'l.created_at >= NOW() - make_interval(days => $2)'];
+
+  if (filters.successful_only || filters.failed_only) {
+    params.push(filters.successful_only ? 'success' : 'failed');
+    conditions.push(`l.status = $${params.length}`);
+  }
+  if (filters.high_value_deals) {
+    params.push(HIGH_VALUE_DEAL_AMOUNT);
+    conditions.push(`${DEAL_VALUE_SQL} > $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Read the export's logs oldest first in batches of BATCH_SIZE (up to MAX_EXPORT_ROWS)
+ * @private
+ * @param {Object} record - analytics_exports row
+ * @param {Function} onBatch - Called with each batch of rows
+ * @returns {Promise<number>} Rows read
+ */
+async function forEachLogBatch(record, onBatch) {
+  const { where, params } = buildLogFilter(record);
+  let lastId = 0;
+  let count = 0;
+
+  while (count < MAX_EXPORT_ROWS) {
+    const limit = Math.min(BATCH_SIZE, MAX_EXPORT_ROWS - count);
+    const result = await pool.query(`
+      SELECT l.id, l.created_at, COALESCE(l.event_type, l.payload->>'event') AS event_type,
+             COALESCE(r.name, CASE WHEN l.rule_id IS NOT NULL THEN 'Deleted rule' END) AS rule_name,
+             ${DEAL_SQL}->>'id' AS deal_id, ${DEAL_SQL}->>'title' AS deal_title,
+             ${DEAL_VALUE_SQL} AS deal_value, ${DEAL_SQL}->>'currency' AS deal_currency,
+             l.status, l.error_message,
+             COALESCE(cw.name, CASE WHEN l.webhook_id IS NOT NULL THEN 'Deleted webhook' END) AS channel_name,
+             l.response_code, l.response_time_ms
+      FROM logs l
+      LEFT JOIN rules r ON r.id = l.rule_id
+      LEFT JOIN chat_webhooks cw ON cw.id = l.webhook_id
+      WHERE ${where} AND l.id > $${params.length + 1}
+      ORDER BY l.id ASC
+      LIMIT $${params.length + 2}
+    `, [...params, lastId, limit]);
+
+    if (result.rows.length === 0) break;
+    count += result.rows.length;
+    lastId = result.rows[result.rows.length - 1].id;
+    await onBatch(result.rows);
+    if (result.rows.length < limit) break;
+  }
+
+  return count;
+}
+
+/**
+ * Totals, daily volume, rules and channels of the export's logs
+ * @private
+ */
+async function collectSummary(record) {
+  const { where, params } = buildLogFilter(record);
+
+  const [totals, daily, rules, channels] = await Promise.all([
+    pool.query(`
+      SELECT COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE l.status = 'success')::int AS delivered,
+             COUNT(*) FILTER (WHERE l.status = 'failed')::int AS failed,
+             ROUND(AVG(l.response_time_ms) FILTER (WHERE l.status = 'success'))::int AS avg_response_ms
+      FROM logs l
+      WHERE ${where}
+    `, params),
+    pool.query(`
+      SELECT to_char(date_trunc('day', l.created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS day,
+             COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE l.status = 'success')::int AS delivered,
+             COUNT(*) FILTER (WHERE l.status = 'failed')::int AS failed
+      FROM logs l
+      WHERE ${where}
+      GROUP BY 1
+      ORDER BY 1
+    `, params),
+    pool.query(`
+      SELECT COALESCE(r.name, 'Deleted rule') AS name, COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE l.status = 'success')::int AS delivered,
+             COUNT(*) FILTER (WHERE l.status = 'failed')::int AS failed
+      FROM logs l
+      LEFT JOIN rules r ON r.id = l.rule_id
+      WHERE ${where} AND l.rule_id IS NOT NULL
+      GROUP BY 1
+      ORDER BY total DESC
+    `, params),
+    pool.query(`
+      SELECT COALESCE(cw.name, 'Deleted webhook') AS name, COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE l.status = 'success')::int AS delivered,
+             COUNT(*) FILTER (WHERE l.status = 'failed')::int AS failed,
+             ROUND(AVG(l.response_time_ms) FILTER (WHERE l.status = 'success'))::int AS avg_response_ms
+      FROM logs l
+      LEFT JOIN chat_webhooks cw ON cw.id = l.webhook_id
+      WHERE ${where} AND l.webhook_id IS NOT NULL
+      GROUP BY 1
+      ORDER BY total DESC
+    `, params)
+  ]);
+
+  return { totals: totals.rows[0], daily: daily.rows, rules: rules.rows, channels: channels.rows };
+}
+
+/**
+ * Columns of the notification rows for an export
+ * @private
+ */
+function notificationColumns(record) {
+  return record.filter_criteria?.specific_channels ? [...NOTIFICATION_COLUMNS, ...CHANNEL_COLUMNS] : NOTIFICATION_COLUMNS;
+}
+
+/**
+ * Success rate as a percentage (one decimal), null without notifications
+ * @private
+ */
+function successRate(delivered, total) {
+  return total > 0 ? Math.round((delivered / total) * 1000) / 10 : null;
+}
+
+/**
+ * Escape one CSV value
+ * @private
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the export's notifications
+ * @private
+ */
+async function generateCsv(record) {
+  const columns = notificationColumns(record);
+  const chunks = [columns.map(column => csvValue(column.header)).join(',') + '\n'];
+
+  const rowCount = await forEachLogBatch(record, rows => {
+    chunks.push(rows.map(row => columns.map(column => csvValue(row[column.key])).join(',')).join('\n') + '\n');
+  });
+
+  return { data: Buffer.from(chunks.join(''), 'utf8'), rowCount };
+}
+
+/**
+ * Worksheet with bold headers and the given rows (streaming writer: rows are committed as added)
+ * @private
+ */
+function writeSheet(workbook, name, columns, rows = []) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row).commit());
+  return sheet;
+}
+
+/**
+ * XLSX workbook: Summary, Notifications, Daily summary, Rules and (specific_channels) Channels
+ * @private
+ */
+async function generateXlsx(record) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    output.on('end', resolve);
+    output.on('error', reject);
+  });
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  workbook.creator = 'Pipenotify';
+  workbook.created = new Date();
+
+  const summary = await collectSummary(record);
+  const { totals } = summary;
+  writeSheet(workbook, 'Summary', [
+    { key: 'metric', header: 'Metric', width: 28 },
+    { key: 'value', header: 'Value', width: 30 }
+  ], [
+    { metric: 'Date range', value: `Last ${DATA_RANGES[record.data_range]} days` },
+    { metric: 'Filters', value: describeFilters(record.filter_criteria) },
+    { metric: 'Notifications', value: totals.total },
+    { metric: 'Delivered', value: totals.delivered },
+    { metric: 'Failed', value: totals.failed },
+    { metric: 'Success rate (%)', value: successRate(totals.delivered, totals.total) },
+    { metric: 'Avg response time (ms)', value: totals.avg_response_ms },
+    { metric: 'Generated at (UTC)', value: new Date().toISOString() }
+  ]).commit();
+
+  const notifications = writeSheet(workbook, 'Notifications', notificationColumns(record));
+  const rowCount = await forEachLogBatch(record, rows => {
+    rows.forEach(row => notifications.addRow({ ...row, deal_value: row.deal_value === null ? null : Number(row.deal_value) }).commit());
+  });
+  notifications.commit();
+
+  const rateRow = row => ({ ...row, success_rate: successRate(row.delivered, row.total) });
+  writeSheet(workbook, 'Daily summary', [
+    { key: 'day', header: 'Day (UTC)', width: 14 },
+    { key: 'total', header: 'Notifications', width: 14 },
+    { key: 'delivered', header: 'Delivered', width: 12 },
+    { key: 'failed', header: 'Failed', width: 10 },
+    { key: 'success_rate', header: 'Success rate (%)', width: 16 }
+  ], summary.daily.map(rateRow)).commit();
+
+  writeSheet(workbook, 'Rules', [
+    { key: 'name', header: 'Rule', width: 32 },
+    { key: 'total', header: 'Notifications', width: 14 },
+    { key: 'delivered', header: 'Delivered', width: 12 },
+    { key: 'failed', header: 'Failed', width: 10 },
+    { key: 'success_rate', header: 'Success rate (%)', width: 16 }
+  ], summary.rules.map(rateRow)).commit();
+
+  if (record.filter_criteria?.specific_channels) {
+    writeSheet(workbook, 'Channels', [
+      { key: 'name', header: 'Channel', width: 32 },
+      { key: 'total', header: 'Notifications', width: 14 },
+      { key: 'delivered', header: 'Delivered', width: 12 },
+      { key: 'failed', header: 'Failed', width: 10 },
+      { key: 'success_rate', header: 'Success rate (%)', width: 16 },
+      { key: 'avg_response_ms', header: 'Avg response time (ms)', width: 22 }
+    ], summary.channels.map(rateRow)).commit();
+  }
+
+  await workbook.commit();
+  await finished;
+  return { data: Buffer.concat(chunks), rowCount };
+}
+
+/**
+ * Filters of an export in words
+ * @private
+ */
+function describeFilters(filters = {}) {
+  const labels = [];
+  if (filters.successful_only) labels.push('successful only');
+  if (filters.failed_only) labels.push('failed only');
+  if (filters.high_value_deals) labels.push(`deals over ${HIGH_VALUE_DEAL_AMOUNT.toLocaleString('en-US')}`);
+  if (filters.specific_channels) labels.push('channel details');
+  return labels.length > 0 ? labels.join(', ') : 'none';
+}
+
+const PDF_COLORS = { text: '#1f2937', muted: '#6b7280', grid: '#e5e7eb', delivered: '#10b981', failed: '#ef4444', accent: '#3b82f6' };
+
+/**
+ * Section heading, starting a new page when less than minHeight is left
+ * @private
+ */
+function pdfHeading(doc, text, minHeight = 120) {
+  if (doc.y + minHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  doc.moveDown(0.8).fontSize(13).fillColor(PDF_COLORS.text).font('Helvetica-Bold').text(text, doc.page.margins.left);
+  doc.moveDown(0.4).font('Helvetica').fontSize(9);
+}
+
+/**
+ * Daily volume chart: one stacked bar (delivered, failed) per day
+ * @private
+ */
+function pdfDailyChart(doc, daily) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const height = 140;
+  const top = doc.y;
+  const max = Math.max(1, ...daily.map(day => day.total));
+  const slot = width / Math.max(daily.length, 1);
+  const barWidth = Math.max(1, Math.min(24, slot * 0.7));
+
+  doc.lineWidth(0.5).strokeColor(PDF_COLORS.grid);
+  for (let i = 0; i <= 4; i++) {
+    const y = top + height - (height * i) / 4;
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    doc.fontSize(7).fillColor(PDF_COLORS.muted).text(String(Math.round((max * i) / 4)), left - 30, y - 3, { width: 26, align: 'right' });
+  }
+
+  daily.forEach((day, index) => {
+    const x = left + index * slot + (slot - barWidth) / 2;
+    const deliveredHeight = (day.delivered / max) * height;
+    const failedHeight = (day.failed / max) * height;
+    if (deliveredHeight > 0) doc.rect(x, top + height - deliveredHeight, barWidth, deliveredHeight).fill(PDF_COLORS.delivered);
+    if (failedHeight > 0) doc.rect(x, top + height - deliveredHeight - failedHeight, barWidth, failedHeight).fill(PDF_COLORS.failed);
+  });
+
+  // Label the first, middle and last day
+  const labelled = [...new Set([0, Math.floor((daily.length - 1) / 2), daily.length - 1])].filter(index => index >= 0);
+  labelled.forEach(index => {
+    doc.fontSize(7).fillColor(PDF_COLORS.muted).text(daily[index].day, left + index * slot + slot / 2 - 25, top + height + 4, { width: 50, align: 'center' });
+  });
+
+  doc.rect(left, top + height + 18, 8, 8).fill(PDF_COLORS.delivered);
+  doc.fontSize(8).fillColor(PDF_COLORS.text).text('Delivered', left + 12, top + height + 18);
+  doc.rect(left + 70, top + height + 18, 8, 8).fill(PDF_COLORS.failed);
+  doc.fillColor(PDF_COLORS.text).text('Failed', left + 82, top + height + 18);
+  doc.x = left;
+  doc.y = top + height + 34;
+}
+
+/**
+ * Horizontal success-rate bars, one per row ({ name, total, delivered })
+ * @private
+ */
+function pdfRateChart(doc, rows) {
+  const left = doc.page.margins.left;
+  const labelWidth = 150;
+  const barMax = doc.page.width - left - doc.page.margins.right - labelWidth - 110;
+
+  rows.forEach(row => {
+    if (doc.y + 16 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    const rate = successRate(row.delivered, row.total) || 0;
+    doc.fontSize(8).fillColor(PDF_COLORS.text).text(row.name, left, y + 1, { width: labelWidth - 8, ellipsis: true, lineBreak: false });
+    doc.rect(left + labelWidth, y, barMax, 10).fill(PDF_COLORS.grid);
+    if (rate > 0) doc.rect(left + labelWidth, y, (barMax * rate) / 100, 10).fill(rate >= 95 ? PDF_COLORS.delivered : rate >= 80 ? '#f59e0b' : PDF_COLORS.failed);
+    doc.fillColor(PDF_COLORS.muted).text(`${rate}% of ${row.total.toLocaleString('en-US')}`, left + labelWidth + barMax + 8, y + 1, { lineBreak: false });
+    doc.x = left;
+    doc.y = y + 16;
+  });
+}
+
+/**
+ * Simple table with fixed column widths
+ * @private
+ */
+function pdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, bold) => {
+    if (doc.y + 14 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(PDF_COLORS.text);
+    columns.forEach((column, index) => {
+      doc.text(String(cells[index] ?? ''), x, y, { width: column.width - 6, ellipsis: true, lineBreak: false, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.moveTo(left, y + 11).lineTo(x, y + 11).lineWidth(0.5).strokeColor(PDF_COLORS.grid).stroke();
+    doc.x = left;
+    doc.y = y + 14;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(columns.map(column => row[column.key]), false));
+  doc.font('Helvetica');
+}
+
+/**
+ * PDF report: summary, daily volume chart, rule and channel success charts and tables,
+ * and the latest failures
+ * @private
+ */
+async function generatePdf(record) {
+  const summary = await collectSummary(record);
+  const { where, params } = buildLogFilter(record);
+  const failures = await pool.query(`
+    SELECT to_char(l.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI') AS sent_at,
+           COALESCE(r.name, CASE WHEN l.rule_id IS NOT NULL THEN 'Deleted rule' END) AS rule_name, l.error_message
+    FROM logs l
+    LEFT JOIN rules r ON r.id = l.rule_id
+    WHERE ${where} AND l.status = 'failed'
+    ORDER BY l.created_at DESC
+    LIMIT 20
+  `, params);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Notification analytics', Author: 'Pipenotify' } });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', resolve);
+    doc.on('error', reject);
+  });
+
+  const { totals } = summary;
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(PDF_COLORS.text).text('Notification analytics');
+  doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.muted)
+    .text(`Last ${DATA_RANGES[record.data_range]} days · Filters: ${describeFilters(record.filter_criteria)} · Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+
+  // Summary tiles
+  const tiles = [
+    ['Notifications', totals.total.toLocaleString('en-US')],
+    ['Delivered', totals.delivered.toLocaleString('en-US')],
+    ['Failed', totals.failed.toLocaleString('en-US')],
+    ['Success rate', totals.total > 0 ? `${successRate(totals.delivered, totals.total)}%` : '-'],
+    ['Avg response', totals.avg_response_ms !== null ? `${totals.avg_response_ms} ms` : '-']
+  ];
+  const tileTop = doc.y + 16;
+  const tileWidth = (doc.page.width - 100 - 4 * 8) / tiles.length;
+  tiles.forEach(([label, value], index) => {
+    const x = 50 + index * (tileWidth + 8);
+    doc.roundedRect(x, tileTop, tileWidth, 48, 4).fill('#f3f4f6');
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(PDF_COLORS.accent).text(value, x, tileTop + 9, { width: tileWidth, align: 'center' });
+    doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted).text(label, x, tileTop + 30, { width: tileWidth, align: 'center' });
+  });
+  doc.x = 50;
+  doc.y = tileTop + 56;
+
+  if (summary.daily.length > 0) {
+    pdfHeading(doc, 'Daily volume', 200);
+    pdfDailyChart(doc, summary.daily);
+  }
+
+  if (summary.rules.length > 0) {
+    pdfHeading(doc, 'Success rate by rule');
+    pdfRateChart(doc, summary.rules.slice(0, 15));
+  }
+
+  if (record.filter_criteria?.specific_channels && summary.channels.length > 0) {
+    pdfHeading(doc, 'Success rate by channel');
+    pdfRateChart(doc, summary.channels.slice(0, 15));
+    pdfHeading(doc, 'Channels');
+    pdfTable(doc, [
+      { key: 'name', header: 'Channel', width: 200 },
+      { key: 'total', header: 'Sent', width: 70, align: 'right' },
+      { key: 'failed', header: 'Failed', width: 70, align: 'right' },
+      { key: 'avg_response_ms', header: 'Avg ms', width: 70, align: 'right' }
+    ], summary.channels);
+  }
+
+  if (failures.rows.length > 0) {
+    pdfHeading(doc, 'Latest failures');
+    pdfTable(doc, [
+      { key: 'sent_at', header: 'Sent at (UTC)', width: 95 },
+      { key: 'rule_name', header: 'Rule', width: 140 },
+      { key: 'error_message', header: 'Error', width: 260 }
+    ], failures.rows);
+  }
+
+  if (totals.total === 0) {
+    doc.moveDown().fontSize(11).fillColor(PDF_COLORS.muted).text('No notifications match this range and filters.');
+  }
+
+  doc.end();
+  await finished;
+  return { data: Buffer.concat(chunks), rowCount: totals.total };
+}
+
+const GENERATORS = { csv: generateCsv, xlsx: generateXlsx, pdf: generatePdf };
+
+/**
+ * Generate and store the file of a claimed export
+ * @private
+ */
+async function runExport(record) {
+  try {
+    const { data, rowCount } = await GENERATORS[record.export_type](record);
+    const format = EXPORT_FORMATS[record.export_type];
+    const fileName = `analytics-${record.data_range}-${new Date().toISOString().slice(0, 10)}-${record.id}.${format.extension}`;
+
+    await pool.query(`
+      UPDATE analytics_exports
+      SET status = 'completed', file_name = $2, content_type = $3, file_data = $4, file_size = $5, row_count = $6,
+          error_message = NULL, completed_at = NOW(), expires_at = NOW() + make_interval(days => $7)
+      WHERE id = $1
+    `, [record.id, fileName, format.contentType, data, data.length, rowCount, EXPORT_RETENTION_DAYS]);
+    return true;
+  } catch (error) {
+    console.error(`❌ Analytics export ${record.id} failed:`, error.message);
+    await pool.query(`
+      UPDATE analytics_exports SET status = 'failed', error_message = $2, completed_at = NOW() WHERE id = $1
+    `, [record.id, error.message]);
+    return false;
+  }
+}
+
+/**
+ * Generate pending exports one at a time, oldest first
+ * Exports are claimed with FOR UPDATE SKIP LOCKED so several instances can share the queue;
+ * an export left processing for STALE_PROCESSING_MINUTES (e.g. by a restart) is marked failed.
+ * @param {number} limit - Maximum exports this run
+ * @returns {Promise<{completed: number, failed: number}>} Exports generated and failed
+ */
+async function processPendingExports(limit = 10) {
+  const stats = { completed: 0, failed: 0 };
+  // One run at a time per instance: createExport starts a run besides the worker's schedule
+  if (processing) return stats;
+  processing = true;
+
+  try {
+    await pool.query(`
+      UPDATE analytics_exports SET status = 'failed', error_message = 'Export timed out', completed_at = NOW()
+      WHERE status = 'processing' AND started_at < NOW() - make_interval(mins => $1)
+    `, [STALE_PROCESSING_MINUTES]);
+
+    for (let i = 0; i < limit; i++) {
+      const claimed = await pool.query(`
+        UPDATE analytics_exports SET status = 'processing', started_at = NOW()
+        WHERE id = (
+          SELECT id FROM analytics_exports
+          WHERE status = 'pending'
+          ORDER BY created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING ${EXPORT_COLUMNS}
+      `);
+      if (claimed.rows.length === 0) break;
+
+      if (await runExport(claimed.rows[0])) {
+        stats.completed++;
+      } else {
+        stats.failed++;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+  return stats;
+}
+
+/**
+ * Drop the files of expired exports and delete export records older than 30 days
+ * @returns {Promise<number>} Exports expired or deleted
+ */
+async function cleanupExports() {
+  const expired = await pool.query(`
+    UPDATE analytics_exports SET status = 'expired', file_data = NULL
+    WHERE status = 'completed' AND expires_at < NOW()
+  `);
+  const deleted = await pool.query(`
+    DELETE FROM analytics_exports
+    WHERE created_at < NOW() - INTERVAL '30 days' AND status != 'completed'
+  `);
+  return (expired.rowCount || 0) + (deleted.rowCount || 0);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DATA_RANGES,
+  validateExportRequest,
+  createExport,
+  listExports,
+  getExport,
+  getExportFile,
+  processPendingExports,
+  cleanupExports
+};
@@ -0,0 +1,487 @@
+const { pool } = require('./database');
+
+/**
+ * Analytics Rollups
+ * Delivery logs are folded into hourly and daily rollups (migration 038) by the rollup job
+ * (jobs/analyticsRollup.js), a batch of logs past the watermark at a time. Analytics queries read
+ * the rollups plus the few logs past the watermark, so they never scan the logs table. Every
+ * result carries a data status: complete, partial (history before the tenant's earliest rollup,
+ * or rollups too far behind to add the rest from logs) or unavailable (rollups not built yet).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PERIOD_HOURS = { '1d': 24, '7d': 7 * 24, '30d': 30 * 24, '90d': 90 * 24 };
+const DEFAULT_PERIOD = '7d';
+const HOURLY_ROLLUP_RETENTION_DAYS = 90;
+const DAILY_ROLLUP_RETENTION_DAYS = parseInt(process.env.ANALYTICS_ROLLUP_RETENTION_DAYS) || 730;
+const RESOLUTIONS = {
+  hour: { table: 'analytics_hourly_rollups', stepMs: HOUR_MS, retentionDays: HOURLY_ROLLUP_RETENTION_DAYS },
+  day: { table: 'analytics_daily_rollups', stepMs: DAY_MS, retentionDays: DAILY_ROLLUP_RETENTION_DAYS }
+};
+// Ranges up to two days are broken down by the hour, longer ones by the day
+const HOURLY_MAX_DAYS = 2;
+const MAX_CUSTOM_RANGE_DAYS = 366;
+const ROLLUP_BATCH_SIZE = 5000;
+const MAX_BATCHES_PER_RUN = 50;
+// Logs younger than this wait for the next run, so a concurrent insert that commits a lower id late is not skipped
+const SETTLE_SECONDS = 30;
+// Beyond this many logs past the watermark, queries stop reading logs and report partial data
+const MAX_TAIL_LOGS = 20000;
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function analyticsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * SQL for the UTC hour or day bucket of logs.created_at
+ * @private
+ */
+function bucketSql(resolution) {
+  return `date_trunc('${resolution}', created_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`;
+}
+
+/**
+ * Start of the UTC hour or day containing a time
+ * @private
+ */
+function truncate(time, resolution) {
+  const step = RESOLUTIONS[resolution].stepMs;
+  return new Date(Math.floor(time.getTime() / step) * step);
+}
+
+/**
+ * Parse a YYYY-MM-DD query date as UTC midnight
+ * @private
+ */
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const day = new Date(`${value}T00:00:00Z`);
+  return isNaN(day.getTime()) ? null : day;
+}
+
+/**
+ * Resolve the range of an analytics request: a period (1d, 7d, 30d, 90d; default 7d) ending now,
+ * or start_date..end_date (inclusive UTC days). The start is aligned to the resolution's bucket.
+ * @param {Object} query - { period, start_date, end_date }
+ * @param {Date} now - Current time
+ * @returns {{period: string, start: Date, end: Date, resolution: string}} Range
+ */
+function resolveRange({ period, start_date: startDate, end_date: endDate } = {}, now = new Date()) {
+  let start;
+  let end = now;
+
+  if (startDate || endDate) {
+    const startDay = parseDay(startDate);
+    const endDay = parseDay(endDate);
+    if (!startDay || !endDay || endDay < startDay || startDay > now) {
+      throw analyticsError('start_date and end_date must be YYYY-MM-DD, with start_date on or before end_date and not in the future', 'INVALID_RANGE');
+    }
+    if (endDay - startDay >= MAX_CUSTOM_RANGE_DAYS * DAY_MS) {
+      throw analyticsError(`Date ranges can span at most ${MAX_CUSTOM_RANGE_DAYS} days`, 'INVALID_RANGE');
+    }
+    start = startDay;
+    end = new Date(Math.min(endDay.getTime() + DAY_MS, now.getTime()));
+    period = 'custom';
+  } else {
+    period = PERIOD_HOURS[period] ? period : DEFAULT_PERIOD;
+    start = new Date(now.getTime() - PERIOD_HOURS[period] * HOUR_MS);
+  }
+
+  const resolution = end - start <= HOURLY_MAX_DAYS * DAY_MS ? 'hour' : 'day';
+  return { period, start: truncate(start, resolution), end, resolution };
+}
+
+/**
+ * The range of the same length just before a range
+ * @param {Object} range - Range from resolveRange
+ * @returns {Object} Previous range
+ */
+function previousRange(range) {
+  const length = range.end - range.start;
+  return { ...range, period: 'previous', start: new Date(range.start.getTime() - length), end: range.start };
+}
+
+/**
+ * Fold logs past the watermark into the hourly and daily rollups, one transaction per batch.
+ * The watermark row is locked (SKIP LOCKED), so concurrent runs on other instances skip instead
+ * of counting logs twice.
+ * @returns {Promise<{logs: number, batches: number, caught_up: boolean}>} Logs folded in this run
+ */
+async function rollUpLogs() {
+  const client = await pool.connect();
+  let logs = 0;
+  let batches = 0;
+  let caughtUp = false;
+
+  try {
+    while (batches < MAX_BATCHES_PER_RUN) {
+      await client.query('BEGIN');
+
+      const stateResult = await client.query(
+        'SELECT last_log_id FROM analytics_rollup_state WHERE name = \'logs\' FOR UPDATE SKIP LOCKED'
+      );
+      if (stateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        break;
+      }
+      const fromId = Number(stateResult.rows[0].last_log_id);
+
+      const batchResult = await client.query(`
+        SELECT MAX(id) AS to_id, COUNT(*) AS count FROM (
+          SELECT id FROM logs
+          WHERE id > $1 AND created_at < NOW() - make_interval(secs => $2)
+          ORDER BY id
+          LIMIT $3
+        ) batch
+      `, [fromId, SETTLE_SECONDS, ROLLUP_BATCH_SIZE]);
+      const count = parseInt(batchResult.rows[0].count) || 0;
+
+      if (count === 0) {
+        await client.query('UPDATE analytics_rollup_state SET rolled_up_at = NOW() WHERE name = \'logs\'');
+        await client.query('COMMIT');
+        caughtUp = true;
+        break;
+      }
+      const toId = Number(batchResult.rows[0].to_id);
+
+      for (const [resolution, { table }] of Object.entries(RESOLUTIONS)) {
+        await client.query(`
+          INSERT INTO ${table} AS r
+            (tenant_id, bucket, rule_id, webhook_id, total_count, success_count, failed_count, response_time_sum, response_time_count)
+          SELECT tenant_id, ${bucketSql(resolution)}, COALESCE(rule_id, 0), COALESCE(webhook_id, 0),
+            COUNT(*),
+            COUNT(*) FILTER (WHERE status = 'success'),
+            COUNT(*) FILTER (WHERE status = 'failed'),
+            COALESCE(SUM(response_time_ms), 0),
+            COUNT(response_time_ms)
+          FROM logs
+          WHERE id > $1 AND id <= $2 AND tenant_id IS NOT NULL
+          GROUP BY 1, 2, 3, 4
+          ON CONFLICT (tenant_id, bucket, rule_id, webhook_id) DO UPDATE SET
+            total_count = r.total_count + EXCLUDED.total_count,
+            success_count = r.success_count + EXCLUDED.success_count,
+            failed_count = r.failed_count + EXCLUDED.failed_count,
+            response_time_sum = r.response_time_sum + EXCLUDED.response_time_sum,
+            response_time_count = r.response_time_count + EXCLUDED.response_time_count
+        `, [fromId, toId]);
+      }
+
+      await client.query(
+        'UPDATE analytics_rollup_state SET last_log_id = $1, rolled_up_at = NOW() WHERE name = \'logs\'',
+        [toId]
+      );
+      await client.query('COMMIT');
+
+      logs += count;
+      batches++;
+      if (count < ROLLUP_BATCH_SIZE) {
+        caughtUp = true;
+        break;
+      }
+    }
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { logs, batches, caught_up: caughtUp };
+}
+
+/**
+ * Load the rollup watermark and decide the data status of a tenant's range. The returned context
+ * is passed to the query functions; dataStatus is what the API returns as data_status.
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} range - Range from resolveRange
+ * @returns {Promise<{range: Object, ready: boolean, tail: {fromId: number, toId: number}, dataStatus: Object}>} Context
+ */
+async function getAnalyticsContext(tenantId, range) {
+  const result = await pool.query(`
+    SELECT s.last_log_id, s.rolled_up_at, s.created_at AS rollups_started_at,
+      (SELECT MAX(id) FROM logs) AS max_log_id,
+      (SELECT MIN(bucket) FROM analytics_daily_rollups WHERE tenant_id = $1) AS first_bucket,
+      (SELECT created_at FROM tenants WHERE id = $1) AS tenant_created_at
+    FROM analytics_rollup_state s
+    WHERE s.name = 'logs'
+  `, [tenantId]);
+  const state = result.rows[0];
+
+  const dataStatus = {
+    status: 'complete',
+    message: null,
+    period: range.period,
+    start: range.start.toISOString(),
+    end: range.end.toISOString(),
+    resolution: range.resolution,
+    available_from: null,
+    rolled_up_at: state?.rolled_up_at || null
+  };
+
+  if (!state || !state.rolled_up_at) {
+    return {
+      range,
+      ready: false,
+      tail: { fromId: 0, toId: 0 },
+      dataStatus: {
+        ...dataStatus,
+        status: 'unavailable',
+        message: 'Delivery analytics are still being prepared. Check back in a few minutes.'
+      }
+    };
+  }
+
+  const lastLogId = Number(state.last_log_id);
+  const pendingLogs = Math.max(0, Number(state.max_log_id || 0) - lastLogId);
+  const lagging = pendingLogs > MAX_TAIL_LOGS;
+  const messages = [];
+
+  // History starts at the tenant's earliest rollup, or when rollups started if it had no logs left then
+  let availableFrom = state.first_bucket && state.first_bucket < state.rollups_started_at
+    ? state.first_bucket
+    : state.rollups_started_at;
+  const retentionStart = new Date(Date.now() - RESOLUTIONS[range.resolution].retentionDays * DAY_MS);
+  if (retentionStart > availableFrom) availableFrom = retentionStart;
+  dataStatus.available_from = availableFrom.toISOString();
+
+  const tenantCreatedAt = state.tenant_created_at || availableFrom;
+  if (range.start < availableFrom && tenantCreatedAt < availableFrom) {
+    messages.push(`Delivery history is available from ${availableFrom.toISOString().slice(0, 10)}; earlier deliveries in this range are not included.`);
+  }
+  if (lagging) {
+    messages.push(`The latest ${pendingLogs.toLocaleString('en-US')} deliveries are still being aggregated and are not included yet.`);
+  }
+  if (messages.length > 0) {
+    dataStatus.status = 'partial';
+    dataStatus.message = messages.join(' ');
+  }
+
+  return {
+    range,
+    ready: true,
+    tail: { fromId: lastLogId, toId: lagging ? lastLogId : lastLogId + pendingLogs },
+    dataStatus
+  };
+}
+
+/**
+ * Rollup rows of a tenant's range plus the logs past the watermark, as one row source.
+ * Parameters: $1 tenant, $2 start, $3 end, $4 watermark, $5 last log to read raw.
+ * @private
+ */
+function deliverySource(resolution) {
+  return `
+    SELECT bucket, rule_id, webhook_id, total_count, success_count, failed_count, response_time_sum, response_time_count
+    FROM ${RESOLUTIONS[resolution].table}
+    WHERE tenant_id = $1 AND bucket >= $2 AND bucket < $3
+    UNION ALL
+    SELECT ${bucketSql(resolution)}, COALESCE(rule_id, 0), COALESCE(webhook_id, 0), 1,
+      (status = 'success')::int, (status = 'failed')::int,
+      COALESCE(response_time_ms, 0), (response_time_ms IS NOT NULL)::int
+    FROM logs
+    WHERE id > $4 AND id <= $5 AND tenant_id = $1 AND created_at >= $2 AND created_at < $3`;
+}
+
+/**
+ * Query parameters for deliverySource
+ * @private
+ */
+function sourceParams(tenantId, context, range = context.range) {
+  return [tenantId, range.start, range.end, context.tail.fromId, context.tail.toId];
+}
+
+/**
+ * Average response time in ms from rollup sums, 0 without timed deliveries
+ * @private
+ */
+function averageResponseTime(sum, count) {
+  const timed = parseInt(count) || 0;
+  return timed > 0 ? Math.round(Number(sum) / timed) : 0;
+}
+
+/**
+ * Delivery totals of a range (the context's range unless another one is given, e.g. previousRange)
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} context - Context from getAnalyticsContext
+ * @param {Object} [range] - Range to total
+ * @returns {Promise<{total: number, success: number, failed: number, avgResponseTime: number}>} Totals
+ */
+async function getDeliveryTotals(tenantId, context, range = context.range) {
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(total_count), 0) AS total,
+      COALESCE(SUM(success_count), 0) AS success,
+      COALESCE(SUM(failed_count), 0) AS failed,
+      COALESCE(SUM(response_time_sum), 0) AS response_time_sum,
+      COALESCE(SUM(response_time_count), 0) AS response_time_count
+    FROM (${deliverySource(range.resolution)}) source
+  `, sourceParams(tenantId, context, range));
+  const row = result.rows[0];
+
+  return {
+    total: parseInt(row.total) || 0,
+    success: parseInt(row.success) || 0,
+    failed: parseInt(row.failed) || 0,
+    avgResponseTime: averageResponseTime(row.response_time_sum, row.response_time_count)
+  };
+}
+
+/**
+ * Successful and failed deliveries per hour or day of the range, including empty buckets
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} context - Context from getAnalyticsContext
+ * @returns {Promise<Array<{timestamp: string, success: number, failure: number, responseTime: number}>>} Series
+ */
+async function getDeliveryTimeSeries(tenantId, context) {
+  const { range } = context;
+  const result = await pool.query(`
+    SELECT bucket,
+      SUM(success_count) AS success,
+      SUM(failed_count) AS failure,
+      SUM(response_time_sum) AS response_time_sum,
+      SUM(response_time_count) AS response_time_count
+    FROM (${deliverySource(range.resolution)}) source
+    GROUP BY bucket
+  `, sourceParams(tenantId, context));
+
+  const buckets = new Map(result.rows.map(row => [new Date(row.bucket).getTime(), row]));
+  const series = [];
+  for (let time = range.start.getTime(); time < range.end.getTime(); time += RESOLUTIONS[range.resolution].stepMs) {
+    const row = buckets.get(time);
+    series.push({
+      timestamp: new Date(time).toISOString(),
+      success: row ? parseInt(row.success) || 0 : 0,
+      failure: row ? parseInt(row.failure) || 0 : 0,
+      responseTime: row ? averageResponseTime(row.response_time_sum, row.response_time_count) : 0
+    });
+  }
+  return series;
+}
+
+/**
+ * Deliveries per rule of the tenant, most successful first
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} context - Context from getAnalyticsContext
+ * @param {Object} [options] - { limit, range }
+ * @returns {Promise<Array<{id: number, name: string, total: number, success: number, failed: number, avgResponseTime: number}>>} Rules
+ */
+async function getRuleStats(tenantId, context, { limit = null, range = context.range } = {}) {
+  const result = await pool.query(`
+    SELECT r.id, r.name,
+      COALESCE(SUM(s.total_count), 0) AS total,
+      COALESCE(SUM(s.success_count), 0) AS success,
+      COALESCE(SUM(s.failed_count), 0) AS failed,
+      COALESCE(SUM(s.response_time_sum), 0) AS response_time_sum,
+      COALESCE(SUM(s.response_time_count), 0) AS response_time_count
+    FROM rules r
+    LEFT JOIN (${deliverySource(range.resolution)}) s ON s.rule_id = r.id
+    WHERE r.tenant_id = $1
+    GROUP BY r.id, r.name
+    ORDER BY success DESC, total DESC, r.id
+    LIMIT $6
+  `, [...sourceParams(tenantId, context, range), limit]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    total: parseInt(row.total) || 0,
+    success: parseInt(row.success) || 0,
+    failed: parseInt(row.failed) || 0,
+    avgResponseTime: averageResponseTime(row.response_time_sum, row.response_time_count)
+  }));
+}
+
+/**
+ * Deliveries per chat webhook of the tenant with its daily rate limiting counters (migration 032)
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} context - Context from getAnalyticsContext
+ * @returns {Promise<Array<Object>>} Channels, most successful first
+ */
+async function getChannelStats(tenantId, context) {
+  const result = await pool.query(`
+    SELECT cw.id, cw.name,
+      COALESCE(s.total, 0) AS total,
+      COALESCE(s.success, 0) AS success,
+      COALESCE(s.failed, 0) AS failed,
+      COALESCE(s.response_time_sum, 0) AS response_time_sum,
+      COALESCE(s.response_time_count, 0) AS response_time_count,
+      COALESCE(rl.throttled_count, 0) AS throttled_count,
+      COALESCE(rl.throttled_wait_ms, 0) AS throttled_wait_ms,
+      COALESCE(rl.rate_limited_count, 0) AS rate_limited_count,
+      COALESCE(rl.overflow_count, 0) AS overflow_count
+    FROM chat_webhooks cw
+    LEFT JOIN (
+      SELECT webhook_id,
+        SUM(total_count) AS total,
+        SUM(success_count) AS success,
+        SUM(failed_count) AS failed,
+        SUM(response_time_sum) AS response_time_sum,
+        SUM(response_time_count) AS response_time_count
+      FROM (${deliverySource(context.range.resolution)}) source
+      GROUP BY webhook_id
+    ) s ON s.webhook_id = cw.id
+    LEFT JOIN (
+      SELECT webhook_id,
+        SUM(throttled_count) AS throttled_count,
+        SUM(throttled_wait_ms) AS throttled_wait_ms,
+        SUM(rate_limited_count) AS rate_limited_count,
+        SUM(overflow_count) AS overflow_count
+      FROM channel_rate_limit_stats
+      WHERE tenant_id = $1 AND day >= $2::timestamptz::date AND day <= ($3::timestamptz - INTERVAL '1 millisecond')::date
+      GROUP BY webhook_id
+    ) rl ON rl.webhook_id = cw.id
+    WHERE cw.tenant_id = $1
+    ORDER BY success DESC, total DESC, cw.id
+  `, sourceParams(tenantId, context));
+
+  return result.rows.map(row => {
+    const throttledCount = parseInt(row.throttled_count) || 0;
+    return {
+      id: row.id,
+      name: row.name,
+      total: parseInt(row.total) || 0,
+      success: parseInt(row.success) || 0,
+      failed: parseInt(row.failed) || 0,
+      avgResponseTime: averageResponseTime(row.response_time_sum, row.response_time_count),
+      throttledCount,
+      avgThrottleWaitMs: throttledCount > 0 ? Math.round(Number(row.throttled_wait_ms) / throttledCount) : 0,
+      rateLimitedCount: parseInt(row.rate_limited_count) || 0,
+      overflowCount: parseInt(row.overflow_count) || 0
+    };
+  });
+}
+
+/**
+ * Delete hourly rollups after 90 days and daily rollups after ANALYTICS_ROLLUP_RETENTION_DAYS
+ * @returns {Promise<number>} Rows deleted
+ */
+async function cleanupRollups() {
+  let deleted = 0;
+  for (const { table, retentionDays } of Object.values(RESOLUTIONS)) {
+    const result = await pool.query(
+      `DELETE FROM ${table} WHERE bucket < NOW() - make_interval(days => $1)`,
+      [retentionDays]
+    );
+    deleted += result.rowCount || 0;
+  }
+  return deleted;
+}
+
+module.exports = {
+  PERIOD_HOURS,
+  resolveRange,
+  previousRange,
+  rollUpLogs,
+  getAnalyticsContext,
+  getDeliveryTotals,
+  getDeliveryTimeSeries,
+  getRuleStats,
+  getChannelStats,
+  cleanupRollups
+};
@@ -0,0 +1,237 @@
+const { pool } = require('./database');
+
+/**
+ * Audit Log Service
+ * Append-only trail of configuration changes: who changed what (before/after diff), from where and when.
+ * Writing an audit event never fails the change itself; errors are logged and swallowed.
+ */
+
+// Secrets are never copied into audit snapshots
+const REDACTED_FIELDS = new Set(['webhook_url', 'access_token', 'refresh_token', 'api_token', 'secret']);
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = new Set(['updated_at', 'created_at']);
+const CSV_COLUMNS = ['created_at', 'actor_name', 'actor_role', 'actor_type', 'action', 'entity_type', 'entity_id', 'changes', 'ip_address'];
+
+/**
+ * Copy a row for storage, masking secret fields
+ * @private
+ */
+function sanitizeSnapshot(state) {
+  if (!state || typeof state !== 'object') return state ?? null;
+
+  return Object.fromEntries(Object.entries(state).map(([key, value]) => {
+    if (REDACTED_FIELDS.has(key) && typeof value === 'string' && value) {
+      return [key, `…${value.slice(-6)}`];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Object} { field: { before, after } } for every changed top-level field
+ */
+function diffStates(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { before: oldValue ?? null, after: newValue ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Client IP of a request (first X-Forwarded-For hop behind the proxy)
+ * @private
+ */
+function getRequestIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Record a configuration change
+ * @param {Object} event - Audit event
+ * @param {number} event.tenantId - Tenant ID
+ * @param {Object} [event.req] - Express request; supplies the actor (req.tenant), IP and user agent
+ * @param {string} [event.actorType] - user, system or billing (defaults to user when req is given)
+ * @param {string} [event.actorName] - Display name for non-user actors
+ * @param {string} event.action - e.g. rule.updated, webhook.deleted, plan.changed
+ * @param {string} event.entityType - rule, webhook, quiet_hours, member, subscription
+ * @param {string|number} [event.entityId] - Entity ID
+ * @param {Object} [event.before] - State before the change
+ * @param {Object} [event.after] - State after the change
+ * @param {Object} [event.metadata] - Extra context (e.g. bulk operation type)
+ * @returns {Promise<Object|null>} Stored event, or null when it could not be written
+ */
+async function recordAuditEvent(event) {
+  const { tenantId, req = null, action, entityType, entityId = null, metadata = {} } = event;
+  if (!tenantId || !action || !entityType) return null;
+
+  const before = sanitizeSnapshot(event.before);
+  const after = sanitizeSnapshot(event.after);
+  const actor = req?.tenant || {};
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO audit_events (
+        tenant_id, actor_type, actor_id, actor_name, actor_role, action, entity_type, entity_id,
+        before_state, after_state, changes, metadata, ip_address, user_agent
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      tenantId,
+      event.actorType || (req ? 'user' : 'system'),
+      actor.user_id || null,
+      event.actorName || actor.user_name || (actor.user_id ? `Pipedrive user ${actor.user_id}` : null),
+      actor.role || null,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      JSON.stringify(diffStates(before, after)),
+      JSON.stringify(metadata),
+      req ? getRequestIp(req) : null,
+      req?.headers?.['user-agent'] || null
+    ]);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error(`❌ Failed to record audit event ${action} for tenant ${tenantId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function auditError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a from/to filter: a plain date (UTC, the whole day for `to`) or a timestamp
+ * @private
+ */
+function parseFilterDate(name, value, endOfDay = false) {
+  const text = String(value);
+  const plainDate = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(plainDate && endOfDay ? `${text}T23:59:59.999Z` : text);
+  // Plain dates must exist; 2024-02-30 would otherwise roll over into March
+  if (isNaN(date) || (plainDate && date.toISOString().slice(0, 10) !== text)) {
+    throw auditError(`${name} must be a valid date (YYYY-MM-DD or ISO 8601)`, 'INVALID_AUDIT_FILTER');
+  }
+  return date;
+}
+
+/**
+ * Query a tenant's audit events
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} filters - { action, entity_type, entity_id, actor_id, from, to, limit, offset }
+ * @returns {Promise<{events: Array, total: number}>} Matching events, newest first
+ * @throws INVALID_AUDIT_FILTER when from or to is not a valid date, or from is after to
+ */
+async function getAuditEvents(tenantId, filters = {}) {
+  const conditions = ['tenant_id = $1'];
+  const params = [tenantId];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.action) {
+    // "rule" matches rule.created, rule.updated, ...
+    if (filters.action.includes('.')) {
+      addCondition('action = ?', filters.action);
+    } else {
+      addCondition("action LIKE ? || '.%'", filters.action);
+    }
+  }
+  if (filters.entity_type) addCondition('entity_type = ?', filters.entity_type);
+  if (filters.entity_id) addCondition('entity_id = ?', String(filters.entity_id));
+  if (filters.actor_id) addCondition('actor_id = ?', parseInt(filters.actor_id));
+  const from = filters.from ? parseFilterDate('from', filters.from) : null;
+  const to = filters.to ? parseFilterDate('to', filters.to, true) : null;
+  if (from && to && from > to) {
+    throw auditError('from must not be after to', 'INVALID_AUDIT_FILTER');
+  }
+  if (from) addCondition('created_at >= ?', from);
+  if (to) addCondition('created_at <= ?', to);
+
+  const where = conditions.join(' AND ');
+  const limit = Math.min(parseInt(filters.limit) || 50, 1000);
+  const offset = parseInt(filters.offset) || 0;
+
+  const [events, count] = await Promise.all([
+    pool.query(
+      `SELECT * FROM audit_events WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+      params
+    ),
+    pool.query(`SELECT COUNT(*)::INTEGER AS total FROM audit_events WHERE ${where}`, params)
+  ]);
+
+  return { events: events.rows, total: count.rows[0].total };
+}
+
+/**
+ * Render audit events as CSV
+ * @param {Array} events - audit_events rows
+ * @returns {string} CSV with a header row
+ */
+function toCsv(events) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = events.map(event => CSV_COLUMNS.map(column => escape(event[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Delete audit events older than each tenant's plan retention (PLAN_LIMITS.log_retention_days)
+ * @returns {Promise<number>} Deleted events
+ */
+async function cleanupAuditEvents() {
+  // Required here: featureGating → quotaEnforcement → stripe, which records plan changes through this module
+  const { PLAN_LIMITS } = require('../middleware/featureGating');
+  let deleted = 0;
+
+  for (const [planTier, limits] of Object.entries(PLAN_LIMITS)) {
+    const result = await pool.query(`
+      DELETE FROM audit_events a
+      USING tenants t
+      LEFT JOIN subscriptions s ON s.tenant_id = t.id
+      WHERE a.tenant_id = t.id
+        AND COALESCE(s.plan_tier, 'free') = $1
+        AND a.created_at < NOW() - ($2 || ' days')::INTERVAL
+    `, [planTier, limits.log_retention_days]);
+    deleted += result.rowCount || 0;
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  recordAuditEvent,
+  diffStates,
+  getAuditEvents,
+  toCsv,
+  cleanupAuditEvents
+};
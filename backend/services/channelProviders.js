@@ -0,0 +1,632 @@
+/**
+ * Channel provider registry for notification delivery targets
+ * Each chat_webhooks row carries a channel_type that selects one of these providers.
+ * Providers turn the text produced by ChatClient formatters (simple/compact/detailed/custom),
+ * the card summary (card mode) and grouped digests into the payload their platform expects.
+ * formatMessage takes a message object built by the caller (sendToChat): payloads already in the
+ * platform's own format are sent unchanged, anything else is reduced to its text.
+ * rateLimit ({ perSecond, burst }) sizes the per-webhook token bucket (see channelRateLimiter.js).
+ * getRequestConfig(url), when present, returns axios options for each send (or throws).
+ */
+
+const dns = require('dns').promises;
+const { lookup: dnsLookup } = require('dns');
+const https = require('https');
+const net = require('net');
+
+const CHANNEL_TYPES = ['google_chat', 'slack', 'teams', 'generic'];
+const DEFAULT_CHANNEL_TYPE = 'google_chat';
+
+/**
+ * Parse a URL without throwing
+ * @private
+ */
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges.
+// Generic webhooks may point anywhere, so these keep them off the server's own network.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @private
+ */
+function isNonPublicAddress(address) {
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return NON_PUBLIC_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (!family) return true;
+  return NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for generic webhook connections that refuses non-public addresses. It runs on every
+ * connect, so a host that resolves to an internal address after it was validated (DNS rebinding)
+ * is still refused.
+ * @private
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(entry => isNonPublicAddress(entry.address))) {
+      return callback(Object.assign(new Error(`${hostname} does not resolve to a public internet host`), { code: 'NON_PUBLIC_HOST' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const PUBLIC_HTTPS_AGENT = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Escape text for the HTML subset Google Chat cards render
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert Google Chat / Slack style markup to standard markdown (used by Teams)
+ * *bold* → **bold**, <url|label> → [label](url)
+ * @private
+ */
+function toStandardMarkdown(text) {
+  return String(text || '')
+    .replace(/<(https?:\/\/[^|>]+)\|([^>]+)>/g, '[$2]($1)')
+    .replace(/(^|[^*])\*([^*\n]+)\*(?!\*)/g, '$1**$2**');
+}
+
+/**
+ * Google Chat incoming webhooks
+ */
+const googleChatProvider = {
+  type: 'google_chat',
+  label: 'Google Chat',
+  // Incoming webhooks are throttled at roughly one message per second per space
+  rateLimit: { perSecond: 1, burst: 1 },
+
+  matchesUrl(url) {
+    return parseUrl(url)?.hostname === 'chat.googleapis.com';
+  },
+
+  validateUrl(url) {
+    if (!url.startsWith('https://chat.googleapis.com/v1/spaces/')) {
+      return 'Must be a Google Chat webhook URL (https://chat.googleapis.com/v1/spaces/...)';
+    }
+    return null;
+  },
+
+  formatText(text) {
+    return { text };
+  },
+
+  formatMessage(message) {
+    // { text, cards, cardsV2, ... } is the Google Chat webhook payload
+    return message;
+  },
+
+  formatCard(webhookData, chatClient) {
+    return chatClient.formatCardMessage(webhookData);
+  },
+
+  formatDigest(digest) {
+    const sections = digest.groups.map(group => ({
+      header: group.label,
+      widgets: [
+        { keyValue: { topLabel: 'Summary', content: escapeHtml(group.summary) } },
+        {
+          textParagraph: {
+            text: group.items
+              .map(item => (item.url
+                ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.text)}</a>`
+                : escapeHtml(item.text)))
+              .concat(group.more > 0 ? [`…and ${group.more} more`] : [])
+              .join('<br>')
+          }
+        }
+      ]
+    }));
+
+    return {
+      text: `${digest.title}: ${digest.summary}`,
+      cards: [{
+        header: { title: digest.title, subtitle: digest.summary },
+        sections
+      }]
+    };
+  },
+
+  /**
+   * Post into the entity thread: threadKey groups messages from this webhook, the stored
+   * thread name (when known) pins the reply to the existing conversation
+   */
+  applyThread(url, message, thread) {
+    const threadedUrl = new URL(url);
+    threadedUrl.searchParams.set('threadKey', thread.key);
+    threadedUrl.searchParams.set('messageReplyOption', 'REPLY_MESSAGE_FALLBACK_TO_NEW_THREAD');
+
+    return {
+      url: threadedUrl.toString(),
+      message: thread.name ? { ...message, thread: { name: thread.name } } : message
+    };
+  },
+
+  getMessageId(response) {
+    return response.data?.name || null;
+  },
+
+  getThreadName(response) {
+    return response.data?.thread?.name || null;
+  }
+};
+
+/**
+ * Slack incoming webhooks (mrkdwn text and Block Kit cards)
+ */
+const slackProvider = {
+  type: 'slack',
+  label: 'Slack',
+  // Slack allows one message per second per incoming webhook, with short bursts
+  rateLimit: { perSecond: 1, burst: 3 },
+
+  matchesUrl(url) {
+    return parseUrl(url)?.hostname === 'hooks.slack.com';
+  },
+
+  validateUrl(url) {
+    if (!url.startsWith('https://hooks.slack.com/')) {
+      return 'Must be a Slack incoming webhook URL (https://hooks.slack.com/services/...)';
+    }
+    return null;
+  },
+
+  formatText(text) {
+    // Slack mrkdwn shares Google Chat's *bold* / _italic_ / <url|label> syntax
+    return { text, mrkdwn: true };
+  },
+
+  formatMessage(message) {
+    return message.blocks || message.attachments ? message : this.formatText(message.text);
+  },
+
+  formatCard(webhookData, chatClient) {
+    const summary = chatClient.buildCardSummary(webhookData);
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: `${summary.icon} ${summary.title}`, emoji: true }
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${summary.objectName}*` },
+        fields: summary.fields.slice(0, 10).map(field => ({
+          type: 'mrkdwn',
+          text: `*${field.label}*\n${field.value}`
+        }))
+      }
+    ];
+
+    if (summary.changes.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*Changes*\n' + summary.changes.map(c => `• ${c.field}: ${c.from} → ${c.to}`).join('\n')
+        }
+      });
+    }
+
+    if (summary.link) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: summary.link.label },
+          url: summary.link.url
+        }]
+      });
+    }
+
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `${summary.subtitle} • ${summary.timestamp}` }]
+    });
+
+    // Slack requires fields to be non-empty when present
+    if (blocks[1].fields.length === 0) delete blocks[1].fields;
+
+    return {
+      text: `${summary.icon} ${summary.title}: ${summary.objectName}`,
+      attachments: [{ color: summary.color, blocks }]
+    };
+  },
+
+  formatDigest(digest) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: digest.title, emoji: true } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: digest.summary }] }
+    ];
+
+    for (const group of digest.groups) {
+      const items = group.items.map(item => (item.url ? `• <${item.url}|${item.text}>` : `• ${item.text}`));
+      if (group.more > 0) items.push(`• …and ${group.more} more`);
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${group.label}* — ${group.summary}\n${items.join('\n')}` }
+      });
+    }
+
+    return { text: `${digest.title}: ${digest.summary}`, blocks };
+  },
+
+  getMessageId() {
+    // Slack incoming webhooks reply with a plain "ok" and no message reference
+    return null;
+  }
+};
+
+/**
+ * Microsoft Teams webhooks (Workflows and legacy Office 365 connectors) using Adaptive Cards
+ */
+const teamsProvider = {
+  type: 'teams',
+  label: 'Microsoft Teams',
+  rateLimit: { perSecond: 4, burst: 4 },
+
+  matchesUrl(url) {
+    const hostname = parseUrl(url)?.hostname || '';
+    return hostname.endsWith('.webhook.office.com') ||
+      hostname === 'outlook.office.com' ||
+      hostname.endsWith('.logic.azure.com') ||
+      hostname.endsWith('.api.powerplatform.com');
+  },
+
+  validateUrl(url) {
+    if (!url.startsWith('https://') || !this.matchesUrl(url)) {
+      return 'Must be a Microsoft Teams webhook URL (Workflows or *.webhook.office.com)';
+    }
+    return null;
+  },
+
+  wrapAdaptiveCard(body, actions = []) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          actions
+        }
+      }]
+    };
+  },
+
+  formatText(text) {
+    // Teams collapses single newlines inside a TextBlock, so emit one block per line
+    const lines = toStandardMarkdown(text).split('\n');
+    const body = lines
+      .filter(line => line.trim().length > 0)
+      .map((line, index) => ({
+        type: 'TextBlock',
+        text: line,
+        wrap: true,
+        spacing: index === 0 ? 'None' : 'Small'
+      }));
+
+    return this.wrapAdaptiveCard(body);
+  },
+
+  formatMessage(message) {
+    // Adaptive Card payloads ({ type: 'message', attachments }) go out as they are
+    return message.attachments ? message : this.formatText(message.text);
+  },
+
+  formatCard(webhookData, chatClient) {
+    const summary = chatClient.buildCardSummary(webhookData);
+    const body = [
+      {
+        type: 'TextBlock',
+        text: `${summary.icon} ${summary.title}`,
+        weight: 'Bolder',
+        size: 'Medium',
+        wrap: true
+      },
+      {
+        type: 'TextBlock',
+        text: summary.subtitle,
+        isSubtle: true,
+        spacing: 'None',
+        wrap: true
+      },
+      {
+        type: 'TextBlock',
+        text: `**${summary.objectName}**`,
+        wrap: true
+      },
+      {
+        type: 'FactSet',
+        facts: summary.fields.map(field => ({ title: field.label, value: String(field.value) }))
+      }
+    ];
+
+    if (summary.changes.length > 0) {
+      body.push({
+        type: 'TextBlock',
+        text: '**Changes**',
+        wrap: true
+      }, {
+        type: 'FactSet',
+        facts: summary.changes.map(c => ({ title: c.field, value: `${c.from} → ${c.to}` }))
+      });
+    }
+
+    body.push({
+      type: 'TextBlock',
+      text: summary.timestamp,
+      isSubtle: true,
+      size: 'Small',
+      wrap: true
+    });
+
+    const actions = summary.link
+      ? [{ type: 'Action.OpenUrl', title: summary.link.label, url: summary.link.url }]
+      : [];
+
+    return this.wrapAdaptiveCard(body, actions);
+  },
+
+  formatDigest(digest) {
+    const body = [
+      { type: 'TextBlock', text: digest.title, weight: 'Bolder', size: 'Medium', wrap: true },
+      { type: 'TextBlock', text: digest.summary, isSubtle: true, spacing: 'None', wrap: true }
+    ];
+
+    for (const group of digest.groups) {
+      const items = group.items.map(item => (item.url ? `- [${item.text}](${item.url})` : `- ${item.text}`));
+      if (group.more > 0) items.push(`- …and ${group.more} more`);
+      body.push(
+        { type: 'TextBlock', text: `**${group.label}** — ${group.summary}`, wrap: true, separator: true },
+        { type: 'TextBlock', text: items.join('\n'), wrap: true, spacing: 'Small' }
+      );
+    }
+
+    return this.wrapAdaptiveCard(body);
+  },
+
+  getMessageId(response) {
+    return response.headers?.['x-ms-workflow-run-id'] || null;
+  }
+};
+
+/**
+ * Generic HTTP endpoints - receives a stable JSON envelope
+ */
+const genericProvider = {
+  type: 'generic',
+  label: 'Generic HTTP',
+  rateLimit: { perSecond: 10, burst: 10 },
+
+  matchesUrl() {
+    return false;
+  },
+
+  validateUrl(url) {
+    const parsed = parseUrl(url);
+    if (!parsed || parsed.protocol !== 'https:') {
+      return 'Must be a valid https:// URL';
+    }
+    // IP literals skip the DNS lookup, so publicOnlyLookup never sees them
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isNonPublicAddress(host)) {
+      return 'Generic webhooks must point to a public internet host';
+    }
+    return null;
+  },
+
+  // Checked again on every send: redirects are not followed (a public URL could redirect to an
+  // internal one) and the connection only goes to public addresses
+  getRequestConfig(url) {
+    const error = this.validateUrl(url);
+    if (error) {
+      throw Object.assign(new Error(error), { code: 'INVALID_WEBHOOK_URL' });
+    }
+    return { maxRedirects: 0, httpsAgent: PUBLIC_HTTPS_AGENT };
+  },
+
+  formatText(text, context = {}) {
+    const { webhookData = {}, templateMode = 'simple' } = context;
+    return {
+      source: 'pipenotify',
+      event: webhookData.event || null,
+      template_mode: templateMode,
+      text,
+      object: webhookData.object || webhookData.current || null,
+      previous: webhookData.previous || null,
+      user: webhookData.user || null,
+      company_id: webhookData.company_id || null,
+      timestamp: new Date().toISOString()
+    };
+  },
+
+  formatMessage(message) {
+    // Generic endpoints take whatever JSON the caller built
+    return message;
+  },
+
+  formatCard(webhookData, chatClient) {
+    const summary = chatClient.buildCardSummary(webhookData);
+    return {
+      source: 'pipenotify',
+      event: webhookData.event || null,
+      template_mode: 'card',
+      card: summary,
+      object: webhookData.object || webhookData.current || null,
+      previous: webhookData.previous || null,
+      company_id: webhookData.company_id || null,
+      timestamp: new Date().toISOString()
+    };
+  },
+
+  formatDigest(digest) {
+    return {
+      source: 'pipenotify',
+      event: 'digest',
+      template_mode: 'digest',
+      text: digest.text,
+      digest: { title: digest.title, summary: digest.summary, groups: digest.groups },
+      timestamp: new Date().toISOString()
+    };
+  },
+
+  getMessageId(response) {
+    return response.data?.id || response.data?.name || null;
+  }
+};
+
+const PROVIDERS = {
+  google_chat: googleChatProvider,
+  slack: slackProvider,
+  teams: teamsProvider,
+  generic: genericProvider
+};
+
+/**
+ * Get channel provider by type (falls back to Google Chat for unknown/legacy rows)
+ * @param {string} channelType - One of CHANNEL_TYPES
+ * @returns {Object} Channel provider
+ */
+function getChannelProvider(channelType) {
+  return PROVIDERS[channelType] || PROVIDERS[DEFAULT_CHANNEL_TYPE];
+}
+
+/**
+ * Detect channel type from a webhook URL
+ * @param {string} url - Webhook URL
+ * @returns {string} Channel type (generic when no known platform matches)
+ */
+function detectChannelType(url) {
+  const match = ['google_chat', 'slack', 'teams'].find(type => PROVIDERS[type].matchesUrl(url));
+  return match || 'generic';
+}
+
+/**
+ * Resolve a delivery target into URL + provider
+ * Accepts either a webhook URL string (type detected from URL) or a chat_webhooks row
+ * @param {string|Object} target - Webhook URL or { webhook_url, channel_type }
+ * @returns {{url: string, provider: Object}} Resolved target
+ */
+function resolveChannelTarget(target) {
+  if (!target) {
+    throw new Error('Webhook target is required');
+  }
+
+  if (typeof target === 'string') {
+    return { url: target, provider: getChannelProvider(detectChannelType(target)) };
+  }
+
+  const url = target.webhook_url;
+  if (!url) {
+    throw new Error('Webhook target is missing webhook_url');
+  }
+
+  const channelType = target.channel_type || detectChannelType(url);
+  return { url, provider: getChannelProvider(channelType) };
+}
+
+/**
+ * Validate a webhook URL for the given channel type
+ * @param {string} channelType - Channel type (detected from URL when omitted)
+ * @param {string} url - Webhook URL
+ * @returns {{valid: boolean, channel_type: string, error?: string}} Validation result
+ */
+function validateChannelUrl(channelType, url) {
+  if (!url || !parseUrl(url)) {
+    return { valid: false, channel_type: channelType || null, error: 'Invalid URL format' };
+  }
+
+  const type = channelType || detectChannelType(url);
+  if (!CHANNEL_TYPES.includes(type)) {
+    return {
+      valid: false,
+      channel_type: type,
+      error: `Unsupported channel type '${type}'. Use one of: ${CHANNEL_TYPES.join(', ')}`
+    };
+  }
+
+  const error = PROVIDERS[type].validateUrl(url);
+  return error
+    ? { valid: false, channel_type: type, error }
+    : { valid: true, channel_type: type };
+}
+
+/**
+ * Validate a webhook URL before it is saved or called. On top of validateChannelUrl, generic
+ * webhooks (any https host) must resolve only to public addresses, so they cannot be used to
+ * reach internal services or cloud metadata endpoints.
+ * @param {string} channelType - Channel type (detected from URL when omitted)
+ * @param {string} url - Webhook URL
+ * @returns {Promise<{valid: boolean, channel_type: string, error?: string}>} Validation result
+ */
+async function validateChannelEndpoint(channelType, url) {
+  const result = validateChannelUrl(channelType, url);
+  if (!result.valid || result.channel_type !== 'generic') {
+    return result;
+  }
+
+  const hostname = parseUrl(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch {
+      return { ...result, valid: false, error: `Host ${hostname} could not be resolved` };
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isNonPublicAddress)) {
+    return { ...result, valid: false, error: 'Generic webhooks must point to a public internet host' };
+  }
+  return result;
+}
+
+/**
+ * List providers for UI/API consumers
+ * @returns {Array} Provider descriptors
+ */
+function getChannelTypes() {
+  return CHANNEL_TYPES.map(type => ({ type, label: PROVIDERS[type].label }));
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  DEFAULT_CHANNEL_TYPE,
+  getChannelProvider,
+  detectChannelType,
+  resolveChannelTarget,
+  validateChannelUrl,
+  validateChannelEndpoint,
+  getChannelTypes
+};
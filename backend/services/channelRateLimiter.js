@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { pool } = require('./database');
+const { createRedisClientGetter } = require('./redisClient');
+
+/**
+ * Channel Rate Limiter
+ * Chat platforms throttle incoming webhooks per channel (Google Chat: about one message per second
+ * per space), so every delivery first reserves a slot in a per-webhook token bucket. Buckets live in
+ * Redis when it is available, so all workers share them, and in process memory otherwise.
+ * A 429 response blocks the bucket for its Retry-After period. Sends that cannot get a slot within
+ * the maximum wait are refused with CHANNEL_OVERFLOW and collapsed into a summary by the caller.
+ */
+
+const MAX_WAIT_MS = parseInt(process.env.CHANNEL_RATE_LIMIT_MAX_WAIT_MS) || 10000;
+const DEFAULT_RETRY_AFTER_MS = 30000;
+const REDIS_KEY_PREFIX = 'pipenotify:ratelimit:';
+const BUCKET_TTL_MS = 10 * 60 * 1000;
+
+// Token bucket reservation; returns { granted (1/0), wait ms }
+const RESERVE_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts', 'blocked_until')
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local max_wait = tonumber(ARGV[4])
+local tokens = tonumber(state[1]) or burst
+local ts = tonumber(state[2]) or now
+local blocked_until = tonumber(state[3]) or 0
+tokens = math.min(burst, tokens + math.max(0, now - ts) * rate)
+local wait = 0
+if tokens < 1 then wait = math.ceil((1 - tokens) / rate) end
+if blocked_until - now > wait then wait = blocked_until - now end
+local granted = 0
+if wait <= max_wait then
+  tokens = tokens - 1
+  granted = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now), 'blocked_until', tostring(blocked_until))
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return { granted, wait }
+`;
+
+const BLOCK_SCRIPT = `
+local blocked_until = tonumber(redis.call('HGET', KEYS[1], 'blocked_until')) or 0
+if tonumber(ARGV[1]) > blocked_until then
+  redis.call('HSET', KEYS[1], 'blocked_until', ARGV[1], 'tokens', '0', 'ts', ARGV[2])
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[3])
+return 1
+`;
+
+const memoryBuckets = new Map();
+// Shared Redis client; null while Redis is unreachable (buckets then live in memoryBuckets)
+const getRedisClient = createRedisClientGetter('Rate limiter', 'using in-memory buckets');
+
+/**
+ * Error carrying a code and the time until the channel accepts messages again
+ * @private
+ */
+function rateLimitError(message, code, retryAfterMs) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Bucket key for a webhook URL
+ * Keyed by URL rather than webhook id so several webhook rows posting to one space share a bucket.
+ * @private
+ */
+function getBucketKey(url) {
+  return crypto.createHash('sha1').update(url).digest('hex');
+}
+
+/**
+ * In-memory token bucket reservation (same algorithm as RESERVE_SCRIPT)
+ * @private
+ */
+function reserveInMemory(key, limits, now, maxWaitMs) {
+  const rate = limits.perSecond / 1000;
+  const bucket = memoryBuckets.get(key) || { tokens: limits.burst, ts: now, blockedUntil: 0 };
+  bucket.tokens = Math.min(limits.burst, bucket.tokens + Math.max(0, now - bucket.ts) * rate);
+  bucket.ts = now;
+
+  let wait = bucket.tokens < 1 ? Math.ceil((1 - bucket.tokens) / rate) : 0;
+  wait = Math.max(wait, bucket.blockedUntil - now);
+
+  const granted = wait <= maxWaitMs;
+  if (granted) bucket.tokens -= 1;
+  memoryBuckets.set(key, bucket);
+
+  // Drop idle buckets so memory stays bounded
+  if (memoryBuckets.size > 1000) {
+    for (const [otherKey, other] of memoryBuckets) {
+      if (now - other.ts > BUCKET_TTL_MS && other.blockedUntil < now) memoryBuckets.delete(otherKey);
+    }
+  }
+
+  return { granted, waitMs: wait };
+}
+
+/**
+ * Reserve a send slot for a channel
+ * @param {string} url - Webhook URL
+ * @param {Object} limits - { perSecond, burst } from the channel provider
+ * @param {number} maxWaitMs - Longest acceptable wait
+ * @returns {Promise<{granted: boolean, waitMs: number}>} When granted, the caller sends after waitMs
+ */
+async function reserveSlot(url, limits, maxWaitMs = MAX_WAIT_MS) {
+  const key = getBucketKey(url);
+  const now = Date.now();
+
+  const client = await getRedisClient();
+  if (client) {
+    try {
+      const [granted, waitMs] = await client.eval(
+        RESERVE_SCRIPT, 1, REDIS_KEY_PREFIX + key,
+        limits.perSecond / 1000, limits.burst, now, maxWaitMs, BUCKET_TTL_MS
+      );
+      return { granted: granted === 1, waitMs: Number(waitMs) };
+    } catch (error) {
+      console.warn('⚠️ Rate limiter Redis reservation failed, using in-memory bucket:', error.message);
+    }
+  }
+
+  return reserveInMemory(key, limits, now, maxWaitMs);
+}
+
+/**
+ * Block a channel until its Retry-After period has passed
+ * @param {string} url - Webhook URL
+ * @param {number} retryAfterMs - Milliseconds until the channel accepts messages again
+ */
+async function blockChannel(url, retryAfterMs) {
+  const key = getBucketKey(url);
+  const now = Date.now();
+  const blockedUntil = now + retryAfterMs;
+
+  const client = await getRedisClient();
+  if (client) {
+    try {
+      await client.eval(BLOCK_SCRIPT, 1, REDIS_KEY_PREFIX + key, blockedUntil, now, Math.max(BUCKET_TTL_MS, retryAfterMs));
+      return;
+    } catch (error) {
+      console.warn('⚠️ Rate limiter Redis block failed, using in-memory bucket:', error.message);
+    }
+  }
+
+  const bucket = memoryBuckets.get(key) || { tokens: 0, ts: now, blockedUntil: 0 };
+  if (blockedUntil > bucket.blockedUntil) {
+    memoryBuckets.set(key, { tokens: 0, ts: now, blockedUntil });
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|number} value - Header value
+ * @returns {number} Milliseconds to wait (DEFAULT_RETRY_AFTER_MS when missing or unparseable)
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_RETRY_AFTER_MS;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds * 1000));
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return DEFAULT_RETRY_AFTER_MS;
+}
+
+/**
+ * Add to a webhook's daily rate limiting counters (never throws)
+ * @private
+ */
+async function recordStats(target, counters) {
+  if (!target || typeof target !== 'object' || !target.id || !target.tenant_id) return;
+
+  try {
+    await pool.query(`
+      INSERT INTO channel_rate_limit_stats (webhook_id, tenant_id, day, throttled_count, throttled_wait_ms, rate_limited_count, overflow_count)
+      VALUES ($1, $2, CURRENT_DATE, $3, $4, $5, $6)
+      ON CONFLICT (webhook_id, day) DO UPDATE SET
+        throttled_count = channel_rate_limit_stats.throttled_count + EXCLUDED.throttled_count,
+        throttled_wait_ms = channel_rate_limit_stats.throttled_wait_ms + EXCLUDED.throttled_wait_ms,
+        rate_limited_count = channel_rate_limit_stats.rate_limited_count + EXCLUDED.rate_limited_count,
+        overflow_count = channel_rate_limit_stats.overflow_count + EXCLUDED.overflow_count
+    `, [
+      target.id,
+      target.tenant_id,
+      counters.throttled || 0,
+      Math.round(counters.waitMs || 0),
+      counters.rateLimited || 0,
+      counters.overflow || 0
+    ]);
+  } catch (error) {
+    console.warn(`⚠️ Failed to record rate limit stats for webhook ${target.id}:`, error.message);
+  }
+}
+
+/**
+ * Deliver a message through the channel's rate limiter
+ * Waits for a token (up to maxWaitMs), sends, and on 429 blocks the channel for Retry-After and
+ * retries once when that fits in the remaining wait. Otherwise throws CHANNEL_OVERFLOW (no slot in
+ * time) or RATE_LIMITED (429 with a long Retry-After); both carry retryAfterMs.
+ * @param {string|Object} target - Webhook URL or chat_webhooks row (rows get stats recorded)
+ * @param {string} url - Resolved webhook URL
+ * @param {Object} limits - { perSecond, burst } from the channel provider
+ * @param {Function} send - Performs the HTTP request
+ * @param {Object} options - { maxWaitMs }
+ * @returns {Promise<*>} Result of send
+ */
+async function withRateLimit(target, url, limits, send, options = {}) {
+  if (!limits) return send();
+
+  const deadline = Date.now() + (options.maxWaitMs ?? MAX_WAIT_MS);
+  let rateLimited = false;
+
+  for (;;) {
+    const slot = await reserveSlot(url, limits, Math.max(0, deadline - Date.now()));
+    if (!slot.granted) {
+      await recordStats(target, { overflow: 1 });
+      throw rateLimitError(
+        `Channel is rate limited; next slot in ${Math.ceil(slot.waitMs / 1000)}s`,
+        rateLimited ? 'RATE_LIMITED' : 'CHANNEL_OVERFLOW',
+        slot.waitMs
+      );
+    }
+    if (slot.waitMs > 0) {
+      await recordStats(target, { throttled: 1, waitMs: slot.waitMs });
+      await new Promise(resolve => setTimeout(resolve, slot.waitMs));
+    }
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.response?.status !== 429) throw error;
+
+      // Honour Retry-After, then try once more if it fits the wait budget
+      const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+      console.warn(`⏳ Channel returned 429, pausing it for ${retryAfterMs}ms`);
+      await blockChannel(url, retryAfterMs);
+      await recordStats(target, { rateLimited: 1 });
+
+      if (rateLimited) {
+        throw rateLimitError(`Channel returned 429 twice; retry in ${Math.ceil(retryAfterMs / 1000)}s`, 'RATE_LIMITED', retryAfterMs);
+      }
+      rateLimited = true;
+    }
+  }
+}
+
+module.exports = {
+  MAX_WAIT_MS,
+  parseRetryAfter,
+  reserveSlot,
+  blockChannel,
+  withRateLimit
+};
@@ -1,122 +1,133 @@
-const { Pool } = require('pg');
+const { pool: defaultPool } = require('./database');
+const { applyAdvancedFilters, matchesEventType, validateFilters, usesCustomFieldFilters } = require('./ruleFilters');
+const { checkFeatureAvailability } = require('../middleware/quotaEnforcement');
 
 /**
- * Channel routing service for directing notifications to specific Google Chat webhooks
- * Supports rule-based routing, priority routing, and fallback mechanisms
+ * Channel routing service for directing notifications to specific chat webhooks
+ * Tenants define ordered routing rules (routing_rules): an event type and conditions in the rule
+ * filter vocabulary select one or more target webhooks. A first_match routing rule stops evaluation,
+ * a fan_out rule adds its targets and lets later rules add more. Routing rules only apply to
+ * notification rules that opt in (use_routing) and do not fan out to several targets; otherwise,
+ * and when no routing rule matches, the notification rule's own target webhook is used.
+ * Returned webhook rows carry channel_type, which ChatClient uses to pick the delivery provider.
  */
 
+const MATCH_MODES = ['first_match', 'fan_out'];
+
 /**
- * Route notification to appropriate channel based on deal characteristics
- * @param {Object} webhookData - The webhook data from Pipedrive
- * @param {Object} rule - The notification rule
- * @param {Array} availableWebhooks - Available webhook endpoints for tenant
- * @returns {Object} Selected webhook or null
+ * Error carrying a code the routes map to an HTTP status
+ * @private
  */
-function routeToChannel(webhookData, rule, availableWebhooks) {
-  try {
-    // Priority 1: Use rule-specific target channel if set
-    if (rule.target_channel_id || rule.target_webhook_id) {
-      const targetChannelId = rule.target_channel_id || rule.target_webhook_id;
-      const targetChannel = availableWebhooks.find(w => w.id === targetChannelId);
-      if (targetChannel && targetChannel.is_active) {
-        console.log(`📍 Routing to rule-specific channel: ${targetChannel.name}`);
-        return targetChannel;
-      }
-    }
+function routingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
-    // Priority 2: Route based on deal value (high-value deals to executive channels)
-    const dealValue = parseFloat(webhookData.current?.value || webhookData.object?.value || 0);
-    
-    if (dealValue >= 50000) {
-      // Route high-value deals to executive/VIP channels
-      const vipChannel = findChannelByType(availableWebhooks, ['executive', 'vip', 'high-value', 'leadership']);
-      if (vipChannel) {
-        console.log(`💎 Routing high-value deal ($${dealValue}) to VIP channel: ${vipChannel.name}`);
-        return vipChannel;
-      }
-    } else if (dealValue >= 10000) {
-      // Route medium-value deals to manager channels
-      const managerChannel = findChannelByType(availableWebhooks, ['manager', 'sales-manager', 'medium-value']);
-      if (managerChannel) {
-        console.log(`💼 Routing medium-value deal ($${dealValue}) to manager channel: ${managerChannel.name}`);
-        return managerChannel;
-      }
-    }
+/**
+ * Evaluate routing rules in order, recording the outcome of each
+ * @private
+ */
+function evaluateRoutingRules(webhookData, activeWebhooks, routingRules, filterOptions) {
+  const targets = [];
+  const steps = [];
+  let stopped = false;
 
-    // Priority 3: Route based on deal stage/probability
-    const probability = parseInt(webhookData.current?.probability || webhookData.object?.probability || 0);
-    
-    if (probability >= 90) {
-      // Route hot deals to urgent/closing channels
-      const hotChannel = findChannelByType(availableWebhooks, ['urgent', 'closing', 'hot-deals', 'pipeline']);
-      if (hotChannel) {
-        console.log(`🔥 Routing hot deal (${probability}% probability) to urgent channel: ${hotChannel.name}`);
-        return hotChannel;
-      }
-    }
+  for (const routingRule of routingRules) {
+    const step = { routing_rule_id: routingRule.id, name: routingRule.name, match_mode: routingRule.match_mode };
 
-    // Priority 4: Route based on event type
-    const eventType = webhookData.event;
-    
-    if (eventType.includes('won')) {
-      // Route won deals to celebration/wins channel
-      const winsChannel = findChannelByType(availableWebhooks, ['wins', 'celebrations', 'closed-won', 'success']);
-      if (winsChannel) {
-        console.log(`🎉 Routing won deal to wins channel: ${winsChannel.name}`);
-        return winsChannel;
-      }
-    } else if (eventType.includes('lost')) {
-      // Route lost deals to analysis/review channel
-      const lostChannel = findChannelByType(availableWebhooks, ['lost-deals', 'analysis', 'review']);
-      if (lostChannel) {
-        console.log(`📊 Routing lost deal to analysis channel: ${lostChannel.name}`);
-        return lostChannel;
-      }
-    } else if (eventType.includes('created') || eventType.includes('added')) {
-      // Route new deals to leads/new-business channel
-      const leadsChannel = findChannelByType(availableWebhooks, ['leads', 'new-business', 'prospects', 'new-deals']);
-      if (leadsChannel) {
-        console.log(`🆕 Routing new deal to leads channel: ${leadsChannel.name}`);
-        return leadsChannel;
-      }
+    if (stopped) {
+      steps.push({ ...step, result: 'not_evaluated' });
+      continue;
+    }
+    if (!routingRule.enabled) {
+      steps.push({ ...step, result: 'disabled' });
+      continue;
+    }
+    if (!matchesEventType(webhookData.event, routingRule.event_type)) {
+      steps.push({ ...step, result: 'event_type_mismatch' });
+      continue;
+    }
+    if (!applyAdvancedFilters(webhookData, { name: `routing rule "${routingRule.name}"`, filters: routingRule.conditions }, filterOptions)) {
+      steps.push({ ...step, result: 'conditions_not_met' });
+      continue;
     }
 
-    // Priority 5: Route based on time (business hours vs after hours)
-    const now = new Date();
-    const currentHour = now.getHours();
-    
-    if (currentHour < 9 || currentHour >= 18) {
-      // Route after-hours to 24/7 or alert channels
-      const alertChannel = findChannelByType(availableWebhooks, ['alerts', '24-7', 'urgent', 'after-hours']);
-      if (alertChannel) {
-        console.log(`🌙 Routing after-hours notification to alert channel: ${alertChannel.name}`);
-        return alertChannel;
-      }
+    const ruleTargets = (routingRule.target_webhook_ids || [])
+      .map(id => activeWebhooks.find(w => w.id === id))
+      .filter(Boolean);
+    if (ruleTargets.length === 0) {
+      steps.push({ ...step, result: 'no_active_targets' });
+      continue;
     }
 
-    // Priority 6: Route based on owner/user
-    const ownerId = webhookData.current?.user_id || webhookData.object?.user_id || webhookData.user_id;
-    if (ownerId) {
-      // Look for user-specific channels
-      const userChannel = findChannelByType(availableWebhooks, [`user-${ownerId}`, `owner-${ownerId}`]);
-      if (userChannel) {
-        console.log(`👤 Routing to user-specific channel: ${userChannel.name}`);
-        return userChannel;
-      }
+    for (const webhook of ruleTargets) {
+      if (!targets.includes(webhook)) targets.push(webhook);
     }
+    steps.push({ ...step, result: 'matched', webhook_ids: ruleTargets.map(w => w.id) });
+    stopped = routingRule.match_mode !== 'fan_out';
+  }
 
-    // Fallback: Use rule's default webhook or first active webhook
-    const fallbackChannel = availableWebhooks.find(w => w.id === rule.target_webhook_id) ||
-                           availableWebhooks.find(w => w.is_active);
-    
-    if (fallbackChannel) {
-      console.log(`🔄 Using fallback channel: ${fallbackChannel.name}`);
-      return fallbackChannel;
+  return { targets, steps };
+}
+
+/**
+ * Resolve the channels a notification goes to, recording how each routing rule was evaluated
+ * A rule with several targets fans out to them and is never rerouted. Otherwise routing rules pick
+ * the channels if the rule opts in (use_routing), else the rule's own webhook is used. Without a
+ * rule (routing preview) only the routing rules are evaluated.
+ * @param {Object} webhookData - The webhook data from Pipedrive
+ * @param {Object|null} rule - The notification rule (targets, use_routing, target_webhook_id)
+ * @param {Array} availableWebhooks - Active webhook endpoints for tenant
+ * @param {Array} routingRules - Tenant routing rules in position order (see getRoutingRules)
+ * @param {Object} filterOptions - Passed to applyAdvancedFilters (customFieldFiltering)
+ * @returns {Object} { webhooks, source: rule_targets|routing_rules|rule_target|none, steps }
+ */
+function resolveChannels(webhookData, rule, availableWebhooks, routingRules = [], filterOptions = {}) {
+  const activeWebhooks = availableWebhooks.filter(w => w.is_active !== false);
+  const skippedSteps = (result) => routingRules.map(routingRule => ({
+    routing_rule_id: routingRule.id, name: routingRule.name, match_mode: routingRule.match_mode, result
+  }));
+
+  // Fan-out targets take precedence over routing; all targets disabled means no delivery
+  const ruleTargets = rule?.targets || [];
+  const enabledTargets = ruleTargets.filter(target => target.enabled !== false);
+  if (ruleTargets.length > 1 || (ruleTargets.length > 0 && enabledTargets.length === 0)) {
+    const targetWebhooks = enabledTargets
+      .map(target => activeWebhooks.find(w => w.id === target.webhook_id))
+      .filter(Boolean);
+    return {
+      webhooks: targetWebhooks,
+      source: targetWebhooks.length > 0 ? 'rule_targets' : 'none',
+      steps: skippedSteps('rule_has_targets')
+    };
+  }
+
+  let steps = skippedSteps('routing_not_enabled');
+  if (!rule || rule.use_routing === true) {
+    const routing = evaluateRoutingRules(webhookData, activeWebhooks, routingRules, filterOptions);
+    if (routing.targets.length > 0) {
+      return { webhooks: routing.targets, source: 'routing_rules', steps: routing.steps };
     }
+    steps = routing.steps;
+  }
 
-    console.log('❌ No suitable channel found for routing');
-    return null;
+  const ruleTargetId = enabledTargets[0]?.webhook_id || rule?.target_channel_id || rule?.target_webhook_id;
+  const ruleTarget = ruleTargetId ? activeWebhooks.find(w => w.id === ruleTargetId) : null;
+  return { webhooks: ruleTarget ? [ruleTarget] : [], source: ruleTarget ? 'rule_target' : 'none', steps };
+}
 
+/**
+ * Route notification to the first channel resolved for it
+ * @param {Object} webhookData - The webhook data from Pipedrive
+ * @param {Object} rule - The notification rule
+ * @param {Array} availableWebhooks - Available webhook endpoints for tenant
+ * @param {Array} routingRules - Tenant routing rules (optional)
+ * @returns {Object} Selected webhook or null
+ */
+function routeToChannel(webhookData, rule, availableWebhooks, routingRules = []) {
+  try {
+    return resolveChannels(webhookData, rule, availableWebhooks, routingRules).webhooks[0] || null;
   } catch (error) {
     console.error('Error in channel routing:', error);
     // Fallback to rule's default webhook on error
@@ -125,22 +136,228 @@ function routeToChannel(webhookData, rule, availableWebhooks) {
 }
 
 /**
- * Find channel by type keywords in name or description
- * @param {Array} webhooks - Available webhooks
- * @param {Array} typeKeywords - Keywords to match
- * @returns {Object|null} Matching webhook
+ * Get a tenant's routing rules in evaluation order
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} options - { enabledOnly }
+ * @returns {Promise<Array>} routing_rules rows
  */
-function findChannelByType(webhooks, typeKeywords) {
-  for (const keyword of typeKeywords) {
-    const channel = webhooks.find(w => 
-      w.is_active && (
-        w.name?.toLowerCase().includes(keyword.toLowerCase()) ||
-        w.description?.toLowerCase().includes(keyword.toLowerCase())
-      )
+async function getRoutingRules(tenantId, options = {}) {
+  const result = await defaultPool.query(`
+    SELECT * FROM routing_rules
+    WHERE tenant_id = $1 ${options.enabledOnly ? 'AND enabled = true' : ''}
+    ORDER BY position ASC, id ASC
+  `, [tenantId]);
+  return result.rows;
+}
+
+/**
+ * Load what resolveChannels needs to route a tenant's notifications: enabled routing rules (none
+ * without the channel_routing feature) and filter options. Used by the processor and the routing
+ * preview so both resolve channels the same way.
+ * @param {number} tenantId - Tenant ID
+ * @param {Array} rules - Notification rules about to be evaluated
+ * @returns {Promise<Object>} { routingRules, filterOptions }
+ */
+async function loadRoutingContext(tenantId, rules) {
+  let routingRules = await getRoutingRules(tenantId, { enabledOnly: true });
+  if (routingRules.length > 0 && !(await checkFeatureAvailability(tenantId, 'channel_routing')).has_access) {
+    routingRules = [];
+  }
+
+  // Custom field filters are a team plan feature - only look up the plan when something uses them
+  const filterOptions = {};
+  const usesCustomFields = rules.some(usesCustomFieldFilters) ||
+    routingRules.some(routingRule => usesCustomFieldFilters({ filters: routingRule.conditions }));
+  if (usesCustomFields) {
+    const featureCheck = await checkFeatureAvailability(tenantId, 'custom_field_filtering');
+    filterOptions.customFieldFiltering = featureCheck.has_access;
+  }
+
+  return { routingRules, filterOptions };
+}
+
+/**
+ * Validate and normalize routing rule input
+ * @private
+ */
+async function normalizeRoutingRule(tenantId, input, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const errors = [];
+
+  const name = String(merged.name || '').trim();
+  if (!name) errors.push('name is required');
+
+  let conditions = merged.conditions || {};
+  if (typeof conditions === 'string') {
+    try {
+      conditions = JSON.parse(conditions);
+    } catch {
+      errors.push('conditions must be valid JSON');
+      conditions = {};
+    }
+  }
+  errors.push(...validateFilters(conditions).map(error => `conditions: ${error}`));
+
+  const matchMode = merged.match_mode || 'first_match';
+  if (!MATCH_MODES.includes(matchMode)) {
+    errors.push(`match_mode must be one of: ${MATCH_MODES.join(', ')}`);
+  }
+
+  const targetIds = Array.isArray(merged.target_webhook_ids)
+    ? [...new Set(merged.target_webhook_ids.map(id => parseInt(id)).filter(id => !isNaN(id)))]
+    : [];
+  if (targetIds.length === 0) {
+    errors.push('target_webhook_ids must list at least one webhook');
+  } else {
+    const owned = await defaultPool.query(
+      'SELECT id FROM chat_webhooks WHERE tenant_id = $1 AND id = ANY($2)',
+      [tenantId, targetIds]
     );
-    if (channel) return channel;
+    if (owned.rows.length !== targetIds.length) {
+      errors.push('target_webhook_ids contains webhooks that do not exist');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw routingError(`Invalid routing rule: ${errors.join('; ')}`, 'INVALID_ROUTING_RULE');
+  }
+
+  return {
+    name: name.slice(0, 255),
+    event_type: merged.event_type || '*',
+    conditions,
+    target_webhook_ids: targetIds,
+    match_mode: matchMode,
+    enabled: merged.enabled !== false
+  };
+}
+
+/**
+ * Translate unique-name violations into a coded error
+ * @private
+ */
+function rethrowDuplicate(error) {
+  if (error.code === '23505') {
+    throw routingError('A routing rule with this name already exists', 'ROUTING_RULE_EXISTS');
+  }
+  throw error;
+}
+
+/**
+ * Create a routing rule at the end of the evaluation order
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} input - { name, event_type, conditions, target_webhook_ids, match_mode, enabled }
+ * @returns {Promise<Object>} Created routing rule
+ */
+async function createRoutingRule(tenantId, input) {
+  const rule = await normalizeRoutingRule(tenantId, input);
+
+  try {
+    const result = await defaultPool.query(`
+      INSERT INTO routing_rules (tenant_id, name, position, event_type, conditions, target_webhook_ids, match_mode, enabled)
+      VALUES ($1, $2, (SELECT COALESCE(MAX(position), 0) + 1 FROM routing_rules WHERE tenant_id = $1), $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [tenantId, rule.name, rule.event_type, JSON.stringify(rule.conditions), rule.target_webhook_ids, rule.match_mode, rule.enabled]);
+    return result.rows[0];
+  } catch (error) {
+    return rethrowDuplicate(error);
+  }
+}
+
+/**
+ * Update a routing rule
+ * @param {number} tenantId - Tenant ID
+ * @param {number} routingRuleId - Routing rule ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<{before: Object, after: Object}>} Rule before and after the change
+ */
+async function updateRoutingRule(tenantId, routingRuleId, input) {
+  const existing = await defaultPool.query(
+    'SELECT * FROM routing_rules WHERE tenant_id = $1 AND id = $2',
+    [tenantId, routingRuleId]
+  );
+  if (existing.rows.length === 0) {
+    throw routingError('Routing rule not found', 'ROUTING_RULE_NOT_FOUND');
+  }
+
+  const rule = await normalizeRoutingRule(tenantId, input, existing.rows[0]);
+
+  try {
+    const result = await defaultPool.query(`
+      UPDATE routing_rules
+      SET name = $3, event_type = $4, conditions = $5, target_webhook_ids = $6, match_mode = $7, enabled = $8, updated_at = NOW()
+      WHERE tenant_id = $1 AND id = $2
+      RETURNING *
+    `, [tenantId, routingRuleId, rule.name, rule.event_type, JSON.stringify(rule.conditions), rule.target_webhook_ids, rule.match_mode, rule.enabled]);
+    return { before: existing.rows[0], after: result.rows[0] };
+  } catch (error) {
+    return rethrowDuplicate(error);
+  }
+}
+
+/**
+ * Delete a routing rule
+ * @param {number} tenantId - Tenant ID
+ * @param {number} routingRuleId - Routing rule ID
+ * @returns {Promise<Object>} Deleted routing rule
+ */
+async function deleteRoutingRule(tenantId, routingRuleId) {
+  const result = await defaultPool.query(
+    'DELETE FROM routing_rules WHERE tenant_id = $1 AND id = $2 RETURNING *',
+    [tenantId, routingRuleId]
+  );
+  if (result.rows.length === 0) {
+    throw routingError('Routing rule not found', 'ROUTING_RULE_NOT_FOUND');
   }
-  return null;
+  return result.rows[0];
+}
+
+/**
+ * Set the evaluation order
+ * @param {number} tenantId - Tenant ID
+ * @param {number[]} orderedIds - Every routing rule id of the tenant, first evaluated first
+ * @returns {Promise<Array>} Routing rules in their new order
+ */
+async function reorderRoutingRules(tenantId, orderedIds) {
+  const ids = (orderedIds || []).map(id => parseInt(id));
+  const current = await getRoutingRules(tenantId);
+  const currentIds = new Set(current.map(rule => rule.id));
+
+  if (ids.length !== currentIds.size || !ids.every(id => currentIds.has(id))) {
+    throw routingError('Order must list every routing rule exactly once', 'INVALID_ROUTING_RULE');
+  }
+
+  await defaultPool.query(`
+    UPDATE routing_rules r
+    SET position = o.position, updated_at = NOW()
+    FROM UNNEST($2::INTEGER[]) WITH ORDINALITY AS o(id, position)
+    WHERE r.tenant_id = $1 AND r.id = o.id
+  `, [tenantId, ids]);
+
+  return getRoutingRules(tenantId);
+}
+
+/**
+ * Explain which routing rule selects which channel for a payload
+ * Disabled routing rules are left out, as they are when notifications are sent.
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} webhookData - Event payload (e.g. logs.payload or a sample)
+ * @param {Object|null} rule - Notification rule supplying the default channel
+ * @returns {Promise<Object>} resolveChannels result with webhook summaries
+ */
+async function explainRouting(tenantId, webhookData, rule = null) {
+  const [webhooksResult, { routingRules, filterOptions }] = await Promise.all([
+    defaultPool.query('SELECT * FROM chat_webhooks WHERE tenant_id = $1 AND is_active = true', [tenantId]),
+    loadRoutingContext(tenantId, rule ? [rule] : [])
+  ]);
+  const resolution = resolveChannels(webhookData, rule, webhooksResult.rows, routingRules, filterOptions);
+
+  return {
+    event: webhookData.event,
+    source: resolution.source,
+    webhooks: resolution.webhooks.map(w => ({ id: w.id, name: w.name, channel_type: w.channel_type })),
+    steps: resolution.steps
+  };
 }
 
 /**
@@ -195,9 +412,10 @@ function getRoutingSuggestions(webhooks) {
 }
 
 /**
- * Create channel routing rules based on deal patterns
+ * Create routing rules from the ChannelRouting quick setup (channels are given by webhook name)
+ * Existing quick-setup rules with the same name are updated in place.
  * @param {number} tenantId - Tenant ID
- * @param {Object} routingConfig - Routing configuration
+ * @param {Object} routingConfig - { highValueChannel, highValueThreshold, winsChannel, leadsChannel, urgentChannel, lostAnalysisChannel }
  * @param {Object} pool - Database pool
  */
 async function createRoutingRules(tenantId, routingConfig, pool) {
@@ -213,93 +431,73 @@ async function createRoutingRules(tenantId, routingConfig, pool) {
         [tenantId]
       );
       const webhooks = webhooksResult.rows;
-
-      if (webhooks.length < 2) {
-        throw new Error('At least 2 active webhooks required for channel routing');
-      }
-
-      // Create routing rules based on configuration
-      const rules = [];
-
-      // High-value deals rule
-      if (routingConfig.highValueChannel && routingConfig.highValueThreshold) {
-        const highValueWebhook = webhooks.find(w => w.name === routingConfig.highValueChannel);
-        if (highValueWebhook) {
-          rules.push({
-            name: 'High Value Deals',
-            event_type: 'deal.*',
-            filters: JSON.stringify({
-              value_min: routingConfig.highValueThreshold
-            }),
-            target_webhook_id: highValueWebhook.id,
-            priority: 1
-          });
+      const webhookNamed = (name) => webhooks.find(w => w.name === name);
+
+      const presets = [
+        routingConfig.highValueChannel && routingConfig.highValueThreshold && {
+          name: 'High Value Deals',
+          event_type: 'deal.*',
+          conditions: { value_min: routingConfig.highValueThreshold },
+          webhook: webhookNamed(routingConfig.highValueChannel)
+        },
+        routingConfig.winsChannel && {
+          name: 'Won Deals',
+          event_type: 'deal.won',
+          conditions: {},
+          webhook: webhookNamed(routingConfig.winsChannel)
+        },
+        routingConfig.leadsChannel && {
+          name: 'New Leads',
+          event_type: 'deal.added',
+          conditions: {},
+          webhook: webhookNamed(routingConfig.leadsChannel)
+        },
+        routingConfig.urgentChannel && {
+          name: 'Urgent High-Probability Deals',
+          event_type: 'deal.*',
+          conditions: { probability_min: 80 },
+          webhook: webhookNamed(routingConfig.urgentChannel)
+        },
+        routingConfig.lostAnalysisChannel && {
+          name: 'Lost Deal Analysis',
+          event_type: 'deal.lost',
+          conditions: {},
+          webhook: webhookNamed(routingConfig.lostAnalysisChannel)
         }
-      }
+      ].filter(preset => preset && preset.webhook);
 
-      // Won deals rule
-      if (routingConfig.winsChannel) {
-        const winsWebhook = webhooks.find(w => w.name === routingConfig.winsChannel);
-        if (winsWebhook) {
-          rules.push({
-            name: 'Won Deals Celebration',
-            event_type: 'deal.won',
-            filters: JSON.stringify({}),
-            target_webhook_id: winsWebhook.id,
-            priority: 2
-          });
-        }
+      if (presets.length === 0) {
+        throw new Error('None of the selected channels are active webhooks');
       }
 
-      // New leads rule
-      if (routingConfig.leadsChannel) {
-        const leadsWebhook = webhooks.find(w => w.name === routingConfig.leadsChannel);
-        if (leadsWebhook) {
-          rules.push({
-            name: 'New Leads',
-            event_type: 'deal.added',
-            filters: JSON.stringify({}),
-            target_webhook_id: leadsWebhook.id,
-            priority: 3
-          });
-        }
-      }
-
-      // Urgent deals rule (high probability)
-      if (routingConfig.urgentChannel) {
-        const urgentWebhook = webhooks.find(w => w.name === routingConfig.urgentChannel);
-        if (urgentWebhook) {
-          rules.push({
-            name: 'Urgent High-Probability Deals',
-            event_type: 'deal.*',
-            filters: JSON.stringify({
-              probability_min: 80
-            }),
-            target_webhook_id: urgentWebhook.id,
-            priority: 4
-          });
-        }
-      }
+      // Append after existing routing rules, in the order above
+      const positionResult = await client.query(
+        'SELECT COALESCE(MAX(position), 0) AS max_position FROM routing_rules WHERE tenant_id = $1',
+        [tenantId]
+      );
+      let position = parseInt(positionResult.rows[0].max_position);
 
-      // Insert rules
-      for (const rule of rules) {
-        await client.query(`
-          INSERT INTO rules (tenant_id, name, event_type, filters, target_webhook_id, priority, enabled, template_mode)
-          VALUES ($1, $2, $3, $4, $5, $6, true, 'simple')
+      const rules = [];
+      for (const preset of presets) {
+        position += 1;
+        const result = await client.query(`
+          INSERT INTO routing_rules (tenant_id, name, position, event_type, conditions, target_webhook_ids, match_mode)
+          VALUES ($1, $2, $3, $4, $5, $6, 'first_match')
           ON CONFLICT (tenant_id, name) DO UPDATE SET
             event_type = EXCLUDED.event_type,
-            filters = EXCLUDED.filters,
-            target_webhook_id = EXCLUDED.target_webhook_id,
-            priority = EXCLUDED.priority,
+            conditions = EXCLUDED.conditions,
+            target_webhook_ids = EXCLUDED.target_webhook_ids,
             updated_at = NOW()
+          RETURNING *
         `, [
           tenantId,
-          rule.name,
-          rule.event_type,
-          rule.filters,
-          rule.target_webhook_id,
-          rule.priority
+          preset.name,
+          position,
+          preset.event_type,
+          JSON.stringify(preset.conditions),
+          [preset.webhook.id]
         ]);
+        rules.push(result.rows[0]);
       }
 
       await client.query('COMMIT');
@@ -308,7 +506,7 @@ async function createRoutingRules(tenantId, routingConfig, pool) {
       return {
         success: true,
         rulesCreated: rules.length,
-        rules: rules.map(r => ({ name: r.name, event_type: r.event_type }))
+        rules
       };
 
     } catch (error) {
@@ -371,7 +569,16 @@ async function getRoutingStats(tenantId, pool, days = 30) {
 }
 
 module.exports = {
+  MATCH_MODES,
+  resolveChannels,
   routeToChannel,
+  getRoutingRules,
+  loadRoutingContext,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  reorderRoutingRules,
+  explainRouting,
   getRoutingSuggestions,
   createRoutingRules,
   getRoutingStats
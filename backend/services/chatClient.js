@@ -1,9 +1,14 @@
 const axios = require('axios');
 const { processTemplate, getDefaultTemplate } = require('./templateEngine');
 const { getQuietHours } = require('./quietHours');
+const { resolveChannelTarget } = require('./channelProviders');
+const { withRateLimit } = require('./channelRateLimiter');
+const { recordDeliveryResult } = require('./webhookHealth');
 
 /**
- * Google Chat webhook client for sending notifications
+ * Webhook client for sending notifications
+ * Formats messages once and delivers them through the channel provider of the target
+ * (Google Chat, Slack, Microsoft Teams or generic HTTP - see channelProviders.js)
  */
 class ChatClient {
   constructor() {
@@ -34,96 +39,200 @@ class ChatClient {
   }
 
   /**
-   * Send a simple text message to Google Chat
-   * @param {string} webhookUrl - Google Chat webhook URL
+   * POST a message to a channel through its rate limiter (see channelRateLimiter.withRateLimit)
+   * The outcome feeds the webhook's circuit breaker when target is a chat_webhooks row, unless the
+   * caller records it once for the whole delivery (recordHealth: false).
+   * @param {string|Object} target - Webhook URL or chat_webhooks row
+   * @param {Object} provider - Channel provider (its rateLimit sizes the bucket)
+   * @param {string} url - Webhook URL to post to
+   * @param {Object} message - Payload
+   * @param {Object} options - { maxWaitMs, recordHealth }
+   * @returns {Promise<Object>} Axios response
+   */
+  async post(target, provider, url, message, options = {}) {
+    try {
+      const config = provider.getRequestConfig ? provider.getRequestConfig(url) : undefined;
+      const response = await withRateLimit(target, url, provider.rateLimit, () => this.client.post(url, message, config), options);
+      if (options.recordHealth !== false) await recordDeliveryResult(target);
+      return response;
+    } catch (error) {
+      if (options.recordHealth !== false) await recordDeliveryResult(target, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a simple text message
+   * @param {string|Object} target - Webhook URL or chat_webhooks row ({ webhook_url, channel_type })
    * @param {string} text - Message text
-   * @returns {Promise<Object>} Response from Google Chat
+   * @returns {Promise<Object>} Response from the channel
    */
-  async sendTextMessage(webhookUrl, text) {
-    if (!webhookUrl || !text) {
+  async sendTextMessage(target, text) {
+    if (!target || !text) {
       throw new Error('Webhook URL and text are required');
     }
 
     try {
-      const message = { text };
-      const response = await this.client.post(webhookUrl, message);
+      const { url, provider } = resolveChannelTarget(target);
+      const message = provider.formatText(text, { templateMode: 'simple', webhookData: {} });
+      const response = await this.post(target, provider, url, message);
       return {
         success: true,
-        messageId: response.data?.name,
+        messageId: provider.getMessageId(response),
+        channelType: provider.type,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw wrapDeliveryError('Failed to send text message', error);
+    }
+  }
+
+  /**
+   * Send a message object built by the caller through the target's provider
+   * Payloads in the target platform's own format (Google Chat cards, Slack blocks, Teams
+   * attachments, any JSON for generic webhooks) are sent unchanged; others are sent as their text.
+   * @param {string|Object} target - Webhook URL or chat_webhooks row
+   * @param {Object} message - Message object with at least a text property
+   * @returns {Promise<Object>} Response from the channel
+   */
+  async sendMessage(target, message) {
+    if (!target || !message) {
+      throw new Error('Webhook URL and message are required');
+    }
+
+    try {
+      const { url, provider } = resolveChannelTarget(target);
+      const response = await this.post(target, provider, url, provider.formatMessage(message));
+      return {
+        success: true,
+        messageId: provider.getMessageId(response),
+        channelType: provider.type,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to send text message: ${error.message}`);
+      throw wrapDeliveryError('Failed to send message', error);
     }
   }
 
   /**
-   * Send a rich card message to Google Chat
-   * @param {string} webhookUrl - Google Chat webhook URL
+   * Send a raw Google Chat card message
+   * Card data uses the Google Chat cards schema, so other channel types are rejected;
+   * use sendNotification with template mode 'card' for provider-neutral cards.
+   * @param {string|Object} target - Webhook URL or chat_webhooks row
    * @param {Object} cardData - Card configuration
    * @returns {Promise<Object>} Response from Google Chat
    */
-  async sendCardMessage(webhookUrl, cardData) {
-    if (!webhookUrl || !cardData) {
+  async sendCardMessage(target, cardData) {
+    if (!target || !cardData) {
       throw new Error('Webhook URL and card data are required');
     }
 
+    const { url, provider } = resolveChannelTarget(target);
+    if (provider.type !== 'google_chat') {
+      throw new Error(`Raw card messages are only supported for Google Chat webhooks (got ${provider.label})`);
+    }
+
     try {
       const message = {
         cards: [cardData]
       };
-      const response = await this.client.post(webhookUrl, message);
+      const response = await this.post(target, provider, url, message);
       return {
         success: true,
         messageId: response.data?.name,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to send card message: ${error.message}`);
+      throw wrapDeliveryError('Failed to send card message', error);
     }
   }
 
   /**
    * Send formatted notification based on template mode
-   * @param {string} webhookUrl - Google Chat webhook URL  
+   * @param {string|Object} target - Webhook URL or chat_webhooks row ({ webhook_url, channel_type })
    * @param {Object} webhookData - Original Pipedrive webhook data
-   * @param {string} templateMode - 'simple', 'detailed', 'card', or 'custom'
+   * @param {string} templateMode - 'simple', 'compact', 'detailed', 'card', or 'custom'
    * @param {string} customTemplate - Custom template (if mode is 'custom')
    * @param {number} tenantId - Tenant ID for timezone lookup
-   * @returns {Promise<Object>} Response from Google Chat
+   * @param {Object} options - { thread: { key, name } } to reply in an entity thread (Google Chat),
+   *   { recordHealth: false } when the caller feeds the circuit breaker itself (see post)
+   * @returns {Promise<Object>} Response from the channel
    */
-  async sendNotification(webhookUrl, webhookData, templateMode = 'simple', customTemplate = null, tenantId = null) {
+  async sendNotification(target, webhookData, templateMode = 'simple', customTemplate = null, tenantId = null, options = {}) {
     try {
-      let message;
-
-      switch (templateMode) {
-        case 'detailed':
-          message = await this.formatDetailedMessage(webhookData, tenantId);
-          break;
-        case 'card':
-          message = this.formatCardMessage(webhookData);
-          break;
-        case 'custom':
-          message = await this.formatCustomMessage(webhookData, customTemplate, tenantId);
-          break;
-        case 'simple':
-        default:
-          message = await this.formatSimpleMessage(webhookData, tenantId);
-          break;
-      }
+      const { url, provider } = resolveChannelTarget(target);
+      const message = await this.formatForChannel(provider, webhookData, templateMode, customTemplate, tenantId);
+      const request = options.thread && provider.applyThread
+        ? provider.applyThread(url, message, options.thread)
+        : { url, message };
 
-      const response = await this.client.post(webhookUrl, message);
+      const response = await this.post(target, provider, request.url, request.message, { recordHealth: options.recordHealth });
       return {
         success: true,
-        messageId: response.data?.name,
+        messageId: provider.getMessageId(response),
+        threadName: provider.getThreadName ? provider.getThreadName(response) : null,
         templateMode,
+        channelType: provider.type,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to send notification: ${error.message}`);
+      throw wrapDeliveryError('Failed to send notification', error);
     }
   }
 
+  /**
+   * Send a digest of buffered events as one grouped message
+   * @param {string|Object} target - Webhook URL or chat_webhooks row ({ webhook_url, channel_type })
+   * @param {Object} digest - Digest from digests.buildDigest
+   * @param {Object} options - { maxWaitMs } for the channel rate limiter
+   * @returns {Promise<Object>} Response from the channel
+   */
+  async sendDigest(target, digest, options = {}) {
+    try {
+      const { url, provider } = resolveChannelTarget(target);
+      const response = await this.post(target, provider, url, provider.formatDigest(digest), options);
+      return {
+        success: true,
+        messageId: provider.getMessageId(response),
+        channelType: provider.type,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw wrapDeliveryError('Failed to send digest', error);
+    }
+  }
+
+  /**
+   * Build the channel-specific payload for a template mode
+   * Text modes are rendered once and wrapped by the provider; card mode is provider-built
+   * @param {Object} provider - Channel provider from channelProviders.js
+   * @returns {Promise<Object>} Payload to POST to the webhook
+   */
+  async formatForChannel(provider, webhookData, templateMode = 'simple', customTemplate = null, tenantId = null) {
+    if (templateMode === 'card') {
+      return provider.formatCard(webhookData, this);
+    }
+
+    let message;
+    switch (templateMode) {
+      case 'detailed':
+        message = await this.formatDetailedMessage(webhookData, tenantId);
+        break;
+      case 'compact':
+        message = await this.formatCompactMessage(webhookData, tenantId);
+        break;
+      case 'custom':
+        message = await this.formatCustomMessage(webhookData, customTemplate, tenantId);
+        break;
+      case 'simple':
+      default:
+        message = await this.formatSimpleMessage(webhookData, tenantId);
+        break;
+    }
+
+    return provider.formatText(message.text, { templateMode, webhookData });
+  }
+
   /**
    * Format simple text message from webhook data
    * @private
@@ -476,6 +585,48 @@ class ChatClient {
     return { text: message };
   }
 
+  /**
+   * Format single-line compact message from webhook data
+   * @private
+   */
+  async formatCompactMessage(webhookData, tenantId = null) {
+    // Get user's timezone
+    let userTimezone = 'UTC';
+    if (tenantId) {
+      try {
+        const quietHours = await getQuietHours(tenantId);
+        userTimezone = quietHours.timezone || 'UTC';
+      } catch (error) {
+        console.error('Error getting timezone:', error);
+      }
+    }
+
+    const { event = '', object, user } = webhookData;
+    const objectType = object?.type || event.split('.')[0] || 'item';
+    const objectName = object?.name || object?.title || `${objectType} #${object?.id}`;
+    const { icon } = this.getEventTheme(event, object);
+    const value = object?.value ? `${object.currency || '$'}${object.value}` : null;
+
+    let action = 'updated';
+    if (event.includes('create') || event.includes('add')) action = 'created';
+    if (event.includes('delete')) action = 'deleted';
+    if (event.includes('won') || object?.status === 'won') action = 'won';
+    if (event.includes('lost') || object?.status === 'lost') action = 'lost';
+
+    const time = new Date().toLocaleTimeString('en-US', {
+      timeZone: userTimezone,
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+
+    const parts = [`${icon} *${objectName}* ${action}`];
+    if (value) parts.push(value);
+    if (user?.name) parts.push(user.name);
+    parts.push(time);
+
+    return { text: parts.join(' • ') };
+  }
+
   /**
    * Format detailed card message from webhook data
    * @private
@@ -588,49 +739,13 @@ class ChatClient {
     const { event, object, user, previous, company } = webhookData;
     
     // Determine card theme and actions based on event
-    let headerColor = '#4285f4'; // Default blue
-    let headerIcon = '🔔';
+    const { icon: headerIcon } = this.getEventTheme(event);
     let actionButtons = [];
     
-    if (event === 'deal.won') {
-      headerColor = '#34a853'; // Green
-      headerIcon = '🎉';
-    } else if (event === 'deal.lost') {
-      headerColor = '#ea4335'; // Red  
-      headerIcon = '📉';
-    } else if (event.includes('won')) {
-      headerColor = '#34a853'; // Green
-      headerIcon = '🎉';
-    } else if (event.includes('lost')) {
-      headerColor = '#ea4335'; // Red  
-      headerIcon = '😞';
-    } else if (event.includes('created') || event.includes('added')) {
-      headerColor = '#fbbc04'; // Yellow
-      headerIcon = '🆕';
-    } else if (event.includes('deleted')) {
-      headerColor = '#9aa0a6'; // Gray
-      headerIcon = '🗑️';
-    } else if (event.includes('change') || event.includes('update')) {
-      headerColor = '#4285f4'; // Blue
-      headerIcon = '📝';
-    }
-    
     // Generate Pipedrive link if we have object ID
     const objectId = object?.id;
     const objectType = object?.type || 'item';
-    let pipedriveUrl = null;
-    
-    if (objectId && objectType) {
-      // Generate Pipedrive URL based on object type - use company domain if available
-      const baseDomain = webhookData.company_domain || 'app';
-      const typeUrlMap = {
-        'deal': `https://${baseDomain}.pipedrive.com/pipeline/deal/${objectId}`,
-        'person': `https://${baseDomain}.pipedrive.com/person/${objectId}`,
-        'organization': `https://${baseDomain}.pipedrive.com/organization/${objectId}`,
-        'activity': `https://${baseDomain}.pipedrive.com/activities/calendar/${objectId}`
-      };
-      pipedriveUrl = typeUrlMap[objectType] || `https://${baseDomain}.pipedrive.com/`;
-    }
+    const pipedriveUrl = this.getPipedriveUrl(webhookData);
     
     // Add action buttons
     if (pipedriveUrl) {
@@ -772,6 +887,92 @@ class ChatClient {
     return { cards: [card] };
   }
   
+  /**
+   * Determine header color and icon for an event
+   * @private
+   */
+  getEventTheme(event = '', object = null) {
+    if (event.includes('won') || object?.status === 'won') {
+      return { color: '#34a853', icon: '🎉' }; // Green
+    }
+    if (event === 'deal.lost' || object?.status === 'lost') {
+      return { color: '#ea4335', icon: '📉' }; // Red
+    }
+    if (event.includes('lost')) {
+      return { color: '#ea4335', icon: '😞' }; // Red
+    }
+    if (event.includes('created') || event.includes('added')) {
+      return { color: '#fbbc04', icon: '🆕' }; // Yellow
+    }
+    if (event.includes('deleted')) {
+      return { color: '#9aa0a6', icon: '🗑️' }; // Gray
+    }
+    if (event.includes('change') || event.includes('update')) {
+      return { color: '#4285f4', icon: '📝' }; // Blue
+    }
+    return { color: '#4285f4', icon: '🔔' }; // Default blue
+  }
+
+  /**
+   * Build Pipedrive link for the webhook object - uses company domain if available
+   * @private
+   */
+  getPipedriveUrl(webhookData) {
+    const objectId = webhookData.object?.id;
+    const objectType = webhookData.object?.type || 'item';
+    if (!objectId) return null;
+
+    const baseDomain = webhookData.company_domain || 'app';
+    const typeUrlMap = {
+      'deal': `https://${baseDomain}.pipedrive.com/pipeline/deal/${objectId}`,
+      'person': `https://${baseDomain}.pipedrive.com/person/${objectId}`,
+      'organization': `https://${baseDomain}.pipedrive.com/organization/${objectId}`,
+      'activity': `https://${baseDomain}.pipedrive.com/activities/calendar/${objectId}`
+    };
+    return typeUrlMap[objectType] || `https://${baseDomain}.pipedrive.com/`;
+  }
+
+  /**
+   * Build a provider-neutral card summary used by non-Google channel providers
+   * @param {Object} webhookData - Pipedrive webhook data
+   * @returns {Object} { title, subtitle, icon, color, objectName, fields, changes, link, timestamp }
+   */
+  buildCardSummary(webhookData) {
+    const { event = '', object, user, previous, company } = webhookData;
+    const { color, icon } = this.getEventTheme(event);
+    const objectType = object?.type || 'item';
+    const objectLabel = objectType.charAt(0).toUpperCase() + objectType.slice(1);
+    const fields = [{ label: 'Event', value: event.replace(/\./g, ' ').toUpperCase() }];
+
+    if (object?.value && object?.currency) {
+      fields.push({
+        label: 'Value',
+        value: new Intl.NumberFormat('en-US', { style: 'currency', currency: object.currency })
+          .format(parseFloat(object.value))
+      });
+    }
+    if (object?.probability !== undefined && object?.probability !== null) {
+      fields.push({ label: 'Probability', value: `${object.probability}%` });
+    }
+    if (user?.name) {
+      fields.push({ label: 'User', value: user.name });
+    }
+
+    const url = this.getPipedriveUrl(webhookData);
+
+    return {
+      title: 'Pipedrive Notification',
+      subtitle: company?.name || 'Pipeline Update',
+      icon,
+      color,
+      objectName: object?.name || object?.title || `${objectType} #${object?.id}`,
+      fields,
+      changes: event.includes('change') && previous && object ? this.detectChanges(previous, object) : [],
+      link: url ? { label: `View ${objectLabel}`, url } : null,
+      timestamp: new Date().toLocaleString()
+    };
+  }
+
   /**
    * Get appropriate icon URL for object type
    * @private
@@ -855,19 +1056,20 @@ class ChatClient {
 
   /**
    * Test webhook connectivity
-   * @param {string} webhookUrl - Google Chat webhook URL
+   * @param {string|Object} target - Webhook URL or chat_webhooks row
+   * @param {string} text - Optional test message text
    * @returns {Promise<Object>} Test result
    */
-  async testWebhook(webhookUrl) {
+  async testWebhook(target, text = '🧪 Test message from Pipenotify - Webhook is working correctly!') {
     try {
-      const testMessage = {
-        text: '🧪 Test message from Pipenotify - Webhook is working correctly!'
-      };
+      const { url, provider } = resolveChannelTarget(target);
+      const testMessage = provider.formatText(text, { templateMode: 'simple', webhookData: { event: 'webhook.test' } });
 
-      const response = await this.client.post(webhookUrl, testMessage);
+      const response = await this.post(target, provider, url, testMessage);
       return {
         success: true,
-        messageId: response.data?.name,
+        messageId: provider.getMessageId(response),
+        channelType: provider.type,
         responseStatus: response.status,
         timestamp: new Date().toISOString()
       };
@@ -875,27 +1077,40 @@ class ChatClient {
       return {
         success: false,
         error: error.message,
-        responseStatus: error.response?.status,
+        responseStatus: error.response?.status || error.statusCode,
         timestamp: new Date().toISOString()
       };
     }
   }
 }
 
+/**
+ * Prefix a delivery error message, keeping what retryPolicy.classifyError needs:
+ * the error code (network or rate limiter), HTTP status and retryAfterMs
+ * @private
+ */
+function wrapDeliveryError(prefix, error) {
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  wrapped.code = error.code;
+  wrapped.statusCode = error.response?.status || error.statusCode;
+  wrapped.retryAfterMs = error.retryAfterMs;
+  return wrapped;
+}
+
 // Create default client instance
 const defaultChatClient = new ChatClient();
 
 /**
- * Send message to Google Chat webhook (convenience function)
- * @param {string} webhookUrl - Google Chat webhook URL
+ * Send message to a chat webhook (convenience function)
+ * @param {string|Object} target - Webhook URL or chat_webhooks row
  * @param {string|Object} message - Message text or formatted message object
- * @returns {Promise<Object>} Response from Google Chat
+ * @returns {Promise<Object>} Response from the channel
  */
-async function sendToChat(webhookUrl, message) {
+async function sendToChat(target, message) {
   if (typeof message === 'string') {
-    return defaultChatClient.sendTextMessage(webhookUrl, message);
+    return defaultChatClient.sendTextMessage(target, message);
   } else if (typeof message === 'object' && message.text) {
-    return defaultChatClient.client.post(webhookUrl, message);
+    return defaultChatClient.sendMessage(target, message);
   } else {
     throw new Error('Invalid message format. Must be string or object with text property.');
   }
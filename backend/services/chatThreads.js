@@ -0,0 +1,75 @@
+const { pool } = require('./database');
+
+/**
+ * Chat Thread Service
+ * Groups notifications for one Pipedrive entity (deal created → updated → won) into a single
+ * Google Chat thread. The thread key is derived from the entity; the thread name returned by
+ * Google Chat is stored in logs so later events reply to the same thread.
+ */
+
+/**
+ * Whether notifications for this rule/webhook pair are threaded by entity
+ * A rule-level setting (true/false) overrides the webhook toggle; null inherits it.
+ * @param {Object} rule - Rule row
+ * @param {Object} webhook - chat_webhooks row
+ * @returns {boolean} True when threading applies
+ */
+function isThreadingEnabled(rule, webhook) {
+  if ((webhook?.channel_type || 'google_chat') !== 'google_chat') return false;
+  if (rule?.thread_by_entity === true || rule?.thread_by_entity === false) {
+    return rule.thread_by_entity;
+  }
+  return webhook?.thread_by_entity === true;
+}
+
+/**
+ * Thread key for the entity of a webhook event (e.g. deal-42)
+ * @param {Object} webhookData - Webhook data
+ * @returns {string|null} Thread key, or null when the entity has no id
+ */
+function getThreadKey(webhookData) {
+  const object = webhookData.current || webhookData.object || {};
+  const id = object.id ?? webhookData.raw_meta?.entity_id;
+  if (id === undefined || id === null) return null;
+
+  const entity = object.type || String(webhookData.event || '').split('.').find(part =>
+    ['deal', 'person', 'organization', 'activity', 'note', 'product', 'lead'].includes(part)
+  ) || 'item';
+
+  return `${entity}-${id}`;
+}
+
+/**
+ * Thread to post a notification into
+ * @param {Object} rule - Rule row
+ * @param {Object} webhook - Target chat_webhooks row
+ * @param {Object} webhookData - Webhook data
+ * @returns {Promise<{key: string, name: string|null}|null>} Thread, or null when threading is off
+ */
+async function resolveThread(rule, webhook, webhookData) {
+  if (!isThreadingEnabled(rule, webhook)) return null;
+
+  const key = getThreadKey(webhookData);
+  if (!key) return null;
+
+  try {
+    const result = await pool.query(`
+      SELECT thread_name FROM logs
+      WHERE webhook_id = $1 AND thread_key = $2 AND thread_name IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [webhook.id, key]);
+
+    return { key, name: result.rows[0]?.thread_name || null };
+  } catch (error) {
+    // The thread key alone still groups messages posted by this webhook
+    console.warn(`⚠️ Thread lookup failed for ${key}:`, error.message);
+    return { key, name: null };
+  }
+}
+
+module.exports = {
+  isThreadingEnabled,
+  getThreadKey,
+  resolveThread
+};
@@ -0,0 +1,235 @@
+const { pool } = require('./database');
+const { getTenantClient } = require('./pipedriveEnrichment');
+
+/**
+ * Pipedrive Custom Field Service
+ * Pipedrive stores custom fields under 40-character hash keys. This service keeps a per-tenant
+ * copy of the field schema and exposes custom values by their human name, so rules can filter on
+ * "Contract Length" and templates can render {{deal.custom.Contract Length}}.
+ */
+
+const ENTITY_TYPES = ['deal', 'person', 'organization'];
+const SCHEMA_TTL_MS = 15 * 60 * 1000;
+const CUSTOM_FIELD_KEY = /^[0-9a-f]{40}$/;
+
+// tenantId -> { promise, expiresAt }
+const schemaCache = new Map();
+
+/**
+ * Custom fields use hash keys; edit_flag covers fields created through older APIs
+ * @private
+ */
+function isCustomField(field) {
+  return CUSTOM_FIELD_KEY.test(field.key) || field.edit_flag === true;
+}
+
+/**
+ * Fetch custom field definitions from Pipedrive and store them for the tenant
+ * Fields removed in Pipedrive are deleted from the local schema.
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Object>} Synced field counts per entity type ({ deal, person, organization })
+ */
+async function syncCustomFields(tenantId) {
+  const client = await getTenantClient(tenantId);
+  if (!client) {
+    throw new Error('Pipedrive is not connected for this tenant');
+  }
+
+  // Fetch everything first so a failed API call leaves the stored schema untouched
+  const fieldsByEntity = {};
+  for (const entity of ENTITY_TYPES) {
+    fieldsByEntity[entity] = (await client.getFields(entity)).filter(isCustomField);
+  }
+
+  const db = await pool.connect();
+  const counts = {};
+
+  try {
+    await db.query('BEGIN');
+
+    for (const entity of ENTITY_TYPES) {
+      const fields = fieldsByEntity[entity];
+
+      for (const field of fields) {
+        const options = (field.options || []).map(option => ({ id: option.id, label: option.label }));
+        await db.query(`
+          INSERT INTO pipedrive_custom_fields (tenant_id, entity_type, field_key, name, field_type, options, synced_at)
+          VALUES ($1, $2, $3, $4, $5, $6, NOW())
+          ON CONFLICT (tenant_id, entity_type, field_key)
+          DO UPDATE SET name = EXCLUDED.name, field_type = EXCLUDED.field_type,
+                        options = EXCLUDED.options, synced_at = NOW()
+        `, [tenantId, entity, field.key, field.name, field.field_type || 'varchar', JSON.stringify(options)]);
+      }
+
+      await db.query(
+        'DELETE FROM pipedrive_custom_fields WHERE tenant_id = $1 AND entity_type = $2 AND NOT (field_key = ANY($3))',
+        [tenantId, entity, fields.map(field => field.key)]
+      );
+
+      counts[entity] = fields.length;
+    }
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  schemaCache.delete(tenantId);
+  console.log(`🧩 Synced custom fields for tenant ${tenantId}:`, counts);
+
+  return counts;
+}
+
+/**
+ * Get the stored custom field schema for a tenant
+ * The first request for a tenant without a stored schema triggers a sync.
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Array<{entity_type, field_key, name, field_type, options, synced_at}>>} Field definitions
+ */
+function getCustomFieldSchema(tenantId) {
+  const entry = schemaCache.get(tenantId);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.promise;
+  }
+
+  const promise = (async () => {
+    const query = `
+      SELECT entity_type, field_key, name, field_type, options, synced_at
+      FROM pipedrive_custom_fields
+      WHERE tenant_id = $1
+      ORDER BY entity_type, name
+    `;
+    let result = await pool.query(query, [tenantId]);
+
+    if (result.rows.length === 0) {
+      try {
+        await syncCustomFields(tenantId);
+        result = await pool.query(query, [tenantId]);
+      } catch (error) {
+        console.warn(`⚠️ Custom field sync skipped for tenant ${tenantId}:`, error.message);
+      }
+    }
+
+    return result.rows;
+  })();
+
+  schemaCache.set(tenantId, { promise, expiresAt: Date.now() + SCHEMA_TTL_MS });
+  promise.catch(() => schemaCache.delete(tenantId));
+
+  return promise;
+}
+
+/**
+ * Convert a raw custom field value to what rules and templates should see
+ * enum -> option label, set -> array of option labels, monetary -> amount, related records -> name
+ * @private
+ */
+function toDisplayValue(field, raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  const labelOf = id => {
+    const option = (field.options || []).find(candidate => String(candidate.id) === String(id));
+    return option ? option.label : String(id);
+  };
+
+  switch (field.field_type) {
+    case 'enum':
+      return labelOf(typeof raw === 'object' ? raw.id : raw);
+    case 'set': {
+      const ids = Array.isArray(raw) ? raw
+        : Array.isArray(raw.values) ? raw.values
+          : String(raw).split(',');
+      return ids
+        .map(id => (typeof id === 'object' ? id.id : id))
+        .filter(id => id !== null && id !== undefined && String(id).trim() !== '')
+        .map(id => labelOf(String(id).trim()));
+    }
+    case 'monetary':
+    case 'double': {
+      const amount = typeof raw === 'object' ? raw.value : raw;
+      const number = Number(amount);
+      return Number.isFinite(number) ? number : amount;
+    }
+    default:
+      if (typeof raw === 'object' && !Array.isArray(raw)) {
+        return raw.name ?? raw.formatted_address ?? raw.value ?? raw;
+      }
+      return raw;
+  }
+}
+
+/**
+ * Build { "Field Name": value } for one Pipedrive record
+ * Reads v1 payloads (hash keys on the record) and v2 payloads (record.custom_fields).
+ * @private
+ */
+function buildCustomValues(record, fields) {
+  const custom = {};
+  for (const field of fields) {
+    const raw = record[field.field_key] ?? record.custom_fields?.[field.field_key];
+    const value = toDisplayValue(field, raw);
+    if (value !== null && value !== undefined) {
+      custom[field.name] = value;
+    }
+  }
+  return custom;
+}
+
+/**
+ * Attach custom field values by name to the records in webhook data
+ * Sets object.custom / current.custom / previous.custom for the event entity and
+ * person.custom / organization.custom for related records resolved during enrichment.
+ * Never throws: without a schema the data is returned unchanged.
+ * @param {Object} webhookData - (Enriched) webhook data
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Object>} Copy of webhookData with custom values attached
+ */
+async function attachCustomFields(webhookData, tenantId) {
+  try {
+    const schema = await getCustomFieldSchema(tenantId);
+    if (schema.length === 0) {
+      return webhookData;
+    }
+
+    const fieldsFor = entity => schema.filter(field => field.entity_type === entity);
+    const event = webhookData.event || '';
+    const entity = ENTITY_TYPES.find(type => event.includes(type)) || 'deal';
+    const result = { ...webhookData };
+
+    for (const key of ['object', 'current', 'previous']) {
+      if (webhookData[key]) {
+        result[key] = { ...webhookData[key], custom: buildCustomValues(webhookData[key], fieldsFor(entity)) };
+      }
+    }
+
+    for (const related of ['person', 'organization']) {
+      if (related !== entity && webhookData[related]) {
+        result[related] = { ...webhookData[related], custom: buildCustomValues(webhookData[related], fieldsFor(related)) };
+      }
+    }
+
+    return result;
+  } catch (error) {
+    console.warn(`⚠️ Custom field values skipped for tenant ${tenantId}:`, error.message);
+    return webhookData;
+  }
+}
+
+/**
+ * Drop the cached schema for a tenant (e.g. after a dealField/personField webhook)
+ * @param {number} tenantId - Tenant ID
+ */
+function clearCustomFieldCache(tenantId) {
+  schemaCache.delete(tenantId);
+}
+
+module.exports = {
+  syncCustomFields,
+  getCustomFieldSchema,
+  attachCustomFields,
+  clearCustomFieldCache,
+  ENTITY_TYPES
+};
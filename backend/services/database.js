@@ -1,4 +1,6 @@
 const { Pool } = require('pg');
+const { detectChannelType } = require('./channelProviders');
+const { normalizeTemplateSyntax } = require('./templateEngine');
 
 // Production-grade PostgreSQL configuration for Railway deployment
 function createDatabasePool() {
@@ -262,16 +264,32 @@ async function healthCheck(maxRetries = 10, initialDelay = 1000) {
 }
 
 // Rules management functions
+// Fan-out targets of a rule (migration 031) as a JSON array, in order
+const RULE_TARGETS_COLUMN = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'webhook_id', rt.webhook_id, 'template_mode', rt.template_mode,
+      'custom_template', rt.custom_template, 'enabled', rt.enabled
+    ) ORDER BY rt.position, rt.id)
+    FROM rule_targets rt WHERE rt.rule_id = r.id
+  ), '[]'::json) AS targets
+`;
+
 async function getRulesForEvent(tenantId, eventType) {
   try {
+    // A rule qualifies when its primary webhook or any enabled fan-out target is active
     const query = `
-      SELECT r.*, cw.webhook_url, cw.name as webhook_name
+      SELECT r.*, cw.webhook_url, cw.name as webhook_name, cw.channel_type, ${RULE_TARGETS_COLUMN}
       FROM rules r
-      JOIN chat_webhooks cw ON r.target_webhook_id = cw.id
+      LEFT JOIN chat_webhooks cw ON r.target_webhook_id = cw.id
       WHERE r.tenant_id = $1 
         AND r.event_type = $2 
         AND r.enabled = true 
-        AND cw.is_active = true
+        AND (cw.is_active = true OR EXISTS (
+          SELECT 1 FROM rule_targets rt
+          JOIN chat_webhooks tw ON tw.id = rt.webhook_id
+          WHERE rt.rule_id = r.id AND rt.enabled = true AND tw.is_active = true
+        ))
       ORDER BY r.priority ASC, r.created_at ASC
     `;
     
@@ -286,7 +304,7 @@ async function getRulesForEvent(tenantId, eventType) {
 async function getAllRules(tenantId, limit = 50, offset = 0) {
   try {
     const query = `
-      SELECT r.*, cw.name as webhook_name
+      SELECT r.*, cw.name as webhook_name, ${RULE_TARGETS_COLUMN}
       FROM rules r
       LEFT JOIN chat_webhooks cw ON r.target_webhook_id = cw.id
       WHERE r.tenant_id = $1
@@ -315,8 +333,9 @@ async function getAllRules(tenantId, limit = 50, offset = 0) {
 async function createRule(tenantId, ruleData) {
   try {
     const query = `
-      INSERT INTO rules (tenant_id, name, event_type, filters, target_webhook_id, template_mode, custom_template, enabled)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO rules (tenant_id, name, event_type, filters, target_webhook_id, template_mode, custom_template, enabled,
+                         delivery_mode, digest_interval_minutes, digest_time, thread_by_entity, use_routing)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `;
     
@@ -327,8 +346,13 @@ async function createRule(tenantId, ruleData) {
       JSON.stringify(ruleData.filters || {}),
       ruleData.target_webhook_id,
       ruleData.template_mode || 'simple',
-      ruleData.custom_template || null,
-      ruleData.enabled !== false
+      normalizeTemplateSyntax(ruleData.custom_template) || null,
+      ruleData.enabled !== false,
+      ruleData.delivery_mode || 'immediate',
+      ruleData.digest_interval_minutes || null,
+      ruleData.digest_time || null,
+      typeof ruleData.thread_by_entity === 'boolean' ? ruleData.thread_by_entity : null,
+      ruleData.use_routing === true
     ];
     
     const result = await pool.query(query, values);
@@ -349,7 +373,12 @@ async function updateRule(tenantId, ruleId, updates) {
       'target_webhook_id',
       'template_mode',
       'custom_template',
-      'enabled'
+      'enabled',
+      'thread_by_entity',
+      'use_routing',
+      'delivery_mode',
+      'digest_interval_minutes',
+      'digest_time'
     ]);
 
     // CRITICAL FIX: Prevent null or empty target_webhook_id updates
@@ -379,6 +408,11 @@ async function updateRule(tenantId, ruleId, updates) {
       updates.template_mode = 'simple';
     }
     
+    // Store custom templates in the canonical {{variable}} syntax
+    if (typeof updates.custom_template === 'string') {
+      updates.custom_template = normalizeTemplateSyntax(updates.custom_template);
+    }
+    
     // Remove any keys with undefined values and filter by allowed columns
     const cleanUpdates = Object.fromEntries(
       Object.entries(updates).filter(([key, value]) => value !== undefined && allowedColumns.has(key))
@@ -454,8 +488,8 @@ async function getWebhooks(tenantId) {
 async function createWebhook(tenantId, webhookData) {
   try {
     const query = `
-      INSERT INTO chat_webhooks (tenant_id, name, webhook_url, description)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO chat_webhooks (tenant_id, name, webhook_url, description, channel_type, thread_by_entity)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
     
@@ -463,7 +497,9 @@ async function createWebhook(tenantId, webhookData) {
       tenantId,
       webhookData.name,
       webhookData.webhook_url,
-      webhookData.description || null
+      webhookData.description || null,
+      webhookData.channel_type || detectChannelType(webhookData.webhook_url),
+      webhookData.thread_by_entity === true
     ];
     
     const result = await pool.query(query, values);
@@ -474,12 +510,44 @@ async function createWebhook(tenantId, webhookData) {
   }
 }
 
+async function updateWebhook(tenantId, webhookId, updates) {
+  try {
+    // Only presentation/delivery settings are editable; URL and channel type are fixed per webhook
+    const allowedColumns = new Set(['name', 'description', 'thread_by_entity']);
+    const cleanUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([key, value]) => value !== undefined && allowedColumns.has(key))
+    );
+
+    if (Object.keys(cleanUpdates).length === 0) {
+      const current = await pool.query('SELECT * FROM chat_webhooks WHERE tenant_id = $1 AND id = $2', [tenantId, webhookId]);
+      return current.rows[0] || null;
+    }
+
+    const setClause = Object.keys(cleanUpdates)
+      .map((key, index) => `${key} = $${index + 3}`)
+      .join(', ');
+
+    const result = await pool.query(`
+      UPDATE chat_webhooks
+      SET ${setClause}
+      WHERE tenant_id = $1 AND id = $2
+      RETURNING *
+    `, [tenantId, webhookId, ...Object.values(cleanUpdates)]);
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    throw error;
+  }
+}
+
 // Logs management functions
 async function createLog(tenantId, logData) {
   try {
     const query = `
-      INSERT INTO logs (tenant_id, rule_id, webhook_id, event_type, payload, formatted_message, status, error_message, response_code, response_time_ms)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      INSERT INTO logs (tenant_id, rule_id, webhook_id, event_type, payload, formatted_message, status, error_message, response_code, response_time_ms,
+                        message_name, thread_key, thread_name)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `;
     
@@ -493,7 +561,10 @@ async function createLog(tenantId, logData) {
       logData.status,
       logData.error_message || null,
       logData.response_code || null,
-      logData.response_time_ms || null
+      logData.response_time_ms || null,
+      logData.message_name || null,
+      logData.thread_key || null,
+      logData.thread_name || null
     ];
     
     const result = await pool.query(query, values);
@@ -504,6 +575,34 @@ async function createLog(tenantId, logData) {
   }
 }
 
+// Record the tries behind a log entry (attempt log from retryPolicy.withRetry)
+async function createDeliveryAttempts(logId, attempts = []) {
+  if (!logId || attempts.length === 0) return;
+
+  try {
+    const values = [];
+    const params = [logId];
+    attempts.forEach((attempt, index) => {
+      const base = params.length;
+      values.push(`($1, $${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`);
+      params.push(
+        attempt.attempt || index + 1,
+        attempt.status,
+        attempt.error_message || null,
+        attempt.response_code || null,
+        attempt.response_time_ms || null
+      );
+    });
+
+    await pool.query(`
+      INSERT INTO delivery_attempts (log_id, attempt_number, status, error_message, response_code, response_time_ms)
+      VALUES ${values.join(', ')}
+    `, params);
+  } catch (error) {
+    console.error('Error recording delivery attempts:', error.message);
+  }
+}
+
 async function getLogs(tenantId, options = {}) {
   try {
     const { limit = 50, offset = 0, rule_id, status } = options;
@@ -693,7 +792,9 @@ module.exports = {
   deleteRule,
   getWebhooks,
   createWebhook,
+  updateWebhook,
   createLog,
+  createDeliveryAttempts,
   getLogs,
   getDashboardStats,
   getTenantByPipedriveCompanyId,
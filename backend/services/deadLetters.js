@@ -0,0 +1,335 @@
+const { pool, createLog, createDeliveryAttempts } = require('./database');
+const { defaultChatClient } = require('./chatClient');
+const { withRetry, classifyError } = require('./retryPolicy');
+const { checkNotificationQuota, trackNotificationUsage } = require('../middleware/quotaEnforcement');
+
+/**
+ * Dead-Letter Queue
+ * Notifications that failed permanently or exhausted the retry policy (dead_letters, migration
+ * 033). Each keeps the event payload, the rule's template and the last error; from the Dashboard
+ * it can be pointed at another webhook, requeued (sent again under the retry policy by the
+ * notification worker) or discarded.
+ */
+
+const STATUSES = ['dead', 'delivered', 'discarded'];
+const MAX_BULK_IDS = 100;
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function deadLetterError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Store a failed notification (never throws; delivery paths call this after logging)
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} entry - { rule, webhookId, logId, webhookData, error }; error may carry
+ *   attempts and classification from retryPolicy.withRetry
+ * @returns {Promise<Object|null>} The dead_letters row
+ */
+async function recordDeadLetter(tenantId, { rule, webhookId, logId, webhookData, error }) {
+  const classification = error.classification || classifyError(error);
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO dead_letters (tenant_id, rule_id, rule_name, webhook_id, log_id, event_type, payload,
+                                template_mode, custom_template, error_message, error_reason, response_code, attempts)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      tenantId,
+      rule?.id || null,
+      rule?.name || null,
+      webhookId || null,
+      logId || null,
+      webhookData?.event || null,
+      JSON.stringify(webhookData || {}),
+      rule?.template_mode || 'simple',
+      rule?.custom_template || null,
+      error.message,
+      classification.reason,
+      classification.statusCode,
+      error.attempts || 1
+    ]);
+    console.warn(`☠️ Notification for rule "${rule?.name}" moved to dead letters (${classification.reason})`);
+    return result.rows[0];
+  } catch (dbError) {
+    console.error('Error recording dead letter:', dbError.message);
+    return null;
+  }
+}
+
+/**
+ * List dead letters, newest first
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} options - { status ('dead' by default, 'all' for every status), limit, offset }
+ * @returns {Promise<{deadLetters: Array, total: number}>} Page of rows with webhook name
+ */
+async function listDeadLetters(tenantId, options = {}) {
+  const status = options.status || 'dead';
+  const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(options.offset) || 0, 0);
+
+  const params = [tenantId];
+  let where = 'dl.tenant_id = $1';
+  if (status !== 'all') {
+    if (!STATUSES.includes(status)) {
+      throw deadLetterError(`status must be one of: ${[...STATUSES, 'all'].join(', ')}`, 'INVALID_DEAD_LETTER');
+    }
+    params.push(status);
+    where += ` AND dl.status = $${params.length}`;
+  }
+
+  const [rows, count] = await Promise.all([
+    pool.query(`
+      SELECT dl.*, COALESCE(r.name, dl.rule_name) AS rule_name, cw.name AS webhook_name, cw.channel_type,
+             cw.is_active AS webhook_active
+      FROM dead_letters dl
+      LEFT JOIN rules r ON r.id = dl.rule_id
+      LEFT JOIN chat_webhooks cw ON cw.id = dl.webhook_id
+      WHERE ${where}
+      ORDER BY dl.created_at DESC, dl.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    pool.query(`SELECT COUNT(*) AS total FROM dead_letters dl WHERE ${where}`, params)
+  ]);
+
+  return { deadLetters: rows.rows, total: parseInt(count.rows[0].total) || 0 };
+}
+
+/**
+ * Get one dead letter
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Dead letter ID
+ * @returns {Promise<Object>} Row with webhook name
+ */
+async function getDeadLetter(tenantId, id) {
+  const result = await pool.query(`
+    SELECT dl.*, COALESCE(r.name, dl.rule_name) AS rule_name, cw.name AS webhook_name, cw.channel_type,
+           cw.is_active AS webhook_active
+    FROM dead_letters dl
+    LEFT JOIN rules r ON r.id = dl.rule_id
+    LEFT JOIN chat_webhooks cw ON cw.id = dl.webhook_id
+    WHERE dl.tenant_id = $1 AND dl.id = $2
+  `, [tenantId, id]);
+
+  if (result.rows.length === 0) {
+    throw deadLetterError('Dead letter not found', 'DEAD_LETTER_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Point a dead letter at another webhook before requeueing it
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Dead letter ID
+ * @param {number} webhookId - Webhook of the tenant
+ * @returns {Promise<Object>} Updated row (see getDeadLetter)
+ */
+async function updateDeadLetterTarget(tenantId, id, webhookId) {
+  const current = await getDeadLetter(tenantId, id);
+  if (current.status !== 'dead') {
+    throw deadLetterError(`Dead letter is already ${current.status}`, 'DEAD_LETTER_RESOLVED');
+  }
+
+  const webhook = await pool.query('SELECT id FROM chat_webhooks WHERE tenant_id = $1 AND id = $2', [tenantId, webhookId]);
+  if (webhook.rows.length === 0) {
+    throw deadLetterError(`Unknown webhook: ${webhookId}`, 'INVALID_DEAD_LETTER');
+  }
+
+  await pool.query(`
+    UPDATE dead_letters SET webhook_id = $3, updated_at = NOW() WHERE tenant_id = $1 AND id = $2
+  `, [tenantId, id, webhookId]);
+  return getDeadLetter(tenantId, id);
+}
+
+/**
+ * Validate ids from a bulk request
+ * @private
+ */
+function normalizeIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw deadLetterError('ids must be a non-empty array', 'INVALID_DEAD_LETTER');
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    throw deadLetterError(`At most ${MAX_BULK_IDS} dead letters can be changed at once`, 'INVALID_DEAD_LETTER');
+  }
+  const normalized = [...new Set(ids.map(id => parseInt(id)))];
+  if (normalized.some(id => !id)) {
+    throw deadLetterError('ids must be dead letter IDs', 'INVALID_DEAD_LETTER');
+  }
+  return normalized;
+}
+
+/**
+ * Send one dead letter again under the retry policy
+ * @private
+ */
+async function redeliver(tenantId, deadLetter) {
+  const startTime = Date.now();
+
+  const webhookResult = await pool.query(
+    'SELECT * FROM chat_webhooks WHERE tenant_id = $1 AND id = $2',
+    [tenantId, deadLetter.webhook_id]
+  );
+  const webhook = webhookResult.rows[0];
+  if (!webhook) {
+    return { id: deadLetter.id, success: false, error: 'Webhook no longer exists - pick another target' };
+  }
+
+  const quota = await checkNotificationQuota(tenantId, 1);
+  if (!quota.within_quota) {
+    return { id: deadLetter.id, success: false, error: `Notification quota exceeded (${quota.current_usage}/${quota.limit})` };
+  }
+
+  const logEntry = {
+    rule_id: deadLetter.rule_id,
+    webhook_id: webhook.id,
+    event_type: deadLetter.event_type,
+    payload: deadLetter.payload
+  };
+
+  try {
+    const { result, attemptLog } = await withRetry(() => defaultChatClient.sendNotification(
+      webhook,
+      deadLetter.payload,
+      deadLetter.template_mode || 'simple',
+      deadLetter.custom_template,
+      tenantId
+    ), { label: `Dead letter ${deadLetter.id}` });
+
+    await trackNotificationUsage(tenantId, 1);
+    const log = await createLog(tenantId, {
+      ...logEntry,
+      formatted_message: result,
+      status: 'success',
+      response_code: 200,
+      response_time_ms: Date.now() - startTime,
+      error_message: `Requeued from dead letter ${deadLetter.id}`,
+      message_name: result.messageId
+    });
+    await createDeliveryAttempts(log?.id, attemptLog);
+
+    await pool.query(`
+      UPDATE dead_letters
+      SET status = 'delivered', requeue_count = requeue_count + 1, resolved_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [deadLetter.id]);
+    return { id: deadLetter.id, success: true };
+  } catch (error) {
+    const classification = error.classification || classifyError(error);
+    const log = await createLog(tenantId, {
+      ...logEntry,
+      status: 'failed',
+      error_message: error.message,
+      response_code: classification.statusCode || 500,
+      response_time_ms: Date.now() - startTime
+    });
+    await createDeliveryAttempts(log?.id, error.attemptLog || []);
+
+    await pool.query(`
+      UPDATE dead_letters
+      SET error_message = $2, error_reason = $3, response_code = $4, attempts = attempts + $5,
+          requeue_count = requeue_count + 1, log_id = COALESCE($6, log_id), updated_at = NOW()
+      WHERE id = $1
+    `, [deadLetter.id, error.message, classification.reason, classification.statusCode, error.attempts || 1, log?.id || null]);
+    return { id: deadLetter.id, success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a dead letter again if it is still awaiting action (the notification worker runs this for
+ * each requeued dead letter)
+ * Delivered ones are marked delivered; failures stay dead with the new error.
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Dead letter ID
+ * @returns {Promise<{id: number, success: boolean, error?: string}>} Result
+ */
+async function redeliverDeadLetter(tenantId, id) {
+  const result = await pool.query('SELECT * FROM dead_letters WHERE tenant_id = $1 AND id = $2', [tenantId, id]);
+  const deadLetter = result.rows[0];
+  if (!deadLetter) {
+    return { id, success: false, error: 'Dead letter not found' };
+  }
+  if (deadLetter.status !== 'dead') {
+    return { id, success: false, error: `Dead letter is already ${deadLetter.status}` };
+  }
+  return redeliver(tenantId, deadLetter);
+}
+
+/**
+ * Requeue dead letters: queue each to be sent again to its (possibly edited) webhook
+ * Returns once they are queued; without a queue they are sent one by one in the background.
+ * @param {number} tenantId - Tenant ID
+ * @param {Array<number>} ids - Dead letter IDs
+ * @returns {Promise<{queued: Array<number>, skipped: Array<{id: number, error: string}>}>} Queued IDs
+ *   and IDs that cannot be requeued
+ */
+async function requeueDeadLetters(tenantId, ids) {
+  const normalized = normalizeIds(ids);
+  const result = await pool.query(
+    'SELECT id, status FROM dead_letters WHERE tenant_id = $1 AND id = ANY($2::int[])',
+    [tenantId, normalized]
+  );
+  const found = new Map(result.rows.map(row => [row.id, row]));
+
+  const queued = [];
+  const skipped = [];
+  for (const id of normalized) {
+    const deadLetter = found.get(id);
+    if (!deadLetter) {
+      skipped.push({ id, error: 'Dead letter not found' });
+    } else if (deadLetter.status !== 'dead') {
+      skipped.push({ id, error: `Dead letter is already ${deadLetter.status}` });
+    } else {
+      queued.push(id);
+    }
+  }
+
+  const { addDeadLetterJob } = require('../jobs/queue');
+  const unqueued = [];
+  for (const id of queued) {
+    if (!(await addDeadLetterJob(tenantId, id))) unqueued.push(id);
+  }
+  if (unqueued.length > 0) {
+    console.warn(`⚠️ Queue not available - redelivering ${unqueued.length} dead letters in the background`);
+    (async () => {
+      for (const id of unqueued) {
+        await redeliverDeadLetter(tenantId, id);
+      }
+    })().catch(error => console.error('Error redelivering dead letters:', error));
+  }
+
+  return { queued, skipped };
+}
+
+/**
+ * Discard dead letters that are still awaiting action
+ * @param {number} tenantId - Tenant ID
+ * @param {Array<number>} ids - Dead letter IDs
+ * @returns {Promise<Array<number>>} IDs that were discarded
+ */
+async function discardDeadLetters(tenantId, ids) {
+  const normalized = normalizeIds(ids);
+  const result = await pool.query(`
+    UPDATE dead_letters SET status = 'discarded', resolved_at = NOW(), updated_at = NOW()
+    WHERE tenant_id = $1 AND id = ANY($2::int[]) AND status = 'dead'
+    RETURNING id
+  `, [tenantId, normalized]);
+  return result.rows.map(row => row.id);
+}
+
+module.exports = {
+  MAX_BULK_IDS,
+  recordDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterTarget,
+  redeliverDeadLetter,
+  requeueDeadLetters,
+  discardDeadLetters
+};
@@ -0,0 +1,164 @@
+const { pool } = require('./database');
+
+/**
+ * Deal Events
+ * Every deal webhook is recorded in deal_events (migration 037) as soon as the tenant is known,
+ * independently of rules, quotas and notifications. A row keeps the deal's state after the event
+ * (pipeline, stage, status, owner, value) and what changed. Pipedrive v2 webhooks only send the
+ * changed fields in `previous`, so unchanged stage/status are taken from the deal's last event.
+ */
+
+const CHANGE_TYPES = ['created', 'stage_changed', 'won', 'lost', 'reopened', 'updated', 'deleted'];
+const CREATE_ACTIONS = ['create', 'added'];
+const DELETE_ACTIONS = ['delete', 'deleted'];
+const CLOSED_STATUSES = ['won', 'lost'];
+// Deal history feeds conversion and forecasting, so it outlives plan log retention
+const DEAL_EVENT_RETENTION_DAYS = parseInt(process.env.DEAL_EVENT_RETENTION_DAYS) || 730;
+
+/**
+ * Normalize Pipedrive id fields, which arrive as numbers or { id|value, name } objects
+ * @private
+ */
+function toId(field) {
+  if (field === null || field === undefined || field === '') return null;
+  const id = typeof field === 'object' ? (field.id ?? field.value) : field;
+  const parsed = parseInt(id, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Lower-case deal status (open, won, lost, deleted) or null
+ * @private
+ */
+function normalizeStatus(status) {
+  return status ? String(status).toLowerCase() : null;
+}
+
+/**
+ * Parse a Pipedrive time: unix seconds or ms, ISO, or v1 "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @param {number|string} value - Time value
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function parsePipedriveTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+  if (/^\d+$/.test(value)) return parsePipedriveTime(Number(value));
+
+  const text = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * What an event did to the deal
+ * @private
+ */
+function classifyChange({ action, status, previousStatus, stageChanged }) {
+  if (DELETE_ACTIONS.includes(action) || status === 'deleted') return 'deleted';
+  if (CREATE_ACTIONS.includes(action)) return 'created';
+  if (status !== previousStatus) {
+    if (CLOSED_STATUSES.includes(status)) return status;
+    if (status === 'open' && CLOSED_STATUSES.includes(previousStatus)) return 'reopened';
+  }
+  return stageChanged ? 'stage_changed' : 'updated';
+}
+
+/**
+ * Record a deal webhook; other entities are ignored. Never throws, so a failure here cannot stop
+ * the notification.
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} webhookData - Webhook data as queued (event, current|object, previous, timestamp)
+ * @returns {Promise<Object|null>} The deal_events row, or null when nothing was recorded
+ */
+async function recordDealEvent(tenantId, webhookData) {
+  try {
+    const [entity, action] = String(webhookData?.event || '').split('.');
+    const deal = webhookData?.current || webhookData?.object;
+    const dealId = toId(deal?.id);
+    if (entity !== 'deal' || !dealId) return null;
+
+    const previous = webhookData.previous && typeof webhookData.previous === 'object' ? webhookData.previous : null;
+    const isCreate = CREATE_ACTIONS.includes(action);
+    const lastResult = await pool.query(`
+      SELECT stage_id, status, stage_entered_at FROM deal_events
+      WHERE tenant_id = $1 AND deal_id = $2
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT 1
+    `, [tenantId, dealId]);
+    const last = lastResult.rows[0] || null;
+
+    const occurredAt = parsePipedriveTime(webhookData.timestamp ?? webhookData.raw_meta?.timestamp) ||
+      parsePipedriveTime(deal.update_time) || new Date();
+    const addedAt = parsePipedriveTime(deal.add_time);
+    const status = normalizeStatus(deal.status);
+    const stageId = toId(deal.stage_id);
+
+    // A previous version without the field means it did not change
+    const previousStageId = previous && 'stage_id' in previous ? toId(previous.stage_id)
+      : last ? last.stage_id : previous && !isCreate ? stageId : null;
+    const previousStatus = previous && 'status' in previous ? normalizeStatus(previous.status)
+      : last ? last.status : previous && !isCreate ? status : null;
+    const stageChanged = previousStageId !== null && stageId !== null && previousStageId !== stageId;
+
+    let stageEnteredAt;
+    let secondsInPreviousStage = null;
+    if (stageChanged) {
+      stageEnteredAt = occurredAt;
+      const previousEnteredAt = last?.stage_entered_at || parsePipedriveTime(previous?.stage_change_time) || addedAt;
+      if (previousEnteredAt) {
+        secondsInPreviousStage = Math.max(0, Math.round((occurredAt - new Date(previousEnteredAt)) / 1000));
+      }
+    } else {
+      stageEnteredAt = last?.stage_entered_at || parsePipedriveTime(deal.stage_change_time) || addedAt || occurredAt;
+    }
+
+    const value = Number(deal.value);
+    const result = await pool.query(`
+      INSERT INTO deal_events (tenant_id, deal_id, event_type, change_type, pipeline_id, stage_id, previous_stage_id,
+                               stage_entered_at, seconds_in_previous_stage, status, previous_status, owner_id, value,
+                               currency, deal_added_at, occurred_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      RETURNING *
+    `, [
+      tenantId,
+      dealId,
+      webhookData.event,
+      classifyChange({ action, status, previousStatus, stageChanged }),
+      toId(deal.pipeline_id),
+      stageId,
+      stageChanged ? previousStageId : null,
+      stageEnteredAt,
+      secondsInPreviousStage,
+      status,
+      previousStatus,
+      toId(deal.owner_id ?? deal.user_id),
+      deal.value !== null && deal.value !== undefined && deal.value !== '' && Number.isFinite(value) ? value : null,
+      deal.currency || null,
+      addedAt,
+      occurredAt
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error(`❌ Error recording deal event for tenant ${tenantId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete deal events older than DEAL_EVENT_RETENTION_DAYS (default two years)
+ * @returns {Promise<number>} Deleted events
+ */
+async function cleanupDealEvents() {
+  const result = await pool.query(
+    'DELETE FROM deal_events WHERE occurred_at < NOW() - make_interval(days => $1)',
+    [DEAL_EVENT_RETENTION_DAYS]
+  );
+  return result.rowCount || 0;
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  parsePipedriveTime,
+  recordDealEvent,
+  cleanupDealEvents
+};
@@ -0,0 +1,490 @@
+const { pool } = require('./database');
+const { PredictiveModels } = require('./healthPredictor');
+const { loadNames } = require('./salesAnalytics');
+
+/**
+ * Deal Forecast
+ * Expected closed-won revenue for the next 30, 60 and 90 days and the win likelihood of every
+ * open deal, from the deal event stream (deal_events). Two estimates are combined per horizon,
+ * weighted by confidence like PredictiveModels.ensemblePrediction combines models:
+ * - pipeline: open deal value x win likelihood (stage conversion and time in stage of closed
+ *   deals) x the chance a win lands within the horizon (cycle of won deals)
+ * - trend: the health forecasting models (services/healthPredictor.js) on cumulative won revenue
+ * Every prediction lists the features behind it.
+ */
+
+const MODEL_VERSION = 'deal-forecast-1';
+const HORIZONS = [30, 60, 90];
+const DAY_SECONDS = 24 * 60 * 60;
+const DAY_MS = DAY_SECONDS * 1000;
+// Closed deals the conversion, time in stage and cycle statistics are learned from
+const HISTORY_DAYS = 365;
+// Days of won revenue the trend models see
+const TREND_DAYS = 182;
+const MIN_CLOSED_DEALS = 5;
+const MIN_TREND_DAYS = 21;
+// Models below this confidence are left out, as in PredictiveModels.ensemblePrediction
+const MIN_MODEL_CONFIDENCE = 0.3;
+// Pseudo-deals pulling small samples toward the broader rate (stage toward overall, age toward stage)
+const PRIOR_WEIGHT = 5;
+// Closed deals at which the pipeline estimate reaches half confidence
+const CONFIDENCE_HALF_SAMPLE = 20;
+// z of the 80% confidence band
+const BAND_Z = 1.2816;
+const MAX_DEALS = 100;
+
+/**
+ * Round to a number of decimals, keeping null
+ * @private
+ */
+function round(value, decimals = 2) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * Rate of hits in total, pulled toward prior by PRIOR_WEIGHT pseudo-samples
+ * @private
+ */
+function smoothedRate(hits, total, prior) {
+  return (hits + PRIOR_WEIGHT * prior) / (total + PRIOR_WEIGHT);
+}
+
+/**
+ * Median of a list of numbers, null when empty
+ * @private
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rate (0-1) as a whole percentage
+ * @private
+ */
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Deals closed in the last HISTORY_DAYS with their outcome, cycle and days spent in each stage
+ * @private
+ */
+async function loadClosedDeals(tenantId) {
+  const result = await pool.query(`
+    WITH closes AS (
+      SELECT DISTINCT ON (deal_id) deal_id, status, value, deal_added_at, occurred_at, stage_id, stage_entered_at
+      FROM deal_events
+      WHERE tenant_id = $1 AND occurred_at >= NOW() - make_interval(days => $2)
+        AND status IN ('won', 'lost') AND previous_status IS DISTINCT FROM status
+      ORDER BY deal_id, occurred_at DESC, id DESC
+    )
+    SELECT c.deal_id, c.status, c.value::float AS value, c.stage_id,
+           EXTRACT(EPOCH FROM c.occurred_at - c.deal_added_at)::float AS cycle_seconds,
+           EXTRACT(EPOCH FROM c.occurred_at - c.stage_entered_at)::float AS final_stage_seconds,
+           COALESCE(json_agg(json_build_object('stage_id', e.previous_stage_id, 'seconds', e.seconds_in_previous_stage))
+             FILTER (WHERE e.seconds_in_previous_stage IS NOT NULL), '[]') AS stage_exits
+    FROM closes c
+    LEFT JOIN deal_events e ON e.tenant_id = $1 AND e.deal_id = c.deal_id AND e.occurred_at <= c.occurred_at
+    GROUP BY c.deal_id, c.status, c.value, c.stage_id, c.deal_added_at, c.occurred_at, c.stage_entered_at
+  `, [tenantId, HISTORY_DAYS]);
+
+  return result.rows.map(row => {
+    const stageDays = new Map();
+    const addStage = (stageId, seconds) => {
+      if (stageId === null || seconds === null) return;
+      stageDays.set(stageId, (stageDays.get(stageId) || 0) + Math.max(0, seconds) / DAY_SECONDS);
+    };
+    row.stage_exits.forEach(exit => addStage(exit.stage_id, exit.seconds));
+    addStage(row.stage_id, row.final_stage_seconds);
+
+    return {
+      won: row.status === 'won',
+      cycleDays: row.cycle_seconds !== null ? Math.max(0, row.cycle_seconds) / DAY_SECONDS : null,
+      stageDays
+    };
+  });
+}
+
+/**
+ * Deals whose latest event leaves them open
+ * @private
+ */
+async function loadOpenDeals(tenantId) {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (deal_id) deal_id, status, pipeline_id, stage_id, stage_entered_at, owner_id,
+             value::float AS value, currency, deal_added_at
+      FROM deal_events
+      WHERE tenant_id = $1
+      ORDER BY deal_id, occurred_at DESC, id DESC
+    ) latest
+    WHERE status = 'open'
+  `, [tenantId]);
+  return result.rows;
+}
+
+/**
+ * Won revenue of each full day since deal events were first recorded, up to TREND_DAYS
+ * @private
+ */
+async function loadDailyWonRevenue(tenantId, dataSince) {
+  if (!dataSince) return [];
+  const result = await pool.query(`
+    SELECT day, COALESCE(SUM(e.value), 0)::float AS won_value
+    FROM generate_series(
+      date_trunc('day', GREATEST($2::timestamptz + INTERVAL '1 day', NOW() - make_interval(days => $3))),
+      date_trunc('day', NOW()) - INTERVAL '1 day',
+      INTERVAL '1 day'
+    ) AS day
+    LEFT JOIN deal_events e ON e.tenant_id = $1 AND e.occurred_at >= day AND e.occurred_at < day + INTERVAL '1 day'
+      AND e.status = 'won' AND e.previous_status IS DISTINCT FROM 'won'
+    GROUP BY day
+    ORDER BY day
+  `, [tenantId, dataSince, TREND_DAYS]);
+  return result.rows;
+}
+
+/**
+ * Win rates, time in stage and won deal cycles learned from closed deals
+ * @private
+ */
+function buildHistory(closedDeals) {
+  const won = closedDeals.filter(deal => deal.won).length;
+  const stages = new Map();
+  for (const deal of closedDeals) {
+    for (const [stageId, days] of deal.stageDays) {
+      if (!stages.has(stageId)) stages.set(stageId, []);
+      stages.get(stageId).push({ days, won: deal.won });
+    }
+  }
+
+  return {
+    closed: closedDeals.length,
+    won,
+    winRate: closedDeals.length > 0 ? won / closedDeals.length : 0,
+    stages,
+    wonCycles: closedDeals.filter(deal => deal.won && deal.cycleDays !== null).map(deal => deal.cycleDays)
+  };
+}
+
+/**
+ * Chance that a deal of this age, if won, is won within the next `days`: the share of won deals
+ * that were still open at this age and closed within the window, pulled toward the share of all
+ * won deals closing within `days` of creation
+ * @private
+ */
+function closeTiming(ageDays, wonCycles, days) {
+  const base = wonCycles.filter(cycle => cycle <= days).length / wonCycles.length;
+  if (ageDays === null) return base;
+  const beyond = wonCycles.filter(cycle => cycle > ageDays);
+  const within = beyond.filter(cycle => cycle <= ageDays + days).length;
+  return smoothedRate(within, beyond.length, base);
+}
+
+/**
+ * Win likelihood of an open deal: the overall win rate, adjusted to the conversion of deals seen
+ * in its stage, then to the deals that stayed in that stage at least as long as it has. Each
+ * feature's effect is its change to the probability.
+ * @private
+ */
+function predictDeal(deal, history, names, now) {
+  const stageName = deal.stage_id !== null
+    ? names.stages.get(deal.stage_id)?.name || `Stage ${deal.stage_id}`
+    : null;
+  const daysInStage = deal.stage_entered_at ? Math.max(0, (now - new Date(deal.stage_entered_at)) / DAY_MS) : null;
+  const ageDays = deal.deal_added_at ? Math.max(0, (now - new Date(deal.deal_added_at)) / DAY_MS) : null;
+
+  const features = [{
+    name: 'historical_win_rate',
+    label: 'Historical win rate',
+    value: round(history.winRate, 4),
+    effect: null,
+    detail: `${history.won} of ${history.closed} deals closed in the last ${HISTORY_DAYS} days were won`
+  }];
+
+  let probability = history.winRate;
+  let medianDays = null;
+  const samples = deal.stage_id !== null ? history.stages.get(deal.stage_id) || [] : [];
+
+  if (stageName) {
+    const stageWon = samples.filter(sample => sample.won).length;
+    const stageRate = smoothedRate(stageWon, samples.length, history.winRate);
+    features.push({
+      name: 'stage_conversion',
+      label: `Win rate from ${stageName}`,
+      value: round(stageRate, 4),
+      effect: round(stageRate - probability, 4),
+      detail: samples.length > 0
+        ? `${stageWon} of ${samples.length} closed deals seen in ${stageName} were won`
+        : `No closed deal was seen in ${stageName} yet, so the historical win rate applies`
+    });
+    probability = stageRate;
+
+    if (daysInStage !== null && samples.length > 0) {
+      medianDays = median(samples.map(sample => sample.days));
+      const survivors = samples.filter(sample => sample.days >= daysInStage);
+      const survivorsWon = survivors.filter(sample => sample.won).length;
+      const ageRate = smoothedRate(survivorsWon, survivors.length, stageRate);
+      features.push({
+        name: 'stage_age',
+        label: `Days in ${stageName}`,
+        value: round(daysInStage, 1),
+        effect: round(ageRate - probability, 4),
+        detail: survivors.length > 0
+          ? `${survivorsWon} of ${survivors.length} closed deals that spent at least ${Math.floor(daysInStage)} days in ${stageName} were won (median ${round(medianDays, 1)} days)`
+          : `Longer in ${stageName} than any closed deal (median ${round(medianDays, 1)} days)`
+      });
+      probability = ageRate;
+    }
+  }
+
+  const timing = HORIZONS.map(days => ({
+    days,
+    probability: history.wonCycles.length > 0 ? closeTiming(ageDays, history.wonCycles, days) : null
+  }));
+  if (ageDays !== null && history.wonCycles.length > 0) {
+    features.push({
+      name: 'deal_age',
+      label: 'Deal age',
+      value: round(ageDays, 1),
+      effect: null,
+      detail: `If won, ${percent(timing[0].probability)} chance within 30 days and ${percent(timing[timing.length - 1].probability)} within ${timing[timing.length - 1].days} (median won cycle ${round(median(history.wonCycles), 1)} days)`
+    });
+  }
+
+  return {
+    deal_id: Number(deal.deal_id),
+    pipeline: deal.pipeline_id !== null ? names.stages.get(deal.stage_id)?.pipeline_name || `Pipeline ${deal.pipeline_id}` : null,
+    stage: stageName,
+    owner: deal.owner_id !== null ? names.users.get(deal.owner_id)?.name || `User ${deal.owner_id}` : null,
+    value: deal.value,
+    currency: deal.currency,
+    deal_age_days: round(ageDays, 1),
+    days_in_stage: round(daysInStage, 1),
+    median_days_in_stage: round(medianDays, 1),
+    stalled: medianDays !== null && daysInStage >= 1 && daysInStage > 2 * medianDays,
+    win_probability: round(probability, 4),
+    close_probability: timing.map(({ days, probability: timingProbability }) => ({
+      days,
+      probability: timingProbability !== null ? round(probability * timingProbability, 4) : null
+    })),
+    features
+  };
+}
+
+/**
+ * Expected revenue and wins per horizon from open deals, with the spread of independent outcomes
+ * @private
+ */
+function pipelineEstimate(predictions, history) {
+  if (history.wonCycles.length === 0) return null;
+  const confidence = history.closed / (history.closed + CONFIDENCE_HALF_SAMPLE);
+
+  return HORIZONS.map((days, index) => {
+    let expected = 0;
+    let wins = 0;
+    let variance = 0;
+    for (const deal of predictions) {
+      const chance = deal.close_probability[index].probability;
+      const value = deal.value || 0;
+      expected += value * chance;
+      wins += chance;
+      variance += value * value * chance * (1 - chance);
+    }
+    return { days, expected, wins, sd: Math.sqrt(variance), confidence };
+  });
+}
+
+/**
+ * Won revenue per horizon from the health forecasting models on cumulative daily won revenue: a
+ * model's forecast `days` ahead minus its forecast for today is the revenue it expects in between.
+ * Linear extrapolation follows the long-run rate and exponential smoothing the recent one; they are
+ * weighted by confidence like ensemblePrediction. The seasonal model is left out because its
+ * seasons are hours of the day, and moving average with trend because it judges stability on the
+ * level of the series, which always grows when cumulative. Revenue is in units of the average day
+ * so the models' relative error measures apply.
+ * @private
+ */
+function trendEstimate(days) {
+  if (days.length < MIN_TREND_DAYS) return null;
+
+  const values = days.map(day => day.won_value);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const scale = mean > 0 ? mean : 1;
+  const sd = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+
+  let cumulative = 0;
+  const data = days.map(day => {
+    cumulative += day.won_value / scale;
+    return { timestamp: new Date(day.day), revenue: cumulative };
+  });
+
+  const models = new PredictiveModels();
+  const forecasters = [
+    daysAhead => models.linearExtrapolation(data, 'revenue', daysAhead),
+    daysAhead => models.exponentialSmoothing(data, 'revenue', daysAhead)
+  ];
+  const valid = forecasters
+    .map(forecast => ({ forecast, today: forecast(0) }))
+    .filter(({ today }) => today.prediction !== null && today.confidence > MIN_MODEL_CONFIDENCE);
+  if (valid.length === 0) return null;
+
+  const totalWeight = valid.reduce((sum, { today }) => sum + today.confidence, 0);
+  return HORIZONS.map(horizon => {
+    const expected = valid.reduce((sum, { forecast, today }) =>
+      sum + Math.max(0, forecast(horizon).prediction - today.prediction) * today.confidence, 0) / totalWeight;
+    return {
+      days: horizon,
+      expected: expected * scale,
+      sd: sd * Math.sqrt(horizon),
+      confidence: totalWeight / valid.length,
+      methods: valid.map(({ today }) => today.method),
+      trendDays: days.length,
+      dailyAverage: mean
+    };
+  });
+}
+
+/**
+ * Features behind a revenue forecast; `weight` is an estimate's share of the forecast
+ * @private
+ */
+function horizonFeatures({ days, pipeline, trend, totalWeight, history, openDeals }) {
+  const features = [];
+  if (pipeline) {
+    features.push({
+      name: 'open_pipeline',
+      label: 'Open pipeline',
+      value: round(openDeals.reduce((sum, deal) => sum + (deal.value || 0), 0)),
+      detail: `${openDeals.length} open deals`
+    }, {
+      name: 'pipeline_estimate',
+      label: 'Expected from open deals',
+      value: round(pipeline.expected),
+      weight: round(pipeline.confidence / totalWeight, 4),
+      detail: `Deal value x win likelihood x chance of closing within ${days} days, learned from ${history.closed} closed deals; ${round(pipeline.wins, 1)} expected wins`
+    }, {
+      name: 'won_cycle',
+      label: 'Median won deal cycle',
+      value: round(median(history.wonCycles), 1),
+      detail: `${percent(history.wonCycles.filter(cycle => cycle <= days).length / history.wonCycles.length)} of won deals closed within ${days} days of being created`
+    });
+  }
+  if (trend) {
+    features.push({
+      name: 'revenue_trend',
+      label: 'Won revenue trend',
+      value: round(trend.expected),
+      weight: round(trend.confidence / totalWeight, 4),
+      detail: `${trend.methods.map(method => method.replace(/_/g, ' ')).join(' and ')} on ${trend.trendDays} days of won revenue (average ${round(trend.dailyAverage, 0)} per day)`
+    });
+  }
+  return features;
+}
+
+/**
+ * Most common currency of the deals, null when there is none
+ * @private
+ */
+function mainCurrency(deals) {
+  const counts = new Map();
+  deals.filter(deal => deal.currency).forEach(deal => counts.set(deal.currency, (counts.get(deal.currency) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+/**
+ * Revenue forecast and open deal win likelihoods of a tenant
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Object>} { status, message, generated_at, data_since, currency, horizons, deals, distribution, model }
+ */
+async function getDealForecast(tenantId) {
+  const now = new Date();
+  const since = await pool.query('SELECT MIN(occurred_at) AS data_since FROM deal_events WHERE tenant_id = $1', [tenantId]);
+  const dataSince = since.rows[0].data_since;
+
+  const [closedDeals, openDeals, days, names] = await Promise.all([
+    loadClosedDeals(tenantId),
+    loadOpenDeals(tenantId),
+    loadDailyWonRevenue(tenantId, dataSince),
+    loadNames(tenantId)
+  ]);
+
+  const history = buildHistory(closedDeals);
+  const predictions = history.closed >= MIN_CLOSED_DEALS
+    ? openDeals.map(deal => predictDeal(deal, history, names, now))
+    : [];
+  const pipeline = history.closed >= MIN_CLOSED_DEALS ? pipelineEstimate(predictions, history) : null;
+  const trend = trendEstimate(days);
+
+  const horizons = HORIZONS.map((days, index) => {
+    const estimates = [pipeline?.[index], trend?.[index]].filter(Boolean);
+    if (estimates.length === 0) return null;
+
+    const totalWeight = estimates.reduce((sum, estimate) => sum + estimate.confidence, 0);
+    const expected = estimates.reduce((sum, estimate) => sum + estimate.expected * estimate.confidence, 0) / totalWeight;
+    const sd = estimates.reduce((sum, estimate) => sum + estimate.sd * estimate.confidence, 0) / totalWeight;
+    return {
+      days,
+      expected_revenue: round(expected),
+      lower_bound: round(Math.max(0, expected - BAND_Z * sd)),
+      upper_bound: round(expected + BAND_Z * sd),
+      expected_wins: pipeline ? round(pipeline[index].wins, 1) : null,
+      confidence: round(totalWeight / estimates.length, 4),
+      methods: [pipeline && 'pipeline_conversion', trend && 'revenue_trend_ensemble'].filter(Boolean),
+      features: horizonFeatures({ days, pipeline: pipeline?.[index], trend: trend?.[index], totalWeight, history, openDeals })
+    };
+  }).filter(Boolean);
+
+  let status = 'ready';
+  let message = null;
+  if (horizons.length === 0) {
+    status = 'insufficient_data';
+    message = `Forecasts need at least ${MIN_CLOSED_DEALS} deals closed in the last ${HISTORY_DAYS} days, or ${MIN_TREND_DAYS} full days of deal activity`;
+  } else if (!pipeline || !trend) {
+    status = 'partial';
+    message = !pipeline
+      ? `Open deal win likelihoods need at least ${MIN_CLOSED_DEALS} closed deals, including a won one; revenue is forecast from the won revenue trend only`
+      : `The won revenue trend needs ${MIN_TREND_DAYS} full days of deal activity with a steady enough rate of wins; revenue is forecast from open deals only`;
+  }
+
+  const buckets = { high: 0, medium: 0, low: 0, at_risk: 0 };
+  predictions.forEach(deal => {
+    if (deal.win_probability >= 0.6) buckets.high++;
+    else if (deal.win_probability >= 0.3) buckets.medium++;
+    else buckets.low++;
+    if (deal.stalled) buckets.at_risk++;
+  });
+
+  const expectedValue = deal => (deal.value || 0) * deal.win_probability;
+  return {
+    status,
+    message,
+    generated_at: now.toISOString(),
+    data_since: dataSince,
+    currency: mainCurrency(openDeals),
+    horizons,
+    deals: [...predictions].sort((a, b) => expectedValue(b) - expectedValue(a)).slice(0, MAX_DEALS),
+    distribution: { ...buckets, total: predictions.length },
+    model: {
+      version: MODEL_VERSION,
+      trained_at: now.toISOString(),
+      closed_deals: history.closed,
+      won_deals: history.won,
+      open_deals: openDeals.length,
+      history_days: HISTORY_DAYS,
+      trend_days: days.length,
+      confidence_band: 0.8,
+      trend_models: trend ? trend[0].methods : []
+    }
+  };
+}
+
+module.exports = {
+  HORIZONS,
+  getDealForecast
+};
@@ -0,0 +1,538 @@
+const { pool, createLog } = require('./database');
+const { getQuietHours, isQuietTime } = require('./quietHours');
+const { trackNotificationUsage } = require('../middleware/quotaEnforcement');
+
+/**
+ * Notification Digest Service
+ * Rules with delivery_mode 'digest' (every N minutes) or 'daily_digest' (at HH:MM in the tenant
+ * timezone) buffer matched events in delayed_notifications instead of sending them one by one.
+ * The delayed notification processor flushes due digests as one message per rule and channel,
+ * grouped by pipeline and owner with counts and value totals.
+ * Notifications a channel's rate limiter refused are buffered the same way (delivery_type
+ * 'overflow') and sent as one summary per channel once it accepts messages again.
+ */
+
+const DELIVERY_MODES = ['immediate', 'digest', 'daily_digest'];
+const MIN_DIGEST_INTERVAL = 5; // processor runs every 5 minutes
+const MAX_DIGEST_INTERVAL = 1440;
+const MAX_ITEMS_PER_GROUP = 10;
+const DIGEST_TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+// Digests and summaries are single messages, so they may wait longer for a rate limited channel
+const BATCH_MAX_WAIT_MS = 30000;
+const OVERFLOW_MIN_DELAY_MS = 60 * 1000;
+// Rows a crashed processor left in 'sending' are claimed again after this long
+const CLAIM_TIMEOUT_MINUTES = 30;
+
+/**
+ * Validate rule delivery settings from a request body
+ * @param {Object} settings - { delivery_mode, digest_interval_minutes, digest_time }
+ * @returns {string[]} Validation errors (empty when valid or when delivery_mode is not set)
+ */
+function validateDeliverySettings(settings = {}) {
+  const { delivery_mode: mode, digest_interval_minutes: interval, digest_time: time } = settings;
+  if (mode === undefined) return [];
+
+  if (!DELIVERY_MODES.includes(mode)) {
+    return [`delivery_mode must be one of: ${DELIVERY_MODES.join(', ')}`];
+  }
+
+  const errors = [];
+  if (mode === 'digest') {
+    const minutes = Number(interval);
+    if (!Number.isInteger(minutes) || minutes < MIN_DIGEST_INTERVAL || minutes > MAX_DIGEST_INTERVAL) {
+      errors.push(`digest_interval_minutes must be a whole number between ${MIN_DIGEST_INTERVAL} and ${MAX_DIGEST_INTERVAL}`);
+    }
+  }
+  if (mode === 'daily_digest' && !DIGEST_TIME_FORMAT.test(String(time || ''))) {
+    errors.push('digest_time must use HH:MM format');
+  }
+  return errors;
+}
+
+/**
+ * Whether matched events for this rule are buffered for a digest
+ * @param {Object} rule - Rule row
+ * @returns {boolean} True for digest and daily_digest rules
+ */
+function isDigestRule(rule) {
+  return rule.delivery_mode === 'digest' || rule.delivery_mode === 'daily_digest';
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Local time minus UTC
+ */
+function getTimezoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Next occurrence of a local HH:MM time in a timezone
+ * @private
+ */
+function getNextDailyTime(time, timeZone, now) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const local = new Date(now.getTime() + getTimezoneOffset(now, timeZone));
+
+  for (let day = 0; day <= 2; day++) {
+    const localTarget = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + day, hours, minutes);
+    const candidate = new Date(localTarget - getTimezoneOffset(new Date(localTarget), timeZone));
+    if (candidate > now) return candidate;
+  }
+  return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * When the digest window containing `now` is sent
+ * Interval digests use fixed windows aligned to UTC, so events of one window share a send time.
+ * @param {Object} rule - Rule row (delivery_mode, digest_interval_minutes, digest_time)
+ * @param {string} timezone - Tenant IANA timezone (used by daily digests)
+ * @param {Date} now - Reference time
+ * @returns {Date} Scheduled send time
+ */
+function getNextDigestTime(rule, timezone = 'UTC', now = new Date()) {
+  if (rule.delivery_mode === 'daily_digest') {
+    try {
+      return getNextDailyTime(rule.digest_time, timezone, now);
+    } catch {
+      return getNextDailyTime(rule.digest_time, 'UTC', now);
+    }
+  }
+
+  const windowMs = (parseInt(rule.digest_interval_minutes) || 60) * 60 * 1000;
+  return new Date((Math.floor(now.getTime() / windowMs) + 1) * windowMs);
+}
+
+/**
+ * Buffer a matched event for the rule's next digest
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} rule - Digest rule
+ * @param {Object} targetWebhook - Routed chat_webhooks row
+ * @param {Object} webhookData - Enriched webhook data
+ * @returns {Promise<{queue_id: number, scheduled_for: Date}>} Buffered row
+ */
+async function queueDigestEvent(tenantId, rule, targetWebhook, webhookData) {
+  const { timezone } = await getQuietHours(tenantId);
+  const scheduledFor = getNextDigestTime(rule, timezone);
+
+  const result = await pool.query(`
+    INSERT INTO delayed_notifications (tenant_id, rule_id, delivery_type, notification_data, scheduled_for, created_at)
+    VALUES ($1, $2, 'digest', $3, $4, NOW())
+    RETURNING id
+  `, [tenantId, rule.id, JSON.stringify({
+    webhook_id: targetWebhook.id,
+    webhook_url: targetWebhook.webhook_url,
+    channel_type: targetWebhook.channel_type,
+    webhook_data: webhookData,
+    rule_id: rule.id,
+    rule_name: rule.name
+  }), scheduledFor]);
+
+  return { queue_id: result.rows[0].id, scheduled_for: scheduledFor };
+}
+
+/**
+ * Format an amount in a currency, falling back to a plain number for unknown codes
+ * @private
+ */
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${Math.round(amount).toLocaleString('en-US')} ${currency}`;
+  }
+}
+
+/**
+ * Sum values per currency, counting each record once with its latest value
+ * @private
+ */
+function sumByCurrency(records) {
+  const totals = {};
+  for (const object of records.values()) {
+    const value = parseFloat(object.value);
+    if (!Number.isFinite(value) || value === 0) continue;
+    const currency = object.currency || 'USD';
+    totals[currency] = (totals[currency] || 0) + value;
+  }
+  return totals;
+}
+
+/**
+ * @private
+ */
+function describeTotals(count, records) {
+  const amounts = Object.entries(sumByCurrency(records)).map(([currency, amount]) => formatAmount(amount, currency));
+  return [`${count} event${count === 1 ? '' : 's'}`, ...amounts].join(' · ');
+}
+
+/**
+ * Build a provider-neutral digest from buffered events
+ * @param {string} ruleName - Rule name for the title
+ * @param {Array<Object>} events - Webhook data of the buffered events, oldest first
+ * @param {Function} getLink - Returns a Pipedrive URL for webhook data (or null)
+ * @returns {Object} { title, summary, groups: [{ label, summary, items: [{ text, url }], more }], text }
+ */
+function buildDigest(ruleName, events, getLink = () => null) {
+  const groups = new Map();
+  const records = new Map();
+
+  for (const webhookData of events) {
+    const object = webhookData.current || webhookData.object || {};
+    const pipeline = object.pipeline_name || (object.pipeline_id ? `Pipeline #${object.pipeline_id}` : 'No pipeline');
+    const owner = object.owner_name || webhookData.user?.name || 'Unassigned';
+    const key = `${pipeline}\u0000${owner}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { label: `${pipeline} · ${owner}`, count: 0, records: new Map(), items: [] });
+    }
+    const group = groups.get(key);
+    const recordKey = `${object.type || webhookData.event}:${object.id}`;
+    group.count++;
+    group.records.set(recordKey, object);
+    records.set(recordKey, object);
+
+    const name = object.title || object.name || `${object.type || 'item'} #${object.id}`;
+    const details = [
+      (webhookData.event || '').replace(/\./g, ' '),
+      object.stage_name,
+      parseFloat(object.value) ? formatAmount(parseFloat(object.value), object.currency || 'USD') : null
+    ].filter(Boolean);
+    group.items.push({ text: `${name} (${details.join(', ')})`, url: getLink(webhookData) });
+  }
+
+  const sortedGroups = [...groups.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(group => ({
+      label: group.label,
+      summary: describeTotals(group.count, group.records),
+      items: group.items.slice(-MAX_ITEMS_PER_GROUP),
+      more: Math.max(0, group.items.length - MAX_ITEMS_PER_GROUP)
+    }));
+
+  const digest = {
+    title: `📊 ${ruleName} digest`,
+    summary: describeTotals(events.length, records),
+    groups: sortedGroups
+  };
+  digest.text = formatDigestText(digest);
+  return digest;
+}
+
+/**
+ * Plain text rendering of a digest (Google Chat / Slack markup)
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} Message text
+ */
+function formatDigestText(digest) {
+  const lines = [`*${digest.title}*`, digest.summary];
+  for (const group of digest.groups) {
+    lines.push('', `*${group.label}* — ${group.summary}`);
+    for (const item of group.items) {
+      lines.push(item.url ? `• <${item.url}|${item.text}>` : `• ${item.text}`);
+    }
+    if (group.more > 0) {
+      lines.push(`• …and ${group.more} more`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read notification_data whether the driver returned JSONB as an object or a string
+ * @private
+ */
+function parseNotificationData(row) {
+  return typeof row.notification_data === 'string' ? JSON.parse(row.notification_data) : row.notification_data;
+}
+
+/**
+ * Whether a send failed because the channel's rate limiter refused it (see channelRateLimiter.js)
+ * @private
+ */
+function isRateLimitError(error) {
+  return error.code === 'CHANNEL_OVERFLOW' || error.code === 'RATE_LIMITED';
+}
+
+/**
+ * Claim due rows of a delivery type by marking them 'sending' in the statement that selects them,
+ * so concurrent processors never pick up the same rows
+ * @private
+ */
+async function claimDueRows(deliveryType) {
+  const result = await pool.query(`
+    WITH due AS (
+      SELECT id FROM delayed_notifications
+      WHERE delivery_type = $1 AND scheduled_for <= NOW()
+        AND (status = 'pending' OR (status = 'sending' AND updated_at < NOW() - ($2 || ' minutes')::INTERVAL))
+      ORDER BY created_at ASC
+      LIMIT 1000
+      FOR UPDATE SKIP LOCKED
+    ), claimed AS (
+      UPDATE delayed_notifications dn SET status = 'sending'
+      FROM due WHERE dn.id = due.id
+      RETURNING dn.id, dn.tenant_id, dn.rule_id, dn.notification_data, dn.created_at
+    )
+    SELECT claimed.*, r.name AS rule_name
+    FROM claimed
+    LEFT JOIN rules r ON r.id = claimed.rule_id
+    ORDER BY claimed.created_at ASC
+  `, [deliveryType, CLAIM_TIMEOUT_MINUTES]);
+  return result.rows;
+}
+
+/**
+ * Group due rows into batches, failing rows whose JSON cannot be read
+ * @private
+ */
+async function groupRows(rows, getKey) {
+  const batches = new Map();
+  for (const row of rows) {
+    let data;
+    try {
+      data = parseNotificationData(row);
+    } catch {
+      await pool.query(`
+        UPDATE delayed_notifications SET status = 'failed', error_message = 'Malformed JSON data' WHERE id = $1
+      `, [row.id]);
+      continue;
+    }
+
+    const key = getKey(row, data);
+    if (!batches.has(key)) {
+      batches.set(key, { tenantId: row.tenant_id, ruleId: row.rule_id, ruleName: row.rule_name, target: data, ids: [], ruleIds: [], events: [] });
+    }
+    const batch = batches.get(key);
+    // A batch spanning several rules (overflow summaries) is logged without a rule
+    if (batch.ruleId !== row.rule_id) batch.ruleId = null;
+    batch.ids.push(row.id);
+    batch.ruleIds.push(row.rule_id);
+    batch.events.push(data.webhook_data || {});
+  }
+  return [...batches.values()];
+}
+
+/**
+ * Cancel the rows of a batch whose rule is disabled (checked right before the batch is sent) and
+ * return the batch without them
+ * @private
+ */
+async function dropDisabledRules(batch) {
+  const ruleIds = [...new Set(batch.ruleIds.filter(id => id !== null))];
+  const result = await pool.query('SELECT id FROM rules WHERE id = ANY($1) AND enabled = true', [ruleIds]);
+  const enabled = new Set(result.rows.map(row => row.id));
+  const keep = batch.ruleIds.map(id => id === null || enabled.has(id));
+  if (keep.every(Boolean)) return batch;
+
+  await pool.query(`
+    UPDATE delayed_notifications SET status = 'cancelled', error_message = 'Rule is disabled' WHERE id = ANY($1)
+  `, [batch.ids.filter((id, index) => !keep[index])]);
+  return {
+    ...batch,
+    ids: batch.ids.filter((id, index) => keep[index]),
+    ruleIds: batch.ruleIds.filter((id, index) => keep[index]),
+    events: batch.events.filter((event, index) => keep[index])
+  };
+}
+
+/**
+ * Send one message per batch, marking its rows sent or failed
+ * Rows whose rule has been disabled are cancelled. Batches in quiet hours move to the end of the
+ * quiet period; batches refused by the channel's rate limiter go back to pending until the channel
+ * accepts messages again.
+ * @private
+ */
+async function sendBatches(batches, { eventType, buildMessage, describe }) {
+  const stats = { processed: 0, events: 0, deferred: 0, failed: 0 };
+  const { defaultChatClient } = require('./chatClient');
+  const getLink = data => defaultChatClient.getPipedriveUrl(data);
+
+  for (const claimedBatch of batches) {
+    const startTime = Date.now();
+
+    const batch = await dropDisabledRules(claimedBatch);
+    if (batch.ids.length === 0) continue;
+
+    const quietCheck = await isQuietTime(batch.tenantId);
+    if (quietCheck.is_quiet && quietCheck.next_allowed) {
+      await pool.query(
+        'UPDATE delayed_notifications SET status = \'pending\', scheduled_for = $1 WHERE id = ANY($2)',
+        [quietCheck.next_allowed, batch.ids]
+      );
+      stats.deferred++;
+      continue;
+    }
+
+    const digest = buildMessage(batch, getLink);
+    const logEntry = {
+      rule_id: batch.ruleId,
+      webhook_id: batch.target.webhook_id,
+      event_type: eventType,
+      payload: { event_count: batch.events.length, queue_ids: batch.ids },
+      formatted_message: { text: digest.text }
+    };
+
+    try {
+      await defaultChatClient.sendDigest(
+        { id: batch.target.webhook_id, tenant_id: batch.tenantId, webhook_url: batch.target.webhook_url, channel_type: batch.target.channel_type },
+        digest,
+        { maxWaitMs: BATCH_MAX_WAIT_MS }
+      );
+
+      await pool.query(`
+        UPDATE delayed_notifications SET sent_at = NOW(), status = 'sent' WHERE id = ANY($1)
+      `, [batch.ids]);
+      await trackNotificationUsage(batch.tenantId, 1);
+      await createLog(batch.tenantId, {
+        ...logEntry,
+        status: 'success',
+        response_code: 200,
+        response_time_ms: Date.now() - startTime
+      });
+
+      stats.processed++;
+      stats.events += batch.events.length;
+      console.log(`📊 ${describe(batch)} sent (${batch.events.length} events)`);
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        await pool.query(
+          'UPDATE delayed_notifications SET status = \'pending\', scheduled_for = $1 WHERE id = ANY($2)',
+          [new Date(Date.now() + Math.max(error.retryAfterMs || 0, OVERFLOW_MIN_DELAY_MS)), batch.ids]
+        );
+        console.warn(`⏸️ ${describe(batch)} deferred, channel is rate limited:`, error.message);
+        stats.deferred++;
+        continue;
+      }
+
+      console.error(`❌ Failed to send ${describe(batch)}:`, error.message);
+      stats.failed++;
+
+      await pool.query(`
+        UPDATE delayed_notifications SET status = 'failed', error_message = $1 WHERE id = ANY($2)
+      `, [error.message, batch.ids]);
+      await createLog(batch.tenantId, {
+        ...logEntry,
+        status: 'failed',
+        error_message: error.message,
+        response_time_ms: Date.now() - startTime
+      });
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Send all digests that are due
+ * One message per rule and target channel; digests that fall into quiet hours are moved
+ * to the end of the quiet period.
+ * @returns {Promise<{processed: number, events: number, deferred: number, failed: number}>} Result counts
+ */
+async function processDigests() {
+  const rows = await claimDueRows('digest');
+
+  if (rows.length === 0) return { processed: 0, events: 0, deferred: 0, failed: 0 };
+
+  const batches = await groupRows(rows, (row, data) => `${row.rule_id}:${data.webhook_url}`);
+  return sendBatches(batches, {
+    eventType: 'digest',
+    buildMessage: (batch, getLink) => buildDigest(batch.ruleName, batch.events, getLink),
+    describe: batch => `digest for rule "${batch.ruleName}"`
+  });
+}
+
+/**
+ * Buffer a notification the channel's rate limiter refused, for the channel's overflow summary
+ * Overflow for a channel shares one send time (the earliest pending one), so it is collapsed
+ * into a single message once the channel accepts messages again.
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} rule - Rule that matched
+ * @param {Object} targetWebhook - chat_webhooks row the send was refused for
+ * @param {Object} webhookData - Enriched webhook data
+ * @param {number} retryAfterMs - Time until the channel accepts messages again
+ * @returns {Promise<{queue_id: number, scheduled_for: Date}>} Buffered row
+ */
+async function queueOverflowEvent(tenantId, rule, targetWebhook, webhookData, retryAfterMs = 0) {
+  const scheduledFor = new Date(Date.now() + Math.max(retryAfterMs, OVERFLOW_MIN_DELAY_MS));
+
+  const result = await pool.query(`
+    INSERT INTO delayed_notifications (tenant_id, rule_id, delivery_type, notification_data, scheduled_for, created_at)
+    VALUES ($1, $2, 'overflow', $3, COALESCE((
+      SELECT MIN(scheduled_for) FROM delayed_notifications
+      WHERE tenant_id = $1 AND delivery_type = 'overflow' AND status = 'pending'
+        AND notification_data->>'webhook_url' = $5
+    ), $4), NOW())
+    RETURNING id, scheduled_for
+  `, [tenantId, rule.id, JSON.stringify({
+    webhook_id: targetWebhook.id,
+    webhook_url: targetWebhook.webhook_url,
+    webhook_name: targetWebhook.name,
+    channel_type: targetWebhook.channel_type,
+    webhook_data: webhookData,
+    rule_id: rule.id,
+    rule_name: rule.name
+  }), scheduledFor, targetWebhook.webhook_url]);
+
+  return { queue_id: result.rows[0].id, scheduled_for: result.rows[0].scheduled_for };
+}
+
+/**
+ * Build the summary sent for a channel's overflow
+ * @param {string} channelName - Webhook name
+ * @param {Array<Object>} events - Webhook data of the held back events, oldest first
+ * @param {Function} getLink - Returns a Pipedrive URL for webhook data (or null)
+ * @returns {Object} Digest (see buildDigest)
+ */
+function buildOverflowSummary(channelName, events, getLink = () => null) {
+  const digest = buildDigest(channelName, events, getLink);
+  digest.title = `⏸️ ${events.length} notification${events.length === 1 ? '' : 's'} held back while ${channelName} was rate limited`;
+  digest.text = formatDigestText(digest);
+  return digest;
+}
+
+/**
+ * Send overflow summaries that are due, one message per channel
+ * @returns {Promise<{processed: number, events: number, deferred: number, failed: number}>} Result counts
+ */
+async function processOverflowSummaries() {
+  const rows = await claimDueRows('overflow');
+
+  if (rows.length === 0) return { processed: 0, events: 0, deferred: 0, failed: 0 };
+
+  const batches = await groupRows(rows, (row, data) => `${row.tenant_id}:${data.webhook_url}`);
+  return sendBatches(batches, {
+    eventType: 'overflow_summary',
+    buildMessage: (batch, getLink) => buildOverflowSummary(batch.target.webhook_name || 'the channel', batch.events, getLink),
+    describe: batch => `overflow summary for ${batch.target.webhook_name || `webhook ${batch.target.webhook_id}`}`
+  });
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  validateDeliverySettings,
+  isDigestRule,
+  getTimezoneOffset,
+  getNextDigestTime,
+  queueDigestEvent,
+  buildDigest,
+  formatDigestText,
+  processDigests,
+  queueOverflowEvent,
+  buildOverflowSummary,
+  processOverflowSummaries
+};
@@ -0,0 +1,94 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email Transport
+ * Outbound email goes through one pluggable transport: any object with
+ * sendMail({ from, to, subject, html, text }) - a nodemailer transport satisfies this.
+ * By default it is an SMTP transport built from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and
+ * SMTP_PASS; without SMTP_HOST email is not configured and sends fail with EMAIL_NOT_CONFIGURED.
+ */
+
+let transport;
+
+/**
+ * Error carrying a code callers can report
+ * @private
+ */
+function emailError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * SMTP transport from the environment, or null when SMTP_HOST is unset
+ * @private
+ */
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) return null;
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+/**
+ * Current transport (created from the environment on first use)
+ * @returns {Object|null} Transport with sendMail, or null when email is not configured
+ */
+function getEmailTransport() {
+  if (transport === undefined) {
+    transport = createSmtpTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport, e.g. with another provider's client; null restores the SMTP default
+ * @param {Object|null} customTransport - Object with sendMail({ from, to, subject, html, text })
+ */
+function setEmailTransport(customTransport) {
+  if (customTransport && typeof customTransport.sendMail !== 'function') {
+    throw new Error('Email transport must implement sendMail(message)');
+  }
+  transport = customTransport || undefined;
+}
+
+/**
+ * Whether email can be sent
+ * @returns {boolean} True when a transport is configured
+ */
+function isEmailConfigured() {
+  return getEmailTransport() !== null;
+}
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Object>} Transport result (nodemailer: { messageId, accepted, rejected })
+ */
+async function sendEmail({ to, subject, html, text }) {
+  const current = getEmailTransport();
+  if (!current) {
+    throw emailError('Email is not configured (set SMTP_HOST)', 'EMAIL_NOT_CONFIGURED');
+  }
+
+  return current.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    html,
+    text
+  });
+}
+
+module.exports = {
+  getEmailTransport,
+  setEmailTransport,
+  isEmailConfigured,
+  sendEmail
+};
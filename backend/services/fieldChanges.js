@@ -0,0 +1,162 @@
+/**
+ * Field Change Detection
+ * Compares webhookData.previous with the current object so rules can fire on specific changes
+ * (value up 20%, stage moved forward, owner changed) and templates can show {{change.value.from}}.
+ */
+
+// Names resolved during enrichment; changes to them are reported under the id field's alias
+const DERIVED_FIELDS = ['custom', 'stage_name', 'pipeline_name', 'stage_order_nr', 'owner_name', 'person_name', 'org_name'];
+
+// Id fields that also get a name-based change entry (change.stage.from = 'Qualified')
+const ID_NAME_FIELDS = {
+  stage_id: { alias: 'stage', name: 'stage_name' },
+  pipeline_id: { alias: 'pipeline', name: 'pipeline_name' },
+  user_id: { alias: 'owner', name: 'owner_name' },
+  owner_id: { alias: 'owner', name: 'owner_name' },
+  person_id: { alias: 'person', name: 'person_name' },
+  org_id: { alias: 'org', name: 'org_name' }
+};
+
+// Friendly names accepted in rule conditions
+const FIELD_ALIASES = {
+  stage: 'stage_id',
+  pipeline: 'pipeline_id',
+  owner: 'user_id',
+  person: 'person_id',
+  org: 'org_id',
+  organization: 'org_id'
+};
+
+/**
+ * Reduce a field value to something comparable: ids for { id, name } objects, numbers for numeric strings
+ * @private
+ */
+function normalize(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (Array.isArray(value)) return JSON.stringify(value.map(normalize));
+  if (typeof value === 'object') {
+    const id = value.id ?? value.value;
+    return id !== undefined ? normalize(id) : JSON.stringify(value);
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Describe one change; numeric changes also get delta and percent (null when starting from 0)
+ * @private
+ */
+function describeChange(from, to) {
+  const change = { from, to };
+  if (typeof from === 'number' && typeof to === 'number') {
+    change.delta = to - from;
+    change.percent = from !== 0 ? Math.round(((to - from) / Math.abs(from)) * 10000) / 100 : null;
+  }
+  return change;
+}
+
+/**
+ * Compute changed fields between the previous and current version of a record
+ * Only fields present in both versions are compared, so partial `previous` payloads work too.
+ * @param {Object} previous - Previous version (webhookData.previous)
+ * @param {Object} current - Current version (webhookData.current || webhookData.object)
+ * @returns {Object} { field: { from, to, delta?, percent? }, stage: {...}, custom: { "Field Name": {...} } }
+ */
+function computeChanges(previous, current) {
+  const changes = {};
+  if (!previous || !current || typeof previous !== 'object' || typeof current !== 'object') {
+    return changes;
+  }
+
+  for (const field of Object.keys(previous)) {
+    if (DERIVED_FIELDS.includes(field) || !(field in current)) continue;
+
+    const from = normalize(previous[field]);
+    const to = normalize(current[field]);
+    if (from === to) continue;
+
+    changes[field] = describeChange(from, to);
+
+    const named = ID_NAME_FIELDS[field];
+    if (named && !changes[named.alias]) {
+      changes[named.alias] = {
+        from: previous[named.name] ?? from,
+        to: current[named.name] ?? to
+      };
+    }
+  }
+
+  if (previous.custom && current.custom) {
+    const custom = {};
+    for (const name of Object.keys(previous.custom)) {
+      const from = previous.custom[name] ?? null;
+      const to = current.custom[name] ?? null;
+      if (normalize(from) === normalize(to)) continue;
+
+      // Keep display values (option labels, lists) unless both sides are numbers
+      const numeric = typeof normalize(from) === 'number' && typeof normalize(to) === 'number';
+      custom[name] = numeric ? describeChange(normalize(from), normalize(to)) : { from, to };
+    }
+    if (Object.keys(custom).length > 0) {
+      changes.custom = custom;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Direction of a stage move within one pipeline, based on stage order (set during enrichment)
+ * @param {Object} previous - Previous version
+ * @param {Object} current - Current version
+ * @returns {'forward'|'backward'|null} null when the stage did not move, the pipeline changed or order is unknown
+ */
+function getStageMove(previous, current) {
+  if (!previous || !current) return null;
+  if (normalize(previous.stage_id) === null || normalize(previous.stage_id) === normalize(current.stage_id)) {
+    return null;
+  }
+
+  // Partial previous payloads omit pipeline_id when only the stage changed
+  if (normalize(previous.pipeline_id) !== null && normalize(previous.pipeline_id) !== normalize(current.pipeline_id)) {
+    return null;
+  }
+
+  const fromOrder = normalize(previous.stage_order_nr);
+  const toOrder = normalize(current.stage_order_nr);
+  if (typeof fromOrder !== 'number' || typeof toOrder !== 'number') {
+    return null;
+  }
+
+  if (toOrder === fromOrder) return null;
+  return toOrder > fromOrder ? 'forward' : 'backward';
+}
+
+/**
+ * Changes for the primary object of a webhook, including the stage move direction
+ * @param {Object} webhookData - Webhook data
+ * @returns {Object} Changes keyed by field (empty when there is no previous version)
+ */
+function getWebhookChanges(webhookData) {
+  const current = webhookData.current || webhookData.object;
+  const changes = computeChanges(webhookData.previous, current);
+
+  const move = getStageMove(webhookData.previous, current);
+  if (move && changes.stage_id) {
+    changes.stage_id.direction = move;
+    if (changes.stage) changes.stage.direction = move;
+  }
+
+  return changes;
+}
+
+module.exports = {
+  computeChanges,
+  getStageMove,
+  getWebhookChanges,
+  normalize,
+  FIELD_ALIASES,
+  ID_NAME_FIELDS
+};
@@ -7,6 +7,7 @@
 const { pool } = require('./database');
 const { defaultChatClient } = require('./chatClient');
 const { processNotificationDirect } = require('./notificationFallback');
+const { RETRY_POLICY, getRetryDelay } = require('./retryPolicy');
 
 /**
  * Main entry point for guaranteed delivery
@@ -85,15 +86,10 @@ async function attemptQueueDelivery(deliveryId, webhookData, options) {
       throw new Error('Queue not connected');
     }
     
-    // Add job to queue
+    // Add job to queue (attempts and backoff come from the retry policy)
     const job = await addNotificationJob(webhookData, {
       priority: options.priority || 5,
-      delay: options.delay || 0,
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 2000
-      }
+      delay: options.delay || 0
     });
     
     console.log(`✅ TIER 1: Queued job ${job.id} for delivery ${deliveryId}`);
@@ -265,14 +261,17 @@ async function processBatchQueue() {
           processed++;
           console.log(`✅ Batch processed: ${notification.delivery_id}`);
         } else {
-          // Mark as failed, will be retried later
+          // Back off and retry while the policy allows, then leave it for manual recovery
+          const attempt = (notification.retry_count || 0) + 1;
+          const retry = attempt < RETRY_POLICY.attempts;
           await pool.query(`
             UPDATE notification_queue 
-            SET status = 'failed', 
+            SET status = $3, 
                 error_message = $1,
-                retry_count = COALESCE(retry_count, 0) + 1
+                retry_count = COALESCE(retry_count, 0) + 1,
+                scheduled_for = NOW() + ($4 * INTERVAL '1 millisecond')
             WHERE id = $2
-          `, [directResult.error, notification.id]);
+          `, [directResult.error, notification.id, retry ? 'pending' : 'failed', retry ? getRetryDelay(attempt) : 0]);
           
           failed++;
           console.log(`❌ Batch failed: ${notification.delivery_id} - ${directResult.error}`);
@@ -354,10 +353,10 @@ async function retryFailedDeliveries(limit = 10) {
     const failedNotifications = await pool.query(`
       SELECT * FROM notification_queue
       WHERE status IN ('failed', 'manual_recovery')
-        AND retry_count < 5
+        AND COALESCE(retry_count, 0) < $2
       ORDER BY created_at ASC
       LIMIT $1
-    `, [limit]);
+    `, [limit, RETRY_POLICY.attempts * 2]); // batch retries plus as many manual ones
     
     let retried = 0;
     let successful = 0;
@@ -1,5 +1,7 @@
-const { getRulesForEvent, createLog, getTenantByPipedriveCompanyId, getWebhooks } = require('./database');
+const { getRulesForEvent, createLog, createDeliveryAttempts, getTenantByPipedriveCompanyId, getWebhooks } = require('./database');
 const { defaultChatClient } = require('./chatClient');
+const { withRetry } = require('./retryPolicy');
+const { recordDeadLetter } = require('./deadLetters');
 const { routeToChannel } = require('./channelRouter');
 const { applyAdvancedFilters } = require('./ruleFilters');
 
@@ -26,8 +28,12 @@ setInterval(() => {
 /**
  * Direct notification processing - bypasses queue entirely
  * Used when worker is down or queue is failing
+ * @param {Object} webhookData - The webhook data from Pipedrive
+ * @param {Object} options - { recordDeadLetters: false, recordHealth: false } when the caller
+ *   records failed deliveries and the webhook circuit breaker itself, as the processor's backup
+ *   tiers do
  */
-async function processNotificationDirect(webhookData) {
+async function processNotificationDirect(webhookData, options = {}) {
   const startTime = Date.now();
   
   try {
@@ -92,7 +98,8 @@ async function processNotificationDirect(webhookData) {
           rule, 
           webhookData, 
           targetWebhook, 
-          tenantId
+          tenantId,
+          { recordHealth: options.recordHealth }
         );
         
         if (notificationResult.success) {
@@ -114,7 +121,7 @@ async function processNotificationDirect(webhookData) {
           console.log(`✅ Sent notification for rule: ${rule.name}`);
         } else {
           // Log failure
-          await createLog(tenantId, {
+          const failedLog = await createLog(tenantId, {
             rule_id: rule.id,
             webhook_id: targetWebhook.id,
             event_type: webhookData.event,
@@ -125,6 +132,16 @@ async function processNotificationDirect(webhookData) {
             response_code: notificationResult.statusCode || 500,
             response_time_ms: Date.now() - startTime
           });
+          await createDeliveryAttempts(failedLog?.id, notificationResult.failure.attemptLog);
+          if (options.recordDeadLetters !== false) {
+            await recordDeadLetter(tenantId, {
+              rule,
+              webhookId: targetWebhook.id,
+              logId: failedLog?.id,
+              webhookData,
+              error: notificationResult.failure
+            });
+          }
           
           console.error(`❌ Failed notification for rule: ${rule.name}`, notificationResult.error);
         }
@@ -348,42 +365,35 @@ function normalizeEventType(eventType) {
 }
 
 /**
- * Send notification with retry logic
+ * Send notification under the retry policy (see retryPolicy.js)
  */
-async function sendNotificationWithRetry(rule, webhookData, targetWebhook, tenantId, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const result = await defaultChatClient.sendNotification(
-        targetWebhook.webhook_url,
-        webhookData,
-        rule.template_mode,
-        rule.custom_template,
-        tenantId
-      );
-      
-      return {
-        success: true,
-        message: result,
-        messageId: result.messageId,
-        attempt
-      };
-      
-    } catch (error) {
-      console.error(`❌ Notification attempt ${attempt}/${maxRetries} failed:`, error.message);
-      
-      if (attempt === maxRetries) {
-        return {
-          success: false,
-          error: error.message,
-          statusCode: error.response?.status,
-          attempt
-        };
-      }
-      
-      // Wait before retry (exponential backoff)
-      const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+async function sendNotificationWithRetry(rule, webhookData, targetWebhook, tenantId, sendOptions = {}) {
+  try {
+    const { result, attempts } = await withRetry(() => defaultChatClient.sendNotification(
+      targetWebhook,
+      webhookData,
+      rule.template_mode,
+      rule.custom_template,
+      tenantId,
+      sendOptions
+    ), { label: 'Direct notification' });
+    
+    return {
+      success: true,
+      message: result,
+      messageId: result.messageId,
+      attempt: attempts
+    };
+    
+  } catch (error) {
+    console.error(`❌ Notification failed after ${error.attempts} attempt(s):`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: error.classification?.statusCode,
+      attempt: error.attempts,
+      failure: error
+    };
   }
 }
 
@@ -1,12 +1,24 @@
 const axios = require('axios');
 
 class PipedriveClient {
-  constructor(apiToken, companyDomain = null) {
+  /**
+   * @param {string} apiToken - Personal API token, or OAuth access token when options.authType is 'bearer'
+   * @param {string} companyDomain - Company subdomain for company-specific API URLs
+   * @param {Object} options - { authType: 'api_token' | 'bearer', apiDomain: OAuth api_domain (https://x.pipedrive.com),
+   *   getAccessToken: async () => current token (called before each request),
+   *   onUnauthorized: async (retried) => new token to retry a 401 once, or null }
+   */
+  constructor(apiToken, companyDomain = null, options = {}) {
     this.apiToken = apiToken;
     this.companyDomain = companyDomain; // For company-specific API URLs
-    this.baseURL = companyDomain 
-      ? `https://${companyDomain}.pipedrive.com/api/v1`
-      : 'https://api.pipedrive.com/v1';
+    this.authType = options.authType || 'api_token';
+    this.getAccessToken = options.getAccessToken || null;
+    this.onUnauthorized = options.onUnauthorized || null;
+    this.baseURL = options.apiDomain
+      ? `${options.apiDomain.replace(/\/$/, '')}/api/v1`
+      : companyDomain 
+        ? `https://${companyDomain}.pipedrive.com/api/v1`
+        : 'https://api.pipedrive.com/v1';
     
     // Create axios instance with default configuration
     this.client = axios.create({
@@ -18,9 +30,16 @@ class PipedriveClient {
       }
     });
 
-    // Add request interceptor to include API token
-    this.client.interceptors.request.use((config) => {
-      config.params = { ...config.params, api_token: this.apiToken };
+    // Add request interceptor to include API token (query param) or OAuth access token (header)
+    this.client.interceptors.request.use(async (config) => {
+      if (this.getAccessToken) {
+        this.apiToken = await this.getAccessToken();
+      }
+      if (this.authType === 'bearer') {
+        config.headers = { ...config.headers, Authorization: `Bearer ${this.apiToken}` };
+      } else {
+        config.params = { ...config.params, api_token: this.apiToken };
+      }
       return config;
     });
 
@@ -30,7 +49,17 @@ class PipedriveClient {
         console.log(`Pipedrive API success: ${response.config.method?.toUpperCase()} ${response.config.url}`);
         return response;
       },
-      (error) => {
+      async (error) => {
+        // OAuth tokens can lapse or be rotated elsewhere: refresh and retry a 401 once
+        if (error.response?.status === 401 && this.onUnauthorized && error.config) {
+          const retried = error.config._authRetried === true;
+          const token = await this.onUnauthorized(retried);
+          if (token && !retried) {
+            this.apiToken = token;
+            return this.client({ ...error.config, _authRetried: true });
+          }
+        }
+
         console.error(`Pipedrive API error: ${error.response?.status} ${error.config?.url}`, {
           message: error.response?.data?.error || error.message,
           status: error.response?.status,
@@ -72,6 +101,24 @@ class PipedriveClient {
     }
   }
 
+  async getUsers() {
+    try {
+      const response = await this.client.get('/users');
+      return response.data.data || [];
+    } catch (error) {
+      throw new Error(`Failed to get users: ${error.message}`);
+    }
+  }
+
+  async getUser(userId) {
+    try {
+      const response = await this.client.get(`/users/${userId}`);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to get user ${userId}: ${error.message}`);
+    }
+  }
+
   // Deal methods
   async getDeals(params = {}) {
     try {
@@ -149,6 +196,32 @@ class PipedriveClient {
     }
   }
 
+  // Field schema methods
+  /**
+   * Get all field definitions for an entity, following pagination
+   * @param {string} entity - 'deal', 'person' or 'organization'
+   * @returns {Promise<Array>} Field definitions ({ key, name, field_type, edit_flag, options })
+   */
+  async getFields(entity) {
+    try {
+      const fields = [];
+      let start = 0;
+      let more = true;
+
+      while (more) {
+        const response = await this.client.get(`/${entity}Fields`, { params: { start, limit: 500 } });
+        fields.push(...(response.data.data || []));
+        const pagination = response.data.additional_data?.pagination;
+        more = Boolean(pagination?.more_items_in_collection);
+        start = pagination?.next_start ?? start + 500;
+      }
+
+      return fields;
+    } catch (error) {
+      throw new Error(`Failed to get ${entity} fields: ${error.message}`);
+    }
+  }
+
   // Activity methods
   async getActivities(params = {}) {
     try {
@@ -213,11 +286,11 @@ class PipedriveClient {
 }
 
 // Factory function to create client instances
-function createPipedriveClient(apiToken, companyDomain = null) {
+function createPipedriveClient(apiToken, companyDomain = null, options = {}) {
   if (!apiToken) {
     throw new Error('Pipedrive API token is required');
   }
-  return new PipedriveClient(apiToken, companyDomain);
+  return new PipedriveClient(apiToken, companyDomain, options);
 }
 
 // Default client using environment variable
@@ -0,0 +1,294 @@
+const axios = require('axios');
+const { pool } = require('./database');
+const { createPipedriveClient } = require('./pipedriveClient');
+
+/**
+ * Pipedrive Connection Manager
+ * Owns the OAuth tokens in pipedrive_connections: builds bearer-token PipedriveClients per tenant,
+ * refreshes access tokens ahead of expiry (single-flight per tenant, row-locked across instances),
+ * retries once on 401 and records expired/revoked connections so the user can be asked to reconnect.
+ */
+
+const TOKEN_URL = 'https://oauth.pipedrive.com/oauth/token';
+const REFRESH_AHEAD_MS = 5 * 60 * 1000;
+const CONNECTION_TTL_MS = 60 * 1000;
+const RECONNECT_REQUIRED = 'PIPEDRIVE_RECONNECT_REQUIRED';
+
+// tenantId -> { connection, loadedAt }
+const connectionCache = new Map();
+// tenantId -> pending refresh promise
+const pendingRefreshes = new Map();
+
+/**
+ * Error for connections that can only be fixed by reconnecting Pipedrive
+ * @private
+ */
+function reconnectError(message) {
+  const error = new Error(message);
+  error.code = RECONNECT_REQUIRED;
+  return error;
+}
+
+/**
+ * Load the tenant's connection row (cached briefly so each API call does not hit the database)
+ * @param {number} tenantId - Tenant ID
+ * @param {boolean} force - Bypass the cache
+ * @returns {Promise<Object|null>} Connection row or null when the tenant never connected
+ */
+async function getConnection(tenantId, force = false) {
+  const entry = connectionCache.get(tenantId);
+  if (!force && entry && Date.now() - entry.loadedAt < CONNECTION_TTL_MS) {
+    return entry.connection;
+  }
+
+  const result = await pool.query(`
+    SELECT tenant_id, access_token, refresh_token, api_domain, expires_at, connected_at,
+           status, last_refreshed_at, last_error
+    FROM pipedrive_connections WHERE tenant_id = $1
+  `, [tenantId]);
+
+  const connection = result.rows[0] || null;
+  connectionCache.set(tenantId, { connection, loadedAt: Date.now() });
+  return connection;
+}
+
+/**
+ * Whether the access token is expired or about to expire
+ * @private
+ */
+function needsRefresh(connection) {
+  if (!connection.expires_at) return false;
+  return new Date(connection.expires_at).getTime() - Date.now() < REFRESH_AHEAD_MS;
+}
+
+/**
+ * Record a connection status change
+ * @param {number} tenantId - Tenant ID
+ * @param {string} status - active, expired or revoked
+ * @param {string|null} errorMessage - Reason shown to the user
+ * @param {Object} db - Pool or transaction client
+ */
+async function markConnectionStatus(tenantId, status, errorMessage = null, db = pool) {
+  await db.query(
+    'UPDATE pipedrive_connections SET status = $1, last_error = $2, updated_at = NOW() WHERE tenant_id = $3',
+    [status, errorMessage, tenantId]
+  );
+  connectionCache.delete(tenantId);
+
+  if (status !== 'active') {
+    console.warn(`🔌 Pipedrive connection for tenant ${tenantId} is ${status}: ${errorMessage}`);
+  }
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * The row is locked so only one instance refreshes; a token another instance already refreshed is reused.
+ * @private
+ */
+async function performRefresh(tenantId, force) {
+  const db = await pool.connect();
+
+  try {
+    await db.query('BEGIN');
+    const result = await db.query(
+      'SELECT refresh_token, expires_at, status FROM pipedrive_connections WHERE tenant_id = $1 FOR UPDATE',
+      [tenantId]
+    );
+    const row = result.rows[0];
+
+    if (!row) {
+      await db.query('ROLLBACK');
+      throw reconnectError('Pipedrive is not connected for this tenant');
+    }
+    if (!force && !needsRefresh(row) && row.status === 'active') {
+      await db.query('COMMIT');
+      connectionCache.delete(tenantId);
+      return getConnection(tenantId, true);
+    }
+    if (!row.refresh_token || !process.env.PIPEDRIVE_CLIENT_ID || !process.env.PIPEDRIVE_CLIENT_SECRET) {
+      await markConnectionStatus(tenantId, 'expired', 'Access token expired and cannot be refreshed', db);
+      await db.query('COMMIT');
+      throw reconnectError('Pipedrive access token expired and cannot be refreshed');
+    }
+
+    let tokens;
+    try {
+      const response = await axios.post(TOKEN_URL, new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: row.refresh_token,
+        client_id: process.env.PIPEDRIVE_CLIENT_ID,
+        client_secret: process.env.PIPEDRIVE_CLIENT_SECRET
+      }), {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' }
+      });
+      tokens = response.data;
+    } catch (error) {
+      // 400/401 from the token endpoint means the grant is gone (app uninstalled or access revoked)
+      if ([400, 401].includes(error.response?.status)) {
+        const reason = error.response.data?.error_description || error.response.data?.error || 'Refresh token rejected';
+        await markConnectionStatus(tenantId, 'revoked', reason, db);
+        await db.query('COMMIT');
+        throw reconnectError(`Pipedrive refresh rejected: ${reason}`);
+      }
+
+      await db.query('ROLLBACK');
+      throw new Error(`Pipedrive token refresh failed: ${error.message}`);
+    }
+
+    await db.query(`
+      UPDATE pipedrive_connections
+      SET access_token = $1, refresh_token = $2, expires_at = $3, api_domain = COALESCE($4, api_domain),
+          status = 'active', last_error = NULL, last_refreshed_at = NOW(), updated_at = NOW()
+      WHERE tenant_id = $5
+    `, [
+      tokens.access_token,
+      tokens.refresh_token || row.refresh_token,
+      new Date(Date.now() + (tokens.expires_in || 3600) * 1000),
+      tokens.api_domain || null,
+      tenantId
+    ]);
+    await db.query('COMMIT');
+
+    console.log(`🔑 Refreshed Pipedrive access token for tenant ${tenantId}`);
+    return getConnection(tenantId, true);
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Refresh the tenant's access token (concurrent callers share one refresh)
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} options - { force: refresh even when the token is still valid }
+ * @returns {Promise<Object>} Updated connection row
+ * @throws {Error} code PIPEDRIVE_RECONNECT_REQUIRED when the user has to reconnect
+ */
+function refreshConnection(tenantId, options = {}) {
+  if (!pendingRefreshes.has(tenantId)) {
+    const promise = performRefresh(tenantId, options.force === true)
+      .finally(() => pendingRefreshes.delete(tenantId));
+    pendingRefreshes.set(tenantId, promise);
+  }
+  return pendingRefreshes.get(tenantId);
+}
+
+/**
+ * Get a usable access token, refreshing ahead of expiry
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<string|null>} Access token, or null when the connection needs a reconnect
+ */
+async function getAccessToken(tenantId) {
+  let connection = await getConnection(tenantId);
+  if (!connection?.access_token || connection.status === 'revoked') {
+    return null;
+  }
+
+  if (needsRefresh(connection) || connection.status === 'expired') {
+    try {
+      connection = await refreshConnection(tenantId);
+    } catch (error) {
+      const stillValid = error.code !== RECONNECT_REQUIRED && connection.status === 'active' &&
+        new Date(connection.expires_at).getTime() > Date.now();
+      if (stillValid) {
+        console.warn(`⚠️ Early token refresh failed for tenant ${tenantId}, using current token:`, error.message);
+        return connection.access_token;
+      }
+      if (error.code !== RECONNECT_REQUIRED) {
+        await markConnectionStatus(tenantId, 'expired', error.message);
+      }
+      return null;
+    }
+  }
+
+  return connection.access_token;
+}
+
+/**
+ * Build an OAuth-bearer PipedriveClient for a tenant
+ * Every request uses the current token; a 401 triggers one forced refresh and retry,
+ * and a second 401 marks the connection revoked.
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<PipedriveClient|null>} Client, or null when not connected or reconnect is required
+ */
+async function getPipedriveClient(tenantId) {
+  const accessToken = await getAccessToken(tenantId);
+  if (!accessToken) return null;
+
+  const connection = await getConnection(tenantId);
+
+  return createPipedriveClient(accessToken, null, {
+    authType: 'bearer',
+    apiDomain: connection.api_domain,
+    getAccessToken: async () => {
+      const token = await getAccessToken(tenantId);
+      if (!token) {
+        throw reconnectError('Pipedrive connection requires reconnect');
+      }
+      return token;
+    },
+    onUnauthorized: async (retried) => {
+      if (retried) {
+        await markConnectionStatus(tenantId, 'revoked', 'Pipedrive rejected a freshly refreshed token');
+        return null;
+      }
+      try {
+        const refreshed = await refreshConnection(tenantId, { force: true });
+        return refreshed.access_token;
+      } catch (error) {
+        console.warn(`⚠️ Token refresh after 401 failed for tenant ${tenantId}:`, error.message);
+        return null;
+      }
+    }
+  });
+}
+
+/**
+ * Connection health for the dashboard
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Object>} { connected, status, needs_reconnect, expired, api_domain, expires_at, connected_at, last_refreshed_at, last_error }
+ */
+async function getConnectionStatus(tenantId) {
+  const connection = await getConnection(tenantId, true);
+  if (!connection) {
+    return { connected: false, status: null, needs_reconnect: true };
+  }
+
+  const expired = new Date(connection.expires_at).getTime() <= Date.now();
+  const status = connection.status || 'active';
+
+  return {
+    connected: true,
+    status,
+    // An expired token with a refresh token is refreshed on next use; only a failed refresh needs the user
+    needs_reconnect: status !== 'active',
+    expired,
+    api_domain: connection.api_domain,
+    expires_at: connection.expires_at,
+    connected_at: connection.connected_at,
+    last_refreshed_at: connection.last_refreshed_at,
+    last_error: connection.last_error
+  };
+}
+
+/**
+ * Forget cached connection data (e.g. after the OAuth callback stored new tokens)
+ * @param {number} tenantId - Tenant ID
+ */
+function clearConnectionCache(tenantId) {
+  connectionCache.delete(tenantId);
+}
+
+module.exports = {
+  getConnection,
+  getAccessToken,
+  getPipedriveClient,
+  refreshConnection,
+  markConnectionStatus,
+  getConnectionStatus,
+  clearConnectionCache,
+  RECONNECT_REQUIRED
+};
@@ -0,0 +1,311 @@
+const { pool } = require('./database');
+const { getPipedriveClient } = require('./pipedriveConnection');
+
+/**
+ * Pipedrive Data Enrichment Service
+ * Webhook payloads only carry IDs for stages, owners, persons and organizations.
+ * Before rules are evaluated and templates rendered, this service resolves those IDs
+ * through the tenant's Pipedrive connection and caches the lookups per tenant.
+ */
+
+const LIST_TTL_MS = 60 * 60 * 1000;      // stages and users change rarely (and are invalidated by webhooks)
+const RECORD_TTL_MS = 10 * 60 * 1000;    // persons, organizations, tenant details
+const MAX_ENTRIES_PER_TENANT = 500;
+
+// tenantId -> Map(key -> { promise, expiresAt })
+const tenantCaches = new Map();
+
+/**
+ * Get (or create) the cache for a tenant
+ * @private
+ */
+function getTenantCache(tenantId) {
+  if (!tenantCaches.has(tenantId)) {
+    tenantCaches.set(tenantId, new Map());
+  }
+  return tenantCaches.get(tenantId);
+}
+
+/**
+ * Return a cached value or load it; concurrent callers share the same pending lookup
+ * Failed lookups are not cached so the next notification retries.
+ * @private
+ */
+function cached(tenantId, key, ttlMs, loader) {
+  const cache = getTenantCache(tenantId);
+  const entry = cache.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.promise;
+  }
+
+  if (cache.size >= MAX_ENTRIES_PER_TENANT) {
+    // Maps iterate in insertion order - drop the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+
+  const promise = Promise.resolve().then(loader);
+  cache.set(key, { promise, expiresAt: Date.now() + ttlMs });
+  promise.catch(() => {
+    if (cache.get(key)?.promise === promise) {
+      cache.delete(key);
+    }
+  });
+
+  return promise;
+}
+
+/**
+ * Normalize Pipedrive id fields, which arrive as numbers or { id|value, name } objects
+ * @private
+ */
+function idOf(field) {
+  if (field === null || field === undefined || field === '') return null;
+  const id = typeof field === 'object' ? (field.id ?? field.value) : field;
+  const parsed = parseInt(id, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Build a Pipedrive client for a tenant from its OAuth connection
+ * Tenants without a usable connection get null and are not enriched; the environment API token
+ * belongs to another Pipedrive account and must never be used to look up a tenant's records.
+ * Token refresh happens inside the client (see pipedriveConnection.js), so it can be cached.
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<PipedriveClient|null>} Client or null when Pipedrive is unreachable for this tenant
+ */
+async function getTenantClient(tenantId) {
+  const cache = getTenantCache(tenantId);
+  const entry = cache.get('client');
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.promise;
+  }
+
+  let client = null;
+  try {
+    client = await getPipedriveClient(tenantId);
+  } catch (error) {
+    console.warn(`⚠️ Pipedrive connection unavailable for tenant ${tenantId}:`, error.message);
+  }
+
+  cache.set('client', { promise: Promise.resolve(client), expiresAt: Date.now() + RECORD_TTL_MS });
+  return client;
+}
+
+/**
+ * Get stages for a tenant keyed by stage id
+ * @param {number} tenantId - Tenant ID
+ * @param {PipedriveClient} client - Tenant client
+ * @returns {Promise<Map<number, {id, name, order_nr, pipeline_id, pipeline_name}>>} Stage map
+ */
+function getStageMap(tenantId, client) {
+  return cached(tenantId, 'stages', LIST_TTL_MS, async () => {
+    const [stages, pipelines] = await Promise.all([
+      client.getStages(),
+      client.getPipelines().catch(() => [])
+    ]);
+    const pipelineNames = new Map((pipelines || []).map(pipeline => [pipeline.id, pipeline.name]));
+
+    return new Map((stages || []).map(stage => [stage.id, {
+      id: stage.id,
+      name: stage.name,
+      order_nr: stage.order_nr,
+      pipeline_id: stage.pipeline_id,
+      pipeline_name: stage.pipeline_name || pipelineNames.get(stage.pipeline_id) || null
+    }]));
+  });
+}
+
+/**
+ * Get company users for a tenant keyed by user id
+ * @param {number} tenantId - Tenant ID
+ * @param {PipedriveClient} client - Tenant client
+ * @returns {Promise<Map<number, {id, name, email}>>} User map
+ */
+function getUserMap(tenantId, client) {
+  return cached(tenantId, 'users', LIST_TTL_MS, async () => {
+    const users = await client.getUsers();
+    return new Map((users || []).map(user => [user.id, { id: user.id, name: user.name, email: user.email }]));
+  });
+}
+
+function getPerson(tenantId, client, personId) {
+  return cached(tenantId, `person:${personId}`, RECORD_TTL_MS, () => client.getPerson(personId));
+}
+
+function getOrganization(tenantId, client, organizationId) {
+  return cached(tenantId, `org:${organizationId}`, RECORD_TTL_MS, () => client.getOrganization(organizationId));
+}
+
+function getTenantDetails(tenantId) {
+  return cached(tenantId, 'tenant', RECORD_TTL_MS, async () => {
+    const result = await pool.query('SELECT company_name FROM tenants WHERE id = $1', [tenantId]);
+    return result.rows[0] || null;
+  });
+}
+
+/**
+ * Fill stage/pipeline/owner/person/org names on a Pipedrive object (only missing fields are set)
+ * @private
+ */
+async function enrichObject(target, tenantId, client, lookups) {
+  const tasks = [];
+
+  const stageId = idOf(target.stage_id);
+  if (stageId && (!target.stage_name || !target.pipeline_name || target.stage_order_nr === undefined)) {
+    tasks.push(getStageMap(tenantId, client).then(stages => {
+      const stage = stages.get(stageId);
+      if (stage) {
+        target.stage_name = target.stage_name || stage.name;
+        target.pipeline_name = target.pipeline_name || stage.pipeline_name;
+        target.stage_order_nr = stage.order_nr;
+      }
+    }));
+  }
+
+  const ownerId = idOf(target.owner_id ?? target.user_id);
+  if (ownerId && !target.owner_name) {
+    tasks.push(getUserMap(tenantId, client).then(users => {
+      target.owner_name = users.get(ownerId)?.name || target.owner_name;
+    }));
+  }
+
+  if (!lookups) {
+    return Promise.allSettled(tasks);
+  }
+
+  const personId = idOf(target.person_id);
+  if (personId) {
+    tasks.push(getPerson(tenantId, client, personId).then(person => {
+      if (person) {
+        target.person_name = target.person_name || person.name;
+        lookups.person = person;
+      }
+    }));
+  }
+
+  const orgId = idOf(target.org_id);
+  if (orgId) {
+    tasks.push(getOrganization(tenantId, client, orgId).then(org => {
+      if (org) {
+        target.org_name = target.org_name || org.name;
+        lookups.organization = org;
+      }
+    }));
+  }
+
+  return Promise.allSettled(tasks);
+}
+
+/**
+ * Resolve Pipedrive IDs in webhook data to display names before rules and templates run
+ * Never throws: enrichment failures leave the original data in place.
+ * @param {Object} webhookData - Transformed webhook data
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Object>} Enriched copy of webhookData (person/organization attached when resolved)
+ */
+async function enrichWebhookData(webhookData, tenantId) {
+  const enriched = {
+    ...webhookData,
+    user: { ...(webhookData.user || {}) },
+    company: { ...(webhookData.company || {}) }
+  };
+  if (webhookData.object) enriched.object = { ...webhookData.object };
+  if (webhookData.current) enriched.current = { ...webhookData.current };
+  if (webhookData.previous) enriched.previous = { ...webhookData.previous };
+
+  try {
+    const tenant = await getTenantDetails(tenantId).catch(() => null);
+    if (!enriched.company.name && tenant?.company_name) {
+      enriched.company.name = tenant.company_name;
+    }
+
+    const client = await getTenantClient(tenantId);
+    if (!client) {
+      return enriched;
+    }
+
+    const primary = enriched.current || enriched.object;
+    const lookups = {};
+    const tasks = [];
+
+    const userId = idOf(enriched.user.id ?? enriched.user_id);
+    if (userId && !enriched.user.name) {
+      tasks.push(getUserMap(tenantId, client).then(users => {
+        const user = users.get(userId);
+        if (user) {
+          enriched.user.name = user.name;
+          enriched.user.email = enriched.user.email || user.email;
+        }
+      }));
+    }
+
+    if (primary) {
+      tasks.push(enrichObject(primary, tenantId, client, lookups));
+    }
+    if (enriched.previous) {
+      tasks.push(enrichObject(enriched.previous, tenantId, client, null));
+    }
+
+    const results = await Promise.allSettled(tasks);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.warn(`⚠️ Enrichment lookup failed for tenant ${tenantId}:`, result.reason?.message));
+
+    if (lookups.person && !enriched.person) enriched.person = lookups.person;
+    if (lookups.organization && !enriched.organization) enriched.organization = lookups.organization;
+
+    return enriched;
+  } catch (error) {
+    console.warn(`⚠️ Pipedrive enrichment skipped for tenant ${tenantId}:`, error.message);
+    return enriched;
+  }
+}
+
+/**
+ * Invalidate cached lookups affected by a webhook event
+ * stage.* / pipeline.* clear stages, user.* clears users, person/organization events drop that record.
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} webhookData - Transformed webhook data
+ * @returns {boolean} True when something was invalidated
+ */
+function invalidateForEvent(tenantId, webhookData) {
+  const cache = tenantCaches.get(tenantId);
+  if (!cache || !webhookData?.event) return false;
+
+  // Accept both "stage.change" and Pipedrive v1 "updated.stage" shapes
+  const parts = webhookData.event.split('.');
+  const has = entity => parts.includes(entity);
+  const objectId = idOf((webhookData.current || webhookData.object)?.id);
+
+  if (has('stage') || has('pipeline')) {
+    return cache.delete('stages');
+  }
+  if (has('user')) {
+    return cache.delete('users');
+  }
+  if (has('person') && objectId) {
+    return cache.delete(`person:${objectId}`);
+  }
+  if (has('organization') && objectId) {
+    return cache.delete(`org:${objectId}`);
+  }
+  return false;
+}
+
+/**
+ * Drop all cached lookups (and the client) for a tenant, e.g. after reconnecting Pipedrive
+ * @param {number} tenantId - Tenant ID
+ */
+function clearEnrichmentCache(tenantId) {
+  tenantCaches.delete(tenantId);
+}
+
+module.exports = {
+  enrichWebhookData,
+  invalidateForEvent,
+  clearEnrichmentCache,
+  getTenantClient,
+  getStageMap,
+  getUserMap
+};
@@ -377,7 +377,7 @@ async function processDelayedNotifications() {
     // Get notifications ready to be sent
     const result = await pool.query(`
       SELECT * FROM delayed_notifications 
-      WHERE scheduled_for <= $1 AND sent_at IS NULL
+      WHERE scheduled_for <= $1 AND sent_at IS NULL AND delivery_type = 'delayed'
       ORDER BY scheduled_for ASC
       LIMIT 50
     `, [now]);
@@ -426,7 +426,7 @@ async function processDelayedNotifications() {
         
         // Send the notification
         await defaultChatClient.sendNotification(
-          notificationData.webhook_url,
+          { webhook_url: notificationData.webhook_url, channel_type: notificationData.channel_type },
           notificationData.webhook_data,
           notificationData.template_mode || 'simple',
           notificationData.custom_template,
@@ -444,6 +444,17 @@ async function processDelayedNotifications() {
         console.log(`✅ Delayed notification sent: ${notification.id}`);
         
       } catch (error) {
+        // The channel's rate limiter refused the send: keep it queued until the channel recovers
+        if (error.code === 'CHANNEL_OVERFLOW' || error.code === 'RATE_LIMITED') {
+          await pool.query(`
+            UPDATE delayed_notifications 
+            SET scheduled_for = NOW() + ($1 * INTERVAL '1 millisecond')
+            WHERE id = $2
+          `, [error.retryAfterMs || 60000, notification.id]);
+          console.warn(`⏸️ Delayed notification ${notification.id} postponed, channel is rate limited`);
+          continue;
+        }
+
         console.error(`❌ Failed to send delayed notification ${notification.id}:`, error);
         
         // Mark as failed
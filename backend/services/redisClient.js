@@ -0,0 +1,75 @@
+const { redisConfig } = require('../jobs/queue');
+
+/**
+ * Optional Redis connections
+ * Services that use Redis only when it is reachable (webhook deduplication, channel rate limits)
+ * get their client here. A failed connect disconnects the client it created and waits before the
+ * next attempt, so an outage neither piles up half-open clients nor adds a connect timeout to
+ * every call. A connected client that drops is left to ioredis to reconnect.
+ */
+
+const RETRY_DELAY_MS = parseInt(process.env.REDIS_OPTIONAL_RETRY_DELAY_MS) || 30000;
+
+/**
+ * Create a getter for a lazily connected, fail-fast Redis client
+ * @param {string} name - Used in log messages (e.g. 'Dedup')
+ * @param {string} fallback - What the caller does without Redis, for log messages (e.g. 'using Postgres')
+ * @param {Object} options - { config (defaults to the queue's redisConfig), retryDelayMs }
+ * @returns {Function} async () => connected client, or null when Redis is not configured or unreachable
+ */
+function createRedisClientGetter(name, fallback, options = {}) {
+  const config = options.config === undefined ? redisConfig : options.config;
+  const retryDelayMs = options.retryDelayMs || RETRY_DELAY_MS;
+  let client = null;
+  let connecting = null;
+  let retryAt = 0;
+
+  return async function getRedisClient() {
+    if (!config) return null;
+    if (client?.status === 'ready') return client;
+    // A dropped connection is being re-established by ioredis; don't open another one meanwhile
+    if (client && client.status !== 'end') return null;
+    if (Date.now() < retryAt) return null;
+
+    if (!connecting) {
+      connecting = (async () => {
+        if (client) {
+          client.disconnect();
+          client = null;
+        }
+
+        const Redis = require('ioredis');
+        const next = new Redis({
+          ...config.connection,
+          lazyConnect: true,
+          // Fail fast so callers fall back instead of waiting on Redis
+          maxRetriesPerRequest: 1,
+          enableOfflineQueue: false
+        });
+        next.on('error', error => console.warn(`⚠️ ${name} Redis error:`, error.message));
+
+        try {
+          await next.connect();
+        } catch (error) {
+          next.disconnect();
+          throw error;
+        }
+        client = next;
+        return next;
+      })().catch(error => {
+        retryAt = Date.now() + retryDelayMs;
+        console.warn(`⚠️ ${name} Redis unavailable, ${fallback} for ${Math.round(retryDelayMs / 1000)}s:`, error.message);
+        return null;
+      }).finally(() => {
+        connecting = null;
+      });
+    }
+
+    const ready = await connecting;
+    return ready?.status === 'ready' ? ready : null;
+  };
+}
+
+module.exports = {
+  createRedisClientGetter
+};
@@ -0,0 +1,164 @@
+/**
+ * Delivery Retry Policy
+ * One policy for every path that retries a notification send (the notification worker, the
+ * direct fallback, the batch queue and BullMQ job options). Errors are classified as transient
+ * (network errors, timeouts, 429/5xx and the channel rate limiter) or permanent (other 4xx,
+ * template and configuration errors); only transient errors are retried, with exponential
+ * backoff and jitter. Sends that fail permanently or run out of attempts go to the dead-letter
+ * table (see deadLetters.js).
+ *
+ * Configured with RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS, RETRY_JITTER
+ * (0-1) and RETRY_STATUS_CODES (comma separated).
+ */
+
+const DEFAULT_RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+// Socket and DNS errors that usually clear up on their own
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK'
+];
+
+// Codes set by channelRateLimiter.js; the channel accepts messages again after retryAfterMs
+const RATE_LIMIT_CODES = ['CHANNEL_OVERFLOW', 'RATE_LIMITED'];
+
+/**
+ * Parse a number from the environment within bounds
+ * @private
+ */
+function envNumber(name, fallback, min, max) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+/**
+ * Build the policy from the environment
+ * @private
+ */
+function loadPolicy() {
+  const statusCodes = (process.env.RETRY_STATUS_CODES || '')
+    .split(',')
+    .map(code => parseInt(code.trim()))
+    .filter(Number.isInteger);
+
+  return Object.freeze({
+    attempts: Math.round(envNumber('RETRY_MAX_ATTEMPTS', 3, 1, 10)),
+    baseDelayMs: envNumber('RETRY_BASE_DELAY_MS', 1000, 0, 60000),
+    maxDelayMs: envNumber('RETRY_MAX_DELAY_MS', 30000, 0, 600000),
+    jitter: envNumber('RETRY_JITTER', 0.2, 0, 1),
+    retryableStatusCodes: Object.freeze(statusCodes.length > 0 ? statusCodes : DEFAULT_RETRYABLE_STATUS_CODES)
+  });
+}
+
+const RETRY_POLICY = loadPolicy();
+
+/**
+ * HTTP status of a failed send, from an axios error or a wrapped chat client error
+ * @param {Error} error - Send error
+ * @returns {number|null} Status code
+ */
+function getStatusCode(error) {
+  return error?.response?.status || error?.statusCode || null;
+}
+
+/**
+ * Classify a send error
+ * @param {Error} error - Send error
+ * @param {Object} policy - Retry policy (defaults to RETRY_POLICY)
+ * @returns {{transient: boolean, reason: string, statusCode: number|null}} Classification
+ */
+function classifyError(error, policy = RETRY_POLICY) {
+  const statusCode = getStatusCode(error);
+
+  if (RATE_LIMIT_CODES.includes(error?.code)) {
+    return { transient: true, reason: 'rate_limited', statusCode: statusCode || 429 };
+  }
+  if (statusCode) {
+    return policy.retryableStatusCodes.includes(statusCode)
+      ? { transient: true, reason: `http_${statusCode}`, statusCode }
+      : { transient: false, reason: `http_${statusCode}`, statusCode };
+  }
+  if (TRANSIENT_ERROR_CODES.includes(error?.code) || /timeout/i.test(error?.message || '')) {
+    return { transient: true, reason: 'network', statusCode: null };
+  }
+  // No response and no network error: template, configuration or programming errors
+  return { transient: false, reason: 'error', statusCode: null };
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - The failure; a rate limiter retryAfterMs is waited out in full
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelay(attempt, policy = RETRY_POLICY, error = null) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  const delay = exponential * (1 - policy.jitter * Math.random());
+  return Math.round(Math.max(delay, error?.retryAfterMs || 0));
+}
+
+/**
+ * Run a send under the retry policy
+ * Transient errors are retried up to policy.attempts; the error that ends the run is thrown with
+ * `attempts` (number of tries), `attemptLog` ([{ attempt, status, error_message, response_code,
+ * response_time_ms }]) and `classification` (see classifyError) attached.
+ * @param {Function} send - Performs one attempt; receives the attempt number
+ * @param {Object} options - { policy, label, maxDelayMs (longest single wait, e.g. for a request) }
+ * @returns {Promise<{result: *, attempts: number, attemptLog: Array}>} Result of the successful attempt
+ */
+async function withRetry(send, options = {}) {
+  const policy = options.policy || RETRY_POLICY;
+  const attemptLog = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+    try {
+      const result = await send(attempt);
+      attemptLog.push({ attempt, status: 'success', response_time_ms: Date.now() - startTime });
+      return { result, attempts: attempt, attemptLog };
+    } catch (error) {
+      const classification = classifyError(error, policy);
+      attemptLog.push({
+        attempt,
+        status: 'failed',
+        error_message: error.message,
+        response_code: classification.statusCode,
+        response_time_ms: Date.now() - startTime
+      });
+
+      const delay = getRetryDelay(attempt, policy, error);
+      const tooLong = options.maxDelayMs !== undefined && delay > options.maxDelayMs;
+      if (!classification.transient || attempt >= policy.attempts || tooLong) {
+        error.attempts = attempt;
+        error.attemptLog = attemptLog;
+        error.classification = classification;
+        throw error;
+      }
+
+      console.warn(`🔄 ${options.label || 'Delivery'} attempt ${attempt}/${policy.attempts} failed (${classification.reason}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * BullMQ job options for the policy
+ * @param {Object} policy - Retry policy
+ * @returns {{attempts: number, backoff: Object}} Options for queue.add
+ */
+function getJobRetryOptions(policy = RETRY_POLICY) {
+  return {
+    attempts: policy.attempts,
+    backoff: { type: 'exponential', delay: policy.baseDelayMs, jitter: policy.jitter }
+  };
+}
+
+module.exports = {
+  RETRY_POLICY,
+  getStatusCode,
+  classifyError,
+  getRetryDelay,
+  withRetry,
+  getJobRetryOptions
+};
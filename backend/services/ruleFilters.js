@@ -1,71 +1,151 @@
 const { Pool } = require('pg');
+const { getWebhookChanges, FIELD_ALIASES, ID_NAME_FIELDS } = require('./fieldChanges');
 
 /**
- * Advanced rule filtering service for value-based and probability-based filtering
- * Supports deal value thresholds, probability ranges, custom fields, and tags
+ * Advanced rule filtering service
+ * rules.filters holds flat filters (value_min, stage_ids, labels, custom_fields, ...) and/or a
+ * nested condition tree under `tree`. Flat filters are converted to conditions and ANDed with the tree:
+ *
+ *   { "tree": { "type": "group", "op": "and", "children": [
+ *       { "type": "group", "op": "or", "children": [
+ *           { "type": "condition", "field": "value", "operator": "gt", "value": 50000 },
+ *           { "type": "condition", "field": "label", "operator": "eq", "value": "strategic" } ] },
+ *       { "type": "condition", "field": "pipeline", "operator": "eq", "value": 3, "negate": true } ] } }
+ *
+ * Change conditions compare webhookData.previous with the current object:
+ *   { "type": "condition", "field": "change", "change_field": "value", "operator": "changed_by_percent", "value": 20 }
  */
 
-// Deal value filtering
-function checkValueFilter(webhookData, filter) {
-  const dealValue = parseFloat(webhookData.current?.value || webhookData.object?.value || 0);
-  
-  if (filter.value_min && dealValue < filter.value_min) {
-    return false;
-  }
-  
-  if (filter.value_max && dealValue > filter.value_max) {
-    return false;
-  }
-  
-  return true;
+const MAX_TREE_DEPTH = 10;
+const MAX_TREE_NODES = 100;
+
+// Operators available per field type
+const OPERATORS = {
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in'],
+  id: ['eq', 'neq', 'in', 'not_in'],
+  text: ['eq', 'neq', 'contains', 'in', 'not_in'],
+  list: ['eq', 'neq', 'contains', 'in', 'not_in', 'all'],
+  custom: ['eq', 'neq', 'contains', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in', 'all'],
+  change: [
+    'changed', 'changed_from', 'changed_to', 'increased', 'decreased',
+    'increased_by_percent', 'decreased_by_percent', 'changed_by_percent',
+    'moved_forward_in_pipeline', 'moved_backward_in_pipeline'
+  ],
+  time: ['within']
+};
+
+const PERCENT_OPERATORS = ['increased_by_percent', 'decreased_by_percent', 'changed_by_percent'];
+const STAGE_MOVE_OPERATORS = ['moved_forward_in_pipeline', 'moved_backward_in_pipeline'];
+
+const LIST_OPERATORS = ['in', 'not_in', 'all'];
+
+// Normalize Pipedrive id fields, which arrive as numbers or { id|value, name } objects
+function idOf(field) {
+  if (field === null || field === undefined || field === '') return null;
+  return typeof field === 'object' ? (field.id ?? field.value ?? null) : field;
 }
 
-// Deal probability filtering
-function checkProbabilityFilter(webhookData, filter) {
-  const probability = parseInt(webhookData.current?.probability || webhookData.object?.probability || 0);
-  
-  if (filter.probability_min && probability < filter.probability_min) {
-    return false;
-  }
-  
-  if (filter.probability_max && probability > filter.probability_max) {
-    return false;
-  }
-  
-  return true;
+// Deal labels as a list (label names when enriched, otherwise the comma-separated label ids)
+function getLabels(record) {
+  if (Array.isArray(record.labels)) return record.labels;
+  if (Array.isArray(record.label)) return record.label;
+  if (record.label === null || record.label === undefined || record.label === '') return [];
+  return String(record.label).split(',').map(label => label.trim()).filter(Boolean);
 }
 
-// Stage-based filtering
-function checkStageFilter(webhookData, filter) {
-  const stageId = webhookData.current?.stage_id || webhookData.object?.stage_id;
-  
-  if (filter.stage_ids && Array.isArray(filter.stage_ids)) {
-    return filter.stage_ids.includes(stageId);
-  }
+// Custom field value by human name (values attached by services/customFields.js)
+function getCustomFieldValue(webhookData, condition) {
+  const entity = condition.entity || 'deal';
+  const record = (webhookData.event || '').includes(entity)
+    ? (webhookData.current || webhookData.object)
+    : webhookData[entity];
+  const custom = record?.custom || {};
   
-  return true;
+  // Field names are matched case-insensitively
+  const name = Object.keys(custom).find(key => key.toLowerCase() === String(condition.custom_field || '').toLowerCase());
+  return name !== undefined ? custom[name] : undefined;
 }
 
-// Pipeline filtering
-function checkPipelineFilter(webhookData, filter) {
-  const pipelineId = webhookData.current?.pipeline_id || webhookData.object?.pipeline_id;
-  
-  if (filter.pipeline_ids && Array.isArray(filter.pipeline_ids)) {
-    return filter.pipeline_ids.includes(pipelineId);
+// Condition fields: type decides the operators, resolve reads the value from the event's primary object
+const CONDITION_FIELDS = {
+  value: { type: 'number', resolve: primary => parseFloat(primary.value || 0) },
+  probability: { type: 'number', resolve: primary => parseInt(primary.probability || 0) },
+  stage: { type: 'id', resolve: primary => idOf(primary.stage_id) },
+  pipeline: { type: 'id', resolve: primary => idOf(primary.pipeline_id) },
+  owner: { type: 'id', resolve: (primary, webhookData) => idOf(primary.user_id || primary.owner_id || webhookData.user_id) },
+  status: { type: 'text', resolve: primary => primary.status },
+  currency: { type: 'text', resolve: primary => primary.currency || 'USD' },
+  title: { type: 'text', resolve: primary => primary.title || primary.name },
+  label: { type: 'list', resolve: primary => getLabels(primary) },
+  custom: { type: 'custom', resolve: (primary, webhookData, condition) => getCustomFieldValue(webhookData, condition) },
+  change: { type: 'change' },
+  time: { type: 'time' }
+};
+
+// Numbers compare numerically, ISO dates (e.g. '2024-06-30') by timestamp
+function toComparable(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (Number.isFinite(number)) return number;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
   }
-  
-  return true;
+  return null;
 }
 
-// Owner/user filtering
-function checkOwnerFilter(webhookData, filter) {
-  const ownerId = webhookData.current?.user_id || webhookData.object?.user_id || webhookData.user_id;
+// Equality that treats 3 and "3" alike and ignores case
+function looseEquals(actual, expected) {
+  const left = toComparable(actual);
+  const right = toComparable(expected);
+  if (left !== null && right !== null) return left === right;
+  return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+// Compare a resolved value (or list of values) with a condition
+function compareCondition(actual, condition) {
+  const values = (Array.isArray(actual) ? actual : [actual])
+    .filter(value => value !== null && value !== undefined && value !== '');
+  const expected = condition.value;
+  const expectedList = Array.isArray(expected) ? expected : [expected];
+  const ordered = test => values.some(value => {
+    const left = toComparable(value);
+    const right = toComparable(expected);
+    return left !== null && right !== null && test(left, right);
+  });
   
-  if (filter.owner_ids && Array.isArray(filter.owner_ids)) {
-    return filter.owner_ids.includes(ownerId);
+  switch (condition.operator) {
+    case 'eq':
+      return values.some(value => looseEquals(value, expected));
+    case 'neq':
+      return !values.some(value => looseEquals(value, expected));
+    case 'gt':
+      return ordered((left, right) => left > right);
+    case 'gte':
+      return ordered((left, right) => left >= right);
+    case 'lt':
+      return ordered((left, right) => left < right);
+    case 'lte':
+      return ordered((left, right) => left <= right);
+    case 'between': {
+      const min = toComparable(condition.min);
+      const max = toComparable(condition.max);
+      return values.some(value => {
+        const comparable = toComparable(value);
+        return comparable !== null && (min === null || comparable >= min) && (max === null || comparable <= max);
+      });
+    }
+    case 'contains':
+      return values.some(value => String(value).toLowerCase().includes(String(expected).toLowerCase()));
+    case 'in':
+      return values.some(value => expectedList.some(item => looseEquals(value, item)));
+    case 'not_in':
+      return !values.some(value => expectedList.some(item => looseEquals(value, item)));
+    case 'all':
+      return expectedList.every(item => values.some(value => looseEquals(value, item)));
+    default:
+      return false;
   }
-  
-  return true;
 }
 
 // Time-based filtering (business hours)
@@ -96,35 +176,183 @@ function checkTimeFilter(webhookData, filter) {
   return true;
 }
 
-// Label/tag filtering (if deal has custom labels)
-function checkLabelFilter(webhookData, filter) {
-  if (!filter.labels || !Array.isArray(filter.labels)) return true;
+// Field change conditions (field_changes): compare webhookData.previous with the current object
+function checkChangeCondition(webhookData, condition) {
+  if (!webhookData.previous) return false;
   
-  const dealLabels = webhookData.current?.label || webhookData.object?.label || [];
+  const changes = getWebhookChanges(webhookData);
   
-  // Check if deal has any of the required labels
-  if (filter.label_match_type === 'any') {
-    return filter.labels.some(label => dealLabels.includes(label));
+  if (STAGE_MOVE_OPERATORS.includes(condition.operator)) {
+    const direction = changes.stage_id?.direction;
+    if (changes.stage_id && !direction) {
+      console.warn('⚠️ Stage changed but stage order is unknown, cannot tell the move direction');
+    }
+    return direction === (condition.operator === 'moved_forward_in_pipeline' ? 'forward' : 'backward');
   }
   
-  // Check if deal has all required labels
-  if (filter.label_match_type === 'all') {
-    return filter.labels.every(label => dealLabels.includes(label));
+  const fieldName = String(condition.change_field || '');
+  const field = FIELD_ALIASES[fieldName] || fieldName;
+  const change = field.startsWith('custom.')
+    ? changes.custom?.[Object.keys(changes.custom || {}).find(name => name.toLowerCase() === field.slice(7).toLowerCase())]
+    : changes[field];
+  if (!change) return false;
+  
+  // Id fields also match by name (changed_to "Negotiation" for stage_id)
+  const named = ID_NAME_FIELDS[field] ? changes[ID_NAME_FIELDS[field].alias] : null;
+  const matches = side => looseEquals(change[side], condition.value) ||
+    (named ? looseEquals(named[side], condition.value) : false);
+  
+  // Starting from 0 any increase counts as an unlimited percentage
+  const percent = change.percent ?? (change.delta ? Math.sign(change.delta) * Infinity : null);
+  const threshold = Number(condition.value);
+  
+  switch (condition.operator) {
+    case 'changed':
+      return true;
+    case 'changed_from':
+      return matches('from');
+    case 'changed_to':
+      return matches('to');
+    case 'increased':
+      return change.delta > 0;
+    case 'decreased':
+      return change.delta < 0;
+    case 'increased_by_percent':
+      return percent !== null && percent >= threshold;
+    case 'decreased_by_percent':
+      return percent !== null && -percent >= threshold;
+    case 'changed_by_percent':
+      return percent !== null && Math.abs(percent) >= threshold;
+    default:
+      return false;
+  }
+}
+
+// Evaluate a single condition node
+function evaluateCondition(webhookData, condition) {
+  const field = CONDITION_FIELDS[condition.field];
+  if (!field) {
+    console.warn(`⚠️ Unknown filter field '${condition.field}', treating condition as not met`);
+    return false;
   }
   
-  return true;
+  if (field.type === 'time') {
+    return checkTimeFilter(webhookData, { time_restrictions: condition.value });
+  }
+  
+  if (field.type === 'change') {
+    return checkChangeCondition(webhookData, condition);
+  }
+  
+  const primary = webhookData.current || webhookData.object || {};
+  return compareCondition(field.resolve(primary, webhookData, condition), condition);
 }
 
-// Currency filtering
-function checkCurrencyFilter(webhookData, filter) {
-  if (!filter.currencies || !Array.isArray(filter.currencies)) return true;
+// Evaluate a group/condition node; `negate` on any node inverts its result
+function evaluateFilterNode(webhookData, node) {
+  let result;
+  
+  if (node.type === 'group') {
+    const children = node.children || [];
+    result = node.op === 'or'
+      ? children.some(child => evaluateFilterNode(webhookData, child))
+      : children.every(child => evaluateFilterNode(webhookData, child));
+  } else {
+    result = evaluateCondition(webhookData, node);
+  }
   
-  const currency = webhookData.current?.currency || webhookData.object?.currency || 'USD';
-  return filter.currencies.includes(currency);
+  return node.negate ? !result : result;
+}
+
+const CUSTOM_OPERATOR_MAP = { equals: 'eq', contains: 'contains', range: 'between', in: 'in' };
+
+// Flat field_changes entry ({ field, operator, value }) as a change condition
+function toChangeCondition(change) {
+  return { type: 'condition', field: 'change', change_field: change.field, operator: change.operator, value: change.value };
+}
+
+/**
+ * Convert flat filters to a condition tree, ANDed with filters.tree when present
+ * Flat semantics are preserved (e.g. value_min of 0 and labels without label_match_type are ignored).
+ * @param {Object} filters - Parsed rules.filters
+ * @returns {Object} Root group node
+ */
+function toFilterTree(filters) {
+  const children = [];
+  const condition = (field, operator, extra) => children.push({ type: 'condition', field, operator, ...extra });
+  
+  if (filters.value_min) condition('value', 'gte', { value: filters.value_min });
+  if (filters.value_max) condition('value', 'lte', { value: filters.value_max });
+  if (filters.probability_min) condition('probability', 'gte', { value: filters.probability_min });
+  if (filters.probability_max) condition('probability', 'lte', { value: filters.probability_max });
+  if (Array.isArray(filters.stage_ids)) condition('stage', 'in', { value: filters.stage_ids });
+  if (Array.isArray(filters.pipeline_ids)) condition('pipeline', 'in', { value: filters.pipeline_ids });
+  if (Array.isArray(filters.owner_ids)) condition('owner', 'in', { value: filters.owner_ids });
+  if (filters.time_restrictions) condition('time', 'within', { value: filters.time_restrictions });
+  
+  if (Array.isArray(filters.labels) && ['any', 'all'].includes(filters.label_match_type)) {
+    condition('label', filters.label_match_type === 'all' ? 'all' : 'in', { value: filters.labels });
+  }
+  
+  if (Array.isArray(filters.currencies)) condition('currency', 'in', { value: filters.currencies });
+  
+  if (Array.isArray(filters.custom_fields)) {
+    filters.custom_fields.forEach(custom => condition('custom', CUSTOM_OPERATOR_MAP[custom.operator] || custom.operator, {
+      custom_field: custom.field,
+      entity: custom.entity,
+      value: custom.operator === 'in' ? custom.values : custom.value,
+      min: custom.min,
+      max: custom.max
+    }));
+  }
+  
+  if (Array.isArray(filters.field_changes)) {
+    filters.field_changes.forEach(change => children.push(toChangeCondition(change)));
+  }
+  
+  if (filters.tree) {
+    children.push(filters.tree);
+  }
+  
+  return { type: 'group', op: 'and', children };
+}
+
+// Parse a rule's filters (stored as JSON text or JSONB)
+function parseRuleFilters(rule) {
+  if (typeof rule.filters !== 'string') return rule.filters;
+  try {
+    return JSON.parse(rule.filters);
+  } catch {
+    return null;
+  }
+}
+
+// Whether any node of a condition tree tests a custom field
+function treeUsesCustomFields(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'group') return (node.children || []).some(treeUsesCustomFields);
+  return node.field === 'custom';
+}
+
+// Whether a rule filters on custom fields (gated by the custom_field_filtering feature)
+function usesCustomFieldFilters(rule) {
+  const filters = parseRuleFilters(rule);
+  return (Array.isArray(filters?.custom_fields) && filters.custom_fields.length > 0) ||
+    treeUsesCustomFields(filters?.tree);
+}
+
+// Whether a rule's event_type handles an event: exact match, then "entity.*", then bare "entity"
+// (the order the processor looks rules up in); "*" matches every event
+function matchesEventType(eventType, ruleEventType) {
+  if (!ruleEventType || ruleEventType === '*') return true;
+  if (eventType === ruleEventType) return true;
+  const [entity] = String(eventType || '').split('.');
+  return ruleEventType === `${entity}.*` || ruleEventType === entity;
 }
 
 // Main filtering function that applies all filters
-function applyAdvancedFilters(webhookData, rule) {
+// options.customFieldFiltering: false when the tenant's plan lacks custom_field_filtering
+function applyAdvancedFilters(webhookData, rule, options = {}) {
   try {
     // Parse filters if it's a string
     let filters = rule.filters;
@@ -141,26 +369,11 @@ function applyAdvancedFilters(webhookData, rule) {
       return true; // No filters means match all
     }
     
-    console.log(`🔍 Applying advanced filters for rule ${rule.name}:`, JSON.stringify(filters, null, 2));
-    
-    // Apply all filter checks
-    const checks = [
-      checkValueFilter(webhookData, filters),
-      checkProbabilityFilter(webhookData, filters),
-      checkStageFilter(webhookData, filters),
-      checkPipelineFilter(webhookData, filters),
-      checkOwnerFilter(webhookData, filters),
-      checkTimeFilter(webhookData, filters),
-      checkLabelFilter(webhookData, filters),
-      checkCurrencyFilter(webhookData, filters)
-    ];
-    
-    // All checks must pass
-    const result = checks.every(check => check === true);
-    
-    console.log(`🎯 Filter result for rule ${rule.name}: ${result ? 'MATCH' : 'NO MATCH'}`);
+    if (options.customFieldFiltering === false && usesCustomFieldFilters({ filters })) {
+      return false; // Custom field filters need the custom_field_filtering feature
+    }
     
-    return result;
+    return evaluateFilterNode(webhookData, toFilterTree(filters));
     
   } catch (error) {
     console.error('Error applying advanced filters:', error);
@@ -168,6 +381,91 @@ function applyAdvancedFilters(webhookData, rule) {
   }
 }
 
+// Validate one node of a condition tree, collecting errors with their path (tree.children[0]...)
+function validateFilterNode(node, path, depth, state, errors) {
+  state.count++;
+  
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path} must be a group or condition object`);
+    return;
+  }
+  
+  if (depth > MAX_TREE_DEPTH) {
+    errors.push(`${path} is nested too deeply (maximum depth is ${MAX_TREE_DEPTH})`);
+    return;
+  }
+  
+  if (node.type === 'group') {
+    if (!['and', 'or'].includes(node.op)) {
+      errors.push(`${path}.op must be 'and' or 'or'`);
+    }
+    if (!Array.isArray(node.children) || node.children.length === 0) {
+      errors.push(`${path} must contain at least one condition`);
+      return;
+    }
+    node.children.forEach((child, index) => validateFilterNode(child, `${path}.children[${index}]`, depth + 1, state, errors));
+    return;
+  }
+  
+  if (node.type !== 'condition') {
+    errors.push(`${path}.type must be 'group' or 'condition'`);
+    return;
+  }
+  
+  const field = CONDITION_FIELDS[node.field];
+  if (!field) {
+    errors.push(`${path}.field '${node.field}' is not supported (use one of: ${Object.keys(CONDITION_FIELDS).join(', ')})`);
+    return;
+  }
+  
+  if (!OPERATORS[field.type].includes(node.operator)) {
+    errors.push(`${path}.operator for '${node.field}' must be one of: ${OPERATORS[field.type].join(', ')}`);
+    return;
+  }
+  
+  if (field.type === 'custom') {
+    if (!node.custom_field || typeof node.custom_field !== 'string') {
+      errors.push(`${path}.custom_field must be a custom field name`);
+    }
+    if (node.entity !== undefined && !['deal', 'person', 'organization'].includes(node.entity)) {
+      errors.push(`${path}.entity must be deal, person or organization`);
+    }
+  }
+  
+  if (field.type === 'time') {
+    if (!node.value || typeof node.value !== 'object') {
+      errors.push(`${path}.value must be a time restriction object`);
+    }
+  } else if (field.type === 'change') {
+    if (!STAGE_MOVE_OPERATORS.includes(node.operator) && (!node.change_field || typeof node.change_field !== 'string')) {
+      errors.push(`${path}.change_field must name the field to watch (e.g. value, stage, owner)`);
+    }
+    if (PERCENT_OPERATORS.includes(node.operator) && !(Number(node.value) > 0)) {
+      errors.push(`${path}.value must be a positive percentage for ${node.operator}`);
+    }
+    if (['changed_from', 'changed_to'].includes(node.operator) &&
+        (node.value === undefined || node.value === null || node.value === '')) {
+      errors.push(`${path}.value is required for ${node.operator}`);
+    }
+  } else if (node.operator === 'between') {
+    const min = toComparable(node.min);
+    const max = toComparable(node.max);
+    if (min === null && max === null) {
+      errors.push(`${path} needs min and/or max for between`);
+    } else if (min !== null && max !== null && min > max) {
+      errors.push(`${path}.min cannot be greater than max`);
+    }
+  } else if (LIST_OPERATORS.includes(node.operator)) {
+    if (!Array.isArray(node.value) || node.value.length === 0) {
+      errors.push(`${path}.value must list at least one value for ${node.operator}`);
+    }
+  } else if (node.value === undefined || node.value === null || node.value === '') {
+    errors.push(`${path}.value is required for ${node.operator}`);
+  } else if (['gt', 'gte', 'lt', 'lte'].includes(node.operator) && toComparable(node.value) === null) {
+    errors.push(`${path}.value must be a number or date for ${node.operator}`);
+  }
+}
+
 // Helper function to validate filter configuration
 function validateFilters(filters) {
   const errors = [];
@@ -198,6 +496,59 @@ function validateFilters(filters) {
     errors.push('end_hour must be between 0 and 23');
   }
   
+  if (filters.custom_fields !== undefined) {
+    if (!Array.isArray(filters.custom_fields)) {
+      errors.push('custom_fields must be an array');
+    } else {
+      filters.custom_fields.forEach((condition, index) => {
+        const label = `custom_fields[${index}]`;
+        if (!condition.field || typeof condition.field !== 'string') {
+          errors.push(`${label}.field must be a custom field name`);
+        }
+        if (!CUSTOM_OPERATOR_MAP[condition.operator]) {
+          errors.push(`${label}.operator must be one of: ${Object.keys(CUSTOM_OPERATOR_MAP).join(', ')}`);
+        }
+        if ((condition.operator === 'equals' || condition.operator === 'contains') &&
+            (condition.value === undefined || condition.value === null || condition.value === '')) {
+          errors.push(`${label}.value is required for ${condition.operator}`);
+        }
+        if (condition.operator === 'range') {
+          const min = toComparable(condition.min);
+          const max = toComparable(condition.max);
+          if (min === null && max === null) {
+            errors.push(`${label} needs min and/or max for range`);
+          } else if (min !== null && max !== null && min > max) {
+            errors.push(`${label}.min cannot be greater than max`);
+          }
+        }
+        if (condition.operator === 'in' && (!Array.isArray(condition.values) || condition.values.length === 0)) {
+          errors.push(`${label}.values must list at least one option`);
+        }
+      });
+    }
+  }
+  
+  if (filters.field_changes !== undefined) {
+    if (!Array.isArray(filters.field_changes)) {
+      errors.push('field_changes must be an array');
+    } else {
+      filters.field_changes.forEach((change, index) => {
+        const changeErrors = [];
+        validateFilterNode(toChangeCondition(change || {}), `field_changes[${index}]`, 1, { count: 0 }, changeErrors);
+        // Flat entries name the watched field `field`
+        errors.push(...changeErrors.map(error => error.replace('.change_field', '.field')));
+      });
+    }
+  }
+  
+  if (filters.tree !== undefined) {
+    const state = { count: 0 };
+    validateFilterNode(filters.tree, 'tree', 1, state, errors);
+    if (state.count > MAX_TREE_NODES) {
+      errors.push(`tree has ${state.count} nodes (maximum is ${MAX_TREE_NODES})`);
+    }
+  }
+  
   return errors;
 }
 
@@ -273,6 +624,9 @@ async function getFilterStats(tenantId, pool) {
 
 module.exports = {
   applyAdvancedFilters,
+  matchesEventType,
+  usesCustomFieldFilters,
+  toFilterTree,
   validateFilters,
   createFilterPreset,
   getFilterStats
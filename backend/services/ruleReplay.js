@@ -0,0 +1,258 @@
+const { pool, getWebhooks } = require('./database');
+const { applyAdvancedFilters, matchesEventType, usesCustomFieldFilters, validateFilters } = require('./ruleFilters');
+const { resolveChannels, getRoutingRules } = require('./channelRouter');
+const { validateTemplate } = require('./templateEngine');
+const { defaultChatClient } = require('./chatClient');
+const { getChannelProvider } = require('./channelProviders');
+const { getDedupKey } = require('./webhookDedup');
+const { validateTargets, withTargetOverrides } = require('./ruleTargets');
+const { checkFeatureAvailability } = require('../middleware/quotaEnforcement');
+
+/**
+ * Rule Replay Service
+ * "What-if" dry run of a draft rule: replays the tenant's stored webhook events (logs.payload)
+ * through the same filter, routing and template code as the processor, without sending anything.
+ */
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+const MAX_LOG_ROWS = 5000;
+const SAMPLE_SIZE = 5;
+const TEMPLATE_MODES = ['simple', 'compact', 'detailed', 'card', 'custom'];
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function replayError(message, code = 'INVALID_DRAFT') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize and validate a draft rule from a request body
+ * @private
+ */
+function parseDraft(draft = {}) {
+  if (!draft.event_type) {
+    throw replayError('event_type is required');
+  }
+
+  let filters = draft.filters || {};
+  if (typeof filters === 'string') {
+    try {
+      filters = JSON.parse(filters);
+    } catch {
+      throw replayError('filters must be valid JSON');
+    }
+  }
+  const filterErrors = validateFilters(filters);
+  if (filterErrors.length > 0) {
+    throw replayError(`Invalid filters: ${filterErrors.join('; ')}`);
+  }
+
+  const templateMode = draft.template_mode || 'simple';
+  if (!TEMPLATE_MODES.includes(templateMode)) {
+    throw replayError(`template_mode must be one of ${TEMPLATE_MODES.join(', ')}`);
+  }
+  if (templateMode === 'custom' && !draft.custom_template) {
+    throw replayError('custom_template is required for custom mode');
+  }
+
+  const targets = draft.targets || [];
+  const targetErrors = validateTargets(targets);
+  if (targetErrors.length > 0) {
+    throw replayError(`Invalid targets: ${targetErrors.join('; ')}`);
+  }
+
+  return {
+    name: draft.name || 'Draft rule',
+    event_type: draft.event_type,
+    filters,
+    template_mode: templateMode,
+    custom_template: draft.custom_template || null,
+    target_webhook_id: draft.target_webhook_id ? parseInt(draft.target_webhook_id) : null,
+    targets: targets.map(target => ({ ...target, webhook_id: parseInt(target.webhook_id) }))
+  };
+}
+
+/**
+ * Load distinct stored events for the replay window, newest first
+ * Each event is logged once per matching rule, so rows are de-duplicated by webhook idempotency key.
+ * @private
+ */
+async function loadEvents(tenantId, ruleEventType, days) {
+  const params = [tenantId, days];
+  let eventCondition = '';
+
+  if (ruleEventType !== '*') {
+    const entity = ruleEventType.endsWith('.*') ? ruleEventType.slice(0, -2) : ruleEventType;
+    if (ruleEventType.endsWith('.*') || !ruleEventType.includes('.')) {
+      params.push(`${entity}.%`);
+      eventCondition = `AND COALESCE(event_type, payload->>'event') LIKE $${params.length}`;
+    } else {
+      params.push(ruleEventType);
+      eventCondition = `AND COALESCE(event_type, payload->>'event') = $${params.length}`;
+    }
+  }
+
+  const result = await pool.query(`
+    SELECT payload, created_at
+    FROM logs
+    WHERE tenant_id = $1
+      AND created_at >= NOW() - ($2 || ' days')::INTERVAL
+      AND payload ? 'event'
+      ${eventCondition}
+    ORDER BY created_at DESC
+    LIMIT ${MAX_LOG_ROWS}
+  `, params);
+
+  const seen = new Set();
+  const events = [];
+  for (const row of result.rows) {
+    const key = getDedupKey(row.payload) || JSON.stringify(row.payload);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    events.push({ payload: row.payload, occurredAt: new Date(row.created_at) });
+  }
+
+  return { events, truncated: result.rows.length === MAX_LOG_ROWS };
+}
+
+/**
+ * Render a matched event the way it would be delivered
+ * @private
+ */
+async function renderSample(event, draftRule, webhook, tenantId) {
+  const rule = withTargetOverrides(draftRule, webhook.id);
+  const sample = {
+    event: event.payload.event,
+    occurred_at: event.occurredAt.toISOString(),
+    entity_id: event.payload.current?.id || event.payload.object?.id || null,
+    title: event.payload.current?.title || event.payload.current?.name || null,
+    webhook_id: webhook.id,
+    webhook_name: webhook.name,
+    channel_type: webhook.channel_type || 'google_chat',
+    template_mode: rule.template_mode
+  };
+
+  try {
+    // Same split as the template preview: readable text plus the provider-specific payload
+    const text = rule.template_mode === 'card'
+      ? null
+      : await defaultChatClient.formatForChannel(getChannelProvider('google_chat'), event.payload, rule.template_mode, rule.custom_template, tenantId);
+    sample.preview = text ? text.text : null;
+    sample.payload = await defaultChatClient.formatForChannel(
+      getChannelProvider(sample.channel_type), event.payload, rule.template_mode, rule.custom_template, tenantId
+    );
+  } catch (error) {
+    sample.error = error.message;
+  }
+
+  return sample;
+}
+
+/**
+ * Replay stored events through a draft rule without sending anything
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} draft - { name, event_type, filters, template_mode, custom_template, target_webhook_id, targets }
+ * @param {Object} options - { days } (default 7, maximum 90)
+ * @returns {Promise<Object>} Match counts per day and channel, plus rendered samples
+ */
+async function replayDraftRule(tenantId, draft, options = {}) {
+  const rule = parseDraft(draft);
+  const days = Math.min(Math.max(parseInt(options.days) || DEFAULT_DAYS, 1), MAX_DAYS);
+
+  const [{ events, truncated }, webhooks, enabledRoutingRules] = await Promise.all([
+    loadEvents(tenantId, rule.event_type, days),
+    getWebhooks(tenantId),
+    getRoutingRules(tenantId, { enabledOnly: true })
+  ]);
+
+  if (rule.target_webhook_id && !webhooks.some(webhook => webhook.id === rule.target_webhook_id)) {
+    throw replayError('Target webhook not found or inactive');
+  }
+  const missingTarget = rule.targets.find(target => !webhooks.some(webhook => webhook.id === target.webhook_id));
+  if (missingTarget) {
+    throw replayError(`Target webhook ${missingTarget.webhook_id} not found or inactive`);
+  }
+
+  const filterOptions = {};
+  if (usesCustomFieldFilters(rule)) {
+    const featureCheck = await checkFeatureAvailability(tenantId, 'custom_field_filtering');
+    filterOptions.customFieldFiltering = featureCheck.has_access;
+  }
+
+  // Routing rules apply as in the processor (only on plans with channel routing)
+  const routingRules = enabledRoutingRules.length > 0 && (await checkFeatureAvailability(tenantId, 'channel_routing')).has_access
+    ? enabledRoutingRules
+    : [];
+
+  // Every day in the window appears, including days without matches
+  const byDay = new Map();
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    byDay.set(day, { date: day, events: 0, matched: 0 });
+  }
+  const byChannel = new Map();
+  const sampleEvents = [];
+  let matched = 0;
+  let unrouted = 0;
+
+  for (const event of events) {
+    if (!matchesEventType(event.payload.event, rule.event_type)) continue;
+
+    const day = byDay.get(event.occurredAt.toISOString().split('T')[0]);
+    if (day) day.events += 1;
+
+    if (!applyAdvancedFilters(event.payload, rule, filterOptions)) continue;
+
+    const targets = resolveChannels(event.payload, rule, webhooks, routingRules, filterOptions).webhooks;
+    if (targets.length === 0) {
+      unrouted += 1;
+      continue;
+    }
+
+    matched += 1;
+    if (day) day.matched += 1;
+
+    // Fan-out routing sends one message per channel
+    for (const webhook of targets) {
+      const channel = byChannel.get(webhook.id) || {
+        webhook_id: webhook.id,
+        name: webhook.name,
+        channel_type: webhook.channel_type || 'google_chat',
+        matched: 0
+      };
+      channel.matched += 1;
+      byChannel.set(webhook.id, channel);
+    }
+
+    if (sampleEvents.length < SAMPLE_SIZE) {
+      sampleEvents.push({ event, webhook: targets[0] });
+    }
+  }
+
+  const samples = [];
+  for (const { event, webhook } of sampleEvents) {
+    samples.push(await renderSample(event, rule, webhook, tenantId));
+  }
+
+  return {
+    rule: { name: rule.name, event_type: rule.event_type, template_mode: rule.template_mode, target_webhook_id: rule.target_webhook_id },
+    days,
+    events_scanned: events.length,
+    matched,
+    unrouted,
+    truncated,
+    template_validation: rule.template_mode === 'custom' ? validateTemplate(rule.custom_template) : null,
+    by_day: [...byDay.values()],
+    by_channel: [...byChannel.values()].sort((a, b) => b.matched - a.matched),
+    samples
+  };
+}
+
+module.exports = {
+  replayDraftRule
+};
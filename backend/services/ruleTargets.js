@@ -0,0 +1,174 @@
+const { pool } = require('./database');
+
+/**
+ * Rule Targets Service
+ * A rule can fan out to several webhooks (rule_targets, migration 031), each with an optional
+ * template override and its own enable flag. Rules without targets deliver to target_webhook_id.
+ */
+
+const TEMPLATE_MODES = ['simple', 'compact', 'detailed', 'card', 'custom'];
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function targetError(message, code = 'INVALID_TARGETS') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get a rule's targets in order
+ * @param {number} tenantId - Tenant ID
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Array>} rule_targets rows with webhook name, channel type and active flag
+ */
+async function getRuleTargets(tenantId, ruleId) {
+  const result = await pool.query(`
+    SELECT rt.*, cw.name AS webhook_name, cw.channel_type, cw.is_active AS webhook_active
+    FROM rule_targets rt
+    JOIN chat_webhooks cw ON cw.id = rt.webhook_id
+    WHERE rt.tenant_id = $1 AND rt.rule_id = $2
+    ORDER BY rt.position ASC, rt.id ASC
+  `, [tenantId, ruleId]);
+  return result.rows;
+}
+
+/**
+ * Validate targets from a request body
+ * @param {Array} targets - [{ webhook_id, template_mode, custom_template, enabled }]
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateTargets(targets) {
+  if (!Array.isArray(targets)) {
+    return ['targets must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  targets.forEach((target, index) => {
+    const webhookId = parseInt(target?.webhook_id);
+    const templateMode = target?.template_mode || null;
+    const label = `targets[${index}]`;
+
+    if (!webhookId) {
+      errors.push(`${label}.webhook_id is required`);
+    } else if (seen.has(webhookId)) {
+      errors.push(`${label}: webhook ${webhookId} is listed twice`);
+    }
+    seen.add(webhookId);
+
+    if (templateMode && !TEMPLATE_MODES.includes(templateMode)) {
+      errors.push(`${label}.template_mode must be one of ${TEMPLATE_MODES.join(', ')}`);
+    }
+    if (templateMode === 'custom' && !target.custom_template) {
+      errors.push(`${label}.custom_template is required for custom mode`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Normalize validated targets
+ * @private
+ */
+function normalizeTargets(targets) {
+  const errors = validateTargets(targets);
+  if (errors.length > 0) {
+    throw targetError(`Invalid targets: ${errors.join('; ')}`);
+  }
+
+  return targets.map(target => ({
+    webhook_id: parseInt(target.webhook_id),
+    template_mode: target.template_mode || null,
+    custom_template: target.template_mode === 'custom' ? target.custom_template : null,
+    enabled: target.enabled !== false
+  }));
+}
+
+/**
+ * Replace a rule's targets in one transaction
+ * The first enabled target becomes the rule's primary target_webhook_id. An empty list removes
+ * all targets, so the rule delivers to target_webhook_id alone again.
+ * @param {number} tenantId - Tenant ID
+ * @param {number} ruleId - Rule ID
+ * @param {Array} targets - [{ webhook_id, template_mode, custom_template, enabled }]
+ * @returns {Promise<Array>} The saved targets (see getRuleTargets)
+ */
+async function setRuleTargets(tenantId, ruleId, targets) {
+  const normalized = normalizeTargets(targets);
+
+  if (normalized.length > 0) {
+    const webhookIds = normalized.map(target => target.webhook_id);
+    const owned = await pool.query(
+      'SELECT id FROM chat_webhooks WHERE tenant_id = $1 AND id = ANY($2::int[])',
+      [tenantId, webhookIds]
+    );
+    const ownedIds = new Set(owned.rows.map(row => row.id));
+    const missing = webhookIds.filter(id => !ownedIds.has(id));
+    if (missing.length > 0) {
+      throw targetError(`Unknown webhook(s): ${missing.join(', ')}`);
+    }
+  }
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+
+    const ruleResult = await db.query('SELECT id FROM rules WHERE tenant_id = $1 AND id = $2 FOR UPDATE', [tenantId, ruleId]);
+    if (ruleResult.rows.length === 0) {
+      throw targetError('Rule not found', 'RULE_NOT_FOUND');
+    }
+
+    await db.query('DELETE FROM rule_targets WHERE tenant_id = $1 AND rule_id = $2', [tenantId, ruleId]);
+    for (const [position, target] of normalized.entries()) {
+      await db.query(`
+        INSERT INTO rule_targets (tenant_id, rule_id, webhook_id, position, template_mode, custom_template, enabled)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [tenantId, ruleId, target.webhook_id, position, target.template_mode, target.custom_template, target.enabled]);
+    }
+
+    const primary = normalized.find(target => target.enabled) || normalized[0];
+    if (primary) {
+      await db.query(`
+        UPDATE rules SET target_webhook_id = $3, updated_at = NOW()
+        WHERE tenant_id = $1 AND id = $2 AND target_webhook_id IS DISTINCT FROM $3
+      `, [tenantId, ruleId, primary.webhook_id]);
+    }
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  return getRuleTargets(tenantId, ruleId);
+}
+
+/**
+ * The rule as delivered to one webhook, with that target's template override applied
+ * @param {Object} rule - Rule row with a targets array (see database.getRulesForEvent)
+ * @param {number} webhookId - Webhook the notification is sent to
+ * @returns {Object} The rule itself, or a copy with template_mode/custom_template overridden
+ */
+function withTargetOverrides(rule, webhookId) {
+  const target = (rule.targets || []).find(t => t.webhook_id === webhookId);
+  if (!target || !target.template_mode) {
+    return rule;
+  }
+  return {
+    ...rule,
+    template_mode: target.template_mode,
+    custom_template: target.template_mode === 'custom' ? target.custom_template : rule.custom_template
+  };
+}
+
+module.exports = {
+  validateTargets,
+  getRuleTargets,
+  setRuleTargets,
+  withTargetOverrides
+};
@@ -0,0 +1,369 @@
+const { pool } = require('./database');
+const { diffStates } = require('./auditLog');
+
+/**
+ * Rule Versions Service
+ * Rule history is written by the rules_record_version trigger (migration 029); this module reads it,
+ * takes named snapshots of a tenant's rule set, diffs any two versions/snapshots and restores them
+ * inside a transaction. Every restore first takes an automatic snapshot so it can be undone.
+ */
+
+// Columns copied back from a version or snapshot; ids, tenant and bookkeeping columns are not
+const RESTORABLE_COLUMNS = [
+  'name', 'event_type', 'filters', 'target_webhook_id', 'template_mode', 'custom_template', 'enabled',
+  'priority', 'delivery_mode', 'digest_interval_minutes', 'digest_time', 'thread_by_entity',
+  'use_routing'
+];
+const JSON_COLUMNS = new Set(['filters']);
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function versionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * List a rule's versions, newest first (works for deleted rules too)
+ * @param {number} tenantId - Tenant ID
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Array>} Versions with their rule snapshot
+ */
+async function listVersions(tenantId, ruleId) {
+  const result = await pool.query(`
+    SELECT id, rule_id, version, change_type, snapshot, created_at
+    FROM rule_versions
+    WHERE tenant_id = $1 AND rule_id = $2
+    ORDER BY version DESC
+  `, [tenantId, ruleId]);
+  return result.rows;
+}
+
+/**
+ * Get one version of a rule
+ * @param {number} tenantId - Tenant ID
+ * @param {number} ruleId - Rule ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Version row
+ * @throws {Error} code VERSION_NOT_FOUND
+ */
+async function getVersion(tenantId, ruleId, version) {
+  const result = await pool.query(
+    'SELECT * FROM rule_versions WHERE tenant_id = $1 AND rule_id = $2 AND version = $3',
+    [tenantId, ruleId, version]
+  );
+  if (result.rows.length === 0) {
+    throw versionError(`Version ${version} of rule ${ruleId} not found`, 'VERSION_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Snapshot the tenant's current rules
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} details - { name, description, type: manual|automatic }
+ * @param {Object} actor - req.tenant of the acting user (user_id, user_name)
+ * @param {Object} db - Pool or transaction client
+ * @returns {Promise<Object>} Snapshot row
+ */
+async function createSnapshot(tenantId, details, actor = {}, db = pool) {
+  const name = String(details.name || '').trim();
+  if (!name) {
+    throw versionError('Snapshot name is required', 'INVALID_SNAPSHOT');
+  }
+
+  const rules = await db.query('SELECT * FROM rules WHERE tenant_id = $1 ORDER BY id', [tenantId]);
+  const result = await db.query(`
+    INSERT INTO rule_snapshots (tenant_id, name, description, snapshot_type, rules, rule_count, created_by, created_by_name)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    tenantId,
+    name.slice(0, 255),
+    details.description || null,
+    details.type === 'automatic' ? 'automatic' : 'manual',
+    JSON.stringify(rules.rows),
+    rules.rows.length,
+    actor.user_id || null,
+    actor.user_name || null
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * List snapshots without their rule payloads
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Array>} Snapshots, newest first, with size_bytes
+ */
+async function listSnapshots(tenantId) {
+  const result = await pool.query(`
+    SELECT id, name, description, snapshot_type, rule_count, created_by_name, created_at,
+           pg_column_size(rules) AS size_bytes
+    FROM rule_snapshots
+    WHERE tenant_id = $1
+    ORDER BY created_at DESC
+  `, [tenantId]);
+  return result.rows;
+}
+
+/**
+ * Get a snapshot including its rules
+ * @param {number} tenantId - Tenant ID
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Snapshot row
+ * @throws {Error} code SNAPSHOT_NOT_FOUND
+ */
+async function getSnapshot(tenantId, snapshotId) {
+  const result = await pool.query(
+    'SELECT * FROM rule_snapshots WHERE tenant_id = $1 AND id = $2',
+    [tenantId, snapshotId]
+  );
+  if (result.rows.length === 0) {
+    throw versionError('Snapshot not found', 'SNAPSHOT_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Delete a manual snapshot (automatic pre-restore snapshots are kept)
+ * @param {number} tenantId - Tenant ID
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Deleted snapshot
+ */
+async function deleteSnapshot(tenantId, snapshotId) {
+  const snapshot = await getSnapshot(tenantId, snapshotId);
+  if (snapshot.snapshot_type !== 'manual') {
+    throw versionError('Automatic snapshots cannot be deleted', 'SNAPSHOT_PROTECTED');
+  }
+  await pool.query('DELETE FROM rule_snapshots WHERE tenant_id = $1 AND id = $2', [tenantId, snapshotId]);
+  return snapshot;
+}
+
+/**
+ * Resolve a reference to a set of rules
+ * Refs: "current", "snapshot:<id>" or "version:<ruleId>:<version>" (a deleted version is an empty set).
+ * @param {number} tenantId - Tenant ID
+ * @param {string} ref - Reference
+ * @returns {Promise<{label: string, rules: Array}>} Rules the reference stands for
+ */
+async function resolveRuleSet(tenantId, ref) {
+  const [kind, first, second] = String(ref || '').split(':');
+
+  if (kind === 'current') {
+    const result = await pool.query('SELECT * FROM rules WHERE tenant_id = $1 ORDER BY id', [tenantId]);
+    return { label: 'Current rules', rules: result.rows };
+  }
+  if (kind === 'snapshot' && first) {
+    const snapshot = await getSnapshot(tenantId, parseInt(first));
+    return { label: `Snapshot "${snapshot.name}"`, rules: snapshot.rules };
+  }
+  if (kind === 'version' && first && second) {
+    const version = await getVersion(tenantId, parseInt(first), parseInt(second));
+    return {
+      label: `Rule ${version.rule_id} v${version.version}`,
+      rules: version.change_type === 'deleted' ? [] : [version.snapshot]
+    };
+  }
+
+  throw versionError(`Invalid reference "${ref}" (use current, snapshot:<id> or version:<ruleId>:<version>)`, 'INVALID_REFERENCE');
+}
+
+/**
+ * Compare two rule sets by rule id
+ * @param {Array} fromRules - Older rule set
+ * @param {Array} toRules - Newer rule set
+ * @returns {Object} { added, removed, changed: [{ rule_id, name, changes }], unchanged }
+ */
+function diffRuleSets(fromRules, toRules) {
+  const fromById = new Map(fromRules.map(rule => [rule.id, rule]));
+  const toById = new Map(toRules.map(rule => [rule.id, rule]));
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [id, rule] of toById) {
+    if (!fromById.has(id)) {
+      diff.added.push({ rule_id: id, name: rule.name });
+      continue;
+    }
+    const changes = diffStates(fromById.get(id), rule);
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ rule_id: id, name: rule.name, changes });
+    } else {
+      diff.unchanged += 1;
+    }
+  }
+  for (const [id, rule] of fromById) {
+    if (!toById.has(id)) {
+      diff.removed.push({ rule_id: id, name: rule.name });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Diff two references (see resolveRuleSet)
+ * @param {number} tenantId - Tenant ID
+ * @param {string} fromRef - Older reference
+ * @param {string} toRef - Newer reference
+ * @returns {Promise<Object>} { from, to, added, removed, changed, unchanged }
+ */
+async function diffRefs(tenantId, fromRef, toRef) {
+  const [from, to] = await Promise.all([resolveRuleSet(tenantId, fromRef), resolveRuleSet(tenantId, toRef)]);
+  return { from: from.label, to: to.label, ...diffRuleSets(from.rules, to.rules) };
+}
+
+/**
+ * Write one rule from a version/snapshot back into rules (update in place, or re-create if deleted)
+ * @private
+ */
+async function applyRule(db, tenantId, rule, options) {
+  if (!options.webhookIds.has(rule.target_webhook_id)) {
+    return { action: 'skipped', rule_id: rule.id, name: rule.name, reason: 'Target webhook no longer exists' };
+  }
+
+  const columns = RESTORABLE_COLUMNS.filter(column => Object.prototype.hasOwnProperty.call(rule, column));
+  const values = columns.map(column => {
+    if (column === 'enabled' && options.activate) return true;
+    return JSON_COLUMNS.has(column) ? JSON.stringify(rule[column] ?? {}) : rule[column];
+  });
+
+  if (options.existingIds.has(rule.id)) {
+    const setClause = columns.map((column, index) => `${column} = $${index + 3}`).join(', ');
+    const result = await db.query(
+      `UPDATE rules SET ${setClause}, updated_at = NOW() WHERE tenant_id = $1 AND id = $2 RETURNING id, name`,
+      [tenantId, rule.id, ...values]
+    );
+    return { action: 'updated', rule_id: result.rows[0].id, name: result.rows[0].name };
+  }
+
+  // Re-create a deleted rule, keeping its id when asked and still free
+  let keepId = false;
+  if (options.preserveIds) {
+    const taken = await db.query('SELECT 1 FROM rules WHERE id = $1', [rule.id]);
+    keepId = taken.rows.length === 0;
+  }
+
+  const insertColumns = ['tenant_id', ...(keepId ? ['id'] : []), ...columns];
+  const insertValues = [tenantId, ...(keepId ? [rule.id] : []), ...values];
+  const placeholders = insertValues.map((_, index) => `$${index + 1}`).join(', ');
+  const result = await db.query(
+    `INSERT INTO rules (${insertColumns.join(', ')}) VALUES (${placeholders}) RETURNING id, name`,
+    insertValues
+  );
+
+  return { action: 'created', rule_id: result.rows[0].id, previous_rule_id: rule.id, name: result.rows[0].name };
+}
+
+/**
+ * Run restore work in a transaction that labels rule versions as "restored"
+ * and takes an automatic snapshot of the current rules first
+ * @private
+ */
+async function inRestoreTransaction(tenantId, backupName, actor, work) {
+  const db = await pool.connect();
+
+  try {
+    await db.query('BEGIN');
+    await db.query("SELECT set_config('pipenotify.rule_change', 'restored', true)");
+
+    const backup = await createSnapshot(tenantId, { name: backupName, type: 'automatic' }, actor, db);
+    const webhooks = await db.query('SELECT id FROM chat_webhooks WHERE tenant_id = $1', [tenantId]);
+    const current = await db.query('SELECT id FROM rules WHERE tenant_id = $1 FOR UPDATE', [tenantId]);
+
+    const result = await work(db, {
+      webhookIds: new Set(webhooks.rows.map(row => row.id)),
+      existingIds: new Set(current.rows.map(row => row.id))
+    });
+
+    await db.query('COMMIT');
+    return { ...result, backup_snapshot_id: backup.id };
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+/**
+ * Restore a snapshot
+ * overwriteExisting: rules end up exactly as in the snapshot (changed rules reverted, newer rules deleted);
+ * otherwise only rules missing since the snapshot are re-created.
+ * @param {number} tenantId - Tenant ID
+ * @param {number} snapshotId - Snapshot ID
+ * @param {Object} options - { overwriteExisting, preserveIds, activateRules }
+ * @param {Object} actor - req.tenant of the acting user
+ * @returns {Promise<Object>} { updated, created, deleted, skipped, backup_snapshot_id }
+ */
+async function restoreSnapshot(tenantId, snapshotId, options = {}, actor = {}) {
+  const snapshot = await getSnapshot(tenantId, snapshotId);
+  const overwrite = options.overwriteExisting === true;
+
+  return inRestoreTransaction(tenantId, `Before restoring "${snapshot.name}"`, actor, async (db, state) => {
+    const applyOptions = { ...state, preserveIds: options.preserveIds === true, activate: options.activateRules === true };
+    const outcome = { updated: [], created: [], deleted: [], skipped: [] };
+
+    for (const rule of snapshot.rules) {
+      if (state.existingIds.has(rule.id) && !overwrite) {
+        outcome.skipped.push({ rule_id: rule.id, name: rule.name, reason: 'Rule still exists' });
+        continue;
+      }
+      const applied = await applyRule(db, tenantId, rule, applyOptions);
+      outcome[applied.action].push(applied);
+    }
+
+    if (overwrite) {
+      const snapshotIds = new Set(snapshot.rules.map(rule => rule.id));
+      const removeIds = [...state.existingIds].filter(id => !snapshotIds.has(id));
+      if (removeIds.length > 0) {
+        const removed = await db.query(
+          'DELETE FROM rules WHERE tenant_id = $1 AND id = ANY($2) RETURNING id, name',
+          [tenantId, removeIds]
+        );
+        outcome.deleted = removed.rows.map(row => ({ rule_id: row.id, name: row.name }));
+      }
+    }
+
+    return outcome;
+  });
+}
+
+/**
+ * Roll a single rule back to one of its versions (re-creating it if it was deleted)
+ * @param {number} tenantId - Tenant ID
+ * @param {number} ruleId - Rule ID
+ * @param {number} versionNumber - Version to restore
+ * @param {Object} actor - req.tenant of the acting user
+ * @returns {Promise<Object>} { action, rule_id, name, backup_snapshot_id }
+ */
+async function rollbackRule(tenantId, ruleId, versionNumber, actor = {}) {
+  const version = await getVersion(tenantId, ruleId, versionNumber);
+  if (version.change_type === 'deleted') {
+    throw versionError('Pick the version before the deletion to restore a deleted rule', 'INVALID_REFERENCE');
+  }
+
+  return inRestoreTransaction(tenantId, `Before rolling back rule ${ruleId} to v${versionNumber}`, actor, async (db, state) => {
+    const applied = await applyRule(db, tenantId, version.snapshot, { ...state, preserveIds: true, activate: false });
+    if (applied.action === 'skipped') {
+      throw versionError(`Cannot roll back: ${applied.reason}`, 'WEBHOOK_MISSING');
+    }
+    return applied;
+  });
+}
+
+module.exports = {
+  listVersions,
+  getVersion,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  diffRefs,
+  diffRuleSets,
+  restoreSnapshot,
+  rollbackRule
+};
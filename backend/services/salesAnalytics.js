@@ -0,0 +1,451 @@
+const { pool } = require('./database');
+const { getTenantClient, getStageMap, getUserMap } = require('./pipedriveEnrichment');
+
+/**
+ * Sales Analytics
+ * Pipeline metrics computed from the deal event stream (deal_events, services/dealEvents.js):
+ * win rate, deal cycle, stage conversion funnel and time in stage per pipeline, and per-owner
+ * leaderboards, each compared with the previous period of the same length. Stage, pipeline and
+ * owner names come from the tenant's Pipedrive (cached by pipedriveEnrichment); without a
+ * connection ids are shown instead.
+ */
+
+const PERIODS = { '7d': 7, '30d': 30, '90d': 90 };
+const DAY_SECONDS = 24 * 60 * 60;
+// Stages need this many deals (or exits) before they are called out in recommendations
+const MIN_STAGE_SAMPLE = 5;
+
+// Latest close (won or lost) of each deal closed in [$2, $3)
+const CLOSES_CTE = `
+  closes AS (
+    SELECT DISTINCT ON (deal_id) deal_id, status, value, currency, owner_id, deal_added_at, occurred_at
+    FROM deal_events
+    WHERE tenant_id = $1 AND occurred_at >= $2 AND occurred_at < $3
+      AND status IN ('won', 'lost') AND previous_status IS DISTINCT FROM status
+    ORDER BY deal_id, occurred_at DESC, id DESC
+  )`;
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function analyticsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Round to a number of decimals, keeping null
+ * @private
+ */
+function round(value, decimals = 1) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * Win rate (0-1) of won and lost deals, null without closed deals
+ * @private
+ */
+function winRate(won, lost) {
+  return won + lost > 0 ? round(won / (won + lost), 4) : null;
+}
+
+/**
+ * Start and end of a period and of the period before it
+ * @param {string} period - 7d, 30d or 90d
+ * @param {Date} now - End of the period
+ * @returns {{start: Date, end: Date, previousStart: Date, days: number}} Bounds
+ */
+function getPeriodBounds(period, now = new Date()) {
+  const days = PERIODS[period];
+  if (!days) {
+    throw analyticsError(`period must be one of: ${Object.keys(PERIODS).join(', ')}`, 'INVALID_PERIOD');
+  }
+  const start = new Date(now.getTime() - days * DAY_SECONDS * 1000);
+  const previousStart = new Date(start.getTime() - days * DAY_SECONDS * 1000);
+  return { start, end: now, previousStart, days };
+}
+
+/**
+ * Stage and user names from Pipedrive; empty maps when Pipedrive is unreachable
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<{stages: Map, users: Map}>} getStageMap and getUserMap results
+ */
+async function loadNames(tenantId) {
+  try {
+    const client = await getTenantClient(tenantId);
+    if (!client) return { stages: new Map(), users: new Map() };
+
+    const [stages, users] = await Promise.all([
+      getStageMap(tenantId, client).catch(() => new Map()),
+      getUserMap(tenantId, client).catch(() => new Map())
+    ]);
+    return { stages, users };
+  } catch (error) {
+    console.warn(`⚠️ Pipedrive names unavailable for tenant ${tenantId}:`, error.message);
+    return { stages: new Map(), users: new Map() };
+  }
+}
+
+/**
+ * Created, won and lost deals, won value and cycle for [start, end)
+ * @private
+ */
+async function collectSummary(tenantId, start, end) {
+  const [closes, created] = await Promise.all([
+    pool.query(`
+      WITH ${CLOSES_CTE}
+      SELECT COUNT(*) FILTER (WHERE status = 'won')::int AS won,
+             COUNT(*) FILTER (WHERE status = 'lost')::int AS lost,
+             COALESCE(SUM(value) FILTER (WHERE status = 'won'), 0)::float AS won_value,
+             (AVG(EXTRACT(EPOCH FROM occurred_at - deal_added_at)) FILTER (WHERE status = 'won' AND deal_added_at IS NOT NULL))::float AS avg_cycle_seconds,
+             mode() WITHIN GROUP (ORDER BY currency) FILTER (WHERE status = 'won') AS currency
+      FROM closes
+    `, [tenantId, start, end]),
+    pool.query(`
+      SELECT COUNT(DISTINCT deal_id)::int AS deals_created
+      FROM deal_events
+      WHERE tenant_id = $1 AND occurred_at >= $2 AND occurred_at < $3 AND change_type = 'created'
+    `, [tenantId, start, end])
+  ]);
+
+  const { won, lost, won_value: wonValue, avg_cycle_seconds: cycleSeconds, currency } = closes.rows[0];
+  return {
+    deals_created: created.rows[0].deals_created,
+    won,
+    lost,
+    win_rate: winRate(won, lost),
+    won_value: round(wonValue, 2),
+    avg_deal_size: won > 0 ? round(wonValue / won, 2) : null,
+    avg_cycle_days: cycleSeconds !== null ? round(cycleSeconds / DAY_SECONDS) : null,
+    currency: currency || null
+  };
+}
+
+/**
+ * Per-owner created, won and lost deals, won value and cycle, best first
+ * @private
+ */
+async function collectOwners(tenantId, start, end, users) {
+  const [closes, created] = await Promise.all([
+    pool.query(`
+      WITH ${CLOSES_CTE}
+      SELECT owner_id,
+             COUNT(*) FILTER (WHERE status = 'won')::int AS won,
+             COUNT(*) FILTER (WHERE status = 'lost')::int AS lost,
+             COALESCE(SUM(value) FILTER (WHERE status = 'won'), 0)::float AS won_value,
+             (AVG(EXTRACT(EPOCH FROM occurred_at - deal_added_at)) FILTER (WHERE status = 'won' AND deal_added_at IS NOT NULL))::float AS avg_cycle_seconds
+      FROM closes
+      WHERE owner_id IS NOT NULL
+      GROUP BY owner_id
+    `, [tenantId, start, end]),
+    pool.query(`
+      SELECT owner_id, COUNT(DISTINCT deal_id)::int AS deals_created
+      FROM deal_events
+      WHERE tenant_id = $1 AND occurred_at >= $2 AND occurred_at < $3 AND change_type = 'created' AND owner_id IS NOT NULL
+      GROUP BY owner_id
+    `, [tenantId, start, end])
+  ]);
+
+  const owners = new Map();
+  const ownerEntry = ownerId => {
+    if (!owners.has(ownerId)) {
+      owners.set(ownerId, {
+        owner_id: ownerId,
+        name: users.get(ownerId)?.name || `User ${ownerId}`,
+        deals_created: 0,
+        won: 0,
+        lost: 0,
+        win_rate: null,
+        won_value: 0,
+        avg_cycle_days: null
+      });
+    }
+    return owners.get(ownerId);
+  };
+
+  for (const row of closes.rows) {
+    Object.assign(ownerEntry(row.owner_id), {
+      won: row.won,
+      lost: row.lost,
+      win_rate: winRate(row.won, row.lost),
+      won_value: round(row.won_value, 2),
+      avg_cycle_days: row.avg_cycle_seconds !== null ? round(row.avg_cycle_seconds / DAY_SECONDS) : null
+    });
+  }
+  for (const row of created.rows) {
+    ownerEntry(row.owner_id).deals_created = row.deals_created;
+  }
+
+  return [...owners.values()].sort((a, b) => b.won_value - a.won_value || b.won - a.won || b.deals_created - a.deals_created);
+}
+
+/**
+ * Stage conversion funnel and time in stage per pipeline
+ * A deal reached a stage when it was seen in that stage or a later one (by Pipedrive stage order,
+ * or stage id without Pipedrive); a stage's conversion is the share of those deals that reached
+ * the next stage, and for the last stage the share that was won.
+ * @private
+ */
+async function collectPipelines(tenantId, start, end, stageMap) {
+  const [visits, stageTimes] = await Promise.all([
+    pool.query(`
+      SELECT e.pipeline_id, e.deal_id, array_agg(DISTINCT s.stage_id) AS stage_ids, bool_or(e.status = 'won') AS won
+      FROM deal_events e
+      CROSS JOIN LATERAL (VALUES (e.stage_id), (e.previous_stage_id)) AS s(stage_id)
+      WHERE e.tenant_id = $1 AND e.occurred_at >= $2 AND e.occurred_at < $3
+        AND e.pipeline_id IS NOT NULL AND s.stage_id IS NOT NULL
+      GROUP BY e.pipeline_id, e.deal_id
+    `, [tenantId, start, end]),
+    pool.query(`
+      SELECT pipeline_id, previous_stage_id AS stage_id, COUNT(*)::int AS exits,
+             AVG(seconds_in_previous_stage)::float AS avg_seconds,
+             (percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds_in_previous_stage))::float AS median_seconds
+      FROM deal_events
+      WHERE tenant_id = $1 AND occurred_at >= $2 AND occurred_at < $3 AND seconds_in_previous_stage IS NOT NULL
+      GROUP BY 1, 2
+    `, [tenantId, start, end])
+  ]);
+
+  const pipelineNames = new Map([...stageMap.values()].map(stage => [stage.pipeline_id, stage.pipeline_name]));
+  const pipelines = new Map();
+  const getPipeline = pipelineId => {
+    if (!pipelines.has(pipelineId)) {
+      pipelines.set(pipelineId, { id: pipelineId, name: pipelineNames.get(pipelineId) || `Pipeline ${pipelineId}`, deals: [], stages: new Map() });
+    }
+    return pipelines.get(pipelineId);
+  };
+  const getStage = (stageId, fallbackPipelineId) => {
+    const known = stageMap.get(stageId);
+    const pipeline = getPipeline(known?.pipeline_id ?? fallbackPipelineId);
+    if (!pipeline.stages.has(stageId)) {
+      pipeline.stages.set(stageId, {
+        id: stageId,
+        name: known?.name || `Stage ${stageId}`,
+        order: known?.order_nr ?? stageId,
+        reached: 0,
+        conversion_rate: null,
+        exits: 0,
+        avg_days_in_stage: null,
+        median_days_in_stage: null
+      });
+    }
+    return { pipeline, stage: pipeline.stages.get(stageId) };
+  };
+
+  for (const row of visits.rows) {
+    const pipeline = getPipeline(row.pipeline_id);
+    const orders = row.stage_ids
+      .map(stageId => getStage(stageId, row.pipeline_id))
+      .filter(entry => entry.pipeline === pipeline)
+      .map(entry => entry.stage.order);
+    if (orders.length > 0) {
+      pipeline.deals.push({ maxOrder: Math.max(...orders), won: row.won });
+    }
+  }
+
+  for (const row of stageTimes.rows) {
+    const { stage } = getStage(row.stage_id, row.pipeline_id);
+    stage.exits += row.exits;
+    stage.avg_days_in_stage = round(row.avg_seconds / DAY_SECONDS);
+    stage.median_days_in_stage = round(row.median_seconds / DAY_SECONDS);
+  }
+
+  // Every Pipedrive stage of a pipeline with activity, so the funnel shows stages nobody reached
+  for (const known of stageMap.values()) {
+    if (pipelines.has(known.pipeline_id)) getStage(known.id, known.pipeline_id);
+  }
+
+  return [...pipelines.values()]
+    .filter(pipeline => pipeline.deals.length > 0 || [...pipeline.stages.values()].some(stage => stage.exits > 0))
+    .map(pipeline => {
+      const stages = [...pipeline.stages.values()].sort((a, b) => a.order - b.order);
+      stages.forEach(stage => {
+        stage.reached = pipeline.deals.filter(deal => deal.maxOrder >= stage.order).length;
+      });
+      const won = pipeline.deals.filter(deal => deal.won).length;
+      stages.forEach((stage, index) => {
+        const next = index < stages.length - 1 ? stages[index + 1].reached : won;
+        stage.conversion_rate = stage.reached > 0 ? round(next / stage.reached, 4) : null;
+      });
+      return { id: pipeline.id, name: pipeline.name, deals: pipeline.deals.length, won, stages };
+    })
+    .sort((a, b) => b.deals - a.deals);
+}
+
+/**
+ * Pipeline metrics of a tenant for a period
+ * @param {number} tenantId - Tenant ID
+ * @param {string} period - 7d, 30d or 90d
+ * @returns {Promise<Object>} { period, period_start, period_end, data_since, summary, previous, pipelines, owners }
+ */
+async function getSalesMetrics(tenantId, period = '30d') {
+  const { start, end, previousStart } = getPeriodBounds(period);
+  const names = await loadNames(tenantId);
+
+  const [summary, previous, pipelines, owners, since] = await Promise.all([
+    collectSummary(tenantId, start, end),
+    collectSummary(tenantId, previousStart, start),
+    collectPipelines(tenantId, start, end, names.stages),
+    collectOwners(tenantId, start, end, names.users),
+    pool.query('SELECT MIN(occurred_at) AS data_since FROM deal_events WHERE tenant_id = $1', [tenantId])
+  ]);
+
+  return {
+    period,
+    period_start: start.toISOString(),
+    period_end: end.toISOString(),
+    data_since: since.rows[0].data_since,
+    summary,
+    previous,
+    pipelines,
+    owners
+  };
+}
+
+/**
+ * Amount in the deals' currency (plain number when the currency is unknown)
+ * @private
+ */
+function formatAmount(amount, currency) {
+  if (currency && /^[A-Z]{3}$/.test(currency)) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  }
+  return Math.round(amount).toLocaleString('en-US');
+}
+
+const percent = rate => `${Math.round(rate * 100)}%`;
+
+/**
+ * Narrative summary of the period
+ * @private
+ */
+function describePeriod(metrics, days) {
+  const { summary, previous, pipelines } = metrics;
+  const closed = summary.won + summary.lost;
+  if (closed === 0 && summary.deals_created === 0) {
+    return `No deal activity was recorded in the last ${days} days. Deal analytics are built from Pipedrive deal ` +
+      'webhooks as they arrive, so figures appear once deals are created, moved or closed.';
+  }
+
+  const sentences = [];
+  if (closed > 0) {
+    let sentence = `In the last ${days} days your team won ${summary.won} of ${closed} closed deals (${percent(summary.win_rate)} win rate`;
+    if (previous.win_rate !== null) {
+      const delta = Math.round((summary.win_rate - previous.win_rate) * 100);
+      sentence += delta === 0 ? ', unchanged on the previous period' : `, ${delta > 0 ? 'up' : 'down'} ${Math.abs(delta)} points on the previous period`;
+    }
+    sentence += `) worth ${formatAmount(summary.won_value, summary.currency)}.`;
+    sentences.push(sentence);
+  } else {
+    sentences.push(`No deals were closed in the last ${days} days.`);
+  }
+
+  if (summary.deals_created > 0) {
+    sentences.push(`${summary.deals_created} new deal${summary.deals_created === 1 ? ' was' : 's were'} created` +
+      (summary.avg_cycle_days !== null ? ` and won deals took ${summary.avg_cycle_days} days on average from creation to close.` : '.'));
+  }
+
+  const slowest = slowestStage(pipelines);
+  if (slowest) {
+    sentences.push(`Deals spent longest in ${slowest.stage.name} (${slowest.pipeline.name}), ${slowest.stage.avg_days_in_stage} days on average.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Stage with the longest average time in stage (enough exits to be meaningful)
+ * @private
+ */
+function slowestStage(pipelines) {
+  let slowest = null;
+  for (const pipeline of pipelines) {
+    for (const stage of pipeline.stages) {
+      if (stage.exits >= MIN_STAGE_SAMPLE && stage.avg_days_in_stage !== null &&
+          (!slowest || stage.avg_days_in_stage > slowest.stage.avg_days_in_stage)) {
+        slowest = { pipeline, stage };
+      }
+    }
+  }
+  return slowest;
+}
+
+/**
+ * Recommendations derived from the period's bottlenecks and trends
+ * @private
+ */
+function recommend(metrics) {
+  const { summary, previous, pipelines, owners } = metrics;
+  const recommendations = [];
+
+  let weakest = null;
+  for (const pipeline of pipelines) {
+    // The last stage converts to won, which the win rate already covers
+    for (const stage of pipeline.stages.slice(0, -1)) {
+      if (stage.reached >= MIN_STAGE_SAMPLE && stage.conversion_rate !== null &&
+          (!weakest || stage.conversion_rate < weakest.stage.conversion_rate)) {
+        weakest = { pipeline, stage };
+      }
+    }
+  }
+  if (weakest && weakest.stage.conversion_rate < 0.5) {
+    recommendations.push(`Only ${percent(weakest.stage.conversion_rate)} of deals in ${weakest.stage.name} (${weakest.pipeline.name}) move on to the next stage; review what stalls deals there.`);
+  }
+
+  const slowest = slowestStage(pipelines);
+  if (slowest) {
+    recommendations.push(`Deals wait ${slowest.stage.avg_days_in_stage} days in ${slowest.stage.name} (${slowest.pipeline.name}) on average; a stalled-deal alert for this stage would surface them sooner.`);
+  }
+
+  if (summary.win_rate !== null && previous.win_rate !== null && previous.win_rate - summary.win_rate >= 0.05) {
+    recommendations.push(`Win rate fell from ${percent(previous.win_rate)} to ${percent(summary.win_rate)}; go through the deals lost this period for common reasons.`);
+  }
+
+  if (previous.deals_created >= MIN_STAGE_SAMPLE && summary.deals_created < previous.deals_created * 0.8) {
+    recommendations.push(`${summary.deals_created} new deals were created against ${previous.deals_created} in the previous period; pipeline generation needs attention.`);
+  }
+
+  if (owners.length > 1 && owners[0].won > 0) {
+    const top = owners[0];
+    recommendations.push(`${top.name} won ${top.won} deal${top.won === 1 ? '' : 's'} worth ${formatAmount(top.won_value, summary.currency)}; share what works with the rest of the team.`);
+  }
+
+  if (recommendations.length === 0) {
+    recommendations.push('No stage stands out as a bottleneck this period; keep the current pace and compare again next period.');
+  }
+  return recommendations;
+}
+
+/**
+ * Executive report of a period: headline metrics, narrative summary and recommendations
+ * @param {number} tenantId - Tenant ID
+ * @param {string} period - 7d, 30d or 90d
+ * @returns {Promise<Object>} { id, tenant_id, period, generated_at, metrics, previous_metrics, summary, recommendations }
+ */
+async function buildExecutiveReport(tenantId, period = '30d') {
+  const metrics = await getSalesMetrics(tenantId, period);
+  const { summary, previous } = metrics;
+
+  return {
+    id: `${tenantId}-${period}-${metrics.period_end.slice(0, 10)}`,
+    tenant_id: tenantId,
+    period,
+    generated_at: metrics.period_end,
+    data_since: metrics.data_since,
+    metrics: summary,
+    previous_metrics: previous,
+    summary: describePeriod(metrics, PERIODS[period]),
+    recommendations: recommend(metrics)
+  };
+}
+
+module.exports = {
+  PERIODS,
+  getPeriodBounds,
+  loadNames,
+  getSalesMetrics,
+  buildExecutiveReport
+};
@@ -0,0 +1,564 @@
+const { pool } = require('./database');
+const { ReportGenerator, REPORTER_CONFIG } = require('./systemReporter');
+const { getQuietHours } = require('./quietHours');
+const { getTimezoneOffset, formatDigestText } = require('./digests');
+const { sendEmail } = require('./emailTransport');
+
+/**
+ * Scheduled Reports
+ * Tenant reports (report_subscriptions, migration 035) sent daily, weekly (Mondays) or monthly
+ * (on the 1st) at a local hour in the tenant's timezone. A report covers the tenant's
+ * notification deliveries for the period plus service health from systemReporter; it is built in
+ * the digest shape, so every channel provider renders it as a card (ChatClient.sendDigest), and
+ * rendered to HTML for email recipients (emailTransport). Each send is kept in report_delivery_log.
+ */
+
+const REPORT_TYPES = {
+  executive_summary: { label: 'Executive Summary' },
+  technical_deep_dive: { label: 'Technical Deep Dive' }
+};
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shared so reports due in the same minute reuse the aggregator's 15 minute cache
+const reportGenerator = new ReportGenerator();
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function reportError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Next send time of a report: sendHour local time, on Mondays for weekly and the 1st for monthly
+ * @param {string} frequency - daily, weekly or monthly
+ * @param {number} sendHour - Local hour (0-23)
+ * @param {string} timeZone - Tenant IANA timezone
+ * @param {Date} now - Reference time
+ * @returns {Date} Next run after now
+ */
+function getNextRunTime(frequency, sendHour, timeZone = 'UTC', now = new Date()) {
+  try {
+    const local = new Date(now.getTime() + getTimezoneOffset(now, timeZone));
+    for (let day = 0; day <= 62; day++) {
+      const localTarget = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + day, sendHour));
+      if (frequency === 'weekly' && localTarget.getUTCDay() !== 1) continue;
+      if (frequency === 'monthly' && localTarget.getUTCDate() !== 1) continue;
+
+      const candidate = new Date(localTarget.getTime() - getTimezoneOffset(localTarget, timeZone));
+      if (candidate > now) return candidate;
+    }
+  } catch {
+    if (timeZone !== 'UTC') return getNextRunTime(frequency, sendHour, 'UTC', now);
+  }
+  return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * API shape of a report_subscriptions row
+ * @private
+ */
+function formatReport(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.report_type,
+    frequency: row.frequency,
+    recipients: row.recipients || [],
+    webhookId: row.webhook_id,
+    webhookName: row.webhook_name || null,
+    sendHour: row.send_hour,
+    enabled: row.active,
+    lastRun: row.last_delivered,
+    nextRun: row.active ? row.next_run_at : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Validate a report from the API ({ name, type, frequency, recipients, webhookId, sendHour, enabled })
+ * Fields missing from an update keep their current value.
+ * @private
+ */
+async function validateReport(tenantId, input, current = null) {
+  const pick = (key, fallback) => (input[key] !== undefined ? input[key] : fallback);
+  const report = {
+    name: String(pick('name', current?.name) || '').trim(),
+    report_type: pick('type', current?.report_type || 'executive_summary'),
+    frequency: pick('frequency', current?.frequency || 'weekly'),
+    recipients: pick('recipients', current?.recipients || []),
+    webhook_id: pick('webhookId', current ? current.webhook_id : null),
+    send_hour: pick('sendHour', current ? current.send_hour : 8),
+    active: pick('enabled', current ? current.active : true)
+  };
+
+  if (!report.name || report.name.length > 100) {
+    throw reportError('name is required (at most 100 characters)', 'INVALID_REPORT');
+  }
+  if (!REPORT_TYPES[report.report_type]) {
+    throw reportError(`type must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`, 'INVALID_REPORT');
+  }
+  if (!FREQUENCIES.includes(report.frequency)) {
+    throw reportError(`frequency must be one of: ${FREQUENCIES.join(', ')}`, 'INVALID_REPORT');
+  }
+  if (!Array.isArray(report.recipients) || report.recipients.length > MAX_RECIPIENTS) {
+    throw reportError(`recipients must be a list of at most ${MAX_RECIPIENTS} email addresses`, 'INVALID_REPORT');
+  }
+  report.recipients = [...new Set(report.recipients.map(email => String(email).trim().toLowerCase()))];
+  const invalid = report.recipients.find(email => !EMAIL_PATTERN.test(email));
+  if (invalid) {
+    throw reportError(`Invalid email address: ${invalid}`, 'INVALID_REPORT');
+  }
+  const sendHour = Number(report.send_hour);
+  if (!Number.isInteger(sendHour) || sendHour < 0 || sendHour > 23) {
+    throw reportError('sendHour must be an hour from 0 to 23', 'INVALID_REPORT');
+  }
+  report.send_hour = sendHour;
+  if (typeof report.active !== 'boolean') {
+    throw reportError('enabled must be true or false', 'INVALID_REPORT');
+  }
+
+  if (report.webhook_id !== null && report.webhook_id !== '') {
+    const webhook = await pool.query(
+      'SELECT id FROM chat_webhooks WHERE tenant_id = $1 AND id = $2',
+      [tenantId, parseInt(report.webhook_id) || 0]
+    );
+    if (webhook.rows.length === 0) {
+      throw reportError(`Unknown webhook: ${report.webhook_id}`, 'INVALID_REPORT');
+    }
+    report.webhook_id = webhook.rows[0].id;
+  } else {
+    report.webhook_id = null;
+  }
+
+  if (report.recipients.length === 0 && !report.webhook_id) {
+    throw reportError('Add at least one email recipient or a Chat webhook', 'INVALID_REPORT');
+  }
+  return report;
+}
+
+/**
+ * Load one of the tenant's reports
+ * @private
+ */
+async function getReportRow(tenantId, id) {
+  const result = await pool.query(`
+    SELECT rs.*, cw.name AS webhook_name
+    FROM report_subscriptions rs
+    LEFT JOIN chat_webhooks cw ON cw.id = rs.webhook_id
+    WHERE rs.tenant_id = $1 AND rs.id = $2
+  `, [tenantId, id]);
+
+  if (result.rows.length === 0) {
+    throw reportError('Scheduled report not found', 'REPORT_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Scheduled reports of a tenant
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Array>} Reports in API shape
+ */
+async function listReports(tenantId) {
+  const result = await pool.query(`
+    SELECT rs.*, cw.name AS webhook_name
+    FROM report_subscriptions rs
+    LEFT JOIN chat_webhooks cw ON cw.id = rs.webhook_id
+    WHERE rs.tenant_id = $1
+    ORDER BY rs.created_at ASC
+  `, [tenantId]);
+  return result.rows.map(formatReport);
+}
+
+/**
+ * Get one scheduled report
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Report ID
+ * @returns {Promise<Object>} Report in API shape
+ */
+async function getReport(tenantId, id) {
+  return formatReport(await getReportRow(tenantId, id));
+}
+
+/**
+ * Create a scheduled report
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} input - { name, type, frequency, recipients, webhookId, sendHour, enabled }
+ * @returns {Promise<Object>} Created report in API shape
+ */
+async function createReport(tenantId, input) {
+  const report = await validateReport(tenantId, input);
+  const { timezone } = await getQuietHours(tenantId);
+
+  const result = await pool.query(`
+    INSERT INTO report_subscriptions (tenant_id, name, report_type, frequency, recipients, webhook_id, send_hour, active,
+                                      delivery_method, next_run_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING id
+  `, [
+    tenantId, report.name, report.report_type, report.frequency, report.recipients, report.webhook_id,
+    report.send_hour, report.active, report.recipients.length > 0 ? 'email' : 'webhook',
+    getNextRunTime(report.frequency, report.send_hour, timezone)
+  ]);
+  return getReport(tenantId, result.rows[0].id);
+}
+
+/**
+ * Update a scheduled report; a changed schedule takes effect from now
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Report ID
+ * @param {Object} input - Fields to change (see createReport)
+ * @returns {Promise<{before: Object, report: Object}>} Report before and after the change
+ */
+async function updateReport(tenantId, id, input) {
+  const current = await getReportRow(tenantId, id);
+  const report = await validateReport(tenantId, input, current);
+  const { timezone } = await getQuietHours(tenantId);
+
+  await pool.query(`
+    UPDATE report_subscriptions
+    SET name = $3, report_type = $4, frequency = $5, recipients = $6, webhook_id = $7, send_hour = $8, active = $9,
+        delivery_method = $10, next_run_at = $11, updated_at = NOW()
+    WHERE tenant_id = $1 AND id = $2
+  `, [
+    tenantId, id, report.name, report.report_type, report.frequency, report.recipients, report.webhook_id,
+    report.send_hour, report.active, report.recipients.length > 0 ? 'email' : 'webhook',
+    getNextRunTime(report.frequency, report.send_hour, timezone)
+  ]);
+  return { before: formatReport(current), report: await getReport(tenantId, id) };
+}
+
+/**
+ * Delete a scheduled report and its delivery history
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Report ID
+ * @returns {Promise<Object>} Deleted report in API shape
+ */
+async function deleteReport(tenantId, id) {
+  const current = await getReportRow(tenantId, id);
+  await pool.query('DELETE FROM report_subscriptions WHERE tenant_id = $1 AND id = $2', [tenantId, id]);
+  return formatReport(current);
+}
+
+/**
+ * Delivery history of a report, newest first
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Report ID
+ * @param {number} limit - Maximum rows
+ * @returns {Promise<Array>} report_delivery_log rows
+ */
+async function getDeliveryHistory(tenantId, id, limit = 50) {
+  await getReportRow(tenantId, id);
+  const result = await pool.query(`
+    SELECT id, delivery_method, delivery_status, recipient, error_message, last_attempt, delivered_at
+    FROM report_delivery_log
+    WHERE subscription_id = $1
+    ORDER BY last_attempt DESC, id DESC
+    LIMIT $2
+  `, [id, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]);
+  return result.rows;
+}
+
+/**
+ * Tenant notification stats for the report period
+ * @private
+ */
+async function collectTenantStats(tenantId, periodHours, reportType) {
+  const since = new Date(Date.now() - periodHours * 60 * 60 * 1000);
+
+  const [totals, rules, channels, deadLetters] = await Promise.all([
+    pool.query(`
+      SELECT COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE status = 'success')::int AS delivered,
+             COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+             ROUND(AVG(response_time_ms) FILTER (WHERE status = 'success'))::int AS avg_response_ms
+      FROM logs
+      WHERE tenant_id = $1 AND created_at >= $2
+    `, [tenantId, since]),
+    pool.query(`
+      SELECT COALESCE(r.name, 'Deleted rule') AS name, COUNT(*)::int AS total,
+             COUNT(*) FILTER (WHERE l.status = 'failed')::int AS failed
+      FROM logs l
+      LEFT JOIN rules r ON r.id = l.rule_id
+      WHERE l.tenant_id = $1 AND l.created_at >= $2 AND l.rule_id IS NOT NULL
+      GROUP BY 1
+      ORDER BY total DESC
+      LIMIT 5
+    `, [tenantId, since]),
+    reportType === 'technical_deep_dive'
+      ? pool.query(`
+          SELECT COALESCE(cw.name, 'Deleted webhook') AS name, cw.is_active, COUNT(*)::int AS total,
+                 COUNT(*) FILTER (WHERE l.status = 'failed')::int AS failed,
+                 ROUND(AVG(l.response_time_ms) FILTER (WHERE l.status = 'success'))::int AS avg_response_ms
+          FROM logs l
+          LEFT JOIN chat_webhooks cw ON cw.id = l.webhook_id
+          WHERE l.tenant_id = $1 AND l.created_at >= $2 AND l.webhook_id IS NOT NULL
+          GROUP BY 1, 2
+          ORDER BY total DESC
+          LIMIT 10
+        `, [tenantId, since])
+      : { rows: [] },
+    reportType === 'technical_deep_dive'
+      ? pool.query('SELECT COUNT(*)::int AS pending FROM dead_letters WHERE tenant_id = $1 AND status = $2', [tenantId, 'dead'])
+      : { rows: [{ pending: 0 }] }
+  ]);
+
+  return {
+    totals: totals.rows[0],
+    rules: rules.rows,
+    channels: channels.rows,
+    pendingDeadLetters: deadLetters.rows[0].pending
+  };
+}
+
+/**
+ * Percentage for display
+ * @private
+ */
+function formatRate(part, total) {
+  return total > 0 ? `${Math.round((part / total) * 1000) / 10}%` : '—';
+}
+
+/**
+ * Build a report in the digest shape ({ title, summary, groups, text })
+ * @param {Object} subscription - report_subscriptions row
+ * @returns {Promise<Object>} Report ready for ChatClient.sendDigest and renderReportHtml
+ */
+async function buildReport(subscription) {
+  const periodHours = REPORTER_CONFIG.DATA_PERIODS[subscription.frequency] || 24;
+  const stats = await collectTenantStats(subscription.tenant_id, periodHours, subscription.report_type);
+  const { totals } = stats;
+  const periodLabel = { daily: 'last 24 hours', weekly: 'last 7 days', monthly: 'last 30 days' }[subscription.frequency];
+
+  const groups = [{
+    label: 'Notifications',
+    summary: `${totals.total} sent · ${formatRate(totals.delivered, totals.total)} delivered`,
+    items: [
+      { text: `${totals.delivered} delivered, ${totals.failed} failed` },
+      totals.avg_response_ms !== null ? { text: `Average delivery time ${totals.avg_response_ms} ms` } : null
+    ].filter(Boolean),
+    more: 0
+  }];
+
+  if (stats.rules.length > 0) {
+    groups.push({
+      label: 'Busiest rules',
+      summary: `Top ${stats.rules.length} by notifications`,
+      items: stats.rules.map(rule => ({
+        text: `${rule.name}: ${rule.total} sent${rule.failed > 0 ? `, ${rule.failed} failed` : ''}`
+      })),
+      more: 0
+    });
+  }
+
+  if (subscription.report_type === 'technical_deep_dive') {
+    groups.push({
+      label: 'Channels',
+      summary: stats.pendingDeadLetters > 0
+        ? `${stats.pendingDeadLetters} notifications awaiting action in dead letters`
+        : 'No notifications awaiting action in dead letters',
+      items: stats.channels.map(channel => ({
+        text: `${channel.name}${channel.is_active === false ? ' (disabled)' : ''}: ${channel.total} sent, ` +
+          `${formatRate(channel.total - channel.failed, channel.total)} delivered` +
+          (channel.avg_response_ms !== null ? `, ${channel.avg_response_ms} ms avg` : '')
+      })),
+      more: 0
+    });
+  }
+
+  // Service-wide health from the system reporter, left out while it has no health history
+  const health = await reportGenerator.generateExecutiveSummary(periodHours).catch(() => null);
+  if (health?.summary && health.metadata?.dataCompleteness > 0) {
+    groups.push({
+      label: 'Service health',
+      summary: `Pipenotify status: ${health.summary.systemStatus}`,
+      items: [
+        { text: `Uptime ${health.summary.keyMetrics.systemUptime}%` },
+        { text: `Health score ${health.summary.overallHealthScore}/100` }
+      ],
+      more: 0
+    });
+  }
+
+  const report = {
+    title: `📊 ${subscription.name}`,
+    summary: `${REPORT_TYPES[subscription.report_type].label} · ${periodLabel}`,
+    groups
+  };
+  report.text = formatDigestText(report);
+  return report;
+}
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML email body for a report
+ * @param {Object} report - Report from buildReport
+ * @returns {string} HTML document
+ */
+function renderReportHtml(report) {
+  const sections = report.groups.map(group => `
+    <h2 style="font-size:16px;margin:24px 0 4px;">${escapeHtml(group.label)}</h2>
+    <p style="margin:0 0 8px;color:#555;">${escapeHtml(group.summary)}</p>
+    <ul style="margin:0;padding-left:20px;">
+      ${group.items.map(item => `<li>${item.url ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.text)}</a>` : escapeHtml(item.text)}</li>`).join('')}
+    </ul>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#222;max-width:600px;margin:0 auto;padding:16px;">
+    <h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(report.title)}</h1>
+    <p style="margin:0;color:#555;">${escapeHtml(report.summary)}</p>
+    ${sections}
+    <p style="margin-top:32px;font-size:12px;color:#888;">Sent by Pipenotify. Change or stop this report under Scheduled Reports in the dashboard.</p>
+  </body>
+</html>`;
+}
+
+/**
+ * Record one delivery in report_delivery_log
+ * @private
+ */
+async function logDelivery(subscriptionId, method, recipient, error = null) {
+  await pool.query(`
+    INSERT INTO report_delivery_log (subscription_id, delivery_method, delivery_status, recipient, delivered_at, error_message)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    subscriptionId,
+    method,
+    error ? 'failed' : (method === 'email' ? 'sent' : 'delivered'),
+    recipient,
+    error ? null : new Date(),
+    error ? error.message : null
+  ]);
+}
+
+/**
+ * Build a report and send it to its Chat webhook and email recipients
+ * @param {Object} subscription - report_subscriptions row
+ * @returns {Promise<{delivered: number, failed: number}>} Delivery counts
+ */
+async function runReport(subscription) {
+  const report = await buildReport(subscription);
+  const stats = { delivered: 0, failed: 0 };
+
+  if (subscription.webhook_id) {
+    const webhookResult = await pool.query(
+      'SELECT * FROM chat_webhooks WHERE tenant_id = $1 AND id = $2',
+      [subscription.tenant_id, subscription.webhook_id]
+    );
+    const webhook = webhookResult.rows[0];
+    try {
+      if (!webhook.is_active) {
+        throw new Error(webhook.disabled_reason ? `Webhook is disabled: ${webhook.disabled_reason}` : 'Webhook is disabled');
+      }
+      const { defaultChatClient } = require('./chatClient');
+      await defaultChatClient.sendDigest(webhook, report);
+      await logDelivery(subscription.id, 'webhook', webhook.name);
+      stats.delivered++;
+    } catch (error) {
+      console.error(`❌ Failed to post report ${subscription.id} to webhook ${webhook.id}:`, error.message);
+      await logDelivery(subscription.id, 'webhook', webhook.name, error);
+      stats.failed++;
+    }
+  }
+
+  if (subscription.recipients?.length > 0) {
+    const html = renderReportHtml(report);
+    for (const recipient of subscription.recipients) {
+      try {
+        await sendEmail({ to: recipient, subject: `${subscription.name} - ${report.summary}`, html, text: report.text });
+        await logDelivery(subscription.id, 'email', recipient);
+        stats.delivered++;
+      } catch (error) {
+        console.error(`❌ Failed to email report ${subscription.id} to ${recipient}:`, error.message);
+        await logDelivery(subscription.id, 'email', recipient, error);
+        stats.failed++;
+      }
+    }
+  }
+
+  await pool.query('UPDATE report_subscriptions SET last_delivered = NOW() WHERE id = $1', [subscription.id]);
+  return stats;
+}
+
+/**
+ * Send a report now, outside its schedule
+ * @param {number} tenantId - Tenant ID
+ * @param {number} id - Report ID
+ * @returns {Promise<{delivered: number, failed: number, deliveries: Array}>} Counts and latest history
+ */
+async function sendReportNow(tenantId, id) {
+  const subscription = await getReportRow(tenantId, id);
+  const stats = await runReport(subscription);
+  return { ...stats, deliveries: await getDeliveryHistory(tenantId, id, stats.delivered + stats.failed) };
+}
+
+/**
+ * Send every report that is due
+ * Each report is claimed by moving next_run_at forward first, so another instance running the
+ * same cron tick skips it.
+ * @returns {Promise<{processed: number, failed: number}>} Reports sent and deliveries that failed
+ */
+async function processScheduledReports() {
+  const due = await pool.query(`
+    SELECT * FROM report_subscriptions
+    WHERE active = true AND tenant_id IS NOT NULL AND next_run_at <= NOW()
+    ORDER BY next_run_at ASC
+    LIMIT 50
+  `);
+
+  const stats = { processed: 0, failed: 0 };
+  for (const subscription of due.rows) {
+    try {
+      const { timezone } = await getQuietHours(subscription.tenant_id);
+      const claimed = await pool.query(`
+        UPDATE report_subscriptions SET next_run_at = $3
+        WHERE id = $1 AND next_run_at = $2
+        RETURNING id
+      `, [subscription.id, subscription.next_run_at, getNextRunTime(subscription.frequency, subscription.send_hour, timezone)]);
+      if (claimed.rows.length === 0) continue;
+
+      const result = await runReport(subscription);
+      stats.processed++;
+      stats.failed += result.failed;
+    } catch (error) {
+      console.error(`❌ Error running scheduled report ${subscription.id}:`, error.message);
+      stats.failed++;
+    }
+  }
+  return stats;
+}
+
+module.exports = {
+  REPORT_TYPES,
+  FREQUENCIES,
+  getNextRunTime,
+  listReports,
+  getReport,
+  createReport,
+  updateReport,
+  deleteReport,
+  getDeliveryHistory,
+  buildReport,
+  renderReportHtml,
+  runReport,
+  sendReportNow,
+  processScheduledReports
+};
@@ -497,6 +497,21 @@ async function checkWebhookConnectivity(result) {
       LIMIT 10
     `);
 
+    // Webhooks the circuit breaker disabled stay off until a tenant admin re-enables them
+    const disabledWebhooks = await pool.query(`
+      SELECT COUNT(*) AS count, COUNT(DISTINCT tenant_id) AS tenants
+      FROM chat_webhooks
+      WHERE is_active = false AND disabled_reason IS NOT NULL
+    `);
+    const disabledCount = parseInt(disabledWebhooks.rows[0].count) || 0;
+    if (disabledCount > 0) {
+      result.addIssue('warning', `${disabledCount} webhooks auto-disabled after repeated permanent failures`, {
+        disabledCount,
+        tenantCount: parseInt(disabledWebhooks.rows[0].tenants) || 0,
+        action: 'Tenant admins must re-test and re-enable them from the dashboard'
+      });
+    }
+
     if (sampleWebhooks.rows.length === 0) {
       result.addIssue('warning', 'No active webhooks found for connectivity testing');
       return;
@@ -268,7 +268,16 @@ async function consolidateDuplicateTenants() {
         await pool.query(`UPDATE rules SET tenant_id = $1 WHERE tenant_id = $2`, [keepTenantId, mergeTenantId]);
         await pool.query(`UPDATE chat_webhooks SET tenant_id = $1 WHERE tenant_id = $2`, [keepTenantId, mergeTenantId]);
         await pool.query(`UPDATE logs SET tenant_id = $1 WHERE tenant_id = $2`, [keepTenantId, mergeTenantId]);
-        
+
+        // Owners of merged tenants become admins of the kept workspace
+        await pool.query(`
+          INSERT INTO tenant_users (tenant_id, pipedrive_user_id, email, name, role, status, last_login_at, created_at)
+          SELECT $1, pipedrive_user_id, email, name, CASE WHEN role = 'owner' THEN 'admin' ELSE role END, status, last_login_at, created_at
+          FROM tenant_users
+          WHERE tenant_id = $2
+          ON CONFLICT DO NOTHING
+        `, [keepTenantId, mergeTenantId]);
+
         // Delete the merged tenant
         await pool.query(`DELETE FROM tenants WHERE id = $1`, [mergeTenantId]);
       }
@@ -1,5 +1,6 @@
 const stripe = process.env.STRIPE_SECRET_KEY ? require('stripe')(process.env.STRIPE_SECRET_KEY) : null;
 const { pool } = require('./database');
+const { recordAuditEvent } = require('./auditLog');
 
 /**
  * Check if Stripe is configured and throw an error if not
@@ -219,6 +220,29 @@ async function createPortalSession(tenantId, returnUrl) {
   }
 }
 
+/**
+ * Record a plan change in the audit trail
+ * @param {Object} previous - Subscription row before the change (tenant_id, plan_tier, status)
+ * @param {Object} current - { plan_tier, status } after the change
+ * @param {string} source - Stripe event that caused the change
+ */
+async function auditPlanChange(previous, current, source) {
+  if (!previous) return;
+  if (previous.plan_tier === current.plan_tier && previous.status === current.status) return;
+
+  await recordAuditEvent({
+    tenantId: previous.tenant_id,
+    actorType: 'billing',
+    actorName: 'Stripe',
+    action: 'plan.changed',
+    entityType: 'subscription',
+    entityId: previous.tenant_id,
+    before: { plan_tier: previous.plan_tier, status: previous.status },
+    after: current,
+    metadata: { source }
+  });
+}
+
 /**
  * Handle successful checkout completion
  * @param {string} sessionId - Checkout session ID
@@ -232,6 +256,8 @@ async function handleCheckoutSuccess(sessionId) {
 
     console.log(`✅ Checkout successful for tenant ${tenantId}, upgrading to ${planTier}`);
 
+    const previous = await pool.query('SELECT tenant_id, plan_tier, status FROM subscriptions WHERE tenant_id = $1', [tenantId]);
+
     // Update subscription in database
     const now = new Date();
     await pool.query(`
@@ -255,6 +281,7 @@ async function handleCheckoutSuccess(sessionId) {
 
     // Log the upgrade
     console.log(`📈 Tenant ${tenantId} upgraded to ${planTier} plan`);
+    await auditPlanChange(previous.rows[0], { plan_tier: planTier, status: 'active' }, 'checkout.session.completed');
 
     return {
       success: true,
@@ -381,6 +408,11 @@ async function handleSubscriptionUpdated(subscription) {
     const tenantId = parseInt(subscription.metadata.tenant_id);
     const planTier = subscription.metadata.plan_tier;
 
+    const previous = await pool.query(
+      'SELECT tenant_id, plan_tier, status FROM subscriptions WHERE stripe_subscription_id = $1',
+      [subscription.id]
+    );
+
     await pool.query(`
       UPDATE subscriptions 
       SET 
@@ -399,6 +431,7 @@ async function handleSubscriptionUpdated(subscription) {
     ]);
 
     console.log(`📝 Subscription updated: ${subscription.id}, status: ${subscription.status}`);
+    await auditPlanChange(previous.rows[0], { plan_tier: planTier, status: subscription.status }, 'customer.subscription.updated');
 
   } catch (error) {
     console.error('Error handling subscription update:', error);
@@ -412,6 +445,11 @@ async function handleSubscriptionUpdated(subscription) {
 async function handleSubscriptionCanceled(subscription) {
   ensureStripeConfigured();
   try {
+    const previous = await pool.query(
+      'SELECT tenant_id, plan_tier, status FROM subscriptions WHERE stripe_subscription_id = $1',
+      [subscription.id]
+    );
+
     // Downgrade to free plan
     await pool.query(`
       UPDATE subscriptions 
@@ -425,6 +463,7 @@ async function handleSubscriptionCanceled(subscription) {
     `, [subscription.id]);
 
     console.log(`❌ Subscription canceled: ${subscription.id}`);
+    await auditPlanChange(previous.rows[0], { plan_tier: 'free', status: 'canceled' }, 'customer.subscription.deleted');
 
   } catch (error) {
     console.error('Error handling subscription cancellation:', error);
@@ -1,8 +1,22 @@
 /**
  * Custom Template Engine with Variable Substitution
  * Supports dynamic content generation for notifications
+ * Template syntax (conditionals, loops, filters) is parsed by templateLanguage.js;
+ * {{variable}} is canonical, legacy {variable} is still rendered
  */
 
+const {
+  parseTemplate,
+  renderTemplate,
+  collectVariables,
+  substituteParameters,
+  normalizeTemplateSyntax,
+  getLineColumn,
+  getPath,
+  FILTERS
+} = require('./templateLanguage');
+const { getWebhookChanges } = require('./fieldChanges');
+
 /**
  * Available template variables for different Pipedrive objects
  */
@@ -13,13 +27,17 @@ const TEMPLATE_VARIABLES = {
     'deal.value': 'Deal value with currency',
     'deal.currency': 'Deal currency code',
     'deal.stage': 'Current pipeline stage',
+    'deal.pipeline': 'Pipeline name',
     'deal.status': 'Deal status (open/won/lost)',
     'deal.probability': 'Win probability percentage',
     'deal.expected_close_date': 'Expected close date',
     'deal.owner_name': 'Deal owner name',
+    'deal.person_name': 'Contact person name',
+    'deal.org_name': 'Organization name',
     'deal.created_date': 'Deal creation date',
     'deal.last_activity': 'Last activity date',
     'deal.days_in_stage': 'Days in current stage',
+    'deal.labels': 'Deal labels (use with {{#each deal.labels}})',
     'deal.url': 'Direct link to deal in Pipedrive'
   },
   
@@ -58,6 +76,18 @@ const TEMPLATE_VARIABLES = {
     'activity.url': 'Direct link to activity in Pipedrive'
   },
   
+  // Change variables (update events that carry the previous version)
+  change: {
+    'change.value.from': 'Deal value before the update',
+    'change.value.to': 'Deal value after the update',
+    'change.value.percent': 'Percentage change of the deal value',
+    'change.stage.from': 'Previous stage name',
+    'change.stage.to': 'New stage name',
+    'change.stage.direction': 'Stage move within the pipeline (forward/backward)',
+    'change.owner.from': 'Previous owner name',
+    'change.owner.to': 'New owner name'
+  },
+  
   // User/Event variables
   user: {
     'user.name': 'User who triggered the event',
@@ -77,61 +107,61 @@ const TEMPLATE_VARIABLES = {
  */
 const DEFAULT_TEMPLATES = {
   'deal.added': `🎯 New Deal Created!
-📋 **{deal.title}** 
-💰 Value: {deal.value}
-👤 Owner: {deal.owner_name}
-🎯 Stage: {deal.stage}
-📅 Created: {event.timestamp}
+📋 **{{deal.title}}** 
+💰 Value: {{deal.value}}
+👤 Owner: {{deal.owner_name}}
+🎯 Stage: {{deal.stage}}
+📅 Created: {{event.timestamp}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
-  'deal.updated': `📈 Deal Updated: {deal.title}
-💰 Value: {deal.value} 
-🎯 Stage: {deal.stage}
-📊 Probability: {deal.probability}%
-👤 Owner: {deal.owner_name}
+  'deal.updated': `📈 Deal Updated: {{deal.title}}
+💰 Value: {{deal.value}} 
+🎯 Stage: {{deal.stage}}
+📊 Probability: {{deal.probability}}%
+👤 Owner: {{deal.owner_name}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
   'deal.won': `🎉 *Deal Won!* 🏆
 
-📋 *{deal.title}*
-💰 *{deal.value}*
-🎯 Stage: {deal.stage}
-👤 Owner: {deal.owner_name}
-📅 Closed: {event.timestamp}
+📋 *{{deal.title}}*
+💰 *{{deal.value}}*
+🎯 Stage: {{deal.stage}}
+👤 Owner: {{deal.owner_name}}
+📅 Closed: {{event.timestamp}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
   'deal.lost': `📉 Deal Lost
-📋 {deal.title}
-💰 Value: {deal.value}
-👤 Owner: {deal.owner_name}
-📅 Lost: {event.timestamp}
+📋 {{deal.title}}
+💰 Value: {{deal.value}}
+👤 Owner: {{deal.owner_name}}
+📅 Lost: {{event.timestamp}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
   'person.added': `👤 New Contact Added
-📋 **{person.name}**
-🏢 Company: {person.company}
-💼 Title: {person.title}
-📧 Email: {person.email}
-📞 Phone: {person.phone}
+📋 **{{person.name}}**
+🏢 Company: {{person.company}}
+💼 Title: {{person.title}}
+📧 Email: {{person.email}}
+📞 Phone: {{person.phone}}
 
-[View Contact]({person.url})`,
+[View Contact]({{person.url}})`,
 
-  'activity.added': `📅 New Activity: {activity.subject}
-🔄 Type: {activity.type}
-📅 Due: {activity.due_date} at {activity.due_time}
-👤 Owner: {activity.owner_name}
-⏰ Duration: {activity.duration}
+  'activity.added': `📅 New Activity: {{activity.subject}}
+🔄 Type: {{activity.type}}
+📅 Due: {{activity.due_date}} at {{activity.due_time}}
+👤 Owner: {{activity.owner_name}}
+⏰ Duration: {{activity.duration}}
 
-[View Activity]({activity.url})`
+[View Activity]({{activity.url}})`
 };
 
 /**
- * Process template with variable substitution
- * @param {string} template - Template string with variables in {variable.name} format
+ * Process template with variable substitution, conditionals and loops
+ * @param {string} template - Template string ({{variable | filter}}, {{#if}}, {{#each}}; legacy {variable.name} still works)
  * @param {Object} webhookData - Webhook data for variable extraction
  * @param {Object} options - Processing options
  * @returns {string} Processed template with variables substituted
@@ -151,33 +181,20 @@ function processTemplate(template, webhookData, options = {}) {
     // Add fallback values
     Object.assign(variables, fallbackValues);
     
-    // Replace variables in template
-    let processedTemplate = template;
-    
-    // Find all template variables {variable.name}
-    const variableRegex = /\{([^}]+)\}/g;
-    const matches = [...template.matchAll(variableRegex)];
+    const context = buildTemplateContext(webhookData, variables);
     
-    for (const match of matches) {
-      const fullMatch = match[0]; // {variable.name}
-      const variableName = match[1]; // variable.name
+    // Display-formatted values are used for plain output; conditions and filters see raw values
+    let processedTemplate = renderTemplate(template, (segments, { formatted }) => {
+      const variableName = segments.join('.');
+      const value = getVariableValue(variables, variableName);
       
-      let value = getVariableValue(variables, variableName);
-      
-      if (value === null || value === undefined) {
-        if (strictMode) {
-          throw new Error(`Template variable '${variableName}' not found`);
-        }
-        // Use fallback or empty string
-        value = fallbackValues[variableName] || `{${variableName}}`;
+      if (formatted && value !== null) {
+        return formatValue(value, variableName, format);
       }
       
-      // Format value based on variable type and output format
-      const formattedValue = formatValue(value, variableName, format);
-      
-      // Replace the variable
-      processedTemplate = processedTemplate.replace(fullMatch, formattedValue);
-    }
+      const rawValue = getPath(context, segments);
+      return rawValue !== undefined ? rawValue : value;
+    }, { strictMode, timezone });
     
     // Apply format-specific processing
     if (format === 'markdown') {
@@ -194,6 +211,75 @@ function processTemplate(template, webhookData, options = {}) {
   }
 }
 
+/**
+ * Build the nested variable context used by conditions, loops and filters
+ * Starts from the formatted variables and overlays raw Pipedrive fields of the event object,
+ * so {{#if deal.value > 10000}} compares numbers and {{#each deal.labels}} sees an array.
+ * @param {Object} webhookData - Webhook data
+ * @param {Object} variables - Flat variables from extractVariables
+ * @returns {Object} Nested context ({ deal: {...}, person: {...}, ... })
+ */
+function buildTemplateContext(webhookData, variables) {
+  const context = {};
+  
+  for (const [name, value] of Object.entries(variables)) {
+    const segments = name.split('.');
+    let target = context;
+    segments.slice(0, -1).forEach(segment => {
+      if (!target[segment] || typeof target[segment] !== 'object') {
+        target[segment] = {};
+      }
+      target = target[segment];
+    });
+    target[segments[segments.length - 1]] = value;
+  }
+  
+  const objectData = webhookData.current || webhookData.object || {};
+  const event = webhookData.event || '';
+  const entity = ['deal', 'person', 'organization', 'activity'].find(type => event.includes(type)) ||
+    (context.deal ? 'deal' : null);
+  
+  if (entity) {
+    const key = entity === 'organization' ? 'org' : entity;
+    const raw = { ...objectData };
+    
+    if (entity === 'deal') {
+      raw.value = Number(objectData.value) || 0;
+      raw.created_date = objectData.add_time;
+      raw.last_activity = objectData.last_activity_date;
+      raw.labels = getDealLabels(objectData);
+    }
+    
+    // Keep formatted values for names that only exist as derived variables (stage, url, owner_name, ...)
+    context[key] = { ...(context[key] || {}), ...raw };
+  }
+  
+  // Custom fields of related records, by name ({{person.custom.Preferred Language}})
+  if (entity !== 'person' && webhookData.person?.custom) {
+    context.person = { ...(context.person || {}), custom: webhookData.person.custom };
+  }
+  if (entity !== 'organization' && webhookData.organization?.custom) {
+    context.org = { ...(context.org || {}), custom: webhookData.organization.custom };
+  }
+  
+  context.previous = webhookData.previous || null;
+  
+  // Changed fields only: {{change.value.from}}, {{#if change.stage}}
+  context.change = getWebhookChanges(webhookData);
+  
+  return context;
+}
+
+/**
+ * Normalize deal labels to an array (label names when present, otherwise label ids)
+ */
+function getDealLabels(deal) {
+  if (Array.isArray(deal.labels)) return deal.labels;
+  if (Array.isArray(deal.label_ids)) return deal.label_ids;
+  if (deal.label === null || deal.label === undefined || deal.label === '') return [];
+  return String(deal.label).split(',').map(label => label.trim()).filter(Boolean);
+}
+
 /**
  * Extract variables from webhook data
  * @param {Object} webhookData - Webhook data
@@ -234,6 +320,19 @@ function extractVariables(webhookData, options = {}) {
     extractActivityVariables(variables, objectData, webhookData);
   }
   
+  // Related records attached by Pipedrive enrichment (e.g. the deal's contact person and organization)
+  if (webhookData.person && !event?.includes('person')) {
+    extractPersonVariables(variables, webhookData.person, webhookData);
+  }
+  
+  if (webhookData.organization && !event?.includes('organization')) {
+    extractOrganizationVariables(variables, webhookData.organization, webhookData);
+  }
+  
+  if (!variables['org.name'] && objectData.org_name) {
+    variables['org.name'] = objectData.org_name;
+  }
+  
   return variables;
 }
 
@@ -247,6 +346,9 @@ function extractDealVariables(variables, dealData, webhookData) {
   variables['deal.value'] = formatCurrency(deal.value, deal.currency);
   variables['deal.currency'] = deal.currency || 'USD';
   variables['deal.stage'] = deal.stage_name || deal.pipeline_name || 'Unknown Stage';
+  variables['deal.pipeline'] = deal.pipeline_name || '';
+  variables['deal.person_name'] = deal.person_name || '';
+  variables['deal.org_name'] = deal.org_name || '';
   variables['deal.status'] = deal.status || 'open';
   variables['deal.probability'] = deal.probability || 0;
   variables['deal.expected_close_date'] = formatDate(deal.expected_close_date);
@@ -340,7 +442,8 @@ function extractActivityVariables(variables, activityData, webhookData) {
  * Get variable value using dot notation
  */
 function getVariableValue(variables, variableName) {
-  return variables[variableName] || null;
+  const value = variables[variableName];
+  return value === undefined || value === null ? null : value;
 }
 
 /**
@@ -506,48 +609,152 @@ function getDefaultTemplate(eventType) {
 }
 
 /**
- * Validate template syntax
+ * Build sample webhook data for template previews
+ * @param {string} eventType - Event type such as 'deal.won' or 'person.added'
+ * @returns {Object} Webhook-shaped sample data
+ */
+function buildSampleWebhookData(eventType = 'deal.updated') {
+  const sampleData = {
+    event: eventType,
+    user: {
+      name: 'John Doe',
+      email: 'john@company.com'
+    },
+    company: {
+      name: 'Sample Company'
+    },
+    company_domain: 'sample-company',
+    company_id: 123
+  };
+  
+  if (eventType.includes('person')) {
+    sampleData.object = {
+      id: 67890,
+      name: 'Jane Smith',
+      first_name: 'Jane',
+      last_name: 'Smith',
+      email: [{ value: 'jane@example.com' }],
+      phone: [{ value: '+1-555-0123' }],
+      org_name: 'Acme Corporation',
+      job_title: 'Marketing Director',
+      owner_name: 'John Doe'
+    };
+  } else if (eventType.includes('activity')) {
+    sampleData.object = {
+      id: 11111,
+      subject: 'Follow-up Call',
+      type: 'call',
+      due_date: '2025-01-20',
+      due_time: '14:30',
+      duration: 30,
+      note: 'Discuss pricing and next steps',
+      owner_name: 'John Doe'
+    };
+  } else {
+    const status = eventType.includes('won') ? 'won' : eventType.includes('lost') ? 'lost' : 'open';
+    sampleData.object = {
+      id: 12345,
+      title: 'Sample Enterprise Deal',
+      value: 50000,
+      currency: 'USD',
+      pipeline_id: 1,
+      stage_id: 4,
+      stage_order_nr: 4,
+      stage_name: status === 'won' ? 'Won' : 'Negotiation',
+      status,
+      probability: status === 'won' ? 100 : 75,
+      expected_close_date: '2025-02-15',
+      owner_name: 'John Doe',
+      person_name: 'Jane Smith',
+      org_name: 'Acme Corporation',
+      lost_reason: status === 'lost' ? 'Budget constraints' : null,
+      label: 'Hot,Enterprise',
+      add_time: '2024-12-01T10:00:00Z',
+      stage_change_time: '2024-12-10T14:30:00Z'
+    };
+    sampleData.previous = {
+      ...sampleData.object,
+      stage_id: 3,
+      stage_order_nr: 3,
+      stage_name: 'Proposal Made',
+      value: 40000,
+      status: 'open'
+    };
+  }
+  
+  return sampleData;
+}
+
+/**
+ * Namespaces resolvable at render time; paths under these that are not in TEMPLATE_VARIABLES
+ * (e.g. deal.pipeline_id) are raw Pipedrive fields and only produce warnings
+ */
+const VARIABLE_NAMESPACES = ['deal', 'person', 'org', 'activity', 'user', 'event', 'company', 'previous', 'change'];
+
+/**
+ * Validate template syntax and variables
+ * @param {string} template - Template string
+ * @returns {{valid: boolean, errors: string[], warnings: string[], details: Array<{message: string, line: number, column: number, severity: string}>}}
+ *   errors/warnings are human readable strings including line and column; details carries the same data structured
  */
 function validateTemplate(template) {
   const errors = [];
+  const warnings = [];
+  const details = [];
   
   if (!template || typeof template !== 'string') {
     errors.push('Template must be a non-empty string');
-    return { valid: false, errors };
+    return { valid: false, errors, warnings, details };
   }
   
-  // Check for unclosed variables
-  const openBraces = (template.match(/\{/g) || []).length;
-  const closeBraces = (template.match(/\}/g) || []).length;
+  const report = (severity, message, line, column) => {
+    details.push({ severity, message, line, column });
+    (severity === 'error' ? errors : warnings).push(`${message} (line ${line}, column ${column})`);
+  };
+  
+  const { ast, errors: syntaxErrors } = parseTemplate(template);
   
-  if (openBraces !== closeBraces) {
-    errors.push('Unmatched braces in template variables');
+  for (const error of syntaxErrors) {
+    const { message, line, column } = error.templateError;
+    report('error', message, line, column);
   }
   
-  // Check for valid variable names
-  const variableRegex = /\{([^}]+)\}/g;
-  const matches = [...template.matchAll(variableRegex)];
+  const knownVariables = Object.values(TEMPLATE_VARIABLES).flatMap(group => Object.keys(group));
   
-  for (const match of matches) {
-    const variableName = match[1];
+  for (const reference of collectVariables(ast)) {
+    const { path, offset, inLoop } = reference;
+    const [namespace] = path.split('.');
+    
+    // this, @index and item properties are resolved against the current {{#each}} item
+    if (namespace === 'this' || namespace.startsWith('@') || (inLoop && !path.includes('.'))) {
+      continue;
+    }
     
-    if (!variableName.includes('.')) {
-      errors.push(`Invalid variable format: '${variableName}'. Use dot notation like 'deal.title'`);
+    // Custom fields are tenant-specific ({{deal.custom.Contract Length}}) and change.* covers any changed field
+    if (namespace === 'change' || (VARIABLE_NAMESPACES.includes(namespace) && path.split('.')[1] === 'custom')) {
+      continue;
     }
     
-    // Check if variable exists in our predefined list
-    const isValidVariable = Object.values(TEMPLATE_VARIABLES).some(group => 
-      Object.keys(group).includes(variableName)
-    );
+    const { line, column } = getLineColumn(template, offset);
     
-    if (!isValidVariable) {
-      errors.push(`Unknown variable: '${variableName}'. Check available variables.`);
+    if (!path.includes('.')) {
+      report('error', `Invalid variable format: '${path}'. Use dot notation like 'deal.title'`, line, column);
+    } else if (!knownVariables.includes(path)) {
+      if (VARIABLE_NAMESPACES.includes(namespace) || inLoop) {
+        report('warning', `Variable '${path}' is not a documented variable and renders only when present in the webhook data`, line, column);
+      } else {
+        report('error', `Unknown variable: '${path}'. Check available variables.`, line, column);
+      }
     }
   }
   
+  details.sort((a, b) => a.line - b.line || a.column - b.column);
+  
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    warnings,
+    details
   };
 }
 
@@ -558,11 +765,22 @@ function getAvailableVariables() {
   return TEMPLATE_VARIABLES;
 }
 
+/**
+ * Get filter names usable in {{variable | filter}} tags
+ */
+function getAvailableFilters() {
+  return Object.keys(FILTERS);
+}
+
 module.exports = {
   processTemplate,
   getDefaultTemplate,
   validateTemplate,
   getAvailableVariables,
+  getAvailableFilters,
+  buildSampleWebhookData,
+  substituteParameters,
+  normalizeTemplateSyntax,
   DEFAULT_TEMPLATES,
   TEMPLATE_VARIABLES
 };
\ No newline at end of file
@@ -0,0 +1,1099 @@
+/**
+ * Template Language Parser and Renderer
+ * Parses notification templates into a small AST and renders them against a variable resolver.
+ *
+ * Supported syntax:
+ *   {{deal.title}}                          - output tag
+ *   {{deal.title | truncate:40}}            - output with filters (chainable, args after ':')
+ *   {{person.name | default:"Unknown"}}     - fallback for empty values
+ *   {{#if deal.value > 10000}}...{{else if deal.value > 1000}}...{{else}}...{{/if}}
+ *   {{#unless deal.status == "won"}}...{{/unless}}
+ *   {{#each deal.labels}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+ *   {{! comment }}
+ *   {deal.title}                            - legacy single-brace substitution in plain text
+ *
+ * Expressions support comparisons (== != > >= < <= contains), && / || / ! (and/or/not),
+ * parentheses and string/number/boolean/null literals. Nothing is ever evaluated as JavaScript.
+ */
+
+const MAX_EACH_ITEMS = 100;
+const MAX_BLOCK_DEPTH = 20;
+// Per render, across all loops: nested {{#each}} blocks multiply, so each loop's cap is not enough
+const MAX_RENDER_ITERATIONS = 10000;
+const MAX_RENDER_LENGTH = 100000;
+const AST_CACHE_SIZE = 200;
+
+const astCache = new Map();
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Filters available in output tags: {{value | name:arg1,arg2}}
+ * Each filter receives the current value, its parsed arguments and the render options.
+ */
+const FILTERS = {
+  upper: value => toText(value).toUpperCase(),
+  uppercase: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  lowercase: value => toText(value).toLowerCase(),
+  capitalize: value => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: value => toText(value).replace(/\b\w/g, char => char.toUpperCase()),
+  trim: value => toText(value).trim(),
+  truncate: (value, [length = 50, suffix = '...']) => {
+    const text = toText(value);
+    const max = Math.max(0, parseInt(length, 10) || 0);
+    if (text.length <= max) return text;
+    const cut = Math.max(0, max - String(suffix).length);
+    return text.slice(0, cut).trimEnd() + suffix;
+  },
+  default: (value, [fallback = '']) => (isEmpty(value) ? fallback : value),
+  replace: (value, [search = '', replacement = '']) => toText(value).split(String(search)).join(String(replacement)),
+  date: (value, [pattern = 'MMM D, YYYY'], options) => formatDatePattern(value, String(pattern), options.timezone),
+  number: (value, [decimals]) => {
+    const number = toNumber(value);
+    if (number === null) return value;
+    const digits = decimals === undefined ? undefined : Math.max(0, Math.min(10, parseInt(decimals, 10) || 0));
+    return number.toLocaleString('en-US', {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits === undefined ? 2 : digits
+    });
+  },
+  currency: (value, [currency = 'USD']) => {
+    const number = toNumber(value);
+    if (number === null) return value;
+    try {
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: String(currency).toUpperCase(),
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2
+      }).format(number);
+    } catch {
+      return `${number.toLocaleString('en-US')} ${currency}`;
+    }
+  },
+  percent: (value, [decimals = 0]) => {
+    const number = toNumber(value);
+    return number === null ? value : `${number.toFixed(Math.max(0, parseInt(decimals, 10) || 0))}%`;
+  },
+  round: (value, [decimals = 0]) => {
+    const number = toNumber(value);
+    if (number === null) return value;
+    const factor = Math.pow(10, Math.max(0, parseInt(decimals, 10) || 0));
+    return Math.round(number * factor) / factor;
+  },
+  join: (value, [separator = ', ']) => (Array.isArray(value) ? value.map(toText).join(separator) : value),
+  length: value => {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+  },
+  first: value => (Array.isArray(value) ? value[0] : value),
+  last: value => (Array.isArray(value) ? value[value.length - 1] : value),
+  json: value => JSON.stringify(value === undefined ? null : value)
+};
+
+FILTERS.count = FILTERS.length;
+FILTERS.size = FILTERS.length;
+
+/**
+ * Convert a character offset into a 1-based line/column pair
+ * @private
+ */
+function getLineColumn(source, offset) {
+  const before = source.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Create a syntax error that carries the template position
+ * @private
+ */
+function createSyntaxError(message, source, offset) {
+  const { line, column } = getLineColumn(source, offset);
+  const error = new Error(`${message} (line ${line}, column ${column})`);
+  error.templateError = { message, line, column };
+  return error;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value.replace(/[, ]/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
+
+/**
+ * Stringify a resolved value for output
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    return toText(value.name ?? value.title ?? value.label ?? value.value ?? JSON.stringify(value));
+  }
+  return String(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Format a date with a moment-style pattern (YYYY, MMM, D, HH, mm, A, ...) in the given timezone
+ * Text inside [brackets] is left untouched.
+ */
+function formatDatePattern(value, pattern, timezone = 'UTC') {
+  if (isEmpty(value)) return '';
+
+  // Date-only strings (Pipedrive close dates) are calendar dates, not instants
+  const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  // Pipedrive timestamps ("2025-03-01 14:05:00") are UTC without a zone designator
+  const pipedriveTime = typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value);
+  let date;
+  if (value instanceof Date) date = value;
+  else if (dateOnly) date = new Date(`${value}T00:00:00Z`);
+  else if (pipedriveTime) date = new Date(`${value.replace(' ', 'T')}Z`);
+  else date = new Date(value);
+  if (isNaN(date.getTime())) return toText(value);
+
+  let parts;
+  try {
+    parts = getDateParts(date, dateOnly ? 'UTC' : timezone);
+  } catch {
+    parts = getDateParts(date, 'UTC');
+  }
+
+  const pad = n => String(n).padStart(2, '0');
+  const hour12 = parts.hour % 12 || 12;
+  const tokens = {
+    YYYY: String(parts.year),
+    YY: String(parts.year).slice(-2),
+    MMMM: MONTH_NAMES[parts.month - 1],
+    MMM: MONTH_NAMES[parts.month - 1].slice(0, 3),
+    MM: pad(parts.month),
+    M: String(parts.month),
+    DD: pad(parts.day),
+    D: String(parts.day),
+    ddd: parts.weekday,
+    HH: pad(parts.hour),
+    H: String(parts.hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    mm: pad(parts.minute),
+    ss: pad(parts.second),
+    A: parts.hour < 12 ? 'AM' : 'PM'
+  };
+
+  return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|ddd|HH|H|hh|h|mm|ss|A/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token]));
+}
+
+function getDateParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: parts.weekday
+  };
+}
+
+/**
+ * Split a tag expression into tokens
+ * @private
+ */
+function tokenizeExpression(text, baseOffset, source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const offset = baseOffset + i;
+
+    if (char === '"' || char === '\'') {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length && text[j] !== char) {
+        if (text[j] === '\\' && j + 1 < text.length) {
+          j++;
+        }
+        value += text[j];
+        j++;
+      }
+      if (j >= text.length) {
+        throw createSyntaxError('Unterminated string literal', source, offset);
+      }
+      tokens.push({ type: 'string', value, offset });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(text.slice(i));
+    if (number && (char !== '-' || !isValueToken(tokens[tokens.length - 1]))) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), offset });
+      i += number[0].length;
+      continue;
+    }
+
+    const operator = /^(==|!=|>=|<=|&&|\|\||[><!|:,()[\].])/.exec(text.slice(i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator[0], offset });
+      i += operator[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_@$][\w$]*/.exec(text.slice(i));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0], offset });
+      i += word[0].length;
+      continue;
+    }
+
+    throw createSyntaxError(`Unexpected character '${char}'`, source, offset);
+  }
+
+  tokens.push({ type: 'end', value: null, offset: baseOffset + text.length });
+  return tokens;
+}
+
+function isValueToken(token) {
+  return token && (token.type === 'number' || token.type === 'string' || token.type === 'word' ||
+    (token.type === 'op' && (token.value === ')' || token.value === ']')));
+}
+
+// Words that end a path instead of continuing a multi-word property name
+const PATH_STOP_WORDS = ['and', 'or', 'not', 'contains', 'true', 'false', 'null'];
+
+/**
+ * Recursive-descent parser over expression tokens
+ * @private
+ */
+function createExpressionParser(tokens, source) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const isWord = (value) => peek().type === 'word' && peek().value === value;
+  const describe = token => (token.type === 'end' ? 'end of tag' : `'${token.value}'`);
+
+  function expect(value) {
+    if (!isOp(value)) {
+      throw createSyntaxError(`Expected '${value}' but found ${describe(peek())}`, source, peek().offset);
+    }
+    return next();
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('||') || isWord('or')) {
+      next();
+      left = { type: 'logical', op: '||', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isOp('&&') || isWord('and')) {
+      next();
+      left = { type: 'logical', op: '&&', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isOp('!') || isWord('not')) {
+      next();
+      return { type: 'not', argument: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parsePrimary();
+    const token = peek();
+    const isComparison = (token.type === 'op' && ['==', '!=', '>', '>=', '<', '<='].includes(token.value)) ||
+      (token.type === 'word' && token.value === 'contains');
+
+    if (!isComparison) return left;
+    next();
+    return { type: 'compare', op: token.value, left, right: parsePrimary() };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (isOp('(')) {
+      next();
+      const expression = parseOr();
+      expect(')');
+      return expression;
+    }
+
+    if (token.type === 'string' || token.type === 'number') {
+      next();
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'word') {
+      if (token.value === 'true' || token.value === 'false') {
+        next();
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') {
+        next();
+        return { type: 'literal', value: null };
+      }
+      return parsePath();
+    }
+
+    throw createSyntaxError(`Unexpected ${describe(token)}`, source, token.offset);
+  }
+
+  function parsePath() {
+    const first = next();
+    const segments = [first.value];
+
+    while (isOp('.') || isOp('[')) {
+      if (next().value === '.') {
+        const segment = peek();
+        if (segment.type !== 'word' && segment.type !== 'number') {
+          throw createSyntaxError(`Expected property name after '.' but found ${describe(segment)}`, source, segment.offset);
+        }
+        let name = String(next().value);
+        // Custom field names may contain spaces: {{deal.custom.Contract Length}}
+        while (peek().type === 'word' && !PATH_STOP_WORDS.includes(peek().value)) {
+          name += ` ${next().value}`;
+        }
+        segments.push(name);
+      } else {
+        const key = peek();
+        if (key.type !== 'string' && key.type !== 'number') {
+          throw createSyntaxError('Expected a quoted property name or index inside [ ]', source, key.offset);
+        }
+        segments.push(String(next().value));
+        expect(']');
+      }
+    }
+
+    return { type: 'path', segments, path: segments.join('.'), offset: first.offset };
+  }
+
+  function parseFilters() {
+    const filters = [];
+    while (isOp('|')) {
+      next();
+      const name = peek();
+      if (name.type !== 'word') {
+        throw createSyntaxError(`Expected filter name after '|' but found ${describe(name)}`, source, name.offset);
+      }
+      next();
+      if (!FILTERS[name.value]) {
+        throw createSyntaxError(`Unknown filter '${name.value}'`, source, name.offset);
+      }
+
+      const args = [];
+      if (isOp(':')) {
+        next();
+        args.push(parsePrimary());
+        while (isOp(',')) {
+          next();
+          args.push(parsePrimary());
+        }
+      }
+      filters.push({ name: name.value, args });
+    }
+    return filters;
+  }
+
+  function expectEnd() {
+    if (peek().type !== 'end') {
+      throw createSyntaxError(`Unexpected ${describe(peek())}`, source, peek().offset);
+    }
+  }
+
+  return { parseOr, parseFilters, expectEnd, peek };
+}
+
+/**
+ * Parse a condition expression (used by #if / #unless / else if)
+ * @private
+ */
+function parseCondition(text, offset, source, tagName) {
+  if (!text.trim()) {
+    throw createSyntaxError(`{{${tagName}}} requires a condition`, source, offset);
+  }
+  const parser = createExpressionParser(tokenizeExpression(text, offset, source), source);
+  const expression = parser.parseOr();
+  parser.expectEnd();
+  return expression;
+}
+
+/**
+ * Parse an output tag: expression followed by optional filters
+ * @private
+ */
+function parseOutput(text, offset, source) {
+  if (!text.trim()) {
+    throw createSyntaxError('Empty tag {{}}', source, offset);
+  }
+  const parser = createExpressionParser(tokenizeExpression(text, offset, source), source);
+  const expression = parser.parseOr();
+  const filters = parser.parseFilters();
+  parser.expectEnd();
+  return { type: 'output', expression, filters, offset };
+}
+
+/**
+ * Find the closing '}}' of a tag, skipping over quoted strings
+ * @private
+ */
+function findTagEnd(source, start) {
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '}' && source[i + 1] === '}') {
+      return i;
+    } else if (char === '{' && source[i + 1] === '{') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split plain text into literal chunks and legacy {variable} references
+ * @private
+ */
+function parseText(text, offset, source, errors) {
+  const nodes = [];
+  const legacyRegex = /\{([^{}\n]+)\}/g;
+  let last = 0;
+  let match;
+
+  const pushLiteral = (value, valueOffset) => {
+    if (!value) return;
+    const stray = value.search(/[{}]/);
+    if (stray !== -1) {
+      const char = value[stray];
+      errors.push(createSyntaxError(
+        char === '{' ? 'Unclosed \'{\' in template variable' : 'Unmatched \'}\' in template',
+        source,
+        valueOffset + stray
+      ));
+    }
+    nodes.push({ type: 'text', value });
+  };
+
+  while ((match = legacyRegex.exec(text)) !== null) {
+    pushLiteral(text.slice(last, match.index), offset + last);
+    const path = match[1].trim();
+    nodes.push({
+      type: 'legacy',
+      raw: match[0],
+      path: { type: 'path', segments: path.split('.'), path, offset: offset + match.index + 1 }
+    });
+    last = match.index + match[0].length;
+  }
+  pushLiteral(text.slice(last), offset + last);
+
+  return nodes;
+}
+
+/**
+ * Parse a template into an AST, collecting every syntax error found
+ * @param {string} source - Template source
+ * @returns {{ast: Object, errors: Error[]}} AST plus syntax errors (each has .templateError {message, line, column})
+ */
+function parseTemplate(source) {
+  const errors = [];
+  const root = { type: 'root', body: [] };
+  const stack = [{ node: root, body: root.body }];
+  const current = () => stack[stack.length - 1];
+  let pos = 0;
+
+  const closeBlock = (name, offset) => {
+    const open = current();
+    if (stack.length === 1) {
+      throw createSyntaxError(`Unexpected {{/${name}}} without a matching {{#${name}}}`, source, offset);
+    }
+    if (open.node.type !== name) {
+      throw createSyntaxError(`Expected {{/${open.node.type}}} to close the block opened on line ${open.line} but found {{/${name}}}`, source, offset);
+    }
+    stack.pop();
+  };
+
+  const handleTag = (raw, offset) => {
+    const leading = raw.length - raw.trimStart().length;
+    const content = raw.trim();
+    const contentOffset = offset + leading;
+
+    if (content.startsWith('!')) {
+      return;
+    }
+
+    const blockMatch = /^#(\w+)\s*/.exec(content);
+    if (blockMatch) {
+      const name = blockMatch[1];
+      const argsOffset = contentOffset + blockMatch[0].length;
+      const args = content.slice(blockMatch[0].length);
+      const { line } = getLineColumn(source, contentOffset);
+
+      if (stack.length > MAX_BLOCK_DEPTH) {
+        throw createSyntaxError(`Blocks nested deeper than ${MAX_BLOCK_DEPTH} levels`, source, contentOffset);
+      }
+
+      let node;
+      if (name === 'if' || name === 'unless') {
+        let test = null;
+        try {
+          test = parseCondition(args, argsOffset, source, `#${name}`);
+        } catch (error) {
+          if (!error.templateError) throw error;
+          errors.push(error);
+        }
+        node = { type: name, branches: [{ test, body: [] }], elseBody: null };
+      } else if (name === 'each') {
+        let iterable = null;
+        try {
+          iterable = parseCondition(args, argsOffset, source, '#each');
+          if (iterable.type !== 'path') {
+            throw createSyntaxError('{{#each}} expects a variable such as deal.labels', source, argsOffset);
+          }
+        } catch (error) {
+          if (!error.templateError) throw error;
+          errors.push(error);
+          iterable = null;
+        }
+        node = { type: 'each', iterable, body: [], elseBody: null };
+      } else {
+        throw createSyntaxError(`Unknown block '#${name}'. Use #if, #unless or #each`, source, contentOffset);
+      }
+
+      current().body.push(node);
+      stack.push({ node, body: node.type === 'each' ? node.body : node.branches[0].body, line, offset: contentOffset, hasElse: false });
+      return;
+    }
+
+    const closeMatch = /^\/(\w+)$/.exec(content);
+    if (closeMatch) {
+      closeBlock(closeMatch[1], contentOffset);
+      return;
+    }
+
+    const elseMatch = /^else(?:\s+if\b\s*([\s\S]*)|\s*)$/.exec(content);
+    if (elseMatch) {
+      const open = current();
+      if (stack.length === 1) {
+        throw createSyntaxError('{{else}} outside of an #if, #unless or #each block', source, contentOffset);
+      }
+      if (open.hasElse) {
+        throw createSyntaxError('Block already has an {{else}}', source, contentOffset);
+      }
+
+      if (elseMatch[1] !== undefined) {
+        if (open.node.type === 'each') {
+          throw createSyntaxError('{{else if}} is not allowed inside {{#each}}', source, contentOffset);
+        }
+        const conditionOffset = contentOffset + content.indexOf(elseMatch[1]);
+        const test = parseCondition(elseMatch[1], conditionOffset, source, 'else if');
+        const branch = { test, body: [] };
+        open.node.branches.push(branch);
+        open.body = branch.body;
+      } else {
+        open.node.elseBody = [];
+        open.body = open.node.elseBody;
+        open.hasElse = true;
+      }
+      return;
+    }
+
+    if (/^(if|unless|each)\b/.test(content)) {
+      throw createSyntaxError(`Block tags need a '#': use {{#${content}}}`, source, contentOffset);
+    }
+
+    current().body.push({ ...parseOutput(content, contentOffset, source), start: offset - 2, end: offset + raw.length + 2 });
+  };
+
+  while (pos < source.length) {
+    const open = source.indexOf('{{', pos);
+    const textEnd = open === -1 ? source.length : open;
+
+    if (textEnd > pos) {
+      current().body.push(...parseText(source.slice(pos, textEnd), pos, source, errors));
+    }
+    if (open === -1) break;
+
+    const close = findTagEnd(source, open + 2);
+    if (close === -1) {
+      errors.push(createSyntaxError('Unclosed tag: expected \'}}\'', source, open));
+      break;
+    }
+
+    try {
+      handleTag(source.slice(open + 2, close), open + 2);
+    } catch (error) {
+      if (!error.templateError) throw error;
+      errors.push(error);
+    }
+    pos = close + 2;
+  }
+
+  for (let i = stack.length - 1; i > 0; i--) {
+    const block = stack[i];
+    errors.push(createSyntaxError(`Unclosed {{#${block.node.type}}} block: expected {{/${block.node.type}}}`, source, block.offset));
+  }
+
+  return { ast: root, errors };
+}
+
+/**
+ * Parse a template and throw on the first syntax error (parsed ASTs are cached)
+ * @param {string} source - Template source
+ * @returns {Object} Template AST
+ */
+function compileTemplate(source) {
+  if (astCache.has(source)) {
+    return astCache.get(source);
+  }
+
+  const { ast, errors } = parseTemplate(source);
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+
+  if (astCache.size >= AST_CACHE_SIZE) {
+    astCache.delete(astCache.keys().next().value);
+  }
+  astCache.set(source, ast);
+  return ast;
+}
+
+/**
+ * Collect every variable path referenced by a template AST
+ * @param {Object} ast - Template AST
+ * @returns {Array<{path: string, offset: number, inLoop: boolean, legacy: boolean}>} Variable references
+ */
+function collectVariables(ast) {
+  const references = [];
+
+  const visitExpression = (expression, inLoop, legacy = false) => {
+    if (!expression) return;
+    switch (expression.type) {
+    case 'path':
+      references.push({ path: expression.path, offset: expression.offset, inLoop, legacy });
+      break;
+    case 'not':
+      visitExpression(expression.argument, inLoop);
+      break;
+    case 'compare':
+    case 'logical':
+      visitExpression(expression.left, inLoop);
+      visitExpression(expression.right, inLoop);
+      break;
+    }
+  };
+
+  const visitBody = (body, inLoop) => {
+    for (const node of body || []) {
+      switch (node.type) {
+      case 'legacy':
+        visitExpression(node.path, inLoop, true);
+        break;
+      case 'output':
+        visitExpression(node.expression, inLoop);
+        node.filters.forEach(filter => filter.args.forEach(arg => visitExpression(arg, inLoop)));
+        break;
+      case 'if':
+      case 'unless':
+        node.branches.forEach(branch => {
+          visitExpression(branch.test, inLoop);
+          visitBody(branch.body, inLoop);
+        });
+        visitBody(node.elseBody, inLoop);
+        break;
+      case 'each':
+        visitExpression(node.iterable, inLoop);
+        visitBody(node.body, true);
+        visitBody(node.elseBody, inLoop);
+        break;
+      }
+    }
+  };
+
+  visitBody(ast.body, false);
+  return references;
+}
+
+/**
+ * Visit every node of a template AST (depth first)
+ * @private
+ */
+function walkNodes(body, visitor) {
+  for (const node of body || []) {
+    visitor(node);
+    if (node.type === 'if' || node.type === 'unless') {
+      node.branches.forEach(branch => walkNodes(branch.body, visitor));
+      walkNodes(node.elseBody, visitor);
+    } else if (node.type === 'each') {
+      walkNodes(node.body, visitor);
+      walkNodes(node.elseBody, visitor);
+    }
+  }
+}
+
+/**
+ * Replace parameter placeholders ({{VALUE_THRESHOLD}}, {{VALUE_THRESHOLD | currency}}) with values
+ * Only single-name output tags found in values are rendered; every other tag is kept verbatim,
+ * so the result is still a template. Used when applying library templates with customization.
+ * @param {string} source - Template source
+ * @param {Object} values - Parameter values keyed by placeholder name
+ * @returns {string} Template with parameters substituted
+ */
+function substituteParameters(source, values = {}) {
+  if (!source) return source;
+
+  const { ast } = parseTemplate(source);
+  const state = {
+    resolve: segments => values[segments[0]],
+    frames: [],
+    options: { strictMode: false, timezone: 'UTC' }
+  };
+  const replacements = [];
+
+  walkNodes(ast.body, node => {
+    if (node.type === 'output' && node.expression.type === 'path' && node.expression.segments.length === 1 &&
+        Object.prototype.hasOwnProperty.call(values, node.expression.path)) {
+      replacements.push({ start: node.start, end: node.end, text: renderOutput(node, state) });
+    }
+  });
+
+  return replacements
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), source);
+}
+
+/**
+ * Rewrite legacy single-brace variables ({deal.title}) to the canonical {{deal.title}} form
+ * Mirrors migration 021 so templates saved after the migration stay in one syntax.
+ * @param {string} source - Template source
+ * @returns {string} Template using only {{ }} tags
+ */
+function normalizeTemplateSyntax(source) {
+  if (!source || typeof source !== 'string') return source;
+
+  const { ast } = parseTemplate(source);
+  const replacements = [];
+
+  walkNodes(ast.body, node => {
+    if (node.type === 'legacy' && /^[A-Za-z_]\w*(\.\w+)+$/.test(node.path.path)) {
+      const start = node.path.offset - 1;
+      replacements.push({ start, end: start + node.raw.length, text: `{{${node.path.path}}}` });
+    }
+  });
+
+  return replacements
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), source);
+}
+
+/**
+ * Read a nested property path from a value
+ * @private
+ */
+function getPath(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Resolve a path against loop frames first, then the root resolver
+ * @private
+ */
+function lookup(pathNode, state, formatted) {
+  const [first, ...rest] = pathNode.segments;
+  const frame = state.frames[state.frames.length - 1];
+
+  if (first.startsWith('@')) {
+    return frame ? getPath(frame.meta[first], rest) : undefined;
+  }
+
+  if (first === 'this') {
+    return frame ? getPath(frame.item, rest) : undefined;
+  }
+
+  for (let i = state.frames.length - 1; i >= 0; i--) {
+    const item = state.frames[i].item;
+    if (item && typeof item === 'object' && !Array.isArray(item) && first in item) {
+      return getPath(item, pathNode.segments);
+    }
+  }
+
+  return state.resolve(pathNode.segments, { formatted });
+}
+
+function compareValues(op, left, right) {
+  if (op === 'contains') {
+    if (Array.isArray(left)) {
+      return left.some(item => String(toText(item)).toLowerCase() === String(toText(right)).toLowerCase());
+    }
+    return toText(left).toLowerCase().includes(toText(right).toLowerCase());
+  }
+
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  const numeric = leftNumber !== null && rightNumber !== null;
+
+  if (op === '==' || op === '!=') {
+    let equal;
+    if (numeric) equal = leftNumber === rightNumber;
+    else if (left === null || left === undefined || right === null || right === undefined) equal = (left ?? null) === (right ?? null);
+    else if (typeof left === 'boolean' || typeof right === 'boolean') equal = String(left) === String(right);
+    else equal = toText(left) === toText(right);
+    return op === '==' ? equal : !equal;
+  }
+
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return false;
+  }
+
+  const a = numeric ? leftNumber : toText(left);
+  const b = numeric ? rightNumber : toText(right);
+  switch (op) {
+  case '>': return a > b;
+  case '>=': return a >= b;
+  case '<': return a < b;
+  case '<=': return a <= b;
+  default: return false;
+  }
+}
+
+/**
+ * Evaluate an expression AST node (raw values are preferred over formatted display strings)
+ * @private
+ */
+function evaluate(expression, state) {
+  switch (expression.type) {
+  case 'literal':
+    return expression.value;
+  case 'path':
+    return lookup(expression, state, false);
+  case 'not':
+    return !isTruthy(evaluate(expression.argument, state));
+  case 'logical': {
+    const left = isTruthy(evaluate(expression.left, state));
+    if (expression.op === '&&') return left && isTruthy(evaluate(expression.right, state));
+    return left || isTruthy(evaluate(expression.right, state));
+  }
+  case 'compare':
+    return compareValues(expression.op, evaluate(expression.left, state), evaluate(expression.right, state));
+  default:
+    return undefined;
+  }
+}
+
+function renderOutput(node, state) {
+  const { expression, filters } = node;
+
+  // Plain {{path}} shows the display-formatted value; filters work on the raw value
+  let value = expression.type === 'path'
+    ? lookup(expression, state, filters.length === 0)
+    : evaluate(expression, state);
+
+  for (const filter of filters) {
+    const args = filter.args.map(arg => evaluate(arg, state));
+    value = FILTERS[filter.name](value, args, state.options);
+  }
+
+  if ((value === null || value === undefined) && state.options.strictMode) {
+    throw new Error(`Template variable '${expression.path || 'expression'}' not found`);
+  }
+
+  return toText(value);
+}
+
+/**
+ * Charge loop iterations and output characters to the render budget, aborting once it runs out
+ * @private
+ */
+function chargeBudget(state, iterations, characters) {
+  if (!state.budget) return;
+  state.budget.iterations += iterations;
+  state.budget.characters += characters;
+
+  let message = null;
+  if (state.budget.iterations > MAX_RENDER_ITERATIONS) {
+    message = `Template loops ran more than ${MAX_RENDER_ITERATIONS} iterations`;
+  } else if (state.budget.characters > MAX_RENDER_LENGTH) {
+    message = `Template output is longer than ${MAX_RENDER_LENGTH} characters`;
+  }
+  if (message) {
+    const error = new Error(message);
+    error.code = 'TEMPLATE_LIMIT_EXCEEDED';
+    error.templateError = { message };
+    throw error;
+  }
+}
+
+/**
+ * Append a leaf node's text to the output, charging it to the render budget
+ * @private
+ */
+function appendText(output, text, state) {
+  chargeBudget(state, 0, text.length);
+  return output + text;
+}
+
+function renderBody(body, state) {
+  let output = '';
+
+  for (const node of body || []) {
+    switch (node.type) {
+    case 'text':
+      output = appendText(output, node.value, state);
+      break;
+    case 'legacy': {
+      const value = lookup(node.path, state, true);
+      if (value === null || value === undefined || value === '') {
+        if (state.options.strictMode && (value === null || value === undefined)) {
+          throw new Error(`Template variable '${node.path.path}' not found`);
+        }
+        // Unresolved legacy variables stay visible so broken templates are easy to spot
+        output = appendText(output, value === '' ? '' : node.raw, state);
+      } else {
+        output = appendText(output, toText(value), state);
+      }
+      break;
+    }
+    case 'output':
+      output = appendText(output, renderOutput(node, state), state);
+      break;
+    case 'if':
+    case 'unless': {
+      const branch = node.branches.find((candidate, index) => {
+        const result = isTruthy(evaluate(candidate.test, state));
+        return node.type === 'unless' && index === 0 ? !result : result;
+      });
+      output += renderBody(branch ? branch.body : node.elseBody, state);
+      break;
+    }
+    case 'each': {
+      const value = evaluate(node.iterable, state);
+      const items = Array.isArray(value)
+        ? value
+        : (value && typeof value === 'object' ? Object.entries(value).map(([key, item]) => ({ key, item })) : []);
+
+      if (items.length === 0) {
+        output += renderBody(node.elseBody, state);
+        break;
+      }
+
+      const limited = items.slice(0, MAX_EACH_ITEMS);
+      limited.forEach((entry, index) => {
+        chargeBudget(state, 1, 0);
+        const isObjectEntry = !Array.isArray(value);
+        state.frames.push({
+          item: isObjectEntry ? entry.item : entry,
+          meta: {
+            '@index': index,
+            '@number': index + 1,
+            '@key': isObjectEntry ? entry.key : index,
+            '@first': index === 0,
+            '@last': index === limited.length - 1
+          }
+        });
+        try {
+          output += renderBody(node.body, state);
+        } finally {
+          state.frames.pop();
+        }
+      });
+      break;
+    }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string|Object} template - Template source or AST from compileTemplate
+ * @param {Function} resolve - (segments, { formatted }) => value for root variables
+ * @param {Object} options - { strictMode, timezone }
+ * @returns {string} Rendered text
+ * @throws {Error} Syntax errors (with .templateError), renders over the loop or output budget
+ *   (code TEMPLATE_LIMIT_EXCEEDED, with .templateError) or missing variables in strict mode
+ */
+function renderTemplate(template, resolve, options = {}) {
+  const ast = typeof template === 'string' ? compileTemplate(template) : template;
+  return renderBody(ast.body, {
+    resolve,
+    frames: [],
+    budget: { iterations: 0, characters: 0 },
+    options: { strictMode: false, timezone: 'UTC', ...options }
+  });
+}
+
+module.exports = {
+  parseTemplate,
+  compileTemplate,
+  renderTemplate,
+  collectVariables,
+  substituteParameters,
+  normalizeTemplateSyntax,
+  getPath,
+  formatDatePattern,
+  getLineColumn,
+  FILTERS
+};
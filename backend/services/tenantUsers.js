@@ -0,0 +1,265 @@
+const { pool } = require('./database');
+
+/**
+ * Tenant Users Service
+ * A tenant is one Pipedrive company; the people who use it are tenant_users with a role.
+ * The first user of a company owns the tenant, later users join as viewers unless they
+ * were invited with another role. Removed members keep their row so they cannot rejoin by logging in.
+ */
+
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3, owner: 4 };
+const DEFAULT_MEMBER_ROLE = 'viewer';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function memberError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether a role is at least the given minimum role
+ * @param {string} role - Member role
+ * @param {string} minimum - Required role
+ * @returns {boolean} True when role ranks at or above minimum
+ */
+function hasRole(role, minimum) {
+  return (ROLE_RANK[role] || 0) >= (ROLE_RANK[minimum] || Infinity);
+}
+
+/**
+ * Get a tenant's member by Pipedrive user id
+ * @param {number} tenantId - Tenant ID
+ * @param {number} pipedriveUserId - Pipedrive user ID
+ * @returns {Promise<Object|null>} Member row (any status) or null
+ */
+async function getMember(tenantId, pipedriveUserId) {
+  if (!pipedriveUserId) return null;
+  const result = await pool.query(
+    'SELECT * FROM tenant_users WHERE tenant_id = $1 AND pipedrive_user_id = $2',
+    [tenantId, pipedriveUserId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve (and create or activate) the membership of a user signing in through OAuth
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} user - { pipedriveUserId, email, name }
+ * @returns {Promise<Object>} Active member row
+ * @throws {Error} code MEMBER_REMOVED when the user's access was revoked
+ */
+async function resolveLoginMember(tenantId, user) {
+  const { pipedriveUserId, email = null, name = null } = user;
+
+  const existing = await getMember(tenantId, pipedriveUserId);
+  if (existing) {
+    if (existing.status === 'removed') {
+      throw memberError('Your access to this workspace was removed. Ask a workspace admin to invite you again.', 'MEMBER_REMOVED');
+    }
+    if (email) {
+      // Drop an invite sent to a member who was already in the workspace (e.g. backfilled without email)
+      await pool.query(
+        'DELETE FROM tenant_users WHERE tenant_id = $1 AND LOWER(email) = LOWER($2) AND id != $3 AND pipedrive_user_id IS NULL',
+        [tenantId, email, existing.id]
+      );
+    }
+    const result = await pool.query(`
+      UPDATE tenant_users
+      SET email = COALESCE($1, email), name = COALESCE($2, name), status = 'active',
+          last_login_at = NOW(), updated_at = NOW()
+      WHERE id = $3
+      RETURNING *
+    `, [email, name, existing.id]);
+    return result.rows[0];
+  }
+
+  // A pending invite for this email becomes the membership
+  if (email) {
+    const invited = await pool.query(`
+      UPDATE tenant_users
+      SET pipedrive_user_id = $1, name = COALESCE($2, name), status = 'active',
+          last_login_at = NOW(), updated_at = NOW()
+      WHERE tenant_id = $3 AND LOWER(email) = LOWER($4) AND status = 'invited'
+      RETURNING *
+    `, [pipedriveUserId, name, tenantId, email]);
+    if (invited.rows.length > 0) {
+      return invited.rows[0];
+    }
+  }
+
+  const owners = await pool.query(
+    "SELECT COUNT(*)::INTEGER AS count FROM tenant_users WHERE tenant_id = $1 AND role = 'owner' AND status = 'active'",
+    [tenantId]
+  );
+  const role = owners.rows[0].count === 0 ? 'owner' : DEFAULT_MEMBER_ROLE;
+
+  const result = await pool.query(`
+    INSERT INTO tenant_users (tenant_id, pipedrive_user_id, email, name, role, status, last_login_at)
+    VALUES ($1, $2, $3, $4, $5, 'active', NOW())
+    RETURNING *
+  `, [tenantId, pipedriveUserId, email, name, role]);
+
+  console.log(`👥 Added ${role} ${name || pipedriveUserId} to tenant ${tenantId}`);
+  return result.rows[0];
+}
+
+/**
+ * List a tenant's active and invited members
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Array>} Members, owners first
+ */
+async function listMembers(tenantId) {
+  const result = await pool.query(`
+    SELECT id, pipedrive_user_id, email, name, role, status, last_login_at, created_at
+    FROM tenant_users
+    WHERE tenant_id = $1 AND status != 'removed'
+    ORDER BY CASE role WHEN 'owner' THEN 1 WHEN 'admin' THEN 2 WHEN 'editor' THEN 3 ELSE 4 END, created_at ASC
+  `, [tenantId]);
+  return result.rows;
+}
+
+/**
+ * Load a member of the tenant or fail
+ * @private
+ */
+async function getMemberById(tenantId, memberId) {
+  const result = await pool.query(
+    "SELECT * FROM tenant_users WHERE tenant_id = $1 AND id = $2 AND status != 'removed'",
+    [tenantId, memberId]
+  );
+  if (result.rows.length === 0) {
+    throw memberError('Member not found', 'MEMBER_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Make sure an owner change does not leave the tenant without an owner
+ * @private
+ */
+async function assertNotLastOwner(tenantId, member) {
+  if (member.role !== 'owner') return;
+  const result = await pool.query(
+    "SELECT COUNT(*)::INTEGER AS count FROM tenant_users WHERE tenant_id = $1 AND role = 'owner' AND status = 'active'",
+    [tenantId]
+  );
+  if (result.rows[0].count <= 1) {
+    throw memberError('A workspace needs at least one owner', 'LAST_OWNER');
+  }
+}
+
+/**
+ * Invite a member by email; the invite is activated when they sign in with Pipedrive
+ * @param {number} tenantId - Tenant ID
+ * @param {Object} invite - { email, role }
+ * @param {Object} actor - { id, role } of the inviting member
+ * @returns {Promise<Object>} Invited member row
+ */
+async function inviteMember(tenantId, invite, actor) {
+  const email = String(invite.email || '').trim().toLowerCase();
+  const role = invite.role || DEFAULT_MEMBER_ROLE;
+
+  if (!EMAIL_PATTERN.test(email)) {
+    throw memberError('A valid email address is required', 'INVALID_MEMBER');
+  }
+  if (!ROLES.includes(role)) {
+    throw memberError(`Role must be one of: ${ROLES.join(', ')}`, 'INVALID_MEMBER');
+  }
+  if (role === 'owner' && actor.role !== 'owner') {
+    throw memberError('Only owners can invite owners', 'FORBIDDEN_ROLE_CHANGE');
+  }
+
+  const existing = await pool.query(
+    'SELECT * FROM tenant_users WHERE tenant_id = $1 AND LOWER(email) = $2',
+    [tenantId, email]
+  );
+  if (existing.rows[0] && existing.rows[0].status !== 'removed') {
+    throw memberError(`${email} is already a member of this workspace`, 'MEMBER_EXISTS');
+  }
+
+  const result = existing.rows[0]
+    ? await pool.query(`
+        UPDATE tenant_users
+        SET role = $1, status = CASE WHEN pipedrive_user_id IS NULL THEN 'invited' ELSE 'active' END,
+            invited_by = $2, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [role, actor.id || null, existing.rows[0].id])
+    : await pool.query(`
+        INSERT INTO tenant_users (tenant_id, email, role, status, invited_by)
+        VALUES ($1, $2, $3, 'invited', $4)
+        RETURNING *
+      `, [tenantId, email, role, actor.id || null]);
+
+  return result.rows[0];
+}
+
+/**
+ * Change a member's role
+ * Owners can change any role; admins cannot touch owners or grant ownership.
+ * @param {number} tenantId - Tenant ID
+ * @param {number} memberId - tenant_users.id
+ * @param {string} role - New role
+ * @param {Object} actor - { id, role } of the acting member
+ * @returns {Promise<Object>} Updated member row
+ */
+async function updateMemberRole(tenantId, memberId, role, actor) {
+  if (!ROLES.includes(role)) {
+    throw memberError(`Role must be one of: ${ROLES.join(', ')}`, 'INVALID_MEMBER');
+  }
+
+  const member = await getMemberById(tenantId, memberId);
+  if (actor.role !== 'owner' && (member.role === 'owner' || role === 'owner')) {
+    throw memberError('Only owners can change ownership', 'FORBIDDEN_ROLE_CHANGE');
+  }
+  if (role !== 'owner') {
+    await assertNotLastOwner(tenantId, member);
+  }
+
+  const result = await pool.query(
+    'UPDATE tenant_users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [role, member.id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Remove a member (or cancel an invite)
+ * @param {number} tenantId - Tenant ID
+ * @param {number} memberId - tenant_users.id
+ * @param {Object} actor - { id, role } of the acting member
+ * @returns {Promise<Object>} Removed member row
+ */
+async function removeMember(tenantId, memberId, actor) {
+  const member = await getMemberById(tenantId, memberId);
+  if (member.role === 'owner' && actor.role !== 'owner') {
+    throw memberError('Only owners can remove owners', 'FORBIDDEN_ROLE_CHANGE');
+  }
+  await assertNotLastOwner(tenantId, member);
+
+  // Invites that were never accepted are simply deleted
+  const result = member.status === 'invited'
+    ? await pool.query('DELETE FROM tenant_users WHERE id = $1 RETURNING *', [member.id])
+    : await pool.query(
+      "UPDATE tenant_users SET status = 'removed', updated_at = NOW() WHERE id = $1 RETURNING *",
+      [member.id]
+    );
+  return result.rows[0];
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  getMember,
+  resolveLoginMember,
+  listMembers,
+  inviteMember,
+  updateMemberRole,
+  removeMember
+};
@@ -0,0 +1,139 @@
+const { pool } = require('./database');
+const { createRedisClientGetter } = require('./redisClient');
+
+/**
+ * Webhook Deduplication Service
+ * Pipedrive retries webhooks that are not acknowledged quickly enough. Idempotency keys are stored
+ * in Redis (SET NX with TTL) so every process and replica sees them; without Redis the
+ * processed_webhooks table is used instead. Skipped duplicates are counted per tenant.
+ */
+
+const DEDUP_TTL_SECONDS = parseInt(process.env.WEBHOOK_DEDUP_TTL_SECONDS) || 24 * 60 * 60;
+const REDIS_KEY_PREFIX = 'pipenotify:webhook:';
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastCleanup = 0;
+
+// Shared Redis client; null while Redis is unreachable (claims then go to processed_webhooks)
+const getRedisClient = createRedisClientGetter('Dedup', 'using Postgres');
+
+/**
+ * Build the idempotency key for a webhook
+ * @param {Object} webhookData - Transformed webhook data
+ * @returns {string|null} Key, or null when the webhook carries no correlation id
+ */
+function getDedupKey(webhookData) {
+  const correlationId = webhookData.raw_meta?.correlation_id;
+  const entityId = webhookData.raw_meta?.entity_id;
+  if (!correlationId || !entityId) return null;
+  return `${correlationId}-${entityId}-${webhookData.event}`;
+}
+
+/**
+ * Delete expired Postgres keys, at most every CLEANUP_INTERVAL_MS
+ * @private
+ */
+async function cleanupExpiredKeys() {
+  if (Date.now() - lastCleanup < CLEANUP_INTERVAL_MS) return;
+  lastCleanup = Date.now();
+  await pool.query('DELETE FROM processed_webhooks WHERE expires_at < NOW()');
+}
+
+/**
+ * Claim a webhook for processing
+ * Fails open: when neither Redis nor Postgres can be reached the webhook is processed.
+ * @param {string} key - Idempotency key (see getDedupKey)
+ * @param {number|null} tenantId - Tenant ID, when known
+ * @returns {Promise<{claimed: boolean, store: string}>} claimed is false for duplicates
+ */
+async function claimWebhook(key, tenantId = null) {
+  const redis = await getRedisClient();
+
+  if (redis) {
+    try {
+      const result = await redis.set(`${REDIS_KEY_PREFIX}${key}`, String(tenantId || ''), 'EX', DEDUP_TTL_SECONDS, 'NX');
+      return { claimed: result === 'OK', store: 'redis' };
+    } catch (error) {
+      console.warn('⚠️ Dedup Redis claim failed, using Postgres:', error.message);
+    }
+  }
+
+  try {
+    // An expired row is taken over by the new claim
+    const result = await pool.query(`
+      INSERT INTO processed_webhooks (dedup_key, tenant_id, expires_at)
+      VALUES ($1, $2, NOW() + ($3 || ' seconds')::INTERVAL)
+      ON CONFLICT (dedup_key) DO UPDATE
+        SET tenant_id = EXCLUDED.tenant_id, created_at = NOW(), expires_at = EXCLUDED.expires_at
+        WHERE processed_webhooks.expires_at < NOW()
+      RETURNING dedup_key
+    `, [key, tenantId, DEDUP_TTL_SECONDS]);
+
+    cleanupExpiredKeys().catch(error => console.warn('⚠️ Dedup cleanup failed:', error.message));
+
+    return { claimed: result.rows.length > 0, store: 'postgres' };
+  } catch (error) {
+    console.error('❌ Webhook deduplication unavailable, processing anyway:', error.message);
+    return { claimed: true, store: 'none' };
+  }
+}
+
+/**
+ * Release a claim so a retry of a failed job is not treated as a duplicate
+ * @param {string} key - Idempotency key
+ */
+async function releaseWebhook(key) {
+  try {
+    const redis = await getRedisClient();
+    if (redis) {
+      await redis.del(`${REDIS_KEY_PREFIX}${key}`);
+    }
+    await pool.query('DELETE FROM processed_webhooks WHERE dedup_key = $1', [key]);
+  } catch (error) {
+    console.warn(`⚠️ Failed to release dedup key ${key}:`, error.message);
+  }
+}
+
+/**
+ * Count a skipped duplicate for a tenant (hourly bucket)
+ * @param {number} tenantId - Tenant ID
+ */
+async function recordDuplicate(tenantId) {
+  if (!tenantId) return;
+  try {
+    await pool.query(`
+      INSERT INTO webhook_duplicate_counts (tenant_id, bucket, duplicate_count)
+      VALUES ($1, date_trunc('hour', NOW()), 1)
+      ON CONFLICT (tenant_id, bucket)
+      DO UPDATE SET duplicate_count = webhook_duplicate_counts.duplicate_count + 1
+    `, [tenantId]);
+  } catch (error) {
+    console.warn(`⚠️ Failed to record duplicate for tenant ${tenantId}:`, error.message);
+  }
+}
+
+/**
+ * Get a tenant's duplicate webhook count
+ * @param {number} tenantId - Tenant ID
+ * @param {number} hours - Time window in hours
+ * @returns {Promise<{total: number}>} Duplicate stats
+ */
+async function getDuplicateStats(tenantId, hours = 24) {
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(duplicate_count), 0)::INTEGER AS duplicates
+    FROM webhook_duplicate_counts
+    WHERE tenant_id = $1
+      AND bucket >= date_trunc('hour', NOW() - ($2 || ' hours')::INTERVAL)
+  `, [tenantId, hours]);
+
+  return { total: result.rows[0].duplicates };
+}
+
+module.exports = {
+  getDedupKey,
+  claimWebhook,
+  releaseWebhook,
+  recordDuplicate,
+  getDuplicateStats,
+  DEDUP_TTL_SECONDS
+};
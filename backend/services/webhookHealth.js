@@ -0,0 +1,266 @@
+const { pool } = require('./database');
+const { classifyError } = require('./retryPolicy');
+const { recordAuditEvent } = require('./auditLog');
+const { isEmailConfigured, sendEmail } = require('./emailTransport');
+
+/**
+ * Webhook Circuit Breaker
+ * Every delivery to a chat_webhooks row reports its outcome here once (ChatClient.post, or the
+ * processor for its retried and backup sends). Responses that mean the Chat space or webhook is
+ * gone (401/403/404/410) count as consecutive failures; a successful send resets the count. At
+ * WEBHOOK_FAILURE_THRESHOLD the webhook is deactivated with a reason, rules that only deliver to it
+ * are paused, and the workspace owners are emailed and alerted through another active webhook.
+ * Re-enabling (after a successful test message) resumes the paused rules.
+ */
+
+const FAILURE_THRESHOLD = parseInt(process.env.WEBHOOK_FAILURE_THRESHOLD) || 5;
+
+// Statuses that will not change by retrying the same webhook
+const DEAD_WEBHOOK_STATUS_CODES = [401, 403, 404, 410];
+
+/**
+ * Error carrying a code the routes map to an HTTP status
+ * @private
+ */
+function webhookHealthError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Record the outcome of a send to a webhook row (never throws)
+ * Targets without an id (plain URLs, test payloads) are ignored.
+ * @param {Object|string} target - chat_webhooks row the message was sent to
+ * @param {Error|null} error - Send error, or null on success
+ * @returns {Promise<{tripped: boolean}>} Whether this failure opened the circuit
+ */
+async function recordDeliveryResult(target, error = null) {
+  if (!target || typeof target !== 'object' || !target.id) return { tripped: false };
+
+  try {
+    if (!error) {
+      // The row passed in may be stale, so the database decides whether there is a count to reset
+      await pool.query(
+        'UPDATE chat_webhooks SET consecutive_failures = 0 WHERE id = $1 AND consecutive_failures > 0',
+        [target.id]
+      );
+      return { tripped: false };
+    }
+
+    const { statusCode } = classifyError(error);
+    if (!DEAD_WEBHOOK_STATUS_CODES.includes(statusCode)) return { tripped: false };
+
+    const result = await pool.query(`
+      UPDATE chat_webhooks
+      SET consecutive_failures = consecutive_failures + 1, last_failure_at = NOW(), last_failure_code = $2
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [target.id, statusCode]);
+
+    const webhook = result.rows[0];
+    if (!webhook || webhook.consecutive_failures < FAILURE_THRESHOLD) return { tripped: false };
+
+    const reason = `Chat returned HTTP ${statusCode} for ${webhook.consecutive_failures} deliveries in a row - ` +
+      'the space may have been deleted or the webhook revoked';
+    return { tripped: await tripCircuit(webhook, reason) };
+  } catch (dbError) {
+    console.error(`Error recording delivery result for webhook ${target.id}:`, dbError.message);
+    return { tripped: false };
+  }
+}
+
+/**
+ * Deactivate a webhook, pause the rules that only deliver to it, and alert the tenant
+ * @private
+ * @returns {Promise<boolean>} False when another worker tripped it first
+ */
+async function tripCircuit(webhook, reason) {
+  const db = await pool.connect();
+  let pausedRules;
+  try {
+    await db.query('BEGIN');
+
+    const disabled = await db.query(`
+      UPDATE chat_webhooks SET is_active = false, disabled_reason = $2, disabled_at = NOW()
+      WHERE id = $1 AND is_active = true
+      RETURNING id
+    `, [webhook.id, reason]);
+    if (disabled.rows.length === 0) {
+      await db.query('ROLLBACK');
+      return false;
+    }
+
+    // Rules fanning out to other active webhooks keep delivering there
+    const paused = await db.query(`
+      UPDATE rules r SET enabled = false, paused_by_webhook_id = $2, updated_at = NOW()
+      WHERE r.tenant_id = $1 AND r.enabled = true
+        AND (r.target_webhook_id = $2 OR EXISTS (
+          SELECT 1 FROM rule_targets rt WHERE rt.rule_id = r.id AND rt.webhook_id = $2 AND rt.enabled = true
+        ))
+        AND NOT EXISTS (
+          SELECT 1 FROM rule_targets rt
+          JOIN chat_webhooks cw ON cw.id = rt.webhook_id
+          WHERE rt.rule_id = r.id AND rt.enabled = true AND cw.is_active = true AND cw.id <> $2
+        )
+      RETURNING r.id, r.name
+    `, [webhook.tenant_id, webhook.id]);
+    pausedRules = paused.rows;
+
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  console.warn(`🔌 Webhook ${webhook.id} (${webhook.name}) disabled by circuit breaker, paused ${pausedRules.length} rule(s)`);
+
+  await recordAuditEvent({
+    tenantId: webhook.tenant_id, actorName: 'Circuit breaker', action: 'webhook.auto_disabled',
+    entityType: 'webhook', entityId: webhook.id,
+    before: { is_active: true }, after: { is_active: false, disabled_reason: reason },
+    metadata: { name: webhook.name, paused_rules: pausedRules.map(rule => rule.id) }
+  });
+
+  const lines = [
+    `🔌 *Webhook "${webhook.name}" was disabled*`,
+    reason,
+    pausedRules.length > 0
+      ? `Paused rules: ${pausedRules.map(rule => rule.name).join(', ')}`
+      : 'No rules were paused.',
+    'Re-test and re-enable it from Webhooks in the Pipenotify dashboard.'
+  ];
+  await Promise.all([
+    emailOwners(webhook, lines),
+    alertTenant(webhook, lines)
+  ]);
+  return true;
+}
+
+/**
+ * Email the workspace owners (never throws)
+ * @private
+ */
+async function emailOwners(webhook, lines) {
+  try {
+    if (!isEmailConfigured()) {
+      console.warn(`⚠️ Email not configured - owners of tenant ${webhook.tenant_id} not emailed about webhook ${webhook.id}`);
+      return;
+    }
+
+    const owners = await pool.query(`
+      SELECT email FROM tenant_users
+      WHERE tenant_id = $1 AND role = 'owner' AND status = 'active' AND email IS NOT NULL
+    `, [webhook.tenant_id]);
+    if (owners.rows.length === 0) {
+      console.warn(`⚠️ No owner email to alert tenant ${webhook.tenant_id} about webhook ${webhook.id}`);
+      return;
+    }
+
+    await sendEmail({
+      to: owners.rows.map(owner => owner.email).join(', '),
+      subject: `Pipenotify: webhook "${webhook.name}" was disabled`,
+      text: lines.map(line => line.replace(/\*/g, '')).join('\n\n')
+    });
+  } catch (error) {
+    console.error(`Failed to email owners of tenant ${webhook.tenant_id} about disabled webhook ${webhook.id}:`, error.message);
+  }
+}
+
+/**
+ * Tell the tenant through another active webhook (the dashboard banner covers tenants with none)
+ * @private
+ */
+async function alertTenant(webhook, lines) {
+  try {
+    const fallback = await pool.query(`
+      SELECT * FROM chat_webhooks
+      WHERE tenant_id = $1 AND is_active = true AND id <> $2
+      ORDER BY created_at ASC
+      LIMIT 1
+    `, [webhook.tenant_id, webhook.id]);
+
+    if (fallback.rows.length === 0) {
+      console.warn(`⚠️ No fallback channel to alert tenant ${webhook.tenant_id} about webhook ${webhook.id}`);
+      return;
+    }
+
+    const { defaultChatClient } = require('./chatClient');
+    await defaultChatClient.sendTextMessage(fallback.rows[0], lines.join('\n'));
+  } catch (error) {
+    console.error(`Failed to alert tenant ${webhook.tenant_id} about disabled webhook ${webhook.id}:`, error.message);
+  }
+}
+
+/**
+ * Webhooks the circuit breaker disabled
+ * @param {number} tenantId - Tenant ID
+ * @returns {Promise<Array>} chat_webhooks rows with the number of rules paused by each
+ */
+async function getDisabledWebhooks(tenantId) {
+  const result = await pool.query(`
+    SELECT cw.*, (SELECT COUNT(*) FROM rules r WHERE r.paused_by_webhook_id = cw.id)::int AS paused_rule_count
+    FROM chat_webhooks cw
+    WHERE cw.tenant_id = $1 AND cw.is_active = false AND cw.disabled_reason IS NOT NULL
+    ORDER BY cw.disabled_at DESC
+  `, [tenantId]);
+  return result.rows;
+}
+
+/**
+ * Send a test message and, when it arrives, re-enable the webhook and resume its paused rules
+ * @param {number} tenantId - Tenant ID
+ * @param {number} webhookId - Webhook ID
+ * @param {string} testText - Test message
+ * @returns {Promise<{webhook: Object, resumedRules: Array}>} Re-enabled webhook and resumed rules
+ */
+async function reenableWebhook(tenantId, webhookId, testText) {
+  const existing = await pool.query('SELECT * FROM chat_webhooks WHERE tenant_id = $1 AND id = $2', [tenantId, webhookId]);
+  const webhook = existing.rows[0];
+  if (!webhook) {
+    throw webhookHealthError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+  }
+
+  const { defaultChatClient } = require('./chatClient');
+  const testResult = await defaultChatClient.testWebhook(webhook, testText);
+  if (!testResult.success) {
+    throw webhookHealthError(
+      testResult.responseStatus
+        ? `Webhook still returns HTTP ${testResult.responseStatus} - check the Chat space or create a new webhook`
+        : `Test message failed: ${testResult.error}`,
+      'WEBHOOK_TEST_FAILED'
+    );
+  }
+
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const updated = await db.query(`
+      UPDATE chat_webhooks
+      SET is_active = true, consecutive_failures = 0, disabled_reason = NULL, disabled_at = NULL
+      WHERE tenant_id = $1 AND id = $2
+      RETURNING *
+    `, [tenantId, webhookId]);
+    const resumed = await db.query(`
+      UPDATE rules SET enabled = true, paused_by_webhook_id = NULL, updated_at = NOW()
+      WHERE tenant_id = $1 AND paused_by_webhook_id = $2
+      RETURNING id, name
+    `, [tenantId, webhookId]);
+    await db.query('COMMIT');
+    return { webhook: updated.rows[0], resumedRules: resumed.rows };
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+module.exports = {
+  FAILURE_THRESHOLD,
+  recordDeliveryResult,
+  getDisabledWebhooks,
+  reenableWebhook
+};
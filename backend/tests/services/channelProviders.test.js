@@ -0,0 +1,61 @@
+const { getChannelProvider, validateChannelUrl } = require('../../services/channelProviders');
+
+const generic = getChannelProvider('generic');
+
+describe('generic webhook hosts', () => {
+  it('refuses non-public IP literals', () => {
+    expect(validateChannelUrl('generic', 'https://169.254.169.254/latest/meta-data').valid).toBe(false);
+    expect(validateChannelUrl('generic', 'https://[::1]/hook').valid).toBe(false);
+    expect(validateChannelUrl('generic', 'https://hooks.example.com/pipenotify').valid).toBe(true);
+  });
+
+  it('re-checks the URL on every send and does not follow redirects', () => {
+    expect(() => generic.getRequestConfig('https://10.0.0.5/hook')).toThrow(expect.objectContaining({ code: 'INVALID_WEBHOOK_URL' }));
+    expect(generic.getRequestConfig('https://hooks.example.com/pipenotify')).toMatchObject({ maxRedirects: 0 });
+  });
+
+  it('refuses connections to hosts that resolve to non-public addresses', (done) => {
+    const { httpsAgent } = generic.getRequestConfig('https://hooks.example.com/pipenotify');
+
+    httpsAgent.options.lookup('localhost', { all: true }, (error) => {
+      expect(error.code).toBe('NON_PUBLIC_HOST');
+      done();
+    });
+  });
+});
+
+describe('Google Chat digests', () => {
+  it('escapes item text and links in the card HTML', () => {
+    const digest = {
+      title: 'Digest',
+      summary: '1 deal',
+      groups: [{
+        label: 'Sales',
+        summary: '1 deal',
+        more: 0,
+        items: [{ text: 'Acme <b>"big"</b> & co', url: 'https://acme.pipedrive.com/deal/1?a=1&b="x"' }]
+      }]
+    };
+
+    const card = getChannelProvider('google_chat').formatDigest(digest);
+
+    expect(card.cards[0].sections[0].widgets[1].textParagraph.text).toBe(
+      '<a href="https://acme.pipedrive.com/deal/1?a=1&amp;b=&quot;x&quot;">Acme &lt;b&gt;&quot;big&quot;&lt;/b&gt; &amp; co</a>'
+    );
+  });
+});
+
+describe('formatMessage', () => {
+  const cardMessage = { text: 'Deal won', cards: [{ header: { title: 'Deal won' } }] };
+
+  it('keeps Google Chat cards and Slack blocks for their own platform', () => {
+    const slackMessage = { text: 'Deal won', blocks: [{ type: 'section', text: { type: 'mrkdwn', text: 'Deal won' } }] };
+
+    expect(getChannelProvider('google_chat').formatMessage(cardMessage)).toBe(cardMessage);
+    expect(getChannelProvider('slack').formatMessage(slackMessage)).toBe(slackMessage);
+  });
+
+  it("sends the text of payloads in another platform's format", () => {
+    expect(getChannelProvider('slack').formatMessage(cardMessage)).toEqual({ text: 'Deal won', mrkdwn: true });
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../services/database', () => ({ pool: { query: jest.fn() } }));
+// Without Redis the limiter keeps its token buckets in process memory
+jest.mock('../../services/redisClient', () => ({ createRedisClientGetter: () => async () => null }));
+
+const { pool } = require('../../services/database');
+const { reserveSlot, blockChannel, parseRetryAfter, withRateLimit } = require('../../services/channelRateLimiter');
+
+const limits = { perSecond: 1, burst: 2 };
+let now;
+let urlCount = 0;
+// Each test gets its own bucket
+const nextUrl = () => `https://chat.example.com/space-${++urlCount}`;
+
+beforeEach(() => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  pool.query.mockReset().mockResolvedValue({ rows: [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reserveSlot', () => {
+  it('grants the burst immediately and then spaces sends at the per-second rate', async () => {
+    const url = nextUrl();
+
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 0 });
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 0 });
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 1000 });
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 2000 });
+  });
+
+  it('refills tokens over time without exceeding the burst', async () => {
+    const url = nextUrl();
+    await reserveSlot(url, limits);
+    await reserveSlot(url, limits);
+
+    now += 500;
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 500 });
+
+    now += 60000;
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 0 });
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 0 });
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 1000 });
+  });
+
+  it('refuses a slot without taking a token when the wait is too long', async () => {
+    const url = nextUrl();
+    await reserveSlot(url, limits);
+    await reserveSlot(url, limits);
+
+    expect(await reserveSlot(url, limits, 500)).toEqual({ granted: false, waitMs: 1000 });
+    expect(await reserveSlot(url, limits, 1000)).toEqual({ granted: true, waitMs: 1000 });
+  });
+
+  it('waits out a Retry-After block', async () => {
+    const url = nextUrl();
+    await blockChannel(url, 30000);
+
+    expect(await reserveSlot(url, limits, 10000)).toEqual({ granted: false, waitMs: 30000 });
+
+    now += 29000;
+    expect(await reserveSlot(url, limits)).toEqual({ granted: true, waitMs: 1000 });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates, defaulting to 30 seconds', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('0.5')).toBe(500);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:45 GMT')).toBe(45000);
+    expect(parseRetryAfter(undefined)).toBe(30000);
+    expect(parseRetryAfter('soon')).toBe(30000);
+  });
+});
+
+describe('withRateLimit', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('throws CHANNEL_OVERFLOW with the wait when no slot is free in time', async () => {
+    const url = nextUrl();
+    const send = jest.fn().mockResolvedValue('sent');
+    await reserveSlot(url, limits);
+    await reserveSlot(url, limits);
+
+    const error = await withRateLimit(url, url, limits, send, { maxWaitMs: 0 }).catch(caught => caught);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(error).toMatchObject({ code: 'CHANNEL_OVERFLOW', retryAfterMs: 1000 });
+  });
+
+  it('blocks the channel on a 429 and reports RATE_LIMITED when Retry-After does not fit', async () => {
+    const url = nextUrl();
+    const tooMany = Object.assign(new Error('Too Many Requests'), { response: { status: 429, headers: { 'retry-after': '60' } } });
+    const send = jest.fn().mockRejectedValue(tooMany);
+
+    const error = await withRateLimit(url, url, limits, send, { maxWaitMs: 5000 }).catch(caught => caught);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', retryAfterMs: 60000 });
+    expect(await reserveSlot(url, limits, 0)).toEqual({ granted: false, waitMs: 60000 });
+  });
+});
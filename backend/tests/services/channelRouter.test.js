@@ -0,0 +1,144 @@
+jest.mock('../../services/database', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../../middleware/quotaEnforcement', () => ({ checkFeatureAvailability: jest.fn() }));
+
+const { pool } = require('../../services/database');
+const { checkFeatureAvailability } = require('../../middleware/quotaEnforcement');
+const { resolveChannels, explainRouting } = require('../../services/channelRouter');
+
+const webhooks = [
+  { id: 1, name: 'Sales', channel_type: 'google_chat', is_active: true },
+  { id: 2, name: 'Executives', channel_type: 'slack', is_active: true },
+  { id: 3, name: 'Wins', channel_type: 'teams', is_active: true },
+  { id: 4, name: 'Archive', channel_type: 'google_chat', is_active: false }
+];
+
+const wonDeal = { event: 'deal.won', current: { id: 7, value: 50000, status: 'won' } };
+
+const routingRule = (overrides = {}) => ({
+  id: 10,
+  name: 'Big deals',
+  event_type: 'deal.*',
+  conditions: { value_min: 10000 },
+  target_webhook_ids: [2],
+  match_mode: 'first_match',
+  enabled: true,
+  ...overrides
+});
+
+const ids = (resolution) => resolution.webhooks.map(w => w.id);
+
+describe('resolveChannels', () => {
+  it('sends a multi-target rule to all its targets even when a routing rule matches', () => {
+    const rule = {
+      target_webhook_id: 1,
+      use_routing: true,
+      targets: [
+        { webhook_id: 1, enabled: true, template_mode: 'compact' },
+        { webhook_id: 3, enabled: true, template_mode: 'detailed' }
+      ]
+    };
+
+    const resolution = resolveChannels(wonDeal, rule, webhooks, [routingRule()]);
+
+    expect(resolution.source).toBe('rule_targets');
+    expect(ids(resolution)).toEqual([1, 3]);
+    expect(resolution.steps).toEqual([expect.objectContaining({ routing_rule_id: 10, result: 'rule_has_targets' })]);
+  });
+
+  it('skips disabled and inactive fan-out targets and sends nothing when all are disabled', () => {
+    const targets = [
+      { webhook_id: 1, enabled: false },
+      { webhook_id: 3, enabled: true },
+      { webhook_id: 4, enabled: true }
+    ];
+    expect(ids(resolveChannels(wonDeal, { target_webhook_id: 1, targets }, webhooks))).toEqual([3]);
+
+    const allDisabled = resolveChannels(wonDeal, {
+      target_webhook_id: 1,
+      targets: [{ webhook_id: 1, enabled: false }]
+    }, webhooks, [routingRule()]);
+    expect(allDisabled).toMatchObject({ webhooks: [], source: 'none' });
+  });
+
+  it("keeps the rule's own target when the rule does not use routing", () => {
+    const rule = { target_webhook_id: 1, targets: [{ webhook_id: 1, enabled: true }] };
+
+    const resolution = resolveChannels(wonDeal, rule, webhooks, [routingRule()]);
+
+    expect(resolution.source).toBe('rule_target');
+    expect(ids(resolution)).toEqual([1]);
+    expect(resolution.steps[0].result).toBe('routing_not_enabled');
+  });
+
+  it('lets routing rules pick the channel for a rule that opts in', () => {
+    const rule = { target_webhook_id: 1, use_routing: true, targets: [{ webhook_id: 1, enabled: true }] };
+
+    const resolution = resolveChannels(wonDeal, rule, webhooks, [routingRule()]);
+
+    expect(resolution.source).toBe('routing_rules');
+    expect(ids(resolution)).toEqual([2]);
+  });
+
+  it("falls back to the rule's own target when no routing rule matches", () => {
+    const rule = { target_webhook_id: 1, use_routing: true };
+    const smallDeal = { event: 'deal.won', current: { id: 8, value: 500 } };
+
+    const resolution = resolveChannels(smallDeal, rule, webhooks, [routingRule()]);
+
+    expect(resolution.source).toBe('rule_target');
+    expect(ids(resolution)).toEqual([1]);
+    expect(resolution.steps[0].result).toBe('conditions_not_met');
+  });
+
+  it('stops at a first_match rule and keeps collecting after fan_out rules', () => {
+    const rules = [
+      routingRule({ id: 10, match_mode: 'fan_out', target_webhook_ids: [2] }),
+      routingRule({ id: 11, name: 'Wins', event_type: 'deal.won', conditions: {}, target_webhook_ids: [3] }),
+      routingRule({ id: 12, name: 'Everything', event_type: '*', conditions: {}, target_webhook_ids: [1] })
+    ];
+
+    const resolution = resolveChannels(wonDeal, { target_webhook_id: 1, use_routing: true }, webhooks, rules);
+
+    expect(ids(resolution)).toEqual([2, 3]);
+    expect(resolution.steps.map(step => step.result)).toEqual(['matched', 'matched', 'not_evaluated']);
+  });
+
+  it('never picks an unrelated webhook when the rule target is inactive', () => {
+    const resolution = resolveChannels(wonDeal, { target_webhook_id: 4 }, webhooks);
+
+    expect(resolution).toMatchObject({ webhooks: [], source: 'none' });
+  });
+});
+
+describe('explainRouting', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    checkFeatureAvailability.mockReset();
+  });
+
+  it('uses only enabled routing rules, as the send path does', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: webhooks.filter(w => w.is_active) })
+      .mockResolvedValueOnce({ rows: [routingRule()] });
+    checkFeatureAvailability.mockResolvedValue({ has_access: true });
+
+    const explanation = await explainRouting(1, wonDeal, null);
+
+    expect(pool.query.mock.calls[1][0]).toContain('enabled = true');
+    expect(explanation.source).toBe('routing_rules');
+    expect(explanation.webhooks).toEqual([{ id: 2, name: 'Executives', channel_type: 'slack' }]);
+  });
+
+  it('ignores routing rules when the tenant plan has no channel routing', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: webhooks.filter(w => w.is_active) })
+      .mockResolvedValueOnce({ rows: [routingRule()] });
+    checkFeatureAvailability.mockResolvedValue({ has_access: false });
+
+    const explanation = await explainRouting(1, wonDeal, { target_webhook_id: 1, use_routing: true });
+
+    expect(checkFeatureAvailability).toHaveBeenCalledWith(1, 'channel_routing');
+    expect(explanation.source).toBe('rule_target');
+    expect(explanation.steps).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../services/database', () => ({ pool: { query: jest.fn() }, createLog: jest.fn() }));
+jest.mock('../../services/quietHours', () => ({ getQuietHours: jest.fn(), isQuietTime: jest.fn() }));
+jest.mock('../../middleware/quotaEnforcement', () => ({ trackNotificationUsage: jest.fn() }));
+jest.mock('../../services/chatClient', () => ({
+  defaultChatClient: { sendDigest: jest.fn(), getPipedriveUrl: () => null }
+}));
+
+const { pool } = require('../../services/database');
+const { isQuietTime } = require('../../services/quietHours');
+const { defaultChatClient } = require('../../services/chatClient');
+const { getNextDigestTime, getTimezoneOffset, validateDeliverySettings, processDigests } = require('../../services/digests');
+
+const at = (iso) => new Date(iso);
+
+describe('getNextDigestTime', () => {
+  it('sends interval digests at the end of the UTC-aligned window', () => {
+    const rule = { delivery_mode: 'digest', digest_interval_minutes: 15 };
+
+    expect(getNextDigestTime(rule, 'UTC', at('2026-03-10T10:07:30Z'))).toEqual(at('2026-03-10T10:15:00Z'));
+    expect(getNextDigestTime(rule, 'UTC', at('2026-03-10T10:14:59Z'))).toEqual(at('2026-03-10T10:15:00Z'));
+    expect(getNextDigestTime(rule, 'UTC', at('2026-03-10T10:15:00Z'))).toEqual(at('2026-03-10T10:30:00Z'));
+  });
+
+  it('defaults interval digests to hourly windows', () => {
+    expect(getNextDigestTime({ delivery_mode: 'digest' }, 'UTC', at('2026-03-10T10:59:00Z'))).toEqual(at('2026-03-10T11:00:00Z'));
+  });
+
+  it('sends daily digests at the next local digest_time', () => {
+    const rule = { delivery_mode: 'daily_digest', digest_time: '09:00' };
+
+    expect(getNextDigestTime(rule, 'America/New_York', at('2026-01-15T12:00:00Z'))).toEqual(at('2026-01-15T14:00:00Z'));
+    expect(getNextDigestTime(rule, 'America/New_York', at('2026-01-15T15:00:00Z'))).toEqual(at('2026-01-16T14:00:00Z'));
+    expect(getNextDigestTime(rule, 'Asia/Tokyo', at('2026-01-15T12:00:00Z'))).toEqual(at('2026-01-16T00:00:00Z'));
+  });
+
+  it('follows daylight saving changes', () => {
+    const rule = { delivery_mode: 'daily_digest', digest_time: '09:00' };
+
+    // US clocks go forward on 2026-03-08
+    expect(getNextDigestTime(rule, 'America/New_York', at('2026-03-07T15:00:00Z'))).toEqual(at('2026-03-08T13:00:00Z'));
+  });
+
+  it('falls back to UTC for an unknown timezone', () => {
+    const rule = { delivery_mode: 'daily_digest', digest_time: '18:30' };
+
+    expect(getNextDigestTime(rule, 'Mars/Olympus', at('2026-01-15T12:00:00Z'))).toEqual(at('2026-01-15T18:30:00Z'));
+  });
+});
+
+describe('getTimezoneOffset', () => {
+  it('returns local time minus UTC', () => {
+    expect(getTimezoneOffset(at('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-5 * 3600000);
+    expect(getTimezoneOffset(at('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * 3600000);
+    expect(getTimezoneOffset(at('2026-01-15T12:00:00Z'), 'Asia/Kolkata')).toBe(5.5 * 3600000);
+  });
+});
+
+describe('validateDeliverySettings', () => {
+  it('checks the interval and daily time for digest modes', () => {
+    expect(validateDeliverySettings({ delivery_mode: 'digest', digest_interval_minutes: 30 })).toEqual([]);
+    expect(validateDeliverySettings({ delivery_mode: 'digest', digest_interval_minutes: 2 })).toHaveLength(1);
+    expect(validateDeliverySettings({ delivery_mode: 'daily_digest', digest_time: '25:00' })).toEqual(['digest_time must use HH:MM format']);
+    expect(validateDeliverySettings({ delivery_mode: 'weekly' })).toHaveLength(1);
+  });
+});
+
+describe('processDigests', () => {
+  const row = (id, ruleId) => ({
+    id,
+    tenant_id: 1,
+    rule_id: ruleId,
+    rule_name: `Rule ${ruleId}`,
+    notification_data: { webhook_id: 5, webhook_url: 'https://chat.example.com/space', webhook_data: { event: 'deal.won', current: { id } } }
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    defaultChatClient.sendDigest.mockReset().mockResolvedValue({});
+    isQuietTime.mockResolvedValue({ is_quiet: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims due rows in the statement that selects them', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await processDigests();
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(sql).toContain("SET status = 'sending'");
+    expect(params[0]).toBe('digest');
+  });
+
+  it('cancels the rows of disabled rules instead of sending them', async () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('WITH due')) return { rows: [row(1, 10), row(2, 10), row(3, 11)] };
+      if (sql.includes('FROM rules')) return { rows: [{ id: 11 }] };
+      return { rows: [] };
+    });
+
+    const result = await processDigests();
+
+    const cancel = pool.query.mock.calls.find(([sql]) => sql.includes("status = 'cancelled'"));
+    expect(cancel[1]).toEqual([[1, 2]]);
+    expect(defaultChatClient.sendDigest).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ processed: 1, events: 1 });
+  });
+});
@@ -0,0 +1,98 @@
+const { classifyError, getRetryDelay, withRetry } = require('../../services/retryPolicy');
+
+const policy = {
+  attempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 5000,
+  jitter: 0.2,
+  retryableStatusCodes: [429, 500, 503]
+};
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRetryDelay', () => {
+  it('doubles the delay on each attempt up to maxDelayMs', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect([1, 2, 3, 4, 5].map(attempt => getRetryDelay(attempt, policy))).toEqual([1000, 2000, 4000, 5000, 5000]);
+  });
+
+  it('takes off up to `jitter` of the delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(getRetryDelay(2, policy)).toBe(1600);
+
+    Math.random.mockReturnValue(0.5);
+    expect(getRetryDelay(2, policy)).toBe(1800);
+  });
+
+  it("waits out a rate limiter's retryAfterMs in full", () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(getRetryDelay(1, policy, { retryAfterMs: 12000 })).toBe(12000);
+    expect(getRetryDelay(3, policy, { retryAfterMs: 10 })).toBe(4000);
+  });
+});
+
+describe('classifyError', () => {
+  it('retries rate limits, retryable statuses and network errors only', () => {
+    expect(classifyError(Object.assign(new Error('overflow'), { code: 'CHANNEL_OVERFLOW' }), policy))
+      .toEqual({ transient: true, reason: 'rate_limited', statusCode: 429 });
+    expect(classifyError(httpError(503), policy)).toMatchObject({ transient: true, reason: 'http_503' });
+    expect(classifyError(httpError(404), policy)).toMatchObject({ transient: false, reason: 'http_404' });
+    expect(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), policy)).toMatchObject({ transient: true, reason: 'network' });
+    expect(classifyError(new Error('Template variable missing'), policy)).toMatchObject({ transient: false, reason: 'error' });
+  });
+});
+
+describe('withRetry', () => {
+  const fastPolicy = { ...policy, baseDelayMs: 0, maxDelayMs: 0 };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('retries transient failures until a send succeeds', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValueOnce('sent');
+
+    const outcome = await withRetry(send, { policy: fastPolicy });
+
+    expect(outcome.result).toBe('sent');
+    expect(outcome.attempts).toBe(2);
+    expect(outcome.attemptLog.map(entry => entry.status)).toEqual(['failed', 'success']);
+  });
+
+  it('gives up after policy.attempts and attaches the attempt log', async () => {
+    const send = jest.fn().mockRejectedValue(httpError(503));
+
+    const error = await withRetry(send, { policy: fastPolicy }).catch(caught => caught);
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(error.attempts).toBe(3);
+    expect(error.attemptLog).toHaveLength(3);
+    expect(error.classification.transient).toBe(true);
+  });
+
+  it('does not retry permanent failures', async () => {
+    const send = jest.fn().mockRejectedValue(httpError(400));
+
+    const error = await withRetry(send, { policy: fastPolicy }).catch(caught => caught);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(error.classification).toMatchObject({ transient: false, statusCode: 400 });
+  });
+
+  it('stops when the next wait is longer than maxDelayMs', async () => {
+    const send = jest.fn().mockRejectedValue(Object.assign(new Error('limited'), { code: 'RATE_LIMITED', retryAfterMs: 60000 }));
+
+    const error = await withRetry(send, { policy: fastPolicy, maxDelayMs: 5000 }).catch(caught => caught);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(error.attempts).toBe(1);
+  });
+});
@@ -0,0 +1,91 @@
+const { applyAdvancedFilters, usesCustomFieldFilters, validateFilters } = require('../../services/ruleFilters');
+
+const deal = (overrides = {}) => ({
+  event: 'deal.updated',
+  current: { id: 1, value: 60000, pipeline_id: 1, stage_id: 4, label: 'strategic', currency: 'USD', ...overrides }
+});
+
+const rule = (filters) => ({ name: 'Test rule', filters });
+
+const condition = (field, operator, value, extra = {}) => ({ type: 'condition', field, operator, value, ...extra });
+
+// The example from the ruleFilters.js header: (value > 50000 OR label = strategic) AND NOT pipeline 3
+const exampleTree = {
+  type: 'group',
+  op: 'and',
+  children: [
+    { type: 'group', op: 'or', children: [condition('value', 'gt', 50000), condition('label', 'eq', 'strategic')] },
+    condition('pipeline', 'eq', 3, { negate: true })
+  ]
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('applyAdvancedFilters with a condition tree', () => {
+  it('evaluates nested and/or groups and negated nodes', () => {
+    const filters = { tree: exampleTree };
+
+    expect(applyAdvancedFilters(deal(), rule(filters))).toBe(true);
+    expect(applyAdvancedFilters(deal({ value: 1000 }), rule(filters))).toBe(true);
+    expect(applyAdvancedFilters(deal({ value: 1000, label: '' }), rule(filters))).toBe(false);
+    expect(applyAdvancedFilters(deal({ pipeline_id: 3 }), rule(filters))).toBe(false);
+  });
+
+  it('negates whole groups', () => {
+    const filters = { tree: { ...exampleTree.children[0], negate: true } };
+
+    expect(applyAdvancedFilters(deal(), rule(filters))).toBe(false);
+    expect(applyAdvancedFilters(deal({ value: 1000, label: '' }), rule(filters))).toBe(true);
+  });
+
+  it('ANDs flat filters with the tree', () => {
+    const filters = JSON.stringify({ value_max: 100000, tree: exampleTree });
+
+    expect(applyAdvancedFilters(deal(), rule(filters))).toBe(true);
+    expect(applyAdvancedFilters(deal({ value: 250000 }), rule(filters))).toBe(false);
+  });
+
+  it('compares values with between, in and all', () => {
+    const between = { tree: condition('value', 'between', undefined, { min: 10000, max: 70000 }) };
+    const inStages = { tree: condition('stage', 'in', [3, '4']) };
+    const allLabels = { tree: condition('label', 'all', ['strategic', 'renewal']) };
+
+    expect(applyAdvancedFilters(deal(), rule(between))).toBe(true);
+    expect(applyAdvancedFilters(deal({ value: 80000 }), rule(between))).toBe(false);
+    expect(applyAdvancedFilters(deal({ stage_id: { id: 4, name: 'Proposal' } }), rule(inStages))).toBe(true);
+    expect(applyAdvancedFilters(deal(), rule(allLabels))).toBe(false);
+    expect(applyAdvancedFilters(deal({ labels: ['renewal', 'Strategic'] }), rule(allLabels))).toBe(true);
+  });
+
+  it('evaluates change conditions against the previous object', () => {
+    const filters = { tree: condition('change', 'increased_by_percent', 20, { change_field: 'value' }) };
+    const update = (from, to) => ({ ...deal({ value: to }), previous: { id: 1, value: from } });
+
+    expect(applyAdvancedFilters(update(50000, 60000), rule(filters))).toBe(true);
+    expect(applyAdvancedFilters(update(50000, 55000), rule(filters))).toBe(false);
+    expect(applyAdvancedFilters(deal(), rule(filters))).toBe(false);
+  });
+
+  it('matches custom fields by name, unless the plan lacks custom field filtering', () => {
+    const filters = { tree: condition('custom', 'eq', 'Enterprise', { custom_field: 'segment' }) };
+    const data = deal({ custom: { Segment: 'enterprise' } });
+
+    expect(usesCustomFieldFilters(rule(filters))).toBe(true);
+    expect(applyAdvancedFilters(data, rule(filters))).toBe(true);
+    expect(applyAdvancedFilters(data, rule(filters), { customFieldFiltering: false })).toBe(false);
+  });
+
+  it('treats conditions on unknown fields as not met', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(applyAdvancedFilters(deal(), rule({ tree: condition('colour', 'eq', 'red') }))).toBe(false);
+  });
+});
+
+describe('validateFilters', () => {
+  it('accepts the example tree', () => {
+    expect(validateFilters({ tree: exampleTree })).toEqual([]);
+  });
+});
@@ -0,0 +1,102 @@
+const { renderTemplate, compileTemplate, parseTemplate, getPath } = require('../../services/templateLanguage');
+
+const data = {
+  deal: { title: 'Enterprise renewal for Acme Corporation', value: 25000, status: 'open', labels: ['hot', 'strategic', 'q4'] },
+  person: { name: '' }
+};
+
+const render = (template, variables = data, options) => renderTemplate(template, segments => getPath(variables, segments), options);
+
+describe('renderTemplate', () => {
+  it('picks the first matching if / else if / else branch', () => {
+    const template = '{{#if deal.value > 50000}}big{{else if deal.value > 10000}}medium{{else}}small{{/if}}';
+
+    expect(render(template)).toBe('medium');
+    expect(render(template, { deal: { value: 90000 } })).toBe('big');
+    expect(render(template, { deal: { value: 10 } })).toBe('small');
+  });
+
+  it('inverts the test in unless blocks', () => {
+    expect(render('{{#unless deal.status == "won"}}still open{{/unless}}')).toBe('still open');
+    expect(render('{{#unless deal.status == "won"}}still open{{/unless}}', { deal: { status: 'won' } })).toBe('');
+  });
+
+  it('repeats each blocks with this and @last', () => {
+    expect(render('{{#each deal.labels}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}')).toBe('hot, strategic, q4');
+  });
+
+  it('renders the else branch of an each block over an empty list', () => {
+    expect(render('{{#each deal.labels}}{{this}}{{else}}no labels{{/each}}', { deal: { labels: [] } })).toBe('no labels');
+  });
+
+  it('applies truncate, default and uppercase filters', () => {
+    expect(render('{{deal.title | truncate:20}}')).toBe('Enterprise renewa...');
+    expect(render('{{deal.title | truncate:20,"…"}}')).toBe('Enterprise renewal…');
+    expect(render('{{deal.status | truncate:20}}')).toBe('open');
+    expect(render('{{person.name | default:"Unknown"}}')).toBe('Unknown');
+    expect(render('{{deal.status | uppercase}}')).toBe('OPEN');
+    expect(render('{{person.name | default:"someone" | uppercase}}')).toBe('SOMEONE');
+  });
+
+  it('keeps substituting legacy {var} references', () => {
+    expect(render('Deal {deal.title} is {deal.status}')).toBe('Deal Enterprise renewal for Acme Corporation is open');
+    expect(render('{{deal.status}} / {deal.status}')).toBe('open / open');
+  });
+
+  it('leaves unresolved legacy references visible', () => {
+    expect(render('Owner: {deal.owner}')).toBe('Owner: {deal.owner}');
+  });
+
+  it('aborts nested loops that run past the iteration budget', () => {
+    const entries = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`k${i}`, i]));
+
+    expect(() => render('{{#each a}}{{#each a}}{{#each a}}{{/each}}{{/each}}{{/each}}', { a: entries }))
+      .toThrow(expect.objectContaining({ code: 'TEMPLATE_LIMIT_EXCEEDED' }));
+  });
+
+  it('aborts renders whose output is too long', () => {
+    const long = 'x'.repeat(2000);
+
+    expect(() => render('{{#each deal.items}}{{this}}{{/each}}', { deal: { items: Array(100).fill(long) } }))
+      .toThrow('Template output is longer than 100000 characters');
+  });
+
+  it('throws on missing variables in strict mode', () => {
+    expect(() => render('{{deal.owner}}', data, { strictMode: true })).toThrow("Template variable 'deal.owner' not found");
+  });
+});
+
+describe('template syntax errors', () => {
+  const syntaxError = (template) => {
+    try {
+      compileTemplate(template);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('expected a syntax error');
+  };
+
+  it('reports the line and column of an unknown filter', () => {
+    const error = syntaxError('Hello\n  {{deal.title | shout}}');
+
+    expect(error.templateError).toEqual({ message: "Unknown filter 'shout'", line: 2, column: 18 });
+    expect(error.message).toBe("Unknown filter 'shout' (line 2, column 18)");
+  });
+
+  it('reports where an unclosed block was opened', () => {
+    const error = syntaxError('Line one\nLine two {{#if deal.value}}yes');
+
+    expect(error.templateError).toMatchObject({ line: 2, column: 12 });
+    expect(error.templateError.message).toContain('Unclosed {{#if}} block');
+  });
+
+  it('reports a stray legacy brace', () => {
+    expect(syntaxError('Deal {deal.title').templateError).toMatchObject({ line: 1, column: 6 });
+  });
+
+  it('collects every error when parsing', () => {
+    const { errors } = parseTemplate('{deal.title\n{{#each deal.labels}}');
+
+    expect(errors.map(error => error.templateError.line)).toEqual([1, 2]);
+  });
+});
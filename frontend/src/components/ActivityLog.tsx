@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import type { AuditEvent, AuditFilters } from '../services/api';
+import './ActivityLog.css';
+
+const PAGE_SIZE = 25;
+
+const ACTION_FILTERS: Array<{ value: string; label: string }> = [
+  { value: '', label: 'All changes' },
+  { value: 'rule', label: 'Rules' },
+  { value: 'rule_snapshot', label: 'Rule backups' },
+  { value: 'webhook', label: 'Webhooks' },
+  { value: 'routing_rule', label: 'Routing rules' },
+  { value: 'dead_letter', label: 'Dead letters' },
+  { value: 'report', label: 'Scheduled reports' },
+  { value: 'export', label: 'Analytics exports' },
+  { value: 'quiet_hours', label: 'Quiet hours' },
+  { value: 'member', label: 'Members' },
+  { value: 'plan', label: 'Plan' },
+];
+
+const ACTION_LABELS: Record<string, string> = {
+  'rule.created': 'created rule',
+  'rule.updated': 'updated rule',
+  'rule.deleted': 'deleted rule',
+  'rule.enabled': 'enabled rule',
+  'rule.disabled': 'disabled rule',
+  'rule.rolled_back': 'rolled back rule',
+  'rule_snapshot.created': 'created rule backup',
+  'rule_snapshot.deleted': 'deleted rule backup',
+  'rule_snapshot.restored': 'restored rule backup',
+  'webhook.created': 'added webhook',
+  'webhook.updated': 'updated webhook',
+  'webhook.deleted': 'deleted webhook',
+  'webhook.auto_disabled': 'auto-disabled failing webhook',
+  'webhook.reenabled': 're-enabled webhook',
+  'routing_rule.created': 'created routing rule',
+  'routing_rule.updated': 'updated routing rule',
+  'routing_rule.deleted': 'deleted routing rule',
+  'routing_rule.reordered': 'reordered routing rules',
+  'dead_letter.updated': 'changed webhook of dead letter',
+  'dead_letter.requeued': 'requeued dead letters',
+  'dead_letter.discarded': 'discarded dead letters',
+  'report.created': 'scheduled report',
+  'report.updated': 'updated scheduled report',
+  'report.deleted': 'deleted scheduled report',
+  'export.requested': 'requested analytics export',
+  'quiet_hours.updated': 'changed quiet hours',
+  'quiet_hours.reset': 'reset quiet hours',
+  'member.invited': 'invited member',
+  'member.role_changed': 'changed member role',
+  'member.removed': 'removed member',
+  'plan.changed': 'changed plan',
+};
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ActivityLog: React.FC = () => {
+  const [events, setEvents] = useState<AuditEvent[]>([]);
+  const [filters, setFilters] = useState<AuditFilters>({ action: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await apiService.getAuditEvents({ ...filters, page, limit: PAGE_SIZE });
+      setEvents(data.events);
+      setHasMore(data.hasMore);
+      setTotal(data.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load activity');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const updateFilter = (key: keyof AuditFilters, value: string) => {
+    setPage(1);
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      await apiService.downloadAuditCsv(filters);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to export activity');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const describeEntity = (event: AuditEvent) => {
+    const after = event.changes?.name?.after;
+    const before = event.changes?.name?.before;
+    const name = (after || before || event.metadata?.name || event.metadata?.email) as string | undefined;
+    return name ? `“${name}”` : event.entity_id ? `#${event.entity_id}` : '';
+  };
+
+  return (
+    <div className="activity-section">
+      <div className="activity-header">
+        <div>
+          <h2>🕘 Activity</h2>
+          <p>Who changed rules, webhooks, quiet hours, members and your plan</p>
+        </div>
+        <button className="button-secondary" onClick={handleExport} disabled={isExporting || total === 0} type="button">
+          {isExporting ? 'Exporting...' : '⬇️ Export CSV'}
+        </button>
+      </div>
+
+      <div className="activity-filters">
+        <select
+          className="form-select compact"
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          aria-label="Filter by change type"
+        >
+          {ACTION_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </label>
+      </div>
+
+      {error && <div className="activity-error" role="alert">{error}</div>}
+
+      {isLoading ? (
+        <p className="activity-empty">Loading activity...</p>
+      ) : events.length === 0 ? (
+        <p className="activity-empty">No changes recorded for these filters.</p>
+      ) : (
+        <ul className="activity-list">
+          {events.map(event => {
+            const changedFields = Object.entries(event.changes || {});
+            const isExpanded = expandedId === event.id;
+
+            return (
+              <li key={event.id} className="activity-item">
+                <button
+                  type="button"
+                  className="activity-summary"
+                  onClick={() => setExpandedId(isExpanded ? null : event.id)}
+                  aria-expanded={isExpanded}
+                >
+                  <span className="activity-time">{new Date(event.created_at).toLocaleString()}</span>
+                  <span className="activity-text">
+                    <strong>{event.actor_name || (event.actor_type === 'user' ? 'Unknown user' : event.actor_type)}</strong>
+                    {' '}{ACTION_LABELS[event.action] || event.action} {describeEntity(event)}
+                  </span>
+                  <span className="activity-count">
+                    {changedFields.length} field{changedFields.length === 1 ? '' : 's'}
+                  </span>
+                </button>
+                {isExpanded && (
+                  <div className="activity-details">
+                    {changedFields.length > 0 ? (
+                      <table className="activity-diff">
+                        <thead>
+                          <tr><th>Field</th><th>Before</th><th>After</th></tr>
+                        </thead>
+                        <tbody>
+                          {changedFields.map(([field, change]) => (
+                            <tr key={field}>
+                              <td>{field}</td>
+                              <td className="diff-before">{formatValue(change.before)}</td>
+                              <td className="diff-after">{formatValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="activity-empty">No field changes recorded.</p>
+                    )}
+                    <div className="activity-meta">
+                      {event.actor_role && <span>Role: {event.actor_role}</span>}
+                      {event.ip_address && <span>IP: {event.ip_address}</span>}
+                    </div>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="activity-pagination">
+        <button className="button-secondary" disabled={page === 1 || isLoading} onClick={() => setPage(p => p - 1)} type="button">
+          ← Newer
+        </button>
+        <span>Page {page}</span>
+        <button className="button-secondary" disabled={!hasMore || isLoading} onClick={() => setPage(p => p + 1)} type="button">
+          Older →
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityLog;
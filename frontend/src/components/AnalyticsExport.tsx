@@ -1,12 +1,23 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { API_BASE_URL } from '../config/api';
 import { getTenantId, getAuthToken } from '../utils/auth';
 import './AnalyticsExport.css';
 
+type ExportStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'expired';
+
 interface ExportJob {
-  export_id: string;
-  status: 'pending' | 'completed' | 'failed';
-  estimated_completion: string;
+  export_id: number;
+  format: 'csv' | 'xlsx' | 'pdf';
+  data_range: string;
+  status: ExportStatus;
+  file_name: string | null;
+  file_size: number | null;
+  row_count: number | null;
+  error: string | null;
+  created_at: string;
+  completed_at: string | null;
+  expires_at: string | null;
+  status_url: string;
   download_url: string;
 }
 
@@ -14,6 +25,47 @@ interface AnalyticsExportProps {
   refreshToken?: number;
 }
 
+const STATUS_LABELS: Record<ExportStatus, string> = {
+  pending: 'Queued',
+  processing: 'Generating',
+  completed: 'Ready',
+  failed: 'Failed',
+  expired: 'Expired'
+};
+
+const formatFileSize = (bytes: number | null) => {
+  if (bytes === null) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Filename from a Content-Disposition header (attachment; filename="...")
+const fileNameFromDisposition = (header: string | null) => {
+  const match = header?.match(/filename="?([^";]+)"?/i);
+  return match ? match[1] : null;
+};
+
+const authHeaders = () => {
+  const token = getAuthToken();
+  if (!getTenantId() || !token) {
+    throw new Error('Authentication required');
+  }
+  return { 'Authorization': `Bearer ${token}` };
+};
+
+const requestExportApi = async (path: string, init: RequestInit = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...init,
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `Request failed: ${response.statusText}`);
+  }
+  return data;
+};
+
 const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
   const [exportFormat, setExportFormat] = useState<'csv' | 'pdf' | 'excel'>('csv');
   const [dataRange, setDataRange] = useState('30d');
@@ -25,49 +77,59 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
   });
   const [isExporting, setIsExporting] = useState(false);
   const [exportJob, setExportJob] = useState<ExportJob | null>(null);
+  const [recentExports, setRecentExports] = useState<ExportJob[]>([]);
   const [error, setError] = useState<string | null>(null);
 
-  const handleExport = async () => {
+  const loadRecentExports = useCallback(async () => {
     try {
-      setIsExporting(true);
-      setError(null);
-      
-      const tenantId = getTenantId();
-      const token = getAuthToken();
-      
-      if (!tenantId || !token) {
-        throw new Error('Authentication required');
-      }
+      const data = await requestExportApi(`/api/v1/analytics/advanced/export/${getTenantId()}`);
+      setRecentExports(data.exports);
+    } catch (err) {
+      console.error('Failed to load exports:', err);
+    }
+  }, []);
 
-      const response = await fetch(
-        `${API_BASE_URL}/api/v1/analytics/advanced/export/${tenantId}`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            format: exportFormat,
-            data_range: dataRange,
-            filters: includeFilters
-          })
-        }
-      );
+  useEffect(() => {
+    loadRecentExports();
+  }, [loadRecentExports, refreshToken]);
 
-      if (!response.ok) {
-        throw new Error(`Export failed: ${response.statusText}`);
-      }
+  // Poll the export until the worker has finished it
+  useEffect(() => {
+    if (!exportJob || (exportJob.status !== 'pending' && exportJob.status !== 'processing')) return;
 
-      const data = await response.json();
-      
-      if (data.success) {
+    const timer = setTimeout(async () => {
+      try {
+        const data: ExportJob = await requestExportApi(exportJob.status_url);
         setExportJob(data);
-        // Poll for completion
-        setTimeout(() => checkExportStatus(data.export_id), 3000);
-      } else {
-        throw new Error(data.error || 'Export failed');
+        if (data.status === 'failed') {
+          setError(data.error || 'Export processing failed');
+        }
+        if (data.status !== 'pending' && data.status !== 'processing') {
+          loadRecentExports();
+        }
+      } catch (err) {
+        console.error('Export status check failed:', err);
+        setExportJob(prev => prev ? { ...prev } : null);
       }
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [exportJob, loadRecentExports]);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      setError(null);
+
+      const data: ExportJob = await requestExportApi(`/api/v1/analytics/advanced/export/${getTenantId()}`, {
+        method: 'POST',
+        body: JSON.stringify({
+          format: exportFormat,
+          data_range: dataRange,
+          filters: includeFilters
+        })
+      });
+      setExportJob(data);
     } catch (err) {
       console.error('Export error:', err);
       setError(err instanceof Error ? err.message : 'Export failed');
@@ -76,68 +138,32 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
     }
   };
 
-  const checkExportStatus = async (exportId: string) => {
-    try {
-      const tenantId = getTenantId();
-      const token = getAuthToken();
-      
-      if (!tenantId || !token) return;
-
-      const response = await fetch(
-        `${API_BASE_URL}/api/v1/analytics/advanced/export/${tenantId}/${exportId}/download`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const data = await response.json();
-      
-      if (data.success && data.download_ready) {
-        setExportJob(prev => prev ? { ...prev, status: 'completed' } : null);
-      } else if (data.status === 'failed') {
-        setExportJob(prev => prev ? { ...prev, status: 'failed' } : null);
-        setError('Export processing failed');
-      } else {
-        // Still processing, check again in 2 seconds
-        setTimeout(() => checkExportStatus(exportId), 2000);
-      }
-    } catch (err) {
-      console.error('Export status check failed:', err);
-    }
-  };
-
-  const downloadExport = async () => {
-    if (!exportJob) return;
-    
+  const downloadExport = async (job: ExportJob) => {
     try {
-      const tenantId = getTenantId();
-      const token = getAuthToken();
-      
-      if (!tenantId || !token) return;
-
-      const response = await fetch(exportJob.download_url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        }
+      setError(null);
+      const response = await fetch(`${API_BASE_URL}${job.download_url}`, {
+        headers: authHeaders()
       });
 
-      if (response.ok) {
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        a.download = `analytics_export_${new Date().toISOString().split('T')[0]}.${exportFormat}`;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Download failed');
       }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+      a.download = fileNameFromDisposition(response.headers.get('Content-Disposition')) || job.file_name || `analytics_export.${job.format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+      loadRecentExports();
     } catch (err) {
       console.error('Download failed:', err);
-      setError('Download failed');
+      setError(err instanceof Error ? err.message : 'Download failed');
     }
   };
 
@@ -146,6 +172,15 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
     setError(null);
   };
 
+  // Successful only and failed only exclude each other
+  const toggleStatusFilter = (key: 'successful_only' | 'failed_only', checked: boolean) => {
+    setIncludeFilters(prev => ({
+      ...prev,
+      successful_only: key === 'successful_only' ? checked : checked ? false : prev.successful_only,
+      failed_only: key === 'failed_only' ? checked : checked ? false : prev.failed_only
+    }));
+  };
+
   return (
     <div className="analytics-export">
       <div className="export-header">
@@ -161,7 +196,7 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
           <div className="config-section">
             <h4>Export Format</h4>
             <div className="format-options">
-              <div 
+              <div
                 className={`format-option ${exportFormat === 'csv' ? 'selected' : ''}`}
                 onClick={() => setExportFormat('csv')}
               >
@@ -172,8 +207,8 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
                   <span className="format-features">✓ Excel compatible ✓ Lightweight ✓ Easy to import</span>
                 </div>
               </div>
-              
-              <div 
+
+              <div
                 className={`format-option ${exportFormat === 'pdf' ? 'selected' : ''}`}
                 onClick={() => setExportFormat('pdf')}
               >
@@ -184,8 +219,8 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
                   <span className="format-features">✓ Presentation ready ✓ Charts included ✓ Shareable</span>
                 </div>
               </div>
-              
-              <div 
+
+              <div
                 className={`format-option ${exportFormat === 'excel' ? 'selected' : ''}`}
                 onClick={() => setExportFormat('excel')}
               >
@@ -193,7 +228,7 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
                 <div className="format-details">
                   <h5>Excel</h5>
                   <p>Full Excel workbook with multiple sheets</p>
-                  <span className="format-features">✓ Multiple tabs ✓ Pivot tables ✓ Advanced analysis</span>
+                  <span className="format-features">✓ Multiple tabs ✓ Daily and rule summaries ✓ Advanced analysis</span>
                 </div>
               </div>
             </div>
@@ -203,19 +238,19 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
           <div className="config-section">
             <h4>Date Range</h4>
             <div className="date-range-options">
-              <button 
+              <button
                 className={`range-btn ${dataRange === '7d' ? 'active' : ''}`}
                 onClick={() => setDataRange('7d')}
               >
                 Last 7 Days
               </button>
-              <button 
+              <button
                 className={`range-btn ${dataRange === '30d' ? 'active' : ''}`}
                 onClick={() => setDataRange('30d')}
               >
                 Last 30 Days
               </button>
-              <button 
+              <button
                 className={`range-btn ${dataRange === '90d' ? 'active' : ''}`}
                 onClick={() => setDataRange('90d')}
               >
@@ -229,31 +264,25 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
             <h4>Data Filters</h4>
             <div className="filter-options">
               <label className="filter-option">
-                <input 
+                <input
                   type="checkbox"
                   checked={includeFilters.successful_only}
-                  onChange={(e) => setIncludeFilters(prev => ({
-                    ...prev,
-                    successful_only: e.target.checked
-                  }))}
+                  onChange={(e) => toggleStatusFilter('successful_only', e.target.checked)}
                 />
                 <span>Successful notifications only</span>
               </label>
-              
+
               <label className="filter-option">
-                <input 
+                <input
                   type="checkbox"
                   checked={includeFilters.failed_only}
-                  onChange={(e) => setIncludeFilters(prev => ({
-                    ...prev,
-                    failed_only: e.target.checked
-                  }))}
+                  onChange={(e) => toggleStatusFilter('failed_only', e.target.checked)}
                 />
                 <span>Failed notifications only</span>
               </label>
-              
+
               <label className="filter-option">
-                <input 
+                <input
                   type="checkbox"
                   checked={includeFilters.specific_channels}
                   onChange={(e) => setIncludeFilters(prev => ({
@@ -263,9 +292,9 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
                 />
                 <span>Include channel-specific data</span>
               </label>
-              
+
               <label className="filter-option">
-                <input 
+                <input
                   type="checkbox"
                   checked={includeFilters.high_value_deals}
                   onChange={(e) => setIncludeFilters(prev => ({
@@ -280,7 +309,7 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
 
           {/* Export Button */}
           <div className="export-actions">
-            <button 
+            <button
               className="export-btn"
               onClick={handleExport}
               disabled={isExporting}
@@ -297,7 +326,7 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
                 </>
               )}
             </button>
-            
+
             {error && (
               <div className="export-error">
                 <span className="error-icon">⚠️</span>
@@ -308,15 +337,15 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
         </div>
       ) : (
         <div className="export-status">
-          {exportJob.status === 'pending' && (
+          {(exportJob.status === 'pending' || exportJob.status === 'processing') && (
             <div className="status-pending">
               <div className="status-icon">⏳</div>
               <h4>Export in Progress</h4>
-              <p>Your {exportFormat.toUpperCase()} export is being generated...</p>
+              <p>Your {exportJob.format.toUpperCase()} export is being generated...</p>
               <div className="progress-indicator">
                 <div className="progress-bar"></div>
               </div>
-              <p className="estimated-time">{exportJob.estimated_completion}</p>
+              <p className="estimated-time">{STATUS_LABELS[exportJob.status]} · this page updates when the file is ready</p>
             </div>
           )}
 
@@ -324,33 +353,50 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
             <div className="status-completed">
               <div className="status-icon">✅</div>
               <h4>Export Ready!</h4>
-              <p>Your {exportFormat.toUpperCase()} export has been generated successfully.</p>
-              
+              <p>Your {exportJob.format.toUpperCase()} export has been generated successfully.</p>
+
               <div className="download-actions">
-                <button className="download-btn" onClick={downloadExport}>
+                <button className="download-btn" onClick={() => downloadExport(exportJob)}>
                   <span className="download-icon">⬇️</span>
                   Download Export
                 </button>
-                
+
                 <button className="new-export-btn" onClick={resetExport}>
                   <span className="new-icon">🔄</span>
                   Create New Export
                 </button>
               </div>
 
+              {error && (
+                <div className="export-error">
+                  <span className="error-icon">⚠️</span>
+                  {error}
+                </div>
+              )}
+
               <div className="export-details">
-                <p><strong>File Info:</strong> 1.2MB, ~1,500 rows</p>
-                <p><strong>Generated:</strong> {new Date().toLocaleString()}</p>
+                <p><strong>File:</strong> {exportJob.file_name}</p>
+                <p><strong>File Info:</strong> {formatFileSize(exportJob.file_size)}, {(exportJob.row_count ?? 0).toLocaleString()} notifications</p>
+                {exportJob.completed_at && (
+                  <p><strong>Generated:</strong> {new Date(exportJob.completed_at).toLocaleString()}</p>
+                )}
+                {exportJob.expires_at && (
+                  <p><strong>Available until:</strong> {new Date(exportJob.expires_at).toLocaleString()}</p>
+                )}
               </div>
             </div>
           )}
 
-          {exportJob.status === 'failed' && (
+          {(exportJob.status === 'failed' || exportJob.status === 'expired') && (
             <div className="status-failed">
               <div className="status-icon">❌</div>
-              <h4>Export Failed</h4>
-              <p>There was an error generating your export. Please try again.</p>
-              
+              <h4>{exportJob.status === 'expired' ? 'Export Expired' : 'Export Failed'}</h4>
+              <p>
+                {exportJob.status === 'expired'
+                  ? 'This export is no longer available. Please generate a new one.'
+                  : exportJob.error || 'There was an error generating your export. Please try again.'}
+              </p>
+
               <button className="retry-btn" onClick={resetExport}>
                 <span className="retry-icon">🔄</span>
                 Try Again
@@ -360,6 +406,34 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
         </div>
       )}
 
+      {/* Recent Exports */}
+      {recentExports.length > 0 && (
+        <div className="recent-exports">
+          <h4>🗂️ Recent Exports</h4>
+          <div className="recent-exports-list">
+            {recentExports.map(job => (
+              <div key={job.export_id} className="recent-export-item">
+                <div className="recent-export-info">
+                  <span className="recent-export-name">
+                    {job.file_name || `${job.format.toUpperCase()} export, last ${job.data_range}`}
+                  </span>
+                  <span className="recent-export-meta">
+                    {new Date(job.created_at).toLocaleString()}
+                    {job.status === 'completed' && ` · ${formatFileSize(job.file_size)} · ${(job.row_count ?? 0).toLocaleString()} notifications`}
+                  </span>
+                </div>
+                <span className={`recent-export-status status-${job.status}`}>{STATUS_LABELS[job.status]}</span>
+                {job.status === 'completed' && (
+                  <button className="recent-export-download" onClick={() => downloadExport(job)}>
+                    ⬇️ Download
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Export Tips */}
       <div className="export-tips">
         <h4>💡 Export Tips</h4>
@@ -374,11 +448,11 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
           </div>
           <div className="tip-item">
             <span className="tip-icon">📈</span>
-            <span><strong>Excel:</strong> Advanced analysis with pivot tables and charts</span>
+            <span><strong>Excel:</strong> Notifications plus daily, rule and channel summary sheets</span>
           </div>
           <div className="tip-item">
-            <span className="tip-icon">🔄</span>
-            <span><strong>Automation:</strong> Schedule regular exports in Team settings</span>
+            <span className="tip-icon">⏱️</span>
+            <span><strong>Retention:</strong> Export files can be downloaded for 7 days</span>
           </div>
         </div>
       </div>
@@ -386,4 +460,4 @@ const AnalyticsExport: React.FC<AnalyticsExportProps> = ({ refreshToken }) => {
   );
 };
 
-export default AnalyticsExport;
\ No newline at end of file
+export default AnalyticsExport;
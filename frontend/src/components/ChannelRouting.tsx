@@ -1,6 +1,7 @@
-import { API_BASE_URL } from '../config/api';
 import React, { useState, useEffect } from 'react';
 import FeatureGate from './FeatureGate';
+import apiService from '../services/api';
+import type { RoutingRule, RoutingMatchMode, RoutingExplanation } from '../services/api';
 import './ChannelRouting.css';
 
 interface Webhook {
@@ -37,6 +38,44 @@ interface RoutingStats {
   rules_count: number;
 }
 
+interface RoutingRuleForm {
+  name: string;
+  event_type: string;
+  conditions: string;
+  target_webhook_ids: number[];
+  match_mode: RoutingMatchMode;
+  enabled: boolean;
+}
+
+const EMPTY_RULE_FORM: RoutingRuleForm = {
+  name: '',
+  event_type: '*',
+  conditions: '{}',
+  target_webhook_ids: [],
+  match_mode: 'first_match',
+  enabled: true,
+};
+
+const EVENT_TYPES = ['*', 'deal.*', 'deal.added', 'deal.updated', 'deal.won', 'deal.lost', 'person.*', 'organization.*', 'activity.*'];
+
+const STEP_LABELS: Record<RoutingExplanation['steps'][number]['result'], string> = {
+  matched: 'matched',
+  not_evaluated: 'not evaluated (an earlier first-match rule matched)',
+  disabled: 'disabled',
+  event_type_mismatch: 'event type does not match',
+  conditions_not_met: 'conditions not met',
+  no_active_targets: 'matched, but none of its webhooks are active',
+  rule_has_targets: 'skipped (the notification rule fans out to its own channels)',
+  routing_not_enabled: 'skipped (the notification rule does not use routing rules)',
+};
+
+const SOURCE_LABELS: Record<RoutingExplanation['source'], string> = {
+  rule_targets: "The notification rule's fan-out channels are used",
+  routing_rules: 'Selected by routing rules',
+  rule_target: "The notification rule's own channel is used",
+  none: 'No active webhook to deliver to',
+};
+
 interface ChannelRoutingProps {
   webhooks: Webhook[];
   onRefresh?: () => void;
@@ -49,8 +88,23 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
   const [suggestions, setSuggestions] = useState<RoutingSuggestion[]>([]);
   const [stats, setStats] = useState<RoutingStats[]>([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState<'config' | 'stats' | 'suggestions'>('config');
+  const [activeTab, setActiveTab] = useState<'rules' | 'explain' | 'config' | 'stats' | 'suggestions'>('rules');
   const [isCreatingRules, setIsCreatingRules] = useState(false);
+  const [routingRules, setRoutingRules] = useState<RoutingRule[]>([]);
+  const [ruleForm, setRuleForm] = useState<RoutingRuleForm>(EMPTY_RULE_FORM);
+  const [editingRuleId, setEditingRuleId] = useState<number | null>(null);
+  const [showRuleForm, setShowRuleForm] = useState(false);
+  const [isSavingRule, setIsSavingRule] = useState(false);
+  const [ruleError, setRuleError] = useState<string | null>(null);
+  const [explainInput, setExplainInput] = useState<{ mode: 'sample' | 'log' | 'payload'; event_type: string; log_id: string; payload: string }>({
+    mode: 'sample',
+    event_type: 'deal.updated',
+    log_id: '',
+    payload: '',
+  });
+  const [explanation, setExplanation] = useState<RoutingExplanation | null>(null);
+  const [explainError, setExplainError] = useState<string | null>(null);
+  const [isExplaining, setIsExplaining] = useState(false);
 
   useEffect(() => {
     loadRoutingData();
@@ -60,6 +114,7 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
     try {
       setIsLoading(true);
       await Promise.all([
+        loadRoutingRules(),
         loadSuggestions(),
         loadStats()
       ]);
@@ -139,35 +194,140 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
     }
   };
 
+  const loadRoutingRules = async () => {
+    try {
+      const { rules } = await apiService.getRoutingRules();
+      setRoutingRules(rules);
+    } catch (error) {
+      console.error('Error loading routing rules:', error);
+    }
+  };
+
   const createRoutingRules = async () => {
     try {
       setIsCreatingRules(true);
-      
-      const apiUrl = API_BASE_URL;
-      const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
-      
-      const response = await fetch(`${apiUrl}/api/v1/admin/routing/create-rules`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: JSON.stringify(routingConfig),
-      });
+      const result = await apiService.createRoutingPresets({ ...routingConfig });
+      alert(`✅ Successfully created ${result.rulesCreated || 0} routing rules!`);
+      await loadRoutingRules();
+      setActiveTab('rules');
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Error creating routing rules:', error);
+      alert(`❌ Failed to create routing rules: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+    setIsCreatingRules(false);
+  };
+
+  const webhookName = (id: number) => webhooks.find(w => Number(w.id) === id)?.name || `Webhook #${id}`;
+
+  const openRuleForm = (rule?: RoutingRule) => {
+    setEditingRuleId(rule ? rule.id : null);
+    setRuleForm(rule ? {
+      name: rule.name,
+      event_type: rule.event_type,
+      conditions: JSON.stringify(rule.conditions || {}, null, 2),
+      target_webhook_ids: rule.target_webhook_ids,
+      match_mode: rule.match_mode,
+      enabled: rule.enabled,
+    } : EMPTY_RULE_FORM);
+    setRuleError(null);
+    setShowRuleForm(true);
+  };
 
-      if (response.ok) {
-        const result = await response.json();
-        alert(`✅ Successfully created ${result.rulesCreated || 0} routing rules!`);
-        if (onRefresh) onRefresh();
+  const toggleFormTarget = (webhookId: number) => {
+    const selected = ruleForm.target_webhook_ids.includes(webhookId);
+    setRuleForm({
+      ...ruleForm,
+      target_webhook_ids: selected
+        ? ruleForm.target_webhook_ids.filter(id => id !== webhookId)
+        : [...ruleForm.target_webhook_ids, webhookId],
+    });
+  };
+
+  const saveRoutingRule = async () => {
+    let conditions: Record<string, unknown>;
+    try {
+      conditions = ruleForm.conditions.trim() ? JSON.parse(ruleForm.conditions) : {};
+    } catch {
+      setRuleError('Conditions must be valid JSON');
+      return;
+    }
+
+    const input = { ...ruleForm, conditions };
+    try {
+      setIsSavingRule(true);
+      setRuleError(null);
+      if (editingRuleId) {
+        await apiService.updateRoutingRule(editingRuleId, input);
       } else {
-        const errorData = await response.json();
-        alert(`❌ Failed to create routing rules: ${errorData.error || 'Unknown error'}`);
+        await apiService.createRoutingRule(input);
       }
+      setShowRuleForm(false);
+      await loadRoutingRules();
     } catch (error) {
-      console.error('Error creating routing rules:', error);
-      alert('❌ Failed to create routing rules');
+      setRuleError(error instanceof Error ? error.message : 'Failed to save routing rule');
+    }
+    setIsSavingRule(false);
+  };
+
+  const toggleRoutingRule = async (rule: RoutingRule) => {
+    try {
+      await apiService.updateRoutingRule(rule.id, { enabled: !rule.enabled });
+      await loadRoutingRules();
+    } catch (error) {
+      alert(`❌ ${error instanceof Error ? error.message : 'Failed to update routing rule'}`);
+    }
+  };
+
+  const deleteRoutingRule = async (rule: RoutingRule) => {
+    if (!window.confirm(`Delete routing rule "${rule.name}"?`)) return;
+    try {
+      await apiService.deleteRoutingRule(rule.id);
+      await loadRoutingRules();
+    } catch (error) {
+      alert(`❌ ${error instanceof Error ? error.message : 'Failed to delete routing rule'}`);
+    }
+  };
+
+  const moveRoutingRule = async (index: number, direction: -1 | 1) => {
+    const ordered = [...routingRules];
+    const [moved] = ordered.splice(index, 1);
+    ordered.splice(index + direction, 0, moved);
+    setRoutingRules(ordered);
+    try {
+      const { rules } = await apiService.reorderRoutingRules(ordered.map(rule => rule.id));
+      setRoutingRules(rules);
+    } catch (error) {
+      alert(`❌ ${error instanceof Error ? error.message : 'Failed to reorder routing rules'}`);
+      await loadRoutingRules();
     }
-    setIsCreatingRules(false);
+  };
+
+  const explainRouting = async () => {
+    const input: { payload?: unknown; log_id?: number; event_type?: string } = {};
+    if (explainInput.mode === 'payload') {
+      try {
+        input.payload = JSON.parse(explainInput.payload);
+      } catch {
+        setExplainError('Payload must be valid JSON');
+        return;
+      }
+    } else if (explainInput.mode === 'log') {
+      input.log_id = parseInt(explainInput.log_id);
+    } else {
+      input.event_type = explainInput.event_type;
+    }
+
+    try {
+      setIsExplaining(true);
+      setExplainError(null);
+      const { explanation: result } = await apiService.explainRouting(input);
+      setExplanation(result);
+    } catch (error) {
+      setExplanation(null);
+      setExplainError(error instanceof Error ? error.message : 'Failed to explain routing');
+    }
+    setIsExplaining(false);
   };
 
   const getChannelsByType = (keywords: string[]) => {
@@ -350,12 +510,236 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
           {isCreatingRules ? '⏳ Creating Rules...' : '🚀 Create Routing Rules'}
         </button>
         <p className="config-help">
-          This will create notification rules based on your routing configuration
+          This adds routing rules for the selected channels (existing rules with the same name are updated)
         </p>
       </div>
     </div>
   );
 
+  const renderRulesTab = () => (
+    <div className="routing-rules">
+      <div className="routing-rules-header">
+        <p>
+          Rules are checked top to bottom. A <strong>first match</strong> rule stops at the first rule that matches;
+          a <strong>fan out</strong> rule also sends to its channels and lets later rules add more.
+          When no rule matches, the notification rule's own webhook is used.
+        </p>
+        <button className="create-rules-button" onClick={() => openRuleForm()}>
+          ➕ Add Routing Rule
+        </button>
+      </div>
+
+      {showRuleForm && (
+        <div className="routing-rule-form">
+          <h4>{editingRuleId ? 'Edit routing rule' : 'New routing rule'}</h4>
+          <div className="config-row">
+            <div className="config-field">
+              <label>Name</label>
+              <input
+                type="text"
+                value={ruleForm.name}
+                onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+                placeholder="High value deals"
+              />
+            </div>
+            <div className="config-field">
+              <label>Event Type</label>
+              <select
+                value={ruleForm.event_type}
+                onChange={(e) => setRuleForm({ ...ruleForm, event_type: e.target.value })}
+              >
+                {(EVENT_TYPES.includes(ruleForm.event_type) ? EVENT_TYPES : [ruleForm.event_type, ...EVENT_TYPES]).map(type => (
+                  <option key={type} value={type}>{type === '*' ? 'All events' : type}</option>
+                ))}
+              </select>
+            </div>
+            <div className="config-field">
+              <label>Match Mode</label>
+              <select
+                value={ruleForm.match_mode}
+                onChange={(e) => setRuleForm({ ...ruleForm, match_mode: e.target.value as RoutingMatchMode })}
+              >
+                <option value="first_match">First match (stop here)</option>
+                <option value="fan_out">Fan out (continue)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="config-field">
+            <label>Conditions (JSON, same filters as notification rules)</label>
+            <textarea
+              rows={5}
+              value={ruleForm.conditions}
+              onChange={(e) => setRuleForm({ ...ruleForm, conditions: e.target.value })}
+              placeholder='{ "value_min": 10000, "probability_min": 80 }'
+            />
+          </div>
+
+          <div className="config-field">
+            <label>Target Channels</label>
+            <div className="routing-target-list">
+              {webhooks.filter(w => w.is_active).map(webhook => (
+                <label key={webhook.id} className="routing-target-option">
+                  <input
+                    type="checkbox"
+                    checked={ruleForm.target_webhook_ids.includes(Number(webhook.id))}
+                    onChange={() => toggleFormTarget(Number(webhook.id))}
+                  />
+                  {webhook.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="routing-target-option">
+            <input
+              type="checkbox"
+              checked={ruleForm.enabled}
+              onChange={(e) => setRuleForm({ ...ruleForm, enabled: e.target.checked })}
+            />
+            Enabled
+          </label>
+
+          {ruleError && <div className="routing-error">{ruleError}</div>}
+
+          <div className="routing-form-actions">
+            <button className="routing-secondary-button" onClick={() => setShowRuleForm(false)}>
+              Cancel
+            </button>
+            <button
+              className="create-rules-button"
+              onClick={saveRoutingRule}
+              disabled={isSavingRule || !ruleForm.name.trim() || ruleForm.target_webhook_ids.length === 0}
+            >
+              {isSavingRule ? '⏳ Saving...' : '💾 Save Rule'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {routingRules.length === 0 ? (
+        <div className="empty-stats">
+          <div className="empty-icon">🧭</div>
+          <h4>No routing rules yet</h4>
+          <p>Every notification goes to the webhook selected on its rule. Add a routing rule or use Quick Setup.</p>
+        </div>
+      ) : (
+        <ol className="routing-rule-list">
+          {routingRules.map((rule, index) => (
+            <li key={rule.id} className={`routing-rule-item ${rule.enabled ? '' : 'disabled'}`}>
+              <div className="routing-rule-order">
+                <button onClick={() => moveRoutingRule(index, -1)} disabled={index === 0} title="Move up">▲</button>
+                <button onClick={() => moveRoutingRule(index, 1)} disabled={index === routingRules.length - 1} title="Move down">▼</button>
+              </div>
+              <div className="routing-rule-body">
+                <div className="routing-rule-title">
+                  <strong>{rule.name}</strong>
+                  <span className={`routing-mode-badge ${rule.match_mode}`}>
+                    {rule.match_mode === 'fan_out' ? 'fan out' : 'first match'}
+                  </span>
+                  {!rule.enabled && <span className="routing-mode-badge off">disabled</span>}
+                </div>
+                <div className="routing-rule-summary">
+                  {rule.event_type === '*' ? 'All events' : rule.event_type}
+                  {Object.keys(rule.conditions || {}).length > 0 && <code>{JSON.stringify(rule.conditions)}</code>}
+                  {' → '}
+                  {rule.target_webhook_ids.map(webhookName).join(', ')}
+                </div>
+              </div>
+              <div className="routing-rule-actions">
+                <button onClick={() => toggleRoutingRule(rule)}>{rule.enabled ? 'Disable' : 'Enable'}</button>
+                <button onClick={() => openRuleForm(rule)}>Edit</button>
+                <button className="danger" onClick={() => deleteRoutingRule(rule)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+
+  const renderExplainTab = () => (
+    <div className="routing-explain">
+      <p>See which routing rule selects the channel for an event.</p>
+      <div className="config-row">
+        <div className="config-field">
+          <label>Event Source</label>
+          <select
+            value={explainInput.mode}
+            onChange={(e) => setExplainInput({ ...explainInput, mode: e.target.value as 'sample' | 'log' | 'payload' })}
+          >
+            <option value="sample">Sample event</option>
+            <option value="log">Delivery log ID</option>
+            <option value="payload">Webhook payload (JSON)</option>
+          </select>
+        </div>
+        {explainInput.mode === 'sample' && (
+          <div className="config-field">
+            <label>Event Type</label>
+            <select
+              value={explainInput.event_type}
+              onChange={(e) => setExplainInput({ ...explainInput, event_type: e.target.value })}
+            >
+              {EVENT_TYPES.filter(type => !type.includes('*')).map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {explainInput.mode === 'log' && (
+          <div className="config-field">
+            <label>Log ID</label>
+            <input
+              type="number"
+              value={explainInput.log_id}
+              onChange={(e) => setExplainInput({ ...explainInput, log_id: e.target.value })}
+            />
+          </div>
+        )}
+      </div>
+      {explainInput.mode === 'payload' && (
+        <div className="config-field">
+          <label>Payload</label>
+          <textarea
+            rows={8}
+            value={explainInput.payload}
+            onChange={(e) => setExplainInput({ ...explainInput, payload: e.target.value })}
+            placeholder='{ "event": "deal.updated", "current": { "value": 25000, "probability": 90 } }'
+          />
+        </div>
+      )}
+
+      <button
+        className="create-rules-button"
+        onClick={explainRouting}
+        disabled={isExplaining || (explainInput.mode === 'log' && !explainInput.log_id) || (explainInput.mode === 'payload' && !explainInput.payload.trim())}
+      >
+        {isExplaining ? '⏳ Explaining...' : '🔍 Explain Routing'}
+      </button>
+
+      {explainError && <div className="routing-error">{explainError}</div>}
+
+      {explanation && (
+        <div className="routing-explanation">
+          <div className="config-preview">
+            <strong>{explanation.event}</strong>: {SOURCE_LABELS[explanation.source]}
+            {explanation.webhooks.length > 0 && <> → {explanation.webhooks.map(w => w.name).join(', ')}</>}
+          </div>
+          {explanation.steps.length > 0 && (
+            <ol className="routing-steps">
+              {explanation.steps.map(step => (
+                <li key={step.routing_rule_id} className={`routing-step ${step.result}`}>
+                  <strong>{step.name}</strong> — {STEP_LABELS[step.result]}
+                  {step.webhook_ids && <> → {step.webhook_ids.map(webhookName).join(', ')}</>}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
   const renderStatsTab = () => (
     <div className="routing-stats">
       {stats.length === 0 ? (
@@ -464,11 +848,23 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
         </div>
 
       <div className="routing-tabs">
+        <button
+          className={`tab ${activeTab === 'rules' ? 'active' : ''}`}
+          onClick={() => setActiveTab('rules')}
+        >
+          🧭 Routing Rules
+        </button>
+        <button
+          className={`tab ${activeTab === 'explain' ? 'active' : ''}`}
+          onClick={() => setActiveTab('explain')}
+        >
+          🔍 Explain
+        </button>
         <button
           className={`tab ${activeTab === 'config' ? 'active' : ''}`}
           onClick={() => setActiveTab('config')}
         >
-          ⚙️ Configuration
+          ⚙️ Quick Setup
         </button>
         <button
           className={`tab ${activeTab === 'stats' ? 'active' : ''}`}
@@ -485,6 +881,8 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
       </div>
 
       <div className="routing-content">
+        {activeTab === 'rules' && renderRulesTab()}
+        {activeTab === 'explain' && renderExplainTab()}
         {activeTab === 'config' && renderConfigTab()}
         {activeTab === 'stats' && renderStatsTab()}
         {activeTab === 'suggestions' && renderSuggestionsTab()}
@@ -493,11 +891,11 @@ const ChannelRouting: React.FC<ChannelRoutingProps> = ({ webhooks, onRefresh })
       <div className="routing-info">
         <h5>How Smart Routing Works</h5>
         <ul>
-          <li><strong>Deal Value:</strong> High-value deals go to executive channels</li>
-          <li><strong>Event Type:</strong> Won deals go to celebration channels</li>
-          <li><strong>Probability:</strong> Hot deals (90%+) go to urgent channels</li>
-          <li><strong>Time-based:</strong> After-hours notifications go to alert channels</li>
-          <li><strong>Owner-based:</strong> Route to user-specific channels when available</li>
+          <li><strong>Ordered rules:</strong> Routing rules are checked from top to bottom for every notification</li>
+          <li><strong>Conditions:</strong> Event type plus the same filters as notification rules (value, probability, stage, owner, ...)</li>
+          <li><strong>First match:</strong> The first matching rule decides the channels</li>
+          <li><strong>Fan out:</strong> Matching fan-out rules each add their channels and evaluation continues</li>
+          <li><strong>Default:</strong> Without a matching rule, the notification rule's own webhook is used</li>
         </ul>
       </div>
       </div>
@@ -6,10 +6,14 @@ import { usePlanFeatures } from '../hooks/usePlanFeatures';
 import FeatureRestriction from './FeatureRestriction';
 import { API_BASE_URL, checkBackendConnection } from '../config/api';
 import { autoSetupTimezone, stopTimezoneRetries } from '../utils/timezone';
-import ApiService, { NotificationRule as ApiNotificationRule, DeliveryLog as ApiDeliveryLog } from '../services/api';
+import ApiService, { NotificationRule as ApiNotificationRule, DeliveryLog as ApiDeliveryLog, DeliveryMode, RuleTarget } from '../services/api';
+import RuleTargetsEditor, { primaryTargetId } from './RuleTargetsEditor';
 
 // Lazy load heavy components to improve initial bundle size
 const WebhookManager = lazy(() => import('./WebhookManager'));
+const WorkspaceMembers = lazy(() => import('./WorkspaceMembers'));
+const ActivityLog = lazy(() => import('./ActivityLog'));
+const DeadLetterQueue = lazy(() => import('./DeadLetterQueue'));
 const RuleFilters = lazy(() => import('./RuleFilters'));
 const TemplateEditor = lazy(() => import('./TemplateEditor'));
 const ChannelRouting = lazy(() => import('./ChannelRouting'));
@@ -199,6 +203,7 @@ const Dashboard: React.FC = React.memo(() => {
   const [connectionCheckTime, setConnectionCheckTime] = useState<Date | null>(null);
   const [networkStatus, setNetworkStatus] = useState<'online' | 'offline'>('online');
   const [tenantId, setTenantId] = useState<string>(getTenantId() || '1');
+  const [pipedriveConnection, setPipedriveConnection] = useState<{ needsReconnect?: boolean; lastError?: string | null } | null>(null);
   
   // Collapsible sections state
   const [recentActivityExpanded, setRecentActivityExpanded] = useState(false);
@@ -211,7 +216,7 @@ const Dashboard: React.FC = React.memo(() => {
   const logsPerPage = 20;
   
   // UI state
-  const [activeTab, setActiveTab] = useState<'overview' | 'rules' | 'templates' | 'logs' | 'webhooks' | 'routing' | 'quiet-hours' | 'stalled-deals' | 'analytics' | 'scheduled-reports' | 'rule-backup' | 'testing' | 'bulk-management' | 'billing' | 'pricing' | 'settings'>('overview');
+  const [activeTab, setActiveTab] = useState<'overview' | 'rules' | 'templates' | 'logs' | 'dead-letters' | 'activity' | 'webhooks' | 'routing' | 'quiet-hours' | 'stalled-deals' | 'analytics' | 'scheduled-reports' | 'rule-backup' | 'testing' | 'bulk-management' | 'billing' | 'pricing' | 'settings'>('overview');
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [editingRule, setEditingRule] = useState<string | null>(null);
   const [editFormData, setEditFormData] = useState<{
@@ -220,20 +225,32 @@ const Dashboard: React.FC = React.memo(() => {
     event_type: string;
     template_mode: 'simple' | 'compact' | 'detailed' | 'custom';
     target_webhook_id?: string; // Optional for compatibility
+    targets: RuleTarget[];
+    use_routing: boolean;
     filters: any;
+    delivery_mode: DeliveryMode;
+    digest_interval_minutes: number;
+    digest_time: string;
   }>({
     name: '', 
     enabled: true,
     event_type: 'deal.updated',
     template_mode: 'simple',
     target_webhook_id: '',
-    filters: {}
+    targets: [],
+    use_routing: false,
+    filters: {},
+    delivery_mode: 'immediate',
+    digest_interval_minutes: 60,
+    digest_time: '09:00'
   });
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [createFormData, setCreateFormData] = useState({
     name: '',
     event_type: 'deal.updated',
     target_webhook_id: '',
+    targets: [] as RuleTarget[],
+    use_routing: false,
     template_mode: 'compact' as 'simple' | 'compact' | 'detailed' | 'custom',
     custom_template: null as string | null,
     enabled: true,
@@ -377,6 +394,22 @@ const Dashboard: React.FC = React.memo(() => {
     initializeDashboard();
   }, [loadDashboardData]);
 
+  // Check whether the Pipedrive connection needs the user to reconnect
+  useEffect(() => {
+    ApiService.getOAuthStatus()
+      .then(status => setPipedriveConnection(status))
+      .catch(() => setPipedriveConnection(null));
+  }, []);
+
+  const reconnectPipedrive = () => {
+    const authUrl = ApiService.getPipedriveAuthorizeUrl();
+    if (!authUrl) {
+      showError('Pipedrive reconnect is not configured. Please contact support.');
+      return;
+    }
+    window.location.href = authUrl;
+  };
+
   // Cleanup timezone retries on component unmount
   useEffect(() => {
     return () => {
@@ -657,8 +690,16 @@ const Dashboard: React.FC = React.memo(() => {
       enabled: rule.enabled,
       event_type: rule.eventType,
       template_mode: rule.templateMode,
-      target_webhook_id: availableWebhooks[0]?.id || '', // Use first available webhook
-      filters: rule.filters || {}
+      target_webhook_id: String(rule.targetWebhookId || availableWebhooks[0]?.id || ''),
+      // Rules without fan-out targets deliver to their single target webhook
+      targets: rule.targets?.length
+        ? rule.targets
+        : rule.targetWebhookId ? [{ webhook_id: rule.targetWebhookId, enabled: true }] : [],
+      use_routing: rule.useRouting === true,
+      filters: rule.filters || {},
+      delivery_mode: rule.deliveryMode || 'immediate',
+      digest_interval_minutes: rule.digestIntervalMinutes || 60,
+      digest_time: rule.digestTime || '09:00'
     });
   };
 
@@ -670,7 +711,12 @@ const Dashboard: React.FC = React.memo(() => {
       event_type: 'deal.updated',
       template_mode: 'compact',
       target_webhook_id: '',
-      filters: {}
+      targets: [],
+      use_routing: false,
+      filters: {},
+      delivery_mode: 'immediate',
+      digest_interval_minutes: 60,
+      digest_time: '09:00'
     });
   };
 
@@ -717,7 +763,12 @@ const Dashboard: React.FC = React.memo(() => {
         event_type: editFormData.event_type,
         template_mode: editFormData.template_mode,
         target_webhook_id: parseInt(editFormData.target_webhook_id || '1'),
-        filters: editFormData.filters
+        targets: editFormData.targets,
+        use_routing: editFormData.use_routing,
+        filters: editFormData.filters,
+        delivery_mode: editFormData.delivery_mode,
+        digest_interval_minutes: editFormData.delivery_mode === 'digest' ? editFormData.digest_interval_minutes : null,
+        digest_time: editFormData.delivery_mode === 'daily_digest' ? editFormData.digest_time : null
       };
       
       console.log('🔧 Saving rule with data:', JSON.stringify(requestData, null, 2));
@@ -737,8 +788,13 @@ const Dashboard: React.FC = React.memo(() => {
                 eventType: editFormData.event_type,
                 templateMode: editFormData.template_mode,
                 targetSpace: availableWebhooks.find(w => w.id === editFormData.target_webhook_id)?.name || 'Unknown', // SECURITY FIX: Update display name from webhook list
-                // targetWebhookId property not needed - using targetSpace
-                filters: editFormData.filters
+                targetWebhookId: parseInt(editFormData.target_webhook_id || '1'),
+                targets: editFormData.targets,
+                useRouting: editFormData.use_routing,
+                filters: editFormData.filters,
+                deliveryMode: editFormData.delivery_mode,
+                digestIntervalMinutes: editFormData.digest_interval_minutes,
+                digestTime: editFormData.digest_time
               }
             : r
         ));
@@ -749,7 +805,12 @@ const Dashboard: React.FC = React.memo(() => {
           event_type: 'deal.updated',
           template_mode: 'compact',
           target_webhook_id: '',
-          filters: {}
+          targets: [],
+          use_routing: false,
+          filters: {},
+          delivery_mode: 'immediate',
+          digest_interval_minutes: 60,
+          digest_time: '09:00'
         });
         
         // Scroll to the edited rule after a brief delay to ensure DOM is updated
@@ -810,6 +871,8 @@ const Dashboard: React.FC = React.memo(() => {
       name: '',
       event_type: defaultEventType,
       target_webhook_id: availableWebhooks[0]?.id || '',
+      targets: availableWebhooks[0] ? [{ webhook_id: Number(availableWebhooks[0].id), enabled: true }] : [],
+      use_routing: false,
       template_mode: 'compact',
       custom_template: null,
       enabled: true,
@@ -826,6 +889,8 @@ const Dashboard: React.FC = React.memo(() => {
       name: '',
       event_type: defaultEventType,
       target_webhook_id: '',
+      targets: [],
+      use_routing: false,
       template_mode: 'compact',
       custom_template: null,
       enabled: true,
@@ -1012,6 +1077,8 @@ const Dashboard: React.FC = React.memo(() => {
           name: createFormData.name.trim(),
           event_type: createFormData.event_type,
           target_webhook_id: parseInt(createFormData.target_webhook_id || '1'),
+          targets: createFormData.targets,
+          use_routing: createFormData.use_routing,
           template_mode: createFormData.template_mode,
           custom_template: createFormData.custom_template || null,
           enabled: createFormData.enabled,
@@ -1526,24 +1593,64 @@ const Dashboard: React.FC = React.memo(() => {
                         </div>
 
                         <div className="form-group">
-                          <label htmlFor="edit-target-webhook">Target Google Chat *</label>
+                          <label id="edit-targets-label">Target channels *</label>
+                          <RuleTargetsEditor
+                            idPrefix="edit-targets"
+                            webhooks={availableWebhooks}
+                            targets={editFormData.targets}
+                            onChange={(targets) => setEditFormData({
+                              ...editFormData,
+                              targets,
+                              target_webhook_id: String(primaryTargetId(targets) || '')
+                            })}
+                          />
+                          <label className="checkbox-label">
+                            <input
+                              type="checkbox"
+                              checked={editFormData.use_routing}
+                              onChange={(e) => setEditFormData({...editFormData, use_routing: e.target.checked})}
+                            />
+                            <span>Let routing rules choose the channel</span>
+                          </label>
+                          <small className="form-help">The channel above is used when no routing rule matches. Rules with several channels always send to all of them.</small>
+                        </div>
+
+                        <div className="form-group">
+                          <label htmlFor="edit-delivery-mode">Delivery</label>
                           <select
-                            id="edit-target-webhook"
-                            value={editFormData.target_webhook_id}
-                            onChange={(e) => setEditFormData({...editFormData, target_webhook_id: e.target.value})}
+                            id="edit-delivery-mode"
+                            value={editFormData.delivery_mode}
+                            onChange={(e) => setEditFormData({...editFormData, delivery_mode: e.target.value as DeliveryMode})}
                             className="form-select"
                           >
-                            <option value="">Select a webhook</option>
-                            {availableWebhooks.length === 0 ? (
-                              <option value="" disabled>No webhooks available - go through onboarding first</option>
-                            ) : (
-                              availableWebhooks.map(webhook => (
-                                <option key={webhook.id} value={webhook.id}>
-                                  {webhook.name}
-                                </option>
-                              ))
-                            )}
+                            <option value="immediate">Immediately, one message per event</option>
+                            <option value="digest">Digest every N minutes</option>
+                            <option value="daily_digest">Daily digest</option>
                           </select>
+                          {editFormData.delivery_mode === 'digest' && (
+                            <input
+                              type="number"
+                              min={5}
+                              max={1440}
+                              step={5}
+                              value={editFormData.digest_interval_minutes}
+                              onChange={(e) => setEditFormData({...editFormData, digest_interval_minutes: parseInt(e.target.value) || 5})}
+                              className="form-input"
+                              aria-label="Digest interval in minutes"
+                            />
+                          )}
+                          {editFormData.delivery_mode === 'daily_digest' && (
+                            <input
+                              type="time"
+                              value={editFormData.digest_time}
+                              onChange={(e) => setEditFormData({...editFormData, digest_time: e.target.value})}
+                              className="form-input"
+                              aria-label="Daily digest time"
+                            />
+                          )}
+                          {editFormData.delivery_mode !== 'immediate' && (
+                            <small className="form-help">Matched events are grouped by pipeline and owner into one message (tenant timezone, quiet hours respected).</small>
+                          )}
                         </div>
 
                         <div className="form-group">
@@ -1617,6 +1724,12 @@ const Dashboard: React.FC = React.memo(() => {
                     <div className="rule-meta">
                       <span className="event-type">{rule.eventType}</span>
                       <span className="template-mode">{rule.templateMode}</span>
+                      {rule.deliveryMode === 'digest' && (
+                        <span className="template-mode">digest / {rule.digestIntervalMinutes} min</span>
+                      )}
+                      {rule.deliveryMode === 'daily_digest' && (
+                        <span className="template-mode">daily digest {rule.digestTime}</span>
+                      )}
                       <span className="target-space">→ {rule.targetSpace}</span>
                     </div>
                     
@@ -1951,6 +2064,24 @@ const Dashboard: React.FC = React.memo(() => {
           >
             <span aria-hidden="true">📄</span> {!sidebarCollapsed && 'Logs'}
           </button>
+          <button 
+            className={`nav-tab ${activeTab === 'dead-letters' ? 'active' : ''}`}
+            onClick={() => setActiveTab('dead-letters')}
+            aria-label="View notifications that failed after retrying"
+            aria-current={activeTab === 'dead-letters' ? 'page' : undefined}
+            type="button"
+          >
+            <span aria-hidden="true">☠️</span> {!sidebarCollapsed && 'Dead Letters'}
+          </button>
+          <button 
+            className={`nav-tab ${activeTab === 'activity' ? 'active' : ''}`}
+            onClick={() => setActiveTab('activity')}
+            aria-label="View configuration change history"
+            aria-current={activeTab === 'activity' ? 'page' : undefined}
+            type="button"
+          >
+            <span aria-hidden="true">🕘</span> {!sidebarCollapsed && 'Activity'}
+          </button>
           <button 
             className={`nav-tab ${activeTab === 'webhooks' ? 'active' : ''}`}
             onClick={() => setActiveTab('webhooks')}
@@ -2141,6 +2272,19 @@ const Dashboard: React.FC = React.memo(() => {
       
       <main className="dashboard-main" role="main" aria-label="Dashboard content">
         <div className="dashboard-content">
+          {pipedriveConnection?.needsReconnect && (
+            <div className="reconnect-banner" role="alert">
+              <div className="reconnect-banner-text">
+                <strong>Pipedrive connection lost.</strong> Notifications that need Pipedrive data may be incomplete until you reconnect.
+                {pipedriveConnection.lastError && (
+                  <span className="reconnect-banner-reason">{pipedriveConnection.lastError}</span>
+                )}
+              </div>
+              <button className="reconnect-banner-button" onClick={reconnectPipedrive} type="button">
+                Reconnect Pipedrive
+              </button>
+            </div>
+          )}
           {activeTab === 'overview' && renderOverview()}
           {activeTab === 'rules' && renderRules()}
           {activeTab === 'templates' && (
@@ -2152,6 +2296,16 @@ const Dashboard: React.FC = React.memo(() => {
             </Suspense>
           )}
           {activeTab === 'logs' && renderLogs()}
+          {activeTab === 'dead-letters' && (
+            <Suspense fallback={<ComponentLoader />}>
+              <DeadLetterQueue webhooks={availableWebhooks} />
+            </Suspense>
+          )}
+          {activeTab === 'activity' && (
+            <Suspense fallback={<ComponentLoader />}>
+              <ActivityLog />
+            </Suspense>
+          )}
           {activeTab === 'webhooks' && (
             <Suspense fallback={<ComponentLoader />}>
               <WebhookManager 
@@ -2202,7 +2356,7 @@ const Dashboard: React.FC = React.memo(() => {
           )}
           {activeTab === 'scheduled-reports' && hasFeature('advanced_analytics') && (
             <Suspense fallback={<ComponentLoader />}>
-              <ScheduledReports />
+              <ScheduledReports webhooks={availableWebhooks} />
             </Suspense>
           )}
           {activeTab === 'rule-backup' && hasFeature('bulk_management') && (
@@ -2403,6 +2557,10 @@ const Dashboard: React.FC = React.memo(() => {
                       )}
                     </button>
                   </div>
+
+                  <Suspense fallback={<ComponentLoader />}>
+                    <WorkspaceMembers />
+                  </Suspense>
                 </div>
 
                 <div className="settings-sidebar">
@@ -2523,27 +2681,27 @@ const Dashboard: React.FC = React.memo(() => {
                   </div>
 
                   <div className="form-group">
-                    <label htmlFor="target-webhook">Target Google Chat *</label>
-                    <select
-                      id="target-webhook"
-                      value={createFormData.target_webhook_id}
-                      onChange={(e) => setCreateFormData({...createFormData, target_webhook_id: e.target.value})}
-                      className="form-select"
-                      aria-required="true"
-                      aria-describedby="target-webhook-help"
-                    >
-                      <option value="">Select a webhook</option>
-                      {availableWebhooks.length === 0 ? (
-                        <option value="" disabled>No webhooks available - go through onboarding first</option>
-                      ) : (
-                        availableWebhooks.map(webhook => (
-                          <option key={webhook.id} value={webhook.id}>
-                            {webhook.name}
-                          </option>
-                        ))
-                      )}
-                    </select>
-                    <div id="target-webhook-help" className="sr-only">Select the Google Chat webhook where notifications will be sent</div>
+                    <label id="create-targets-label">Target channels *</label>
+                    <RuleTargetsEditor
+                      idPrefix="create-targets"
+                      webhooks={availableWebhooks}
+                      targets={createFormData.targets}
+                      onChange={(targets) => setCreateFormData({
+                        ...createFormData,
+                        targets,
+                        target_webhook_id: String(primaryTargetId(targets) || '')
+                      })}
+                    />
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={createFormData.use_routing}
+                        onChange={(e) => setCreateFormData({...createFormData, use_routing: e.target.checked})}
+                      />
+                      <span>Let routing rules choose the channel</span>
+                    </label>
+                    <small className="form-help">The channel above is used when no routing rule matches. Rules with several channels always send to all of them.</small>
+                    <div id="target-webhook-help" className="sr-only">Select the channels where notifications will be sent; each can use its own template</div>
                     {validationErrors.target_webhook_id && (
                       <div className="validation-error" role="alert">
                         {validationErrors.target_webhook_id}
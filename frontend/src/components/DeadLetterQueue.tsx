@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import type { DeadLetter, DeadLetterStatus, RetryPolicy } from '../services/api';
+import './DeadLetterQueue.css';
+
+const PAGE_SIZE = 25;
+
+const STATUS_FILTERS: Array<{ value: DeadLetterStatus | 'all'; label: string }> = [
+  { value: 'dead', label: 'Awaiting action' },
+  { value: 'delivered', label: 'Requeued' },
+  { value: 'discarded', label: 'Discarded' },
+  { value: 'all', label: 'All' },
+];
+
+interface DeadLetterQueueProps {
+  webhooks: Array<{ id: string; name: string }>;
+}
+
+const describeReason = (deadLetter: DeadLetter) => {
+  const reason = deadLetter.error_reason || 'error';
+  if (reason === 'network') return 'Network error';
+  if (reason === 'rate_limited') return 'Rate limited';
+  if (reason.startsWith('http_')) return `HTTP ${reason.slice(5)}`;
+  return 'Message error';
+};
+
+const describePolicy = (policy: RetryPolicy) =>
+  `${policy.attempts} attempt${policy.attempts === 1 ? '' : 's'}, backoff from ${policy.baseDelayMs / 1000}s up to ${policy.maxDelayMs / 1000}s, ` +
+  `retrying network errors and HTTP ${policy.retryableStatusCodes.join(', ')}`;
+
+/**
+ * Notifications that failed permanently or ran out of retries.
+ * Each can be inspected, pointed at another webhook, and requeued or discarded; both work in bulk.
+ */
+const DeadLetterQueue: React.FC<DeadLetterQueueProps> = ({ webhooks }) => {
+  const [deadLetters, setDeadLetters] = useState<DeadLetter[]>([]);
+  const [status, setStatus] = useState<DeadLetterStatus | 'all'>('dead');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [policy, setPolicy] = useState<RetryPolicy | null>(null);
+  const [selected, setSelected] = useState<Set<number>>(new Set());
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const loadDeadLetters = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await apiService.getDeadLetters({ status, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+      setDeadLetters(data.deadLetters);
+      setTotal(data.total);
+      setPolicy(data.policy);
+      setSelected(new Set());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load dead letters');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    loadDeadLetters();
+  }, [loadDeadLetters]);
+
+  const pending = deadLetters.filter(deadLetter => deadLetter.status === 'dead');
+  const allSelected = pending.length > 0 && pending.every(deadLetter => selected.has(deadLetter.id));
+
+  const toggleSelected = (id: number) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(pending.map(deadLetter => deadLetter.id)));
+  };
+
+  const handleRequeue = async (ids: number[]) => {
+    try {
+      setIsWorking(true);
+      setError(null);
+      const result = await apiService.requeueDeadLetters(ids);
+      // Delivery happens in the background; refresh to see which were delivered
+      setNotice(`Queued ${result.queued.length} of ${ids.length} for redelivery - refresh to see the results` +
+        (result.skipped.length > 0 ? ` - skipped: ${result.skipped.map(item => `#${item.id} (${item.error})`).join(', ')}` : ''));
+      await loadDeadLetters();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to requeue');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDiscard = async (ids: number[]) => {
+    if (!window.confirm(`Discard ${ids.length} notification${ids.length === 1 ? '' : 's'}? They will not be delivered.`)) return;
+    try {
+      setIsWorking(true);
+      setError(null);
+      const result = await apiService.discardDeadLetters(ids);
+      setNotice(`Discarded ${result.discarded.length} notification${result.discarded.length === 1 ? '' : 's'}`);
+      await loadDeadLetters();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to discard');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleTargetChange = async (deadLetter: DeadLetter, webhookId: number) => {
+    try {
+      setError(null);
+      const result = await apiService.updateDeadLetterTarget(deadLetter.id, webhookId);
+      setDeadLetters(prev => prev.map(item => item.id === deadLetter.id ? result.deadLetter : item));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to change webhook');
+    }
+  };
+
+  const selectedIds = Array.from(selected);
+
+  return (
+    <div className="dead-letter-section">
+      <div className="dead-letter-header">
+        <div>
+          <h2>☠️ Dead Letters</h2>
+          <p>Notifications that could not be delivered after retrying</p>
+          {policy && <p className="dead-letter-policy">Retry policy: {describePolicy(policy)}</p>}
+        </div>
+      </div>
+
+      <div className="dead-letter-toolbar">
+        <select
+          className="form-select compact"
+          value={status}
+          onChange={(e) => {
+            setPage(1);
+            setStatus(e.target.value as DeadLetterStatus | 'all');
+          }}
+          aria-label="Filter by status"
+        >
+          {STATUS_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <span className="dead-letter-count">{total} total</span>
+        <div className="dead-letter-bulk">
+          <button
+            className="button-primary"
+            disabled={selectedIds.length === 0 || isWorking}
+            onClick={() => handleRequeue(selectedIds)}
+            type="button"
+          >
+            🔄 Requeue selected ({selectedIds.length})
+          </button>
+          <button
+            className="button-secondary"
+            disabled={selectedIds.length === 0 || isWorking}
+            onClick={() => handleDiscard(selectedIds)}
+            type="button"
+          >
+            🗑 Discard selected
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="dead-letter-error" role="alert">{error}</div>}
+      {notice && <div className="dead-letter-notice" role="status">{notice}</div>}
+
+      {isLoading ? (
+        <p className="dead-letter-empty">Loading dead letters...</p>
+      ) : deadLetters.length === 0 ? (
+        <p className="dead-letter-empty">
+          {status === 'dead' ? 'Nothing here - every notification was delivered or retried successfully.' : 'No dead letters with this status.'}
+        </p>
+      ) : (
+        <table className="dead-letter-table">
+          <thead>
+            <tr>
+              <th>
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={pending.length === 0} aria-label="Select all" />
+              </th>
+              <th>Failed</th>
+              <th>Rule / event</th>
+              <th>Webhook</th>
+              <th>Error</th>
+              <th>Attempts</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deadLetters.map(deadLetter => {
+              const isDead = deadLetter.status === 'dead';
+              const isExpanded = expandedId === deadLetter.id;
+
+              return (
+                <React.Fragment key={deadLetter.id}>
+                  <tr className={isDead ? '' : 'resolved'}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(deadLetter.id)}
+                        onChange={() => toggleSelected(deadLetter.id)}
+                        disabled={!isDead}
+                        aria-label={`Select dead letter ${deadLetter.id}`}
+                      />
+                    </td>
+                    <td className="dead-letter-time">{new Date(deadLetter.created_at).toLocaleString()}</td>
+                    <td>
+                      <div>{deadLetter.rule_name || 'Deleted rule'}</div>
+                      <div className="dead-letter-subtle">{deadLetter.event_type}</div>
+                    </td>
+                    <td>
+                      {isDead ? (
+                        <select
+                          className="form-select compact"
+                          value={deadLetter.webhook_id ?? ''}
+                          onChange={(e) => handleTargetChange(deadLetter, Number(e.target.value))}
+                          aria-label={`Webhook for dead letter ${deadLetter.id}`}
+                        >
+                          {deadLetter.webhook_id === null && <option value="">Webhook deleted - pick one</option>}
+                          {webhooks.map(webhook => (
+                            <option key={webhook.id} value={webhook.id}>{webhook.name}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        deadLetter.webhook_name || '—'
+                      )}
+                    </td>
+                    <td>
+                      <span className={`dead-letter-reason ${deadLetter.error_reason?.startsWith('http_4') ? 'permanent' : ''}`}>
+                        {describeReason(deadLetter)}
+                      </span>
+                    </td>
+                    <td>
+                      {deadLetter.attempts}
+                      {deadLetter.requeue_count > 0 && <span className="dead-letter-subtle"> · requeued {deadLetter.requeue_count}×</span>}
+                    </td>
+                    <td className="dead-letter-actions">
+                      <button
+                        className="button-secondary"
+                        onClick={() => setExpandedId(isExpanded ? null : deadLetter.id)}
+                        aria-expanded={isExpanded}
+                        type="button"
+                      >
+                        {isExpanded ? 'Hide' : 'Inspect'}
+                      </button>
+                      {isDead ? (
+                        <>
+                          <button
+                            className="button-primary"
+                            disabled={isWorking || deadLetter.webhook_id === null}
+                            onClick={() => handleRequeue([deadLetter.id])}
+                            type="button"
+                          >
+                            Requeue
+                          </button>
+                          <button
+                            className="button-secondary"
+                            disabled={isWorking}
+                            onClick={() => handleDiscard([deadLetter.id])}
+                            type="button"
+                          >
+                            Discard
+                          </button>
+                        </>
+                      ) : (
+                        <span className="dead-letter-subtle">{deadLetter.status === 'delivered' ? 'Requeued' : 'Discarded'}</span>
+                      )}
+                    </td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="dead-letter-details">
+                      <td colSpan={7}>
+                        <p><strong>Last error:</strong> {deadLetter.error_message || '—'}</p>
+                        <p>
+                          <strong>Template:</strong> {deadLetter.template_mode || 'simple'}
+                          {deadLetter.response_code && <> · <strong>Response:</strong> {deadLetter.response_code}</>}
+                        </p>
+                        <pre>{JSON.stringify(deadLetter.payload, null, 2)}</pre>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div className="dead-letter-pagination">
+        <button className="button-secondary" disabled={page === 1 || isLoading} onClick={() => setPage(p => p - 1)} type="button">
+          ← Newer
+        </button>
+        <span>Page {page}</span>
+        <button className="button-secondary" disabled={page * PAGE_SIZE >= total || isLoading} onClick={() => setPage(p => p + 1)} type="button">
+          Older →
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DeadLetterQueue;
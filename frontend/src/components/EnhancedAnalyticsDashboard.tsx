@@ -8,7 +8,9 @@ import {
   useAnalyticsTimeSeries, 
   useAnalyticsRules, 
   useAnalyticsChannels,
-  useInvalidateAnalytics
+  useInvalidateAnalytics,
+  AnalyticsDataStatus,
+  AnalyticsResult
 } from '../hooks/useQueries';
 import './BasicAnalyticsDashboard.css';
 
@@ -18,6 +20,8 @@ interface NotificationMetrics {
   failedNotifications: number;
   successRate: number;
   avgResponseTime: number;
+  // Same-length period before the selected one; null when it predates the delivery history
+  previous?: NotificationMetrics | null;
 }
 
 interface TimeSeriesData {
@@ -42,6 +46,10 @@ interface ChannelMetrics {
   successCount: number;
   failureCount: number;
   avgResponseTime: number;
+  throttledCount: number;
+  avgThrottleWaitMs: number;
+  rateLimitedCount: number;
+  overflowCount: number;
 }
 
 interface EnhancedAnalyticsDashboardProps {
@@ -70,12 +78,28 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
   })();
 
   // React Query hooks
-  const { data: metrics, isLoading: metricsLoading } = useAnalyticsMetrics(queryParams);
-  const { data: timeSeriesData = [], isLoading: timeSeriesLoading } = useAnalyticsTimeSeries(queryParams);
-  const { data: rulePerformance = [], isLoading: rulesLoading } = useAnalyticsRules(queryParams);
-  const { data: channelMetrics = [], isLoading: channelsLoading } = useAnalyticsChannels(queryParams);
+  const metricsQuery = useAnalyticsMetrics(queryParams);
+  const timeSeriesQuery = useAnalyticsTimeSeries(queryParams);
+  const rulesQuery = useAnalyticsRules(queryParams);
+  const channelsQuery = useAnalyticsChannels(queryParams);
 
-  const isLoading = metricsLoading || timeSeriesLoading || rulesLoading || channelsLoading;
+  const metrics: NotificationMetrics | null = metricsQuery.data?.data ?? null;
+  const timeSeriesData: TimeSeriesData[] = timeSeriesQuery.data?.data ?? [];
+  const rulePerformance: RulePerformance[] = rulesQuery.data?.data ?? [];
+  const channelMetrics: ChannelMetrics[] = channelsQuery.data?.data ?? [];
+
+  const isLoading = metricsQuery.isLoading || timeSeriesQuery.isLoading || rulesQuery.isLoading || channelsQuery.isLoading;
+
+  // A failed request is unavailable; otherwise the response's data_status applies
+  const getDataStatus = (query: { isError: boolean; error: unknown; data?: AnalyticsResult<any> }): AnalyticsDataStatus => {
+    if (query.isError) {
+      return { status: 'unavailable', message: query.error instanceof Error ? query.error.message : null };
+    }
+    return query.data?.dataStatus ?? { status: 'complete', message: null };
+  };
+  const metricsStatus = getDataStatus(metricsQuery);
+  const timeSeriesStatus = getDataStatus(timeSeriesQuery);
+  const previousMetrics = metrics?.previous ?? null;
 
   const handleRefresh = async () => {
     setRefreshing(true);
@@ -132,13 +156,6 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
     }
   };
 
-  // Mock previous metrics for trend calculation
-  const mockPreviousMetrics = metrics ? {
-    totalNotifications: Math.max(0, metrics.totalNotifications - Math.floor(Math.random() * 100)),
-    successRate: Math.max(0, metrics.successRate - Math.random() * 5),
-    avgResponseTime: Math.max(0, metrics.avgResponseTime + Math.random() * 100 - 50)
-  } : null;
-
   return (
     <div className="analytics-dashboard">
       <div className="analytics-header">
@@ -169,9 +186,11 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
           subtitle="All notifications sent"
           icon=""
           gradient={getGradientForMetric('total')}
-          trend={metrics && mockPreviousMetrics ? calculateTrend(metrics.totalNotifications, mockPreviousMetrics.totalNotifications).trend : undefined}
-          trendValue={metrics && mockPreviousMetrics ? calculateTrend(metrics.totalNotifications, mockPreviousMetrics.totalNotifications).value : undefined}
+          trend={metrics && previousMetrics ? calculateTrend(metrics.totalNotifications, previousMetrics.totalNotifications).trend : undefined}
+          trendValue={metrics && previousMetrics ? calculateTrend(metrics.totalNotifications, previousMetrics.totalNotifications).value : undefined}
           isLoading={isLoading}
+          dataStatus={metricsStatus.status}
+          statusMessage={metricsStatus.message}
         />
         
         <MetricCard
@@ -180,9 +199,11 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
           subtitle="Delivery success rate"
           icon=""
           gradient={getGradientForMetric('success')}
-          trend={metrics && mockPreviousMetrics ? calculateTrend(metrics.successRate, mockPreviousMetrics.successRate).trend : undefined}
-          trendValue={metrics && mockPreviousMetrics ? calculateTrend(metrics.successRate, mockPreviousMetrics.successRate).value : undefined}
+          trend={metrics && previousMetrics ? calculateTrend(metrics.successRate, previousMetrics.successRate).trend : undefined}
+          trendValue={metrics && previousMetrics ? calculateTrend(metrics.successRate, previousMetrics.successRate).value : undefined}
           isLoading={isLoading}
+          dataStatus={metricsStatus.status}
+          statusMessage={metricsStatus.message}
         />
         
         <MetricCard
@@ -192,6 +213,8 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
           icon=""
           gradient={getGradientForMetric('failure')}
           isLoading={isLoading}
+          dataStatus={metricsStatus.status}
+          statusMessage={metricsStatus.message}
         />
         
         <MetricCard
@@ -200,9 +223,11 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
           subtitle="Average delivery time"
           icon=""
           gradient={getGradientForMetric('response')}
-          trend={metrics && mockPreviousMetrics ? (calculateTrend(metrics.avgResponseTime, mockPreviousMetrics.avgResponseTime).trend === 'up' ? 'down' : 'up') : undefined}
-          trendValue={metrics && mockPreviousMetrics ? calculateTrend(metrics.avgResponseTime, mockPreviousMetrics.avgResponseTime).value : undefined}
+          trend={metrics && previousMetrics ? (calculateTrend(metrics.avgResponseTime, previousMetrics.avgResponseTime).trend === 'up' ? 'down' : 'up') : undefined}
+          trendValue={metrics && previousMetrics ? calculateTrend(metrics.avgResponseTime, previousMetrics.avgResponseTime).value : undefined}
           isLoading={isLoading}
+          dataStatus={metricsStatus.status}
+          statusMessage={metricsStatus.message}
         />
       </div>
 
@@ -216,6 +241,8 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
           isLoading={isLoading}
           showTooltip={true}
           allowZoom={true}
+          dataStatus={timeSeriesStatus.status}
+          statusMessage={timeSeriesStatus.message}
         />
       </div>
 
@@ -322,7 +349,7 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
                 filterType: 'select',
                 filterOptions: channelMetrics.map((channel: any) => channel.channelName),
                 align: 'left',
-                width: '30%',
+                width: '25%',
                 formatter: (value) => (
                   <span style={{ fontWeight: '500' }}>{value}</span>
                 )
@@ -332,7 +359,7 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
                 title: 'Total',
                 sortable: true,
                 align: 'center',
-                width: '15%',
+                width: '10%',
                 formatter: (value) => (
                   <span style={{ fontSize: '0.85rem', color: '#6b7280' }}>
                     {formatNumber(value)}
@@ -358,7 +385,7 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
                 title: 'Success Rate',
                 sortable: true,
                 align: 'center',
-                width: '20%',
+                width: '15%',
                 formatter: (value) => {
                   const percentage = Math.round(value);
                   const color = percentage >= 95 ? '#10b981' : percentage >= 80 ? '#f59e0b' : '#ef4444';
@@ -383,6 +410,26 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
                     {formatResponseTime(value)}
                   </span>
                 )
+              },
+              {
+                key: 'throttledCount',
+                title: 'Throttling',
+                sortable: true,
+                align: 'center',
+                width: '15%',
+                formatter: (value, row) => value > 0 || row.rateLimitedCount > 0 || row.overflowCount > 0 ? (
+                  <div
+                    style={{ fontSize: '0.8rem', color: '#6b7280', lineHeight: 1.4 }}
+                    title={`${row.throttledCount} sends waited for a slot, ${row.rateLimitedCount} rate limit responses, ${row.overflowCount} held for a summary`}
+                  >
+                    <div>{formatNumber(value)} waits · avg {formatResponseTime(row.avgThrottleWaitMs)}</div>
+                    {(row.rateLimitedCount > 0 || row.overflowCount > 0) && (
+                      <div style={{ color: '#f59e0b' }}>{formatNumber(row.rateLimitedCount)} × 429 · {formatNumber(row.overflowCount)} held</div>
+                    )}
+                  </div>
+                ) : (
+                  <span style={{ fontSize: '0.85rem', color: '#94a3b8' }}>None</span>
+                )
               }
             ]}
             searchable={true}
@@ -399,7 +446,7 @@ const EnhancedAnalyticsDashboard: React.FC<EnhancedAnalyticsDashboardProps> = ({
       <div className="analytics-info">
         <h4>Analytics Information</h4>
         <ul>
-          <li><strong>Real-time Data:</strong> Analytics are updated in real-time as notifications are processed</li>
+          <li><strong>Up-to-date Data:</strong> Totals combine hourly and daily rollups with deliveries not yet aggregated; incomplete or unavailable data is marked as such</li>
           <li><strong>Performance Tracking:</strong> Success rates, response times, and delivery statistics</li>
           <li><strong>Historical Trends:</strong> Compare performance across different time periods</li>
           <li><strong>Channel Insights:</strong> Monitor performance across all notification channels</li>
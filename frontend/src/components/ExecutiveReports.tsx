@@ -3,19 +3,26 @@ import { API_BASE_URL } from '../config/api';
 import { getTenantId, getAuthToken } from '../utils/auth';
 import './ExecutiveReports.css';
 
+interface ReportMetrics {
+  deals_created: number;
+  won: number;
+  lost: number;
+  win_rate: number | null;
+  won_value: number;
+  avg_deal_size: number | null;
+  avg_cycle_days: number | null;
+  currency: string | null;
+}
+
 interface ExecutiveReport {
   id: string;
   tenant_id: number;
   summary: string;
-  metrics: {
-    total_deals: number;
-    total_value: number;
-    conversion_rate: number;
-    avg_deal_size: number;
-    response_time_avg: string;
-  };
+  metrics: ReportMetrics;
+  previous_metrics: ReportMetrics;
   recommendations: string[];
   generated_at: string;
+  data_since: string | null;
   period: string;
 }
 
@@ -64,31 +71,6 @@ const ExecutiveReports: React.FC<ExecutiveReportsProps> = ({ refreshToken }) =>
       );
 
       if (!response.ok) {
-        // For demo purposes, return mock data if API fails
-        if (response.status === 404) {
-          const mockReport: ExecutiveReport = {
-            id: 'demo-' + Date.now(),
-            tenant_id: parseInt(tenantId),
-            summary: `Based on the analytics for ${getPeriodLabel(period)}, your notification system shows strong performance with excellent delivery rates. The system processed notifications efficiently with minimal failures, indicating a well-configured setup. Overall trend analysis suggests consistent engagement and reliable service delivery.`,
-            metrics: {
-              total_deals: Math.floor(Math.random() * 500) + 100,
-              total_value: Math.floor(Math.random() * 5000000) + 1000000,
-              conversion_rate: Math.random() * 0.3 + 0.15,
-              avg_deal_size: Math.floor(Math.random() * 50000) + 10000,
-              response_time_avg: `${Math.floor(Math.random() * 200) + 50}ms`
-            },
-            recommendations: [
-              'Consider implementing quiet hours during non-business periods to optimize notification timing and improve user experience.',
-              'Expand webhook integrations to capture more deal stages for comprehensive pipeline tracking and analysis.',
-              'Set up automated weekly reports to stakeholders to maintain consistent communication and transparency.',
-              'Review and optimize notification templates for higher engagement rates and clearer communication.'
-            ],
-            generated_at: new Date().toISOString(),
-            period: period
-          };
-          setReport(mockReport);
-          return;
-        }
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
@@ -110,24 +92,32 @@ const ExecutiveReports: React.FC<ExecutiveReportsProps> = ({ refreshToken }) =>
   const generateNewReport = async () => {
     try {
       setIsGenerating(true);
-      // Force a new report generation by clearing cache (in a real implementation)
+      // Reports are built from the latest deal events on every request
       await fetchExecutiveReport();
     } finally {
       setIsGenerating(false);
     }
   };
 
-  const formatCurrency = (value: number) => {
+  // Deal values are in the Pipedrive currency; a plain number when it is unknown
+  const formatCurrency = (value: number, currency: string | null) => {
+    if (!currency || !/^[A-Z]{3}$/.test(currency)) {
+      return value.toLocaleString('en-US', { maximumFractionDigits: 0 });
+    }
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
       minimumFractionDigits: 0,
       maximumFractionDigits: 0
     }).format(value);
   };
 
-  const formatPercentage = (value: number) => {
-    return `${Math.round(value * 100)}%`;
+  const formatPercentage = (value: number | null) => {
+    return value === null ? '—' : `${Math.round(value * 100)}%`;
+  };
+
+  const formatDays = (value: number | null) => {
+    return value === null ? '—' : `${value} ${value === 1 ? 'day' : 'days'}`;
   };
 
   const getPeriodLabel = (period: string) => {
@@ -171,7 +161,7 @@ const ExecutiveReports: React.FC<ExecutiveReportsProps> = ({ refreshToken }) =>
       <div className="reports-header">
         <div className="header-content">
           <h3>📈 Executive Summary</h3>
-          <p>AI-powered insights and recommendations for leadership</p>
+          <p>Pipeline results and recommendations for leadership, built from your Pipedrive deal events</p>
         </div>
         
         <div className="header-controls">
@@ -212,34 +202,38 @@ const ExecutiveReports: React.FC<ExecutiveReportsProps> = ({ refreshToken }) =>
             <h4>Key Metrics - {getPeriodLabel(period)}</h4>
             <div className="metrics-grid">
               <div className="metric-card">
-                <div className="metric-icon">🎯</div>
+                <div className="metric-icon">🏆</div>
                 <div className="metric-content">
-                  <span className="metric-label">Total Deals</span>
-                  <span className="metric-value">{report.metrics.total_deals}</span>
+                  <span className="metric-label">Deals Won</span>
+                  <span className="metric-value">{report.metrics.won}</span>
+                  <span className="metric-previous">Previous period: {report.previous_metrics.won}</span>
                 </div>
               </div>
               
               <div className="metric-card">
                 <div className="metric-icon">💰</div>
                 <div className="metric-content">
-                  <span className="metric-label">Total Value</span>
-                  <span className="metric-value">{formatCurrency(report.metrics.total_value)}</span>
+                  <span className="metric-label">Won Value</span>
+                  <span className="metric-value">{formatCurrency(report.metrics.won_value, report.metrics.currency)}</span>
+                  <span className="metric-previous">Previous period: {formatCurrency(report.previous_metrics.won_value, report.previous_metrics.currency || report.metrics.currency)}</span>
                 </div>
               </div>
               
               <div className="metric-card">
                 <div className="metric-icon">📊</div>
                 <div className="metric-content">
-                  <span className="metric-label">Conversion Rate</span>
-                  <span className="metric-value">{formatPercentage(report.metrics.conversion_rate)}</span>
+                  <span className="metric-label">Win Rate</span>
+                  <span className="metric-value">{formatPercentage(report.metrics.win_rate)}</span>
+                  <span className="metric-previous">Previous period: {formatPercentage(report.previous_metrics.win_rate)}</span>
                 </div>
               </div>
               
               <div className="metric-card">
-                <div className="metric-icon">⚡</div>
+                <div className="metric-icon">⏱️</div>
                 <div className="metric-content">
-                  <span className="metric-label">Avg Response Time</span>
-                  <span className="metric-value">{report.metrics.response_time_avg}</span>
+                  <span className="metric-label">Avg Deal Cycle</span>
+                  <span className="metric-value">{formatDays(report.metrics.avg_cycle_days)}</span>
+                  <span className="metric-previous">Previous period: {formatDays(report.previous_metrics.avg_cycle_days)}</span>
                 </div>
               </div>
             </div>
@@ -284,6 +278,14 @@ const ExecutiveReports: React.FC<ExecutiveReportsProps> = ({ refreshToken }) =>
               <span className="metadata-label">Period:</span>
               <span className="metadata-value">{getPeriodLabel(report.period)}</span>
             </div>
+            {report.data_since && (
+              <div className="metadata-item">
+                <span className="metadata-label">Deal data since:</span>
+                <span className="metadata-value">
+                  {new Date(report.data_since).toLocaleDateString()}
+                </span>
+              </div>
+            )}
           </div>
 
           {/* Action Items */}
@@ -0,0 +1,427 @@
+import React from 'react';
+import { CustomFieldDefinition } from '../services/api';
+import './FilterTreeBuilder.css';
+
+// Mirrors the condition tree evaluated by backend/services/ruleFilters.js
+export type FilterOperator =
+  'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'between' | 'contains' | 'in' | 'not_in' | 'all' |
+  'changed' | 'changed_from' | 'changed_to' | 'increased' | 'decreased' |
+  'increased_by_percent' | 'decreased_by_percent' | 'changed_by_percent' |
+  'moved_forward_in_pipeline' | 'moved_backward_in_pipeline';
+
+export interface FilterCondition {
+  type: 'condition';
+  field: string;
+  operator: FilterOperator;
+  value?: string | number | Array<string | number>;
+  min?: string | number;
+  max?: string | number;
+  custom_field?: string;
+  entity?: 'deal' | 'person' | 'organization';
+  change_field?: string;
+  negate?: boolean;
+}
+
+export interface FilterGroup {
+  type: 'group';
+  op: 'and' | 'or';
+  negate?: boolean;
+  children: FilterNode[];
+}
+
+export type FilterNode = FilterGroup | FilterCondition;
+
+interface OptionItem {
+  id: number | string;
+  name: string;
+}
+
+interface FilterTreeBuilderProps {
+  tree?: FilterGroup;
+  onChange: (tree?: FilterGroup) => void;
+  customFields: CustomFieldDefinition[];
+  options: {
+    stage: OptionItem[];
+    pipeline: OptionItem[];
+    owner: OptionItem[];
+  };
+}
+
+type FieldType = 'number' | 'id' | 'text' | 'list' | 'custom' | 'change';
+
+const FIELDS: Array<{ field: string; label: string; type: FieldType }> = [
+  { field: 'value', label: 'Deal value', type: 'number' },
+  { field: 'probability', label: 'Probability', type: 'number' },
+  { field: 'pipeline', label: 'Pipeline', type: 'id' },
+  { field: 'stage', label: 'Stage', type: 'id' },
+  { field: 'owner', label: 'Owner', type: 'id' },
+  { field: 'status', label: 'Status', type: 'text' },
+  { field: 'currency', label: 'Currency', type: 'text' },
+  { field: 'title', label: 'Title', type: 'text' },
+  { field: 'label', label: 'Label', type: 'list' },
+  { field: 'custom', label: 'Custom field', type: 'custom' },
+  { field: 'change', label: 'Field change', type: 'change' }
+];
+
+// Fields whose change can be watched (previous vs. current version of the deal)
+const CHANGE_FIELDS = [
+  { field: 'value', label: 'Value' },
+  { field: 'stage', label: 'Stage' },
+  { field: 'pipeline', label: 'Pipeline' },
+  { field: 'owner', label: 'Owner' },
+  { field: 'status', label: 'Status' },
+  { field: 'probability', label: 'Probability' },
+  { field: 'expected_close_date', label: 'Expected close date' },
+  { field: 'title', label: 'Title' }
+];
+
+const OPERATORS: Record<FieldType, FilterOperator[]> = {
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in'],
+  id: ['eq', 'neq', 'in', 'not_in'],
+  text: ['eq', 'neq', 'contains', 'in', 'not_in'],
+  list: ['eq', 'neq', 'contains', 'in', 'not_in', 'all'],
+  custom: ['eq', 'neq', 'contains', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in', 'all'],
+  change: [
+    'changed', 'changed_from', 'changed_to', 'increased', 'decreased',
+    'increased_by_percent', 'decreased_by_percent', 'changed_by_percent',
+    'moved_forward_in_pipeline', 'moved_backward_in_pipeline'
+  ]
+};
+
+const OPERATOR_LABELS: Record<FilterOperator, string> = {
+  eq: 'is',
+  neq: 'is not',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  between: 'is between',
+  contains: 'contains',
+  in: 'is any of',
+  not_in: 'is none of',
+  all: 'has all of',
+  changed: 'changed',
+  changed_from: 'changed from',
+  changed_to: 'changed to',
+  increased: 'increased',
+  decreased: 'decreased',
+  increased_by_percent: 'increased by at least %',
+  decreased_by_percent: 'decreased by at least %',
+  changed_by_percent: 'changed by at least %',
+  moved_forward_in_pipeline: 'moved forward in pipeline',
+  moved_backward_in_pipeline: 'moved backward in pipeline'
+};
+
+// Change operators that take no value
+const VALUELESS_OPERATORS: FilterOperator[] = [
+  'changed', 'increased', 'decreased', 'moved_forward_in_pipeline', 'moved_backward_in_pipeline'
+];
+
+const LIST_OPERATORS: FilterOperator[] = ['in', 'not_in', 'all'];
+
+const MAX_DEPTH = 10;
+
+const fieldType = (field: string): FieldType =>
+  FIELDS.find(candidate => candidate.field === field)?.type || 'text';
+
+const newCondition = (): FilterCondition => ({ type: 'condition', field: 'value', operator: 'gt', value: '' });
+
+const newGroup = (op: 'and' | 'or' = 'and'): FilterGroup => ({ type: 'group', op, children: [newCondition()] });
+
+// Replace the node at `path` (child indexes from the root) with the updater's result; null removes it
+const updateNode = (
+  node: FilterNode,
+  path: number[],
+  updater: (target: FilterNode) => FilterNode | null
+): FilterNode | null => {
+  if (path.length === 0) return updater(node);
+  if (node.type !== 'group') return node;
+
+  const [index, ...rest] = path;
+  const children = node.children
+    .map((child, i) => (i === index ? updateNode(child, rest, updater) : child))
+    // Groups emptied by a removal are dropped with their last condition
+    .filter((child): child is FilterNode => child !== null && !(child.type === 'group' && child.children.length === 0));
+
+  return { ...node, children };
+};
+
+const FilterTreeBuilder: React.FC<FilterTreeBuilderProps> = ({ tree, onChange, customFields, options }) => {
+  const update = (path: number[], updater: (target: FilterNode) => FilterNode | null) => {
+    if (!tree) return;
+    const result = updateNode(tree, path, updater);
+    onChange(result && result.type === 'group' && result.children.length > 0 ? result : undefined);
+  };
+
+  const parseList = (text: string) =>
+    text.split(',').map(item => item.trim()).filter(Boolean);
+
+  const renderValueInput = (condition: FilterCondition, path: number[]) => {
+    const set = (changes: Partial<FilterCondition>) =>
+      update(path, target => ({ ...(target as FilterCondition), ...changes }));
+
+    if (VALUELESS_OPERATORS.includes(condition.operator)) {
+      return null;
+    }
+
+    if (condition.operator.endsWith('_percent')) {
+      return (
+        <input
+          type="number"
+          min="1"
+          value={condition.value as number ?? ''}
+          onChange={(e) => set({ value: e.target.value ? Number(e.target.value) : '' })}
+          placeholder="%"
+        />
+      );
+    }
+
+    if (condition.operator === 'between') {
+      return (
+        <>
+          <input
+            type="text"
+            value={condition.min ?? ''}
+            onChange={(e) => set({ min: e.target.value })}
+            placeholder="min"
+          />
+          <span className="tree-and">and</span>
+          <input
+            type="text"
+            value={condition.max ?? ''}
+            onChange={(e) => set({ max: e.target.value })}
+            placeholder="max"
+          />
+        </>
+      );
+    }
+
+    const idOptions = fieldType(condition.field) === 'id'
+      ? options[condition.field as keyof typeof options]
+      : undefined;
+    const customOptions = condition.field === 'custom'
+      ? customFields.find(field => field.name === condition.custom_field)?.options.map(option => ({ id: option.label, name: option.label }))
+      : undefined;
+    const choices = idOptions || (customOptions && customOptions.length > 0 ? customOptions : undefined);
+    const isList = LIST_OPERATORS.includes(condition.operator);
+
+    if (choices && choices.length > 0) {
+      const selected = (Array.isArray(condition.value) ? condition.value : [condition.value ?? '']).map(String);
+      return (
+        <select
+          multiple={isList}
+          value={isList ? selected : selected[0]}
+          onChange={(e) => {
+            const values = Array.from(e.target.selectedOptions).map(option => option.value);
+            set({ value: isList ? values : values[0] });
+          }}
+        >
+          {!isList && <option value="">Select...</option>}
+          {choices.map(choice => (
+            <option key={choice.id} value={String(choice.id)}>{choice.name}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        value={Array.isArray(condition.value) ? condition.value.join(', ') : condition.value ?? ''}
+        onChange={(e) => set({ value: isList ? parseList(e.target.value) : e.target.value })}
+        placeholder={isList ? 'Comma-separated values' : 'Value'}
+      />
+    );
+  };
+
+  const renderCondition = (condition: FilterCondition, path: number[]) => {
+    const type = fieldType(condition.field);
+    const set = (changes: Partial<FilterCondition>) =>
+      update(path, target => ({ ...(target as FilterCondition), ...changes }));
+
+    return (
+      <div className="tree-condition" key={path.join('-')}>
+        <label className="tree-not">
+          <input
+            type="checkbox"
+            checked={condition.negate || false}
+            onChange={(e) => set({ negate: e.target.checked || undefined })}
+          />
+          NOT
+        </label>
+
+        <select
+          value={condition.field}
+          onChange={(e) => {
+            const field = e.target.value;
+            const first = customFields[0];
+            update(path, () => ({
+              type: 'condition',
+              field,
+              operator: OPERATORS[fieldType(field)][0],
+              value: '',
+              ...(field === 'custom' && first ? { custom_field: first.name, entity: first.entity_type } : {}),
+              ...(field === 'change' ? { change_field: 'value' } : {})
+            }));
+          }}
+        >
+          {FIELDS
+            .filter(field => field.type !== 'custom' || customFields.length > 0 || condition.field === 'custom')
+            .map(field => (
+              <option key={field.field} value={field.field}>{field.label}</option>
+            ))}
+        </select>
+
+        {type === 'custom' && (
+          <select
+            value={`${condition.entity || 'deal'}:${condition.custom_field || ''}`}
+            onChange={(e) => {
+              const field = customFields.find(f => `${f.entity_type}:${f.name}` === e.target.value);
+              if (field) set({ custom_field: field.name, entity: field.entity_type, value: '' });
+            }}
+          >
+            {!customFields.some(field => field.name === condition.custom_field) && (
+              <option value={`${condition.entity || 'deal'}:${condition.custom_field || ''}`}>
+                {condition.custom_field || 'Select field'}
+              </option>
+            )}
+            {customFields.map(field => (
+              <option key={`${field.entity_type}:${field.name}`} value={`${field.entity_type}:${field.name}`}>
+                {field.entity_type === 'deal' ? '' : `${field.entity_type}: `}{field.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {type === 'change' && !condition.operator.startsWith('moved_') && (
+          <select
+            value={condition.change_field || 'value'}
+            onChange={(e) => set({ change_field: e.target.value })}
+          >
+            {CHANGE_FIELDS.map(field => (
+              <option key={field.field} value={field.field}>{field.label}</option>
+            ))}
+            {customFields.filter(field => field.entity_type === 'deal').map(field => (
+              <option key={`custom.${field.name}`} value={`custom.${field.name}`}>{field.name}</option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value={condition.operator}
+          onChange={(e) => {
+            const operator = e.target.value as FilterOperator;
+            const wasList = LIST_OPERATORS.includes(condition.operator);
+            const isList = LIST_OPERATORS.includes(operator);
+            set({
+              operator,
+              ...(wasList !== isList ? { value: isList ? [] : '' } : {})
+            });
+          }}
+        >
+          {OPERATORS[type].map(operator => (
+            <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+          ))}
+        </select>
+
+        {renderValueInput(condition, path)}
+
+        <button
+          type="button"
+          className="tree-remove"
+          onClick={() => update(path, () => null)}
+          title="Remove condition"
+        >
+          ✕
+        </button>
+      </div>
+    );
+  };
+
+  const renderGroup = (group: FilterGroup, path: number[]): React.ReactNode => (
+    <div className={`tree-group ${group.op}`} key={path.join('-') || 'root'}>
+      <div className="tree-group-header">
+        <label className="tree-not">
+          <input
+            type="checkbox"
+            checked={group.negate || false}
+            onChange={(e) => update(path, target => ({ ...(target as FilterGroup), negate: e.target.checked || undefined }))}
+          />
+          NOT
+        </label>
+        <div className="tree-op-toggle">
+          {(['and', 'or'] as const).map(op => (
+            <button
+              key={op}
+              type="button"
+              className={group.op === op ? 'active' : ''}
+              onClick={() => update(path, target => ({ ...(target as FilterGroup), op }))}
+            >
+              {op === 'and' ? 'ALL of (AND)' : 'ANY of (OR)'}
+            </button>
+          ))}
+        </div>
+        {path.length > 0 && (
+          <button
+            type="button"
+            className="tree-remove"
+            onClick={() => update(path, () => null)}
+            title="Remove group"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      <div className="tree-children">
+        {group.children.map((child, index) => (
+          child.type === 'group'
+            ? renderGroup(child, [...path, index])
+            : renderCondition(child, [...path, index])
+        ))}
+      </div>
+
+      <div className="tree-group-actions">
+        <button
+          type="button"
+          className="preset-button"
+          onClick={() => update(path, target => ({
+            ...(target as FilterGroup),
+            children: [...(target as FilterGroup).children, newCondition()]
+          }))}
+        >
+          + Condition
+        </button>
+        {path.length < MAX_DEPTH - 1 && (
+          <button
+            type="button"
+            className="preset-button"
+            onClick={() => update(path, target => ({
+              ...(target as FilterGroup),
+              children: [...(target as FilterGroup).children, newGroup(group.op === 'and' ? 'or' : 'and')]
+            }))}
+          >
+            + Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  if (!tree) {
+    return (
+      <div className="filter-tree-builder">
+        <p className="filter-hint">
+          Combine conditions with AND, OR and NOT, e.g. (value &gt; 50k OR label is strategic) AND NOT pipeline is Renewals.
+        </p>
+        <button type="button" className="preset-button" onClick={() => onChange(newGroup())}>
+          + Start Condition Group
+        </button>
+      </div>
+    );
+  }
+
+  return <div className="filter-tree-builder">{renderGroup(tree, [])}</div>;
+};
+
+export default FilterTreeBuilder;
@@ -16,6 +16,9 @@ interface InteractiveChartProps {
   isLoading?: boolean;
   showTooltip?: boolean;
   allowZoom?: boolean;
+  // data_status of the analytics response the series comes from
+  dataStatus?: 'complete' | 'partial' | 'unavailable';
+  statusMessage?: string | null;
 }
 
 const InteractiveChart: React.FC<InteractiveChartProps> = ({
@@ -25,7 +28,9 @@ const InteractiveChart: React.FC<InteractiveChartProps> = ({
   height = 300,
   isLoading = false,
   showTooltip = true,
-  allowZoom = true
+  allowZoom = true,
+  dataStatus = 'complete',
+  statusMessage
 }) => {
   const [hoveredPoint, setHoveredPoint] = useState<{ x: number; y: number; data: ChartDataPoint & { x: number; y: number } } | null>(null);
   const [selectedMetric, setSelectedMetric] = useState<'success' | 'failure' | 'responseTime'>('success');
@@ -102,6 +107,10 @@ const InteractiveChart: React.FC<InteractiveChartProps> = ({
     });
   };
 
+  // Series for short ranges are hourly, so the tooltip shows the time as well
+  const isHourly = data.length > 1 &&
+    new Date(data[1].timestamp).getTime() - new Date(data[0].timestamp).getTime() < 24 * 60 * 60 * 1000;
+
   const handleMouseLeave = () => {
     setHoveredPoint(null);
   };
@@ -153,6 +162,21 @@ const InteractiveChart: React.FC<InteractiveChartProps> = ({
     );
   }
 
+  if (dataStatus === 'unavailable') {
+    return (
+      <div className="interactive-chart" style={{ height }}>
+        <div className="chart-header">
+          <h3 className="chart-title">{title}</h3>
+        </div>
+        <div className="chart-empty chart-unavailable">
+          <div className="empty-icon">⚠️</div>
+          <div className="empty-title">Data Unavailable</div>
+          <div className="empty-subtitle">{statusMessage || 'Delivery data could not be loaded. Try refreshing in a moment.'}</div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="interactive-chart" style={{ height }}>
       <div className="chart-header">
@@ -176,6 +200,13 @@ const InteractiveChart: React.FC<InteractiveChartProps> = ({
         </div>
       </div>
 
+      {dataStatus === 'partial' && (
+        <div className="chart-status partial">
+          <span className="chart-status-label">Partial data</span>
+          {statusMessage && <span>{statusMessage}</span>}
+        </div>
+      )}
+
       <div className="chart-container">
         <svg 
           width="100%" 
@@ -268,7 +299,9 @@ const InteractiveChart: React.FC<InteractiveChartProps> = ({
             }}
           >
             <div className="tooltip-date">
-              {new Date(hoveredPoint.data.timestamp).toLocaleDateString()}
+              {isHourly
+                ? new Date(hoveredPoint.data.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' })
+                : new Date(hoveredPoint.data.timestamp).toLocaleDateString()}
             </div>
             <div className="tooltip-value" style={{ color: getMetricColor(selectedMetric) }}>
               {formatValue(hoveredPoint.data[selectedMetric], selectedMetric)}
@@ -10,6 +10,9 @@ interface MetricCardProps {
   icon: string;
   gradient?: string;
   isLoading?: boolean;
+  // data_status of the analytics response the value comes from
+  dataStatus?: 'complete' | 'partial' | 'unavailable';
+  statusMessage?: string | null;
   onClick?: () => void;
 }
 
@@ -22,8 +25,12 @@ const MetricCard: React.FC<MetricCardProps> = ({
   icon,
   gradient,
   isLoading = false,
+  dataStatus = 'complete',
+  statusMessage,
   onClick
 }) => {
+  const unavailable = dataStatus === 'unavailable';
+
   const getTrendIcon = () => {
     switch (trend) {
       case 'up':
@@ -68,7 +75,7 @@ const MetricCard: React.FC<MetricCardProps> = ({
 
   return (
     <div 
-      className={`metric-card ${onClick ? 'clickable' : ''}`} 
+      className={`metric-card ${onClick ? 'clickable' : ''} ${unavailable ? 'unavailable' : ''}`} 
       onClick={onClick}
     >
       <div className="metric-card-header">
@@ -82,14 +89,20 @@ const MetricCard: React.FC<MetricCardProps> = ({
       </div>
       
       <div className="metric-value-container">
-        <span className="metric-value">{value}</span>
-        {trend && trendValue && (
+        <span className="metric-value">{unavailable ? '—' : value}</span>
+        {!unavailable && trend && trendValue && (
           <div className={`metric-trend ${getTrendClass()}`}>
             <span className="trend-icon">{getTrendIcon()}</span>
             <span className="trend-value">{trendValue}</span>
           </div>
         )}
       </div>
+
+      {dataStatus !== 'complete' && (
+        <div className={`metric-status ${dataStatus}`} title={statusMessage || undefined}>
+          {unavailable ? 'Unavailable' : 'Partial data'}
+        </div>
+      )}
     </div>
   );
 };
@@ -3,36 +3,86 @@ import { API_BASE_URL } from '../config/api';
 import { getTenantId, getAuthToken } from '../utils/auth';
 import './PredictiveAnalytics.css';
 
-interface PipelineForecast {
-  next_30_days: {
-    predicted_deals: number;
-    predicted_value: number;
-    confidence: number;
-  };
-  next_90_days: {
-    predicted_deals: number;
-    predicted_value: number;
-    confidence: number;
+interface ForecastFeature {
+  name: string;
+  label: string;
+  value: number | null;
+  detail: string;
+  effect?: number | null;
+  weight?: number | null;
+}
+
+interface RevenueForecast {
+  days: number;
+  expected_revenue: number;
+  lower_bound: number;
+  upper_bound: number;
+  expected_wins: number | null;
+  confidence: number;
+  methods: string[];
+  features: ForecastFeature[];
+}
+
+interface DealPrediction {
+  deal_id: number;
+  pipeline: string | null;
+  stage: string | null;
+  owner: string | null;
+  value: number | null;
+  currency: string | null;
+  deal_age_days: number | null;
+  days_in_stage: number | null;
+  median_days_in_stage: number | null;
+  stalled: boolean;
+  win_probability: number;
+  close_probability: { days: number; probability: number | null }[];
+  features: ForecastFeature[];
+}
+
+interface DealForecast {
+  status: 'ready' | 'partial' | 'insufficient_data';
+  message: string | null;
+  generated_at: string;
+  data_since: string | null;
+  currency: string | null;
+  horizons: RevenueForecast[];
+  deals: DealPrediction[];
+  distribution: {
+    high: number;
+    medium: number;
+    low: number;
+    at_risk: number;
+    total: number;
   };
 }
 
-interface DealProbability {
-  high_probability: number;
-  medium_probability: number;
-  low_probability: number;
-  at_risk: number;
+interface ModelInfo {
+  version: string;
+  trained_at: string;
+  closed_deals: number;
+  won_deals: number;
+  open_deals: number;
+  history_days: number;
+  trend_days: number;
+  confidence_band: number;
+  trend_models: string[];
 }
 
 interface PredictiveAnalyticsProps {
   refreshToken?: number;
 }
 
+// How each feature's value is shown
+const RATE_FEATURES = ['historical_win_rate', 'stage_conversion'];
+const DAY_FEATURES = ['stage_age', 'deal_age', 'won_cycle'];
+
 const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken }) => {
-  const [pipelineForecast, setPipelineForecast] = useState<PipelineForecast | null>(null);
-  const [dealProbability, setDealProbability] = useState<DealProbability | null>(null);
+  const [forecast, setForecast] = useState<DealForecast | null>(null);
+  const [modelInfo, setModelInfo] = useState<ModelInfo | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState<'pipeline' | 'deals'>('pipeline');
+  const [expandedDeal, setExpandedDeal] = useState<number | null>(null);
 
   useEffect(() => {
     fetchPredictiveData();
@@ -49,17 +99,16 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
     try {
       setIsLoading(true);
       setError(null);
-      
+
       const tenantId = getTenantId();
       const token = getAuthToken();
-      
+
       if (!tenantId || !token) {
         throw new Error('Authentication required');
       }
 
-      // Fetch pipeline forecast
-      const pipelineResponse = await fetch(
-        `${API_BASE_URL}/api/v1/analytics/advanced/predictive/${tenantId}?type=pipeline_forecast`,
+      const response = await fetch(
+        `${API_BASE_URL}/api/v1/analytics/advanced/predictive/${tenantId}`,
         {
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -68,30 +117,17 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
         }
       );
 
-      // Fetch deal probability
-      const dealsResponse = await fetch(
-        `${API_BASE_URL}/api/v1/analytics/advanced/predictive/${tenantId}?type=deal_probability`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      if (!pipelineResponse.ok || !dealsResponse.ok) {
-        throw new Error('Failed to fetch predictive analytics');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const pipelineData = await pipelineResponse.json();
-      const dealsData = await dealsResponse.json();
-      
-      if (pipelineData.success && pipelineData.predictions) {
-        setPipelineForecast(pipelineData.predictions);
-      }
-      
-      if (dealsData.success && dealsData.predictions) {
-        setDealProbability(dealsData.predictions);
+      const data = await response.json();
+
+      if (data.success && data.predictions) {
+        setForecast(data.predictions);
+        setModelInfo(data.model_info);
+      } else {
+        throw new Error(data.error || 'Failed to fetch deal forecast');
       }
     } catch (err) {
       console.error('Predictive analytics fetch error:', err);
@@ -101,10 +137,14 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
     }
   };
 
-  const formatCurrency = (value: number) => {
+  // Deal values are in the Pipedrive currency; a plain number when it is unknown
+  const formatCurrency = (value: number, currency: string | null = forecast?.currency || null) => {
+    if (!currency || !/^[A-Z]{3}$/.test(currency)) {
+      return value.toLocaleString('en-US', { maximumFractionDigits: 0 });
+    }
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
       minimumFractionDigits: 0,
       maximumFractionDigits: 0
     }).format(value);
@@ -120,6 +160,24 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
     return '#ef4444'; // Low confidence - red
   };
 
+  const formatFeatureValue = (feature: ForecastFeature) => {
+    if (feature.value === null) return '—';
+    if (RATE_FEATURES.includes(feature.name)) return formatConfidence(feature.value);
+    if (DAY_FEATURES.includes(feature.name)) return `${feature.value} days`;
+    return formatCurrency(feature.value);
+  };
+
+  const formatEffect = (effect: number) => {
+    const points = Math.round(effect * 100);
+    return `${points >= 0 ? '+' : ''}${points} pts`;
+  };
+
+  const getProbabilityClass = (probability: number) => {
+    if (probability >= 0.6) return 'high';
+    if (probability >= 0.3) return 'medium';
+    return 'low';
+  };
+
   if (isLoading) {
     return (
       <div className="predictive-analytics">
@@ -146,34 +204,49 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
     );
   }
 
+  if (!forecast) return null;
+
+  const bandLabel = modelInfo ? `${Math.round(modelInfo.confidence_band * 100)}% range` : 'Range';
+
   return (
     <div className="predictive-analytics">
       {/* Header */}
       <div className="analytics-header">
         <div className="header-content">
           <h3>🔮 Predictive Analytics</h3>
-          <p>AI-powered forecasts and deal probability assessments</p>
+          <p>Closed-won revenue forecast and deal win likelihood from your pipeline history</p>
         </div>
-        
-        <div className="model-info">
-          <div className="model-badge">
-            <span className="badge-icon">🤖</span>
-            <span>ML Model v1.0</span>
+
+        {modelInfo && (
+          <div className="model-info">
+            <div className="model-badge">
+              <span className="badge-icon">🤖</span>
+              <span>Model {modelInfo.version}</span>
+            </div>
+            <span className="last-trained">
+              Trained {new Date(modelInfo.trained_at).toLocaleString()} on {modelInfo.closed_deals} closed deals
+            </span>
           </div>
-          <span className="last-trained">Last trained: Jan 1, 2024</span>
-        </div>
+        )}
       </div>
 
+      {forecast.message && (
+        <div className={`forecast-status ${forecast.status}`}>
+          <span>{forecast.status === 'insufficient_data' ? '📭' : 'ℹ️'}</span>
+          <p>{forecast.message}</p>
+        </div>
+      )}
+
       {/* Navigation Tabs */}
       <div className="prediction-tabs">
-        <button 
+        <button
           className={`tab-btn ${activeTab === 'pipeline' ? 'active' : ''}`}
           onClick={() => setActiveTab('pipeline')}
         >
           <span className="tab-icon">📈</span>
-          Pipeline Forecast
+          Revenue Forecast
         </button>
-        <button 
+        <button
           className={`tab-btn ${activeTab === 'deals' ? 'active' : ''}`}
           onClick={() => setActiveTab('deals')}
         >
@@ -182,130 +255,84 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
         </button>
       </div>
 
-      {/* Pipeline Forecast Tab */}
-      {activeTab === 'pipeline' && pipelineForecast && (
+      {/* Revenue Forecast Tab */}
+      {activeTab === 'pipeline' && forecast.horizons.length > 0 && (
         <div className="pipeline-forecast">
           <div className="forecast-grid">
-            {/* 30-Day Forecast */}
-            <div className="forecast-card">
-              <div className="forecast-header">
-                <h4>📊 Next 30 Days</h4>
-                <div 
-                  className="confidence-badge"
-                  style={{ backgroundColor: getConfidenceColor(pipelineForecast.next_30_days.confidence) }}
-                >
-                  {formatConfidence(pipelineForecast.next_30_days.confidence)} confidence
-                </div>
-              </div>
-              
-              <div className="forecast-metrics">
-                <div className="forecast-metric">
-                  <span className="metric-icon">🎯</span>
-                  <div className="metric-details">
-                    <span className="metric-label">Predicted Deals</span>
-                    <span className="metric-value">{pipelineForecast.next_30_days.predicted_deals}</span>
-                  </div>
-                </div>
-                
-                <div className="forecast-metric">
-                  <span className="metric-icon">💰</span>
-                  <div className="metric-details">
-                    <span className="metric-label">Predicted Value</span>
-                    <span className="metric-value">{formatCurrency(pipelineForecast.next_30_days.predicted_value)}</span>
+            {forecast.horizons.map(horizon => (
+              <div key={horizon.days} className="forecast-card">
+                <div className="forecast-header">
+                  <h4>📊 Next {horizon.days} Days</h4>
+                  <div
+                    className="confidence-badge"
+                    style={{ backgroundColor: getConfidenceColor(horizon.confidence) }}
+                  >
+                    {formatConfidence(horizon.confidence)} confidence
                   </div>
                 </div>
-              </div>
 
-              <div className="forecast-insights">
-                <h5>💡 Key Insights</h5>
-                <ul>
-                  <li>Strong pipeline momentum expected</li>
-                  <li>15% increase vs last month</li>
-                  <li>Focus on high-value deals</li>
-                </ul>
-              </div>
-            </div>
-
-            {/* 90-Day Forecast */}
-            <div className="forecast-card">
-              <div className="forecast-header">
-                <h4>📈 Next 90 Days</h4>
-                <div 
-                  className="confidence-badge"
-                  style={{ backgroundColor: getConfidenceColor(pipelineForecast.next_90_days.confidence) }}
-                >
-                  {formatConfidence(pipelineForecast.next_90_days.confidence)} confidence
-                </div>
-              </div>
-              
-              <div className="forecast-metrics">
-                <div className="forecast-metric">
-                  <span className="metric-icon">🎯</span>
-                  <div className="metric-details">
-                    <span className="metric-label">Predicted Deals</span>
-                    <span className="metric-value">{pipelineForecast.next_90_days.predicted_deals}</span>
+                <div className="forecast-metrics">
+                  <div className="forecast-metric">
+                    <span className="metric-icon">💰</span>
+                    <div className="metric-details">
+                      <span className="metric-label">Expected Closed-Won Revenue</span>
+                      <span className="metric-value">{formatCurrency(horizon.expected_revenue)}</span>
+                    </div>
                   </div>
-                </div>
-                
-                <div className="forecast-metric">
-                  <span className="metric-icon">💰</span>
-                  <div className="metric-details">
-                    <span className="metric-label">Predicted Value</span>
-                    <span className="metric-value">{formatCurrency(pipelineForecast.next_90_days.predicted_value)}</span>
+
+                  <div className="forecast-metric">
+                    <span className="metric-icon">↕️</span>
+                    <div className="metric-details">
+                      <span className="metric-label">{bandLabel}</span>
+                      <span className="metric-value">
+                        {formatCurrency(horizon.lower_bound)} – {formatCurrency(horizon.upper_bound)}
+                      </span>
+                    </div>
                   </div>
-                </div>
-              </div>
 
-              <div className="forecast-insights">
-                <h5>💡 Key Insights</h5>
-                <ul>
-                  <li>Seasonal uptrend anticipated</li>
-                  <li>Q2 looking stronger than Q1</li>
-                  <li>Monitor conversion rates</li>
-                </ul>
-              </div>
-            </div>
-          </div>
+                  {horizon.expected_wins !== null && (
+                    <div className="forecast-metric">
+                      <span className="metric-icon">🎯</span>
+                      <div className="metric-details">
+                        <span className="metric-label">Expected Wins from Open Deals</span>
+                        <span className="metric-value">{horizon.expected_wins}</span>
+                      </div>
+                    </div>
+                  )}
+                </div>
 
-          {/* Forecast Trends */}
-          <div className="forecast-trends">
-            <h4>📊 Forecast Trends</h4>
-            <div className="trends-chart">
-              <div className="chart-placeholder">
-                <div className="trend-line">
-                  <div className="trend-point current">Now</div>
-                  <div className="trend-point projected">30d</div>
-                  <div className="trend-point projected">60d</div>
-                  <div className="trend-point projected">90d</div>
+                <div className="forecast-insights">
+                  <h5>💡 What drives this forecast</h5>
+                  <ul>
+                    {horizon.features.map(feature => (
+                      <li key={feature.name}>
+                        <strong>{feature.label}: {formatFeatureValue(feature)}</strong>
+                        {feature.weight !== undefined && feature.weight !== null && (
+                          <span className="feature-weight"> ({formatConfidence(feature.weight)} of forecast)</span>
+                        )}
+                        <div className="feature-detail">{feature.detail}</div>
+                      </li>
+                    ))}
+                  </ul>
                 </div>
-                <p className="chart-note">📈 Upward trend with seasonal acceleration expected</p>
               </div>
-            </div>
+            ))}
           </div>
         </div>
       )}
 
       {/* Deal Probability Tab */}
-      {activeTab === 'deals' && dealProbability && (
+      {activeTab === 'deals' && forecast.distribution.total > 0 && (
         <div className="deal-probability">
-          <div className="probability-overview">
-            <h4>🎯 Deal Probability Distribution</h4>
-            <p>Current pipeline deals categorized by likelihood to close</p>
-          </div>
-
           <div className="probability-grid">
             <div className="probability-card high">
               <div className="probability-header">
                 <span className="probability-icon">🟢</span>
                 <h5>High Probability</h5>
               </div>
-              <div className="probability-count">{dealProbability.high_probability}</div>
+              <div className="probability-count">{forecast.distribution.high}</div>
               <div className="probability-details">
-                <p>80%+ likely to close</p>
-                <div className="probability-actions">
-                  <span>✅ Priority follow-up</span>
-                  <span>📞 Schedule closing calls</span>
-                </div>
+                <p>60%+ likely to be won</p>
               </div>
             </div>
 
@@ -314,13 +341,9 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
                 <span className="probability-icon">🟡</span>
                 <h5>Medium Probability</h5>
               </div>
-              <div className="probability-count">{dealProbability.medium_probability}</div>
+              <div className="probability-count">{forecast.distribution.medium}</div>
               <div className="probability-details">
-                <p>40-80% likely to close</p>
-                <div className="probability-actions">
-                  <span>🎯 Nurture campaigns</span>
-                  <span>📧 Value proposition</span>
-                </div>
+                <p>30-60% likely to be won</p>
               </div>
             </div>
 
@@ -329,13 +352,9 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
                 <span className="probability-icon">🔴</span>
                 <h5>Low Probability</h5>
               </div>
-              <div className="probability-count">{dealProbability.low_probability}</div>
+              <div className="probability-count">{forecast.distribution.low}</div>
               <div className="probability-details">
-                <p>Below 40% likely</p>
-                <div className="probability-actions">
-                  <span>🔄 Re-qualification</span>
-                  <span>💡 Objection handling</span>
-                </div>
+                <p>Below 30% likely</p>
               </div>
             </div>
 
@@ -344,61 +363,127 @@ const PredictiveAnalytics: React.FC<PredictiveAnalyticsProps> = ({ refreshToken
                 <span className="probability-icon">⚠️</span>
                 <h5>At Risk</h5>
               </div>
-              <div className="probability-count">{dealProbability.at_risk}</div>
+              <div className="probability-count">{forecast.distribution.at_risk}</div>
               <div className="probability-details">
-                <p>Stalled or declining</p>
-                <div className="probability-actions">
-                  <span>🚨 Urgent intervention</span>
-                  <span>👥 Escalate to manager</span>
-                </div>
+                <p>In their stage more than twice as long as usual</p>
               </div>
             </div>
           </div>
 
-          <div className="probability-recommendations">
-            <h4>💡 Recommended Actions</h4>
-            <div className="recommendations-list">
-              <div className="recommendation">
-                <span className="rec-priority high">HIGH</span>
-                <span>Focus on {dealProbability.high_probability} high-probability deals for quick wins</span>
-              </div>
-              <div className="recommendation">
-                <span className="rec-priority medium">MED</span>
-                <span>Develop targeted campaigns for {dealProbability.medium_probability} medium-probability prospects</span>
-              </div>
-              <div className="recommendation">
-                <span className="rec-priority urgent">URGENT</span>
-                <span>Immediate action required on {dealProbability.at_risk} at-risk deals</span>
-              </div>
-            </div>
+          <div className="deal-predictions">
+            <h4>🎯 Open Deals by Expected Value</h4>
+            <table className="deal-table">
+              <thead>
+                <tr>
+                  <th>Deal</th>
+                  <th>Stage</th>
+                  <th>Owner</th>
+                  <th>Value</th>
+                  <th>Days in stage</th>
+                  <th>Win likelihood</th>
+                  <th>Won in 30 days</th>
+                </tr>
+              </thead>
+              <tbody>
+                {forecast.deals.map(deal => (
+                  <React.Fragment key={deal.deal_id}>
+                    <tr
+                      className="deal-row"
+                      onClick={() => setExpandedDeal(expandedDeal === deal.deal_id ? null : deal.deal_id)}
+                    >
+                      <td>#{deal.deal_id}</td>
+                      <td>{deal.stage ? `${deal.stage}${deal.pipeline ? ` · ${deal.pipeline}` : ''}` : '—'}</td>
+                      <td>{deal.owner || '—'}</td>
+                      <td>{deal.value !== null ? formatCurrency(deal.value, deal.currency) : '—'}</td>
+                      <td>
+                        {deal.days_in_stage !== null ? deal.days_in_stage : '—'}
+                        {deal.stalled && <span className="stalled-tag">stalled</span>}
+                      </td>
+                      <td>
+                        <span className={`probability-pill ${getProbabilityClass(deal.win_probability)}`}>
+                          {formatConfidence(deal.win_probability)}
+                        </span>
+                      </td>
+                      <td>
+                        {deal.close_probability[0]?.probability !== null && deal.close_probability[0]?.probability !== undefined
+                          ? formatConfidence(deal.close_probability[0].probability)
+                          : '—'}
+                      </td>
+                    </tr>
+                    {expandedDeal === deal.deal_id && (
+                      <tr className="deal-features">
+                        <td colSpan={7}>
+                          <ul>
+                            {deal.features.map(feature => (
+                              <li key={feature.name}>
+                                <strong>{feature.label}: {formatFeatureValue(feature)}</strong>
+                                {feature.effect !== undefined && feature.effect !== null && (
+                                  <span className={`feature-effect ${feature.effect >= 0 ? 'positive' : 'negative'}`}>
+                                    {formatEffect(feature.effect)}
+                                  </span>
+                                )}
+                                <div className="feature-detail">{feature.detail}</div>
+                              </li>
+                            ))}
+                          </ul>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+            {forecast.distribution.total > forecast.deals.length && (
+              <p className="chart-note">
+                Showing {forecast.deals.length} of {forecast.distribution.total} open deals. Click a deal to see what drives its likelihood.
+              </p>
+            )}
           </div>
         </div>
       )}
 
+      {activeTab === 'deals' && forecast.distribution.total === 0 && forecast.status === 'ready' && (
+        <p className="chart-note">No open deals to score. Deals appear here once Pipedrive sends their next webhook.</p>
+      )}
+
       {/* Model Information */}
-      <div className="model-information">
-        <h4>🤖 Model Information</h4>
-        <div className="model-details">
-          <div className="model-stat">
-            <span className="stat-label">Accuracy Rate:</span>
-            <span className="stat-value">87%</span>
-          </div>
-          <div className="model-stat">
-            <span className="stat-label">Training Data:</span>
-            <span className="stat-value">2,500+ deals</span>
-          </div>
-          <div className="model-stat">
-            <span className="stat-label">Last Updated:</span>
-            <span className="stat-value">2 hours ago</span>
-          </div>
-          <div className="model-stat">
-            <span className="stat-label">Confidence Threshold:</span>
-            <span className="stat-value">70%</span>
+      {modelInfo && (
+        <div className="model-information">
+          <h4>🤖 Model Information</h4>
+          <div className="model-details">
+            <div className="model-stat">
+              <span className="stat-label">Closed Deals Learned From:</span>
+              <span className="stat-value">{modelInfo.closed_deals} ({modelInfo.won_deals} won)</span>
+            </div>
+            <div className="model-stat">
+              <span className="stat-label">Open Deals Scored:</span>
+              <span className="stat-value">{modelInfo.open_deals}</span>
+            </div>
+            <div className="model-stat">
+              <span className="stat-label">History Window:</span>
+              <span className="stat-value">{modelInfo.history_days} days</span>
+            </div>
+            <div className="model-stat">
+              <span className="stat-label">Revenue Trend Data:</span>
+              <span className="stat-value">{modelInfo.trend_days} days</span>
+            </div>
+            <div className="model-stat">
+              <span className="stat-label">Trend Models:</span>
+              <span className="stat-value">
+                {modelInfo.trend_models.length > 0 ? modelInfo.trend_models.map(model => model.replace(/_/g, ' ')).join(', ') : 'none yet'}
+              </span>
+            </div>
+            <div className="model-stat">
+              <span className="stat-label">Deal Data Since:</span>
+              <span className="stat-value">
+                {forecast.data_since ? new Date(forecast.data_since).toLocaleDateString() : 'no deal events yet'}
+              </span>
+            </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-export default PredictiveAnalytics;
\ No newline at end of file
+export default PredictiveAnalytics;
@@ -1,203 +1,143 @@
-import React, { useState, useEffect } from 'react';
-import { API_BASE_URL } from '../config/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import type { NotificationRule, RuleBackup, RuleRestoreResult, RuleSetDiff, RuleVersion } from '../services/api';
 import './RuleBackupRestore.css';
 
-interface BackupData {
-  id: string;
-  name: string;
-  description?: string;
-  ruleCount: number;
-  createdAt: string;
-  size: string;
-  type: 'manual' | 'automatic';
-}
-
-interface NotificationRule {
-  id: string;
-  rule_name: string;
-  conditions: any;
-  actions: any;
-  is_active: boolean;
-  created_at: string;
-  updated_at: string;
-}
+const CHANGE_LABELS: Record<RuleVersion['change_type'], string> = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Deleted',
+  restored: 'Restored',
+};
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
 
 const RuleBackupRestore: React.FC = () => {
-  const [backups, setBackups] = useState<BackupData[]>([]);
+  const [backups, setBackups] = useState<RuleBackup[]>([]);
   const [rules, setRules] = useState<NotificationRule[]>([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
   const [showCreateBackup, setShowCreateBackup] = useState(false);
   const [showRestoreModal, setShowRestoreModal] = useState(false);
-  const [selectedBackup, setSelectedBackup] = useState<BackupData | null>(null);
+  const [selectedBackup, setSelectedBackup] = useState<RuleBackup | null>(null);
   const [backupName, setBackupName] = useState('');
   const [backupDescription, setBackupDescription] = useState('');
   const [restoreOptions, setRestoreOptions] = useState({
     overwriteExisting: false,
     preserveIds: false,
-    activateRules: true
+    activateRules: false
   });
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoreResult, setRestoreResult] = useState<RuleRestoreResult | null>(null);
+  const [diff, setDiff] = useState<RuleSetDiff | null>(null);
+  const [historyRuleId, setHistoryRuleId] = useState('');
+  const [versions, setVersions] = useState<RuleVersion[]>([]);
 
-  useEffect(() => {
-    loadData();
-  }, []);
-
-  const loadData = async () => {
+  const loadData = useCallback(async () => {
     try {
       setIsLoading(true);
-      const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
-      
-      const [backupsResponse, rulesResponse] = await Promise.all([
-        fetch(`${API_BASE_URL}/api/v1/rules/backups`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }),
-        fetch(`${API_BASE_URL}/api/v1/rules`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        })
+      setError(null);
+      const [backupsData, rulesData] = await Promise.all([
+        apiService.getRuleBackups(),
+        apiService.getRules()
       ]);
-
-      if (backupsResponse.ok) {
-        const backupsData = await backupsResponse.json();
-        setBackups(backupsData.backups || []);
-      } else {
-        // Fallback to mock data for demo
-        setBackups([
-          {
-            id: '1',
-            name: 'Production Rules Backup',
-            description: 'Complete backup before system update',
-            ruleCount: 15,
-            createdAt: '2024-12-15T10:30:00Z',
-            size: '2.3 KB',
-            type: 'manual'
-          },
-          {
-            id: '2',
-            name: 'Daily Auto Backup',
-            description: 'Automated daily backup',
-            ruleCount: 15,
-            createdAt: '2024-12-15T02:00:00Z',
-            size: '2.3 KB',
-            type: 'automatic'
-          }
-        ]);
-      }
-
-      if (rulesResponse.ok) {
-        const rulesData = await rulesResponse.json();
-        setRules(rulesData.rules || []);
-      }
-    } catch (error) {
-      console.error('Failed to load backup data:', error);
-      setBackups([]);
-      setRules([]);
+      setBackups(backupsData.backups);
+      setRules(rulesData);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load backups');
     } finally {
       setIsLoading(false);
     }
-  };
+  }, []);
+
+  const loadVersions = useCallback(async (ruleId: string) => {
+    if (!ruleId) {
+      setVersions([]);
+      return;
+    }
+    try {
+      const data = await apiService.getRuleVersions(ruleId);
+      setVersions(data.versions);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load rule history');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
 
-  const handleCreateBackup = async () => {
+  useEffect(() => {
+    loadVersions(historyRuleId);
+  }, [historyRuleId, loadVersions]);
+
+  const runAction = async (action: () => Promise<void>, fallbackMessage: string) => {
     try {
-      const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
-      
-      const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          name: backupName,
-          description: backupDescription,
-          type: 'manual'
-        })
-      });
-
-      if (response.ok) {
-        await loadData();
-        resetCreateForm();
-      }
-    } catch (error) {
-      console.error('Failed to create backup:', error);
+      setError(null);
+      setNotice(null);
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : fallbackMessage);
     }
   };
 
+  const handleCreateBackup = () => runAction(async () => {
+    const { backup } = await apiService.createRuleBackup(backupName.trim(), backupDescription.trim() || undefined);
+    setNotice(`Backup "${backup.name}" saved with ${backup.ruleCount} rules`);
+    resetCreateForm();
+    await loadData();
+  }, 'Failed to create backup');
+
   const handleRestoreBackup = async () => {
     if (!selectedBackup) return;
 
-    try {
-      const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
-      
-      const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups/${selectedBackup.id}/restore`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(restoreOptions)
-      });
-
-      if (response.ok) {
-        await loadData();
-        setShowRestoreModal(false);
-        setSelectedBackup(null);
-      }
-    } catch (error) {
-      console.error('Failed to restore backup:', error);
-    }
+    setIsRestoring(true);
+    await runAction(async () => {
+      const { result } = await apiService.restoreRuleBackup(selectedBackup.id, restoreOptions);
+      setRestoreResult(result);
+      setShowRestoreModal(false);
+      setSelectedBackup(null);
+      setDiff(null);
+      await loadData();
+      await loadVersions(historyRuleId);
+    }, 'Failed to restore backup');
+    setIsRestoring(false);
   };
 
-  const handleDeleteBackup = async (backupId: string) => {
+  const handleDeleteBackup = (backupId: number) => {
     if (!window.confirm('Are you sure you want to delete this backup? This action cannot be undone.')) return;
 
-    try {
-      const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
-      
-      const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups/${backupId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        await loadData();
-      }
-    } catch (error) {
-      console.error('Failed to delete backup:', error);
-    }
+    runAction(async () => {
+      await apiService.deleteRuleBackup(backupId);
+      await loadData();
+    }, 'Failed to delete backup');
   };
 
-  const handleDownloadBackup = async (backup: BackupData) => {
-    try {
-      const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
-      
-      const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups/${backup.id}/download`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (response.ok) {
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${backup.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_backup.json`;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      }
-    } catch (error) {
-      console.error('Failed to download backup:', error);
-    }
+  const handleDownloadBackup = (backup: RuleBackup) => runAction(
+    () => apiService.downloadRuleBackup(backup),
+    'Failed to download backup'
+  );
+
+  const handleCompare = (from: string, to: string = 'current') => runAction(async () => {
+    const data = await apiService.diffRules(from, to);
+    setDiff(data.diff);
+  }, 'Failed to compare rules');
+
+  const handleRollback = (version: RuleVersion) => {
+    if (!window.confirm(`Roll this rule back to version ${version.version}? The current rules are backed up first.`)) return;
+
+    runAction(async () => {
+      const { result } = await apiService.rollbackRule(version.rule_id, version.version);
+      setNotice(`Rolled "${result.name}" back to version ${version.version}`);
+      setDiff(null);
+      await loadData();
+      await loadVersions(historyRuleId);
+    }, 'Failed to roll back rule');
   };
 
   const resetCreateForm = () => {
@@ -214,6 +154,8 @@ const RuleBackupRestore: React.FC = () => {
     return type === 'automatic' ? '🤖' : '👤';
   };
 
+  const activeCount = rules.filter(r => r.enabled).length;
+
   if (isLoading) {
     return (
       <div className="rule-backup-restore">
@@ -242,6 +184,29 @@ const RuleBackupRestore: React.FC = () => {
         </div>
       </div>
 
+      {error && <div className="backup-alert error" role="alert">{error}</div>}
+      {notice && <div className="backup-alert success">{notice}</div>}
+
+      {restoreResult && (
+        <div className="restore-result">
+          <div className="restore-result-header">
+            <h4>Restore complete</h4>
+            <button onClick={() => setRestoreResult(null)} className="close-btn" type="button">✕</button>
+          </div>
+          <p>
+            {restoreResult.updated.length} updated • {restoreResult.created.length} re-created • {restoreResult.deleted.length} deleted • {restoreResult.skipped.length} skipped.
+            {' '}Your previous rules were saved as an automatic backup.
+          </p>
+          {restoreResult.skipped.length > 0 && (
+            <ul>
+              {restoreResult.skipped.map(rule => (
+                <li key={rule.rule_id}>“{rule.name}”: {rule.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Current Rules Summary */}
       <div className="current-rules-summary">
         <div className="summary-card">
@@ -250,7 +215,7 @@ const RuleBackupRestore: React.FC = () => {
             <h3>Current Rules</h3>
             <p className="rule-count">{rules.length} notification rules</p>
             <p className="rule-details">
-              {rules.filter(r => r.is_active).length} active • {rules.filter(r => !r.is_active).length} inactive
+              {activeCount} active • {rules.length - activeCount} inactive
             </p>
           </div>
         </div>
@@ -316,6 +281,13 @@ const RuleBackupRestore: React.FC = () => {
                   >
                     🔄 Restore
                   </button>
+                  <button
+                    onClick={() => handleCompare(`snapshot:${backup.id}`)}
+                    className="compare-btn"
+                    title="Compare with current rules"
+                  >
+                    🔍 Compare
+                  </button>
                   <button
                     onClick={() => handleDownloadBackup(backup)}
                     className="download-btn"
@@ -339,6 +311,96 @@ const RuleBackupRestore: React.FC = () => {
         )}
       </div>
 
+      {/* Diff against current rules */}
+      {diff && (
+        <div className="diff-section">
+          <div className="diff-header">
+            <h3>{diff.from} → {diff.to}</h3>
+            <button onClick={() => setDiff(null)} className="close-btn" type="button">✕</button>
+          </div>
+          {diff.added.length + diff.removed.length + diff.changed.length === 0 ? (
+            <p className="diff-empty">No differences ({diff.unchanged} rules identical).</p>
+          ) : (
+            <>
+              {diff.added.map(rule => (
+                <p key={`added-${rule.rule_id}`} className="diff-line added">+ “{rule.name}” added since</p>
+              ))}
+              {diff.removed.map(rule => (
+                <p key={`removed-${rule.rule_id}`} className="diff-line removed">− “{rule.name}” removed since</p>
+              ))}
+              {diff.changed.map(rule => (
+                <div key={`changed-${rule.rule_id}`} className="diff-rule">
+                  <h4>“{rule.name}”</h4>
+                  <table className="diff-table">
+                    <thead>
+                      <tr><th>Field</th><th>Then</th><th>Now</th></tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(rule.changes).map(([field, change]) => (
+                        <tr key={field}>
+                          <td>{field}</td>
+                          <td className="diff-before">{formatValue(change.before)}</td>
+                          <td className="diff-after">{formatValue(change.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+              <p className="diff-empty">{diff.unchanged} rules unchanged.</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Per-rule version history */}
+      <div className="history-section">
+        <h3>Rule History</h3>
+        <select
+          className="form-input"
+          value={historyRuleId}
+          onChange={e => setHistoryRuleId(e.target.value)}
+          aria-label="Rule to show history for"
+        >
+          <option value="">Select a rule...</option>
+          {rules.map(rule => (
+            <option key={rule.id} value={rule.id}>{rule.name}</option>
+          ))}
+        </select>
+        {historyRuleId && (
+          versions.length === 0 ? (
+            <p className="diff-empty">No versions recorded for this rule yet.</p>
+          ) : (
+            <ul className="version-list">
+              {versions.map((version, index) => (
+                <li key={version.id} className="version-item">
+                  <span className="version-number">v{version.version}</span>
+                  <span className={`change-badge ${version.change_type}`}>{CHANGE_LABELS[version.change_type]}</span>
+                  <span className="version-date">{formatDate(version.created_at)}</span>
+                  {index > 0 && version.change_type !== 'deleted' && (
+                    <span className="version-actions">
+                      <button
+                        onClick={() => handleCompare(
+                          `version:${version.rule_id}:${version.version}`,
+                          `version:${version.rule_id}:${versions[0].version}`
+                        )}
+                        className="compare-btn"
+                        type="button"
+                      >
+                        🔍 Compare
+                      </button>
+                      <button onClick={() => handleRollback(version)} className="restore-btn" type="button">
+                        ↩️ Roll back
+                      </button>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+      </div>
+
       {/* Create Backup Modal */}
       {showCreateBackup && (
         <div className="modal-overlay" onClick={resetCreateForm}>
@@ -387,12 +449,12 @@ const RuleBackupRestore: React.FC = () => {
                   <div className="stat-item">
                     <span className="stat-icon">✅</span>
                     <span className="stat-label">Active Rules:</span>
-                    <span className="stat-value">{rules.filter(r => r.is_active).length}</span>
+                    <span className="stat-value">{activeCount}</span>
                   </div>
                   <div className="stat-item">
                     <span className="stat-icon">⏸️</span>
                     <span className="stat-label">Inactive Rules:</span>
-                    <span className="stat-value">{rules.filter(r => !r.is_active).length}</span>
+                    <span className="stat-value">{rules.length - activeCount}</span>
                   </div>
                 </div>
               </div>
@@ -436,7 +498,7 @@ const RuleBackupRestore: React.FC = () => {
                 <div className="warning-icon">⚠️</div>
                 <div className="warning-content">
                   <h4>Important: Backup Restoration</h4>
-                  <p>Restoring this backup will modify your current notification rules. Please review the options below carefully.</p>
+                  <p>Restoring this backup will modify your current notification rules. Your current rules are saved as an automatic backup first, so the restore can be undone.</p>
                 </div>
               </div>
 
@@ -471,7 +533,7 @@ const RuleBackupRestore: React.FC = () => {
                       })}
                     />
                     <span className="option-label">Overwrite existing rules</span>
-                    <span className="option-description">Replace current rules with backup versions</span>
+                    <span className="option-description">Revert changed rules and delete rules created since the backup (otherwise only missing rules are re-created)</span>
                   </label>
 
                   <label className="option-item">
@@ -484,7 +546,7 @@ const RuleBackupRestore: React.FC = () => {
                       })}
                     />
                     <span className="option-label">Preserve rule IDs</span>
-                    <span className="option-description">Keep original rule identifiers</span>
+                    <span className="option-description">Re-create deleted rules with their original IDs when available</span>
                   </label>
 
                   <label className="option-item">
@@ -497,7 +559,7 @@ const RuleBackupRestore: React.FC = () => {
                       })}
                     />
                     <span className="option-label">Activate restored rules</span>
-                    <span className="option-description">Enable rules immediately after restoration</span>
+                    <span className="option-description">Enable every restored rule, even if it was disabled in the backup</span>
                   </label>
                 </div>
               </div>
@@ -513,8 +575,9 @@ const RuleBackupRestore: React.FC = () => {
               <button
                 onClick={handleRestoreBackup}
                 className="restore-confirm-btn"
+                disabled={isRestoring}
               >
-                Restore Backup
+                {isRestoring ? 'Restoring...' : 'Restore Backup'}
               </button>
             </div>
           </div>
@@ -525,10 +588,10 @@ const RuleBackupRestore: React.FC = () => {
       <div className="backup-info-section">
         <h4>Backup Information</h4>
         <ul>
-          <li><strong>Automatic Backups:</strong> Created daily at 2:00 AM to preserve your rule configuration</li>
+          <li><strong>Automatic Backups:</strong> Taken before every restore or rollback so it can be undone</li>
           <li><strong>Manual Backups:</strong> Create on-demand backups before making significant changes</li>
-          <li><strong>Backup Contents:</strong> All notification rules, conditions, actions, and settings</li>
-          <li><strong>Restore Options:</strong> Flexible restoration with overwrite and activation controls</li>
+          <li><strong>Rule History:</strong> Every change to a rule is kept as a version you can compare with or roll back to</li>
+          <li><strong>Restore Options:</strong> Restores run in a single transaction; rules whose webhook was deleted are skipped</li>
         </ul>
       </div>
     </div>
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { usePlanFeatures } from '../hooks/usePlanFeatures';
+import apiService, { CustomFieldDefinition } from '../services/api';
+import FilterTreeBuilder, { FilterGroup } from './FilterTreeBuilder';
 import './RuleFilters.css';
 
 interface FilterData {
@@ -32,6 +34,22 @@ interface FilterData {
   
   // Currency filters
   currencies?: string[];
+  
+  // Custom field filters (matched by Pipedrive field name)
+  custom_fields?: CustomFieldCondition[];
+  
+  // Nested AND/OR/NOT condition tree, combined with the filters above using AND
+  tree?: FilterGroup;
+}
+
+interface CustomFieldCondition {
+  field: string;
+  entity?: 'deal' | 'person' | 'organization';
+  operator: 'equals' | 'contains' | 'range' | 'in';
+  value?: string;
+  min?: string;
+  max?: string;
+  values?: string[];
 }
 
 interface RuleFiltersProps {
@@ -61,6 +79,8 @@ const RuleFilters: React.FC<RuleFiltersProps> = ({ filters, onChange }) => {
   const { hasFeature, getFeatureRequiredPlan, planTier } = usePlanFeatures();
   const [pipelines, setPipelines] = useState<PipelineData[]>([]);
   const [users, setUsers] = useState<UserData[]>([]);
+  const [customFields, setCustomFields] = useState<CustomFieldDefinition[]>([]);
+  const [isSyncingFields, setIsSyncingFields] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [activeSection, setActiveSection] = useState<string | null>('value');
   
@@ -70,12 +90,20 @@ const RuleFilters: React.FC<RuleFiltersProps> = ({ filters, onChange }) => {
   const canUseProbabilityFiltering = hasFeature('probability_filtering');
   const canUseOwnerFiltering = hasFeature('owner_filtering');
   const canUseTimeFiltering = hasFeature('time_filtering');
+  const canUseCustomFieldFiltering = hasFeature('custom_field_filtering');
+  const canUseConditionBuilder = hasFeature('advanced_filtering');
 
   useEffect(() => {
     loadPipelineData();
     loadUserData();
   }, []);
 
+  useEffect(() => {
+    if (canUseCustomFieldFiltering) {
+      loadCustomFields();
+    }
+  }, [canUseCustomFieldFiltering]);
+
   const loadPipelineData = async () => {
     try {
       // Mock data for now - in production, this would fetch from Pipedrive API
@@ -125,6 +153,27 @@ const RuleFilters: React.FC<RuleFiltersProps> = ({ filters, onChange }) => {
     }
   };
 
+  const loadCustomFields = async () => {
+    try {
+      const result = await apiService.getCustomFields();
+      setCustomFields(result.custom_fields);
+    } catch (error) {
+      console.error('Error loading custom fields:', error);
+    }
+  };
+
+  const syncCustomFields = async () => {
+    setIsSyncingFields(true);
+    try {
+      await apiService.syncCustomFields();
+      await loadCustomFields();
+    } catch (error) {
+      console.error('Error syncing custom fields:', error);
+    } finally {
+      setIsSyncingFields(false);
+    }
+  };
+
   const updateFilters = (newFilters: Partial<FilterData>) => {
     onChange({ ...filters, ...newFilters });
   };
@@ -519,6 +568,245 @@ const RuleFilters: React.FC<RuleFiltersProps> = ({ filters, onChange }) => {
     </div>
   );
 
+  const updateCustomFieldCondition = (index: number, changes: Partial<CustomFieldCondition>) => {
+    const conditions = [...(filters.custom_fields || [])];
+    conditions[index] = { ...conditions[index], ...changes };
+    updateFilters({ custom_fields: conditions });
+  };
+
+  const removeCustomFieldCondition = (index: number) => {
+    const conditions = (filters.custom_fields || []).filter((_, i) => i !== index);
+    updateFilters({ custom_fields: conditions.length > 0 ? conditions : undefined });
+  };
+
+  const addCustomFieldCondition = () => {
+    const first = customFields[0];
+    if (!first) return;
+    updateFilters({
+      custom_fields: [
+        ...(filters.custom_fields || []),
+        { field: first.name, entity: first.entity_type, operator: 'equals', value: '' }
+      ]
+    });
+  };
+
+  const findCustomField = (condition: CustomFieldCondition) =>
+    customFields.find(field => field.name === condition.field && field.entity_type === (condition.entity || 'deal'));
+
+  const renderCustomFieldCondition = (condition: CustomFieldCondition, index: number) => {
+    const definition = findCustomField(condition);
+    const options = definition?.options || [];
+
+    return (
+      <div key={index} className="custom-field-condition">
+        <div className="filter-row">
+          <div className="filter-group">
+            <label>Field</label>
+            <select
+              value={`${condition.entity || 'deal'}:${condition.field}`}
+              onChange={(e) => {
+                const field = customFields.find(f => `${f.entity_type}:${f.name}` === e.target.value);
+                if (field) {
+                  updateCustomFieldCondition(index, {
+                    field: field.name,
+                    entity: field.entity_type,
+                    operator: 'equals',
+                    value: '',
+                    min: undefined,
+                    max: undefined,
+                    values: undefined
+                  });
+                }
+              }}
+            >
+              {!definition && (
+                <option value={`${condition.entity || 'deal'}:${condition.field}`}>{condition.field} (not synced)</option>
+              )}
+              {customFields.map(field => (
+                <option key={`${field.entity_type}:${field.name}`} value={`${field.entity_type}:${field.name}`}>
+                  {field.entity_type === 'deal' ? '' : `${field.entity_type}: `}{field.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Condition</label>
+            <select
+              value={condition.operator}
+              onChange={(e) => updateCustomFieldCondition(index, {
+                operator: e.target.value as CustomFieldCondition['operator']
+              })}
+            >
+              <option value="equals">equals</option>
+              <option value="contains">contains</option>
+              <option value="range">is between</option>
+              {options.length > 0 && <option value="in">is one of</option>}
+            </select>
+          </div>
+        </div>
+
+        {(condition.operator === 'equals' || condition.operator === 'contains') && (
+          <div className="filter-group">
+            <label>Value</label>
+            <input
+              type="text"
+              value={condition.value || ''}
+              onChange={(e) => updateCustomFieldCondition(index, { value: e.target.value })}
+              placeholder="e.g., Enterprise"
+            />
+          </div>
+        )}
+
+        {condition.operator === 'range' && (
+          <div className="filter-row">
+            <div className="filter-group">
+              <label>From</label>
+              <input
+                type="text"
+                value={condition.min || ''}
+                onChange={(e) => updateCustomFieldCondition(index, { min: e.target.value || undefined })}
+                placeholder="Number or YYYY-MM-DD"
+              />
+            </div>
+            <div className="filter-group">
+              <label>To</label>
+              <input
+                type="text"
+                value={condition.max || ''}
+                onChange={(e) => updateCustomFieldCondition(index, { max: e.target.value || undefined })}
+                placeholder="Number or YYYY-MM-DD"
+              />
+            </div>
+          </div>
+        )}
+
+        {condition.operator === 'in' && (
+          <div className="filter-group">
+            <label>Options</label>
+            <div className="checkbox-list">
+              {options.map(option => (
+                <label key={option.id} className="checkbox-item">
+                  <input
+                    type="checkbox"
+                    checked={condition.values?.includes(option.label) || false}
+                    onChange={(e) => {
+                      const current = condition.values || [];
+                      updateCustomFieldCondition(index, {
+                        values: e.target.checked
+                          ? [...current, option.label]
+                          : current.filter(value => value !== option.label)
+                      });
+                    }}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <button
+          type="button"
+          className="remove-condition-button"
+          onClick={() => removeCustomFieldCondition(index)}
+        >
+          Remove
+        </button>
+      </div>
+    );
+  };
+
+  const renderCustomFieldFilters = () => (
+    <div className={`filter-section ${!canUseCustomFieldFiltering ? 'disabled' : ''}`}>
+      <div 
+        className={`filter-header ${activeSection === 'custom_fields' ? 'active' : ''}`}
+        onClick={() => canUseCustomFieldFiltering && toggleSection('custom_fields')}
+      >
+        <span>🧩 Custom Field Filters</span>
+        {!canUseCustomFieldFiltering && (
+          <span 
+            className="feature-lock" 
+            title={`Custom field filtering is available in ${getFeatureRequiredPlan('custom_field_filtering')} plan`}
+          >
+            🔒
+          </span>
+        )}
+        <span className="toggle-icon">{activeSection === 'custom_fields' ? '−' : '+'}</span>
+      </div>
+      
+      {activeSection === 'custom_fields' && (
+        <div className="filter-content">
+          {(filters.custom_fields || []).map(renderCustomFieldCondition)}
+
+          {customFields.length === 0 && (
+            <p className="filter-hint">No custom fields found. Sync to load them from Pipedrive.</p>
+          )}
+
+          <div className="preset-buttons">
+            <button
+              type="button"
+              className="preset-button"
+              onClick={addCustomFieldCondition}
+              disabled={customFields.length === 0}
+            >
+              + Add Condition
+            </button>
+            <button
+              type="button"
+              className="preset-button"
+              onClick={syncCustomFields}
+              disabled={isSyncingFields}
+            >
+              {isSyncingFields ? 'Syncing...' : 'Sync from Pipedrive'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  const countConditions = (group: FilterGroup): number =>
+    group.children.reduce((sum, child) => sum + (child.type === 'group' ? countConditions(child) : 1), 0);
+
+  const renderConditionBuilder = () => (
+    <div className={`filter-section ${!canUseConditionBuilder ? 'disabled' : ''}`}>
+      <div 
+        className={`filter-header ${activeSection === 'tree' ? 'active' : ''}`}
+        onClick={() => canUseConditionBuilder && toggleSection('tree')}
+      >
+        <span>🧮 Condition Builder (AND / OR / NOT)</span>
+        {!canUseConditionBuilder && (
+          <span 
+            className="feature-lock" 
+            title={`The condition builder is available in ${getFeatureRequiredPlan('advanced_filtering')} plan and above`}
+          >
+            🔒
+          </span>
+        )}
+        <span className="toggle-icon">{activeSection === 'tree' ? '−' : '+'}</span>
+      </div>
+      
+      {activeSection === 'tree' && (
+        <div className="filter-content">
+          <FilterTreeBuilder
+            tree={filters.tree}
+            onChange={(tree) => updateFilters({ tree })}
+            customFields={canUseCustomFieldFiltering ? customFields : []}
+            options={{
+              pipeline: pipelines.map(pipeline => ({ id: pipeline.id, name: pipeline.name })),
+              stage: pipelines.flatMap(pipeline => pipeline.stages.map(stage => ({
+                id: stage.id,
+                name: `${pipeline.name}: ${stage.name}`
+              }))),
+              owner: users.map(user => ({ id: user.id, name: user.name }))
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+
   const hasActiveFilters = () => {
     return Object.keys(filters).some(key => {
       const value = filters[key as keyof FilterData];
@@ -563,6 +851,8 @@ const RuleFilters: React.FC<RuleFiltersProps> = ({ filters, onChange }) => {
         {renderOwnerFilters()}
         {renderTimeFilters()}
         {renderCurrencyFilters()}
+        {renderCustomFieldFilters()}
+        {renderConditionBuilder()}
       </div>
       
       {hasActiveFilters() && (
@@ -578,6 +868,8 @@ const RuleFilters: React.FC<RuleFiltersProps> = ({ filters, onChange }) => {
             {filters.owner_ids && <li>Owners: {filters.owner_ids.length} selected</li>}
             {filters.time_restrictions?.business_hours_only && <li>Business hours only</li>}
             {filters.currencies && <li>Currencies: {filters.currencies.join(', ')}</li>}
+            {filters.custom_fields && <li>Custom fields: {filters.custom_fields.map(condition => condition.field).join(', ')}</li>}
+            {filters.tree && <li>Condition builder: {countConditions(filters.tree)} condition(s)</li>}
           </ul>
         </div>
       )}
@@ -0,0 +1,109 @@
+import React from 'react';
+import type { RuleTarget } from '../services/api';
+import './RuleTargetsEditor.css';
+
+type TargetTemplateMode = NonNullable<RuleTarget['template_mode']>;
+
+const TEMPLATE_OVERRIDES: Array<{ value: TargetTemplateMode | ''; label: string }> = [
+  { value: '', label: "Rule's template" },
+  { value: 'simple', label: 'Simple' },
+  { value: 'compact', label: 'Compact' },
+  { value: 'detailed', label: 'Detailed' },
+  { value: 'card', label: 'Card' },
+  { value: 'custom', label: 'Custom' },
+];
+
+interface RuleTargetsEditorProps {
+  webhooks: Array<{ id: string; name: string }>;
+  targets: RuleTarget[];
+  onChange: (targets: RuleTarget[]) => void;
+  idPrefix: string;
+}
+
+/**
+ * Pick the webhooks a rule fans out to, each with an optional template override and enable flag.
+ * The first enabled target is the rule's primary webhook (see primaryTargetId).
+ */
+const RuleTargetsEditor: React.FC<RuleTargetsEditorProps> = ({ webhooks, targets, onChange, idPrefix }) => {
+  const findTarget = (webhookId: number) => targets.find(target => target.webhook_id === webhookId);
+
+  const toggleWebhook = (webhookId: number) => {
+    onChange(findTarget(webhookId)
+      ? targets.filter(target => target.webhook_id !== webhookId)
+      : [...targets, { webhook_id: webhookId, template_mode: null, custom_template: null, enabled: true }]);
+  };
+
+  const updateTarget = (webhookId: number, changes: Partial<RuleTarget>) => {
+    onChange(targets.map(target => target.webhook_id === webhookId ? { ...target, ...changes } : target));
+  };
+
+  if (webhooks.length === 0) {
+    return <p className="rule-targets-empty">No webhooks available - go through onboarding first</p>;
+  }
+
+  return (
+    <div className="rule-targets" role="group" aria-labelledby={`${idPrefix}-label`}>
+      {webhooks.map(webhook => {
+        const webhookId = Number(webhook.id);
+        const target = findTarget(webhookId);
+        const isPrimary = primaryTargetId(targets) === webhookId;
+
+        return (
+          <div key={webhook.id} className={`rule-target ${target ? 'selected' : ''} ${target && !target.enabled ? 'paused' : ''}`}>
+            <label className="rule-target-name">
+              <input
+                type="checkbox"
+                checked={!!target}
+                onChange={() => toggleWebhook(webhookId)}
+              />
+              {webhook.name}
+              {isPrimary && <span className="rule-target-badge">primary</span>}
+            </label>
+
+            {target && (
+              <div className="rule-target-options">
+                <select
+                  aria-label={`Template for ${webhook.name}`}
+                  value={target.template_mode || ''}
+                  onChange={(e) => updateTarget(webhookId, {
+                    template_mode: (e.target.value || null) as RuleTarget['template_mode'],
+                    custom_template: e.target.value === 'custom' ? target.custom_template || '' : null,
+                  })}
+                >
+                  {TEMPLATE_OVERRIDES.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <label className="rule-target-enabled">
+                  <input
+                    type="checkbox"
+                    checked={target.enabled}
+                    onChange={(e) => updateTarget(webhookId, { enabled: e.target.checked })}
+                  />
+                  Enabled
+                </label>
+              </div>
+            )}
+
+            {target?.template_mode === 'custom' && (
+              <textarea
+                className="rule-target-template"
+                aria-label={`Custom template for ${webhook.name}`}
+                rows={3}
+                value={target.custom_template || ''}
+                onChange={(e) => updateTarget(webhookId, { custom_template: e.target.value })}
+                placeholder="{{deal.title}} was won by {{user.name}}"
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/** Webhook used as the rule's target_webhook_id: the first enabled target, else the first target */
+export const primaryTargetId = (targets: RuleTarget[]): number | undefined =>
+  (targets.find(target => target.enabled) || targets[0])?.webhook_id;
+
+export default RuleTargetsEditor;
@@ -3,16 +3,21 @@ import {
   useScheduledReports, 
   useCreateScheduledReport, 
   useUpdateScheduledReport, 
-  useDeleteScheduledReport 
+  useDeleteScheduledReport,
+  useReportHistory,
+  useSendReportNow
 } from '../hooks/useQueries';
 import './ScheduledReports.css';
 
 interface ScheduledReport {
-  id: string;
+  id: number;
   name: string;
-  type: 'executive_summary' | 'technical_deep_dive' | 'performance_analysis' | 'security_assessment' | 'capacity_planning';
+  type: 'executive_summary' | 'technical_deep_dive';
   frequency: 'daily' | 'weekly' | 'monthly';
   recipients: string[];
+  webhookId: number | null;
+  webhookName: string | null;
+  sendHour: number;
   enabled: boolean;
   lastRun?: string;
   nextRun?: string;
@@ -24,10 +29,54 @@ interface NewReport {
   type: string;
   frequency: string;
   recipients: string[];
+  webhookId: number | null;
+  sendHour: number;
   enabled: boolean;
 }
 
-const ScheduledReports: React.FC = () => {
+interface ReportDelivery {
+  id: number;
+  delivery_method: 'email' | 'webhook';
+  delivery_status: 'sent' | 'delivered' | 'failed';
+  recipient: string;
+  error_message: string | null;
+  last_attempt: string;
+}
+
+interface ScheduledReportsProps {
+  webhooks: Array<{ id: string; name: string }>;
+}
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const formatHour = (hour: number) => `${hour.toString().padStart(2, '0')}:00`;
+
+/**
+ * Delivery history of one report: one row per Chat webhook or email recipient and run
+ */
+const ReportHistory: React.FC<{ reportId: number }> = ({ reportId }) => {
+  const { data: deliveries = [], isLoading, error } = useReportHistory(reportId, true);
+
+  if (isLoading) return <p className="report-history-empty">Loading history...</p>;
+  if (error) return <p className="report-history-empty">{error instanceof Error ? error.message : 'Failed to load history'}</p>;
+  if (deliveries.length === 0) return <p className="report-history-empty">Not sent yet.</p>;
+
+  return (
+    <ul className="report-history">
+      {deliveries.map((delivery: ReportDelivery) => (
+        <li key={delivery.id} className={delivery.delivery_status === 'failed' ? 'failed' : ''}>
+          <span className="report-history-time">{new Date(delivery.last_attempt).toLocaleString()}</span>
+          <span>{delivery.delivery_method === 'email' ? '✉️' : '💬'} {delivery.recipient}</span>
+          <span className="report-history-status">
+            {delivery.delivery_status === 'failed' ? `Failed: ${delivery.error_message}` : delivery.delivery_status}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const ScheduledReports: React.FC<ScheduledReportsProps> = ({ webhooks }) => {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingReport, setEditingReport] = useState<ScheduledReport | null>(null);
   const [newReport, setNewReport] = useState<NewReport>({
@@ -35,22 +84,25 @@ const ScheduledReports: React.FC = () => {
     type: 'executive_summary',
     frequency: 'weekly',
     recipients: [],
+    webhookId: null,
+    sendHour: 8,
     enabled: true
   });
   const [recipientInput, setRecipientInput] = useState('');
+  const [historyId, setHistoryId] = useState<number | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
 
   // React Query hooks
-  const { data: reports = [], isLoading, refetch } = useScheduledReports();
+  const { data: reports = [], isLoading } = useScheduledReports();
   const createReportMutation = useCreateScheduledReport();
   const updateReportMutation = useUpdateScheduledReport();
   const deleteReportMutation = useDeleteScheduledReport();
+  const sendReportMutation = useSendReportNow();
 
   const reportTypes = [
-    { value: 'executive_summary', label: 'Executive Summary', icon: '📊', description: 'High-level overview for management' },
-    { value: 'technical_deep_dive', label: 'Technical Deep Dive', icon: '🔧', description: 'Detailed analysis for engineering teams' },
-    { value: 'performance_analysis', label: 'Performance Analysis', icon: '⚡', description: 'System performance metrics and insights' },
-    { value: 'security_assessment', label: 'Security Assessment', icon: '🔒', description: 'Security posture and vulnerability analysis' },
-    { value: 'capacity_planning', label: 'Capacity Planning', icon: '📈', description: 'Resource usage and scaling recommendations' }
+    { value: 'executive_summary', label: 'Executive Summary', icon: '📊', description: 'Notification volume, delivery rate and busiest rules' },
+    { value: 'technical_deep_dive', label: 'Technical Deep Dive', icon: '🔧', description: 'Adds per-channel delivery, response times and dead letters' }
   ];
 
   const frequencies = [
@@ -61,29 +113,43 @@ const ScheduledReports: React.FC = () => {
 
   const handleCreateReport = async () => {
     try {
+      setErrorMessage(null);
       await createReportMutation.mutateAsync(newReport);
       resetForm();
     } catch (error) {
-      console.error('Failed to create scheduled report:', error);
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to create scheduled report');
     }
   };
 
-  const handleUpdateReport = async (reportId: string, updates: Partial<ScheduledReport>) => {
+  const handleUpdateReport = async (reportId: number, updates: Partial<ScheduledReport>) => {
     try {
+      setErrorMessage(null);
       await updateReportMutation.mutateAsync({ id: reportId, updates });
       setEditingReport(null);
     } catch (error) {
-      console.error('Failed to update scheduled report:', error);
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to update scheduled report');
     }
   };
 
-  const handleDeleteReport = async (reportId: string) => {
+  const handleDeleteReport = async (reportId: number) => {
     if (!window.confirm('Are you sure you want to delete this scheduled report?')) return;
 
     try {
+      setErrorMessage(null);
       await deleteReportMutation.mutateAsync(reportId);
     } catch (error) {
-      console.error('Failed to delete scheduled report:', error);
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to delete scheduled report');
+    }
+  };
+
+  const handleSendNow = async (report: ScheduledReport) => {
+    try {
+      setErrorMessage(null);
+      const result = await sendReportMutation.mutateAsync(report.id);
+      setNotice(`"${report.name}" sent: ${result.delivered} delivered` + (result.failed > 0 ? `, ${result.failed} failed` : ''));
+      setHistoryId(report.id);
+    } catch (error) {
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to send report');
     }
   };
 
@@ -92,11 +158,14 @@ const ScheduledReports: React.FC = () => {
   };
 
   const addRecipient = () => {
-    if (recipientInput.trim() && !newReport.recipients.includes(recipientInput.trim())) {
-      setNewReport(prev => ({
-        ...prev,
-        recipients: [...prev.recipients, recipientInput.trim()]
-      }));
+    const email = recipientInput.trim();
+    const current = editingReport ? editingReport.recipients : newReport.recipients;
+    if (email && !current.includes(email)) {
+      if (editingReport) {
+        setEditingReport({ ...editingReport, recipients: [...current, email] });
+      } else {
+        setNewReport(prev => ({ ...prev, recipients: [...prev.recipients, email] }));
+      }
       setRecipientInput('');
     }
   };
@@ -114,12 +183,23 @@ const ScheduledReports: React.FC = () => {
       type: 'executive_summary',
       frequency: 'weekly',
       recipients: [],
+      webhookId: null,
+      sendHour: 8,
       enabled: true
     });
     setRecipientInput('');
     setShowCreateForm(false);
   };
 
+  const formReport = editingReport || newReport;
+  const updateForm = (updates: Partial<NewReport>) => {
+    if (editingReport) {
+      setEditingReport({ ...editingReport, ...updates } as ScheduledReport);
+    } else {
+      setNewReport({ ...newReport, ...updates });
+    }
+  };
+
   const getReportTypeInfo = (type: string) => {
     return reportTypes.find(rt => rt.value === type) || reportTypes[0];
   };
@@ -148,7 +228,7 @@ const ScheduledReports: React.FC = () => {
       <div className="reports-header">
         <div className="header-content">
           <h2>📊 Scheduled Reports</h2>
-          <p>Automate report generation and delivery to keep your team informed</p>
+          <p>Send delivery reports to a Chat channel or by email, at a set hour in your timezone</p>
         </div>
         <button
           onClick={() => setShowCreateForm(true)}
@@ -158,6 +238,9 @@ const ScheduledReports: React.FC = () => {
         </button>
       </div>
 
+      {errorMessage && <div className="reports-error" role="alert">{errorMessage}</div>}
+      {notice && <div className="reports-notice" role="status">{notice}</div>}
+
       {/* Reports List */}
       <div className="reports-list">
         {reports.length === 0 ? (
@@ -191,6 +274,22 @@ const ScheduledReports: React.FC = () => {
                     <p className="report-description">{typeInfo.description}</p>
                   </div>
                   <div className="report-actions">
+                    <button
+                      onClick={() => handleSendNow(report)}
+                      className="send-btn"
+                      title="Send now"
+                      disabled={sendReportMutation.isPending}
+                    >
+                      📤
+                    </button>
+                    <button
+                      onClick={() => setHistoryId(historyId === report.id ? null : report.id)}
+                      className="history-btn"
+                      title="Delivery history"
+                      aria-expanded={historyId === report.id}
+                    >
+                      🕘
+                    </button>
                     <button
                       onClick={() => handleToggleReport(report)}
                       className={`toggle-btn ${report.enabled ? 'active' : 'inactive'}`}
@@ -222,6 +321,14 @@ const ScheduledReports: React.FC = () => {
                       {frequencyInfo.icon} {frequencyInfo.label}
                     </span>
                   </div>
+                  <div className="detail-item">
+                    <span className="detail-label">Sends at:</span>
+                    <span className="detail-value">{formatHour(report.sendHour)} (your timezone)</span>
+                  </div>
+                  <div className="detail-item">
+                    <span className="detail-label">Chat:</span>
+                    <span className="detail-value">{report.webhookName || '—'}</span>
+                  </div>
                   <div className="detail-item">
                     <span className="detail-label">Recipients:</span>
                     <span className="detail-value">{report.recipients.length} recipients</span>
@@ -245,6 +352,8 @@ const ScheduledReports: React.FC = () => {
                     <span key={email} className="recipient-tag">{email}</span>
                   ))}
                 </div>
+
+                {historyId === report.id && <ReportHistory reportId={report.id} />}
               </div>
             );
           })
@@ -336,7 +445,36 @@ const ScheduledReports: React.FC = () => {
               </div>
 
               <div className="form-group">
-                <label>Recipients</label>
+                <label htmlFor="report-send-hour">Send At</label>
+                <select
+                  id="report-send-hour"
+                  value={formReport.sendHour}
+                  onChange={e => updateForm({ sendHour: Number(e.target.value) })}
+                  className="form-input"
+                >
+                  {HOURS.map(hour => (
+                    <option key={hour} value={hour}>{formatHour(hour)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="report-webhook">Chat Webhook</label>
+                <select
+                  id="report-webhook"
+                  value={formReport.webhookId ?? ''}
+                  onChange={e => updateForm({ webhookId: e.target.value ? Number(e.target.value) : null })}
+                  className="form-input"
+                >
+                  <option value="">Don't post to Chat</option>
+                  {webhooks.map(webhook => (
+                    <option key={webhook.id} value={webhook.id}>{webhook.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>Email Recipients</label>
                 <div className="recipients-input">
                   <input
                     type="email"
@@ -391,10 +529,7 @@ const ScheduledReports: React.FC = () => {
                   }
                 }}
                 className="save-btn"
-                disabled={
-                  !(editingReport ? editingReport.name : newReport.name) ||
-                  (editingReport ? editingReport.recipients : newReport.recipients).length === 0
-                }
+                disabled={!formReport.name || (formReport.recipients.length === 0 && formReport.webhookId === null)}
               >
                 {editingReport ? 'Update Report' : 'Schedule Report'}
               </button>
@@ -3,30 +3,70 @@ import { API_BASE_URL } from '../config/api';
 import { getTenantId, getAuthToken } from '../utils/auth';
 import './TeamPerformance.css';
 
-interface TeamPerformanceData {
-  total_notifications: number;
-  active_days: number;
-  avg_response_time: number;
-  productivity_score: number;
-  period_start: string;
-  period_end: string;
+interface SalesSummary {
+  deals_created: number;
+  won: number;
+  lost: number;
+  win_rate: number | null;
+  won_value: number;
+  avg_deal_size: number | null;
+  avg_cycle_days: number | null;
+  currency: string | null;
 }
 
-interface BenchmarkData {
-  avg_response_time: number;
-  conversion_rate: number;
-  deals_per_month: number;
-  avg_deal_size: number;
-  source: string;
+interface StageMetrics {
+  id: number;
+  name: string;
+  order: number;
+  reached: number;
+  conversion_rate: number | null;
+  exits: number;
+  avg_days_in_stage: number | null;
+  median_days_in_stage: number | null;
+}
+
+interface PipelineMetrics {
+  id: number;
+  name: string;
+  deals: number;
+  won: number;
+  stages: StageMetrics[];
+}
+
+interface OwnerMetrics {
+  owner_id: number;
+  name: string;
+  deals_created: number;
+  won: number;
+  lost: number;
+  win_rate: number | null;
+  won_value: number;
+  avg_cycle_days: number | null;
+}
+
+interface SalesMetrics {
+  period: string;
+  period_start: string;
+  period_end: string;
+  data_since: string | null;
+  summary: SalesSummary;
+  previous: SalesSummary;
+  pipelines: PipelineMetrics[];
+  owners: OwnerMetrics[];
 }
 
 interface TeamPerformanceProps {
   refreshToken?: number;
 }
 
+const PERIOD_LABELS: Record<string, string> = {
+  '7d': 'Past 7 days',
+  '30d': 'Past 30 days',
+  '90d': 'Past 90 days'
+};
+
 const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
-  const [performance, setPerformance] = useState<TeamPerformanceData | null>(null);
-  const [benchmarks, setBenchmarks] = useState<BenchmarkData | null>(null);
+  const [performance, setPerformance] = useState<SalesMetrics | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [period, setPeriod] = useState('30d');
@@ -46,10 +86,10 @@ const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
     try {
       setIsLoading(true);
       setError(null);
-      
+
       const tenantId = getTenantId();
       const token = getAuthToken();
-      
+
       if (!tenantId || !token) {
         throw new Error('Authentication required');
       }
@@ -69,10 +109,9 @@ const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
       }
 
       const data = await response.json();
-      
+
       if (data.success) {
         setPerformance(data.performance);
-        setBenchmarks(data.benchmarks);
       } else {
         throw new Error(data.error || 'Failed to fetch team performance');
       }
@@ -84,31 +123,38 @@ const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
     }
   };
 
-  const getPerformanceGrade = (score: number) => {
-    if (score >= 90) return { grade: 'A+', color: '#10b981', label: 'Excellent' };
-    if (score >= 80) return { grade: 'A', color: '#059669', label: 'Great' };
-    if (score >= 70) return { grade: 'B', color: '#f59e0b', label: 'Good' };
-    if (score >= 60) return { grade: 'C', color: '#ef4444', label: 'Needs Improvement' };
-    return { grade: 'F', color: '#dc2626', label: 'Poor' };
+  const formatPercent = (rate: number | null) =>
+    rate === null ? '—' : `${Math.round(rate * 100)}%`;
+
+  const formatDays = (days: number | null) =>
+    days === null ? '—' : `${days} ${days === 1 ? 'day' : 'days'}`;
+
+  const formatAmount = (amount: number, currency: string | null) => {
+    if (currency && /^[A-Z]{3}$/.test(currency)) {
+      return amount.toLocaleString(undefined, { style: 'currency', currency, maximumFractionDigits: 0 });
+    }
+    return amount.toLocaleString(undefined, { maximumFractionDigits: 0 });
   };
 
-  const getBenchmarkComparison = (value: number, benchmark: number, isLower = false) => {
-    // Safety checks for invalid benchmark values
-    if (!benchmark || benchmark <= 0 || !isFinite(benchmark) || !isFinite(value)) {
-      return { status: 'on-par', text: 'No benchmark available' };
+  // Change against the previous period of the same length; lowerIsBetter for cycle time
+  const getComparison = (current: number | null, previous: number | null, lowerIsBetter = false) => {
+    if (current === null || previous === null) {
+      return { status: 'on-par', text: 'No previous period data' };
     }
-    
-    const diff = isLower ? benchmark - value : value - benchmark;
-    const percentage = (diff / benchmark) * 100;
-    
-    // Additional safety check for percentage calculation
-    if (!isFinite(percentage)) {
-      return { status: 'on-par', text: 'No benchmark available' };
+    if (previous === 0) {
+      return current === 0
+        ? { status: 'on-par', text: 'Same as previous period' }
+        : { status: lowerIsBetter ? 'below' : 'above', text: 'New this period' };
     }
-    
-    if (Math.abs(percentage) < 5) return { status: 'on-par', text: 'On par with industry' };
-    if (isLower ? percentage > 0 : percentage > 0) return { status: 'above', text: `${Math.abs(percentage).toFixed(0)}% above industry` };
-    return { status: 'below', text: `${Math.abs(percentage).toFixed(0)}% below industry` };
+
+    const percentage = ((current - previous) / previous) * 100;
+    if (Math.abs(percentage) < 5) return { status: 'on-par', text: 'On par with previous period' };
+
+    const improved = lowerIsBetter ? percentage < 0 : percentage > 0;
+    return {
+      status: improved ? 'above' : 'below',
+      text: `${Math.abs(percentage).toFixed(0)}% ${percentage > 0 ? 'up' : 'down'} vs previous period`
+    };
   };
 
   if (isLoading) {
@@ -137,9 +183,13 @@ const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
     );
   }
 
-  if (!performance || !benchmarks) return null;
+  if (!performance) return null;
 
-  const performanceGrade = getPerformanceGrade(performance.productivity_score);
+  const { summary, previous, pipelines, owners } = performance;
+  const winRateComparison = getComparison(summary.win_rate, previous.win_rate);
+  const wonComparison = getComparison(summary.won, previous.won);
+  const cycleComparison = getComparison(summary.avg_cycle_days, previous.avg_cycle_days, true);
+  const createdComparison = getComparison(summary.deals_created, previous.deals_created);
 
   return (
     <div className="team-performance">
@@ -147,12 +197,15 @@ const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
       <div className="performance-header">
         <div className="header-content">
           <h3>👥 Team Performance</h3>
-          <p>Performance metrics, benchmarks, and actionable insights</p>
+          <p>
+            Win rate, deal cycle, stage conversion and owner results from your Pipedrive deal events
+            {performance.data_since && ` (recorded since ${new Date(performance.data_since).toLocaleDateString()})`}
+          </p>
         </div>
-        
+
         <div className="period-selector">
-          <select 
-            value={period} 
+          <select
+            value={period}
             onChange={(e) => setPeriod(e.target.value)}
           >
             <option value="7d">Last 7 Days</option>
@@ -162,173 +215,163 @@ const TeamPerformance: React.FC<TeamPerformanceProps> = ({ refreshToken }) => {
         </div>
       </div>
 
-      {/* Overall Score */}
-      <div className="overall-score">
-        <div className="score-card">
-          <div className="score-display">
-            <div 
-              className="score-grade"
-              style={{ color: performanceGrade.color }}
-            >
-              {performanceGrade.grade}
-            </div>
-            <div className="score-details">
-              <div className="score-number">{performance.productivity_score}/100</div>
-              <div className="score-label">{performanceGrade.label}</div>
-            </div>
-          </div>
-          
-          <div className="score-description">
-            <h4>Productivity Score</h4>
-            <p>Based on notification volume, response times, and activity consistency</p>
-          </div>
+      {!performance.data_since ? (
+        <div className="performance-empty">
+          <div className="error-icon">📭</div>
+          <h4>No deal activity recorded yet</h4>
+          <p>Pipeline analytics start with the next deal webhook from Pipedrive. Create, move or close a deal to see results here.</p>
         </div>
-      </div>
-
-      {/* Performance Metrics */}
-      <div className="performance-metrics">
-        <h4>📊 Key Performance Indicators</h4>
-        
-        <div className="metrics-grid">
-          <div className="metric-card">
-            <div className="metric-header">
-              <span className="metric-icon">📧</span>
-              <h5>Total Notifications</h5>
-            </div>
-            <div className="metric-value">{performance.total_notifications.toLocaleString()}</div>
-            <div className="metric-period">Past {period === '7d' ? '7 days' : period === '30d' ? '30 days' : '90 days'}</div>
-          </div>
-
-          <div className="metric-card">
-            <div className="metric-header">
-              <span className="metric-icon">📅</span>
-              <h5>Active Days</h5>
-            </div>
-            <div className="metric-value">{performance.active_days}</div>
-            <div className="metric-subtext">
-              {Math.round((performance.active_days / (period === '7d' ? 7 : period === '30d' ? 30 : 90)) * 100)}% engagement
-            </div>
-          </div>
+      ) : (
+        <>
+          {/* Performance Metrics */}
+          <div className="performance-metrics">
+            <h4>📊 Key Performance Indicators</h4>
 
-          <div className="metric-card">
-            <div className="metric-header">
-              <span className="metric-icon">⏱️</span>
-              <h5>Avg Response Time</h5>
-            </div>
-            <div className="metric-value">{performance.avg_response_time} min</div>
-            <div className={`benchmark-comparison ${getBenchmarkComparison(performance.avg_response_time, benchmarks.avg_response_time * 60, true).status}`}>
-              {getBenchmarkComparison(performance.avg_response_time, benchmarks.avg_response_time * 60, true).text}
-            </div>
-          </div>
+            <div className="metrics-grid">
+              <div className="metric-card">
+                <div className="metric-header">
+                  <span className="metric-icon">🎯</span>
+                  <h5>Win Rate</h5>
+                </div>
+                <div className="metric-value">{formatPercent(summary.win_rate)}</div>
+                <div className="metric-subtext">{summary.won} won, {summary.lost} lost</div>
+                <div className={`benchmark-comparison ${winRateComparison.status}`}>
+                  {winRateComparison.text}
+                </div>
+              </div>
 
-          <div className="metric-card">
-            <div className="metric-header">
-              <span className="metric-icon">⚡</span>
-              <h5>Daily Average</h5>
-            </div>
-            <div className="metric-value">
-              {Math.round(performance.total_notifications / performance.active_days)}
-            </div>
-            <div className="metric-subtext">notifications per active day</div>
-          </div>
-        </div>
-      </div>
+              <div className="metric-card">
+                <div className="metric-header">
+                  <span className="metric-icon">🏆</span>
+                  <h5>Deals Won</h5>
+                </div>
+                <div className="metric-value">{summary.won.toLocaleString()}</div>
+                <div className="metric-subtext">
+                  {formatAmount(summary.won_value, summary.currency)}
+                  {summary.avg_deal_size !== null && ` · avg ${formatAmount(summary.avg_deal_size, summary.currency)}`}
+                </div>
+                <div className={`benchmark-comparison ${wonComparison.status}`}>
+                  {wonComparison.text}
+                </div>
+              </div>
 
-      {/* Benchmark Comparison */}
-      <div className="benchmark-section">
-        <h4>🏆 Industry Benchmarks</h4>
-        
-        <div className="benchmark-cards">
-          <div className="benchmark-card">
-            <div className="benchmark-header">
-              <h5>Response Time</h5>
-              <span className="benchmark-source">{benchmarks.source}</span>
-            </div>
-            
-            <div className="benchmark-comparison-detailed">
-              <div className="benchmark-bar">
-                <div className="your-performance" style={{ width: '75%' }}>
-                  <span>Your Team: {performance.avg_response_time} min</span>
+              <div className="metric-card">
+                <div className="metric-header">
+                  <span className="metric-icon">⏱️</span>
+                  <h5>Avg Deal Cycle</h5>
                 </div>
-                <div className="industry-benchmark">
-                  <span>Industry: {benchmarks.avg_response_time} hrs</span>
+                <div className="metric-value">{formatDays(summary.avg_cycle_days)}</div>
+                <div className="metric-subtext">from deal created to won</div>
+                <div className={`benchmark-comparison ${cycleComparison.status}`}>
+                  {cycleComparison.text}
                 </div>
               </div>
-              
-              <div className={`performance-verdict ${performance.avg_response_time < benchmarks.avg_response_time * 60 ? 'positive' : 'negative'}`}>
-                {performance.avg_response_time < benchmarks.avg_response_time * 60 ? 
-                  '🎉 Faster than industry average!' : 
-                  '⚠️ Room for improvement'}
+
+              <div className="metric-card">
+                <div className="metric-header">
+                  <span className="metric-icon">🆕</span>
+                  <h5>Deals Created</h5>
+                </div>
+                <div className="metric-value">{summary.deals_created.toLocaleString()}</div>
+                <div className="metric-period">{PERIOD_LABELS[performance.period] || performance.period}</div>
+                <div className={`benchmark-comparison ${createdComparison.status}`}>
+                  {createdComparison.text}
+                </div>
               </div>
             </div>
           </div>
-        </div>
-      </div>
 
-      {/* Performance Insights */}
-      <div className="performance-insights">
-        <h4>💡 Performance Insights</h4>
-        
-        <div className="insights-grid">
-          <div className="insight-card positive">
-            <div className="insight-icon">✅</div>
-            <div className="insight-content">
-              <h5>Strengths</h5>
-              <ul>
-                <li>Excellent response time vs industry benchmark</li>
-                <li>Consistent daily engagement patterns</li>
-                <li>High notification processing volume</li>
-              </ul>
-            </div>
-          </div>
+          {/* Stage Funnel */}
+          <div className="performance-funnel">
+            <h4>🔻 Stage Conversion</h4>
 
-          <div className="insight-card improvement">
-            <div className="insight-icon">🎯</div>
-            <div className="insight-content">
-              <h5>Improvement Opportunities</h5>
-              <ul>
-                <li>Increase active days for higher consistency</li>
-                <li>Focus on quality over quantity metrics</li>
-                <li>Implement automated follow-up systems</li>
-              </ul>
-            </div>
-          </div>
+            {pipelines.length === 0 ? (
+              <p className="section-empty">No deals moved through a pipeline in this period.</p>
+            ) : (
+              pipelines.map(pipeline => {
+                const maxReached = Math.max(1, ...pipeline.stages.map(stage => stage.reached));
+                return (
+                  <div key={pipeline.id} className="funnel-card">
+                    <div className="funnel-header">
+                      <h5>{pipeline.name}</h5>
+                      <span className="metric-subtext">{pipeline.deals} deals, {pipeline.won} won</span>
+                    </div>
 
-          <div className="insight-card recommendations">
-            <div className="insight-icon">🚀</div>
-            <div className="insight-content">
-              <h5>Recommended Actions</h5>
-              <ul>
-                <li>Set up performance dashboards for real-time monitoring</li>
-                <li>Implement notification templates for faster responses</li>
-                <li>Schedule regular performance review sessions</li>
-              </ul>
-            </div>
+                    <table className="performance-table">
+                      <thead>
+                        <tr>
+                          <th>Stage</th>
+                          <th>Reached</th>
+                          <th>Conversion</th>
+                          <th>Avg time in stage</th>
+                          <th>Median</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pipeline.stages.map(stage => (
+                          <tr key={stage.id}>
+                            <td>{stage.name}</td>
+                            <td>
+                              <div className="funnel-bar">
+                                <div
+                                  className="funnel-bar-fill"
+                                  style={{ width: `${(stage.reached / maxReached) * 100}%` }}
+                                />
+                                <span>{stage.reached}</span>
+                              </div>
+                            </td>
+                            <td>{formatPercent(stage.conversion_rate)}</td>
+                            <td>{formatDays(stage.avg_days_in_stage)}</td>
+                            <td>{formatDays(stage.median_days_in_stage)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              })
+            )}
           </div>
-        </div>
-      </div>
 
-      {/* Performance Trends */}
-      <div className="performance-trends">
-        <h4>📈 Performance Trends</h4>
-        
-        <div className="trends-summary">
-          <div className="trend-item">
-            <span className="trend-label">Weekly Growth:</span>
-            <span className="trend-value positive">+12%</span>
-          </div>
-          <div className="trend-item">
-            <span className="trend-label">Monthly Growth:</span>
-            <span className="trend-value positive">+8%</span>
-          </div>
-          <div className="trend-item">
-            <span className="trend-label">Efficiency Trend:</span>
-            <span className="trend-value positive">↗️ Improving</span>
+          {/* Owner Leaderboard */}
+          <div className="performance-owners">
+            <h4>🏅 Owner Leaderboard</h4>
+
+            {owners.length === 0 ? (
+              <p className="section-empty">No deals created or closed in this period.</p>
+            ) : (
+              <table className="performance-table">
+                <thead>
+                  <tr>
+                    <th>Owner</th>
+                    <th>Created</th>
+                    <th>Won</th>
+                    <th>Lost</th>
+                    <th>Win rate</th>
+                    <th>Won value</th>
+                    <th>Avg cycle</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {owners.map(owner => (
+                    <tr key={owner.owner_id}>
+                      <td>{owner.name}</td>
+                      <td>{owner.deals_created}</td>
+                      <td>{owner.won}</td>
+                      <td>{owner.lost}</td>
+                      <td>{formatPercent(owner.win_rate)}</td>
+                      <td>{formatAmount(owner.won_value, summary.currency)}</td>
+                      <td>{formatDays(owner.avg_cycle_days)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
-        </div>
-      </div>
+        </>
+      )}
     </div>
   );
 };
 
-export default TeamPerformance;
\ No newline at end of file
+export default TeamPerformance;
@@ -1,6 +1,8 @@
 import { API_BASE_URL } from '../config/api';
 import React, { useState, useEffect } from 'react';
 import { usePlanFeatures } from '../hooks/usePlanFeatures';
+import apiService from '../services/api';
+import type { TemplateDiagnostic } from '../services/api';
 import './TemplateEditor.css';
 
 interface TemplateVariables {
@@ -25,6 +27,7 @@ const TemplateEditor: React.FC<TemplateEditorProps> = ({ value, onChange, eventT
   const [availableVariables, setAvailableVariables] = useState<TemplateVariables>({});
   const [defaultTemplates, setDefaultTemplates] = useState<{[key: string]: string}>({});
   const [previewData, setPreviewData] = useState<string>('');
+  const [diagnostics, setDiagnostics] = useState<TemplateDiagnostic[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [activeVariableCategory, setActiveVariableCategory] = useState<string>('deal');
   
@@ -35,8 +38,22 @@ const TemplateEditor: React.FC<TemplateEditorProps> = ({ value, onChange, eventT
   }, []);
 
   useEffect(() => {
-    generatePreview();
-  }, [value, eventType]);
+    let cancelled = false;
+
+    // Debounce so typing in the custom template does not fire a request per keystroke
+    const timer = setTimeout(async () => {
+      const result = await generatePreview();
+      if (!cancelled) {
+        setPreviewData(result.preview);
+        setDiagnostics(result.diagnostics);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value.template_mode, value.custom_template, eventType]);
 
   const loadTemplateData = async () => {
     try {
@@ -60,100 +77,29 @@ const TemplateEditor: React.FC<TemplateEditorProps> = ({ value, onChange, eventT
     setIsLoading(false);
   };
 
-  const generatePreview = async () => {
+  // Render the preview on the server with the same template engine used for live notifications
+  const generatePreview = async (): Promise<{ preview: string; diagnostics: TemplateDiagnostic[] }> => {
+    if (value.template_mode === 'custom' && !value.custom_template) {
+      return { preview: 'No template available', diagnostics: [] };
+    }
+
     try {
-      const templateToPreview = value.template_mode === 'custom' 
-        ? value.custom_template 
-        : generateTemplateByMode(value.template_mode, eventType);
-
-      // Generate preview with mock data
-      const mockWebhookData = {
-        event: eventType,
-        current: {
-          id: 123,
-          title: 'Sample Deal - ACME Corp Integration',
-          value: 25000,
-          currency: 'USD',
-          stage_name: eventType === 'deal.won' ? 'Won' : 'Proposal Made',
-          status: eventType === 'deal.won' ? 'won' : 'open',
-          probability: eventType === 'deal.won' ? 100 : 75,
-          expected_close_date: '2024-12-31',
-          owner_name: 'John Smith',
-          add_time: '2024-01-15T10:30:00Z',
-          stage_change_time: '2024-01-20T14:20:00Z'
-        },
-        user: {
-          name: 'John Smith',
-          email: 'john@company.com'
-        },
-        company_id: 12345,
-        company_domain: 'your-company'
-      };
+      const result = await apiService.previewTemplate({
+        event_type: eventType,
+        template_mode: value.template_mode,
+        custom_template: value.template_mode === 'custom' ? value.custom_template : null
+      });
 
-      const preview = processTemplateMock(templateToPreview || 'No template available', mockWebhookData);
-      setPreviewData(preview);
+      return {
+        preview: result.preview || '',
+        diagnostics: result.validation?.details || []
+      };
     } catch (error) {
-      setPreviewData('Error generating preview');
+      console.error('Error generating template preview:', error);
+      return { preview: 'Preview unavailable - could not reach the server', diagnostics: [] };
     }
   };
 
-  // Generate template based on mode
-  const generateTemplateByMode = (mode: string, eventType: string): string => {
-    const baseEvent = eventType.includes('deal') ? 'deal' : 'activity';
-    
-    switch (mode) {
-      case 'simple':
-        return baseEvent === 'deal' 
-          ? `{deal.title} - {deal.stage}`
-          : `{activity.subject} - {activity.type}`;
-          
-      case 'compact':
-        return baseEvent === 'deal' 
-          ? eventType === 'deal.won' 
-            ? `🎉 Deal Won!\n📋 {deal.title}\n💰 {deal.value} 🏆\n👤 {deal.owner_name}`
-            : `📋 {deal.title}\n💰 {deal.value} | 🎯 {deal.stage}\n👤 {deal.owner_name}`
-          : `📅 {activity.subject}\n📝 {activity.type} | ⏰ {activity.due_date}\n👤 {activity.owner_name}`;
-          
-      case 'detailed':
-        return baseEvent === 'deal' 
-          ? `🎯 Deal Update: {deal.title}\n\n💰 Value: {deal.value}\n🎯 Stage: {deal.stage}\n📊 Probability: {deal.probability}\n👤 Owner: {deal.owner_name}\n📅 Updated: {event.timestamp}\n\n[View Deal]({deal.url})`
-          : `📅 Activity: {activity.subject}\n\n📝 Type: {activity.type}\n⏰ Due: {activity.due_date} at {activity.due_time}\n📋 Note: {activity.note}\n👤 Owner: {activity.owner_name}\n\n[View Activity]({activity.url})`;
-          
-      default:
-        return defaultTemplates[eventType] || defaultTemplates['deal.updated'] || 'No template available';
-    }
-  };
-
-  // Mock template processing for preview
-  const processTemplateMock = (template: string, data: any): string => {
-    let processed = template;
-    
-    // Replace common variables with mock data
-    const replacements: {[key: string]: string} = {
-      '{deal.title}': data.current?.title || 'Sample Deal',
-      '{deal.value}': `$${(data.current?.value || 0).toLocaleString()}`,
-      '{deal.currency}': data.current?.currency || 'USD',
-      '{deal.stage}': data.current?.stage_name || 'Qualified',
-      '{deal.status}': data.current?.status || 'open',
-      '{deal.probability}': `${data.current?.probability || 50}%`,
-      '{deal.owner_name}': data.current?.owner_name || 'John Smith',
-      '{event.timestamp}': new Date().toLocaleString(),
-      '{deal.url}': `https://${data.company_domain || 'app'}.pipedrive.com/deal/${data.current?.id || 123}`,
-      '{user.name}': data.user?.name || 'John Smith',
-      '{person.name}': 'Jane Doe',
-      '{person.company}': 'ACME Corporation',
-      '{activity.subject}': 'Follow-up call',
-      '{activity.type}': 'Call',
-      '{org.name}': 'ACME Corporation'
-    };
-
-    Object.entries(replacements).forEach(([variable, value]) => {
-      processed = processed.replace(new RegExp(variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value);
-    });
-
-    return processed;
-  };
-
   const handleTemplateChange = (newTemplateMode: TemplateData['template_mode']) => {
     // Prevent changing to custom mode if feature is not available
     if (newTemplateMode === 'custom' && !hasCustomTemplates) {
@@ -190,13 +136,13 @@ const TemplateEditor: React.FC<TemplateEditorProps> = ({ value, onChange, eventT
     const start = textarea.selectionStart;
     const end = textarea.selectionEnd;
     const currentTemplate = value.custom_template || '';
-    const newTemplate = currentTemplate.substring(0, start) + `{${variable}}` + currentTemplate.substring(end);
+    const newTemplate = currentTemplate.substring(0, start) + `{{${variable}}}` + currentTemplate.substring(end);
     
     handleCustomTemplateChange(newTemplate);
 
     // Restore cursor position
     setTimeout(() => {
-      const newCursorPos = start + variable.length + 2;
+      const newCursorPos = start + variable.length + 4;
       textarea.setSelectionRange(newCursorPos, newCursorPos);
       textarea.focus();
     }, 0);
@@ -283,9 +229,20 @@ const TemplateEditor: React.FC<TemplateEditorProps> = ({ value, onChange, eventT
                 className="custom-template-input"
                 value={value.custom_template || ''}
                 onChange={(e) => handleCustomTemplateChange(e.target.value)}
-                placeholder="Enter your custom template using variables like {deal.title}, {deal.value}, etc."
+                placeholder='Enter your custom template using variables like {{deal.title}}, {{person.name | default:"Unknown"}} or {{#if deal.value > 10000}}...{{/if}}'
                 rows={10}
               />
+
+              {diagnostics.length > 0 && (
+                <ul className="template-diagnostics">
+                  {diagnostics.map((diagnostic, index) => (
+                    <li key={index} className={`template-diagnostic ${diagnostic.severity}`}>
+                      <span className="diagnostic-position">Line {diagnostic.line}, col {diagnostic.column}:</span>{' '}
+                      {diagnostic.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
               
               <div className="template-actions">
                 <div className="preset-templates">
@@ -425,37 +382,37 @@ const mockVariables: TemplateVariables = {
 
 const mockTemplates: {[key: string]: string} = {
   'deal.added': `🎯 New Deal Created!
-📋 **{deal.title}** 
-💰 Value: {deal.value}
-👤 Owner: {deal.owner_name}
-🎯 Stage: {deal.stage}
-📅 Created: {event.timestamp}
+📋 **{{deal.title}}** 
+💰 Value: {{deal.value}}
+👤 Owner: {{deal.owner_name}}
+🎯 Stage: {{deal.stage}}
+📅 Created: {{event.timestamp}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
-  'deal.updated': `📈 Deal Updated: {deal.title}
-💰 Value: {deal.value} 
-🎯 Stage: {deal.stage}
-📊 Probability: {deal.probability}%
-👤 Owner: {deal.owner_name}
+  'deal.updated': `📈 Deal Updated: {{deal.title}}
+💰 Value: {{deal.value}} 
+🎯 Stage: {{deal.stage}}
+📊 Probability: {{deal.probability}}%
+👤 Owner: {{deal.owner_name}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
   'deal.won': `🎉 Deal Won! 
-📋 **{deal.title}**
-💰 **{deal.value}** 🏆
-👤 Owner: {deal.owner_name}
-📅 Closed: {event.timestamp}
+📋 **{{deal.title}}**
+💰 **{{deal.value}}** 🏆
+👤 Owner: {{deal.owner_name}}
+📅 Closed: {{event.timestamp}}
 
-[View Deal]({deal.url})`,
+[View Deal]({{deal.url}})`,
 
   'deal.lost': `📉 Deal Lost
-📋 {deal.title}
-💰 Value: {deal.value}
-👤 Owner: {deal.owner_name}
-📅 Lost: {event.timestamp}
+📋 {{deal.title}}
+💰 Value: {{deal.value}}
+👤 Owner: {{deal.owner_name}}
+📅 Lost: {{event.timestamp}}
 
-[View Deal]({deal.url})`
+[View Deal]({{deal.url}})`
 };
 
 export default TemplateEditor;
\ No newline at end of file
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import './TestingSection.css';
 import { API_BASE_URL } from '../config/api';
 import { authenticatedFetch } from '../utils/auth';
+import type { NotificationRule, ReplayReport } from '../services/api';
 
 interface TestResult {
   id: number;
@@ -70,6 +71,24 @@ interface HealthTrends {
   history: HealthHistoryRecord[];
 }
 
+interface ReplayDraftForm {
+  event_type: string;
+  filters: string;
+  template_mode: string;
+  custom_template: string;
+  target_webhook_id: string;
+}
+
+const REPLAY_EVENT_TYPES = ['deal.updated', 'deal.won', 'deal.lost', 'deal.create', 'deal.added', 'deal.*', 'person.*', 'organization.*', 'activity.*', '*'];
+
+const EMPTY_REPLAY_DRAFT: ReplayDraftForm = {
+  event_type: 'deal.updated',
+  filters: '{}',
+  template_mode: 'simple',
+  custom_template: '',
+  target_webhook_id: ''
+};
+
 interface TestingSectionProps {
   onTestComplete?: (result: TestResult) => void;
 }
@@ -98,6 +117,14 @@ const TestingSection: React.FC<TestingSectionProps> = ({ onTestComplete }) => {
   const [healthTrends, setHealthTrends] = useState<HealthTrends | null>(null);
   const [isLoadingTrends, setIsLoadingTrends] = useState(false);
   const [trendsTimeRange, setTrendsTimeRange] = useState<number>(24); // hours
+
+  // What-if replay of a draft rule
+  const [rules, setRules] = useState<NotificationRule[]>([]);
+  const [replayDraft, setReplayDraft] = useState<ReplayDraftForm>(EMPTY_REPLAY_DRAFT);
+  const [replayDays, setReplayDays] = useState<number>(7);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [replayReport, setReplayReport] = useState<ReplayReport | null>(null);
+  const [replayError, setReplayError] = useState<string | null>(null);
   
   // Automated health monitoring
   const [autoMonitoring, setAutoMonitoring] = useState(true);
@@ -124,8 +151,64 @@ const TestingSection: React.FC<TestingSectionProps> = ({ onTestComplete }) => {
   // Load webhooks on component mount
   useEffect(() => {
     loadWebhooks();
+    loadRules();
   }, []);
 
+  const loadRules = async () => {
+    try {
+      const apiModule = await import('../services/api');
+      setRules(await apiModule.default.getRules());
+    } catch (error) {
+      console.error('Failed to load rules:', error);
+    }
+  };
+
+  const loadDraftFromRule = (ruleId: string) => {
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) {
+      setReplayDraft(EMPTY_REPLAY_DRAFT);
+      return;
+    }
+    setReplayDraft({
+      event_type: rule.eventType,
+      filters: JSON.stringify(rule.filters || {}, null, 2),
+      template_mode: rule.templateMode,
+      custom_template: '',
+      target_webhook_id: rule.targetWebhookId ? String(rule.targetWebhookId) : ''
+    });
+  };
+
+  const replayPeak = Math.max(...(replayReport?.by_day || []).map(day => day.matched), 1);
+
+  const runReplay = async () => {
+    let filters: Record<string, unknown>;
+    try {
+      filters = replayDraft.filters.trim() ? JSON.parse(replayDraft.filters) : {};
+    } catch {
+      setReplayError('Filters must be valid JSON');
+      return;
+    }
+
+    setIsReplaying(true);
+    setReplayError(null);
+    try {
+      const apiModule = await import('../services/api');
+      const { report } = await apiModule.default.replayDraftRule({
+        event_type: replayDraft.event_type,
+        filters,
+        template_mode: replayDraft.template_mode,
+        custom_template: replayDraft.template_mode === 'custom' ? replayDraft.custom_template : null,
+        target_webhook_id: replayDraft.target_webhook_id ? parseInt(replayDraft.target_webhook_id) : null
+      }, replayDays);
+      setReplayReport(report);
+    } catch (error) {
+      setReplayReport(null);
+      setReplayError(error instanceof Error ? error.message : 'Replay failed');
+    } finally {
+      setIsReplaying(false);
+    }
+  };
+
   const loadWebhooks = async () => {
     try {
       const apiModule = await import('../services/api');
@@ -909,6 +992,176 @@ const TestingSection: React.FC<TestingSectionProps> = ({ onTestComplete }) => {
         </div>
       </div>
 
+      {/* What-if Replay */}
+      <div className="test-card replay-card">
+        <div className="card-header">
+          <h4>🔮 What-if Replay</h4>
+          <div className="card-description">
+            See what a draft rule would have sent, replayed against your recent Pipedrive events
+          </div>
+        </div>
+
+        <div className="card-content">
+          <div className="replay-form">
+            <label>
+              Start from rule
+              <select onChange={(e) => loadDraftFromRule(e.target.value)} defaultValue="">
+                <option value="">New draft</option>
+                {rules.map(rule => (
+                  <option key={rule.id} value={rule.id}>{rule.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Event type
+              <input
+                list="replay-event-types"
+                value={replayDraft.event_type}
+                onChange={(e) => setReplayDraft({ ...replayDraft, event_type: e.target.value })}
+              />
+              <datalist id="replay-event-types">
+                {REPLAY_EVENT_TYPES.map(type => <option key={type} value={type} />)}
+              </datalist>
+            </label>
+            <label>
+              Channel
+              <select
+                value={replayDraft.target_webhook_id}
+                onChange={(e) => setReplayDraft({ ...replayDraft, target_webhook_id: e.target.value })}
+              >
+                <option value="">Smart routing</option>
+                {webhooks.map(webhook => (
+                  <option key={webhook.id} value={webhook.id}>{webhook.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Template
+              <select
+                value={replayDraft.template_mode}
+                onChange={(e) => setReplayDraft({ ...replayDraft, template_mode: e.target.value })}
+              >
+                <option value="simple">Simple</option>
+                <option value="compact">Compact</option>
+                <option value="detailed">Detailed</option>
+                <option value="card">Card</option>
+                <option value="custom">Custom</option>
+              </select>
+            </label>
+            <label>
+              Replay window
+              <select value={replayDays} onChange={(e) => setReplayDays(parseInt(e.target.value))}>
+                <option value={1}>Last 24 hours</option>
+                <option value={7}>Last 7 days</option>
+                <option value={30}>Last 30 days</option>
+                <option value={90}>Last 90 days</option>
+              </select>
+            </label>
+            <label className="replay-wide">
+              Filters (JSON)
+              <textarea
+                rows={4}
+                value={replayDraft.filters}
+                onChange={(e) => setReplayDraft({ ...replayDraft, filters: e.target.value })}
+              />
+            </label>
+            {replayDraft.template_mode === 'custom' && (
+              <label className="replay-wide">
+                Custom template
+                <textarea
+                  rows={4}
+                  value={replayDraft.custom_template}
+                  onChange={(e) => setReplayDraft({ ...replayDraft, custom_template: e.target.value })}
+                  placeholder="{{deal.title}} moved to {{deal.stage}}"
+                />
+              </label>
+            )}
+          </div>
+
+          <button
+            className={`test-button primary ${isReplaying ? 'loading' : ''}`}
+            onClick={runReplay}
+            disabled={isReplaying || !replayDraft.event_type}
+          >
+            {isReplaying ? (
+              <>
+                <span className="spinner"></span>
+                Replaying...
+              </>
+            ) : (
+              <>
+                <span className="icon">🔮</span>
+                Run What-if Report
+              </>
+            )}
+          </button>
+
+          {replayError && <div className="replay-error">{replayError}</div>}
+
+          {replayReport && (
+            <div className="replay-report">
+              <div className="replay-summary">
+                <div><strong>{replayReport.matched}</strong><span>would have been sent</span></div>
+                <div><strong>{replayReport.events_scanned}</strong><span>events replayed</span></div>
+                <div><strong>{replayReport.unrouted}</strong><span>matched without a channel</span></div>
+              </div>
+              {replayReport.truncated && (
+                <small>Only the most recent events were replayed; shorten the window for a complete count.</small>
+              )}
+              {replayReport.template_validation && !replayReport.template_validation.valid && (
+                <div className="replay-error">
+                  Template errors: {replayReport.template_validation.errors.join('; ')}
+                </div>
+              )}
+
+              <h5>📅 Per day</h5>
+              <div className="replay-days">
+                {replayReport.by_day.map(day => (
+                  <div key={day.date} className="replay-day" title={`${day.matched} of ${day.events} events`}>
+                    <span className="replay-day-label">{day.date.slice(5)}</span>
+                    <span className="replay-day-bar">
+                      <span style={{ width: `${(day.matched / replayPeak) * 100}%` }}></span>
+                    </span>
+                    <span className="replay-day-count">{day.matched}</span>
+                  </div>
+                ))}
+              </div>
+
+              <h5>📡 Per channel</h5>
+              {replayReport.by_channel.length === 0 ? (
+                <small>No notifications would have been sent.</small>
+              ) : (
+                replayReport.by_channel.map(channel => (
+                  <div key={channel.webhook_id} className="replay-channel">
+                    <span>{channel.name}</span>
+                    <span>{channel.matched} messages ({channel.channel_type})</span>
+                  </div>
+                ))
+              )}
+
+              {replayReport.samples.length > 0 && (
+                <>
+                  <h5>💬 Sample messages</h5>
+                  {replayReport.samples.map((sample, index) => (
+                    <div key={`${sample.occurred_at}-${index}`} className="replay-sample">
+                      <div className="replay-sample-meta">
+                        {new Date(sample.occurred_at).toLocaleString()} • {sample.event}
+                        {sample.title && ` • ${sample.title}`} → {sample.webhook_name}
+                      </div>
+                      <pre>{sample.error || sample.preview || JSON.stringify(sample.payload, null, 2)}</pre>
+                    </div>
+                  ))}
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="test-info">
+            <small>Dry run only: nothing is sent, quiet hours and digests are not applied</small>
+          </div>
+        </div>
+      </div>
+
       {/* Latest Test Result */}
       {lastTestResult && (
         <div className="latest-result">
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import apiService from '../services/api';
+import type { ChannelType, DisabledWebhook } from '../services/api';
 import { usePlanFeatures } from '../hooks/usePlanFeatures';
 import LimitWarning from './LimitWarning';
 import './WebhookManager.css';
@@ -9,8 +10,66 @@ interface Webhook {
   name: string;
   webhook_url: string;
   description?: string;
+  channel_type?: ChannelType;
+  thread_by_entity?: boolean;
 }
 
+const isTeamsHost = (hostname: string) =>
+  hostname.endsWith('.webhook.office.com') ||
+  hostname === 'outlook.office.com' ||
+  hostname.endsWith('.logic.azure.com') ||
+  hostname.endsWith('.api.powerplatform.com');
+
+// Mirrors backend/services/channelProviders.js URL rules
+const CHANNEL_OPTIONS: Record<ChannelType, {
+  label: string;
+  icon: string;
+  placeholder: string;
+  helpUrl: string;
+  helpText: string;
+  validate: (url: string) => string;
+}> = {
+  google_chat: {
+    label: 'Google Chat',
+    icon: '💬',
+    placeholder: 'https://chat.googleapis.com/v1/spaces/...',
+    helpUrl: 'https://developers.google.com/chat/how-tos/webhooks',
+    helpText: 'How to create a Google Chat webhook →',
+    validate: (url) => url.startsWith('https://chat.googleapis.com/v1/spaces/') ? '' : 'Must be a Google Chat webhook URL'
+  },
+  slack: {
+    label: 'Slack',
+    icon: '🟪',
+    placeholder: 'https://hooks.slack.com/services/...',
+    helpUrl: 'https://api.slack.com/messaging/webhooks',
+    helpText: 'How to create a Slack incoming webhook →',
+    validate: (url) => url.startsWith('https://hooks.slack.com/') ? '' : 'Must be a Slack incoming webhook URL'
+  },
+  teams: {
+    label: 'Microsoft Teams',
+    icon: '🟦',
+    placeholder: 'https://....webhook.office.com/... or Workflows URL',
+    helpUrl: 'https://support.microsoft.com/office/create-incoming-webhooks-with-workflows-for-microsoft-teams-8ae491c7-0394-4861-ba59-055e33f75498',
+    helpText: 'How to create a Teams Workflows webhook →',
+    validate: (url) => {
+      try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && isTeamsHost(parsed.hostname) ? '' : 'Must be a Microsoft Teams webhook URL';
+      } catch {
+        return 'Must be a Microsoft Teams webhook URL';
+      }
+    }
+  },
+  generic: {
+    label: 'Generic HTTP',
+    icon: '🌐',
+    placeholder: 'https://example.com/hooks/pipedrive',
+    helpUrl: '/docs.html',
+    helpText: 'Receives a JSON payload with the event, rendered text and deal data →',
+    validate: (url) => url.startsWith('https://') ? '' : 'URL must start with https://'
+  }
+};
+
 interface WebhookManagerProps {
   onWebhooksChange?: (webhooks: Webhook[]) => void;
 }
@@ -56,17 +115,29 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
     return webhookLimit.toString();
   };
   const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [disabledWebhooks, setDisabledWebhooks] = useState<DisabledWebhook[]>([]);
+  const [reenablingId, setReenablingId] = useState<number | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [showAddForm, setShowAddForm] = useState(false);
   const [testingId, setTestingId] = useState<string | null>(null);
   const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [threadingId, setThreadingId] = useState<string | null>(null);
   const [validationErrors, setValidationErrors] = useState<{[key: string]: string}>({});
-  const [newWebhook, setNewWebhook] = useState({
+  const [newWebhook, setNewWebhook] = useState<{
+    name: string;
+    webhook_url: string;
+    description: string;
+    channel_type: ChannelType;
+    thread_by_entity: boolean;
+  }>({
     name: '',
     webhook_url: '',
-    description: ''
+    description: '',
+    channel_type: 'google_chat',
+    thread_by_entity: false
   });
+  const channelOption = CHANNEL_OPTIONS[newWebhook.channel_type];
 
   // Enhanced error handling
   const handleApiError = useCallback((error: any, operation: string) => {
@@ -91,10 +162,10 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
     
     if (!newWebhook.webhook_url.trim()) {
       errors.webhook_url = 'Webhook URL is required';
-    } else if (!newWebhook.webhook_url.includes('chat.googleapis.com')) {
-      errors.webhook_url = 'Please enter a valid Google Chat webhook URL';
     } else if (!newWebhook.webhook_url.startsWith('https://')) {
       errors.webhook_url = 'Webhook URL must start with https://';
+    } else if (CHANNEL_OPTIONS[newWebhook.channel_type].validate(newWebhook.webhook_url)) {
+      errors.webhook_url = `Please enter a valid ${CHANNEL_OPTIONS[newWebhook.channel_type].label} webhook URL`;
     }
     
     return errors;
@@ -113,6 +184,8 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
       if (onWebhooksChange) {
         onWebhooksChange(data);
       }
+      // getWebhooks falls back to demo data offline; the banner just stays empty then
+      setDisabledWebhooks(await apiService.getDisabledWebhooks().catch(() => []));
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load webhooks');
     } finally {
@@ -120,6 +193,22 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
     }
   };
 
+  const handleReenableWebhook = async (webhook: DisabledWebhook) => {
+    try {
+      setReenablingId(webhook.id);
+      setError(null);
+      const result = await apiService.reenableWebhook(webhook.id);
+      const resumed = result.resumedRules.length;
+      alert(`✅ "${webhook.name}" is working again.` +
+        (resumed > 0 ? ` Resumed ${resumed} rule${resumed === 1 ? '' : 's'}.` : ''));
+      await loadWebhooks();
+    } catch (err) {
+      handleApiError(err, 're-enable webhook');
+    } finally {
+      setReenablingId(null);
+    }
+  };
+
   const handleAddWebhook = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -138,15 +227,19 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
       return;
     }
 
-    if (!newWebhook.webhook_url.includes('chat.googleapis.com')) {
-      setError('Please enter a valid Google Chat webhook URL');
+    const urlError = channelOption.validate(newWebhook.webhook_url);
+    if (urlError) {
+      setError(urlError);
       return;
     }
 
     try {
       setError(null);
-      await apiService.createWebhook(newWebhook);
-      setNewWebhook({ name: '', webhook_url: '', description: '' });
+      await apiService.createWebhook({
+        ...newWebhook,
+        thread_by_entity: newWebhook.channel_type === 'google_chat' && newWebhook.thread_by_entity
+      });
+      setNewWebhook({ name: '', webhook_url: '', description: '', channel_type: 'google_chat', thread_by_entity: false });
       setShowAddForm(false);
       await loadWebhooks();
     } catch (err) {
@@ -160,9 +253,10 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
       setError(null);
       
       const result = await apiService.testWebhook(webhookId);
+      const channelType = webhooks.find(w => w.id === webhookId)?.channel_type || 'google_chat';
       
       if (result.success) {
-        alert('✅ Test message sent successfully! Check your Google Chat.');
+        alert(`✅ Test message sent successfully! Check your ${CHANNEL_OPTIONS[channelType].label}.`);
       } else {
         setError('Test failed: ' + result.message);
       }
@@ -173,6 +267,26 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
     }
   };
 
+  const handleToggleThreading = async (webhook: Webhook) => {
+    const threadByEntity = !webhook.thread_by_entity;
+
+    try {
+      setThreadingId(webhook.id);
+      setError(null);
+      await apiService.updateWebhook(webhook.id, { thread_by_entity: threadByEntity });
+
+      const updated = webhooks.map(w => (w.id === webhook.id ? { ...w, thread_by_entity: threadByEntity } : w));
+      setWebhooks(updated);
+      if (onWebhooksChange) {
+        onWebhooksChange(updated);
+      }
+    } catch (err) {
+      handleApiError(err, 'update threading');
+    } finally {
+      setThreadingId(null);
+    }
+  };
+
   const handleDeleteWebhook = async (webhookId: string, webhookName: string) => {
     // Confirmation dialog
     if (!window.confirm(`Are you sure you want to delete the webhook "${webhookName}"?\n\nThis action cannot be undone. Any rules using this webhook will need to be updated.`)) {
@@ -226,13 +340,10 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
 
   const validateWebhookUrl = (url: string) => {
     if (!url) return '';
-    if (!url.includes('chat.googleapis.com')) {
-      return 'Must be a Google Chat webhook URL';
-    }
     if (!url.startsWith('https://')) {
       return 'URL must start with https://';
     }
-    return '';
+    return channelOption.validate(url);
   };
 
   const webhookUrlError = validateWebhookUrl(newWebhook.webhook_url);
@@ -249,7 +360,7 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
     <div className="webhook-manager">
       <div className="section-header">
         <h3>
-          🔗 Google Chat Webhooks 
+          🔗 Chat Webhooks 
           <span className="count-badge">
             ({webhooks.length}/{getWebhookLimitMessage()})
           </span>
@@ -263,7 +374,7 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
             disabled={false}
             title={!isWithinWebhookLimit(webhooks.length)
               ? `${planTier === 'free' ? 'Free' : planTier} plan limit reached (${getWebhookLimitMessage()} webhook${getWebhookLimitMessage() === '1' ? '' : 's'} max). Upgrade to add more webhooks.`
-              : 'Add a new Google Chat webhook'
+              : 'Add a new Google Chat, Slack, Teams or HTTP webhook'
             }
           >
             {showAddForm ? '✕ Cancel' : '+ Add Webhook'}
@@ -280,12 +391,56 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
         </div>
       )}
 
+      {disabledWebhooks.length > 0 && (
+        <div className="disabled-webhooks-banner" role="alert">
+          <h4>🔌 {disabledWebhooks.length === 1 ? 'A webhook was' : `${disabledWebhooks.length} webhooks were`} disabled automatically</h4>
+          <p>Chat kept rejecting deliveries, so notifications to these spaces were stopped. Fix the space or webhook, then re-test it.</p>
+          <ul>
+            {disabledWebhooks.map(webhook => (
+              <li key={webhook.id}>
+                <div className="disabled-webhook-info">
+                  <strong>{webhook.name}</strong>
+                  <span className="disabled-webhook-reason">{webhook.disabled_reason}</span>
+                  <span className="disabled-webhook-meta">
+                    Disabled {new Date(webhook.disabled_at).toLocaleString()}
+                    {webhook.paused_rule_count > 0 && ` · ${webhook.paused_rule_count} rule${webhook.paused_rule_count === 1 ? '' : 's'} paused`}
+                  </span>
+                </div>
+                <button
+                  className="action-button test-button"
+                  onClick={() => handleReenableWebhook(webhook)}
+                  disabled={reenablingId === webhook.id}
+                  type="button"
+                >
+                  {reenablingId === webhook.id ? 'Testing...' : '🔄 Re-test and re-enable'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* TEMPORARY: Remove LimitWarning for screenshots */}
 
       {showAddForm && (
         <div className="webhook-form">
-          <h4>Add New Google Chat Webhook</h4>
+          <h4>Add New {channelOption.label} Webhook</h4>
           <form onSubmit={handleAddWebhook}>
+            <div className="form-group">
+              <label htmlFor="webhook-channel-type">Channel Type *</label>
+              <select
+                id="webhook-channel-type"
+                value={newWebhook.channel_type}
+                onChange={(e) => setNewWebhook({ ...newWebhook, channel_type: e.target.value as ChannelType })}
+              >
+                {(Object.keys(CHANNEL_OPTIONS) as ChannelType[]).map(type => (
+                  <option key={type} value={type}>
+                    {CHANNEL_OPTIONS[type].icon} {CHANNEL_OPTIONS[type].label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="form-group">
               <label htmlFor="webhook-name">Name *</label>
               <input
@@ -299,13 +454,13 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
             </div>
 
             <div className="form-group">
-              <label htmlFor="webhook-url">Google Chat Webhook URL *</label>
+              <label htmlFor="webhook-url">{channelOption.label} Webhook URL *</label>
               <input
                 id="webhook-url"
                 type="url"
                 value={newWebhook.webhook_url}
                 onChange={(e) => setNewWebhook({ ...newWebhook, webhook_url: e.target.value })}
-                placeholder="https://chat.googleapis.com/v1/spaces/..."
+                placeholder={channelOption.placeholder}
                 required
               />
               {webhookUrlError && (
@@ -313,11 +468,11 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
               )}
               <div className="field-help">
                 <a 
-                  href="https://developers.google.com/chat/how-tos/webhooks" 
+                  href={channelOption.helpUrl} 
                   target="_blank" 
                   rel="noopener noreferrer"
                 >
-                  How to create a Google Chat webhook →
+                  {channelOption.helpText}
                 </a>
               </div>
             </div>
@@ -333,6 +488,19 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
               />
             </div>
 
+            {newWebhook.channel_type === 'google_chat' && (
+              <div className="form-group">
+                <label className="thread-toggle">
+                  <input
+                    type="checkbox"
+                    checked={newWebhook.thread_by_entity}
+                    onChange={(e) => setNewWebhook({ ...newWebhook, thread_by_entity: e.target.checked })}
+                  />
+                  Thread updates by deal/person (one Chat thread per record)
+                </label>
+              </div>
+            )}
+
             <div className="form-actions">
               <button type="submit" className="create-webhook-button" disabled={!!webhookUrlError}>
                 Add Webhook
@@ -350,7 +518,7 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
           <div className="empty-state">
             <div className="empty-icon">🔗</div>
             <h4>No webhooks configured</h4>
-            <p>Add a Google Chat webhook to start receiving notifications</p>
+            <p>Add a Google Chat, Slack, Teams or HTTP webhook to start receiving notifications</p>
             <button className="create-webhook-button" onClick={() => setShowAddForm(true)}>
               Add Your First Webhook
             </button>
@@ -360,7 +528,12 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
             <div key={webhook.id} className="webhook-card">
               <div className="webhook-header">
                 <div className="webhook-info">
-                  <h4>{webhook.name}</h4>
+                  <h4>
+                    {webhook.name}
+                    <span className={`channel-type-badge channel-type-${webhook.channel_type || 'google_chat'}`}>
+                      {CHANNEL_OPTIONS[webhook.channel_type || 'google_chat'].icon} {CHANNEL_OPTIONS[webhook.channel_type || 'google_chat'].label}
+                    </span>
+                  </h4>
                   {webhook.description && (
                     <p className="webhook-description">{webhook.description}</p>
                   )}
@@ -370,6 +543,17 @@ const WebhookManager: React.FC<WebhookManagerProps> = ({ onWebhooksChange }) =>
                       {webhook.webhook_url.substring(0, 50)}...
                     </code>
                   </div>
+                  {(webhook.channel_type || 'google_chat') === 'google_chat' && (
+                    <label className="thread-toggle" title="Post created → updated → won for the same record into one Chat thread">
+                      <input
+                        type="checkbox"
+                        checked={webhook.thread_by_entity === true}
+                        onChange={() => handleToggleThreading(webhook)}
+                        disabled={threadingId === webhook.id}
+                      />
+                      Thread updates by record
+                    </label>
+                  )}
                 </div>
                 
                 <div className="webhook-actions">
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import type { WorkspaceMember, WorkspaceRole } from '../services/api';
+import './WorkspaceMembers.css';
+
+// Mirrors backend/services/tenantUsers.js role ranks
+const ROLE_OPTIONS: Array<{ value: WorkspaceRole; label: string; description: string }> = [
+  { value: 'owner', label: 'Owner', description: 'Full access, including ownership and billing' },
+  { value: 'admin', label: 'Admin', description: 'Manage members, webhooks and rules' },
+  { value: 'editor', label: 'Editor', description: 'Create, edit and test rules' },
+  { value: 'viewer', label: 'Viewer', description: 'Read-only access' },
+];
+
+const WorkspaceMembers: React.FC = () => {
+  const [members, setMembers] = useState<WorkspaceMember[]>([]);
+  const [currentUser, setCurrentUser] = useState<{ member_id: number | null; role: WorkspaceRole } | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState<WorkspaceRole>('editor');
+  const [isInviting, setIsInviting] = useState(false);
+
+  const canManage = currentUser?.role === 'owner' || currentUser?.role === 'admin';
+  const isOwner = currentUser?.role === 'owner';
+
+  const loadMembers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await apiService.getMembers();
+      setMembers(data.members);
+      setCurrentUser(data.current_user);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load members');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+
+    try {
+      setIsInviting(true);
+      setError(null);
+      const result = await apiService.inviteMember(inviteEmail.trim(), inviteRole);
+      setNotice(`${result.message}. They join when they sign in with Pipedrive.`);
+      setInviteEmail('');
+      await loadMembers();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to invite member');
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (member: WorkspaceMember, role: WorkspaceRole) => {
+    try {
+      setBusyId(member.id);
+      setError(null);
+      await apiService.updateMemberRole(member.id, role);
+      setMembers(prev => prev.map(m => m.id === member.id ? { ...m, role } : m));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update role');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (member: WorkspaceMember) => {
+    const label = member.name || member.email || 'this member';
+    const action = member.status === 'invited' ? `Cancel the invite for ${label}?` : `Remove ${label} from the workspace?`;
+    if (!window.confirm(action)) return;
+
+    try {
+      setBusyId(member.id);
+      setError(null);
+      await apiService.removeMember(member.id);
+      setMembers(prev => prev.filter(m => m.id !== member.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to remove member');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Admins cannot hand out or take away ownership
+  const assignableRoles = ROLE_OPTIONS.filter(option => isOwner || option.value !== 'owner');
+
+  return (
+    <div className="workspace-members">
+      <div className="workspace-members-header">
+        <h4>👥 Workspace Members</h4>
+        {currentUser && <span className={`role-badge role-${currentUser.role}`}>You: {currentUser.role}</span>}
+      </div>
+
+      {error && <div className="members-message error" role="alert">{error}</div>}
+      {notice && <div className="members-message success">{notice}</div>}
+
+      {isLoading ? (
+        <p className="members-empty">Loading members...</p>
+      ) : (
+        <ul className="members-list">
+          {members.map(member => {
+            const isSelf = member.id === currentUser?.member_id;
+            const editable = canManage && !isSelf && (isOwner || member.role !== 'owner');
+
+            return (
+              <li key={member.id} className="member-row">
+                <div className="member-identity">
+                  <span className="member-name">
+                    {member.name || member.email}
+                    {isSelf && <span className="member-self"> (you)</span>}
+                  </span>
+                  {member.name && member.email && <span className="member-email">{member.email}</span>}
+                  {member.status === 'invited' && <span className="member-invited">Invite pending</span>}
+                </div>
+                <div className="member-actions">
+                  {editable ? (
+                    <select
+                      className="form-select compact"
+                      value={member.role}
+                      disabled={busyId === member.id}
+                      onChange={(e) => handleRoleChange(member, e.target.value as WorkspaceRole)}
+                      aria-label={`Role for ${member.name || member.email}`}
+                    >
+                      {assignableRoles.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className={`role-badge role-${member.role}`}>{member.role}</span>
+                  )}
+                  {editable && (
+                    <button
+                      type="button"
+                      className="member-remove"
+                      disabled={busyId === member.id}
+                      onClick={() => handleRemove(member)}
+                    >
+                      {member.status === 'invited' ? 'Cancel' : 'Remove'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {canManage && (
+        <form className="member-invite-form" onSubmit={handleInvite}>
+          <input
+            type="email"
+            className="form-input compact"
+            placeholder="colleague@company.com"
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+            aria-label="Email to invite"
+            required
+          />
+          <select
+            className="form-select compact"
+            value={inviteRole}
+            onChange={(e) => setInviteRole(e.target.value as WorkspaceRole)}
+            aria-label="Role for invited member"
+          >
+            {assignableRoles.map(option => (
+              <option key={option.value} value={option.value} title={option.description}>{option.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="button-primary" disabled={isInviting || !inviteEmail.trim()}>
+            {isInviting ? 'Inviting...' : 'Invite'}
+          </button>
+        </form>
+      )}
+      {!canManage && !isLoading && (
+        <p className="members-empty">Only owners and admins can invite or remove members.</p>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceMembers;
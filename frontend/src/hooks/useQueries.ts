@@ -9,6 +9,30 @@ const getAuthHeaders = () => {
   };
 };
 
+// Error from an API response body ({ error }), falling back to a generic message
+const responseError = async (response: Response, fallback: string) => {
+  const data = await response.json().catch(() => null);
+  return new Error(data?.error || fallback);
+};
+
+// Completeness of an analytics response (data_status): partial when history before
+// available_from is missing or recent deliveries are still being aggregated
+export interface AnalyticsDataStatus {
+  status: 'complete' | 'partial' | 'unavailable';
+  message: string | null;
+  period?: string;
+  start?: string;
+  end?: string;
+  resolution?: 'hour' | 'day';
+  available_from?: string | null;
+  rolled_up_at?: string | null;
+}
+
+export interface AnalyticsResult<T> {
+  data: T;
+  dataStatus: AnalyticsDataStatus | null;
+}
+
 // Query Keys
 export const QueryKeys = {
   // Analytics
@@ -29,6 +53,7 @@ export const QueryKeys = {
   
   // Reports
   SCHEDULED_REPORTS: 'scheduledReports',
+  REPORT_HISTORY: (id: number) => ['scheduledReports', id, 'history'],
   
   // Backups
   RULE_BACKUPS: 'ruleBackups',
@@ -55,9 +80,10 @@ export const useAnalyticsMetrics = (params: { period?: string; start_date?: stri
       const response = await fetch(`${API_BASE_URL}/api/v1/analytics/metrics?${queryParams}`, {
         headers: getAuthHeaders()
       });
-      if (!response.ok) throw new Error('Failed to fetch analytics metrics');
+      if (!response.ok) throw await responseError(response, 'Failed to fetch analytics metrics');
       const data = await response.json();
-      return data.data;
+      const result: AnalyticsResult<any> = { data: data.data || null, dataStatus: data.data_status || null };
+      return result;
     },
     staleTime: 30 * 1000, // 30 seconds
   });
@@ -75,9 +101,10 @@ export const useAnalyticsTimeSeries = (params: { period?: string; start_date?: s
       const response = await fetch(`${API_BASE_URL}/api/v1/analytics/timeseries?${queryParams}`, {
         headers: getAuthHeaders()
       });
-      if (!response.ok) throw new Error('Failed to fetch analytics time series');
+      if (!response.ok) throw await responseError(response, 'Failed to fetch analytics time series');
       const data = await response.json();
-      return data.data || [];
+      const result: AnalyticsResult<any[]> = { data: data.data || [], dataStatus: data.data_status || null };
+      return result;
     },
     staleTime: 30 * 1000,
   });
@@ -95,9 +122,10 @@ export const useAnalyticsRules = (params: { period?: string; start_date?: string
       const response = await fetch(`${API_BASE_URL}/api/v1/analytics/rules?${queryParams}`, {
         headers: getAuthHeaders()
       });
-      if (!response.ok) throw new Error('Failed to fetch analytics rules');
+      if (!response.ok) throw await responseError(response, 'Failed to fetch analytics rules');
       const data = await response.json();
-      return data.data || [];
+      const result: AnalyticsResult<any[]> = { data: data.data || [], dataStatus: data.data_status || null };
+      return result;
     },
     staleTime: 30 * 1000,
   });
@@ -115,9 +143,10 @@ export const useAnalyticsChannels = (params: { period?: string; start_date?: str
       const response = await fetch(`${API_BASE_URL}/api/v1/analytics/channels?${queryParams}`, {
         headers: getAuthHeaders()
       });
-      if (!response.ok) throw new Error('Failed to fetch analytics channels');
+      if (!response.ok) throw await responseError(response, 'Failed to fetch analytics channels');
       const data = await response.json();
-      return data.data || [];
+      const result: AnalyticsResult<any[]> = { data: data.data || [], dataStatus: data.data_status || null };
+      return result;
     },
     staleTime: 30 * 1000,
   });
@@ -187,6 +216,22 @@ export const useScheduledReports = () => {
   });
 };
 
+export const useReportHistory = (id: number, enabled: boolean) => {
+  return useQuery({
+    queryKey: QueryKeys.REPORT_HISTORY(id),
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/api/v1/reports/scheduled/${id}/history`, {
+        headers: getAuthHeaders()
+      });
+      if (!response.ok) throw await responseError(response, 'Failed to fetch report history');
+      const data = await response.json();
+      return data.deliveries || [];
+    },
+    enabled,
+    staleTime: 30 * 1000,
+  });
+};
+
 // Rule Backups Queries
 export const useRuleBackups = () => {
   return useQuery({
@@ -318,7 +363,7 @@ export const useCreateScheduledReport = () => {
         headers: getAuthHeaders(),
         body: JSON.stringify(newReport)
       });
-      if (!response.ok) throw new Error('Failed to create scheduled report');
+      if (!response.ok) throw await responseError(response, 'Failed to create scheduled report');
       return response.json();
     },
     onSuccess: () => {
@@ -331,13 +376,13 @@ export const useUpdateScheduledReport = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: async ({ id, updates }: { id: string; updates: any }) => {
+    mutationFn: async ({ id, updates }: { id: number; updates: any }) => {
       const response = await fetch(`${API_BASE_URL}/api/v1/reports/scheduled/${id}`, {
         method: 'PUT',
         headers: getAuthHeaders(),
         body: JSON.stringify(updates)
       });
-      if (!response.ok) throw new Error('Failed to update scheduled report');
+      if (!response.ok) throw await responseError(response, 'Failed to update scheduled report');
       return response.json();
     },
     onSuccess: () => {
@@ -350,12 +395,12 @@ export const useDeleteScheduledReport = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: async (id: string) => {
+    mutationFn: async (id: number) => {
       const response = await fetch(`${API_BASE_URL}/api/v1/reports/scheduled/${id}`, {
         method: 'DELETE',
         headers: getAuthHeaders()
       });
-      if (!response.ok) throw new Error('Failed to delete scheduled report');
+      if (!response.ok) throw await responseError(response, 'Failed to delete scheduled report');
       return response.json();
     },
     onSuccess: () => {
@@ -364,6 +409,25 @@ export const useDeleteScheduledReport = () => {
   });
 };
 
+export const useSendReportNow = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id: number) => {
+      const response = await fetch(`${API_BASE_URL}/api/v1/reports/scheduled/${id}/send`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+      });
+      if (!response.ok) throw await responseError(response, 'Failed to send report');
+      return response.json();
+    },
+    onSuccess: (_data, id) => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.SCHEDULED_REPORTS] });
+      queryClient.invalidateQueries({ queryKey: QueryKeys.REPORT_HISTORY(id) });
+    },
+  });
+};
+
 export const useCreateRuleBackup = () => {
   const queryClient = useQueryClient();
   
@@ -11,6 +11,16 @@ interface ApiResponse<T> {
   message?: string;
 }
 
+type DeliveryMode = 'immediate' | 'digest' | 'daily_digest';
+
+// One webhook a rule fans out to; template_mode null = the rule's own template
+interface RuleTarget {
+  webhook_id: number;
+  template_mode?: 'simple' | 'compact' | 'detailed' | 'card' | 'custom' | null;
+  custom_template?: string | null;
+  enabled: boolean;
+}
+
 interface NotificationRule {
   id: string;
   name: string;
@@ -18,6 +28,8 @@ interface NotificationRule {
   templateMode: 'simple' | 'compact' | 'detailed' | 'custom';
   targetSpace: string;
   targetWebhookId?: number; // Preserve webhook ID for API calls
+  targets?: RuleTarget[];
+  useRouting?: boolean; // Routing rules pick the channel unless the rule fans out to several targets
   filters: {
     // Entity filtering
     entity_type?: string;
@@ -52,6 +64,9 @@ interface NotificationRule {
     minValue?: number;
   };
   enabled: boolean;
+  deliveryMode?: DeliveryMode;
+  digestIntervalMinutes?: number | null;
+  digestTime?: string | null;
   lastTriggered?: string;
   successRate: number;
   createdAt: string;
@@ -130,6 +145,232 @@ interface PlanFeatures {
   can_upgrade: boolean;
 }
 
+type ChannelType = 'google_chat' | 'slack' | 'teams' | 'generic';
+
+interface ChatWebhook {
+  id: string;
+  name: string;
+  webhook_url: string;
+  description?: string;
+  channel_type: ChannelType;
+  thread_by_entity?: boolean;
+}
+
+interface DisabledWebhook {
+  id: number;
+  name: string;
+  channel_type: ChannelType;
+  disabled_reason: string;
+  disabled_at: string;
+  last_failure_code: number | null;
+  consecutive_failures: number;
+  paused_rule_count: number;
+}
+
+interface TemplateDiagnostic {
+  severity: 'error' | 'warning';
+  message: string;
+  line: number;
+  column: number;
+}
+
+interface TemplatePreviewResult {
+  preview: string | null;
+  validation: {
+    valid: boolean;
+    errors: string[];
+    warnings: string[];
+    details: TemplateDiagnostic[];
+  } | null;
+}
+
+interface CustomFieldDefinition {
+  entity_type: 'deal' | 'person' | 'organization';
+  name: string;
+  field_type: string;
+  options: Array<{ id: number | string; label: string }>;
+  template_variable: string;
+  synced_at: string;
+}
+
+type WorkspaceRole = 'owner' | 'admin' | 'editor' | 'viewer';
+
+interface WorkspaceMember {
+  id: number;
+  pipedrive_user_id: number | null;
+  email: string | null;
+  name: string | null;
+  role: WorkspaceRole;
+  status: 'active' | 'invited';
+  last_login_at: string | null;
+  created_at: string;
+}
+
+interface AuditEvent {
+  id: number;
+  actor_type: 'user' | 'system' | 'billing';
+  actor_id: number | null;
+  actor_name: string | null;
+  actor_role: string | null;
+  action: string;
+  entity_type: string;
+  entity_id: string | null;
+  changes: Record<string, { before: unknown; after: unknown }>;
+  metadata: Record<string, unknown>;
+  ip_address: string | null;
+  created_at: string;
+}
+
+interface AuditFilters {
+  action?: string;
+  entity_type?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+interface RuleBackup {
+  id: number;
+  name: string;
+  description: string | null;
+  type: 'manual' | 'automatic';
+  ruleCount: number;
+  createdBy: string | null;
+  createdAt: string;
+  size: string;
+}
+
+interface RuleVersion {
+  id: number;
+  rule_id: number;
+  version: number;
+  change_type: 'created' | 'updated' | 'deleted' | 'restored';
+  snapshot: Record<string, unknown>;
+  created_at: string;
+}
+
+interface RuleSetDiff {
+  from: string;
+  to: string;
+  added: Array<{ rule_id: number; name: string }>;
+  removed: Array<{ rule_id: number; name: string }>;
+  changed: Array<{ rule_id: number; name: string; changes: Record<string, { before: unknown; after: unknown }> }>;
+  unchanged: number;
+}
+
+interface RuleRestoreResult {
+  updated: Array<{ rule_id: number; name: string }>;
+  created: Array<{ rule_id: number; previous_rule_id: number; name: string }>;
+  deleted: Array<{ rule_id: number; name: string }>;
+  skipped: Array<{ rule_id: number; name: string; reason: string }>;
+  backup_snapshot_id: number;
+}
+
+interface RuleDraft {
+  name?: string;
+  event_type: string;
+  filters?: Record<string, unknown>;
+  template_mode?: string;
+  custom_template?: string | null;
+  target_webhook_id?: number | null;
+}
+
+interface ReplayReport {
+  rule: { name: string; event_type: string; template_mode: string; target_webhook_id: number | null };
+  days: number;
+  events_scanned: number;
+  matched: number;
+  unrouted: number;
+  truncated: boolean;
+  template_validation: TemplatePreviewResult['validation'];
+  by_day: Array<{ date: string; events: number; matched: number }>;
+  by_channel: Array<{ webhook_id: number; name: string; channel_type: ChannelType; matched: number }>;
+  samples: Array<{
+    event: string;
+    occurred_at: string;
+    entity_id: number | null;
+    title: string | null;
+    webhook_id: number;
+    webhook_name: string;
+    channel_type: ChannelType;
+    preview?: string | null;
+    payload?: unknown;
+    error?: string;
+  }>;
+}
+
+type RoutingMatchMode = 'first_match' | 'fan_out';
+
+interface RoutingRule {
+  id: number;
+  name: string;
+  position: number;
+  event_type: string;
+  conditions: Record<string, unknown>;
+  target_webhook_ids: number[];
+  match_mode: RoutingMatchMode;
+  enabled: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+type RoutingRuleInput = Partial<Pick<RoutingRule, 'name' | 'event_type' | 'conditions' | 'target_webhook_ids' | 'match_mode' | 'enabled'>>;
+
+interface RoutingExplanation {
+  event: string;
+  source: 'rule_targets' | 'routing_rules' | 'rule_target' | 'none';
+  webhooks: Array<{ id: number; name: string; channel_type: ChannelType }>;
+  steps: Array<{
+    routing_rule_id: number;
+    name: string;
+    match_mode: RoutingMatchMode;
+    result:
+      | 'not_evaluated'
+      | 'disabled'
+      | 'event_type_mismatch'
+      | 'conditions_not_met'
+      | 'no_active_targets'
+      | 'matched'
+      | 'rule_has_targets'
+      | 'routing_not_enabled';
+    webhook_ids?: number[];
+  }>;
+}
+
+type DeadLetterStatus = 'dead' | 'delivered' | 'discarded';
+
+// Notification that failed permanently or exhausted the retry policy
+interface DeadLetter {
+  id: number;
+  rule_id: number | null;
+  rule_name: string | null;
+  webhook_id: number | null;
+  webhook_name: string | null;
+  webhook_active: boolean | null;
+  channel_type: ChannelType | null;
+  event_type: string | null;
+  payload: Record<string, unknown>;
+  template_mode: string | null;
+  error_message: string | null;
+  error_reason: string | null;
+  response_code: number | null;
+  attempts: number;
+  requeue_count: number;
+  status: DeadLetterStatus;
+  created_at: string;
+  updated_at: string;
+  resolved_at: string | null;
+}
+
+interface RetryPolicy {
+  attempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  jitter: number;
+  retryableStatusCodes: number[];
+}
+
 class ApiService {
   private getAuthHeaders(): HeadersInit {
     const token = localStorage.getItem('auth_token') || sessionStorage.getItem('oauth_token');
@@ -236,10 +477,14 @@ class ApiService {
 
   async getOAuthStatus(): Promise<{ 
     connected: boolean; 
+    status?: 'active' | 'expired' | 'revoked';
+    needsReconnect?: boolean;
     expired?: boolean; 
     apiDomain?: string; 
     connectedAt?: string; 
     expiresAt?: string;
+    lastRefreshedAt?: string;
+    lastError?: string | null;
   }> {
     const response = await fetch(`${API_BASE_URL}/api/v1/oauth/status`, {
       headers: this.getAuthHeaders(),
@@ -247,6 +492,14 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Pipedrive authorize URL used to (re)connect the account; the callback is handled by onboarding
+  getPipedriveAuthorizeUrl(): string | null {
+    const clientId = process.env.REACT_APP_PIPEDRIVE_CLIENT_ID;
+    if (!clientId) return null;
+    const redirectUri = encodeURIComponent(process.env.REACT_APP_PIPEDRIVE_REDIRECT_URI || `${window.location.origin}/onboarding`);
+    return `https://oauth.pipedrive.com/oauth/authorize?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code`;
+  }
+
   // Webhook management
   async validateWebhook(url: string): Promise<{ valid: boolean; error?: string }> {
     const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks/validate`, {
@@ -257,14 +510,16 @@ class ApiService {
     return this.handleResponse(response);
   }
 
-  async getWebhooks(): Promise<Array<{ id: string; name: string; webhook_url: string; description?: string }>> {
+  async getWebhooks(): Promise<ChatWebhook[]> {
     try {
       const result = await this.safeRequest<{ webhooks: any[] }>('/api/v1/admin/webhooks');
-      const webhooks = result.webhooks.map(webhook => ({
+      const webhooks: ChatWebhook[] = result.webhooks.map(webhook => ({
         id: webhook.id.toString(),
         name: webhook.name,
         webhook_url: webhook.webhook_url,
-        description: webhook.description
+        description: webhook.description,
+        channel_type: webhook.channel_type || 'google_chat',
+        thread_by_entity: webhook.thread_by_entity === true
       }));
       
       // Filter out deleted webhooks
@@ -275,8 +530,8 @@ class ApiService {
       
       // Fallback mock data - empty if all deleted, or mock webhook if none
       const deletedIds = this.getDeletedWebhookIds();
-      const mockWebhooks = [
-        { id: '7', name: 'test', webhook_url: 'https://chat.googleapis.com/v1/spaces/AAQA9SWCL2k/...', description: 'Test webhook' }
+      const mockWebhooks: ChatWebhook[] = [
+        { id: '7', name: 'test', webhook_url: 'https://chat.googleapis.com/v1/spaces/AAQA9SWCL2k/...', description: 'Test webhook', channel_type: 'google_chat' }
       ];
       
       // Filter out deleted webhooks
@@ -284,7 +539,7 @@ class ApiService {
     }
   }
 
-  async createWebhook(webhook: { name: string; webhook_url: string; description?: string }): Promise<any> {
+  async createWebhook(webhook: { name: string; webhook_url: string; description?: string; channel_type?: ChannelType; thread_by_entity?: boolean }): Promise<any> {
     try {
       const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks`, {
         method: 'POST',
@@ -299,6 +554,15 @@ class ApiService {
     }
   }
 
+  async updateWebhook(webhookId: string, updates: { name?: string; description?: string; thread_by_entity?: boolean }): Promise<any> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks/${webhookId}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(updates),
+    });
+    return this.handleResponse(response);
+  }
+
   async testWebhook(webhookId: string): Promise<{ success: boolean; message: string }> {
     try {
       const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks/${webhookId}/test`, {
@@ -313,6 +577,22 @@ class ApiService {
     }
   }
 
+  async getDisabledWebhooks(): Promise<DisabledWebhook[]> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks`, {
+      headers: this.getAuthHeaders(),
+    });
+    const result = await this.handleResponse<{ disabled?: DisabledWebhook[] }>(response);
+    return result.disabled || [];
+  }
+
+  async reenableWebhook(webhookId: number): Promise<{ webhook: ChatWebhook; resumedRules: Array<{ id: number; name: string }> }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks/${webhookId}/reenable`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
   async deleteWebhook(webhookId: string): Promise<{ success: boolean; message: string }> {
     try {
       const response = await fetch(`${API_BASE_URL}/api/v1/admin/webhooks/${webhookId}`, {
@@ -346,8 +626,13 @@ class ApiService {
       templateMode: rule.template_mode || rule.templateMode || 'simple',
       targetSpace: rule.webhook_name || rule.targetSpace || `Webhook ${rule.target_webhook_id}`,
       targetWebhookId: rule.target_webhook_id, // Preserve the webhook ID for API calls
+      targets: rule.targets || [],
+      useRouting: rule.use_routing === true,
       filters: typeof rule.filters === 'string' ? JSON.parse(rule.filters) : rule.filters,
       enabled: rule.enabled,
+      deliveryMode: rule.delivery_mode || 'immediate',
+      digestIntervalMinutes: rule.digest_interval_minutes,
+      digestTime: rule.digest_time ? String(rule.digest_time).slice(0, 5) : null,
       lastTriggered: rule.updated_at || rule.lastTriggered,
       successRate: rule.successRate || 95, // Will be calculated from logs
       createdAt: rule.created_at || rule.createdAt
@@ -364,7 +649,14 @@ class ApiService {
         filters: rule.filters,
         target_webhook_id: rule.targetSpace, // This should be webhook ID
         template_mode: rule.templateMode,
-        enabled: rule.enabled
+        enabled: rule.enabled,
+        ...(rule.targets && { targets: rule.targets }),
+        ...(rule.useRouting !== undefined && { use_routing: rule.useRouting }),
+        ...(rule.deliveryMode && {
+          delivery_mode: rule.deliveryMode,
+          digest_interval_minutes: rule.digestIntervalMinutes,
+          digest_time: rule.digestTime
+        })
       }),
     });
     return this.handleResponse(response);
@@ -379,7 +671,14 @@ class ApiService {
         ...(updates.eventType && { event_type: updates.eventType }),
         ...(updates.filters && { filters: updates.filters }),
         ...(updates.templateMode && { template_mode: updates.templateMode }),
-        ...(updates.hasOwnProperty('enabled') && { enabled: updates.enabled })
+        ...(updates.hasOwnProperty('enabled') && { enabled: updates.enabled }),
+        ...(updates.targets && { targets: updates.targets }),
+        ...(updates.useRouting !== undefined && { use_routing: updates.useRouting }),
+        ...(updates.deliveryMode && {
+          delivery_mode: updates.deliveryMode,
+          digest_interval_minutes: updates.digestIntervalMinutes,
+          digest_time: updates.digestTime
+        })
       }),
     });
     return this.handleResponse(response);
@@ -406,6 +705,116 @@ class ApiService {
   }
 
   // Test notification (for onboarding)
+  // What-if replay of a draft rule against stored events (nothing is sent)
+  async replayDraftRule(draft: RuleDraft, days: number = 7): Promise<{ report: ReplayReport }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/rules/replay`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ ...draft, days }),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Routing rules (evaluated in order before a rule's own target webhook)
+  async getRoutingRules(): Promise<{ rules: RoutingRule[] }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/rules`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async createRoutingRule(rule: RoutingRuleInput): Promise<{ rule: RoutingRule }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/rules`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(rule),
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateRoutingRule(id: number, rule: RoutingRuleInput): Promise<{ rule: RoutingRule }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/rules/${id}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(rule),
+    });
+    return this.handleResponse(response);
+  }
+
+  async deleteRoutingRule(id: number): Promise<{ message: string }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/rules/${id}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async reorderRoutingRules(ids: number[]): Promise<{ rules: RoutingRule[] }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/rules/order`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ ids }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async createRoutingPresets(config: Record<string, string | number | undefined>): Promise<{ rulesCreated: number; rules: RoutingRule[] }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/create-rules`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(config),
+    });
+    return this.handleResponse(response);
+  }
+
+  async explainRouting(input: { payload?: unknown; log_id?: number; event_type?: string; rule_id?: number }): Promise<{ explanation: RoutingExplanation; payload: unknown }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/routing/explain`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(input),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Dead letters
+  async getDeadLetters(params: { status?: DeadLetterStatus | 'all'; limit?: number; offset?: number } = {}): Promise<{ deadLetters: DeadLetter[]; total: number; policy: RetryPolicy }> {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined) query.append(key, String(value));
+    });
+    const response = await fetch(`${API_BASE_URL}/api/v1/dead-letters?${query}`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateDeadLetterTarget(id: number, webhookId: number): Promise<{ deadLetter: DeadLetter }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/dead-letters/${id}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ webhook_id: webhookId }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async requeueDeadLetters(ids: number[]): Promise<{ queued: number[]; skipped: Array<{ id: number; error: string }> }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/dead-letters/requeue`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ ids }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async discardDeadLetters(ids: number[]): Promise<{ discarded: number[] }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/dead-letters/discard`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ ids }),
+    });
+    return this.handleResponse(response);
+  }
+
   async testNotification(payload: {
     templateId: string;
     webhookId: string;
@@ -508,6 +917,166 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Pipedrive custom fields (filter on and render by name)
+  async getCustomFields(): Promise<{ custom_fields: CustomFieldDefinition[]; total: number }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/settings/custom-fields`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async syncCustomFields(): Promise<{ success: boolean; synced: Record<string, number> }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/settings/custom-fields/sync`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Workspace members
+  async getMembers(): Promise<{ members: WorkspaceMember[]; current_user: { member_id: number | null; role: WorkspaceRole } }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/settings/members`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async inviteMember(email: string, role: WorkspaceRole): Promise<{ member: WorkspaceMember; message: string }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/settings/members`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ email, role }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateMemberRole(memberId: number, role: WorkspaceRole): Promise<{ member: WorkspaceMember }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/settings/members/${memberId}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ role }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async removeMember(memberId: number): Promise<{ message: string }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/settings/members/${memberId}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  // Audit trail
+  private buildAuditQuery(filters: AuditFilters, extra: Record<string, string> = {}): string {
+    const params = new URLSearchParams(extra);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.set(key, String(value));
+    });
+    return params.toString();
+  }
+
+  async getAuditEvents(filters: AuditFilters = {}): Promise<{ events: AuditEvent[]; total: number; page: number; hasMore: boolean }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/audit?${this.buildAuditQuery(filters)}`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async downloadAuditCsv(filters: AuditFilters = {}): Promise<void> {
+    const exportFilters = { ...filters, page: undefined, limit: undefined };
+    const response = await fetch(`${API_BASE_URL}/api/v1/admin/audit?${this.buildAuditQuery(exportFilters, { format: 'csv' })}`, {
+      headers: this.getAuthHeaders(),
+    });
+    if (!response.ok) {
+      await this.handleResponse(response);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Rule versions and backups
+  async getRuleBackups(): Promise<{ backups: RuleBackup[] }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async createRuleBackup(name: string, description?: string): Promise<{ backup: RuleBackup }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ name, description }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async deleteRuleBackup(backupId: number): Promise<{ message: string }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups/${backupId}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async restoreRuleBackup(
+    backupId: number,
+    options: { overwriteExisting: boolean; preserveIds: boolean; activateRules: boolean }
+  ): Promise<{ result: RuleRestoreResult }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups/${backupId}/restore`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(options),
+    });
+    return this.handleResponse(response);
+  }
+
+  async downloadRuleBackup(backup: RuleBackup): Promise<void> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/backups/${backup.id}/download`, {
+      headers: this.getAuthHeaders(),
+    });
+    if (!response.ok) {
+      await this.handleResponse(response);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${backup.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_backup.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Refs: 'current', 'snapshot:<id>' or 'version:<ruleId>:<version>'
+  async diffRules(from: string, to: string = 'current'): Promise<{ diff: RuleSetDiff }> {
+    const params = new URLSearchParams({ from, to });
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/diff?${params.toString()}`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async getRuleVersions(ruleId: string | number): Promise<{ versions: RuleVersion[] }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/${ruleId}/versions`, {
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
+  async rollbackRule(ruleId: string | number, version: number): Promise<{ result: { action: string; rule_id: number; name: string } }> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/rules/${ruleId}/versions/${version}/restore`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+    return this.handleResponse(response);
+  }
+
   // Template previews
   async getTemplatePreview(templateId: string, mode: 'compact' | 'detailed' = 'compact'): Promise<{ 
     preview: string; 
@@ -519,6 +1088,20 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Server-side template rendering (same engine as live notifications)
+  async previewTemplate(params: {
+    event_type: string;
+    template_mode: 'simple' | 'compact' | 'detailed' | 'custom';
+    custom_template?: string | null;
+  }): Promise<TemplatePreviewResult> {
+    const response = await fetch(`${API_BASE_URL}/api/v1/templates/preview`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(params),
+    });
+    return this.handleResponse(response);
+  }
+
   // Billing and subscription management
   async getPlans(): Promise<PlanDetails[]> {
     const response = await fetch(`${API_BASE_URL}/api/v1/billing/plans`, {
@@ -629,6 +1212,31 @@ export default apiService;
 
 // Export types for components to use
 export type {
+  ChannelType,
+  ChatWebhook,
+  DisabledWebhook,
+  CustomFieldDefinition,
+  DeliveryMode,
+  TemplateDiagnostic,
+  TemplatePreviewResult,
+  WorkspaceMember,
+  WorkspaceRole,
+  AuditEvent,
+  AuditFilters,
+  RuleBackup,
+  RuleVersion,
+  RuleSetDiff,
+  RuleRestoreResult,
+  RuleTarget,
+  RuleDraft,
+  ReplayReport,
+  RoutingMatchMode,
+  RoutingRule,
+  RoutingRuleInput,
+  RoutingExplanation,
+  DeadLetterStatus,
+  DeadLetter,
+  RetryPolicy,
   NotificationRule,
   DeliveryLog,
   DashboardStats,